@@ -0,0 +1,206 @@
+// __tests__/accountBasedPension.test.js
+import { describe, it, expect } from "vitest";
+import {
+  minDrawdownRate,
+  pensionTransferBalance,
+  projectAccountBasedPension,
+  simulateAccountBasedPension,
+} from "@/lib/super/accountBasedPension";
+import { lifeExpectancy, mortalityRate, survivalCurve } from "@/lib/super/lifeTables";
+import { getCentrelinkRules } from "@/lib/centrelink";
+import { indexAgePensionRules } from "@/lib/centrelink/agePension";
+
+describe("minDrawdownRate", () => {
+  it("follows the SIS Regulations Schedule 7 age bands", () => {
+    expect(minDrawdownRate(64)).toBe(0.04);
+    expect(minDrawdownRate(65)).toBe(0.05);
+    expect(minDrawdownRate(74)).toBe(0.05);
+    expect(minDrawdownRate(75)).toBe(0.06);
+    expect(minDrawdownRate(80)).toBe(0.07);
+    expect(minDrawdownRate(85)).toBe(0.09);
+    expect(minDrawdownRate(90)).toBe(0.11);
+    expect(minDrawdownRate(95)).toBe(0.14);
+  });
+});
+
+describe("projectAccountBasedPension", () => {
+  const base = {
+    openingBalance: 500000,
+    age: 67,
+    returnPct: 0,
+    feePct: 0,
+    years: 30,
+    requestedAnnual: 20000,
+    indexByInflation: false,
+    inflationPct: 0,
+  };
+
+  it("pays the minimum when it exceeds the requested amount", () => {
+    const r = projectAccountBasedPension(base);
+    expect(r.firstYear.minAmount).toBe(25000);
+    expect(r.firstYear.paid).toBe(25000);
+    expect(r.rows[0].closing).toBe(475000);
+  });
+
+  it("pays the requested amount when it is higher", () => {
+    const r = projectAccountBasedPension({ ...base, requestedAnnual: 40000 });
+    expect(r.rows[0].payment).toBe(40000);
+  });
+
+  it("reports the age the balance runs out", () => {
+    const r = projectAccountBasedPension({ ...base, openingBalance: 100000, requestedAnnual: 40000 });
+    expect(r.depletionAge).toBe(69);
+    expect(r.totals.totalIncome).toBe(100000);
+  });
+});
+
+describe("simulateAccountBasedPension", () => {
+  const base = {
+    openingBalance: 500000,
+    age: 67,
+    returnPct: 6,
+    volatilityPct: 10,
+    feePct: 0.7,
+    years: 30,
+    requestedAnnual: 35000,
+    indexByInflation: true,
+    inflationPct: 2.5,
+    simulations: 1000,
+  };
+
+  it("reproduces the fixed-return projection with zero volatility", () => {
+    const fixed = projectAccountBasedPension(base);
+    const mc = simulateAccountBasedPension({ ...base, volatilityPct: 0, simulations: 100 });
+    fixed.rows.forEach((r, i) => {
+      expect(Math.abs(mc.bands[i].p50 - r.closing)).toBeLessThanOrEqual(1);
+      expect(mc.bands[i].p10).toBe(mc.bands[i].p90);
+    });
+    expect(mc.summary.medianDepletionAge).toBe(fixed.depletionAge);
+    expect(mc.depletion.find((d) => d.age === fixed.depletionAge).share).toBe(1);
+  });
+
+  it("spreads depletion ages when returns are volatile", () => {
+    const mc = simulateAccountBasedPension(base);
+    const ages = mc.depletion.filter((d) => d.share > 0);
+    expect(ages.length).toBeGreaterThan(5);
+
+    // The chance of money lasting only falls with age, and every path is counted once
+    mc.byAge.slice(1).forEach((b, i) => expect(b.lasts).toBeLessThanOrEqual(mc.byAge[i].lasts));
+    const ranOut = mc.depletion.reduce((n, d) => n + d.share, 0);
+    expect(ranOut + mc.summary.lastsHorizon).toBeCloseTo(1, 10);
+    expect(mc.byAge.at(-1).lasts).toBeCloseTo(mc.summary.lastsHorizon, 10);
+    expect(mc.summary.outliveMoney).toBeNull();
+  });
+
+  it("weights outcomes by survival when mortality is on", () => {
+    const mc = simulateAccountBasedPension({ ...base, mortality: true, sex: "female" });
+    const curve = survivalCurve(67, "female", 30);
+    mc.byAge.forEach((b, i) => expect(b.alive).toBeCloseTo(curve[i + 1], 12));
+    mc.depletion.forEach((d) => expect(d.shareAlive).toBeLessThanOrEqual(d.share));
+    const ranOut = 1 - mc.summary.lastsHorizon;
+    expect(mc.summary.outliveMoney).toBeGreaterThan(0);
+    expect(mc.summary.outliveMoney).toBeLessThan(ranOut);
+  });
+});
+
+describe("lifeTables", () => {
+  it("matches published life expectancy at 65", () => {
+    expect(lifeExpectancy(65, "male")).toBeCloseTo(20, 0);
+    expect(lifeExpectancy(65, "female")).toBeCloseTo(22.7, 0);
+  });
+
+  it("interpolates mortality between table ages", () => {
+    expect(mortalityRate(65, "male")).toBe(0.0097);
+    expect(mortalityRate(67, "male")).toBeGreaterThan(0.0097);
+    expect(mortalityRate(67, "male")).toBeLessThan(0.0155);
+    expect(mortalityRate(110, "female")).toBe(1);
+    expect(() => mortalityRate(70, "other")).toThrow();
+  });
+});
+
+describe("projectAccountBasedPension with the Age Pension", () => {
+  const base = {
+    openingBalance: 800000,
+    age: 65,
+    returnPct: 6,
+    feePct: 0.7,
+    years: 30,
+    requestedAnnual: 50000,
+    indexByInflation: true,
+    inflationPct: 2.5,
+    agePension: true,
+    status: "single",
+    homeowner: true,
+    otherAssets: 30000,
+    otherFinancialAssets: 0,
+    rulesDate: "2026-03-20",
+  };
+  const maxRateFt = getCentrelinkRules("2026-03-20").agePension.maxRateFt.single;
+
+  it("leaves the projection unchanged when switched off", () => {
+    const off = projectAccountBasedPension({ ...base, agePension: false });
+    const on = projectAccountBasedPension(base);
+    expect(on.rows.map((r) => r.closing)).toEqual(off.rows.map((r) => r.closing));
+    expect(off.totals.totalAgePension).toBe(0);
+    expect(off.rows.every((r) => r.totalIncome === r.payment)).toBe(true);
+  });
+
+  it("starts a part pension as the balance falls and pays the full rate once it is gone", () => {
+    const r = projectAccountBasedPension(base);
+    const byAge = Object.fromEntries(r.rows.map((row) => [row.age, row]));
+    expect(byAge[66].agePension).toBe(0); // under Age Pension age
+    expect(byAge[67].agePensionRate).toBe("nil");
+
+    expect(r.agePension.startAge).toBeGreaterThan(67);
+    const start = byAge[r.agePension.startAge];
+    expect(start.agePensionRate).toBe("part");
+    expect(byAge[r.agePension.startAge + 1].agePension).toBeGreaterThan(start.agePension);
+
+    // After depletion: the full rate, indexed from today's rates
+    const last = r.rows.at(-1);
+    expect(last.closing).toBe(0);
+    expect(last.agePensionRate).toBe("full");
+    expect(last.agePension).toBe(Math.round(maxRateFt * 26 * 1.025 ** (last.year - 1)));
+    expect(r.agePension.fullRateAge).toBeLessThanOrEqual(r.depletionAge);
+    expect(last.totalIncome).toBe(last.agePension);
+    // Totals are rounded once at the end, so may differ from the sum by $1
+    expect(Math.abs(r.totals.totalRetirementIncome - r.totals.totalIncome - r.totals.totalAgePension)).toBeLessThanOrEqual(1);
+  });
+
+  it("indexes dollar thresholds but not tapers or deeming rates", () => {
+    const rules = getCentrelinkRules("2026-03-20");
+    const indexed = indexAgePensionRules(rules, 1.1);
+    expect(indexed.agePension.maxRateFt.single).toBeCloseTo(rules.agePension.maxRateFt.single * 1.1, 8);
+    expect(indexed.agePension.assetsCutOff.coupleCombined.homeowner).toBeCloseTo(1085000 * 1.1, 6);
+    expect(indexed.deeming.threshold.single).toBeCloseTo(64200 * 1.1, 8);
+    expect(indexed.agePension.assetsTaperPer1000Ft).toBe(3);
+    expect(indexed.deeming.upperRate).toBe(rules.deeming.upperRate);
+  });
+});
+
+describe("pensionTransferBalance", () => {
+  it("flags an opening balance over the general cap for a first pension", () => {
+    const tba = pensionTransferBalance({ openingBalance: 2100000 }, "2025-26");
+    expect(tba.before.started).toBe(false);
+    expect(tba.personalCap).toBe(2000000);
+    expect(tba.excess).toBe(100000);
+  });
+
+  it("adds the pension to earlier ones under a proportionally indexed cap", () => {
+    // $950,000 started in 2023–24 (cap $1.9m, 50% unused): +$50,000 in 2025–26
+    const tba = pensionTransferBalance(
+      {
+        openingBalance: 1000000,
+        priorPension: true,
+        priorPensionFy: "2023-24",
+        priorPensionCredits: 950000,
+        priorPensionDebits: 100000,
+      },
+      "2025-26"
+    );
+    expect(tba.personalCap).toBe(1950000);
+    expect(tba.before.available).toBe(1100000);
+    expect(tba.balance).toBe(1850000);
+    expect(tba.excess).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+// __tests__/api.test.js
+import { describe, it, expect } from "vitest";
+import { validateInputs } from "@/lib/inputSchema";
+import { calculateMortgage } from "@/lib/loan/mortgage";
+import taxHandler from "@/pages/api/calc/tax";
+import mortgageHandler from "@/pages/api/calc/mortgage";
+import agePensionHandler from "@/pages/api/calc/age-pension";
+import salarySacrificeHandler from "@/pages/api/calc/salary-sacrifice";
+import investmentPropertyHandler from "@/pages/api/calc/investment-property";
+
+// Minimal stand-in for the Next.js API response object
+function call(handler, { method = "POST", body } = {}) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      // Round-trip so results look exactly as a client would receive them
+      this.body = JSON.parse(JSON.stringify(payload));
+      return this;
+    },
+  };
+  handler({ method, body }, res);
+  return res;
+}
+
+describe("validateInputs", () => {
+  const schema = {
+    amount: { type: "number", min: 0 },
+    rate: { type: "number", min: 0, max: 100, default: 5 },
+    mode: { type: "enum", values: ["a", "b"], default: "a" },
+    on: { type: "boolean", default: false },
+    asAt: { type: "date", default: () => "2026-03-20" },
+  };
+
+  it("fills defaults and accepts numeric strings", () => {
+    expect(validateInputs({ amount: "1000" }, schema)).toEqual({
+      ok: true,
+      inputs: { amount: 1000, rate: 5, mode: "a", on: false, asAt: "2026-03-20" },
+    });
+  });
+
+  it("lists every problem in one message", () => {
+    const r = validateInputs({ rate: 101, mode: "c", on: "yes", asAt: "2026-02-30", extra: 1 }, schema);
+    expect(r.ok).toBe(false);
+    expect(r.error).toBe(
+      'Unknown input "extra"; "amount" is required; "rate" must be a number from 0 to 100; ' +
+        '"mode" must be one of "a", "b"; "on" must be true or false; ' +
+        '"asAt" must be a date in YYYY-MM-DD format'
+    );
+  });
+
+  it("rejects a non-object body", () => {
+    expect(validateInputs([1, 2], schema).ok).toBe(false);
+    expect(validateInputs("amount=1", schema).error).toMatch(/JSON object/);
+  });
+});
+
+describe("/api/calc/*", () => {
+  it("rejects methods other than POST", () => {
+    const res = call(taxHandler, { method: "GET" });
+    expect(res.statusCode).toBe(405);
+    expect(res.body).toEqual({ ok: false, error: "Method not allowed" });
+  });
+
+  it("returns 400 with the validation message", () => {
+    const res = call(mortgageHandler, { body: { interest: -1 } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('"interest" must be a number from 0 to 100');
+  });
+
+  it("tax: $90,000 in 2024–25", () => {
+    const res = call(taxHandler, { body: { fy: "2024-25", income: 90000 } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.result.totalTaxAnnual).toBe(19588);
+    expect(res.body.result.takeHomeAnnual).toBe(70412);
+  });
+
+  it("mortgage: returns the page's result object", () => {
+    const res = call(mortgageHandler, { body: { extra: 200 } });
+    const expected = JSON.parse(
+      JSON.stringify(
+        calculateMortgage({ loanAmount: 600000, interest: 6.5, termYears: 30, frequency: "monthly", extra: 200 })
+      )
+    );
+    expect(res.body.result).toEqual(expected);
+    expect(res.body.result.baseRepayment).toBeCloseTo(3792.41, 2);
+  });
+
+  it("age pension: rates for the requested indexation date", () => {
+    const res = call(agePensionHandler, {
+      body: { rulesDate: "2026-03-20", nonDeemedAssets: 400000, finAssets: 0, incomeFt: 0 },
+    });
+    expect(res.body.result.ratesEffectiveFrom).toBe("2026-03-20");
+    expect(res.body.result.pensionFt).toBeCloseTo(965.4, 2);
+  });
+
+  it("salary sacrifice and investment property run with page defaults", () => {
+    const ss = call(salarySacrificeHandler, { body: {} });
+    expect(ss.body.result.annualSalarySacrifice).toBe(13000);
+
+    const ip = call(investmentPropertyHandler, { body: { holdingYears: 5 } });
+    expect(ip.body.result.cashflow).toHaveLength(5);
+    expect(ip.body.inputs.loanRepaymentType).toBe("PI");
+  });
+});
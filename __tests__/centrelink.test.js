@@ -0,0 +1,425 @@
+// __tests__/centrelink.test.js
+import { describe, it, expect } from "vitest";
+import {
+  getCentrelinkRules,
+  INDEXATION_DATES,
+  currentIndexationDate,
+  deemedIncomeAnnual,
+} from "@/lib/centrelink";
+import {
+  calculateAgePension,
+  applyWorkBonus,
+  projectWorkBonusFortnights,
+} from "@/lib/centrelink/agePension";
+import { calculateJobSeeker } from "@/lib/centrelink/jobSeeker";
+import { calculateCSHC } from "@/lib/centrelink/cshc";
+import { calculateHousehold } from "@/lib/centrelink/household";
+import { calculateRentAssistance, rentHousehold } from "@/lib/centrelink/rentAssistance";
+import { calculateParentingPayment } from "@/lib/centrelink/parentingPayment";
+
+// Worked examples follow the Services Australia rate and threshold tables.
+const MAR_2026 = getCentrelinkRules("2026-03-20");
+const SEP_2025 = getCentrelinkRules("2025-09-20");
+
+describe("rules store", () => {
+  it("lists indexation dates oldest first", () => {
+    expect(INDEXATION_DATES).toEqual([...INDEXATION_DATES].sort());
+  });
+
+  it("picks the snapshot in force on a date", () => {
+    expect(getCentrelinkRules("2026-03-19").agePension.effectiveFrom).toBe("2025-09-20");
+    expect(getCentrelinkRules("2026-03-20").agePension.effectiveFrom).toBe("2026-03-20");
+    expect(currentIndexationDate("2026-01-01")).toBe("2025-09-20");
+  });
+
+  it("rejects an invalid date", () => {
+    expect(() => getCentrelinkRules("not a date")).toThrow(/Invalid rules date/);
+  });
+});
+
+describe("deeming", () => {
+  it("single with $100,000 financial assets", () => {
+    // 64,200 × 1.25% + 35,800 × 3.25%
+    expect(deemedIncomeAnnual(100000, { deeming: MAR_2026.deeming })).toBeCloseTo(1966, 2);
+    // 64,200 × 0.75% + 35,800 × 2.75%
+    expect(deemedIncomeAnnual(100000, { deeming: SEP_2025.deeming })).toBeCloseTo(1466, 2);
+  });
+
+  it("couples share the combined threshold", () => {
+    expect(
+      deemedIncomeAnnual(106200, { couple: true, deeming: MAR_2026.deeming })
+    ).toBeCloseTo(1327.5, 2);
+  });
+});
+
+describe("calculateAgePension", () => {
+  it("pays the maximum rate under both free areas", () => {
+    const r = calculateAgePension({ nonDeemedAssets: 50000 }, MAR_2026);
+    expect(r.pensionFt).toBeCloseTo(1200.9, 2);
+  });
+
+  it("single homeowner, $400,000 assets: assets test binds", () => {
+    // (400,000 − 321,500) / 1,000 × $3 = $235.50 reduction
+    const r = calculateAgePension({ nonDeemedAssets: 400000 }, MAR_2026);
+    expect(r.assetsTestFt).toBeCloseTo(965.4, 2);
+    expect(r.pensionFt).toBeCloseTo(965.4, 2);
+    expect(r.bindingTest).toBe("assets");
+  });
+
+  it("single homeowner with deemed and other income: income test binds", () => {
+    // (300 + 1,966 / 26 − 218) × 50c
+    const r = calculateAgePension(
+      { nonDeemedAssets: 200000, financialAssets: 100000, incomeFt: 300 },
+      MAR_2026
+    );
+    expect(r.deemedIncomeFt).toBeCloseTo(75.6154, 4);
+    expect(r.incomeTestFt).toBeCloseTo(1200.9 - (300 + 1966 / 26 - 218) * 0.5, 6);
+    expect(r.bindingTest).toBe("income");
+  });
+
+  it("couple at the non-homeowner cut-off receives nil", () => {
+    const r = calculateAgePension(
+      { status: "couple", homeowner: false, nonDeemedAssets: 1343000 },
+      MAR_2026
+    );
+    expect(r.pensionFt).toBe(0);
+  });
+
+  it("a renter's Rent Assistance keeps a part pension past the published cut-off", () => {
+    // 1,200.90 + 221.20 Rent Assistance − (990,000 − 579,500) / 1,000 × $3
+    const r = calculateAgePension({ homeowner: false, rentFt: 500, nonDeemedAssets: 990000 }, MAR_2026);
+    expect(r.assetsTestFt).toBeCloseTo(1422.1 - 1231.5, 6);
+    expect(r.pensionFt).toBeCloseTo(190.6, 6);
+  });
+
+  it("Work Bonus disregards the first $300 of employment income", () => {
+    // $500 earned − $300 Work Bonus = $200 assessed, inside the $218 free area
+    const withBonus = calculateAgePension({ incomeFt: 500, workBonusYou: true }, MAR_2026);
+    expect(withBonus.assessableIncomeFt).toBeCloseTo(200, 2);
+    expect(withBonus.incomeTestFt).toBeCloseTo(1200.9, 2);
+
+    const without = calculateAgePension({ incomeFt: 500 }, MAR_2026);
+    expect(without.incomeTestFt).toBeCloseTo(1200.9 - (500 - 218) * 0.5, 2);
+  });
+
+  it("uses the rates for the chosen indexation date", () => {
+    expect(calculateAgePension({}, SEP_2025).pensionFt).toBeCloseTo(1178.7, 2);
+    expect(calculateAgePension({ status: "couple" }, SEP_2025).pensionFt).toBeCloseTo(1777, 2);
+  });
+});
+
+describe("Age Pension components", () => {
+  it("adds up to the maximum rate in every snapshot", () => {
+    for (const rules of [SEP_2025, MAR_2026]) {
+      const ap = rules.agePension;
+      for (const k of ["single", "coupleEach"]) {
+        const sum = ap.basicRateFt[k] + ap.pensionSupplementFt[k] + ap.energySupplementFt[k];
+        expect(sum).toBeCloseTo(ap.maxRateFt[k], 6);
+      }
+    }
+  });
+
+  it("takes means-test reductions off the basic rate first", () => {
+    // Assets $100,000 over the limit: $300 pf less, all from the basic rate
+    const r = calculateAgePension({ nonDeemedAssets: 421500 }, MAR_2026);
+    expect(r.pensionFt).toBeCloseTo(900.9, 6);
+    expect(r.components.basicFt).toBeCloseTo(795.2, 6);
+    expect(r.components.pensionSupplementFt).toBe(91.6);
+    expect(r.components.energySupplementFt).toBe(14.1);
+  });
+
+  it("reduces the supplements once the basic rate is gone", () => {
+    const r = calculateAgePension({ nonDeemedAssets: 321500 + 1160000 / 3 }, MAR_2026);
+    expect(r.pensionFt).toBeCloseTo(40.9, 6);
+    expect(r.components.basicFt).toBe(0);
+    expect(r.components.pensionSupplementFt).toBeCloseTo(26.8, 6);
+    expect(r.components.energySupplementFt).toBe(14.1);
+  });
+
+  it("shows couple components combined", () => {
+    const r = calculateAgePension({ status: "couple" }, MAR_2026);
+    expect(r.components.basicFt).toBeCloseTo(1651, 6);
+    expect(r.components.energySupplementFt).toBeCloseTo(21.2, 6);
+  });
+});
+
+describe("transitional rate", () => {
+  it("pays the transitional rate when its gentler taper gives more", () => {
+    // $2,200 pf income, $1,982 over the free area:
+    // standard 1,200.9 − 991 (50c); transitional 1,015.3 − 792.8 (40c)
+    const standard = calculateAgePension({ incomeFt: 2200 }, MAR_2026);
+    const r = calculateAgePension({ incomeFt: 2200, transitional: true }, MAR_2026);
+    expect(standard.pensionFt).toBeCloseTo(209.9, 6);
+    expect(r.transitionalFt).toBeCloseTo(222.5, 6);
+    expect(r.rateBasis).toBe("transitional");
+    expect(r.pensionFt).toBeCloseTo(222.5, 6);
+    expect(r.standardFt).toBeCloseTo(209.9, 6);
+    // Reduced from the transitional basic rate first
+    expect(r.components.basicFt).toBeCloseTo(222.5 - 49.4 - 14.1, 6);
+  });
+
+  it("keeps the standard rate while it is higher", () => {
+    const r = calculateAgePension({ incomeFt: 300, transitional: true }, MAR_2026);
+    expect(r.rateBasis).toBe("standard");
+    expect(r.pensionFt).toBeCloseTo(r.standardFt, 6);
+  });
+});
+
+describe("Work Bonus income bank", () => {
+  const ap = MAR_2026.agePension;
+
+  it("banks the unused concession, up to the limit", () => {
+    expect(applyWorkBonus(100, 0, ap)).toMatchObject({ concessionFt: 100, bankAccruedFt: 200, bankClosing: 200 });
+    expect(applyWorkBonus(0, 11700, ap)).toMatchObject({ bankAccruedFt: 100, bankClosing: 11800 });
+  });
+
+  it("draws the bank down against earnings over $300", () => {
+    const w = applyWorkBonus(1000, 500, ap);
+    expect(w).toMatchObject({ concessionFt: 300, bankUsedFt: 500, bankClosing: 0, assessableFt: 200 });
+    const r = calculateAgePension({ incomeFt: 1000, workBonusYou: true, workBonusBank: 500 }, MAR_2026);
+    expect(r.assessableIncomeFt).toBeCloseTo(200, 6);
+    expect(r.pensionFt).toBeCloseTo(1200.9, 6);
+  });
+
+  it("carries the bank across fortnights", () => {
+    const fortnights = [
+      { incomeFt: 0 },
+      { incomeFt: 0 },
+      { incomeFt: 1000 },
+      { incomeFt: 1000 },
+    ];
+    const rows = projectWorkBonusFortnights({ workBonusYou: true }, fortnights, MAR_2026);
+    expect(rows.map((r) => r.bank)).toEqual([300, 600, 0, 0]);
+    expect(rows.map((r) => r.bankUsedFt)).toEqual([0, 0, 600, 0]);
+    expect(rows[2].assessableIncomeFt).toBeCloseTo(100, 6);
+    expect(rows[3].pensionFt).toBeCloseTo(1200.9 - (700 - 218) * 0.5, 6);
+  });
+});
+
+describe("calculateJobSeeker", () => {
+  it("single, no children, $300 a fortnight", () => {
+    // (256 − 150) × 50c + (300 − 256) × 60c = $79.40
+    const r = calculateJobSeeker({ incomeFortnight: 300 }, MAR_2026);
+    expect(r.incomeReduction).toBeCloseTo(79.4, 2);
+    expect(r.payment).toBeCloseTo(738.1, 2);
+  });
+
+  it("partner income over the partner free area reduces the payment at 60c", () => {
+    const r = calculateJobSeeker(
+      { relationshipStatus: "partnered", partnerIncomeFortnight: 1500 },
+      MAR_2026
+    );
+    expect(r.payment).toBeCloseTo(748.2 - 51, 2);
+  });
+
+  it("assets over the limit cut the payment to nil", () => {
+    const r = calculateJobSeeker({ isHomeowner: true, assets: 321501 }, MAR_2026);
+    expect(r.isAssetIneligible).toBe(true);
+    expect(r.payment).toBe(0);
+  });
+});
+
+describe("illness-separated couples", () => {
+  it("pays each partner up to the single rate on combined means", () => {
+    const base = { homeowner: true, nonDeemedAssets: 0, financialAssets: 0 };
+    const r = calculateAgePension({ ...base, status: "separated" }, MAR_2026);
+    expect(r.maxRateFt).toBeCloseTo(2 * 1200.9, 6);
+    expect(r.pensionEachFt).toBeCloseTo(1200.9, 6);
+    expect(r.components.basicFt).toBeCloseTo(2 * 1095.2, 6);
+  });
+
+  it("has a higher assets cut-off than other couples", () => {
+    const assets = { homeowner: true, nonDeemedAssets: 1200000, financialAssets: 0 };
+    expect(calculateAgePension({ ...assets, status: "couple" }, MAR_2026).pensionFt).toBe(0);
+    // 2 × 1,200.90 − (1,200,000 − 481,500) / 1,000 × 3
+    const r = calculateAgePension({ ...assets, status: "separated" }, MAR_2026);
+    expect(r.pensionFt).toBeCloseTo(2401.8 - 2155.5, 6);
+  });
+
+  it("works out Rent Assistance on each partner's own rent", () => {
+    const base = { status: "separated", homeowner: false, nonDeemedAssets: 0, financialAssets: 0 };
+    // (300 − 124.60) × 75c each
+    const r = calculateAgePension({ ...base, rentFt: 300, partnerRentFt: 300 }, MAR_2026);
+    expect(r.rentAssistanceFt).toBeCloseTo(2 * 131.55, 6);
+    expect(r.pensionEachFt).toBeCloseTo(1200.9 + 131.55, 6);
+    expect(r.partnerPensionFt).toBeCloseTo(1200.9 + 131.55, 6);
+
+    // Only you rent; the assets test reduction is shared evenly
+    const one = calculateAgePension({ ...base, rentFt: 500, nonDeemedAssets: 839500 }, MAR_2026);
+    expect(one.components.rentAssistanceFt).toBeCloseTo(221.2, 6);
+    expect(one.pensionEachFt).toBeCloseTo(1422.1 - 150, 6);
+    expect(one.partnerPensionFt).toBeCloseTo(1200.9 - 150, 6);
+    expect(one.pensionFt).toBeCloseTo(one.pensionEachFt + one.partnerPensionFt, 6);
+  });
+
+  it("gets the single JobSeeker rate with the couple assets limit", () => {
+    const r = calculateJobSeeker(
+      { relationshipStatus: "separated", isHomeowner: true, assets: 400000, partnerIncomeFortnight: 5000 },
+      MAR_2026
+    );
+    expect(r.payment).toBe(817.5);
+    expect(r.assetLimit).toBe(481500);
+  });
+});
+
+describe("calculateHousehold", () => {
+  const couple = { status: "couple", homeowner: true, nonDeemedAssets: 100000, financialAssets: 0 };
+
+  it("pays both partners the Age Pension by default", () => {
+    const h = calculateHousehold(couple, MAR_2026);
+    expect(h.members.map((m) => [m.who, m.program])).toEqual([
+      ["you", "agePension"],
+      ["partner", "agePension"],
+    ]);
+    expect(h.totalFt).toBeCloseTo(h.agePension.pensionFt, 6);
+    expect(h.jobSeeker).toBeNull();
+  });
+
+  it("pays a younger partner JobSeeker and the pensioner half the couple rate", () => {
+    const h = calculateHousehold({ ...couple, partnerPayment: "jobSeeker" }, MAR_2026);
+    expect(h.members[0].paymentFt).toBeCloseTo(905.2, 6);
+    expect(h.members[1]).toEqual({ who: "partner", program: "jobSeeker", paymentFt: 748.2 });
+    expect(h.totalFt).toBeCloseTo(905.2 + 748.2, 6);
+
+    const none = calculateHousehold({ ...couple, partnerPayment: "none" }, MAR_2026);
+    expect(none.totalFt).toBeCloseTo(905.2, 6);
+  });
+
+  it("runs the pensioner's income through the partner income test", () => {
+    const h = calculateHousehold({ ...couple, partnerPayment: "jobSeeker", incomeFt: 2000 }, MAR_2026);
+    // (2,000 − 1,415) × 60c
+    expect(h.jobSeeker.payment).toBeCloseTo(748.2 - 351, 6);
+    // The Work Bonus isn't available to a partner under pension age
+    const wb = calculateHousehold(
+      { ...couple, partnerPayment: "jobSeeker", partnerIncomeFt: 500, workBonusPartner: true },
+      MAR_2026
+    );
+    expect(wb.agePension.assessableIncomeFt).toBe(500);
+    expect(() => calculateHousehold({ ...couple, partnerPayment: "carer" }, MAR_2026)).toThrow(/Unknown partner payment/);
+  });
+});
+
+describe("calculateCSHC", () => {
+  it("adds deemed account-based pension income to ATI", () => {
+    const r = calculateCSHC(
+      { relationshipStatus: "single", taxableIncome: 95000, accountBasedPensionBalance: 400000 },
+      MAR_2026
+    );
+    // 64,200 × 1.25% + 335,800 × 3.25%
+    expect(r.deemedIncome).toBeCloseTo(11716, 2);
+    expect(r.totalAssessableIncome).toBeCloseTo(106716, 2);
+    expect(r.isEligible).toBe(false);
+  });
+
+  it("couple threshold includes the per-child add-on", () => {
+    const r = calculateCSHC({ relationshipStatus: "couple", numChildren: 2 }, MAR_2026);
+    expect(r.totalThreshold).toBeCloseTo(161768 + 2 * 639.6, 2);
+    expect(r.isEligible).toBe(true);
+  });
+});
+
+describe("Rent Assistance", () => {
+  it("picks the household type", () => {
+    expect(rentHousehold({})).toBe("single");
+    expect(rentHousehold({ sharer: true })).toBe("singleSharer");
+    expect(rentHousehold({ status: "couple", sharer: true })).toBe("couple");
+    expect(rentHousehold({ status: "single", sharer: true, children: 2 })).toBe("singleChildren1to2");
+    expect(rentHousehold({ status: "couple", children: 3 })).toBe("coupleChildren3plus");
+    expect(rentHousehold({ status: "separated", children: 1 })).toBe("separated");
+  });
+
+  it("pays 75c per $1 over the threshold, up to the maximum", () => {
+    // (300 − 153.90) × 75c
+    expect(calculateRentAssistance({ rentFt: 300 }, MAR_2026).rentAssistanceFt).toBeCloseTo(109.575, 6);
+    const high = calculateRentAssistance({ rentFt: 500 }, MAR_2026);
+    expect(high.rentAssistanceFt).toBe(221.2);
+    expect(high.rentForMaxFt).toBeCloseTo(153.9 + 221.2 / 0.75, 6);
+    expect(calculateRentAssistance({ rentFt: 500, homeowner: true }, MAR_2026).rentAssistanceFt).toBe(0);
+  });
+
+  it("is added to JobSeeker's maximum rate before the income test", () => {
+    const r = calculateJobSeeker({ rentFortnight: 300, incomeFortnight: 300 }, MAR_2026);
+    expect(r.rentAssistance).toBeCloseTo(109.575, 6);
+    expect(r.maxPaymentTotal).toBeCloseTo(817.5 + 109.575, 6);
+    expect(r.payment).toBeCloseTo(817.5 + 109.575 - 79.4, 6);
+    expect(calculateJobSeeker({ isHomeowner: true, rentFortnight: 300 }, MAR_2026).rentAssistance).toBe(0);
+  });
+
+  it("comes off the Age Pension after the Pension Supplement", () => {
+    const base = { homeowner: false, rentFt: 500, nonDeemedAssets: 0, financialAssets: 0 };
+    const full = calculateAgePension(base, MAR_2026);
+    expect(full.maxRateFt).toBeCloseTo(1200.9 + 221.2, 6);
+    expect(full.components.rentAssistanceFt).toBe(221.2);
+    // Reduction of 1,095.20 + 91.60 + 100 leaves 121.20 of Rent Assistance
+    const r = calculateAgePension({ ...base, incomeFt: 218 + 2 * 1286.8 }, MAR_2026);
+    expect(r.components.basicFt).toBe(0);
+    expect(r.components.pensionSupplementFt).toBe(0);
+    expect(r.components.rentAssistanceFt).toBeCloseTo(121.2, 6);
+    expect(r.components.energySupplementFt).toBe(14.1);
+  });
+
+  it("is split between a pension and a JobSeeker partner", () => {
+    const h = calculateHousehold(
+      { status: "couple", homeowner: false, rentFt: 400, partnerPayment: "jobSeeker", financialAssets: 0 },
+      MAR_2026
+    );
+    // (400 − 249.10) × 75c for the couple
+    expect(h.agePension.rentAssistanceFt).toBeCloseTo(113.175, 6);
+    expect(h.jobSeeker.rentAssistance).toBeCloseTo(113.175 / 2, 6);
+    expect(h.members[1].paymentFt).toBeCloseTo(748.2 + 113.175 / 2, 6);
+  });
+
+  it("pays illness-separated partners Rent Assistance on their own rent", () => {
+    const h = calculateHousehold(
+      {
+        status: "separated",
+        homeowner: false,
+        rentFt: 300,
+        partnerRentFt: 200,
+        partnerPayment: "jobSeeker",
+        nonDeemedAssets: 0,
+        financialAssets: 0,
+      },
+      MAR_2026
+    );
+    // (300 − 124.60) and (200 − 124.60) × 75c, each in full
+    expect(h.members[0].paymentFt).toBeCloseTo(1200.9 + 131.55, 6);
+    expect(h.jobSeeker.rentAssistance).toBeCloseTo(56.55, 6);
+    expect(h.members[1].paymentFt).toBeCloseTo(817.5 + 56.55, 6);
+  });
+});
+
+describe("calculateParentingPayment", () => {
+  it("single parents' free area rises with each child after the first", () => {
+    const r = calculateParentingPayment(
+      { children: 2, youngestAge: 3, isHomeowner: true, incomeFortnight: 400 },
+      MAR_2026
+    );
+    // (400 − 222.80 − 26.60) × 40c
+    expect(r.incomeFreeArea).toBeCloseTo(249.4, 6);
+    expect(r.payment).toBeCloseTo(1070.7 - 60.24, 6);
+  });
+
+  it("uses JobSeeker's partnered tapers and partner income test", () => {
+    const r = calculateParentingPayment(
+      { relationshipStatus: "partnered", youngestAge: 5, incomeFortnight: 300, partnerIncomeFortnight: 1500 },
+      MAR_2026
+    );
+    expect(r.payment).toBeCloseTo(760.1 - 79.4 - 51, 6);
+  });
+
+  it("stops once the youngest child is too old", () => {
+    const partnered = calculateParentingPayment({ relationshipStatus: "partnered", youngestAge: 6 }, MAR_2026);
+    expect(partnered.isAgeIneligible).toBe(true);
+    expect(partnered.payment).toBe(0);
+    expect(calculateParentingPayment({ youngestAge: 13 }, MAR_2026).isAgeIneligible).toBe(false);
+    expect(calculateParentingPayment({ youngestAge: 14 }, MAR_2026).payment).toBe(0);
+  });
+
+  it("adds Rent Assistance at the family rates", () => {
+    const r = calculateParentingPayment({ youngestAge: 2, rentFortnight: 400 }, MAR_2026);
+    // (400 − 202.02) × 75c
+    expect(r.rentAssistance).toBeCloseTo(148.485, 6);
+    expect(r.payment).toBeCloseTo(1070.7 + 148.485, 6);
+  });
+});
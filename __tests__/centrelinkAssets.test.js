@@ -0,0 +1,200 @@
+// __tests__/centrelinkAssets.test.js
+import { describe, it, expect } from "vitest";
+import { getCentrelinkRules } from "@/lib/centrelink";
+import { calculateAgePension } from "@/lib/centrelink/agePension";
+import { assessGifts, financialYearOf, giftingExcessIn, projectGift } from "@/lib/centrelink/gifting";
+import {
+  classifyAssets,
+  summariseIncome,
+  deemedIncomeByOwnerFt,
+  describeTreatment,
+} from "@/lib/centrelink/assets";
+
+const MAR_2026 = getCentrelinkRules("2026-03-20");
+const GIFTING = MAR_2026.assets.gifting;
+
+describe("gifting", () => {
+  it("finds the financial year of a date", () => {
+    expect(financialYearOf("2026-03-20")).toBe(2025);
+    expect(financialYearOf("2025-07-01")).toBe(2025);
+    expect(financialYearOf("2025-06-30")).toBe(2024);
+    expect(() => financialYearOf("soon")).toThrow(/Invalid date/);
+  });
+
+  it("applies the annual and five-year limits", () => {
+    // 10k allowed in each of the first three years uses up the 30k
+    const years = assessGifts(
+      [
+        { amount: 15000, fy: 2021 },
+        { amount: 10000, fy: 2022 },
+        { amount: 8000, fy: 2023 },
+        { amount: 6000, fy: 2024 },
+        { amount: 4000, fy: 2026 },
+      ],
+      GIFTING
+    );
+    expect(years.map((y) => [y.fy, y.allowed, y.excess])).toEqual([
+      [2021, 10000, 5000],
+      [2022, 10000, 0],
+      [2023, 8000, 0],
+      [2024, 2000, 4000],
+      // 2021's allowance has dropped out of the five-year window
+      [2026, 4000, 0],
+    ]);
+    expect(years[0].assessedUntil).toBe(2025);
+  });
+
+  it("counts the excess for five years and shares it between gifts", () => {
+    const gifts = [
+      { amount: 12000, fy: 2021 },
+      { amount: 6000, fy: 2021 },
+    ];
+    expect(giftingExcessIn(gifts, 2025, GIFTING)).toEqual({ total: 8000, perGift: [16000 / 3, 8000 / 3] });
+    expect(giftingExcessIn(gifts, 2026, GIFTING).total).toBe(0);
+  });
+});
+
+describe("projectGift", () => {
+  // Assets test binds: each $1,000 given away is worth $3 pf once it stops counting
+  const inputs = { status: "single", homeowner: true, nonDeemedAssets: 200000, financialAssets: 400000 };
+
+  it("keeps the excess assessed and deemed for five years", () => {
+    const rows = projectGift(inputs, { amount: 40000 }, MAR_2026);
+    expect(rows.map((r) => r.fy)).toEqual([2025, 2026, 2027, 2028, 2029, 2030]);
+    expect(rows[0]).toMatchObject({ givenFy: 40000, allowedFy: 10000, excessFy: 30000, deprivedAssets: 30000 });
+    expect(rows[0].financialAssets).toBe(390000);
+    expect(rows[0].bindingTest).toBe("assets");
+    expect(rows[0].changeFt).toBeCloseTo(30, 6);
+    expect(rows[4].changeFt).toBeCloseTo(30, 6);
+    expect(rows[5].deprivedAssets).toBe(0);
+    expect(rows[5].changeFt).toBeCloseTo(120, 6);
+  });
+
+  it("spreads a gift over several years within the limits", () => {
+    const rows = projectGift(inputs, { amount: 30000, years: 3 }, MAR_2026);
+    expect(rows).toHaveLength(8);
+    expect(rows.every((r) => r.deprivedAssets === 0)).toBe(true);
+    expect(rows.map((r) => Math.round(r.changeFt))).toEqual([30, 60, 90, 90, 90, 90, 90, 90]);
+    expect(rows[0].baselineFt).toBe(calculateAgePension(inputs, MAR_2026).pensionFt);
+  });
+});
+
+describe("classifyAssets", () => {
+  it("sorts items into deemed, assessable, exempt and gifting excess", () => {
+    const { items, totals } = classifyAssets(
+      [
+        { type: "bank", value: 40000 },
+        { type: "shares", value: 60000 },
+        { type: "superPension", value: 200000 },
+        { type: "car", value: 15000 },
+        { type: "contents", value: 10000 },
+        { type: "investmentProperty", value: 500000, debt: 200000 },
+        { type: "home", value: 900000 },
+        { type: "grannyFlat", value: 150000 },
+        { type: "funeralBond", value: 20000 },
+        { type: "gift", value: 25000, fy: 2025 },
+      ],
+      {},
+      MAR_2026
+    );
+    expect(items.find((i) => i.type === "investmentProperty").parts).toEqual([
+      { treatment: "assessable", amount: 300000 },
+    ]);
+    // Over the $15,750 limit, so none of the bond is exempt
+    expect(items.find((i) => i.type === "funeralBond").parts).toEqual([{ treatment: "deemed", amount: 20000 }]);
+    expect(totals).toEqual({
+      deemed: 40000 + 60000 + 200000 + 20000,
+      assessable: 15000 + 10000 + 300000,
+      exempt: 900000 + 150000 + 10000,
+      giftingExcess: 15000,
+      financialAssets: 320000 + 15000,
+      nonDeemedAssets: 325000,
+      totalAssessable: 335000 + 325000,
+    });
+  });
+
+  it("exempts accumulation super until its owner reaches pension age", () => {
+    const items = [
+      { type: "superAccumulation", value: 100000, owner: "you" },
+      { type: "superAccumulation", value: 80000, owner: "partner" },
+    ];
+    const { totals, financialByOwner } = classifyAssets(
+      items,
+      { couple: true, pensionAge: { you: true, partner: false } },
+      MAR_2026
+    );
+    expect(totals.deemed).toBe(100000);
+    expect(totals.exempt).toBe(80000);
+    expect(financialByOwner).toEqual({ you: 100000, partner: 0 });
+  });
+
+  it("splits joint assets and gives each partner a funeral bond limit", () => {
+    const { items, financialByOwner } = classifyAssets(
+      [
+        { type: "bank", value: 50000, owner: "joint" },
+        { type: "funeralBond", value: 30000, owner: "joint" },
+      ],
+      { couple: true },
+      MAR_2026
+    );
+    // 15,000 each is inside each partner's limit
+    expect(items[1].parts).toEqual([{ treatment: "exempt", amount: 30000 }]);
+    expect(financialByOwner).toEqual({ you: 25000, partner: 25000 });
+  });
+
+  it("deems every bond of a partner whose bonds go over the limit", () => {
+    const { items, totals } = classifyAssets(
+      [
+        { type: "funeralBond", value: 30000, owner: "joint" },
+        { type: "funeralBond", value: 5000, owner: "you" },
+      ],
+      { couple: true },
+      MAR_2026
+    );
+    // Your 15,000 + 5,000 is over 15,750; your partner's 15,000 is not
+    expect(items[0].parts).toEqual([
+      { treatment: "exempt", amount: 15000 },
+      { treatment: "deemed", amount: 15000 },
+    ]);
+    expect(items[1].parts).toEqual([{ treatment: "deemed", amount: 5000 }]);
+    expect(totals.deemed).toBe(20000);
+    expect(describeTreatment(items[0].parts)).toBe("Exempt 15000, Deemed 15000");
+  });
+
+  it("rejects unknown types", () => {
+    expect(() => classifyAssets([{ type: "yacht", value: 1 }], {}, MAR_2026)).toThrow(/Unknown asset type/);
+    expect(() => summariseIncome([{ type: "lottery", amount: 1 }])).toThrow(/Unknown income type/);
+  });
+});
+
+describe("itemised income", () => {
+  it("separates employment income from other income per person", () => {
+    const income = summariseIncome(
+      [
+        { type: "employment", amount: 500, owner: "you" },
+        { type: "rent", amount: 600, owner: "joint" },
+        { type: "other", amount: 100, owner: "partner" },
+      ],
+      { couple: true }
+    );
+    expect(income).toEqual({ employmentFt: { you: 500, partner: 0 }, otherFt: { you: 300, partner: 400 } });
+    // Singles own everything
+    expect(summariseIncome([{ type: "rent", amount: 600, owner: "joint" }]).otherFt).toEqual({ you: 600, partner: 0 });
+  });
+
+  it("shares deemed income in proportion to financial assets", () => {
+    const deeming = MAR_2026.deeming;
+    const { you, partner } = deemedIncomeByOwnerFt({ you: 150000, partner: 50000 }, { couple: true, deeming });
+    // 106,200 × 1.25% + 93,800 × 3.25% = 4,376.00 a year
+    expect(you + partner).toBeCloseTo(4376 / 26, 6);
+    expect(you / partner).toBeCloseTo(3, 6);
+  });
+
+  it("keeps the Work Bonus off non-work income", () => {
+    const base = { status: "single", financialAssets: 0, workBonusYou: true };
+    const work = calculateAgePension({ ...base, incomeFt: 600 }, MAR_2026);
+    const rent = calculateAgePension({ ...base, nonWorkIncomeFt: 600 }, MAR_2026);
+    expect(work.assessableIncomeFt).toBe(300);
+    expect(rent.assessableIncomeFt).toBe(600);
+  });
+});
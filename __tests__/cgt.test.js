@@ -0,0 +1,124 @@
+// __tests__/cgt.test.js
+import { describe, it, expect } from "vitest";
+import {
+  calculateCgt,
+  CGT_INPUTS,
+  financialYearOfDate,
+  netCapitalGain,
+  parcelGain,
+  qualifiesForDiscount,
+  taxOnCapitalGain,
+} from "@/lib/tax/cgt";
+import { schemaDefaults } from "@/lib/inputSchema";
+
+describe("12-month rule", () => {
+  it("needs a sale after the first anniversary", () => {
+    expect(qualifiesForDiscount("2024-01-01", "2025-01-01")).toBe(false);
+    expect(qualifiesForDiscount("2024-01-01", "2025-01-02")).toBe(true);
+    // 29 February rolls to 1 March
+    expect(qualifiesForDiscount("2024-02-29", "2025-03-01")).toBe(false);
+    expect(qualifiesForDiscount("2024-02-29", "2025-03-02")).toBe(true);
+  });
+
+  it("places a sale in its financial year", () => {
+    expect(financialYearOfDate("2026-03-31")).toBe("2025-26");
+    expect(financialYearOfDate("2026-07-01")).toBe("2026-27");
+  });
+
+  it("parcelGain splits gains from losses", () => {
+    const p = parcelGain({ acquired: "2020-01-01", disposed: "2025-06-30", costBase: 10000, proceeds: 7000 });
+    expect(p).toMatchObject({ gain: 0, loss: 3000, discountable: true });
+    expect(() => parcelGain({ acquired: "2025-01-02", disposed: "2025-01-01", costBase: 1, proceeds: 1 })).toThrow(
+      /can't be sold/
+    );
+  });
+});
+
+describe("netCapitalGain", () => {
+  it("uses this year's losses, then earlier ones, on non-discount gains first", () => {
+    const r = netCapitalGain({
+      gains: [
+        { gain: 10000, discountable: true },
+        { gain: 4000, discountable: false },
+      ],
+      currentLosses: 3000,
+      carriedForwardLosses: 2000,
+    });
+    expect(r.currentLossesApplied).toBe(3000);
+    expect(r.carriedForwardApplied).toBe(2000);
+    // $1,000 of the earlier losses comes off the discountable gain: ($10,000 − $1,000) × 50%
+    expect(r.discount).toBe(4500);
+    expect(r.netCapitalGain).toBe(4500);
+    expect(r.lossesCarriedForward).toBe(0);
+  });
+
+  it("carries forward losses the gains can't absorb", () => {
+    const r = netCapitalGain({
+      gains: [{ gain: 5000, discountable: true }],
+      currentLosses: 2000,
+      carriedForwardLosses: 6000,
+    });
+    expect(r.carriedForwardApplied).toBe(3000);
+    expect(r.netCapitalGain).toBe(0);
+    expect(r.lossesCarriedForward).toBe(3000);
+  });
+});
+
+describe("taxOnCapitalGain", () => {
+  it("stacks the gain on other income across the brackets", () => {
+    const r = taxOnCapitalGain({ fy: "2025-26", otherTaxableIncome: 40000, gain: 10000 });
+    expect(r.byBracket.map((b) => [b.rate, b.amount])).toEqual([
+      [0.16, 5000],
+      [0.3, 5000],
+    ]);
+    // $2,300 of bracket tax, $325 less LITO and $200 of Medicare levy
+    expect(r.tax).toBeCloseTo(2825, 6);
+    expect(r.averageRate).toBeCloseTo(0.2825, 6);
+  });
+
+  it("leaves the part under the tax-free threshold untaxed", () => {
+    const r = taxOnCapitalGain({ fy: "2025-26", otherTaxableIncome: 0, gain: 20000 });
+    expect(r.byBracket[0]).toMatchObject({ rate: 0, amount: 18200 });
+    expect(r.byBracket[1]).toMatchObject({ rate: 0.16, amount: 1800 });
+  });
+});
+
+describe("calculateCgt", () => {
+  const defaults = schemaDefaults(CGT_INPUTS);
+
+  it("works the default parcels through to tax", () => {
+    const r = calculateCgt(defaults);
+    expect(r.fy).toBe("2025-26");
+    expect(r.parcels).toHaveLength(2);
+    expect(r.discountableGains).toBe(25000);
+    expect(r.otherGains).toBe(4000);
+    // $5,000 of earlier losses: $4,000 off the short-term gain, $1,000 off the rest
+    expect(r.netCapitalGain).toBe(12000);
+    expect(r.tax).toBeCloseTo(
+      taxOnCapitalGain({ fy: "2025-26", otherTaxableIncome: 90000, gain: 12000 }).tax,
+      6
+    );
+    expect(r.afterTaxProceeds).toBeCloseTo(89000 - r.tax, 6);
+  });
+
+  it("counts a loss on one parcel against another", () => {
+    const r = calculateCgt({ ...defaults, parcel3CostBase: 10000, parcel3Proceeds: 4000, carriedForwardLosses: 0 });
+    expect(r.parcelLosses).toBe(6000);
+    // $4,000 off the short-term gain, $2,000 off the discountable one
+    expect(r.netCapitalGain).toBe(11500);
+  });
+
+  it("leaves out parcels bought after the sale", () => {
+    const r = calculateCgt({ ...defaults, parcel2Acquired: "2026-04-01" });
+    expect(r.parcels[1].error).toMatch(/after the sale/);
+    expect(r.otherGains).toBe(0);
+    expect(r.totalProceeds).toBe(65000);
+  });
+
+  it("falls back to the latest tax rates for later years", () => {
+    const r = calculateCgt({ ...defaults, disposalDate: "2031-01-15" });
+    expect(r.fy).toBe("2030-31");
+    expect(r.ratesFy).not.toBe("2030-31");
+    expect(r.tax).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,92 @@
+// __tests__/export.test.js
+import ExcelJS from "exceljs";
+import { describe, it, expect } from "vitest";
+import { schemaInputs, scheduleRows, toCsv, exportFilename } from "@/lib/export";
+import { renderWorkbook } from "@/lib/export/xlsx";
+import { MORTGAGE_INPUTS } from "@/lib/loan/mortgage";
+
+const data = {
+  title: "Mortgage Repayment Calculator",
+  inputs: schemaInputs(
+    MORTGAGE_INPUTS,
+    { loanAmount: "500000", interest: 6.5 },
+    { loanAmount: { label: "Loan amount", format: "currency" }, interest: "Interest rate (% p.a.)" }
+  ),
+  columns: [
+    { key: "Year", format: "integer", value: (r) => r.year },
+    { key: "Interest", format: "currency", value: (r) => r.interest },
+    { key: "Note", format: "text", value: (r) => r.note },
+  ],
+  rows: [
+    { year: 1, interest: 32123.456, note: "first, partial" },
+    { year: 2, interest: NaN, note: 'says "hi"' },
+  ],
+};
+
+describe("schemaInputs", () => {
+  it("lists every schema input in order, with cleaned values", () => {
+    const inputs = schemaInputs(MORTGAGE_INPUTS, { loanAmount: "500000", interest: "abc" });
+    expect(inputs.map((i) => i.key)).toEqual(Object.keys(MORTGAGE_INPUTS));
+    const byKey = Object.fromEntries(inputs.map((i) => [i.key, i]));
+    expect(byKey.loanAmount.value).toBe(500000);
+    expect(byKey.interest.value).toBe(MORTGAGE_INPUTS.interest.default);
+  });
+
+  it("takes labels and formats from the page, falling back to the key and field type", () => {
+    const byKey = Object.fromEntries(data.inputs.map((i) => [i.key, i]));
+    expect(byKey.loanAmount).toMatchObject({ label: "Loan amount", format: "currency" });
+    expect(byKey.interest).toMatchObject({ label: "Interest rate (% p.a.)", format: "number" });
+    expect(byKey.frequency).toMatchObject({ label: "frequency", format: "text" });
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header of column keys and raw values rounded to the cent", () => {
+    expect(scheduleRows(data)[1]).toEqual([1, 32123.46, "first, partial"]);
+    expect(toCsv(data).split("\r\n")).toEqual([
+      "Year,Interest,Note",
+      '1,32123.46,"first, partial"',
+      '2,,"says ""hi"""',
+    ]);
+  });
+
+  it("keeps the header when there are no rows", () => {
+    expect(toCsv({ ...data, rows: [] })).toBe("Year,Interest,Note");
+  });
+});
+
+describe("renderWorkbook", () => {
+  it("writes an inputs sheet and a schedule sheet with number formats", async () => {
+    const buffer = await renderWorkbook(data, { url: "https://fintoolbox.com.au/calculators/mortgage?v=1" })
+      .xlsx.writeBuffer();
+
+    const book = new ExcelJS.Workbook();
+    await book.xlsx.load(buffer);
+    expect(book.worksheets.map((s) => s.name)).toEqual(["Inputs", "Schedule"]);
+
+    const inputs = book.getWorksheet("Inputs");
+    expect(inputs.getRow(1).values.slice(1)).toEqual(["key", "label", "value"]);
+    expect(inputs.getRow(2).values.slice(1)).toEqual(["loanAmount", "Loan amount", 500000]);
+    expect(inputs.getCell("C2").numFmt).toBe('"$"#,##0;-"$"#,##0');
+
+    const schedule = book.getWorksheet("Schedule");
+    expect(schedule.getRow(1).values.slice(1)).toEqual(["Year", "Interest", "Note"]);
+    expect(schedule.getCell("B2").value).toBe(32123.46);
+    expect(schedule.getCell("B2").numFmt).toBe('"$"#,##0;-"$"#,##0');
+    expect(schedule.getCell("A2").numFmt).toBe("0");
+    expect(schedule.getCell("B3").value).toBe(null);
+  });
+
+  it("names the schedule sheet from the export", async () => {
+    const book = renderWorkbook({ ...data, sheet: "Results" });
+    expect(book.worksheets.map((s) => s.name)).toEqual(["Inputs", "Results"]);
+  });
+});
+
+describe("exportFilename", () => {
+  it("slugs the title and dates the file", () => {
+    expect(exportFilename("Age Pension Calculator", "xlsx", new Date(2025, 8, 20))).toBe(
+      "fintoolbox-age-pension-calculator-2025-09-20.xlsx"
+    );
+  });
+});
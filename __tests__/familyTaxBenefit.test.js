@@ -0,0 +1,130 @@
+// __tests__/familyTaxBenefit.test.js
+import { describe, it, expect } from "vitest";
+import { getCentrelinkRules, adjustedTaxableIncome } from "@/lib/centrelink";
+import { calculateCSHC } from "@/lib/centrelink/cshc";
+import {
+  calculateFamilyTaxBenefit,
+  calculateFamilyTaxBenefitForInputs,
+  ftbPercentage,
+  parentAtis,
+} from "@/lib/centrelink/familyTaxBenefit";
+
+const SEP_2025 = getCentrelinkRules("2025-09-20");
+const twoKids = [
+  { age: 3, carePct: 100 },
+  { age: 8, carePct: 100 },
+];
+
+describe("ftbPercentage", () => {
+  it("follows the care bands", () => {
+    expect([34, 35, 47, 50, 53, 65, 80, 87, 100].map(ftbPercentage)).toEqual([0, 25, 49, 50, 51, 75, 76, 100, 100]);
+  });
+});
+
+describe("adjustedTaxableIncome", () => {
+  it("adds the reportable amounts to taxable income", () => {
+    expect(
+      adjustedTaxableIncome({ taxableIncome: 60000, reportableSuper: 5000, employerBenefits: "2000", foreignIncome: "" })
+    ).toBe(67000);
+  });
+
+  it("is the income the CSHC test uses", () => {
+    const r = calculateCSHC({ relationshipStatus: "single", taxableIncome: 60000, reportableSuper: 5000 }, SEP_2025);
+    expect(r.totalAssessableIncome).toBe(65000);
+  });
+
+  it("is worked out for each parent from calculator inputs", () => {
+    const atis = parentAtis({
+      taxableIncome: 80000,
+      investmentLosses: 4000,
+      partnerTaxableIncome: 20000,
+      partnerReportableSuper: 1000,
+    });
+    expect(atis).toEqual({ youAti: 84000, partnerAti: 21000 });
+  });
+});
+
+describe("calculateFamilyTaxBenefit", () => {
+  it("pays the maximum rates and supplements on a low income", () => {
+    const r = calculateFamilyTaxBenefit({ status: "single", youAti: 50000, children: twoKids }, SEP_2025);
+    expect(r.partA.method).toBe("maximum");
+    expect(r.partA.annual).toBeCloseTo(2 * 222.04 * 26, 6);
+    expect(r.partA.supplement).toBeCloseTo(2 * 916.15, 6);
+    expect(r.partB.eligible).toBe(true);
+    expect(r.partB.annual).toBeCloseTo(188.86 * 26, 6);
+    expect(r.partB.supplement).toBe(448.95);
+    expect(r.totalAnnual).toBeCloseTo(11546.08 + 1832.3 + 4910.36 + 448.95, 6);
+  });
+
+  it("falls back to the base rate method on a higher family income", () => {
+    const r = calculateFamilyTaxBenefit({ status: "couple", youAti: 90000, partnerAti: 30000, children: twoKids }, SEP_2025);
+    expect(r.familyAti).toBe(120000);
+    // 11,546.08 − 54,811 × 20% − 4,003 × 30% is below zero
+    expect(r.partA.method1).toBe(0);
+    // 3,705.52 − 4,003 × 30%
+    expect(r.partA.method).toBe("base");
+    expect(r.partA.annual).toBeCloseTo(2504.62, 6);
+    // Over the supplement income limit
+    expect(r.partA.supplement).toBe(0);
+    // Part B: 4,910.36 − (30,000 − 6,789) × 20%
+    expect(r.partB.annual).toBeCloseTo(268.16, 6);
+    expect(r.partB.primaryAti).toBe(90000);
+  });
+
+  it("applies the Part B primary earner limit and youngest-child ages", () => {
+    const high = calculateFamilyTaxBenefit({ status: "couple", youAti: 120000, children: twoKids }, SEP_2025);
+    expect(high.partB.eligible).toBe(false);
+    expect(high.partB.reason).toMatch(/Primary earner/);
+
+    const teen = [{ age: 14, carePct: 100 }];
+    const couple = calculateFamilyTaxBenefit({ status: "couple", youAti: 50000, children: teen }, SEP_2025);
+    expect(couple.partB.reason).toMatch(/13 or older/);
+    const single = calculateFamilyTaxBenefit({ status: "single", youAti: 50000, children: teen }, SEP_2025);
+    expect(single.partB.annual).toBeCloseTo(131.74 * 26, 6);
+    // Part A uses the 13–19 rate
+    expect(single.partA.annual).toBeCloseTo(288.82 * 26, 6);
+  });
+
+  it("stops Part B once the secondary earner's income is too high", () => {
+    const r = calculateFamilyTaxBenefit({ status: "couple", youAti: 50000, partnerAti: 40000, children: twoKids }, SEP_2025);
+    expect(r.partB.annual).toBe(0);
+    expect(r.partB.reason).toMatch(/Secondary earner/);
+    expect(r.partB.supplement).toBe(0);
+  });
+
+  it("scales each child's rates by the FTB percentage for shared care", () => {
+    const r = calculateFamilyTaxBenefit(
+      {
+        status: "single",
+        youAti: 40000,
+        children: [
+          { age: 3, carePct: 40 },
+          { age: 8, carePct: 20 },
+        ],
+      },
+      SEP_2025
+    );
+    expect(r.children.map((c) => c.sharePct)).toEqual([35, 0]);
+    expect(r.partA.annual).toBeCloseTo(222.04 * 0.35 * 26, 6);
+    expect(r.partA.supplement).toBeCloseTo(916.15 * 0.35, 6);
+    // The child in less than 35% care doesn't count towards Part B either
+    expect(r.partB.youngestAge).toBe(3);
+    expect(r.partB.annual).toBeCloseTo(188.86 * 0.35 * 26, 6);
+  });
+
+  it("reads the children and incomes from calculator inputs", () => {
+    const r = calculateFamilyTaxBenefitForInputs({
+      rulesDate: "2025-09-20",
+      status: "single",
+      children: 1,
+      childAge1: 3,
+      childCare1: 100,
+      childAge2: 8,
+      taxableIncome: 50000,
+      partnerTaxableIncome: 90000,
+    });
+    expect(r.children).toHaveLength(1);
+    expect(r.familyAti).toBe(50000);
+    expect(r.ratesEffectiveFrom).toBe("2025-09-20");
+  });
+});
@@ -0,0 +1,76 @@
+// __tests__/franking.test.js
+import { describe, it, expect } from "vitest";
+import { applyFrankingOffset, frankingCredit, grossUpDividend } from "@/lib/tax/franking";
+import { calculateTakeHome } from "@/lib/tax/takeHome";
+
+describe("franking credits", () => {
+  it("grosses up at the company tax rate", () => {
+    expect(frankingCredit(7000)).toBeCloseTo(3000, 6);
+    expect(frankingCredit(7500, { companyTaxRate: 0.25 })).toBeCloseTo(2500, 6);
+    expect(frankingCredit(7000, { frankingPct: 50 })).toBeCloseTo(1500, 6);
+    expect(grossUpDividend(7000)).toEqual({ dividend: 7000, frankingCredit: expect.any(Number), grossedUp: 10000 });
+  });
+
+  it("refunds credits the tax can't absorb", () => {
+    expect(applyFrankingOffset(1000, 3000)).toEqual({ offsetUsed: 1000, refund: 2000, taxAfterOffset: 0 });
+    expect(applyFrankingOffset(5000, 3000)).toEqual({ offsetUsed: 3000, refund: 0, taxAfterOffset: 2000 });
+  });
+});
+
+describe("calculateTakeHome with dividends", () => {
+  const base = { fy: "2025-26", income: 0, frequency: "annual" };
+
+  it("adds the grossed-up dividend to taxable income", () => {
+    const r = calculateTakeHome({ ...base, dividends: 7500, companyTaxRate: "25" });
+    expect(r.franking.frankingCredit).toBeCloseTo(2500, 6);
+    expect(r.taxableIncome).toBe(10000);
+  });
+
+  it("refunds the whole credit below the tax-free threshold", () => {
+    // $14,000 fully franked: $20,000 taxable, and LITO covers the bracket tax
+    const r = calculateTakeHome({ ...base, dividends: 14000 });
+    expect(r.totalTaxAnnual).toBe(0);
+    expect(r.frankingRefund).toBe(6000);
+    expect(r.takeHomeAnnual).toBe(20000);
+  });
+
+  it("SAPTO leaves more of the credit to refund", () => {
+    const args = { ...base, dividends: 21000 }; // $30,000 taxable
+    const withoutSapto = calculateTakeHome(args);
+    const withSapto = calculateTakeHome({ ...args, saptoYou: true });
+    expect(withSapto.frankingRefund).toBe(9000);
+    expect(withoutSapto.frankingRefund).toBe(Math.round(9000 - withoutSapto.tax.totalTax));
+    expect(withoutSapto.franking.offsetUsed).toBeCloseTo(withoutSapto.tax.totalTax, 6);
+  });
+
+  it("credits come off the tax of a higher earner", () => {
+    const r = calculateTakeHome({ ...base, income: 120000, dividends: 7000 });
+    expect(r.taxableIncome).toBe(130000);
+    expect(r.frankingRefund).toBe(0);
+    expect(r.totalTaxAnnual).toBe(Math.round(r.tax.totalTax - 3000));
+    expect(r.takeHomeAnnual).toBe(127000 - r.totalTaxAnnual);
+  });
+
+  it("settles a franking refund in the pay-slip reconciliation", () => {
+    const args = { fy: "2025-26", income: 1000, frequency: "weekly", paySlipMode: true };
+    const pay = calculateTakeHome(args);
+    const withDividends = calculateTakeHome({ ...args, dividends: 70000 });
+    // Nothing is withheld from dividends
+    expect(withDividends.payslip.annual).toBe(pay.payslip.annual);
+    expect(withDividends.payslip.assessed).toBe(withDividends.totalTaxAnnual - withDividends.frankingRefund);
+  });
+
+  it("takes a Medicare levy exemption off the tax before franking credits", () => {
+    // $35,600 taxable, with a $6,000 credit
+    const args = { fy: "2025-26", income: 300, frequency: "weekly", paySlipMode: true, dividends: 14000 };
+    const levyPaid = calculateTakeHome(args);
+    const exempt = calculateTakeHome({ ...args, medicareVariation: "full" });
+    // The credit covers the tax either way, so the exemption adds to the refund once
+    expect(exempt.totalTaxAnnual).toBe(0);
+    expect(exempt.payslip.medicareExemption).toBe(Math.round(exempt.tax.medicareLevy));
+    expect(exempt.frankingRefund).toBe(Math.round(6000 - (exempt.tax.totalTax - exempt.payslip.medicareExemption)));
+    expect(exempt.payslip.assessed).toBe(-exempt.frankingRefund);
+    expect(exempt.frankingRefund - levyPaid.frankingRefund).toBe(exempt.payslip.medicareExemption);
+    expect(exempt.takeHomeAnnual - levyPaid.takeHomeAnnual).toBe(exempt.payslip.medicareExemption);
+  });
+});
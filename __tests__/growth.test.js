@@ -0,0 +1,33 @@
+// __tests__/growth.test.js
+import { describe, it, expect } from "vitest";
+import { annualContribution, projectInvestmentGrowth } from "@/lib/investing/growth";
+
+describe("projectInvestmentGrowth", () => {
+  const base = { initial: 10000, contrib: 0, contribFreq: "monthly", years: 10, returnPct: 0, feePct: 0 };
+
+  it("annualises contributions by frequency", () => {
+    expect(annualContribution(100, "weekly")).toBe(5200);
+    expect(annualContribution(100, "fortnightly")).toBe(2600);
+    expect(annualContribution(100, "monthly")).toBe(1200);
+    expect(annualContribution(100, "annual")).toBe(100);
+  });
+
+  it("adds contributions with no growth", () => {
+    const r = projectInvestmentGrowth({ ...base, contrib: 500 });
+    expect(r.finalBalance).toBe(70000);
+    expect(r.totalContrib).toBe(70000);
+    expect(r.totalEarnings).toBe(0);
+    expect(r.rows).toHaveLength(10);
+  });
+
+  it("compounds monthly, net of fees", () => {
+    const r = projectInvestmentGrowth({ ...base, returnPct: 7, feePct: 1 });
+    expect(r.finalBalance).toBe(Math.round(10000 * Math.pow(1 + 0.06 / 12, 120)));
+    expect(r.rows[0]).toEqual({
+      year: 1,
+      balance: Math.round(10000 * Math.pow(1.005, 12)),
+      contributed: 10000,
+      earnings: Math.round(10000 * Math.pow(1.005, 12) - 10000),
+    });
+  });
+});
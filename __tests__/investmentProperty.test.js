@@ -0,0 +1,70 @@
+// __tests__/investmentProperty.test.js
+import { describe, it, expect } from "vitest";
+import { calculateInvestmentProperty } from "@/lib/property/investmentProperty";
+
+const inputs = {
+  fy: "2025-26",
+  purchasePrice: 750000,
+  purchaseCosts: 40000,
+  buildingValue: 300000,
+  weeklyRent: 650,
+  vacancyRate: 0,
+  rentGrowthRate: 0,
+  growthRate: 0,
+  sellingCostRate: 0,
+  holdingYears: 10,
+  loanAmount: 600000,
+  interestRate: 6,
+  loanTermYears: 30,
+  loanRepaymentType: "IO5",
+  pmFeeRate: 0,
+  annualRates: 0,
+  annualInsurance: 0,
+  annualStrata: 0,
+  annualLandTax: 0,
+  annualOther: 0,
+  expenseGrowthPct: 0,
+  baseTaxableIncome: 100000,
+};
+
+describe("calculateInvestmentProperty", () => {
+  it("interest-only years charge interest and repay no principal", () => {
+    const { cashflow } = calculateInvestmentProperty(inputs);
+    expect(cashflow[0].interest).toBeCloseTo(36000, 6);
+    expect(cashflow[0].principal).toBe(0);
+    expect(cashflow[4].closingLoan).toBe(600000);
+    expect(cashflow[5].principal).toBeGreaterThan(0);
+  });
+
+  it("claims straight-line building depreciation over 40 years", () => {
+    const { cashflow } = calculateInvestmentProperty(inputs);
+    expect(cashflow[0].depreciation).toBe(7500);
+    // 33,800 rent − 36,000 interest − 7,500 depreciation
+    expect(cashflow[0].taxableIncome).toBeCloseTo(-9700, 6);
+  });
+
+  it("a net rental loss reduces tax at the marginal rate plus Medicare", () => {
+    const { cashflow } = calculateInvestmentProperty(inputs);
+    expect(cashflow[0].taxChange).toBeCloseTo(-9700 * 0.32, 2);
+  });
+
+  it("no CGT when the sale price only recovers the cost base", () => {
+    const { cashflow, summary } = calculateInvestmentProperty(inputs);
+    expect(cashflow[0].cgtTax).toBe(0);
+    expect(summary.initialCashOutlay).toBe(190000);
+    expect(summary.holdingYears).toBe(10);
+  });
+
+  it("discounts the gain on a sale from the second year", () => {
+    const { cashflow } = calculateInvestmentProperty({ ...inputs, growthRate: 10 });
+    expect(cashflow[0].taxableGain).toBeCloseTo(cashflow[0].capitalGain, 6);
+    expect(cashflow[1].taxableGain).toBeCloseTo(cashflow[1].capitalGain / 2, 6);
+  });
+
+  it("carries forward a loss on sale", () => {
+    const { cashflow } = calculateInvestmentProperty(inputs);
+    // Cost base $790,000 less $7,500 depreciation, sold for $750,000
+    expect(cashflow[0].capitalLoss).toBeCloseTo(32500, 6);
+    expect(cashflow[0].cgtTax).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+// __tests__/loan.test.js
+import { describe, it, expect } from "vitest";
+import {
+  amortise,
+  annualSummary,
+  applyPeriod,
+  levelRepayment,
+  periodForDate,
+  periodStartDate,
+  periodsPerYear,
+} from "@/lib/loan";
+
+describe("levelRepayment", () => {
+  it("$600,000 at 6.5% over 30 years, monthly", () => {
+    expect(levelRepayment(600000, 6.5, 360)).toBeCloseTo(3792.41, 2);
+  });
+
+  it("spreads the balance evenly at 0%", () => {
+    expect(levelRepayment(12000, 0, 12)).toBe(1000);
+  });
+});
+
+describe("periods and dates", () => {
+  it("rejects an unknown frequency", () => {
+    expect(() => periodsPerYear("daily")).toThrow(/Unknown repayment frequency/);
+  });
+
+  it("maps dates to periods and back", () => {
+    expect(periodStartDate("2025-07-15", 13)).toBe("2026-07-15");
+    expect(periodForDate("2025-07-15", "2026-07-15")).toBe(13);
+    expect(periodForDate("2025-07-15", "2026-07-14")).toBe(12);
+    expect(periodForDate("2025-07-01", "2025-07-29", "fortnightly")).toBe(3);
+  });
+});
+
+describe("applyPeriod", () => {
+  it("charges interest on the balance net of offset", () => {
+    const r = applyPeriod({ balance: 100000, annualRatePct: 6, payment: 1000, offsetBalance: 40000 });
+    expect(r.interest).toBeCloseTo(300, 6);
+    expect(r.balance).toBeCloseTo(99300, 6);
+  });
+
+  it("capitalises unpaid interest", () => {
+    const r = applyPeriod({ balance: 100000, annualRatePct: 6, payment: 0 });
+    expect(r.balance).toBeCloseTo(100500, 6);
+  });
+});
+
+describe("amortise", () => {
+  it("clears a standard P&I loan over its term", () => {
+    const r = amortise({ principal: 600000, annualRatePct: 6.5, termYears: 30 });
+    expect(r.ok).toBe(true);
+    expect(r.periodsToZero).toBe(360);
+    expect(r.totalInterest).toBeCloseTo(765267, 0);
+    expect(r.closingBalance).toBe(0);
+  });
+
+  it("charges interest only, then amortises over the remaining term", () => {
+    const r = amortise({ principal: 500000, annualRatePct: 6, termYears: 30, interestOnlyYears: 5 });
+    const years = annualSummary(r.rows);
+    expect(years[0].interest).toBeCloseTo(30000, 6);
+    expect(years[4].balance).toBe(500000);
+    expect(r.rows[60].scheduledRepayment).toBeCloseTo(levelRepayment(500000, 6, 300), 6);
+    expect(r.periodsToZero).toBe(360);
+  });
+
+  it("extra repayments shorten the loan and build redraw", () => {
+    const base = amortise({ principal: 400000, annualRatePct: 6, termYears: 30 });
+    const extra = amortise({ principal: 400000, annualRatePct: 6, termYears: 30, extraRepayment: 500 });
+    expect(extra.periodsToZero).toBeLessThan(base.periodsToZero);
+    expect(extra.rows[11].redrawAvailable).toBeCloseTo(6000, 6);
+  });
+
+  it("caps a redraw at the prepaid amount", () => {
+    const r = amortise({
+      principal: 400000,
+      annualRatePct: 6,
+      termYears: 30,
+      events: [
+        { period: 1, type: "lumpSum", amount: 10000 },
+        { period: 2, type: "redraw", amount: 25000 },
+      ],
+    });
+    expect(r.rows[1].redraw).toBe(10000);
+    expect(r.rows[1].redrawAvailable).toBe(0);
+  });
+
+  it("recalculates the minimum repayment after a rate change", () => {
+    const r = amortise({
+      principal: 600000,
+      annualRatePct: 6.5,
+      termYears: 30,
+      events: [{ period: 13, type: "rate", annualRatePct: 5.5 }],
+    });
+    const expected = levelRepayment(r.rows[11].balance, 5.5, 348);
+    expect(r.rows[12].scheduledRepayment).toBeCloseTo(expected, 6);
+    expect(r.periodsToZero).toBe(360);
+  });
+
+  it("resolves dated events against the start date", () => {
+    const r = amortise({
+      principal: 300000,
+      annualRatePct: 6,
+      termYears: 25,
+      startDate: "2025-07-01",
+      events: [{ date: "2026-01-01", type: "lumpSum", amount: 5000 }],
+    });
+    expect(r.rows[6].date).toBe("2026-01-01");
+    expect(r.rows[6].lumpSum).toBe(5000);
+    expect(() =>
+      amortise({ principal: 1000, annualRatePct: 5, termYears: 1, events: [{ date: "2026-01-01", type: "lumpSum" }] })
+    ).toThrow(/startDate/);
+  });
+
+  it("flags a fixed repayment that never covers interest", () => {
+    const r = amortise({ principal: 600000, annualRatePct: 6, termYears: 30, repayment: 2000 });
+    expect(r.ok).toBe(false);
+    expect(r.totalInterest).toBe(Infinity);
+    expect(r.rows).toEqual([]);
+  });
+});
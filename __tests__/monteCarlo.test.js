@@ -0,0 +1,98 @@
+// __tests__/monteCarlo.test.js
+import { describe, it, expect } from "vitest";
+import {
+  runMonteCarlo,
+  percentile,
+  probabilityOfReaching,
+} from "@/lib/investing/monteCarlo";
+import { projectInvestmentGrowth } from "@/lib/investing/growth";
+import { ASX200_ANNUAL_RETURNS, returnStats } from "@/lib/investing/historicalReturns";
+
+const base = {
+  initial: 10000,
+  contrib: 500,
+  contribFreq: "monthly",
+  years: 10,
+  returnPct: 7,
+  volatilityPct: 15,
+  feePct: 0.5,
+  simulations: 500,
+};
+
+describe("percentile", () => {
+  it("interpolates between ranks", () => {
+    const sorted = [0, 10, 20, 30, 40];
+    expect(percentile(sorted, 0)).toBe(0);
+    expect(percentile(sorted, 50)).toBe(20);
+    expect(percentile(sorted, 90)).toBe(36);
+    expect(percentile(sorted, 100)).toBe(40);
+    expect(percentile([], 50)).toBe(0);
+  });
+});
+
+describe("probabilityOfReaching", () => {
+  it("counts finals at or above the target", () => {
+    const finals = new Float64Array([100, 200, 200, 300]);
+    expect(probabilityOfReaching(finals, 0)).toBe(1);
+    expect(probabilityOfReaching(finals, 200)).toBe(0.75);
+    expect(probabilityOfReaching(finals, 201)).toBe(0.25);
+    expect(probabilityOfReaching(finals, 301)).toBe(0);
+    expect(probabilityOfReaching(new Float64Array(0), 1)).toBe(0);
+  });
+});
+
+describe("runMonteCarlo", () => {
+  it("matches the fixed-return projection when volatility is zero", () => {
+    const fixed = projectInvestmentGrowth(base);
+    const mc = runMonteCarlo({ ...base, volatilityPct: 0, simulations: 100 });
+    expect(mc.bands).toHaveLength(base.years + 1);
+    expect(mc.bands[0]).toEqual({ year: 0, p10: 10000, p50: 10000, p90: 10000 });
+    fixed.rows.forEach((r) => {
+      const band = mc.bands[r.year];
+      expect(band.p10).toBe(band.p90);
+      expect(Math.abs(band.p50 - r.balance)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it("is reproducible for a seed and orders the percentiles", () => {
+    const a = runMonteCarlo(base);
+    const b = runMonteCarlo(base);
+    expect(a.bands).toEqual(b.bands);
+    expect(runMonteCarlo({ ...base, seed: 7 }).bands).not.toEqual(a.bands);
+
+    a.bands.slice(1).forEach((band) => {
+      expect(band.p10).toBeLessThan(band.p50);
+      expect(band.p50).toBeLessThan(band.p90);
+    });
+    expect(a.finals).toHaveLength(500);
+    expect(a.finals[0]).toBeLessThanOrEqual(a.finals[499]);
+  });
+
+  it("centres the normal paths on the fixed-return projection", () => {
+    const fixed = projectInvestmentGrowth(base).finalBalance;
+    const { finals } = runMonteCarlo({ ...base, simulations: 4000 });
+    const mean = finals.reduce((s, v) => s + v, 0) / finals.length;
+    expect(Math.abs(mean / fixed - 1)).toBeLessThan(0.02);
+  });
+
+  it("keeps bootstrapped paths within the best and worst historical years", () => {
+    const returns = ASX200_ANNUAL_RETURNS.map((r) => r.returnPct);
+    const worst = Math.min(...returns) / 100;
+    const best = Math.max(...returns) / 100;
+    const params = { initial: 1000, contrib: 0, years: 5, feePct: 0, returnSource: "historical", simulations: 300 };
+    const { finals } = runMonteCarlo(params);
+    expect(finals[0]).toBeGreaterThanOrEqual(1000 * (1 + worst) ** 5 - 0.01);
+    expect(finals[299]).toBeLessThanOrEqual(1000 * (1 + best) ** 5 + 0.01);
+  });
+
+  it("caps the number of simulations", () => {
+    expect(runMonteCarlo({ ...base, years: 1, simulations: 1e6 }).simulations).toBe(10000);
+  });
+});
+
+describe("returnStats", () => {
+  it("gives the mean and sample standard deviation", () => {
+    expect(returnStats([10, 20, 30])).toEqual({ meanPct: 20, volatilityPct: 10 });
+    expect(returnStats([])).toEqual({ meanPct: 0, volatilityPct: 0 });
+  });
+});
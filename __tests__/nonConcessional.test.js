@@ -0,0 +1,78 @@
+// __tests__/nonConcessional.test.js
+import { describe, it, expect } from "vitest";
+import { calculateNonConcessional } from "@/lib/super/nonConcessional";
+import { bringForwardYears, nonConcessionalCap } from "@/lib/super/contributions";
+
+const base = {
+  fy: "2025-26",
+  age: 60,
+  totalSuperBalance: 300000,
+  plannedContribution: 100000,
+  taxableIncome: 120000,
+};
+
+describe("bringForwardYears", () => {
+  it("steps down from three years to none as the balance nears the transfer balance cap", () => {
+    // 2025–26: $120,000 cap, $2m transfer balance cap
+    expect(nonConcessionalCap("2025-26")).toBe(120000);
+    expect(bringForwardYears({ fy: "2025-26", totalSuperBalance: 1759999 }).years).toBe(3);
+    expect(bringForwardYears({ fy: "2025-26", totalSuperBalance: 1760000 }).years).toBe(2);
+    expect(bringForwardYears({ fy: "2025-26", totalSuperBalance: 1880000 }).years).toBe(1);
+    expect(bringForwardYears({ fy: "2025-26", totalSuperBalance: 2000000 }).years).toBe(0);
+  });
+});
+
+describe("calculateNonConcessional", () => {
+  it("stays within the annual cap without starting a bring-forward period", () => {
+    const r = calculateNonConcessional(base);
+    expect(r.capThisYear).toBe(360000);
+    expect(r.triggersBringForward).toBe(false);
+    expect(r.excess).toBe(0);
+    expect(r.consequences).toBeNull();
+  });
+
+  it("starts a period when contributions go over the annual cap", () => {
+    const r = calculateNonConcessional({ ...base, plannedContribution: 300000 });
+    expect(r.newPeriod).toMatchObject({ startFy: "2025-26", endFy: "2027-28", years: 3, remainingAfter: 60000 });
+    expect(r.excess).toBe(0);
+
+    const two = calculateNonConcessional({ ...base, totalSuperBalance: 1800000, plannedContribution: 300000 });
+    expect(two.newPeriod).toMatchObject({ years: 2, cap: 240000 });
+    expect(two.excess).toBe(60000);
+  });
+
+  it("keeps an earlier period's unindexed cap and counts excess concessional contributions", () => {
+    // Started in 2023–24 at $110,000 a year
+    const r = calculateNonConcessional({
+      ...base,
+      plannedContribution: 80000,
+      excessConcessional: 5000,
+      priorPeriodStartedYearsAgo: 2,
+      priorPeriodYears: 3,
+      priorPeriodContributed: 250000,
+    });
+    expect(r.openPeriod).toMatchObject({ startFy: "2023-24", endFy: "2025-26", cap: 330000, remainingBefore: 80000 });
+    expect(r.contributions).toBe(85000);
+    expect(r.excess).toBe(5000);
+
+    // A two-year period started two years ago has ended
+    const ended = calculateNonConcessional({ ...base, priorPeriodStartedYearsAgo: 2, priorPeriodYears: 2 });
+    expect(ended.openPeriod).toBeNull();
+  });
+
+  it("allows nothing from age 75 or at the transfer balance cap", () => {
+    expect(calculateNonConcessional({ ...base, age: 75 }).excess).toBe(100000);
+    expect(calculateNonConcessional({ ...base, totalSuperBalance: 2000000 }).capThisYear).toBe(0);
+  });
+
+  it("compares releasing the excess with leaving it in super", () => {
+    const r = calculateNonConcessional({ ...base, totalSuperBalance: 1900000, plannedContribution: 130000 });
+    expect(r.excess).toBe(10000);
+    const { associatedEarnings, released, taxOnEarnings, retainedTax } = r.consequences;
+    expect(associatedEarnings).toBeCloseTo(1100, 6);
+    expect(released).toBeCloseTo(10000 + 935, 6);
+    // 30% + 2% Medicare, less the 15% offset
+    expect(taxOnEarnings).toBeCloseTo(1100 * 0.17, 6);
+    expect(retainedTax).toBeCloseTo(4700, 6);
+  });
+});
@@ -0,0 +1,96 @@
+// __tests__/report.test.js
+import { inflateSync } from "zlib";
+import { describe, it, expect } from "vitest";
+import { renderReportPdf, reportFilename, pdfText } from "@/lib/report/pdf";
+import { DISCLAIMER_PARAGRAPHS, disclaimerText } from "@/lib/disclaimer";
+
+const report = {
+  title: "Mortgage Repayment Calculator",
+  url: "https://fintoolbox.com.au/calculators/mortgage?v=1&la=500000",
+  date: new Date(2025, 6, 1),
+  inputs: [
+    { label: "Loan amount", value: "$500,000" },
+    { label: "Interest rate", value: "6.50% p.a." },
+  ],
+  results: [{ label: "Minimum repayment (monthly)", value: "$3,160" }],
+  rules: [{ label: "Tax rates", value: "2025–26" }],
+  tables: [
+    {
+      title: "Amortisation schedule (annual)",
+      head: ["Year", "Repayment", "Interest", "Balance"],
+      body: Array.from({ length: 30 }, (_, i) => [String(i + 1), "$37,920", "$32,000", "$490,000"]),
+    },
+  ],
+};
+
+// Page count and the document source with its content streams inflated
+function inspect(r) {
+  const doc = renderReportPdf(r);
+  const raw = Buffer.from(doc.output("arraybuffer")).toString("latin1");
+  const source = raw.replace(/stream\r?\n([\s\S]*?)endstream/g, (whole, data) => {
+    try {
+      return inflateSync(Buffer.from(data, "latin1")).toString("latin1");
+    } catch {
+      return whole;
+    }
+  });
+  return { pages: doc.getNumberOfPages(), source };
+}
+
+describe("renderReportPdf", () => {
+  it("produces a PDF", () => {
+    const bytes = new Uint8Array(renderReportPdf(report).output("arraybuffer"));
+    expect(String.fromCharCode(...bytes.slice(0, 5))).toBe("%PDF-");
+  });
+
+  it("includes the sections, the link and the site disclaimer", () => {
+    const { source } = inspect(report);
+    for (const text of [
+      "FinToolbox",
+      "Mortgage Repayment Calculator",
+      "Your inputs",
+      "Loan amount",
+      "Results",
+      "Rules and rates used",
+      "Amortisation schedule",
+      "Disclaimer",
+      "Prepared 1 July 2025",
+    ]) {
+      expect(source).toContain(text);
+    }
+    expect(source).toContain("/URI (https://fintoolbox.com.au/calculators/mortgage?v=1&la=500000)");
+    // First words of each disclaimer paragraph (long lines are wrapped)
+    DISCLAIMER_PARAGRAPHS.forEach((p) => {
+      expect(source).toContain(disclaimerText(p).split(" ").slice(0, 4).join(" "));
+    });
+  });
+
+  it("runs long tables onto more pages, with a numbered footer on each", () => {
+    const long = {
+      ...report,
+      tables: [{ ...report.tables[0], body: Array(120).fill(["1", "$1", "$1", "$1"]) }],
+    };
+    const { pages, source } = inspect(long);
+    expect(pages).toBeGreaterThan(2);
+    expect(source).toContain(`Page ${pages} of ${pages}`);
+  });
+
+  it("leaves out sections with nothing in them", () => {
+    const { source } = inspect({ title: "Investment Growth Calculator", inputs: report.inputs });
+    expect(source).not.toContain("Rules and rates used");
+    expect(source).not.toContain("Open this calculation online");
+  });
+});
+
+describe("report helpers", () => {
+  it("names the file after the calculator and date", () => {
+    expect(reportFilename("Age Pension Calculator (Australia)", new Date(2025, 2, 20))).toBe(
+      "fintoolbox-age-pension-calculator-australia-2025-03-20.pdf"
+    );
+  });
+
+  it("swaps characters the built-in fonts can't show", () => {
+    expect(pdfText("−$1,200 ≥ 65")).toBe("-$1,200 >= 65");
+    expect(pdfText(null)).toBe("");
+  });
+});
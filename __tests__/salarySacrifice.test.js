@@ -0,0 +1,132 @@
+// __tests__/salarySacrifice.test.js
+import { describe, it, expect } from "vitest";
+import { calculateSalarySacrifice } from "@/lib/super/salarySacrifice";
+import {
+  availableConcessionalCap,
+  concessionalCap,
+  ledgerField,
+  ledgerFromInputs,
+} from "@/lib/super/contributions";
+
+describe("calculateSalarySacrifice", () => {
+  // $120,000 salary sacrificing $500 a fortnight, 12% SG, 2025–26 rates
+  const r = calculateSalarySacrifice({
+    fy: "2025-26",
+    taxableIncomeBeforeSacrifice: 120000,
+    payFrequency: "fortnightly",
+    salarySacrificePerPeriod: 500,
+    sgRatePct: 12,
+    currentSuperBalance: 100000,
+    superReturnPct: 0,
+    yearsToRetirement: 10,
+  });
+
+  it("annualises the sacrifice and reduces taxable income", () => {
+    expect(r.annualSalarySacrifice).toBe(13000);
+    expect(r.scenarios.A.incomeTax).toBeCloseTo(26788, 2);
+    expect(r.scenarios.B.incomeTax).toBeCloseTo(22888, 2);
+  });
+
+  it("saves 30% + 2% Medicare less 15% contributions tax", () => {
+    // 13,000 × (32% − 15%)
+    expect(r.taxSavedTotal).toBeCloseTo(2210, 2);
+    expect(r.changeTakeHome).toBeCloseTo(-8840, 2);
+    expect(r.extraNetToSuper).toBeCloseTo(11050, 2);
+    expect(r.effectiveTaxRateOnSac).toBeCloseTo(0.15, 6);
+  });
+
+  it("suggests the sacrifice that fills the concessional cap", () => {
+    expect(r.overConcessionalCap).toBe(false);
+    expect(r.suggestedSacrificeAnnual).toBeCloseTo(30000 - 14400, 2);
+  });
+
+  it("projects the extra net contributions at 0% return", () => {
+    expect(r.projectionRows).toHaveLength(10);
+    expect(r.finalDiff).toBeCloseTo(110500, 2);
+  });
+});
+
+describe("availableConcessionalCap", () => {
+  const ledger = [
+    { fy: "2024-25", sg: 14000, salarySacrifice: 0, personalDeductible: 0 },
+    { fy: "2023-24", sg: 13000, salarySacrifice: 20000, personalDeductible: 0 },
+    { fy: "2022-23", sg: 12000, salarySacrifice: 0, personalDeductible: 0 },
+    { fy: "2021-22", sg: 10000, salarySacrifice: 0, personalDeductible: 5000 },
+  ];
+
+  it("carries forward unused cap, using the oldest first for later excess", () => {
+    const cap = availableConcessionalCap({ fy: "2025-26", ledger, totalSuperBalance: 200000 });
+    expect(cap.years.map((y) => y.fy)).toEqual(["2020-21", "2021-22", "2022-23", "2023-24", "2024-25"]);
+    // 2020–21 had nothing in; 2023–24's $5,500 excess comes out of it
+    expect(cap.years[0]).toMatchObject({ cap: 25000, unused: 25000, remaining: 19500 });
+    expect(cap.years[1].remaining).toBe(12500);
+    expect(cap.years[3].remaining).toBe(0);
+    expect(cap.carryForward).toBe(19500 + 12500 + 15500 + 16000);
+    expect(cap.available).toBe(30000 + cap.carryForward);
+  });
+
+  it("allows no carry-forward from a $500,000 balance or before 2018–19", () => {
+    expect(availableConcessionalCap({ fy: "2025-26", ledger, totalSuperBalance: 500000 })).toMatchObject({
+      eligible: false,
+      carryForward: 0,
+      available: 30000,
+    });
+    const early = availableConcessionalCap({ fy: "2021-22", ledger: [], totalSuperBalance: 0 });
+    expect(early.years[0]).toMatchObject({ fy: "2016-17", cap: 0, remaining: 0 });
+    expect(early.carryForward).toBe(75000);
+  });
+
+  it("reads the cap for the year, keeping the latest for later years", () => {
+    expect(concessionalCap("2023-24")).toBe(27500);
+    expect(concessionalCap("2030-31")).toBe(concessionalCap("2026-27"));
+  });
+});
+
+describe("calculateSalarySacrifice with carry-forward", () => {
+  const base = {
+    fy: "2025-26",
+    taxableIncomeBeforeSacrifice: 120000,
+    payFrequency: "fortnightly",
+    salarySacrificePerPeriod: 1000,
+    sgRatePct: 12,
+    currentSuperBalance: 100000,
+    superReturnPct: 0,
+    yearsToRetirement: 10,
+  };
+  // Only SG went in last year: $16,000 of 2024–25's cap is unused
+  const ledger = { [ledgerField("sg", 1)]: 14000 };
+
+  it("raises the cap and the suggested sacrifice by the unused amounts", () => {
+    const withoutLedger = calculateSalarySacrifice({ ...base, ...ledger });
+    expect(withoutLedger.carryForward).toBeNull();
+    expect(withoutLedger.overConcessionalCap).toBe(true);
+
+    const r = calculateSalarySacrifice({ ...base, ...ledger, useCarryForward: true });
+    // Four empty years (2020–21 to 2023–24) plus 2024–25's $16,000
+    expect(r.carryForward.carryForward).toBe(25000 + 3 * 27500 + 16000);
+    expect(r.concessionalCapAvailable).toBe(30000 + r.carryForward.carryForward);
+    expect(r.suggestedSacrificeAnnual).toBeCloseTo(r.concessionalCapAvailable - 14400, 2);
+    expect(r.overConcessionalCap).toBe(false);
+  });
+
+  it("charges Division 293 on contributions within the cap only", () => {
+    // $280,000 income sacrificing $130,000 a year: $163,600 of concessional
+    // contributions, of which the $30,000 cap counts as low-tax contributions
+    const r = calculateSalarySacrifice({
+      ...base,
+      taxableIncomeBeforeSacrifice: 280000,
+      salarySacrificePerPeriod: 5000,
+      reportableFringeBenefits: 90000,
+    });
+    // $150,000 taxable + $90,000 fringe benefits + $30,000 = $20,000 over
+    expect(r.scenarios.B.div293).toBeCloseTo(20000 * 0.15, 6);
+    // $400,000 without sacrifice: all $30,000 is taxed
+    expect(r.scenarios.A.div293).toBeCloseTo(30000 * 0.15, 6);
+  });
+
+  it("reads the ledger from the calculator inputs, most recent year first", () => {
+    const entries = ledgerFromInputs({ fy: "2025-26", ...ledger, [ledgerField("personalDeductible", 5)]: 2000 });
+    expect(entries[0]).toEqual({ fy: "2024-25", sg: 14000, salarySacrifice: 0, personalDeductible: 0 });
+    expect(entries[4]).toEqual({ fy: "2020-21", sg: 0, salarySacrifice: 0, personalDeductible: 2000 });
+  });
+});
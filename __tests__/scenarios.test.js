@@ -0,0 +1,154 @@
+// __tests__/scenarios.test.js
+import { describe, it, expect } from "vitest";
+import {
+  readScenarios,
+  writeScenarios,
+  storageKey,
+  addScenario,
+  renameScenario,
+  removeScenario,
+  nextScenarioName,
+  compareScenarios,
+  overlaySeries,
+  MAX_SCENARIOS,
+} from "@/lib/scenarios";
+import { schemaDefaults } from "@/lib/inputSchema";
+import { MORTGAGE_INPUTS } from "@/lib/loan/mortgage";
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = String(v);
+    },
+    removeItem: (k) => {
+      delete data[k];
+    },
+  };
+}
+
+const defaults = schemaDefaults(MORTGAGE_INPUTS);
+const now = new Date("2025-07-01T00:00:00Z");
+
+describe("scenario list", () => {
+  it("adds with a default name, and overwrites a scenario saved under the same name", () => {
+    let list = addScenario([], "", defaults, now);
+    expect(list[0].name).toBe("Scenario 1");
+    list = addScenario(list, "Lower rate", { ...defaults, interest: 5.9 }, now);
+    list = addScenario(list, "Lower rate", { ...defaults, interest: 5.5 }, now);
+    expect(list.map((s) => s.name)).toEqual(["Scenario 1", "Lower rate"]);
+    expect(list[1].inputs.interest).toBe(5.5);
+    expect(list[1].savedAt).toBe("2025-07-01T00:00:00.000Z");
+  });
+
+  it("caps the number of saved scenarios", () => {
+    let list = [];
+    for (let i = 0; i < MAX_SCENARIOS; i++) list = addScenario(list, `S${i}`, defaults, now);
+    expect(() => addScenario(list, "One more", defaults, now)).toThrow(/up to 20/);
+  });
+
+  it("renames, rejecting blanks and duplicates", () => {
+    let list = addScenario(addScenario([], "A", defaults), "B", defaults);
+    list = renameScenario(list, list[0].id, "  Fixed 2 years  ");
+    expect(list[0].name).toBe("Fixed 2 years");
+    expect(() => renameScenario(list, list[0].id, " ")).toThrow(/blank/);
+    expect(() => renameScenario(list, list[0].id, "B")).toThrow(/already/);
+  });
+
+  it("removes by id and skips taken default names", () => {
+    const list = addScenario(addScenario([], "Scenario 2", defaults), "X", defaults);
+    expect(nextScenarioName(list)).toBe("Scenario 3");
+    expect(removeScenario(list, list[0].id).map((s) => s.name)).toEqual(["X"]);
+  });
+});
+
+describe("scenario storage", () => {
+  it("round-trips through storage under a per-calculator key", () => {
+    const storage = memoryStorage();
+    const list = addScenario([], "Extra $200", { ...defaults, extra: 200 }, now);
+    expect(writeScenarios("mortgage", list, storage)).toBe(true);
+    expect(Object.keys(storage.data)).toEqual([storageKey("mortgage")]);
+    expect(readScenarios("mortgage", MORTGAGE_INPUTS, storage)).toEqual(list);
+    expect(readScenarios("tax-calculator", MORTGAGE_INPUTS, storage)).toEqual([]);
+  });
+
+  it("checks saved inputs against the schema", () => {
+    const storage = memoryStorage({
+      [storageKey("mortgage")]: JSON.stringify({
+        version: 1,
+        scenarios: [
+          { id: "a", name: "Old", inputs: { loanAmount: "450000", frequency: "daily", removed: 1 } },
+          { id: "b", name: "" },
+        ],
+      }),
+    });
+    const [s, ...rest] = readScenarios("mortgage", MORTGAGE_INPUTS, storage);
+    expect(rest).toEqual([]);
+    expect(s.inputs).toEqual({ ...defaults, loanAmount: 450000 });
+    expect(s.savedAt).toBeNull();
+  });
+
+  it("ignores unreadable or unknown-version data, and clears the key when empty", () => {
+    const storage = memoryStorage({ [storageKey("mortgage")]: "{not json" });
+    expect(readScenarios("mortgage", MORTGAGE_INPUTS, storage)).toEqual([]);
+    storage.setItem(storageKey("mortgage"), JSON.stringify({ version: 9, scenarios: [] }));
+    expect(readScenarios("mortgage", MORTGAGE_INPUTS, storage)).toEqual([]);
+    writeScenarios("mortgage", [], storage);
+    expect(storage.data).toEqual({});
+  });
+
+  it("reports when storage is unavailable or full", () => {
+    expect(readScenarios("mortgage", MORTGAGE_INPUTS, null)).toEqual([]);
+    expect(writeScenarios("mortgage", [], null)).toBe(false);
+    const full = {
+      ...memoryStorage(),
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    };
+    expect(writeScenarios("mortgage", addScenario([], "A", defaults), full)).toBe(false);
+  });
+});
+
+describe("compareScenarios", () => {
+  it("diffs each metric against the first scenario", () => {
+    const metrics = [
+      { label: "Interest", value: (r) => r.interest, better: "lower" },
+      { label: "Payoff", value: (r) => r.payoff },
+    ];
+    const rows = compareScenarios(
+      [
+        { interest: 500, payoff: Infinity },
+        { interest: 400, payoff: 20 },
+        { interest: 600, payoff: 25 },
+      ],
+      metrics
+    );
+    expect(rows[0].cells).toEqual([
+      { value: 500, diff: null, tone: "neutral" },
+      { value: 400, diff: -100, tone: "good" },
+      { value: 600, diff: 100, tone: "bad" },
+    ]);
+    // Nothing to diff against when the first value is missing
+    expect(rows[1].cells.map((c) => c.diff)).toEqual([null, null, null]);
+    expect(rows[1].cells[0].value).toBeNull();
+  });
+});
+
+describe("overlaySeries", () => {
+  it("merges series of different lengths by x", () => {
+    expect(
+      overlaySeries([
+        { id: "a", points: [{ x: 1, y: 10 }, { x: 2, y: 5 }] },
+        { id: "b", points: [{ x: 1, y: 12 }, { x: 2, y: 8 }, { x: 3, y: 4 }] },
+      ])
+    ).toEqual([
+      { x: 1, a: 10, b: 12 },
+      { x: 2, a: 5, b: 8 },
+      { x: 3, b: 4 },
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+// __tests__/studyLoan.test.js
+import { describe, it, expect } from "vitest";
+import {
+  calculateStudyLoan,
+  indexationRate,
+  projectStudyLoan,
+  studyLoanRepaymentIncome,
+} from "@/lib/tax/studyLoan";
+import { calculateTakeHome } from "@/lib/tax/takeHome";
+import { calculateSalarySacrifice } from "@/lib/super/salarySacrifice";
+
+const base = { fy: "2025-26", incomeGrowthPct: 3, voluntaryRepayment: 0, cpiPct: 3, wpiPct: 3.3 };
+
+describe("indexation", () => {
+  it("uses the published rate, then the lower of CPI and WPI", () => {
+    expect(indexationRate("2023-24", { cpi: 0.05, wpi: 0.04 })).toBe(0.04);
+    expect(indexationRate("2025-26", { cpi: 0.03, wpi: 0.033 })).toBe(0.03);
+    expect(indexationRate("2026-27", { cpi: 0.035, wpi: 0.031 })).toBe(0.031);
+  });
+});
+
+describe("repayment income", () => {
+  it("adds reportable amounts to taxable income", () => {
+    expect(
+      studyLoanRepaymentIncome({
+        taxableIncome: 80000,
+        reportableFringeBenefits: 3000,
+        reportableSuperContributions: 5000,
+        netInvestmentLosses: 2000,
+      })
+    ).toBe(90000);
+  });
+});
+
+describe("projectStudyLoan", () => {
+  it("indexes on 1 June, then credits the compulsory repayment", () => {
+    const { years } = projectStudyLoan({ ...base, balance: 30000, repaymentIncome: 85000 });
+    expect(years[0]).toMatchObject({ fy: "2025-26", opening: 30000, indexationRate: 0.03 });
+    expect(years[0].indexation).toBeCloseTo(900, 6);
+    expect(years[0].compulsory).toBeCloseTo(2700, 6); // ($85,000 − $67,000) × 15%
+    expect(years[0].closing).toBeCloseTo(28200, 6);
+    expect(years[1].repaymentIncome).toBeCloseTo(87550, 6);
+  });
+
+  it("applies the 20% cut before indexation on 1 June 2025", () => {
+    const { years } = projectStudyLoan({ ...base, fy: "2024-25", balance: 10000, repaymentIncome: 0 });
+    expect(years[0].reduction).toBeCloseTo(2000, 6);
+    expect(years[0].indexation).toBeCloseTo(256, 6); // 3.2% of $8,000
+    expect(years[0].closing).toBeCloseTo(8256, 6);
+  });
+
+  it("keeps voluntary repayments out of indexation", () => {
+    const { years, totalVoluntary } = projectStudyLoan({
+      ...base,
+      balance: 10000,
+      repaymentIncome: 0,
+      voluntaryRepayment: 2000,
+    });
+    expect(years[0].indexation).toBeCloseTo(240, 6);
+    expect(years[0].closing).toBeCloseTo(8240, 6);
+    expect(totalVoluntary).toBeGreaterThan(2000);
+  });
+
+  it("stops the year the debt is repaid", () => {
+    const r = projectStudyLoan({ ...base, balance: 5000, repaymentIncome: 100000 });
+    expect(r.paidOff).toBe(true);
+    expect(r.payoffFy).toBe("2026-27");
+    expect(r.yearsToRepay).toBe(2);
+    expect(r.years[1].closing).toBe(0);
+    expect(r.totalCompulsory).toBeCloseTo(5000 + r.totalIndexation, 6);
+  });
+
+  it("indexes thresholds by CPI after the latest published year", () => {
+    const { years } = projectStudyLoan({ ...base, fy: "2027-28", balance: 50000, repaymentIncome: 100000 });
+    expect(years[0].compulsory).toBeCloseTo(0.15 * (100000 - 67000 * 1.03), 6);
+  });
+
+  it("gives up after 50 years when the debt never shrinks", () => {
+    const r = projectStudyLoan({ ...base, balance: 20000, repaymentIncome: 0 });
+    expect(r.paidOff).toBe(false);
+    expect(r.yearsToRepay).toBeNull();
+    expect(r.years).toHaveLength(50);
+  });
+
+  it("calculateStudyLoan limits this year's repayment to the debt", () => {
+    const r = calculateStudyLoan({ ...base, balance: 1000, repaymentIncome: 100000 });
+    expect(r.threshold).toBe(67000);
+    expect(r.compulsoryThisYear).toBe(1000);
+  });
+});
+
+describe("study loans in other calculators", () => {
+  it("take-home pay is after the compulsory repayment", () => {
+    const args = { fy: "2025-26", income: 90000, salarySacrifice: 10000 };
+    const without = calculateTakeHome(args);
+    const withLoan = calculateTakeHome({ ...args, studyLoan: true });
+    // Repayment income adds the sacrifice back: $90,000
+    expect(withLoan.repaymentIncome).toBe(90000);
+    expect(withLoan.studyLoanRepayment).toBe(3450);
+    expect(withLoan.takeHomeAnnual).toBe(without.takeHomeAnnual - 3450);
+    expect(withLoan.totalTaxAnnual).toBe(without.totalTaxAnnual);
+  });
+
+  it("salary sacrifice doesn't reduce the repayment", () => {
+    const inputs = {
+      fy: "2025-26",
+      taxableIncomeBeforeSacrifice: 100000,
+      payFrequency: "monthly",
+      salarySacrificePerPeriod: 500,
+      sgRatePct: 12,
+      currentSuperBalance: 100000,
+      superReturnPct: 6,
+      yearsToRetirement: 10,
+    };
+    const none = calculateSalarySacrifice(inputs);
+    const r = calculateSalarySacrifice({ ...inputs, studyLoanBalance: 40000 });
+    expect(none.scenarios.A.studyLoanRepayment).toBe(0);
+    expect(r.scenarios.A.studyLoanRepayment).toBeCloseTo(4950, 6);
+    expect(r.scenarios.B.repaymentIncome).toBe(100000);
+    expect(r.scenarios.B.studyLoanRepayment).toBeCloseTo(4950, 6);
+    expect(r.scenarios.B.takeHome).toBeCloseTo(none.scenarios.B.takeHome - 4950, 6);
+    expect(r.changeTakeHome).toBeCloseTo(none.changeTakeHome, 6);
+  });
+});
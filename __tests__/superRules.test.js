@@ -0,0 +1,64 @@
+// __tests__/superRules.test.js
+import { describe, it, expect } from "vitest";
+import { division293Tax, division293Threshold, transferBalanceAccount } from "@/lib/super/rules";
+
+describe("division293Tax", () => {
+  it("taxes the lesser of low-tax contributions and the excess over the threshold", () => {
+    // $260,000 + $30,000 of contributions is $40,000 over: all $30,000 taxed
+    expect(division293Tax({ fy: "2025-26", taxableIncome: 260000, lowTaxContributions: 30000 })).toMatchObject({
+      income: 290000,
+      taxed: 30000,
+      tax: 4500,
+    });
+    expect(division293Tax({ taxableIncome: 240000, lowTaxContributions: 30000 }).tax).toBeCloseTo(3000, 6);
+    expect(division293Tax({ taxableIncome: 200000, lowTaxContributions: 30000 }).tax).toBe(0);
+  });
+
+  it("adds reportable fringe benefits and net investment losses to income", () => {
+    const r = division293Tax({
+      taxableIncome: 200000,
+      reportableFringeBenefits: 20000,
+      netInvestmentLosses: 15000,
+      lowTaxContributions: 30000,
+    });
+    expect(r.income).toBe(265000);
+    expect(r.tax).toBeCloseTo(15000 * 0.15, 6);
+  });
+
+  it("used a $300,000 threshold before 2017–18", () => {
+    expect(division293Threshold("2016-17")).toBe(300000);
+    expect(division293Threshold("2026-27")).toBe(250000);
+  });
+});
+
+describe("transferBalanceAccount", () => {
+  it("indexes a personal cap by the unused cap percentage", () => {
+    // $1.2m pension started in 2017–18 against a $1.6m cap: 25% unused
+    const tba = transferBalanceAccount([{ fy: "2017-18", type: "credit", amount: 1200000 }], "2025-26");
+    const cap = (fy) => tba.years.find((y) => y.fy === fy).personalCap;
+    expect(cap("2020-21")).toBe(1600000);
+    expect(cap("2021-22")).toBe(1625000); // 25% of $100,000
+    expect(cap("2023-24")).toBe(1677000); // 26% of $200,000
+    expect(tba.personalCap).toBe(1705000); // 28% of $100,000
+    expect(tba.available).toBe(505000);
+  });
+
+  it("stops indexing once the cap has been fully used, even after a commutation", () => {
+    const tba = transferBalanceAccount(
+      [
+        { fy: "2019-20", type: "credit", amount: 1600000 },
+        { fy: "2020-21", type: "debit", amount: 400000 },
+      ],
+      "2025-26"
+    );
+    expect(tba.personalCap).toBe(1600000);
+    expect(tba.balance).toBe(1200000);
+    expect(tba.highestBalance).toBe(1600000);
+  });
+
+  it("uses the general cap before any pension starts and reports an excess", () => {
+    expect(transferBalanceAccount([], "2025-26")).toMatchObject({ started: false, personalCap: 2000000 });
+    const over = transferBalanceAccount([{ fy: "2025-26", type: "credit", amount: 2100000 }], "2025-26");
+    expect(over.excess).toBe(100000);
+  });
+});
@@ -0,0 +1,151 @@
+// __tests__/tax.test.js
+import { describe, it, expect } from "vitest";
+import {
+  bracketTax,
+  litoAmount,
+  lmitoAmount,
+  saptoAmount,
+  medicareLevyAnnual,
+  mlsRate,
+  computeIncomeTax,
+} from "@/lib/tax";
+import { calculateTakeHome } from "@/lib/tax/takeHome";
+
+// Golden figures from the ATO resident tax rate tables and offset calculators.
+
+describe("resident tax brackets", () => {
+  it("matches the ATO 2023–24 tables (Stage 2)", () => {
+    expect(bracketTax(45000, "2023-24")).toBeCloseTo(5092, 2);
+    expect(bracketTax(120000, "2023-24")).toBeCloseTo(29467, 2);
+    expect(bracketTax(180000, "2023-24")).toBeCloseTo(51667, 2);
+  });
+
+  it("matches the ATO 2024–25 tables (revised Stage 3)", () => {
+    expect(bracketTax(18200, "2024-25")).toBe(0);
+    expect(bracketTax(45000, "2024-25")).toBeCloseTo(4288, 2);
+    expect(bracketTax(135000, "2024-25")).toBeCloseTo(31288, 2);
+    expect(bracketTax(190000, "2024-25")).toBeCloseTo(51638, 2);
+    expect(bracketTax(90000, "2024-25")).toBeCloseTo(17788, 2);
+  });
+
+  it("applies the 15% first rate from 2026–27", () => {
+    expect(bracketTax(45000, "2026-27")).toBeCloseTo(4020, 2);
+  });
+
+  it("rejects an unknown financial year", () => {
+    expect(() => bracketTax(50000, "1999-00")).toThrow(/Unknown financial year/);
+  });
+});
+
+describe("low income offsets", () => {
+  it("LITO: $700 to $37,500, $325 at $45,000, nil from $66,667", () => {
+    expect(litoAmount(37500, "2025-26")).toBe(700);
+    expect(litoAmount(40000, "2025-26")).toBeCloseTo(575, 2);
+    expect(litoAmount(45000, "2025-26")).toBeCloseTo(325, 2);
+    expect(litoAmount(66667, "2025-26")).toBe(0);
+  });
+
+  it("LMITO: base, maximum and phase-out for 2020–21 and 2021–22", () => {
+    expect(lmitoAmount(37000, "2020-21")).toBe(255);
+    expect(lmitoAmount(60000, "2020-21")).toBe(1080);
+    expect(lmitoAmount(100000, "2020-21")).toBeCloseTo(780, 2);
+    expect(lmitoAmount(60000, "2021-22")).toBe(1500);
+    expect(lmitoAmount(126000, "2021-22")).toBe(0);
+    expect(lmitoAmount(60000, "2022-23")).toBe(0);
+  });
+});
+
+describe("saptoAmount", () => {
+  it("single: full offset to the shade-out, tapering to nil at the cut-out", () => {
+    const args = { fy: "2024-25", maritalStatus: "single", taxpayerEligible: true };
+    expect(saptoAmount({ ...args, taxpayerIncome: 34919 })).toBe(2230);
+    expect(saptoAmount({ ...args, taxpayerIncome: 40000 })).toBeCloseTo(1594.875, 3);
+    expect(saptoAmount({ ...args, taxpayerIncome: 52759 })).toBe(0);
+  });
+
+  it("couple: each eligible partner assessed on their own income", () => {
+    expect(
+      saptoAmount({
+        fy: "2024-25",
+        maritalStatus: "couple",
+        taxpayerIncome: 30000,
+        partnerIncome: 30000,
+        taxpayerEligible: true,
+        partnerEligible: true,
+      })
+    ).toBe(1602 * 2);
+  });
+
+  it("is nil when not eligible", () => {
+    expect(saptoAmount({ fy: "2024-25", taxpayerIncome: 20000 })).toBe(0);
+  });
+});
+
+describe("medicareLevyAnnual", () => {
+  it("single: nil to the threshold, 10% shade-in, then 2%", () => {
+    expect(medicareLevyAnnual({ fy: "2024-25", taxableIncome: 27222 })).toBe(0);
+    expect(medicareLevyAnnual({ fy: "2024-25", taxableIncome: 30000 })).toBeCloseTo(277.8, 2);
+    expect(medicareLevyAnnual({ fy: "2024-25", taxableIncome: 90000 })).toBeCloseTo(1800, 2);
+  });
+
+  it("uses the senior threshold for SAPTO-eligible taxpayers", () => {
+    expect(
+      medicareLevyAnnual({ fy: "2024-25", taxableIncome: 43020, saptoEligible: true })
+    ).toBe(0);
+  });
+
+  it("families under the family threshold (plus per-child amount) pay nil", () => {
+    expect(
+      medicareLevyAnnual({
+        fy: "2024-25",
+        taxableIncome: 30000,
+        maritalStatus: "couple",
+        partnerTaxableIncome: 20000,
+        dependants: 1,
+      })
+    ).toBe(0);
+  });
+});
+
+describe("mlsRate", () => {
+  it("single 2025–26 tiers", () => {
+    const base = { fy: "2025-26", maritalStatus: "single" };
+    expect(mlsRate({ ...base, taxableIncome: 101000 })).toBe(0);
+    expect(mlsRate({ ...base, taxableIncome: 110000 })).toBe(0.01);
+    expect(mlsRate({ ...base, taxableIncome: 130000 })).toBe(0.0125);
+    expect(mlsRate({ ...base, taxableIncome: 160000 })).toBe(0.015);
+  });
+
+  it("family tiers rise $1,500 for each child after the first", () => {
+    expect(
+      mlsRate({ fy: "2025-26", maritalStatus: "couple", taxableIncome: 100000, partnerTaxableIncome: 105000, dependants: 3 })
+    ).toBe(0);
+  });
+});
+
+describe("computeIncomeTax", () => {
+  it("$90,000 salary: tax plus Medicare levy across years", () => {
+    expect(computeIncomeTax({ fy: "2023-24", taxableIncome: 90000 }).totalTax).toBeCloseTo(21517, 2);
+    expect(computeIncomeTax({ fy: "2024-25", taxableIncome: 90000 }).totalTax).toBeCloseTo(19588, 2);
+    expect(computeIncomeTax({ fy: "2021-22", taxableIncome: 90000 }).totalTax).toBeCloseTo(20017, 2);
+  });
+
+  it("offsets are non-refundable", () => {
+    const r = computeIncomeTax({ fy: "2024-25", taxableIncome: 20000 });
+    expect(r.taxAfterOffsets).toBe(0);
+  });
+
+  it("charges MLS only without private hospital cover", () => {
+    const r = computeIncomeTax({ fy: "2025-26", taxableIncome: 110000, privateHospitalCover: false });
+    expect(r.mls).toBeCloseTo(1100, 2);
+  });
+});
+
+describe("calculateTakeHome salary sacrifice", () => {
+  it("is limited to the year's concessional cap", () => {
+    const args = { income: 150000, salarySacrifice: 40000 };
+    expect(calculateTakeHome({ ...args, fy: "2023-24" }).effectiveSS).toBe(27500);
+    expect(calculateTakeHome({ ...args, fy: "2025-26" }).effectiveSS).toBe(30000);
+    expect(calculateTakeHome({ ...args, fy: "2026-27" }).effectiveSS).toBe(32500);
+  });
+});
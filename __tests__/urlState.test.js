@@ -0,0 +1,118 @@
+// __tests__/urlState.test.js
+import { afterEach, describe, it, expect, vi } from "vitest";
+import { encodeUrlState, decodeUrlState } from "@/lib/urlState";
+import { schemaDefaults } from "@/lib/inputSchema";
+import { MORTGAGE_INPUTS } from "@/lib/loan/mortgage";
+import { INVESTMENT_PROPERTY_INPUTS } from "@/lib/property/investmentProperty";
+import { AGE_PENSION_INPUTS } from "@/lib/centrelink/agePension";
+import { INDEXATION_DATES } from "@/lib/centrelink";
+
+describe("encodeUrlState", () => {
+  it("is empty while every input is at its default", () => {
+    expect(encodeUrlState(schemaDefaults(MORTGAGE_INPUTS), MORTGAGE_INPUTS)).toBe("");
+  });
+
+  it("writes only changed inputs, under their short keys, with the version", () => {
+    const values = { ...schemaDefaults(MORTGAGE_INPUTS), loanAmount: 750000, extra: "200" };
+    expect(encodeUrlState(values, MORTGAGE_INPUTS)).toBe("v=1&la=750000&x=200");
+  });
+
+  it("skips blank fields and writes booleans as 1/0", () => {
+    const values = {
+      ...schemaDefaults(AGE_PENSION_INPUTS),
+      rulesDate: INDEXATION_DATES[0],
+      incomeFt: "",
+      homeowner: false,
+    };
+    expect(encodeUrlState(values, AGE_PENSION_INPUTS, { version: 2 })).toBe(`v=2&d=${INDEXATION_DATES[0]}&h=0`);
+  });
+});
+
+describe("rules dates in links", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("keeps a link on its rules after the next indexation date", () => {
+    const [earlier, later] = INDEXATION_DATES.slice(-2);
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(`${earlier}T12:00:00Z`));
+    const values = schemaDefaults(AGE_PENSION_INPUTS);
+    expect(values.rulesDate).toBe(earlier);
+    const qs = encodeUrlState(values, AGE_PENSION_INPUTS);
+    expect(qs).toBe(`v=1&d=${earlier}`);
+
+    vi.setSystemTime(new Date(`${later}T12:00:00Z`));
+    expect(schemaDefaults(AGE_PENSION_INPUTS).rulesDate).toBe(later);
+    expect(decodeUrlState(qs, AGE_PENSION_INPUTS).values.rulesDate).toBe(earlier);
+  });
+});
+
+describe("decodeUrlState", () => {
+  it("round-trips a scenario", () => {
+    const values = {
+      ...schemaDefaults(INVESTMENT_PROPERTY_INPUTS),
+      purchasePrice: 950000,
+      loanRepaymentType: "IO5",
+      fy: "2024-25",
+      growthRate: -1.5,
+    };
+    const qs = encodeUrlState(values, INVESTMENT_PROPERTY_INPUTS);
+    const { values: restored, status } = decodeUrlState(qs, INVESTMENT_PROPERTY_INPUTS);
+    expect(status).toBe("ok");
+    expect({ ...schemaDefaults(INVESTMENT_PROPERTY_INPUTS), ...restored }).toEqual(values);
+  });
+
+  it("reads a Next.js router query object", () => {
+    const { values } = decodeUrlState({ v: "1", la: "500000", f: ["weekly", "monthly"] }, MORTGAGE_INPUTS);
+    expect(values).toEqual({ loanAmount: 500000, frequency: "weekly" });
+  });
+
+  it("reports no calculator params as empty", () => {
+    expect(decodeUrlState({ utm_source: "x" }, MORTGAGE_INPUTS).status).toBe("empty");
+  });
+
+  it("drops invalid values and keeps the rest", () => {
+    const { values, invalid, status } = decodeUrlState(
+      "v=1&la=-5&r=6&f=daily&t=25&x=abc",
+      MORTGAGE_INPUTS
+    );
+    expect(status).toBe("partial");
+    expect(values).toEqual({ interest: 6, termYears: 25 });
+    expect(invalid).toEqual(["loanAmount", "frequency", "extra"]);
+  });
+
+  it("only accepts published indexation dates", () => {
+    expect(decodeUrlState(`d=${INDEXATION_DATES[0]}`, AGE_PENSION_INPUTS).values.rulesDate).toBe(
+      INDEXATION_DATES[0]
+    );
+    expect(decodeUrlState("d=2026-01-01", AGE_PENSION_INPUTS).invalid).toEqual(["rulesDate"]);
+  });
+
+  it("reads unversioned links as version 1", () => {
+    expect(decodeUrlState("la=500000", MORTGAGE_INPUTS).values).toEqual({ loanAmount: 500000 });
+  });
+
+  it("restores nothing from a newer or unmigratable version", () => {
+    expect(decodeUrlState("v=3&la=1", MORTGAGE_INPUTS, { version: 2 })).toEqual({
+      values: {},
+      invalid: [],
+      status: "unsupported",
+    });
+    expect(decodeUrlState("v=1&la=1", MORTGAGE_INPUTS, { version: 2 }).status).toBe("outdated");
+    expect(decodeUrlState("v=x&la=1", MORTGAGE_INPUTS).status).toBe("outdated");
+  });
+
+  it("migrates old links forward", () => {
+    // v1 stored the term in months under "tm"
+    const migrations = {
+      1: ({ tm, ...params }) => ({ ...params, t: String(Number(tm) / 12) }),
+    };
+    const { values, status } = decodeUrlState("v=1&tm=300", MORTGAGE_INPUTS, {
+      version: 2,
+      migrations,
+    });
+    expect(status).toBe("ok");
+    expect(values).toEqual({ termYears: 25 });
+  });
+});
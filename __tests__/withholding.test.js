@@ -0,0 +1,141 @@
+// __tests__/withholding.test.js
+import { describe, it, expect } from "vitest";
+import {
+  paygWithholding,
+  weeklyEquivalent,
+  weeklyWithholding,
+  weeklyStudyLoanComponent,
+  withholdingScale,
+  withholdingSchedule,
+} from "@/lib/tax/withholding";
+import { compulsoryRepayment, repaymentThreshold } from "@/lib/tax/studyLoan";
+import { calculateTakeHome } from "@/lib/tax/takeHome";
+import { computeIncomeTax } from "@/lib/tax";
+
+// Figures worked from the ATO Schedule 1 coefficients (y = a·x − b, x = whole dollars + 99c).
+
+describe("Schedule 1 scales", () => {
+  it("picks the scale from the tax-free threshold and Medicare variation", () => {
+    expect(withholdingScale({})).toBe(2);
+    expect(withholdingScale({ claimsTaxFreeThreshold: false, medicareVariation: "full" })).toBe(1);
+    expect(withholdingScale({ medicareVariation: "full" })).toBe(5);
+    expect(withholdingScale({ medicareVariation: "half" })).toBe(6);
+  });
+
+  it("uses the Stage 3 schedule from 2024–25 and the earlier one before", () => {
+    expect(withholdingSchedule("2023-24").from).toBe("13 October 2020");
+    expect(withholdingSchedule("2026-27").from).toBe("1 July 2024");
+    expect(() => withholdingSchedule("2019-20")).toThrow(/No withholding schedule/);
+  });
+
+  it("weekly $1,000 in 2024–25 on each scale", () => {
+    expect(weeklyWithholding(1000, { fy: "2024-25", scale: 2 })).toBe(143);
+    expect(weeklyWithholding(1000, { fy: "2024-25", scale: 1 })).toBe(255);
+    expect(weeklyWithholding(1000, { fy: "2024-25", scale: 5 })).toBe(123);
+    expect(weeklyWithholding(1000, { fy: "2024-25", scale: 6 })).toBe(133);
+  });
+
+  it("uses the Stage 3 breakpoints above $2,307 a week", () => {
+    const at = (x, scale) => weeklyWithholding(x, { fy: "2024-25", scale });
+    expect([at(2590, 1), at(2590, 2), at(2590, 5), at(2590, 6)]).toEqual([788, 653, 601, 627]);
+    expect([at(3700, 1), at(3700, 2), at(3700, 5), at(3700, 6)]).toEqual([1252, 1089, 1015, 1052]);
+  });
+
+  it("lands on the year's tax for high weekly earnings", () => {
+    for (const weekly of [2590, 3700]) {
+      const yearTax = computeIncomeTax({ fy: "2024-25", taxableIncome: weekly * 52 }).totalTax;
+      expect(Math.abs(weeklyWithholding(weekly, { fy: "2024-25", scale: 2 }) - yearTax / 52)).toBeLessThan(2);
+    }
+  });
+
+  it("withholds nothing under the threshold row", () => {
+    expect(weeklyWithholding(360, { fy: "2025-26", scale: 2 })).toBe(0);
+    expect(weeklyWithholding(300, { fy: "2025-26", scale: 5 })).toBe(0);
+  });
+});
+
+describe("pay frequency conversions", () => {
+  it("converts fortnightly and monthly pays to a whole-dollar weekly equivalent", () => {
+    expect(weeklyEquivalent(2001.8, "fortnightly")).toBe(1000);
+    expect(weeklyEquivalent(4333.33, "monthly")).toBe(1000); // 33c gains a cent
+    expect(weeklyEquivalent(4333.32, "monthly")).toBe(999);
+    expect(() => weeklyEquivalent(1000, "annual")).toThrow(/Unsupported pay frequency/);
+  });
+
+  it("doubles fortnightly and scales monthly by 13/3", () => {
+    const base = { fy: "2024-25" };
+    expect(paygWithholding({ ...base, earnings: 2000, frequency: "fortnightly" }).tax).toBe(286);
+    expect(paygWithholding({ ...base, earnings: 4333.33, frequency: "monthly" }).tax).toBe(620);
+    expect(paygWithholding({ ...base, earnings: 2000, frequency: "fortnightly" }).annual).toBe(286 * 26);
+  });
+});
+
+describe("study and training loan component", () => {
+  it("applies the band rate to the whole pay up to 2024–25", () => {
+    // $1,200 a week is $62,400 a year: the 1% band
+    expect(weeklyStudyLoanComponent(1200, { fy: "2024-25" })).toBe(12);
+    // Without the tax-free threshold the bands start $350 a week lower: $1,350 is in the 2.5% band
+    expect(weeklyStudyLoanComponent(1000, { fy: "2024-25" })).toBe(0);
+    expect(weeklyStudyLoanComponent(1000, { fy: "2024-25", claimsTaxFreeThreshold: false })).toBe(25);
+  });
+
+  it("is marginal from 2025–26", () => {
+    // ($78,000 − $67,000) × 15% ÷ 52
+    expect(weeklyStudyLoanComponent(1500, { fy: "2025-26" })).toBe(32);
+    const pay = paygWithholding({ fy: "2025-26", earnings: 3000, frequency: "fortnightly", studyLoan: true });
+    expect(pay.studyLoan).toBe(64);
+    expect(pay.total).toBe(pay.tax + 64);
+  });
+
+  it("compulsory repayments by year", () => {
+    expect(repaymentThreshold("2024-25")).toBe(54435);
+    expect(compulsoryRepayment(54434, "2024-25")).toBe(0);
+    expect(compulsoryRepayment(100000, "2024-25")).toBeCloseTo(5500, 6);
+    expect(compulsoryRepayment(100000, "2025-26")).toBeCloseTo(4950, 6);
+    expect(compulsoryRepayment(150000, "2025-26")).toBeCloseTo(12950, 6);
+    // Never more than 10% of repayment income
+    expect(compulsoryRepayment(250000, "2025-26")).toBeCloseTo(25000, 6);
+  });
+});
+
+describe("calculateTakeHome pay-slip mode", () => {
+  const base = { fy: "2025-26", income: 3000, frequency: "fortnightly", paySlipMode: true };
+
+  it("is off by default and for annual pay", () => {
+    expect(calculateTakeHome({ ...base, paySlipMode: false }).payslip).toBeNull();
+    expect(calculateTakeHome({ ...base, frequency: "annual" }).payslip).toBeNull();
+  });
+
+  it("reconciles a year of withholding against the tax assessed", () => {
+    const r = calculateTakeHome(base);
+    expect(r.payslip.scale).toBe(2);
+    expect(r.payslip.annual).toBe(r.payslip.tax * 26);
+    expect(r.payslip.assessed).toBe(r.totalTaxAnnual);
+    expect(r.payslip.refund).toBe(r.payslip.annual - r.totalTaxAnnual);
+    // The tables are built to land close to the year's tax
+    expect(Math.abs(r.payslip.refund)).toBeLessThan(200);
+  });
+
+  it("withholds from pay after salary sacrifice and refunds deductions claimed at tax time", () => {
+    const sacrificed = calculateTakeHome({ ...base, salarySacrifice: 5200 });
+    expect(sacrificed.payslip.earnings).toBe(2800);
+    const deductions = calculateTakeHome({ ...base, otherDeductions: 5000 });
+    expect(deductions.payslip.annual).toBe(calculateTakeHome(base).payslip.annual);
+    expect(deductions.payslip.refund).toBeGreaterThan(calculateTakeHome(base).payslip.refund + 1000);
+  });
+
+  it("adds the study loan repayment on income including salary sacrifice", () => {
+    const r = calculateTakeHome({ ...base, studyLoan: true, salarySacrifice: 5200 });
+    expect(r.repaymentIncome).toBe(78000);
+    expect(r.studyLoanRepayment).toBe(1650);
+    expect(r.payslip.assessed).toBe(r.totalTaxAnnual + 1650);
+  });
+
+  it("takes an exempt share of the Medicare levy off the assessment", () => {
+    const r = calculateTakeHome({ ...base, medicareVariation: "full" });
+    expect(r.payslip.scale).toBe(5);
+    expect(r.payslip.medicareExemption).toBe(Math.round(r.tax.medicareLevy));
+    expect(r.totalTaxAnnual).toBe(Math.round(r.tax.totalTax - r.payslip.medicareExemption));
+    expect(r.payslip.assessed).toBe(r.totalTaxAnnual);
+  });
+});
@@ -0,0 +1,292 @@
+// components/AssetItemiser.js
+import { useMemo, useRef, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import { getCentrelinkRules } from "@/lib/centrelink";
+import { financialYearOf } from "@/lib/centrelink/gifting";
+import {
+  ASSET_TYPES,
+  INCOME_TYPES,
+  TREATMENTS,
+  classifyAssets,
+  summariseIncome,
+} from "@/lib/centrelink/assets";
+
+const aud0 = (n) =>
+  (isFinite(n) ? n : 0).toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    maximumFractionDigits: 0,
+  });
+
+const TREATMENT_CLASSES = {
+  deemed: "bg-blue-100 text-blue-900",
+  assessable: "bg-amber-100 text-amber-900",
+  exempt: "bg-slate-100 text-slate-700",
+  giftingExcess: "bg-red-100 text-red-900",
+};
+
+const OWNER_LABELS = { you: "You", partner: "Partner", joint: "Joint" };
+
+/**
+ * Itemised assets and income for the Centrelink calculators. Each asset is
+ * classified as it is entered (lib/centrelink/assets.js); "Use these totals"
+ * hands the page
+ *   { assets: classifyAssets(...), income: summariseIncome(...) }
+ * to copy into its own inputs. Items live in component state only: the
+ * share link and saved scenarios carry the totals.
+ */
+export default function AssetItemiser({
+  couple = false,
+  rulesDate,
+  defaultPensionAge = { you: true, partner: true },
+  onApply,
+}) {
+  const nextId = useRef(1);
+  const [assets, setAssets] = useState([]);
+  const [incomes, setIncomes] = useState([]);
+  const [pensionAge, setPensionAge] = useState(defaultPensionAge);
+
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const fy = financialYearOf(rules.asAt);
+  // Gifts more than five financial years back no longer count
+  const giftYears = Array.from({ length: rules.assets.gifting.deprivationYears }, (_, i) => fy - i);
+
+  const classified = useMemo(
+    () => classifyAssets(assets, { couple, pensionAge }, rules),
+    [assets, couple, pensionAge, rules]
+  );
+  const income = useMemo(() => summariseIncome(incomes, { couple }), [incomes, couple]);
+  const { totals } = classified;
+
+  const add = (setList, item) => setList((list) => [...list, { id: nextId.current++, owner: "you", ...item }]);
+  const update = (setList, id, patch) =>
+    setList((list) => list.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  const remove = (setList, id) => setList((list) => list.filter((item) => item.id !== id));
+
+  const ownerSelect = (item, setList) =>
+    couple ? (
+      <select
+        className="border rounded px-2 py-1 bg-white"
+        value={item.owner}
+        onChange={(e) => update(setList, item.id, { owner: e.target.value })}
+      >
+        {Object.entries(OWNER_LABELS).map(([k, label]) => (
+          <option key={k} value={k}>
+            {label}
+          </option>
+        ))}
+      </select>
+    ) : null;
+
+  return (
+    <div className="space-y-5 text-sm text-slate-700">
+      {/* — Assets — */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-slate-600">
+            <tr>
+              <th className="py-1 pr-3 font-medium">Asset</th>
+              {couple && <th className="py-1 pr-3 font-medium">Owner</th>}
+              <th className="py-1 pr-3 font-medium">Value</th>
+              <th className="py-1 pr-3 font-medium">Loan / year given</th>
+              <th className="py-1 pr-3 font-medium">Treatment</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map((item, i) => {
+              const { parts, note } = classified.items[i];
+              return (
+                <tr key={item.id} className="border-t border-slate-100 align-top">
+                  <td className="py-2 pr-3">
+                    <select
+                      className="border rounded px-2 py-1 bg-white"
+                      value={item.type}
+                      onChange={(e) => update(setAssets, item.id, { type: e.target.value })}
+                    >
+                      {Object.entries(ASSET_TYPES).map(([k, t]) => (
+                        <option key={k} value={k}>
+                          {t.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  {couple && <td className="py-2 pr-3">{ownerSelect(item, setAssets)}</td>}
+                  <td className="py-2 pr-3">
+                    <CurrencyInput
+                      className="w-32"
+                      value={item.value}
+                      onChange={(v) => update(setAssets, item.id, { value: v })}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    {ASSET_TYPES[item.type].hasDebt && (
+                      <CurrencyInput
+                        className="w-32"
+                        placeholder="Loan"
+                        value={item.debt ?? ""}
+                        onChange={(v) => update(setAssets, item.id, { debt: v })}
+                      />
+                    )}
+                    {ASSET_TYPES[item.type].hasYear && (
+                      <select
+                        className="border rounded px-2 py-1 bg-white"
+                        value={item.fy ?? fy}
+                        onChange={(e) => update(setAssets, item.id, { fy: Number(e.target.value) })}
+                      >
+                        {giftYears.map((y) => (
+                          <option key={y} value={y}>
+                            {y}–{String(y + 1).slice(2)}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <div className="flex flex-wrap gap-1">
+                      {parts.map((p) => (
+                        <span
+                          key={p.treatment}
+                          title={TREATMENTS[p.treatment].description}
+                          className={`rounded px-1.5 py-0.5 text-xs font-medium ${TREATMENT_CLASSES[p.treatment]}`}
+                        >
+                          {TREATMENTS[p.treatment].label}
+                          {parts.length > 1 && ` ${aud0(p.amount)}`}
+                        </span>
+                      ))}
+                    </div>
+                    {note && <div className="text-[11px] text-slate-500 mt-1 max-w-xs">{note}</div>}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      title="Remove"
+                      onClick={() => remove(setAssets, item.id)}
+                      className="text-slate-500 hover:text-red-700"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <button
+          type="button"
+          onClick={() => add(setAssets, { type: "bank", value: "", fy })}
+          className="mt-2 inline-flex items-center gap-1 rounded-md border border-slate-300 bg-white px-2.5 py-1 text-xs font-semibold text-slate-800 hover:bg-slate-50"
+        >
+          <Plus className="h-3.5 w-3.5" /> Add asset
+        </button>
+      </div>
+
+      {/* — Income — */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-slate-600">
+            <tr>
+              <th className="py-1 pr-3 font-medium">Income</th>
+              {couple && <th className="py-1 pr-3 font-medium">Owner</th>}
+              <th className="py-1 pr-3 font-medium">Per fortnight</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {incomes.map((item) => (
+              <tr key={item.id} className="border-t border-slate-100">
+                <td className="py-2 pr-3">
+                  <select
+                    className="border rounded px-2 py-1 bg-white"
+                    value={item.type}
+                    onChange={(e) => update(setIncomes, item.id, { type: e.target.value })}
+                  >
+                    {Object.entries(INCOME_TYPES).map(([k, t]) => (
+                      <option key={k} value={k}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                {couple && <td className="py-2 pr-3">{ownerSelect(item, setIncomes)}</td>}
+                <td className="py-2 pr-3">
+                  <CurrencyInput
+                    className="w-32"
+                    value={item.amount}
+                    onChange={(v) => update(setIncomes, item.id, { amount: v })}
+                  />
+                </td>
+                <td className="py-2 text-right">
+                  <button
+                    type="button"
+                    title="Remove"
+                    onClick={() => remove(setIncomes, item.id)}
+                    className="text-slate-500 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          type="button"
+          onClick={() => add(setIncomes, { type: "employment", amount: "" })}
+          className="mt-2 inline-flex items-center gap-1 rounded-md border border-slate-300 bg-white px-2.5 py-1 text-xs font-semibold text-slate-800 hover:bg-slate-50"
+        >
+          <Plus className="h-3.5 w-3.5" /> Add income
+        </button>
+        <p className="text-[11px] text-slate-500 mt-1">
+          Don’t enter interest or dividends from deemed assets: deemed income replaces them.
+        </p>
+      </div>
+
+      {/* — Who has reached pension age (accumulation super) — */}
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={pensionAge.you}
+            onChange={(e) => setPensionAge((p) => ({ ...p, you: e.target.checked }))}
+          />
+          <span className="flex items-center gap-2">
+            You’ve reached Age Pension age
+            <Tooltip text="Super still in accumulation phase is exempt until its owner reaches Age Pension age, then it is deemed." />
+          </span>
+        </label>
+        {couple && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={pensionAge.partner}
+              onChange={(e) => setPensionAge((p) => ({ ...p, partner: e.target.checked }))}
+            />
+            Your partner has
+          </label>
+        )}
+      </div>
+
+      {/* — Totals and apply — */}
+      <div className="rounded-lg bg-blue-50 p-3 text-blue-900 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-x-6 gap-y-1">
+          {Object.entries(TREATMENTS).map(([k, t]) => (
+            <div key={k}>
+              <div className="text-[11px] text-blue-900/80">{t.label}</div>
+              <div className="font-medium">{aud0(totals[k])}</div>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => onApply?.({ assets: classified, income })}
+          className="inline-flex items-center justify-center gap-2 rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-slate-800"
+        >
+          Use these totals
+        </button>
+      </div>
+    </div>
+  );
+}
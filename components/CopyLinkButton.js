@@ -0,0 +1,58 @@
+// components/CopyLinkButton.js
+import { useState } from "react";
+import { Link2, Check } from "lucide-react";
+
+/**
+ * Copies a link to the current page with the calculator inputs in the query
+ * string (from useUrlState), so the scenario can be shared or bookmarked.
+ */
+export default function CopyLinkButton({ queryString = "", className = "" }) {
+  const [copyStatus, setCopyStatus] = useState("idle"); // idle | copied | error
+
+  function flash(status) {
+    setCopyStatus(status);
+    setTimeout(() => setCopyStatus("idle"), 2500);
+  }
+
+  function copyLink() {
+    const { origin, pathname } = window.location;
+    const url = queryString ? `${origin}${pathname}?${queryString}` : `${origin}${pathname}`;
+
+    navigator.clipboard
+      .writeText(url)
+      .then(() => flash("copied"))
+      .catch(() => {
+        // fallback: create temporary input
+        try {
+          const input = document.createElement("input");
+          input.value = url;
+          document.body.appendChild(input);
+          input.select();
+          document.execCommand("copy");
+          document.body.removeChild(input);
+          flash("copied");
+        } catch {
+          flash("error");
+        }
+      });
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={copyLink}
+      className={`inline-flex items-center gap-2 rounded-md border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-800 shadow-sm hover:bg-slate-50 no-print ${className}`}
+    >
+      {copyStatus === "copied" ? (
+        <Check className="h-4 w-4 text-emerald-600" />
+      ) : (
+        <Link2 className="h-4 w-4" />
+      )}
+      {copyStatus === "copied"
+        ? "Link copied"
+        : copyStatus === "error"
+        ? "Couldn't copy link"
+        : "Copy link"}
+    </button>
+  );
+}
@@ -0,0 +1,62 @@
+// components/DownloadReportButton.js
+import { useState } from "react";
+import { FileDown, Loader2 } from "lucide-react";
+
+/**
+ * Builds a branded PDF of the current calculation in the browser and
+ * downloads it. `getReport()` returns the page's report data (see
+ * lib/report/pdf.js); charts marked with data-report-chart are added from
+ * the page as drawn. `queryString` (from useUrlState) makes the report's
+ * link reopen the same inputs.
+ *
+ * The PDF code is loaded on first click, so it isn't part of the page bundle.
+ */
+export default function DownloadReportButton({ getReport, queryString = "", className = "" }) {
+  const [status, setStatus] = useState("idle"); // idle | working | error
+
+  async function download() {
+    setStatus("working");
+    try {
+      const [{ renderReportPdf, reportFilename }, { captureCharts, loadImage }] = await Promise.all([
+        import("@/lib/report/pdf"),
+        import("@/lib/report/charts"),
+      ]);
+      const { origin, pathname } = window.location;
+      const report = {
+        url: queryString ? `${origin}${pathname}?${queryString}` : `${origin}${pathname}`,
+        ...getReport(),
+        date: new Date(),
+      };
+      const [charts, logo] = await Promise.all([
+        captureCharts(),
+        loadImage("/logo.png").catch(() => null), // the report still works without it
+      ]);
+      renderReportPdf({ ...report, charts }, { logo }).save(reportFilename(report.title, report.date));
+      setStatus("idle");
+    } catch (err) {
+      console.error("Report generation failed", err);
+      setStatus("error");
+      setTimeout(() => setStatus("idle"), 4000);
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={download}
+      disabled={status === "working"}
+      className={`inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700 disabled:opacity-70 no-print ${className}`}
+    >
+      {status === "working" ? (
+        <Loader2 className="h-4 w-4 animate-spin" />
+      ) : (
+        <FileDown className="h-4 w-4" />
+      )}
+      {status === "working"
+        ? "Preparing report…"
+        : status === "error"
+        ? "Couldn't create report"
+        : "Download report"}
+    </button>
+  );
+}
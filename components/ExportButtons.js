@@ -0,0 +1,66 @@
+// components/ExportButtons.js
+import { useState } from "react";
+import { FileSpreadsheet, Loader2 } from "lucide-react";
+import { toCsv, exportFilename, downloadBlob } from "@/lib/export";
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * "Export CSV" and "Export Excel" buttons for a calculator's schedule.
+ * `getExport()` returns the page's export data (see lib/export); the CSV is
+ * the schedule alone, the workbook adds an inputs sheet. `queryString` (from
+ * useUrlState) is stored in the workbook so it can be traced back to the page.
+ *
+ * ExcelJS is loaded on first use, so it isn't part of the page bundle.
+ */
+export default function ExportButtons({ getExport, queryString = "", className = "" }) {
+  const [status, setStatus] = useState("idle"); // idle | working | error
+
+  function exportCsv() {
+    const data = getExport();
+    // Excel needs the BOM to read the file as UTF-8
+    const blob = new Blob(["\uFEFF", toCsv(data)], { type: "text/csv;charset=utf-8;" });
+    downloadBlob(exportFilename(data.title, "csv"), blob);
+  }
+
+  async function exportXlsx() {
+    setStatus("working");
+    try {
+      const { renderWorkbook } = await import("@/lib/export/xlsx");
+      const data = getExport();
+      const { origin, pathname } = window.location;
+      const url = queryString ? `${origin}${pathname}?${queryString}` : `${origin}${pathname}`;
+      const buffer = await renderWorkbook(data, { url }).xlsx.writeBuffer();
+      downloadBlob(exportFilename(data.title, "xlsx"), new Blob([buffer], { type: XLSX_TYPE }));
+      setStatus("idle");
+    } catch (err) {
+      console.error("Spreadsheet export failed", err);
+      setStatus("error");
+      setTimeout(() => setStatus("idle"), 4000);
+    }
+  }
+
+  const buttonClass =
+    "inline-flex items-center gap-1.5 rounded-md border border-slate-300 bg-white px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-70";
+
+  return (
+    <div className={`flex gap-2 no-print ${className}`}>
+      <button type="button" onClick={exportCsv} className={buttonClass}>
+        Export CSV
+      </button>
+      <button
+        type="button"
+        onClick={exportXlsx}
+        disabled={status === "working"}
+        className={buttonClass}
+      >
+        {status === "working" ? (
+          <Loader2 className="h-3.5 w-3.5 animate-spin" />
+        ) : (
+          <FileSpreadsheet className="h-3.5 w-3.5" />
+        )}
+        {status === "error" ? "Couldn't create file" : "Export Excel"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// components/FinancialYearSelect.js
+import Tooltip from "@/components/Tooltip";
+import { FINANCIAL_YEARS, fyLabel } from "@/lib/tax";
+
+/**
+ * Financial year picker for calculators that use the shared tax engine.
+ * Emits the raw FY key (e.g. "2025-26").
+ */
+export default function FinancialYearSelect({ value, onChange, className = "" }) {
+  return (
+    <label className={`flex flex-col ${className}`}>
+      <span className="text-slate-600 flex items-center gap-1">
+        Financial year
+        <Tooltip text="Tax rates, offsets and Medicare levy thresholds for the selected year. Use a past year to redo earlier figures." />
+      </span>
+      <select
+        className="border rounded px-2 py-1 bg-white"
+        value={value}
+        onChange={(e) => onChange?.(e.target.value)}
+      >
+        {FINANCIAL_YEARS.map((fy) => (
+          <option key={fy} value={fy}>
+            {fyLabel(fy)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
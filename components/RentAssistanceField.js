@@ -0,0 +1,58 @@
+// components/RentAssistanceField.js
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import { calculateRentAssistance } from "@/lib/centrelink/rentAssistance";
+
+const aud = (n) =>
+  (isFinite(n) ? n : 0).toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Fortnightly rent for the Centrelink calculators, with the Rent Assistance
+ * it attracts for the household (calculateRentAssistance's `status` and
+ * `sharer`, and `childCount` children) under `rules` (getCentrelinkRules).
+ * The sharer checkbox shows when `onSharerChange` is given and the
+ * household is a single without children.
+ * The payment engines work out Rent Assistance themselves; this only shows it.
+ */
+export default function RentAssistanceField({
+  rent,
+  onRentChange,
+  sharer = false,
+  onSharerChange,
+  status = "single",
+  childCount = 0,
+  rules,
+  label = "Rent (per fortnight)",
+  className = "",
+}) {
+  const ra = calculateRentAssistance({ rentFt: rent, status, sharer, children: childCount }, rules);
+  const taperCents = Math.round(rules.rentAssistance.taper * 100);
+  const canShare = onSharerChange && status === "single" && !(Number(childCount) > 0);
+
+  return (
+    <div className={`flex flex-col ${className}`}>
+      <label className="flex flex-col">
+        <span className="text-slate-600 font-medium mb-1 flex items-center gap-1">
+          {label}
+          <Tooltip text="Private rent, including board and lodging. Public housing tenants don't get Rent Assistance." />
+        </span>
+        <CurrencyInput className="w-full" value={rent} onChange={(v) => onRentChange?.(Number(v))} />
+      </label>
+      {canShare && (
+        <label className="mt-2 flex items-center gap-2 text-slate-600">
+          <input type="checkbox" checked={sharer} onChange={(e) => onSharerChange(e.target.checked)} />
+          I share a kitchen, bathroom or living area
+        </label>
+      )}
+      <p className="mt-1 text-[11px] text-slate-500">
+        Rent Assistance <strong className="text-slate-700">{aud(ra.rentAssistanceFt)}</strong> pf: {taperCents}c per $1 over{" "}
+        {aud(ra.thresholdFt)}, up to {aud(ra.maxRateFt)} (reached at {aud(ra.rentForMaxFt)} rent).
+      </p>
+    </div>
+  );
+}
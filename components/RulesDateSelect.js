@@ -0,0 +1,29 @@
+// components/RulesDateSelect.js
+import Tooltip from "@/components/Tooltip";
+import { INDEXATION_DATES, formatEffectiveDate } from "@/lib/centrelink";
+
+/**
+ * Centrelink indexation date picker for calculators that use the shared rules store.
+ * Emits the ISO date (e.g. "2026-03-20").
+ */
+export default function RulesDateSelect({ value, onChange, className = "" }) {
+  return (
+    <label className={`flex flex-col ${className}`}>
+      <span className="text-slate-600 flex items-center gap-1">
+        Rates as at
+        <Tooltip text="Payment rates and thresholds change on 20 March and 20 September. Pick an earlier date to check a past assessment." />
+      </span>
+      <select
+        className="border rounded px-2 py-1 bg-white"
+        value={value}
+        onChange={(e) => onChange?.(e.target.value)}
+      >
+        {INDEXATION_DATES.map((d) => (
+          <option key={d} value={d}>
+            {formatEffectiveDate(d)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
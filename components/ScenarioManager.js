@@ -0,0 +1,348 @@
+// components/ScenarioManager.js
+import { useMemo, useState } from "react";
+import { Save, Pencil, Trash2, Check, X } from "lucide-react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as RTooltip,
+  Legend,
+} from "recharts";
+import SectionCard from "@/components/SectionCard";
+import ChartTooltip from "@/components/ChartTooltip";
+import useScenarios from "@/hooks/useScenarios";
+import {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  MAX_NAME_LENGTH,
+  compareScenarios,
+  overlaySeries,
+} from "@/lib/scenarios";
+import { number0 } from "@/utils/format";
+
+const SERIES_COLOURS = ["#1e3a8a", "#f59e0b", "#10b981", "#db2777"];
+
+const TONE_CLASSES = {
+  good: "text-green-700",
+  bad: "text-red-700",
+  neutral: "text-slate-500",
+};
+
+function formatDiff(diff, format) {
+  if (diff == null) return "";
+  if (diff === 0) return "no change";
+  return `${diff > 0 ? "+" : "−"}${format(Math.abs(diff))}`;
+}
+
+function formatSavedAt(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime())
+    ? ""
+    : d.toLocaleString("en-AU", { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * Save, rename and reload named sets of calculator inputs, and compare two
+ * to four of them side by side.
+ *
+ * Props:
+ * - calculatorId: storage namespace, e.g. "mortgage"
+ * - schema: the calculator's input schema (saved inputs are checked against it)
+ * - inputs / onLoad: current inputs, and a setter that replaces them
+ * - compute: (inputs) => result, the same calculation the page shows
+ * - metrics: [{ label, value: (result) => number, format, diffFormat, better: "higher" | "lower" }]
+ *            — the page's headline figures; `diffFormat` (defaults to `format`)
+ *            formats the size of a difference, e.g. "2 years" vs "Year 2"
+ * - chart (optional): { title, xLabel, series: (result) => [{ x, y }], format }
+ */
+export default function ScenarioManager({
+  calculatorId,
+  schema,
+  inputs,
+  onLoad,
+  compute,
+  metrics,
+  chart,
+}) {
+  const { scenarios, save, rename, remove, persisted } = useScenarios(calculatorId, schema);
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  // Keep the selection to scenarios that still exist, in the order they were ticked
+  const selected = useMemo(
+    () =>
+      selectedIds
+        .map((id) => scenarios.find((s) => s.id === id))
+        .filter(Boolean),
+    [selectedIds, scenarios]
+  );
+
+  const comparison = useMemo(() => {
+    if (selected.length < MIN_COMPARE) return null;
+    const results = selected.map((s) => compute(s.inputs));
+    return {
+      rows: compareScenarios(results, metrics),
+      chartData: chart
+        ? overlaySeries(selected.map((s, i) => ({ id: s.id, points: chart.series(results[i]) })))
+        : [],
+    };
+  }, [selected, compute, metrics, chart]);
+
+  function attempt(fn) {
+    try {
+      fn();
+      setMessage(null);
+      return true;
+    } catch (err) {
+      setMessage(err.message);
+      return false;
+    }
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    if (attempt(() => save(name, inputs))) setName("");
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    if (attempt(() => rename(editing.id, editing.name))) setEditing(null);
+  }
+
+  function handleDelete(id) {
+    remove(id);
+    setSelectedIds((ids) => ids.filter((x) => x !== id));
+    if (editing?.id === id) setEditing(null);
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds((ids) => {
+      if (ids.includes(id)) return ids.filter((x) => x !== id);
+      return ids.length >= MAX_COMPARE ? ids : [...ids, id];
+    });
+  }
+
+  return (
+    <SectionCard
+      title="Saved scenarios"
+      aside="Saved in this browser only. Tick two to four to compare."
+    >
+      <form onSubmit={handleSave} className="flex flex-col sm:flex-row gap-2 text-sm">
+        <input
+          type="text"
+          value={name}
+          maxLength={MAX_NAME_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this scenario (e.g. Rate at 5.9%)"
+          aria-label="Scenario name"
+          className="flex-1 border rounded px-2 py-1"
+        />
+        <button
+          type="submit"
+          className="inline-flex items-center justify-center gap-2 rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-slate-800"
+        >
+          <Save className="h-4 w-4" />
+          Save current inputs
+        </button>
+      </form>
+
+      {message && <p className="mt-2 text-xs text-red-700">{message}</p>}
+      {!persisted && (
+        <p className="mt-2 text-xs text-amber-700">
+          Your browser didn&apos;t let us store scenarios, so they&apos;ll be lost when you leave this page.
+        </p>
+      )}
+
+      {scenarios.length === 0 ? (
+        <p className="mt-4 text-sm text-slate-500">
+          No saved scenarios yet. Save the current inputs, change something, then save again to compare.
+        </p>
+      ) : (
+        <ul className="mt-4 divide-y divide-slate-100 rounded-lg border border-slate-200 text-sm">
+          {scenarios.map((s) => {
+            const isSelected = selectedIds.includes(s.id);
+            const colour = SERIES_COLOURS[selected.findIndex((x) => x.id === s.id)];
+            return (
+              <li key={s.id} className="flex flex-wrap items-center gap-3 px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  disabled={!isSelected && selectedIds.length >= MAX_COMPARE}
+                  onChange={() => toggleSelected(s.id)}
+                  aria-label={`Compare ${s.name}`}
+                />
+                {isSelected && (
+                  <span
+                    className="h-2.5 w-2.5 rounded-sm"
+                    style={{ backgroundColor: colour }}
+                    aria-hidden="true"
+                  />
+                )}
+
+                {editing?.id === s.id ? (
+                  <form onSubmit={handleRename} className="flex flex-1 items-center gap-2">
+                    <input
+                      type="text"
+                      autoFocus
+                      value={editing.name}
+                      maxLength={MAX_NAME_LENGTH}
+                      onChange={(e) => setEditing({ id: s.id, name: e.target.value })}
+                      aria-label="New scenario name"
+                      className="flex-1 border rounded px-2 py-1"
+                    />
+                    <button type="submit" title="Save name" className="text-green-700 hover:text-green-900">
+                      <Check className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      title="Cancel"
+                      onClick={() => setEditing(null)}
+                      className="text-slate-500 hover:text-slate-800"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </form>
+                ) : (
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-slate-900 truncate">{s.name}</div>
+                    {s.savedAt && (
+                      <div className="text-[11px] text-slate-500">Saved {formatSavedAt(s.savedAt)}</div>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={() => onLoad(s.inputs)}
+                    className="rounded-md border border-slate-300 bg-white px-2.5 py-1 text-xs font-semibold text-slate-800 hover:bg-slate-50"
+                  >
+                    Load
+                  </button>
+                  <button
+                    type="button"
+                    title="Rename"
+                    onClick={() => setEditing({ id: s.id, name: s.name })}
+                    className="text-slate-500 hover:text-slate-800"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    title="Delete"
+                    onClick={() => handleDelete(s.id)}
+                    className="text-slate-500 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {comparison && (
+        <div className="mt-6 space-y-6">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-left text-xs text-slate-500">
+                  <th className="py-2 pr-3 font-medium" />
+                  {selected.map((s, i) => (
+                    <th key={s.id} className="py-2 px-3 font-medium text-right">
+                      <span className="inline-flex items-center gap-1.5">
+                        <span
+                          className="h-2.5 w-2.5 rounded-sm"
+                          style={{ backgroundColor: SERIES_COLOURS[i] }}
+                          aria-hidden="true"
+                        />
+                        {s.name}
+                      </span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map((row, r) => {
+                  const format = metrics[r].format || number0;
+                  const diffFormat = metrics[r].diffFormat || format;
+                  return (
+                    <tr key={row.label} className="border-b border-slate-100 last:border-0">
+                      <td className="py-2 pr-3 text-slate-600">{row.label}</td>
+                      {row.cells.map((cell, i) => (
+                        <td key={selected[i].id} className="py-2 px-3 text-right tabular-nums">
+                          <div className="font-semibold text-slate-900">
+                            {cell.value == null ? "—" : format(cell.value)}
+                          </div>
+                          {cell.diff != null && (
+                            <div className={`text-[11px] ${TONE_CLASSES[cell.tone]}`}>
+                              {formatDiff(cell.diff, diffFormat)}
+                            </div>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="mt-2 text-[11px] text-slate-500">
+              Differences are against {selected[0].name}.
+            </p>
+          </div>
+
+          {chart && (
+            <div>
+              {chart.title && (
+                <h3 className="mb-2 text-sm font-semibold text-slate-900">{chart.title}</h3>
+              )}
+              <div className="w-full h-72">
+                <ResponsiveContainer>
+                  <LineChart
+                    data={comparison.chartData}
+                    margin={{ top: 10, right: 20, bottom: 0, left: -10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="x" tick={{ fontSize: 10, fill: "#4b5563" }} />
+                    <YAxis
+                      tickFormatter={chart.format || number0}
+                      tick={{ fontSize: 10, fill: "#4b5563" }}
+                    />
+                    <RTooltip
+                      content={
+                        <ChartTooltip
+                          valueFormatter={chart.format || number0}
+                          labelFormatter={(l) => `${chart.xLabel || "Year"} ${l}`}
+                        />
+                      }
+                    />
+                    <Legend wrapperStyle={{ fontSize: "11px", paddingTop: "4px" }} iconSize={8} />
+                    {selected.map((s, i) => (
+                      <Line
+                        key={s.id}
+                        name={s.name}
+                        type="monotone"
+                        dataKey={s.id}
+                        stroke={SERIES_COLOURS[i]}
+                        strokeWidth={2}
+                        dot={false}
+                        connectNulls
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </SectionCard>
+  );
+}
@@ -0,0 +1,74 @@
+// hooks/useMonteCarlo.js
+import { useEffect, useRef, useState } from "react";
+
+// Wait for typing to settle before starting a run
+const DEBOUNCE_MS = 250;
+
+/**
+ * Runs lib/investing/monteCarlo.js in a Web Worker whenever `params` change
+ * (compared by value) and `enabled` is true. A change mid-run restarts the
+ * worker, so a large run never holds up the next one.
+ *
+ * Returns { result, running, error }. `result` keeps the last completed run
+ * while a new one is in progress, so charts don't flicker; replies from
+ * superseded runs are ignored. Browsers without workers run it in-thread.
+ */
+export default function useMonteCarlo(params, enabled = true) {
+  const [state, setState] = useState({ result: null, running: false, error: null });
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const runId = useRef(0);
+  const key = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const id = ++runId.current;
+    setState((s) => ({ ...s, running: true, error: null }));
+
+    const timer = setTimeout(async () => {
+      if (typeof Worker === "undefined") {
+        const { runMonteCarlo } = await import("@/lib/investing/monteCarlo");
+        try {
+          const result = runMonteCarlo(JSON.parse(key));
+          if (id === runId.current) setState({ result, running: false, error: null });
+        } catch (err) {
+          if (id === runId.current) setState((s) => ({ ...s, running: false, error: err.message }));
+        }
+        return;
+      }
+
+      // A run still in flight is out of date: stop it rather than queue behind it
+      if (busyRef.current) {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+      }
+      if (!workerRef.current) {
+        workerRef.current = new Worker(new URL("../lib/investing/monteCarlo.worker.js", import.meta.url));
+        workerRef.current.onmessage = ({ data }) => {
+          if (data.id !== runId.current) return;
+          busyRef.current = false;
+          setState((s) =>
+            data.error
+              ? { ...s, running: false, error: data.error }
+              : { result: data.result, running: false, error: null }
+          );
+        };
+      }
+      busyRef.current = true;
+      workerRef.current.postMessage({ id, params: JSON.parse(key) });
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [key, enabled]);
+
+  // One worker per page; stop it when the page goes away
+  useEffect(
+    () => () => {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+    },
+    []
+  );
+
+  return state;
+}
@@ -0,0 +1,57 @@
+// hooks/useScenarios.js
+import { useCallback, useEffect, useState } from "react";
+import {
+  readScenarios,
+  writeScenarios,
+  storageKey,
+  addScenario,
+  sanitiseInputs,
+  renameScenario,
+  removeScenario,
+} from "@/lib/scenarios";
+
+/**
+ * Saved scenarios for one calculator, kept in step with localStorage
+ * (including changes made in another tab).
+ *
+ * Returns { scenarios, save, rename, remove, persisted }. `save` and `rename`
+ * throw with a user-facing message when the change isn't allowed;
+ * `persisted` is false when the browser wouldn't let us write to storage.
+ */
+export default function useScenarios(calculatorId, schema) {
+  const [scenarios, setScenarios] = useState([]);
+  const [persisted, setPersisted] = useState(true);
+
+  // Load after mount (storage isn't available during the server render)
+  useEffect(() => {
+    setScenarios(readScenarios(calculatorId, schema));
+
+    function onStorage(e) {
+      if (e.key === storageKey(calculatorId)) {
+        setScenarios(readScenarios(calculatorId, schema));
+      }
+    }
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [calculatorId, schema]);
+
+  const commit = useCallback(
+    (next) => {
+      setScenarios(next);
+      setPersisted(writeScenarios(calculatorId, next));
+    },
+    [calculatorId]
+  );
+
+  const save = useCallback(
+    (name, inputs) => commit(addScenario(scenarios, name, sanitiseInputs(inputs, schema))),
+    [commit, scenarios, schema]
+  );
+  const rename = useCallback(
+    (id, name) => commit(renameScenario(scenarios, id, name)),
+    [commit, scenarios]
+  );
+  const remove = useCallback((id) => commit(removeScenario(scenarios, id)), [commit, scenarios]);
+
+  return { scenarios, save, rename, remove, persisted };
+}
@@ -0,0 +1,76 @@
+// hooks/useUrlState.js
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useRouter } from "next/router";
+import { schemaDefaults } from "@/lib/inputSchema";
+import { encodeUrlState, decodeUrlState } from "@/lib/urlState";
+
+// Wait for typing to settle before rewriting the address bar
+const URL_SYNC_DELAY_MS = 400;
+
+const NOTICES = {
+  partial:
+    "Some values in this link weren't valid, so those fields have been reset to their defaults.",
+  outdated:
+    "This link was made with an older version of the calculator and couldn't be restored. Showing the defaults instead.",
+  unsupported:
+    "This link was made with a newer version of the calculator and couldn't be restored. Showing the defaults instead.",
+};
+
+/**
+ * Calculator inputs held in state and mirrored to the query string, so a
+ * refresh or a shared link restores the same scenario.
+ *
+ * Pages render with the schema defaults (matching the server render), then
+ * restore from the link once the router is ready. Invalid params fall back
+ * to their defaults and are explained in `notice`.
+ *
+ * Returns { inputs, setInputs, setInput, queryString, notice }.
+ * `setInput(name, value)` accepts a value or an updater like useState.
+ */
+export default function useUrlState(schema, { version = 1, migrations } = {}) {
+  const router = useRouter();
+  const [inputs, setInputs] = useState(() => schemaDefaults(schema));
+  const [restored, setRestored] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  // Restore once from the link
+  useEffect(() => {
+    if (!router.isReady || restored) return;
+    const { values, status } = decodeUrlState(router.query, schema, {
+      version,
+      migrations,
+    });
+    if (Object.keys(values).length > 0) {
+      setInputs((prev) => ({ ...prev, ...values }));
+    }
+    if (NOTICES[status]) setNotice(NOTICES[status]);
+    setRestored(true);
+  }, [router.isReady, router.query, restored, schema, version, migrations]);
+
+  const queryString = useMemo(
+    () => encodeUrlState(inputs, schema, { version }),
+    [inputs, schema, version]
+  );
+
+  // Keep the address bar in step with the inputs (replaces, so Back still leaves the page)
+  useEffect(() => {
+    if (!restored) return;
+    const timer = setTimeout(() => {
+      const path = router.asPath.split(/[?#]/)[0];
+      const url = queryString ? `${path}?${queryString}` : path;
+      if (url !== router.asPath) {
+        router.replace(url, undefined, { shallow: true, scroll: false });
+      }
+    }, URL_SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [queryString, restored, router]);
+
+  const setInput = useCallback((name, value) => {
+    setInputs((prev) => ({
+      ...prev,
+      [name]: typeof value === "function" ? value(prev[name]) : value,
+    }));
+  }, []);
+
+  return { inputs, setInputs, setInput, queryString, notice };
+}
@@ -0,0 +1,33 @@
+// lib/api/calc.js
+import { validateInputs } from "@/lib/inputSchema";
+
+/**
+ * Build a POST-only API route for a calculator.
+ *
+ * The JSON body holds the same inputs as the page's state (see `schema`);
+ * the response is { ok: true, inputs, result } where `inputs` has defaults
+ * filled in and `result` is the object the page renders. Non-finite numbers
+ * (e.g. a loan that never amortises) serialise as null.
+ */
+export function createCalcHandler(schema, calculate) {
+  return function handler(req, res) {
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const parsed = validateInputs(req.body, schema);
+    if (!parsed.ok) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+
+    try {
+      const result = calculate(parsed.inputs);
+      return res.status(200).json({ ok: true, inputs: parsed.inputs, result });
+    } catch (err) {
+      console.error("Calculation API error:", err);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Calculation failed" });
+    }
+  };
+}
@@ -0,0 +1,325 @@
+// lib/centrelink/agePension.js
+import {
+  getCentrelinkRules,
+  deemedIncomeAnnual,
+  currentIndexationDate,
+  INDEXATION_DATES,
+} from "./index";
+import { calculateRentAssistance } from "./rentAssistance";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Age Pension – income and assets tests (standard rules)
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Income test:
+ *  - Reduction: 50c per $1 over free area (single),
+ *               50c combined per $1 over free area (couple)
+ *
+ * Assets test:
+ *  - Full pension limits and part-pension cut-offs differ for
+ *    homeowners / non-homeowners; couples are assessed combined
+ *  - Taper: $3 per $1,000 (per fortnight) over the relevant threshold
+ *
+ * Work Bonus: the first $300 pf of each person's employment income is
+ * disregarded; unused amounts build an income bank that absorbs later
+ * earnings. Transitional-rate pensioners (on pension since before the 2009
+ * reforms) are paid the higher of the transitional and standard rates.
+ *
+ * Couples separated by illness (living apart because one needs care) are
+ * assessed on combined income and assets like any couple, but each is paid
+ * up to the single rate, with a higher assets cut-off to match.
+ *
+ * Renters get Rent Assistance (see rentAssistance.js) as part of the
+ * maximum rate, so both tests reduce it with the rest of the pension.
+ * Illness-separated partners each get it on their own rent, so their rates
+ * can differ.
+ *
+ * Deeming applies to financial assets only. All amounts are per fortnight
+ * unless named otherwise; couple results are combined.
+ */
+
+// Page inputs; amounts are per fortnight except assets
+export const AGE_PENSION_INPUTS = {
+  rulesDate: {
+    key: "d",
+    type: "enum",
+    values: INDEXATION_DATES,
+    default: () => currentIndexationDate(),
+  },
+  status: { key: "s", type: "enum", values: ["single", "couple", "separated"], default: "single" },
+  // Partner's program when under pension age (see household.js)
+  partnerPayment: { key: "pp", type: "enum", values: ["agePension", "jobSeeker", "none"], default: "agePension" },
+  homeowner: { key: "h", type: "boolean", default: true },
+  rentFt: { key: "r", type: "number", min: 0, default: 0 }, // combined for couples, your own if separated
+  partnerRentFt: { key: "pr", type: "number", min: 0, default: 0 }, // separated by illness only
+  sharer: { key: "sh", type: "boolean", default: false },
+  workBonusYou: { key: "wb", type: "boolean", default: false },
+  workBonusPartner: { key: "wbp", type: "boolean", default: false },
+  workBonusBank: { key: "wbb", type: "number", min: 0, default: 0 }, // income bank balance now
+  workBonusBankPartner: { key: "wbbp", type: "number", min: 0, default: 0 },
+  transitional: { key: "tr", type: "boolean", default: false },
+  // Work Bonus bank view: fortnights worked out of the next 26 (the rest come first)
+  workedFortnights: { key: "wf", type: "number", min: 0, max: 26, integer: true, default: 26 },
+  nonDeemedAssets: { key: "na", type: "number", min: 0, default: 200000 },
+  finAssets: { key: "fa", type: "number", min: 0, default: 100000 },
+  incomeFt: { key: "i", type: "number", min: 0, default: 300 }, // per fortnight
+  partnerIncomeFt: { key: "pi", type: "number", min: 0, default: 0 },
+  nonWorkIncomeFt: { key: "oi", type: "number", min: 0, default: 0 }, // household, never Work Bonus
+  // Planned gift, given in equal parts over 1–5 financial years from the rules date
+  giftAmount: { key: "g", type: "number", min: 0, default: 0 },
+  giftYears: { key: "gy", type: "number", min: 1, max: 5, integer: true, default: 1 },
+};
+
+// Qualifying age for anyone born on or after 1 January 1957
+export const AGE_PENSION_AGE = 67;
+
+const clamp = (x, max) => Math.max(0, Math.min(x, max));
+const toAmount = (v) => Math.max(0, Number(v) || 0);
+
+// Deeming calculation (returns FORTNIGHTLY deemed income)
+export function deemingFt({ status, financialAssets, deeming }) {
+  return deemedIncomeAnnual(financialAssets, { couple: status !== "single", deeming }) / 26;
+}
+
+/**
+ * One fortnight's Work Bonus for one person: the first `workBonusFt` of
+ * employment income is disregarded, any unused part goes into the income
+ * bank (up to `workBonusBankMax`), and the bank absorbs earnings above it.
+ */
+export function applyWorkBonus(incomeFt, bank, ap) {
+  const income = toAmount(incomeFt);
+  const opening = Math.min(toAmount(bank), ap.workBonusBankMax);
+  const concessionFt = Math.min(income, ap.workBonusFt);
+  const bankAccruedFt = Math.min(ap.workBonusFt - concessionFt, ap.workBonusBankMax - opening);
+  const bankUsedFt = Math.min(opening, income - concessionFt);
+  return {
+    incomeFt: income,
+    concessionFt,
+    bankUsedFt,
+    bankAccruedFt,
+    bankClosing: opening + bankAccruedFt - bankUsedFt,
+    assessableFt: income - concessionFt - bankUsedFt,
+  };
+}
+
+// Means-test reductions come off the basic rate first, then the
+// Pension Supplement, then Rent Assistance, then the Energy Supplement
+const REDUCTION_ORDER = ["basicFt", "pensionSupplementFt", "rentAssistanceFt", "energySupplementFt"];
+const maxOf = (parts) => REDUCTION_ORDER.reduce((s, key) => s + parts[key], 0);
+function splitPayment(pensionFt, parts) {
+  let reduction = Math.max(0, maxOf(parts) - pensionFt);
+  const split = {};
+  for (const key of REDUCTION_ORDER) {
+    const cut = Math.min(reduction, parts[key]);
+    split[key] = parts[key] - cut;
+    reduction -= cut;
+  }
+  return split;
+}
+
+export function calculateAgePension(
+  {
+    status = "single", // 'single' | 'couple' | 'separated' (by illness)
+    homeowner = true,
+    rentFt = 0, // renters: rent per fortnight (combined for couples, your own if separated)
+    partnerRentFt = 0, // an illness-separated partner's own rent
+    sharer = false, // singles sharing accommodation
+    nonDeemedAssets = 0,
+    financialAssets = 0,
+    incomeFt = 0, // employment income when the Work Bonus applies
+    partnerIncomeFt = 0,
+    nonWorkIncomeFt = 0, // rent, annuities etc. (combined): the Work Bonus never applies
+    workBonusYou = false,
+    workBonusPartner = false,
+    workBonusBank = 0, // income bank balances at the start of the fortnight
+    workBonusBankPartner = 0,
+    transitional = false, // on the transitional rate since 2009
+  },
+  rules = getCentrelinkRules()
+) {
+  const ap = rules.agePension;
+  const isSingle = status === "single";
+  const separated = status === "separated";
+  const people = isSingle ? 1 : 2;
+  const rateKey = isSingle || separated ? "single" : "coupleEach";
+
+  // — Rent Assistance joins each person's maximum rate: a couple's is split
+  // evenly, separated partners each get their own —
+  const raFor = (rent) => calculateRentAssistance({ rentFt: rent, homeowner, status, sharer }, rules).rentAssistanceFt;
+  const rentAssistanceEachFt = separated
+    ? [raFor(rentFt), raFor(partnerRentFt)]
+    : Array(people).fill(raFor(rentFt) / people);
+  const rentAssistanceFt = rentAssistanceEachFt.reduce((s, ra) => s + ra, 0);
+  const maxRateFt = ap.maxRateFt[rateKey] * people + rentAssistanceFt;
+
+  // — Total assessable assets for the assets test —
+  const totalAssets = toAmount(nonDeemedAssets) + toAmount(financialAssets);
+
+  // — Deemed income —
+  const deemedIncomeFt = deemingFt({ status, financialAssets, deeming: rules.deeming });
+
+  // — Income test (Work Bonus and income bank applied to each person separately) —
+  const bonus = (v, eligible, bank) =>
+    eligible ? applyWorkBonus(v, bank, ap) : { incomeFt: toAmount(v), assessableFt: toAmount(v) };
+  const you = bonus(incomeFt, workBonusYou, workBonusBank);
+  const partner = isSingle ? null : bonus(partnerIncomeFt, workBonusPartner, workBonusBankPartner);
+  const otherIncomeFt = you.assessableFt + (partner ? partner.assessableFt : 0) + toAmount(nonWorkIncomeFt);
+  const assessableIncomeFt = otherIncomeFt + deemedIncomeFt;
+
+  const freeArea = isSingle ? ap.incomeFreeAreaFt.single : ap.incomeFreeAreaFt.coupleCombined;
+  const incomeExcess = Math.max(0, assessableIncomeFt - freeArea);
+
+  // — Assets test: the published cut-offs leave out Rent Assistance, so the
+  // taper alone decides where the pension stops —
+  const limits = isSingle ? ap.assetsFullLimit.single : ap.assetsFullLimit.coupleCombined;
+  const fullLimit = homeowner ? limits.homeowner : limits.nonHomeowner;
+  const assetsExcess = Math.max(0, totalAssets - fullLimit);
+
+  // Each person's rate components, from the standard or transitional rates
+  const partsFrom = (rates) =>
+    rentAssistanceEachFt.map((ra) => ({
+      basicFt: rates.basicRateFt[rateKey],
+      pensionSupplementFt: rates.pensionSupplementFt[rateKey],
+      energySupplementFt: ap.energySupplementFt[rateKey],
+      rentAssistanceFt: ra,
+    }));
+
+  // Both tests from each person's maximum rate, with a couple's reductions
+  // shared evenly; the lower result is paid
+  const rateFrom = (parts, taper) => {
+    const incomeCutFt = (incomeExcess * taper) / people;
+    const assetsCutFt = ((assetsExcess / 1000) * ap.assetsTaperPer1000Ft) / people;
+    const each = parts.map((p) => {
+      const maxFt = maxOf(p);
+      const incomeTestFt = clamp(maxFt - incomeCutFt, maxFt);
+      const assetsTestFt = clamp(maxFt - assetsCutFt, maxFt);
+      const pensionFt = Math.min(incomeTestFt, assetsTestFt);
+      return { incomeTestFt, assetsTestFt, pensionFt, components: splitPayment(pensionFt, p) };
+    });
+    const total = (key) => each.reduce((s, e) => s + e[key], 0);
+    return { each, incomeTestFt: total("incomeTestFt"), assetsTestFt: total("assetsTestFt"), pensionFt: total("pensionFt") };
+  };
+
+  const standard = rateFrom(partsFrom(ap), isSingle ? ap.incomeTaper.single : ap.incomeTaper.coupleCombined);
+
+  // — Transitional rate: paid instead whenever it is higher —
+  let transitionalResult = null;
+  if (transitional && ap.transitional) {
+    const t = ap.transitional;
+    transitionalResult = rateFrom(partsFrom(t), isSingle ? t.incomeTaper.single : t.incomeTaper.coupleCombined);
+  }
+  const onTransitional = transitionalResult !== null && transitionalResult.pensionFt > standard.pensionFt;
+  const paid = onTransitional ? transitionalResult : standard;
+  const { incomeTestFt, assetsTestFt, pensionFt } = paid;
+
+  // — Final payment and its components (combined for couples); the
+  // partner's rate differs from yours only when separated by illness —
+  const pensionEachFt = paid.each[0].pensionFt;
+  const partnerPensionFt = isSingle ? null : paid.each[1].pensionFt;
+  const components = Object.fromEntries(
+    REDUCTION_ORDER.map((key) => [key, paid.each.reduce((s, e) => s + e.components[key], 0)])
+  );
+
+  return {
+    maxRateFt,
+    rentAssistanceFt,
+    totalAssets,
+    deemedIncomeFt,
+    assessableIncomeFt,
+    incomeTestFt,
+    assetsTestFt,
+    pensionFt,
+    pensionEachFt,
+    partnerPensionFt,
+    annualCombined: pensionFt * 26,
+    annualEach: pensionEachFt * 26,
+    bindingTest: incomeTestFt <= assetsTestFt ? "income" : "assets",
+    components,
+    rateBasis: onTransitional ? "transitional" : "standard",
+    standardFt: standard.pensionFt,
+    transitionalFt: transitionalResult ? transitionalResult.pensionFt : null,
+    workBonus: {
+      you: workBonusYou ? you : null,
+      partner: partner && workBonusPartner ? partner : null,
+    },
+  };
+}
+
+/**
+ * Runs the calculation fortnight by fortnight, carrying each person's Work
+ * Bonus income bank forward. `fortnights` is a list of { incomeFt,
+ * partnerIncomeFt } (employment income); other inputs are as for
+ * calculateAgePension, with the banks as at the first fortnight.
+ */
+export function projectWorkBonusFortnights(inputs, fortnights, rules = getCentrelinkRules()) {
+  let bank = toAmount(inputs.workBonusBank);
+  let bankPartner = toAmount(inputs.workBonusBankPartner);
+  return fortnights.map((f, i) => {
+    const r = calculateAgePension(
+      { ...inputs, ...f, workBonusBank: bank, workBonusBankPartner: bankPartner },
+      rules
+    );
+    if (r.workBonus.you) bank = r.workBonus.you.bankClosing;
+    if (r.workBonus.partner) bankPartner = r.workBonus.partner.bankClosing;
+    return {
+      fortnight: i + 1,
+      incomeFt: toAmount(f.incomeFt),
+      partnerIncomeFt: toAmount(f.partnerIncomeFt),
+      bankUsedFt: (r.workBonus.you?.bankUsedFt || 0) + (r.workBonus.partner?.bankUsedFt || 0),
+      bankAccruedFt: (r.workBonus.you?.bankAccruedFt || 0) + (r.workBonus.partner?.bankAccruedFt || 0),
+      bank,
+      bankPartner,
+      assessableIncomeFt: r.assessableIncomeFt,
+      pensionFt: r.pensionFt,
+    };
+  });
+}
+
+/**
+ * The calculation for a set of calculator inputs (AGE_PENSION_INPUTS), using
+ * the rules in force on `rulesDate`, with the dates those rules took effect.
+ */
+export function calculateAgePensionForInputs({ rulesDate, finAssets, ...inputs }) {
+  const rules = getCentrelinkRules(rulesDate);
+  return {
+    ...calculateAgePension({ ...inputs, financialAssets: finAssets }, rules),
+    ratesEffectiveFrom: rules.agePension.effectiveFrom,
+    deemingEffectiveFrom: rules.deeming.effectiveFrom,
+  };
+}
+
+// Multiplies every number in a (nested) rates object
+const scaleAmounts = (obj, factor) =>
+  Object.fromEntries(
+    Object.entries(obj).map(([k, v]) => [k, typeof v === "number" ? v * factor : scaleAmounts(v, factor)])
+  );
+
+/**
+ * Rules `factor` times today's dollars, for projecting the pension into
+ * future years: payment rates, free areas, asset limits, the Work Bonus and
+ * deeming thresholds grow; the tapers and deeming rates stay as they are.
+ */
+export function indexAgePensionRules(rules, factor) {
+  const ap = rules.agePension;
+  return {
+    ...rules,
+    agePension: {
+      ...ap,
+      maxRateFt: scaleAmounts(ap.maxRateFt, factor),
+      basicRateFt: scaleAmounts(ap.basicRateFt, factor),
+      pensionSupplementFt: scaleAmounts(ap.pensionSupplementFt, factor),
+      energySupplementFt: scaleAmounts(ap.energySupplementFt, factor),
+      incomeFreeAreaFt: scaleAmounts(ap.incomeFreeAreaFt, factor),
+      assetsFullLimit: scaleAmounts(ap.assetsFullLimit, factor),
+      assetsCutOff: scaleAmounts(ap.assetsCutOff, factor),
+      workBonusFt: ap.workBonusFt * factor,
+      workBonusBankMax: ap.workBonusBankMax * factor,
+      transitional: ap.transitional && {
+        ...ap.transitional,
+        basicRateFt: scaleAmounts(ap.transitional.basicRateFt, factor),
+        pensionSupplementFt: scaleAmounts(ap.transitional.pensionSupplementFt, factor),
+      },
+    },
+    deeming: { ...rules.deeming, threshold: scaleAmounts(rules.deeming.threshold, factor) },
+  };
+}
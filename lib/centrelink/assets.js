@@ -0,0 +1,201 @@
+// lib/centrelink/assets.js
+import { getCentrelinkRules, deemedIncomeAnnual } from "./index";
+import { financialYearOf, giftingExcessIn } from "./gifting";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Itemised assets and income for the Centrelink calculators
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Each asset is classified under the Social Security rules as
+ *  - deemed: counts under the assets test, and earns deemed income
+ *  - assessable: counts under the assets test only
+ *  - exempt: ignored by both tests
+ *  - giftingExcess: gifts over the gifting limits, treated as deemed
+ *    financial assets for five years
+ * An item can be split (a joint funeral bond can be exempt for one partner
+ * and deemed for the other). Totals feed the calculators' existing inputs.
+ *
+ * Owners are "you", "partner" or "joint"; for singles everything is "you".
+ * Income amounts are per fortnight.
+ */
+
+export const TREATMENTS = {
+  deemed: { label: "Deemed", description: "Assets test, and deemed income" },
+  assessable: { label: "Assessable", description: "Assets test only" },
+  exempt: { label: "Exempt", description: "Not counted" },
+  giftingExcess: { label: "Gifting excess", description: "Assets test, and deemed income, for five years" },
+};
+
+export const OWNERS = ["you", "partner", "joint"];
+
+export const ASSET_TYPES = {
+  bank: { label: "Bank account" },
+  termDeposit: { label: "Term deposit" },
+  shares: { label: "Shares" },
+  managedFund: { label: "Managed fund or ETF" },
+  loan: { label: "Loan to family or others" },
+  superAccumulation: { label: "Super (accumulation phase)" },
+  superPension: { label: "Super (pension phase)" },
+  car: { label: "Car, boat or caravan" },
+  contents: { label: "Home contents" },
+  investmentProperty: { label: "Investment property", hasDebt: true },
+  funeralBond: { label: "Funeral bond" },
+  home: { label: "Home you live in" },
+  grannyFlat: { label: "Granny flat right" },
+  gift: { label: "Gift (last five years)", hasYear: true },
+};
+
+export const INCOME_TYPES = {
+  employment: { label: "Employment income", workBonus: true },
+  rent: { label: "Net rent" },
+  other: { label: "Other income (annuities, overseas pensions, etc.)" },
+};
+
+// Simple financial assets: always deemed
+const FINANCIAL = new Set(["bank", "termDeposit", "shares", "managedFund", "loan", "superPension"]);
+
+const toAmount = (v) => Math.max(0, Number(v) || 0);
+const part = (treatment, amount) => ({ treatment, amount });
+
+/**
+ * Treatment of every asset, with totals. `context`:
+ *   couple             – two owners rather than one
+ *   pensionAge         – { you, partner }: who has reached Age Pension age
+ *                        (accumulation super is exempt until then)
+ *   rulesDate          – ISO date of the assessment (gifts are judged against
+ *                        its financial year)
+ *
+ * Returns { items: [{ ...item, owner, parts: [{ treatment, amount }], note }],
+ * totals: { deemed, assessable, exempt, giftingExcess, financialAssets,
+ * nonDeemedAssets, totalAssessable }, financialByOwner: { you, partner } }.
+ * Joint financial assets are split equally in `financialByOwner`.
+ */
+export function classifyAssets(items, context = {}, rules = getCentrelinkRules(context.rulesDate)) {
+  const { couple = false, pensionAge = { you: true, partner: true } } = context;
+  const { funeralBondLimit, gifting } = rules.assets;
+  const fy = financialYearOf(rules.asAt);
+  const list = items || [];
+
+  // Gifts share the gifting limits, so they are assessed together
+  const gifts = list.filter((i) => i.type === "gift");
+  const excess = giftingExcessIn(gifts.map((g) => ({ amount: g.value, fy: g.fy })), fy, gifting).perGift;
+
+  const ownerOf = (item) => (couple && OWNERS.includes(item.owner) ? item.owner : "you");
+  const shares = (owner, value) =>
+    owner === "joint" ? [["you", value / 2], ["partner", value / 2]] : [[owner, value]];
+
+  // Funeral bonds are exempt while a person's bonds total no more than the
+  // limit; over it, all of them count. Each owns half of a joint bond.
+  const bondTotal = { you: 0, partner: 0 };
+  for (const item of list.filter((i) => i.type === "funeralBond")) {
+    for (const [person, amount] of shares(ownerOf(item), toAmount(item.value))) bondTotal[person] += amount;
+  }
+  const bondExempt = (person) => bondTotal[person] <= funeralBondLimit;
+
+  const classified = list.map((item) => {
+    let owner = ownerOf(item);
+    const value = toAmount(item.value);
+    let parts;
+    let note = "";
+
+    if (FINANCIAL.has(item.type)) {
+      parts = [part("deemed", value)];
+    } else if (item.type === "superAccumulation") {
+      // Super belongs to one member; a "joint" entry is counted as yours
+      if (owner === "joint") owner = "you";
+      if (pensionAge[owner]) {
+        parts = [part("deemed", value)];
+      } else {
+        parts = [part("exempt", value)];
+        note = "Exempt until its owner reaches Age Pension age.";
+      }
+    } else if (item.type === "car" || item.type === "contents") {
+      parts = [part("assessable", value)];
+      if (item.type === "contents") note = "At garage-sale value, not replacement cost.";
+    } else if (item.type === "investmentProperty") {
+      const debt = Math.min(value, toAmount(item.debt));
+      parts = [part("assessable", value - debt)];
+      note = debt > 0 ? "Value less the loan secured against it. Enter net rent as income." : "Enter net rent as income.";
+    } else if (item.type === "funeralBond") {
+      const exempt = shares(owner, value).reduce((s, [person, amount]) => s + (bondExempt(person) ? amount : 0), 0);
+      parts = [part("exempt", exempt), part("deemed", value - exempt)].filter((p) => p.amount > 0);
+      if (value > exempt) note = "Bonds over the funeral bond limit are deemed in full.";
+    } else if (item.type === "home") {
+      parts = [part("exempt", value)];
+      note = "Your home is exempt; homeownership sets which asset limits apply.";
+    } else if (item.type === "grannyFlat") {
+      parts = [part("exempt", value)];
+      note = "Exempt when it cost no more than the extra allowable amount; you're treated as a homeowner.";
+    } else if (item.type === "gift") {
+      const over = excess[gifts.indexOf(item)];
+      parts = [part("giftingExcess", over), part("exempt", value - over)].filter((p) => p.amount > 0);
+      note = over > 0 ? "Over the gifting limits: the excess counts for five years." : "Within the gifting limits.";
+    } else {
+      throw new Error(`Unknown asset type: ${item.type}`);
+    }
+    return { ...item, owner, value, parts, note };
+  });
+
+  const totals = { deemed: 0, assessable: 0, exempt: 0, giftingExcess: 0 };
+  const financialByOwner = { you: 0, partner: 0 };
+  for (const item of classified) {
+    for (const p of item.parts) {
+      totals[p.treatment] += p.amount;
+      if (p.treatment === "deemed" || p.treatment === "giftingExcess") {
+        if (item.owner === "joint") {
+          financialByOwner.you += p.amount / 2;
+          financialByOwner.partner += p.amount / 2;
+        } else {
+          financialByOwner[item.owner] += p.amount;
+        }
+      }
+    }
+  }
+  totals.financialAssets = totals.deemed + totals.giftingExcess;
+  totals.nonDeemedAssets = totals.assessable;
+  totals.totalAssessable = totals.financialAssets + totals.nonDeemedAssets;
+
+  return { items: classified, totals, financialByOwner };
+}
+
+/**
+ * Income items per person (joint income split equally), separated into
+ * employment income, which the Work Bonus can offset, and everything else.
+ * Returns { employmentFt: { you, partner }, otherFt: { you, partner } }.
+ */
+export function summariseIncome(items, { couple = false } = {}) {
+  const employmentFt = { you: 0, partner: 0 };
+  const otherFt = { you: 0, partner: 0 };
+  for (const item of items || []) {
+    if (!INCOME_TYPES[item.type]) throw new Error(`Unknown income type: ${item.type}`);
+    const bucket = INCOME_TYPES[item.type].workBonus ? employmentFt : otherFt;
+    const amount = toAmount(item.amount);
+    const owner = couple && OWNERS.includes(item.owner) ? item.owner : "you";
+    if (owner === "joint") {
+      bucket.you += amount / 2;
+      bucket.partner += amount / 2;
+    } else {
+      bucket[owner] += amount;
+    }
+  }
+  return { employmentFt, otherFt };
+}
+
+/**
+ * Deemed income per fortnight for each person: deeming applies to the
+ * household's financial assets (couples share the combined threshold), and
+ * the result is shared in proportion to each person's financial assets.
+ */
+export function deemedIncomeByOwnerFt(financialByOwner, { couple = false, deeming }) {
+  const you = toAmount(financialByOwner.you);
+  const partner = couple ? toAmount(financialByOwner.partner) : 0;
+  const total = you + partner;
+  if (total === 0) return { you: 0, partner: 0 };
+  const deemedFt = deemedIncomeAnnual(total, { couple, deeming }) / 26;
+  return { you: (deemedFt * you) / total, partner: (deemedFt * partner) / total };
+}
+
+/** "Exempt $15,750, Deemed $4,250" for a classified item's parts. */
+export function describeTreatment(parts, format = (n) => String(Math.round(n))) {
+  return parts.map((p) => `${TREATMENTS[p.treatment].label} ${format(p.amount)}`).join(", ");
+}
@@ -0,0 +1,82 @@
+// lib/centrelink/cshc.js
+import {
+  getCentrelinkRules,
+  deemedIncomeAnnual,
+  adjustedTaxableIncome,
+  currentIndexationDate,
+  INDEXATION_DATES,
+} from "./index";
+
+// Card calculator inputs, defaults and share-link keys
+export const CSHC_INPUTS = {
+  rulesDate: {
+    key: "d",
+    type: "enum",
+    values: INDEXATION_DATES,
+    default: () => currentIndexationDate(),
+  },
+  relationshipStatus: {
+    key: "s",
+    type: "enum",
+    values: ["single", "couple", "separated"],
+    default: "single",
+  },
+  numChildren: { key: "k", type: "number", min: 0, integer: true, default: 0 },
+
+  // Income components (Annual)
+  taxableIncome: { key: "ti", type: "number", min: 0, default: 0 },
+  foreignIncome: { key: "fi", type: "number", min: 0, default: 0 },
+  investmentLosses: { key: "il", type: "number", min: 0, default: 0 },
+  employerBenefits: { key: "eb", type: "number", min: 0, default: 0 },
+  reportableSuper: { key: "rs", type: "number", min: 0, default: 0 },
+
+  // Assets subject to deeming
+  accountBasedPensionBalance: { key: "abp", type: "number", min: 0, default: 0 },
+};
+
+function toNumber(value, fallback = 0) {
+  const n = typeof value === "number" ? value : parseFloat(String(value));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Core calculation for CSHC Eligibility.
+ * Thresholds and deeming come from the Centrelink rules in force on the chosen date.
+ */
+export function calculateCSHC(inputs, rules = getCentrelinkRules()) {
+  const status = inputs.relationshipStatus || "single";
+  const numChildren = toNumber(inputs.numChildren);
+  const { cshc, deeming } = rules;
+  
+  // 1. Calculate Adjusted Taxable Income (ATI)
+  const ati = adjustedTaxableIncome(inputs);
+
+  // 2. Calculate Deemed Income from Account-Based Pensions
+  // Couples, including those separated by illness, share the couple threshold
+  const pensionBalance = toNumber(inputs.accountBasedPensionBalance);
+  const deemedIncome = deemedIncomeAnnual(pensionBalance, {
+    couple: status === "couple" || status === "separated",
+    deeming,
+  });
+
+  // 3. Total Assessable Income
+  const totalAssessableIncome = ati + deemedIncome;
+
+  // 4. Determine Threshold (single / couple / separated by illness, plus per-child add-on)
+  const baseThreshold = cshc.incomeThreshold[status] ?? cshc.incomeThreshold.single;
+
+  const childAddOn = numChildren * cshc.childAddOn;
+  const totalThreshold = baseThreshold + childAddOn;
+
+  const isEligible = totalAssessableIncome < totalThreshold;
+  const gap = totalThreshold - totalAssessableIncome;
+
+  return {
+    ati,
+    deemedIncome,
+    totalAssessableIncome,
+    totalThreshold,
+    isEligible,
+    gap,
+  };
+}
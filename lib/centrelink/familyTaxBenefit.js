@@ -0,0 +1,207 @@
+// lib/centrelink/familyTaxBenefit.js
+import {
+  getCentrelinkRules,
+  adjustedTaxableIncome,
+  currentIndexationDate,
+  INDEXATION_DATES,
+} from "./index";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Family Tax Benefit Parts A and B
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Part A (per child) – two methods on family ATI; the higher is paid:
+ *  - Method 1: maximum rate less 20c per $1 over the lower income free
+ *    area, and a further 30c per $1 over the higher free area
+ *  - Method 2: base rate less 30c per $1 over the higher free area
+ *  Supplement per child when family ATI is within its limit.
+ *
+ * Part B (per family) – by the youngest child's age:
+ *  - nothing if the primary earner's (or single parent's) ATI is over the limit
+ *  - couples: only while the youngest is under 13, less 20c per $1 of the
+ *    secondary earner's ATI over their free area
+ *  Supplement per family when any Part B is paid.
+ *
+ * Shared care: each child's rates are scaled by the FTB percentage for the
+ * parent's care (below 35% care, no FTB is paid for that child).
+ *
+ * Income is yearly adjusted taxable income (ATI, see adjustedTaxableIncome);
+ * results are yearly, with fortnightly equivalents (26 per year).
+ */
+
+export const MAX_CHILDREN = 6;
+
+// Child i (1-based): age in whole years and this parent's share of care (%)
+const childFields = Object.fromEntries(
+  Array.from({ length: MAX_CHILDREN }, (_, i) => [
+    [`childAge${i + 1}`, { key: `a${i + 1}`, type: "number", min: 0, max: 19, integer: true, default: [3, 8][i] ?? 0 }],
+    [`childCare${i + 1}`, { key: `c${i + 1}`, type: "number", min: 0, max: 100, default: 100 }],
+  ]).flat()
+);
+
+// ATI components (adjustedTaxableIncome's parameters) and their share-link keys;
+// the partner's fields are prefixed "partner" and their keys "p"
+const ATI_KEYS = {
+  taxableIncome: "ti",
+  reportableSuper: "rs",
+  employerBenefits: "eb",
+  investmentLosses: "il",
+  foreignIncome: "fi",
+};
+export const partnerField = (name) => `partner${name[0].toUpperCase()}${name.slice(1)}`;
+
+const atiFields = (partner, taxableDefault) =>
+  Object.fromEntries(
+    Object.entries(ATI_KEYS).map(([name, key]) => [
+      partner ? partnerField(name) : name,
+      { key: partner ? `p${key}` : key, type: "number", min: 0, default: name === "taxableIncome" ? taxableDefault : 0 },
+    ])
+  );
+
+// Calculator inputs (incomes are yearly); `key` names the share-link param
+export const FTB_INPUTS = {
+  rulesDate: {
+    key: "d",
+    type: "enum",
+    values: INDEXATION_DATES,
+    default: () => currentIndexationDate(),
+  },
+  status: { key: "s", type: "enum", values: ["single", "couple"], default: "couple" },
+  children: { key: "n", type: "number", min: 1, max: MAX_CHILDREN, integer: true, default: 2 },
+  ...childFields,
+  ...atiFields(false, 90000),
+  ...atiFields(true, 30000),
+};
+
+/** FTB percentage (0–100) for a parent's percentage of care. */
+export function ftbPercentage(carePct) {
+  const care = Math.max(0, Math.min(100, Number(carePct) || 0));
+  if (care < 35) return 0;
+  if (care <= 47) return 25 + 2 * (care - 35);
+  if (care < 53) return 50;
+  if (care <= 65) return 51 + 2 * (care - 53);
+  if (care <= 86) return 76;
+  return 100;
+}
+
+/** The first `children` children from FTB_INPUTS-shaped inputs: [{ age, carePct }]. */
+export function childrenFromInputs(inputs) {
+  const n = Math.max(0, Math.min(MAX_CHILDREN, Math.floor(Number(inputs.children) || 0)));
+  return Array.from({ length: n }, (_, i) => ({
+    age: Number(inputs[`childAge${i + 1}`]) || 0,
+    carePct: inputs[`childCare${i + 1}`] ?? 100,
+  }));
+}
+
+const over = (income, threshold) => Math.max(0, income - threshold);
+
+/**
+ * Family Tax Benefit for a year, from each parent's ATI and the children
+ * ({ age, carePct }). Returns
+ *   { familyAti, children: [{ age, carePct, sharePct, maxRateFt, baseRateFt }],
+ *     partA: { method1, method2, method, annual, fortnight, supplement },
+ *     partB: { eligible, reason, youngestAge, maxRateFt, annual, fortnight, supplement },
+ *     totalAnnual, totalFortnight }
+ * where `annual` amounts exclude the supplements and totalAnnual includes them.
+ */
+export function calculateFamilyTaxBenefit(
+  { status = "couple", youAti = 0, partnerAti = 0, children = [] },
+  rules = getCentrelinkRules()
+) {
+  const { partA: a, partB: b } = rules.familyTaxBenefit;
+  const isCouple = status === "couple";
+  const you = Number(youAti) || 0;
+  const partner = isCouple ? Number(partnerAti) || 0 : 0;
+  const familyAti = you + partner;
+
+  // — Part A: per child —
+  const kids = children.map((c) => {
+    const age = Math.floor(Number(c.age) || 0);
+    const sharePct = age >= 0 && age <= 19 ? ftbPercentage(c.carePct) : 0;
+    return {
+      age,
+      carePct: Number(c.carePct) || 0,
+      sharePct,
+      maxRateFt: (age < 13 ? a.maxRateFt.under13 : a.maxRateFt.age13to19) * (sharePct / 100),
+      baseRateFt: a.baseRateFt * (sharePct / 100),
+    };
+  });
+  const maxYear = kids.reduce((s, k) => s + k.maxRateFt * 26, 0);
+  const baseYear = kids.reduce((s, k) => s + k.baseRateFt * 26, 0);
+
+  const method1 = Math.max(
+    0,
+    maxYear - over(familyAti, a.lowerIncomeFreeArea) * a.lowerTaper - over(familyAti, a.higherIncomeFreeArea) * a.higherTaper
+  );
+  const method2 = Math.max(0, baseYear - over(familyAti, a.higherIncomeFreeArea) * a.higherTaper);
+  const partAAnnual = Math.max(method1, method2);
+  const partASupplement =
+    partAAnnual > 0 && familyAti <= a.supplementIncomeLimit
+      ? kids.reduce((s, k) => s + a.supplementYear * (k.sharePct / 100), 0)
+      : 0;
+
+  // — Part B: per family, by the youngest child in care —
+  const limitAge = isCouple ? b.youngestUnder.couple : b.youngestUnder.single;
+  const inCare = kids.filter((k) => k.sharePct > 0);
+  const youngest = inCare.length ? inCare.reduce((y, k) => (k.age < y.age ? k : y)) : null;
+  const primaryAti = Math.max(you, partner);
+  const secondaryAti = isCouple ? Math.min(you, partner) : 0;
+
+  let reason = null;
+  if (!youngest) reason = "No child in at least 35% of your care.";
+  else if (youngest.age >= limitAge) reason = `Youngest child is ${limitAge} or older.`;
+  else if (primaryAti > b.primaryEarnerLimit) reason = "Primary earner’s income is over the limit.";
+
+  const partBMaxFt = youngest ? (youngest.age < 5 ? b.maxRateFt.under5 : b.maxRateFt.age5to18) * (youngest.sharePct / 100) : 0;
+  const partBAnnual = reason
+    ? 0
+    : Math.max(0, partBMaxFt * 26 - (isCouple ? over(secondaryAti, b.secondaryIncomeFreeArea) * b.secondaryTaper : 0));
+  if (!reason && partBAnnual === 0) reason = "Secondary earner’s income is too high.";
+  const partBSupplement = partBAnnual > 0 ? b.supplementYear * (youngest.sharePct / 100) : 0;
+
+  const totalAnnual = partAAnnual + partASupplement + partBAnnual + partBSupplement;
+  return {
+    familyAti,
+    children: kids,
+    partA: {
+      method1,
+      method2,
+      method: method1 >= method2 ? "maximum" : "base",
+      annual: partAAnnual,
+      fortnight: partAAnnual / 26,
+      supplement: partASupplement,
+    },
+    partB: {
+      eligible: !reason,
+      reason,
+      youngestAge: youngest ? youngest.age : null,
+      primaryAti,
+      secondaryAti,
+      maxRateFt: reason ? 0 : partBMaxFt,
+      annual: partBAnnual,
+      fortnight: partBAnnual / 26,
+      supplement: partBSupplement,
+    },
+    totalAnnual,
+    totalFortnight: (partAAnnual + partBAnnual) / 26,
+  };
+}
+
+/** Each parent's ATI from FTB_INPUTS-shaped inputs: { youAti, partnerAti }. */
+export function parentAtis(inputs) {
+  const parts = (partner) =>
+    Object.fromEntries(Object.keys(ATI_KEYS).map((name) => [name, inputs[partner ? partnerField(name) : name]]));
+  return { youAti: adjustedTaxableIncome(parts(false)), partnerAti: adjustedTaxableIncome(parts(true)) };
+}
+
+/** The calculation for a set of calculator inputs, under the rules for `rulesDate`. */
+export function calculateFamilyTaxBenefitForInputs(inputs) {
+  const rules = getCentrelinkRules(inputs.rulesDate);
+  return {
+    ...calculateFamilyTaxBenefit(
+      { status: inputs.status, ...parentAtis(inputs), children: childrenFromInputs(inputs) },
+      rules
+    ),
+    ratesEffectiveFrom: rules.familyTaxBenefit.effectiveFrom,
+  };
+}
@@ -0,0 +1,121 @@
+// lib/centrelink/gifting.js
+import { getCentrelinkRules } from "./index";
+import { calculateAgePension } from "./agePension";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Gifting (deprivation) rules
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * A pensioner may give away up to $10,000 in a financial year, and no more
+ * than $30,000 over five financial years, without it affecting their
+ * payment. Anything over either limit is a "deprived asset": it still counts
+ * under the assets test, and is deemed, for five years from the gift.
+ *
+ * Gifts are grouped by financial year, identified by the calendar year it
+ * starts in (2025 = 2025–26). The limits are shared by a couple.
+ *
+ * The Age Pension effect of a planned gift reuses calculateAgePension, so
+ * the deprived amount goes through the same deeming and asset taper as any
+ * other financial asset.
+ */
+
+const toAmount = (v) => Math.max(0, Number(v) || 0);
+
+/** Financial year (start year) containing an ISO date: "2025-09-20" → 2025. */
+export function financialYearOf(isoDate) {
+  const [y, m] = String(isoDate).split("-").map(Number);
+  if (!y || !m) throw new Error(`Invalid date: ${isoDate}`);
+  return m >= 7 ? y : y - 1;
+}
+
+/**
+ * Allowable and excess amounts for each financial year with gifts, oldest
+ * first. Each year is allowed up to the annual limit, less whatever the
+ * four years before it have already used of the five-year limit.
+ *
+ * Returns [{ fy, given, allowed, excess, assessedUntil }], where the excess
+ * counts up to and including financial year `assessedUntil`.
+ */
+export function assessGifts(gifts, gifting = getCentrelinkRules().assets.gifting) {
+  const byYear = new Map();
+  for (const g of gifts || []) {
+    const fy = Math.floor(Number(g.fy));
+    if (!Number.isFinite(fy)) continue;
+    byYear.set(fy, (byYear.get(fy) || 0) + toAmount(g.amount));
+  }
+
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  const allowedIn = new Map();
+  return years.map((fy) => {
+    const given = byYear.get(fy);
+    let usedBefore = 0;
+    for (let y = fy - 4; y < fy; y++) usedBefore += allowedIn.get(y) || 0;
+    const allowed = Math.min(given, gifting.perYear, Math.max(0, gifting.perFiveYears - usedBefore));
+    allowedIn.set(fy, allowed);
+    return { fy, given, allowed, excess: given - allowed, assessedUntil: fy + gifting.deprivationYears - 1 };
+  });
+}
+
+/**
+ * Gifting excess still assessed in financial year `fy`: the total, and the
+ * part each gift contributes (gifts in the same year share that year's
+ * excess in proportion to their size), in the order given.
+ */
+export function giftingExcessIn(gifts, fy, gifting = getCentrelinkRules().assets.gifting) {
+  const years = new Map(assessGifts(gifts, gifting).map((y) => [y.fy, y]));
+  const perGift = (gifts || []).map((g) => {
+    const year = years.get(Math.floor(Number(g.fy)));
+    if (!year || year.given === 0 || fy < year.fy || fy > year.assessedUntil) return 0;
+    return (year.excess * toAmount(g.amount)) / year.given;
+  });
+  return { total: perGift.reduce((s, v) => s + v, 0), perGift };
+}
+
+/**
+ * Year-by-year effect of a planned gift on the Age Pension. `amount` is
+ * given in equal parts over `years` financial years, starting with the
+ * year of the rules date, out of the financial assets in `inputs`
+ * (calculateAgePension's parameters). Each year is assessed at the start of
+ * the financial year: financial assets fall by what has been given so far,
+ * and any excess still within its five years is added back as a deprived
+ * asset, which is both assessed and deemed. Rates stay as at the rules date.
+ *
+ * Rows run until the last excess drops out: [{ fy, givenFy, allowedFy,
+ * excessFy, givenToDate, deprivedAssets, financialAssets, deemedIncomeFt,
+ * bindingTest, pensionFt, baselineFt, changeFt }], where baselineFt is the
+ * pension with no gift.
+ */
+export function projectGift(inputs, { amount, years = 1 }, rules = getCentrelinkRules()) {
+  const { gifting } = rules.assets;
+  const total = toAmount(amount);
+  const spread = Math.max(1, Math.floor(Number(years) || 1));
+  const fy0 = financialYearOf(rules.asAt);
+  const gifts = Array.from({ length: spread }, (_, i) => ({ amount: total / spread, fy: fy0 + i }));
+  const byYear = new Map(assessGifts(gifts, gifting).map((y) => [y.fy, y]));
+
+  const startFinancial = toAmount(inputs.financialAssets);
+  const baselineFt = calculateAgePension(inputs, rules).pensionFt;
+  let givenToDate = 0;
+  return Array.from({ length: spread + gifting.deprivationYears }, (_, k) => {
+    const fy = fy0 + k;
+    const year = byYear.get(fy);
+    givenToDate += year ? year.given : 0;
+    const deprivedAssets = giftingExcessIn(gifts, fy, gifting).total;
+    const financialAssets = Math.max(0, startFinancial - givenToDate) + deprivedAssets;
+    const { pensionFt, deemedIncomeFt, bindingTest } = calculateAgePension({ ...inputs, financialAssets }, rules);
+    return {
+      fy,
+      givenFy: year ? year.given : 0,
+      allowedFy: year ? year.allowed : 0,
+      excessFy: year ? year.excess : 0,
+      givenToDate,
+      deprivedAssets,
+      financialAssets,
+      deemedIncomeFt,
+      bindingTest,
+      pensionFt,
+      baselineFt,
+      changeFt: pensionFt - baselineFt,
+    };
+  });
+}
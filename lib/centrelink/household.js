@@ -0,0 +1,110 @@
+// lib/centrelink/household.js
+import { getCentrelinkRules } from "./index";
+import { calculateAgePension, AGE_PENSION_INPUTS } from "./agePension";
+import { calculateJobSeeker } from "./jobSeeker";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Household view: each partner's payment from the right program
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * "You" are of Age Pension age. A partner may be too, or may be younger and
+ * on JobSeeker Payment (or getting nothing). Either way the Age Pension is
+ * worked out for the couple on combined income and assets, and the older
+ * partner is paid their half of it; a younger partner gets no pension.
+ *
+ * A JobSeeker partner is assessed on their own income, including half of
+ * the household's deemed and non-work income, under the partnered rate and
+ * the partner income test (the pensioner's income counts as partner income),
+ * with the household's assets (calculateJobSeeker handles an
+ * illness-separated partner). A renting couple's Rent Assistance is split
+ * between the two payments, as the pension's is between partners; partners
+ * separated by illness each get it on their own rent instead.
+ *
+ * Centrelink payments aren't income for either test, so neither payment
+ * affects the other.
+ */
+
+export const PARTNER_PAYMENTS = AGE_PENSION_INPUTS.partnerPayment.values;
+
+export const PROGRAM_LABELS = {
+  agePension: "Age Pension",
+  jobSeeker: "JobSeeker Payment",
+  none: "No payment",
+};
+
+const toAmount = (v) => Math.max(0, Number(v) || 0);
+
+/**
+ * `inputs` are calculateAgePension's, plus `partnerPayment` (one of
+ * PARTNER_PAYMENTS) and `hasChildren` for the JobSeeker rate.
+ *
+ * Returns { members: [{ who, program, paymentFt }], totalFt, agePension,
+ * jobSeeker }, where agePension is the couple (or single) Age Pension
+ * result and jobSeeker is the partner's JobSeeker result, or null.
+ */
+export function calculateHousehold(inputs, rules = getCentrelinkRules()) {
+  const { status = "single", partnerPayment = "agePension", hasChildren = false } = inputs;
+  if (!PARTNER_PAYMENTS.includes(partnerPayment)) {
+    throw new Error(`Unknown partner payment: ${partnerPayment}`);
+  }
+  const isSingle = status === "single";
+  const partnerProgram = isSingle ? null : partnerPayment;
+
+  // The Work Bonus is for pension-age workers only
+  const agePension = calculateAgePension(
+    { ...inputs, workBonusPartner: partnerProgram === "agePension" && inputs.workBonusPartner },
+    rules
+  );
+
+  const members = [{ who: "you", program: "agePension", paymentFt: agePension.pensionEachFt }];
+  let jobSeeker = null;
+
+  if (partnerProgram === "agePension") {
+    members.push({ who: "partner", program: "agePension", paymentFt: agePension.partnerPensionFt });
+  } else if (partnerProgram === "jobSeeker") {
+    // Shared income: half each
+    const sharedFt = (toAmount(inputs.nonWorkIncomeFt) + agePension.deemedIncomeFt) / 2;
+    const separated = status === "separated";
+    jobSeeker = calculateJobSeeker(
+      {
+        relationshipStatus: separated ? "separated" : "partnered",
+        hasChildren,
+        isHomeowner: inputs.homeowner ?? true,
+        // Separated partners get Rent Assistance on their own rent
+        rentFortnight: separated ? inputs.partnerRentFt : inputs.rentFt,
+        rentAssistanceShare: separated ? 1 : 0.5,
+        incomeFortnight: toAmount(inputs.partnerIncomeFt) + sharedFt,
+        partnerIncomeFortnight: toAmount(inputs.incomeFt) + sharedFt,
+        assets: agePension.totalAssets,
+      },
+      rules
+    );
+    members.push({ who: "partner", program: "jobSeeker", paymentFt: jobSeeker.payment });
+  } else if (partnerProgram === "none") {
+    members.push({ who: "partner", program: "none", paymentFt: 0 });
+  }
+
+  return {
+    members,
+    totalFt: members.reduce((s, m) => s + m.paymentFt, 0),
+    agePension,
+    jobSeeker,
+  };
+}
+
+/**
+ * The household calculation for a set of Age Pension calculator inputs,
+ * flattened for saved-scenario comparison: the Age Pension result plus
+ * `householdFt` and `partnerPaymentFt`.
+ */
+export function calculateHouseholdForInputs({ rulesDate, finAssets, ...inputs }) {
+  const rules = getCentrelinkRules(rulesDate);
+  const { agePension, members, totalFt } = calculateHousehold({ ...inputs, financialAssets: finAssets }, rules);
+  return {
+    ...agePension,
+    householdFt: totalFt,
+    partnerPaymentFt: members[1] ? members[1].paymentFt : null,
+    ratesEffectiveFrom: rules.agePension.effectiveFrom,
+    deemingEffectiveFrom: rules.deeming.effectiveFrom,
+  };
+}
@@ -0,0 +1,113 @@
+// lib/centrelink/index.js
+import {
+  AGE_PENSION_RULES,
+  DEEMING_RULES,
+  JOBSEEKER_RULES,
+  CSHC_RULES,
+  ASSET_TEST_RULES,
+  FAMILY_TAX_BENEFIT_RULES,
+  RENT_ASSISTANCE_RULES,
+  PARENTING_PAYMENT_RULES,
+} from "./rules";
+
+const PROGRAMS = {
+  agePension: AGE_PENSION_RULES,
+  deeming: DEEMING_RULES,
+  jobSeeker: JOBSEEKER_RULES,
+  cshc: CSHC_RULES,
+  assets: ASSET_TEST_RULES,
+  familyTaxBenefit: FAMILY_TAX_BENEFIT_RULES,
+  rentAssistance: RENT_ASSISTANCE_RULES,
+  parentingPayment: PARENTING_PAYMENT_RULES,
+};
+
+// --- helpers ---
+function toIsoDate(date) {
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const d = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(d.getTime())) {
+    throw new Error(`Invalid rules date: ${date}`);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+// Latest snapshot on or before the date; the earliest one if the date predates them all
+function pickSnapshot(snapshots, isoDate) {
+  let picked = snapshots[0];
+  for (const s of snapshots) {
+    if (s.effectiveFrom <= isoDate) picked = s;
+  }
+  return picked;
+}
+
+/** Every date on which at least one program's rates change, oldest first. */
+export const INDEXATION_DATES = Array.from(
+  new Set(
+    Object.values(PROGRAMS).flatMap((list) => list.map((s) => s.effectiveFrom))
+  )
+).sort();
+
+/** Most recent indexation date on or before `date` (defaults to today). */
+export function currentIndexationDate(date = new Date()) {
+  const iso = toIsoDate(date);
+  return INDEXATION_DATES.filter((d) => d <= iso).pop() || INDEXATION_DATES[0];
+}
+
+/** "2026-03-20" → "20 March 2026" */
+export function formatEffectiveDate(isoDate) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString("en-AU", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Rates and thresholds in force on `date`, per program.
+ * Each program's snapshot carries its own `effectiveFrom` for display.
+ */
+export function getCentrelinkRules(date = new Date()) {
+  const asAt = toIsoDate(date);
+  const rules = { asAt };
+  for (const [name, snapshots] of Object.entries(PROGRAMS)) {
+    rules[name] = pickSnapshot(snapshots, asAt);
+  }
+  return rules;
+}
+
+/**
+ * Annual deemed income on financial assets.
+ * Couples (including those separated by illness) share the combined threshold.
+ */
+export function deemedIncomeAnnual(financialAssets, { couple = false, deeming }) {
+  const amt = Math.max(0, Number(financialAssets) || 0);
+  if (amt === 0) return 0;
+
+  const threshold = couple
+    ? deeming.threshold.coupleCombined
+    : deeming.threshold.single;
+
+  const lower = Math.min(amt, threshold);
+  const upper = Math.max(0, amt - threshold);
+  return lower * deeming.lowerRate + upper * deeming.upperRate;
+}
+
+/**
+ * Adjusted taxable income (ATI), the annual income measure for the CSHC and
+ * Family Tax Benefit: taxable income plus foreign income, net investment
+ * losses, reportable fringe benefits and reportable super contributions.
+ */
+export function adjustedTaxableIncome({
+  taxableIncome = 0,
+  foreignIncome = 0,
+  investmentLosses = 0,
+  employerBenefits = 0, // reportable fringe benefits
+  reportableSuper = 0,
+} = {}) {
+  return [taxableIncome, foreignIncome, investmentLosses, employerBenefits, reportableSuper].reduce((sum, v) => {
+    const n = parseFloat(String(v));
+    return sum + (Number.isFinite(n) ? n : 0);
+  }, 0);
+}
@@ -0,0 +1,150 @@
+// lib/centrelink/jobSeeker.js
+import {
+  getCentrelinkRules,
+  currentIndexationDate,
+  INDEXATION_DATES,
+} from "./index";
+import { calculateRentAssistance } from "./rentAssistance";
+
+// Calculator inputs (amounts per fortnight); `key` names the share-link param
+export const JOBSEEKER_INPUTS = {
+  rulesDate: {
+    key: "d",
+    type: "enum",
+    values: INDEXATION_DATES,
+    default: () => currentIndexationDate(),
+  },
+  relationshipStatus: { key: "s", type: "enum", values: ["single", "partnered", "separated"], default: "single" },
+  hasChildren: { key: "k", type: "boolean", default: false },
+  isHomeowner: { key: "h", type: "boolean", default: false },
+  rentFortnight: { key: "r", type: "number", min: 0, default: 0 },
+  sharer: { key: "sh", type: "boolean", default: false },
+  incomeFortnight: { key: "i", type: "number", min: 0, default: 0 },
+  partnerIncomeFortnight: { key: "pi", type: "number", min: 0, default: 0 },
+  assets: { key: "a", type: "number", min: 0, default: 5000 },
+};
+
+/**
+ * Means tests shared by JobSeeker and Parenting Payment. `maxRateFt` already
+ * includes any Rent Assistance. Assets over `assetLimit` cut the payment to
+ * nil ("sudden death"); otherwise income reduces it by
+ *  - `lowerTaper` per $1 over `incomeFreeAreaFt`, up to `lowerTaperLimitFt`
+ *    (one taper throughout when there is no limit)
+ *  - `upperTaper` per $1 over `lowerTaperLimitFt`
+ *  - `partnerTaper` per $1 of partner income over `partnerIncomeFreeAreaFt`,
+ *    when `partnerTest` is set.
+ */
+export function applyAllowanceTests(
+  { maxRateFt, assetLimit, assets = 0, incomeFortnight = 0, partnerIncomeFortnight = 0, partnerTest = false },
+  test
+) {
+  if (assets > assetLimit) {
+    return { payment: 0, incomeReduction: 0, isAssetIneligible: true };
+  }
+
+  let incomeReduction = 0;
+  const incomeFreeArea = test.incomeFreeAreaFt;
+  const lowerTaperLimit = test.lowerTaperLimitFt ?? Infinity;
+
+  if (incomeFortnight > incomeFreeArea) {
+    if (incomeFortnight <= lowerTaperLimit) {
+      incomeReduction += (incomeFortnight - incomeFreeArea) * test.lowerTaper;
+    } else {
+      // Calculate reduction for the band between the free area and the lower taper limit
+      incomeReduction += (lowerTaperLimit - incomeFreeArea) * test.lowerTaper;
+      // Calculate reduction for amount above the lower taper limit
+      incomeReduction += (incomeFortnight - lowerTaperLimit) * test.upperTaper;
+    }
+  }
+
+  // Partner income reduces your payment for every dollar over the partner income threshold.
+  if (partnerTest && partnerIncomeFortnight > test.partnerIncomeFreeAreaFt) {
+    incomeReduction += (partnerIncomeFortnight - test.partnerIncomeFreeAreaFt) * test.partnerTaper;
+  }
+
+  return { payment: Math.max(0, maxRateFt - incomeReduction), incomeReduction, isAssetIneligible: false };
+}
+
+/**
+ * JobSeeker Payment per fortnight: sudden-death assets test, then the personal
+ * and partner income tests, using the rates in force for `rules`.
+ * Partners separated by illness are paid the single rate, with the couple
+ * assets limit and no partner income test.
+ *
+ * Renters get Rent Assistance on `rentFortnight` (combined for partners,
+ * an illness-separated partner's own) as part of the maximum rate;
+ * `rentAssistanceShare` is the part of a couple's Rent Assistance paid with
+ * this payment (½ when both partners get one).
+ * Parents are given the rate for one or two children.
+ */
+export function calculateJobSeeker(
+  {
+    relationshipStatus = "single", // 'single' | 'partnered' | 'separated' (by illness)
+    hasChildren = false,
+    isHomeowner = false,
+    rentFortnight = 0,
+    sharer = false,
+    rentAssistanceShare = 1,
+    incomeFortnight = 0,
+    partnerIncomeFortnight = 0,
+    assets = 0,
+  },
+  rules = getCentrelinkRules()
+) {
+  const js = rules.jobSeeker;
+  let maxBaseRate = 0;
+  let energySupp = 0;
+  let assetLimit = 0;
+
+  // 1. Determine Max Rate & Asset Limit based on status
+  if (relationshipStatus === "single") {
+    maxBaseRate = hasChildren ? js.maxRateFt.singleWithKids : js.maxRateFt.singleNoKids;
+    assetLimit = isHomeowner
+      ? js.assetLimits.single.homeowner
+      : js.assetLimits.single.nonHomeowner;
+  } else if (relationshipStatus === "separated") {
+    maxBaseRate = hasChildren ? js.maxRateFt.singleWithKids : js.maxRateFt.singleNoKids;
+    assetLimit = isHomeowner
+      ? js.assetLimits.partnered.homeowner
+      : js.assetLimits.partnered.nonHomeowner;
+  } else {
+    maxBaseRate = js.maxRateFt.partnered;
+    assetLimit = isHomeowner
+      ? js.assetLimits.partnered.homeowner
+      : js.assetLimits.partnered.nonHomeowner;
+  }
+
+  // 2. Rent Assistance is added to the maximum rate
+  const { rentAssistanceFt } = calculateRentAssistance(
+    {
+      rentFt: rentFortnight,
+      homeowner: isHomeowner,
+      status: relationshipStatus === "partnered" ? "couple" : relationshipStatus,
+      sharer,
+      children: hasChildren ? 1 : 0,
+    },
+    rules
+  );
+  const rentAssistance = rentAssistanceFt * (relationshipStatus === "partnered" ? rentAssistanceShare : 1);
+  const maxPaymentTotal = maxBaseRate + energySupp + rentAssistance;
+
+  // 3. Assets test, then the personal and partner income tests
+  const tested = applyAllowanceTests(
+    {
+      maxRateFt: maxPaymentTotal,
+      assetLimit,
+      assets,
+      incomeFortnight,
+      partnerIncomeFortnight,
+      partnerTest: relationshipStatus === "partnered",
+    },
+    js
+  );
+
+  return {
+    ...tested,
+    maxPaymentTotal,
+    rentAssistance,
+    assetLimit,
+  };
+}
@@ -0,0 +1,112 @@
+// lib/centrelink/parentingPayment.js
+import {
+  getCentrelinkRules,
+  currentIndexationDate,
+  INDEXATION_DATES,
+} from "./index";
+import { applyAllowanceTests } from "./jobSeeker";
+import { calculateRentAssistance } from "./rentAssistance";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Parenting Payment (Single and Partnered)
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * For the main carer of a young child: single parents while the youngest
+ * is under 14, partnered parents while the youngest is under 6.
+ *
+ * The means tests are JobSeeker's (applyAllowanceTests) with Parenting
+ * Payment's own rates:
+ *  - Single: one 40c taper over a free area that rises for each child
+ *    after the first
+ *  - Partnered: 50c / 60c tapers and the partner income test
+ * Rent Assistance (at the rates for families with children) joins the
+ * maximum rate. Amounts are per fortnight.
+ */
+
+// Calculator inputs (amounts per fortnight); `key` names the share-link param
+export const PARENTING_PAYMENT_INPUTS = {
+  rulesDate: {
+    key: "d",
+    type: "enum",
+    values: INDEXATION_DATES,
+    default: () => currentIndexationDate(),
+  },
+  relationshipStatus: { key: "s", type: "enum", values: ["single", "partnered"], default: "single" },
+  children: { key: "n", type: "number", min: 1, max: 10, integer: true, default: 1 },
+  youngestAge: { key: "y", type: "number", min: 0, max: 17, integer: true, default: 3 },
+  isHomeowner: { key: "h", type: "boolean", default: false },
+  rentFortnight: { key: "r", type: "number", min: 0, default: 0 },
+  incomeFortnight: { key: "i", type: "number", min: 0, default: 0 },
+  partnerIncomeFortnight: { key: "pi", type: "number", min: 0, default: 0 },
+  assets: { key: "a", type: "number", min: 0, default: 5000 },
+};
+
+/**
+ * Parenting Payment per fortnight under `rules`. Returns JobSeeker's result
+ * shape ({ payment, maxPaymentTotal, rentAssistance, incomeReduction,
+ * isAssetIneligible, assetLimit }) plus incomeFreeArea, youngestLimit and
+ * isAgeIneligible (the youngest child is too old: nothing is paid).
+ */
+export function calculateParentingPayment(
+  {
+    relationshipStatus = "single", // 'single' | 'partnered'
+    children = 1,
+    youngestAge = 0,
+    isHomeowner = false,
+    rentFortnight = 0,
+    incomeFortnight = 0,
+    partnerIncomeFortnight = 0,
+    assets = 0,
+  },
+  rules = getCentrelinkRules()
+) {
+  const pp = rules.parentingPayment;
+  const isSingle = relationshipStatus === "single";
+  const test = isSingle ? pp.single : pp.partnered;
+  const kids = Math.max(1, Math.floor(Number(children) || 1));
+  const youngestLimit = isSingle ? pp.youngestUnder.single : pp.youngestUnder.partnered;
+  const limits = isSingle ? pp.assetLimits.single : pp.assetLimits.partnered;
+  const assetLimit = isHomeowner ? limits.homeowner : limits.nonHomeowner;
+
+  // Single parents' free area rises with each child after the first
+  const incomeFreeArea = test.incomeFreeAreaFt + (test.incomeFreeAreaPerChildFt || 0) * (kids - 1);
+
+  const { rentAssistanceFt: rentAssistance } = calculateRentAssistance(
+    {
+      rentFt: rentFortnight,
+      homeowner: isHomeowner,
+      status: isSingle ? "single" : "couple",
+      children: kids,
+    },
+    rules
+  );
+  const maxPaymentTotal = test.maxRateFt + rentAssistance;
+
+  const base = { maxPaymentTotal, rentAssistance, assetLimit, incomeFreeArea, youngestLimit };
+  if (Number(youngestAge) >= youngestLimit) {
+    return { ...base, payment: 0, incomeReduction: 0, isAssetIneligible: false, isAgeIneligible: true };
+  }
+
+  const tested = applyAllowanceTests(
+    {
+      maxRateFt: maxPaymentTotal,
+      assetLimit,
+      assets,
+      incomeFortnight,
+      partnerIncomeFortnight,
+      partnerTest: !isSingle,
+    },
+    { ...test, incomeFreeAreaFt: incomeFreeArea }
+  );
+  return { ...base, ...tested, isAgeIneligible: false };
+}
+
+/** The calculation for a set of calculator inputs, under the rules for `rulesDate`. */
+export function calculateParentingPaymentForInputs({ rulesDate, ...inputs }) {
+  const rules = getCentrelinkRules(rulesDate);
+  return {
+    ...calculateParentingPayment(inputs, rules),
+    ratesEffectiveFrom: rules.parentingPayment.effectiveFrom,
+    rentAssistanceEffectiveFrom: rules.rentAssistance.effectiveFrom,
+  };
+}
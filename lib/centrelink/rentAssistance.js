@@ -0,0 +1,66 @@
+// lib/centrelink/rentAssistance.js
+import { getCentrelinkRules } from "./index";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Commonwealth Rent Assistance
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Paid to renters on top of an income support payment: 75c for each $1 of
+ * rent over the threshold for the household type, up to a maximum rate.
+ * Homeowners get none.
+ *
+ * Rent Assistance is part of the payment's maximum rate, so the payment's
+ * own income and assets tests reduce it along with everything else: the
+ * payment engines add rentAssistanceFt to their maximum rate before the
+ * means tests.
+ *
+ * Amounts are per fortnight. Couples' rent and Rent Assistance are
+ * combined; when both partners get a payment it is split between them.
+ */
+
+export const RENT_HOUSEHOLD_LABELS = {
+  single: "Single",
+  singleSharer: "Single, sharing accommodation",
+  couple: "Couple",
+  separated: "Couple separated by illness (each)",
+  singleChildren1to2: "Single, 1 or 2 children",
+  singleChildren3plus: "Single, 3 or more children",
+  coupleChildren1to2: "Couple, 1 or 2 children",
+  coupleChildren3plus: "Couple, 3 or more children",
+};
+
+/**
+ * Household type for the Rent Assistance rates. `status` is "single",
+ * "couple" or "separated" (by illness); sharers are singles without children
+ * who share a kitchen, bathroom or living area with others.
+ */
+export function rentHousehold({ status = "single", sharer = false, children = 0 }) {
+  const kids = Math.max(0, Math.floor(Number(children) || 0));
+  if (status === "separated") return "separated";
+  const prefix = status === "couple" ? "couple" : "single";
+  if (kids > 0) return `${prefix}Children${kids <= 2 ? "1to2" : "3plus"}`;
+  if (prefix === "single" && sharer) return "singleSharer";
+  return prefix;
+}
+
+/**
+ * Rent Assistance per fortnight for `rentFt` of rent. Returns
+ * { household, thresholdFt, maxRateFt, rentForMaxFt, rentAssistanceFt },
+ * where rentForMaxFt is the rent at which the maximum rate is reached.
+ */
+export function calculateRentAssistance(
+  { rentFt = 0, homeowner = false, status = "single", sharer = false, children = 0 },
+  rules = getCentrelinkRules()
+) {
+  const ra = rules.rentAssistance;
+  const household = rentHousehold({ status, sharer, children });
+  const { thresholdFt, maxRateFt } = ra.rates[household];
+  const rent = homeowner ? 0 : Math.max(0, Number(rentFt) || 0);
+  return {
+    household,
+    thresholdFt,
+    maxRateFt,
+    rentForMaxFt: thresholdFt + maxRateFt / ra.taper,
+    rentAssistanceFt: Math.min(maxRateFt, Math.max(0, rent - thresholdFt) * ra.taper),
+  };
+}
@@ -0,0 +1,223 @@
+// lib/centrelink/rules.js
+/**
+ * Services Australia rates and thresholds, keyed by effective date.
+ *
+ * Each program is a list of snapshots in date order. A snapshot holds the full
+ * parameter set for that program from `effectiveFrom` until the next one, so an
+ * indexation update (20 March / 20 September) is one new entry per program.
+ *
+ * Amounts are per fortnight unless the key says otherwise; asset figures are
+ * combined for couples.
+ */
+
+export const AGE_PENSION_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    maxRateFt: { single: 1178.7, coupleEach: 888.5 },
+    // maxRateFt = basic rate + Pension Supplement + Energy Supplement
+    basicRateFt: { single: 1074.7, coupleEach: 810.1 },
+    pensionSupplementFt: { single: 89.9, coupleEach: 67.8 },
+    energySupplementFt: { single: 14.1, coupleEach: 10.6 },
+    incomeFreeAreaFt: { single: 218, coupleCombined: 380 },
+    incomeTaper: { single: 0.5, coupleCombined: 0.5 },
+    assetsFullLimit: {
+      single: { homeowner: 321500, nonHomeowner: 579500 },
+      coupleCombined: { homeowner: 481500, nonHomeowner: 739500 },
+    },
+    assetsCutOff: {
+      single: { homeowner: 714500, nonHomeowner: 972500 },
+      coupleCombined: { homeowner: 1074000, nonHomeowner: 1332000 },
+      // Couples separated by illness: combined assets, but a single rate each
+      illnessSeparated: { homeowner: 1267500, nonHomeowner: 1525500 },
+    },
+    assetsTaperPer1000Ft: 3,
+    workBonusFt: 300,
+    workBonusBankMax: 11800,
+    // Pensioners on the transitional rate since 20 September 2009: a lower
+    // maximum, and 40c per $1 income taper (20c each for couples)
+    transitional: {
+      basicRateFt: { single: 936.2, coupleEach: 706.0 },
+      pensionSupplementFt: { single: 48.6, coupleEach: 36.6 },
+      incomeTaper: { single: 0.4, coupleCombined: 0.4 },
+    },
+  },
+  {
+    effectiveFrom: "2026-03-20",
+    maxRateFt: { single: 1200.9, coupleEach: 905.2 },
+    basicRateFt: { single: 1095.2, coupleEach: 825.5 },
+    pensionSupplementFt: { single: 91.6, coupleEach: 69.1 },
+    energySupplementFt: { single: 14.1, coupleEach: 10.6 },
+    incomeFreeAreaFt: { single: 218, coupleCombined: 380 },
+    incomeTaper: { single: 0.5, coupleCombined: 0.5 },
+    assetsFullLimit: {
+      single: { homeowner: 321500, nonHomeowner: 579500 },
+      coupleCombined: { homeowner: 481500, nonHomeowner: 739500 },
+    },
+    assetsCutOff: {
+      single: { homeowner: 722000, nonHomeowner: 980000 },
+      coupleCombined: { homeowner: 1085000, nonHomeowner: 1343000 },
+      illnessSeparated: { homeowner: 1282500, nonHomeowner: 1540500 },
+    },
+    assetsTaperPer1000Ft: 3,
+    workBonusFt: 300,
+    workBonusBankMax: 11800,
+    transitional: {
+      basicRateFt: { single: 951.8, coupleEach: 717.9 },
+      pensionSupplementFt: { single: 49.4, coupleEach: 37.3 },
+      incomeTaper: { single: 0.4, coupleCombined: 0.4 },
+    },
+  },
+];
+
+// Deeming applies to financial assets for all income-tested payments and the CSHC
+export const DEEMING_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    threshold: { single: 64200, coupleCombined: 106200 },
+    lowerRate: 0.0075,
+    upperRate: 0.0275,
+  },
+  {
+    effectiveFrom: "2026-03-20",
+    threshold: { single: 64200, coupleCombined: 106200 },
+    lowerRate: 0.0125,
+    upperRate: 0.0325,
+  },
+];
+
+export const JOBSEEKER_RULES = [
+  {
+    effectiveFrom: "2026-03-20",
+    // Maximum rates include the Energy Supplement
+    maxRateFt: { singleNoKids: 817.5, singleWithKids: 875.5, partnered: 748.2 },
+    energySupplementFt: { single: 14.1, partnered: 10.6 },
+    assetLimits: {
+      single: { homeowner: 321500, nonHomeowner: 579500 },
+      partnered: { homeowner: 481500, nonHomeowner: 739500 },
+    },
+    incomeFreeAreaFt: 150,
+    lowerTaperLimitFt: 256,
+    lowerTaper: 0.5,
+    upperTaper: 0.6,
+    partnerIncomeFreeAreaFt: 1415,
+    partnerTaper: 0.6,
+  },
+];
+
+// Commonwealth Seniors Health Card – annual income test
+export const CSHC_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    incomeThreshold: { single: 101105, couple: 161768, separated: 202210 },
+    childAddOn: 639.6,
+  },
+];
+
+// How particular assets are treated under the assets and income tests
+export const ASSET_TEST_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    // Funeral bonds totalling up to this amount are exempt (per person; half each
+    // for joint bonds). Over it, the whole amount is assessed.
+    funeralBondLimit: 15750,
+    // Gifts over either limit count as a "deprived asset" for five years
+    // from the gift; limits are per financial year and per rolling five
+    // financial years, and are shared by a couple
+    gifting: { perYear: 10000, perFiveYears: 30000, deprivationYears: 5 },
+  },
+];
+
+// Family Tax Benefit – yearly income tests on family adjusted taxable income.
+// FTB rates are indexed on 1 July; the 2025–26 rates apply from the store's
+// first date.
+export const FAMILY_TAX_BENEFIT_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    partA: {
+      maxRateFt: { under13: 222.04, age13to19: 288.82 },
+      baseRateFt: 71.26,
+      supplementYear: 916.15, // per child, paid after the year is reconciled
+      supplementIncomeLimit: 80000,
+      lowerIncomeFreeArea: 65189,
+      higherIncomeFreeArea: 115997,
+      lowerTaper: 0.2, // max rate, over the lower free area
+      higherTaper: 0.3, // base rate, over the higher free area
+    },
+    partB: {
+      maxRateFt: { under5: 188.86, age5to18: 131.74 },
+      supplementYear: 448.95, // per family
+      primaryEarnerLimit: 117194,
+      secondaryIncomeFreeArea: 6789,
+      secondaryTaper: 0.2,
+      // Youngest child must be under this age
+      youngestUnder: { couple: 13, single: 19 },
+    },
+  },
+];
+
+// Commonwealth Rent Assistance – paid with an income support payment (or FTB)
+// to people who rent privately. By household type: the rent paid before any
+// assistance (threshold) and the most that is paid. Couple amounts are
+// combined; illness-separated amounts are per person.
+export const RENT_ASSISTANCE_RULES = [
+  {
+    effectiveFrom: "2025-09-20",
+    rates: {
+      single: { thresholdFt: 152.2, maxRateFt: 218.8 },
+      singleSharer: { thresholdFt: 152.2, maxRateFt: 145.87 },
+      couple: { thresholdFt: 246.4, maxRateFt: 206.2 },
+      separated: { thresholdFt: 123.2, maxRateFt: 218.8 },
+      singleChildren1to2: { thresholdFt: 199.78, maxRateFt: 256.62 },
+      singleChildren3plus: { thresholdFt: 199.78, maxRateFt: 290.08 },
+      coupleChildren1to2: { thresholdFt: 295.82, maxRateFt: 256.62 },
+      coupleChildren3plus: { thresholdFt: 295.82, maxRateFt: 290.08 },
+    },
+    taper: 0.75, // 75c per $1 of rent over the threshold
+  },
+  {
+    effectiveFrom: "2026-03-20",
+    rates: {
+      single: { thresholdFt: 153.9, maxRateFt: 221.2 },
+      singleSharer: { thresholdFt: 153.9, maxRateFt: 147.47 },
+      couple: { thresholdFt: 249.1, maxRateFt: 208.5 },
+      separated: { thresholdFt: 124.6, maxRateFt: 221.2 },
+      singleChildren1to2: { thresholdFt: 202.02, maxRateFt: 259.48 },
+      singleChildren3plus: { thresholdFt: 202.02, maxRateFt: 293.3 },
+      coupleChildren1to2: { thresholdFt: 298.9, maxRateFt: 259.48 },
+      coupleChildren3plus: { thresholdFt: 298.9, maxRateFt: 293.3 },
+    },
+    taper: 0.75,
+  },
+];
+
+// Parenting Payment – JobSeeker's income test structure with its own rates.
+// Single parents have one taper throughout (no lower taper limit) and a free
+// area that grows with each child after the first.
+export const PARENTING_PAYMENT_RULES = [
+  {
+    effectiveFrom: "2026-03-20",
+    // Youngest child must be under this age
+    youngestUnder: { single: 14, partnered: 6 },
+    single: {
+      // basic rate + Pension Supplement + Energy Supplement
+      maxRateFt: 1070.7,
+      incomeFreeAreaFt: 222.8,
+      incomeFreeAreaPerChildFt: 26.6, // each child after the first
+      lowerTaper: 0.4,
+      upperTaper: 0.4,
+    },
+    partnered: {
+      maxRateFt: 760.1, // includes the Energy Supplement
+      incomeFreeAreaFt: 150,
+      lowerTaperLimitFt: 256,
+      lowerTaper: 0.5,
+      upperTaper: 0.6,
+      partnerIncomeFreeAreaFt: 1415,
+      partnerTaper: 0.6,
+    },
+    assetLimits: {
+      single: { homeowner: 321500, nonHomeowner: 579500 },
+      partnered: { homeowner: 481500, nonHomeowner: 739500 },
+    },
+  },
+];
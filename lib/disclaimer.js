@@ -0,0 +1,46 @@
+// lib/disclaimer.js
+/**
+ * Site disclaimer, shared by the /disclaimer page and the downloadable
+ * calculator reports.
+ *
+ * Each paragraph is a list of segments: plain strings, `{ strong }` for
+ * emphasis, or `{ text, href }` for a site link.
+ */
+
+export const DISCLAIMER_SUMMARY = [
+  "The information and tools on FinToolbox are provided for ",
+  { strong: "general informational purposes only" },
+  ". They are not financial, taxation, legal, or investment advice.",
+];
+
+export const DISCLAIMER_PARAGRAPHS = [
+  [
+    "FinToolbox aims to help Australians make sense of personal finance by offering simple calculators and guides. The results from these tools are estimates only and may not reflect your exact circumstances.",
+  ],
+  [
+    "The data, thresholds, and rates used in calculators (such as tax, pension, or superannuation rules) are sourced from Australian Government and ATO publications, but may change without notice. While care is taken to ensure accuracy, FinToolbox ",
+    { strong: "does not guarantee" },
+    " that all information is current or error-free.",
+  ],
+  [
+    "You should not rely solely on these calculators or articles when making financial decisions. Always consider your personal objectives, financial situation, and needs before acting on any information. For personal advice, consult a licensed financial adviser or tax professional.",
+  ],
+  [
+    "FinToolbox and its contributors accept no responsibility or liability for any loss or damage arising directly or indirectly from the use of, or reliance on, the information or results provided by this website.",
+  ],
+  [
+    "Some links on FinToolbox may direct you to external websites. We are not responsible for the content or accuracy of any external sites linked from this platform.",
+  ],
+  [
+    "If you find an error or believe a calculator is outdated, please ",
+    { text: "contact us", href: "/contact" },
+    " so we can review and correct it promptly.",
+  ],
+];
+
+/** A paragraph as plain text (for the PDF report). */
+export function disclaimerText(segments) {
+  return segments
+    .map((s) => (typeof s === "string" ? s : s.strong ?? s.text))
+    .join("");
+}
@@ -0,0 +1,114 @@
+// lib/export/index.js
+import { parseField, defaultValue } from "@/lib/inputSchema";
+
+/**
+ * Spreadsheet downloads for the calculators, as CSV or XLSX (see ./xlsx.js).
+ *
+ * An export is plain data, put together by each calculator page:
+ *   {
+ *     title,              e.g. "Mortgage Repayment Calculator" (names the file)
+ *     inputs:  [{ key, label, value, format }],        see schemaInputs()
+ *     sheet,              name of the schedule sheet (default "Schedule")
+ *     columns: [{ key, label, format, value: (row) => ... }],
+ *     rows:    [...],     one per line of the schedule, passed to each column
+ *   }
+ *
+ * Column and input keys are the stable part: the CSV header and the first
+ * row of each sheet use them, so a model reading the file keeps working when
+ * on-screen labels change. Add columns at the end and never rename a key.
+ * Values stay raw numbers; formats only affect how the XLSX displays them.
+ */
+
+export const NUMBER_FORMATS = {
+  currency: '"$"#,##0;-"$"#,##0',
+  cents: '"$"#,##0.00;-"$"#,##0.00',
+  percent: "0.00%", // a fraction, e.g. 0.055
+  number: "#,##0.##",
+  integer: "0",
+  text: "@",
+  boolean: "General",
+};
+
+function formatFor(spec) {
+  if (spec.type === "boolean") return "boolean";
+  if (spec.type === "number") return spec.integer ? "integer" : "number";
+  return "text";
+}
+
+/**
+ * Every input in `schema`, in schema order, for the inputs sheet. Values are
+ * cleaned the way the API reads them, so the sheet can be posted straight to
+ * /api/calc/*. `fields` gives each input's label, either as a string or as
+ * { label, format } where the type alone doesn't say (e.g. "currency").
+ */
+export function schemaInputs(schema, values, fields = {}) {
+  return Object.entries(schema).map(([key, spec]) => {
+    const field = typeof fields[key] === "string" ? { label: fields[key] } : fields[key] || {};
+    const parsed = values ? parseField(values[key], spec) : undefined;
+    return {
+      key,
+      label: field.label || key,
+      value: parsed !== undefined ? parsed : defaultValue(spec),
+      format: field.format || formatFor(spec),
+    };
+  });
+}
+
+/** The schedule as [[header keys], ...rows of raw values]. */
+export function scheduleRows({ columns, rows = [] }) {
+  return [
+    columns.map((c) => c.key),
+    ...rows.map((row) => columns.map((c) => cellValue(c.value(row), c.format))),
+  ];
+}
+
+function cellValue(value, format) {
+  if (value == null || (typeof value === "number" && !Number.isFinite(value))) return null;
+  // Dollar amounts to the cent; the engines work in unrounded dollars
+  if ((format === "currency" || format === "cents") && typeof value === "number") {
+    return Math.round(value * 100) / 100;
+  }
+  return value;
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** The schedule as CSV (RFC 4180, header row of column keys). */
+export function toCsv(data) {
+  return scheduleRows(data)
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+function slug(s) {
+  return String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/** e.g. "fintoolbox-mortgage-repayment-calculator-2025-07-01.csv" */
+export function exportFilename(title, extension, date = new Date()) {
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+  return `fintoolbox-${slug(title)}-${day}.${extension}`;
+}
+
+/** Saves `blob` as `filename` (browser only). */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
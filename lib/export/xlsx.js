@@ -0,0 +1,58 @@
+// lib/export/xlsx.js
+import ExcelJS from "exceljs";
+import { NUMBER_FORMATS, scheduleRows } from "@/lib/export";
+
+/**
+ * Builds the XLSX workbook for an export (see lib/export/index.js): an
+ * "Inputs" sheet of key / label / value and the schedule sheet, each with a
+ * frozen header row of keys. Kept apart from the CSV code so ExcelJS is only
+ * loaded when someone asks for a workbook.
+ */
+
+const HEADER_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FFDBEAFE" } }; // blue-100
+
+function styleHeader(sheet) {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = HEADER_FILL;
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+}
+
+function width(values, min = 10, max = 48) {
+  const longest = Math.max(...values.map((v) => String(v ?? "").length));
+  return Math.min(max, Math.max(min, longest + 2));
+}
+
+/** Returns the ExcelJS workbook; call `.xlsx.writeBuffer()` to save it. */
+export function renderWorkbook(data, { url, date = new Date() } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "FinToolbox";
+  workbook.title = data.title;
+  workbook.created = date;
+  if (url) workbook.description = url;
+
+  const inputs = workbook.addWorksheet("Inputs");
+  inputs.addRow(["key", "label", "value"]);
+  (data.inputs || []).forEach(({ key, label, value, format }) => {
+    const row = inputs.addRow([key, label, value]);
+    row.getCell(3).numFmt = NUMBER_FORMATS[format] || NUMBER_FORMATS.number;
+    row.getCell(3).alignment = { horizontal: "right" };
+  });
+  [1, 2, 3].forEach((i) => {
+    inputs.getColumn(i).width = width(inputs.getColumn(i).values);
+  });
+  styleHeader(inputs);
+
+  const schedule = workbook.addWorksheet(data.sheet || "Schedule");
+  scheduleRows(data).forEach((values) => schedule.addRow(values));
+  data.columns.forEach(({ key, format }, i) => {
+    const column = schedule.getColumn(i + 1);
+    column.numFmt = NUMBER_FORMATS[format] || NUMBER_FORMATS.number;
+    column.width = width([key], 12, 32);
+  });
+  // The header row holds keys, so keep it as text whatever the column format
+  schedule.getRow(1).numFmt = NUMBER_FORMATS.text;
+  styleHeader(schedule);
+
+  return workbook;
+}
@@ -0,0 +1,122 @@
+// lib/inputSchema.js
+/**
+ * Calculator input schemas, shared by the /api/calc/* routes and share links.
+ *
+ * A schema maps each input name to a field spec:
+ *  - { type: "number", min, max, integer }  numbers or numeric strings
+ *  - { type: "boolean" }
+ *  - { type: "enum", values: [...] }
+ *  - { type: "date" }                        ISO "YYYY-MM-DD"
+ *
+ * Every spec may carry a `default` (a value, or a function returning one);
+ * fields without a default are required. Defaults mirror each page's
+ * initial state, so an empty body reproduces the page as first loaded.
+ * A spec may also carry a short `key` used when the inputs are written to
+ * a share link (see lib/urlState.js).
+ */
+
+function describe(spec) {
+  if (spec.type === "enum") {
+    return `one of ${spec.values.map((v) => `"${v}"`).join(", ")}`;
+  }
+  if (spec.type === "boolean") return "true or false";
+  if (spec.type === "date") return "a date in YYYY-MM-DD format";
+
+  const kind = spec.integer ? "a whole number" : "a number";
+  if (spec.min != null && spec.max != null) {
+    return `${kind} from ${spec.min} to ${spec.max}`;
+  }
+  if (spec.min != null) return `${kind} of at least ${spec.min}`;
+  if (spec.max != null) return `${kind} no more than ${spec.max}`;
+  return kind;
+}
+
+// Returns the parsed value, or undefined if `raw` doesn't satisfy `spec`
+export function parseField(raw, spec) {
+  switch (spec.type) {
+    case "number": {
+      if (typeof raw === "string" && raw.trim() === "") return undefined;
+      if (typeof raw !== "number" && typeof raw !== "string") return undefined;
+      const n = Number(raw);
+      if (!Number.isFinite(n)) return undefined;
+      if (spec.integer && !Number.isInteger(n)) return undefined;
+      if (spec.min != null && n < spec.min) return undefined;
+      if (spec.max != null && n > spec.max) return undefined;
+      return n;
+    }
+    case "boolean":
+      return typeof raw === "boolean" ? raw : undefined;
+    case "enum":
+      return spec.values.includes(raw) ? raw : undefined;
+    case "date": {
+      if (typeof raw !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+        return undefined;
+      }
+      const d = new Date(`${raw}T00:00:00Z`);
+      return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === raw
+        ? raw
+        : undefined;
+    }
+    default:
+      throw new Error(`Unknown field type: ${spec.type}`);
+  }
+}
+
+export function defaultValue(spec) {
+  return typeof spec.default === "function" ? spec.default() : spec.default;
+}
+
+/** Initial inputs for a schema (fields without a default are left out). */
+export function schemaDefaults(schema) {
+  const inputs = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = defaultValue(spec);
+    if (value !== undefined) inputs[key] = value;
+  }
+  return inputs;
+}
+
+/**
+ * Validate a request body against `schema`.
+ * Returns { ok: true, inputs } or { ok: false, error } where `error` lists
+ * every problem found, e.g. `"interest" must be a number from 0 to 100`.
+ */
+export function validateInputs(body, schema) {
+  if (body == null) body = {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "Request body must be a JSON object" };
+  }
+
+  const errors = [];
+  const inputs = {};
+
+  for (const key of Object.keys(body)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      errors.push(`Unknown input "${key}"`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = body[key];
+    if (raw === undefined || raw === null) {
+      if (spec.default === undefined) {
+        errors.push(`"${key}" is required`);
+      } else {
+        inputs[key] = defaultValue(spec);
+      }
+      continue;
+    }
+
+    const value = parseField(raw, spec);
+    if (value === undefined) {
+      errors.push(`"${key}" must be ${describe(spec)}`);
+    } else {
+      inputs[key] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, error: errors.join("; ") };
+  }
+  return { ok: true, inputs };
+}
@@ -0,0 +1,380 @@
+// lib/investing/debtRecycling.js
+import { amortise, applyPeriod, levelRepayment } from "@/lib/loan";
+import { FINANCIAL_YEARS, DEFAULT_FY } from "@/lib/tax";
+import { netCapitalGain, taxOnCapitalGain } from "@/lib/tax/cgt";
+import { grossUpDividend } from "@/lib/tax/franking";
+
+const amount = (key, value) => ({ key, type: "number", min: 0, default: value });
+const pct = (key, value) => ({ key, type: "number", min: -100, max: 100, default: value });
+
+// Inputs for the debt recycling page and share links
+export const DEBT_RECYCLING_INPUTS = {
+  // Home & loans
+  homeValueStart: amount("hv", 900000),
+  homeValueGrowthPct: pct("hg", 3),
+  homeLoanStart: amount("hl", 600000),
+  offsetBalanceStart: amount("ob", 50000),
+  kickstartFromOffset: amount("ks", 30000),
+  remainingTermYearsStart: { key: "t", type: "number", min: 1, max: 50, integer: true, default: 25 },
+  homeRatePct: pct("hr", 5.99),
+  investLoanRatePct: pct("ir", 5.99),
+
+  // Cashflow
+  baseMonthlyRepayment: amount("rp", 4000),
+
+  // Investment return assumptions
+  investGrowthPct: pct("ig", 5),
+  investYieldPct: pct("iy", 3),
+  frankedPortionPct: { key: "fr", type: "number", min: 0, max: 100, default: 30 },
+
+  // Tax + projection
+  marginalTaxRatePct: { key: "mtr", type: "number", min: 0, max: 100, default: 39 }, // incl Medicare levy
+  otherTaxableIncome: amount("ti", 120000), // a sale's capital gain is stacked on this
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+  projectionYears: { key: "y", type: "number", min: 1, max: 50, integer: true, default: 20 },
+};
+
+// After-tax liquidation value of the portfolio if sold now. `parcels` are
+// [{ costBase, value, discountable }]; losses on some parcels net off gains
+// on others, and the net capital gain is taxed on top of other income.
+export function afterTaxLiquidationValue(parcels, { fy = DEFAULT_FY, otherTaxableIncome = 0 } = {}) {
+  const value = parcels.reduce((sum, p) => sum + p.value, 0);
+  const { netCapitalGain: taxableGain } = netCapitalGain({
+    gains: parcels.map((p) => ({ gain: Math.max(0, p.value - p.costBase), discountable: p.discountable })),
+    currentLosses: parcels.reduce((sum, p) => sum + Math.max(0, p.costBase - p.value), 0),
+  });
+  if (taxableGain <= 0) {
+    return value;
+  }
+  return value - taxOnCapitalGain({ fy, otherTaxableIncome, gain: taxableGain }).tax;
+}
+
+// After-tax income sweep calc
+export function calcAfterTaxIncomeSweep({
+  portfolioStart,
+  yieldPct,
+  frankedPortionPct,
+  marginalTaxRatePct,
+  avgInvestLoanBalanceForYear,
+  investLoanRatePct,
+}) {
+  // 1. Cash distributions actually received
+  const cashIncome = portfolioStart * (yieldPct / 100);
+
+  // Gross up the franked share of distributions (30% company tax assumed)
+  const { frankingCredit } = grossUpDividend(cashIncome, { frankingPct: frankedPortionPct });
+
+  // Assessable income before interest deduction
+  const assessableInvestmentIncome = cashIncome + frankingCredit;
+
+  // Deductible interest (negative gearing)
+  const deductibleInterest =
+    avgInvestLoanBalanceForYear * (investLoanRatePct / 100);
+
+  // Net taxable result
+  const taxableAfterInterest =
+    assessableInvestmentIncome - deductibleInterest;
+
+  // Tax (or refund) at marginal tax rate (incl Medicare levy)
+  const taxRate = marginalTaxRatePct / 100;
+  const taxPayableOnNetIncome = taxableAfterInterest * taxRate;
+
+  // Apply franking credits as refundable offset
+  const netTaxAfterFranking = taxPayableOnNetIncome - frankingCredit;
+
+  // Household cash outcome from portfolio for this year
+  const afterTaxCashToHomeLoan = cashIncome - netTaxAfterFranking;
+
+  return {
+    afterTaxCashToHomeLoan,
+  };
+}
+
+// Core simulation engine
+export function simulate({
+  homeValueStart,
+  homeValueGrowthPct,
+  homeLoanStart,
+  offsetBalanceStart,
+  kickstartFromOffset,
+  remainingTermYearsStart,
+  homeRatePct,
+  investLoanRatePct,
+  baseMonthlyRepayment,
+  projectionYears,
+  investGrowthPct,
+  investYieldPct,
+  frankedPortionPct,
+  marginalTaxRatePct,
+  otherTaxableIncome = 0,
+  fy = DEFAULT_FY,
+}) {
+  const totalMonths = projectionYears * 12;
+
+  // --- Strategy B state ---
+  let homeLoanBalB = homeLoanStart;
+  let offsetBalB = offsetBalanceStart;
+  let investLoanBalB = 0; // starting from zero now
+  let portfolioBalB = 0; // starting from zero now
+  // CGT parcels: each contribution with its cost base, current value and the
+  // month it went in (months elapsed since the start)
+  const parcels = [];
+
+  // Kickstart: pull from offset, pay down home, redraw as invest debt, invest it
+  {
+    const usableKick = Math.min(kickstartFromOffset, offsetBalB, homeLoanBalB);
+    if (usableKick > 0) {
+      homeLoanBalB -= usableKick;
+      offsetBalB -= usableKick;
+      investLoanBalB += usableKick;
+      portfolioBalB += usableKick;
+      parcels.push({ costBase: usableKick, value: usableKick, acquiredMonth: 0 });
+    }
+  }
+
+  // --- Strategy A state ---
+  const offsetBalA = offsetBalanceStart;
+
+  let remainingTermMonths = remainingTermYearsStart * 12;
+
+  // Track year start values for next-year redraw & sweep logic
+  let yearStartHomeLoanBalB = homeLoanBalB;
+  let yearStartPortfolioBalB = portfolioBalB;
+  let yearStartInvestLoanBalB = investLoanBalB;
+
+  // Monthly sweep from last year's investment income (after tax)
+  let currentYearIncomeSweepMonthly = 0;
+
+  // -------------------------
+  // FROZEN REQUIRED BASE REPAYMENTS
+  // -------------------------
+  const totalDebtStartB = homeLoanBalB + investLoanBalB;
+  const weightedRateStartPctB =
+    totalDebtStartB > 0
+      ? (homeLoanBalB * homeRatePct +
+          investLoanBalB * investLoanRatePct) /
+        totalDebtStartB
+      : 0;
+
+  const frozenRequiredBaseB =
+    totalDebtStartB > 0
+      ? levelRepayment(
+          totalDebtStartB,
+          weightedRateStartPctB,
+          remainingTermYearsStart * 12
+        )
+      : 0;
+
+  const frozenRequiredBaseA =
+    homeLoanStart > 0
+      ? levelRepayment(
+          homeLoanStart,
+          homeRatePct,
+          remainingTermYearsStart * 12
+        )
+      : 0;
+
+  // Strategy A is a plain P&I loan with a constant offset: one schedule covers it
+  const loanA = amortise({
+    principal: homeLoanStart,
+    annualRatePct: homeRatePct,
+    termYears: remainingTermYearsStart,
+    frequency: "monthly",
+    repayment: Math.max(baseMonthlyRepayment, frozenRequiredBaseA),
+    offsetBalance: offsetBalA,
+    maxPeriods: totalMonths,
+  });
+  const homeLoanAAfter = (months) =>
+    loanA.rows[months - 1]?.balance ?? loanA.closingBalance;
+
+  const yearsArr = [];
+
+  // We'll show these in the UI under the input
+  let thisYearUserBase = baseMonthlyRepayment;
+  let thisYearEffectiveBase = Math.max(
+    baseMonthlyRepayment,
+    frozenRequiredBaseB
+  );
+
+  for (let month = 0; month < totalMonths; month++) {
+    const currentYearIdx = Math.floor(month / 12); // 0 = Year 1
+    const monthInYear = month % 12;
+
+    // --- STRATEGY B repayments this month ---
+    const effectiveBaseCashB = Math.max(
+      baseMonthlyRepayment,
+      frozenRequiredBaseB
+    );
+    thisYearUserBase = baseMonthlyRepayment;
+    thisYearEffectiveBase = effectiveBaseCashB;
+
+    const investOnlyPmtThisMonth =
+      investLoanBalB > 0
+        ? levelRepayment(
+            investLoanBalB,
+            investLoanRatePct,
+            remainingTermMonths
+          )
+        : 0;
+
+    // pay investment split first
+    const payToInvestSplit = Math.min(
+      effectiveBaseCashB,
+      investOnlyPmtThisMonth
+    );
+
+    // leftover goes to home split
+    let payToHomeSplit = effectiveBaseCashB - payToInvestSplit;
+
+    const homeOnlyPmtThisMonth =
+      homeLoanBalB > 0
+        ? levelRepayment(
+            homeLoanBalB,
+            homeRatePct,
+            remainingTermMonths
+          )
+        : 0;
+
+    const sumOfSplitWants =
+      investOnlyPmtThisMonth + homeOnlyPmtThisMonth;
+
+    // If we're paying more than both splits strictly "need",
+    // dump the surplus on the home split (non-deductible)
+    if (effectiveBaseCashB > sumOfSplitWants) {
+      payToHomeSplit += effectiveBaseCashB - sumOfSplitWants;
+    }
+
+    // plus sweep from prior-year investment income
+    const totalHomeThisMonthB =
+      payToHomeSplit + currentYearIncomeSweepMonthly;
+
+    const totalInvestThisMonthB = payToInvestSplit;
+
+    // Home split: interest applies to (homeLoanBalB - offsetBalB), floored at 0
+    homeLoanBalB = applyPeriod({
+      balance: homeLoanBalB,
+      annualRatePct: homeRatePct,
+      payment: totalHomeThisMonthB,
+      offsetBalance: offsetBalB,
+    }).balance;
+
+    // Investment split
+    investLoanBalB = applyPeriod({
+      balance: investLoanBalB,
+      annualRatePct: investLoanRatePct,
+      payment: totalInvestThisMonthB,
+    }).balance;
+
+    // countdown term
+    if (remainingTermMonths > 0) remainingTermMonths -= 1;
+
+    // --- YEAR-END ROLLOVER (December) ---
+    if (monthInYear === 11) {
+      const thisYear = currentYearIdx + 1;
+
+      // snapshot balances BEFORE next year's redraw
+      const homeLoanBalB_endOfYear = homeLoanBalB;
+      const investLoanBalB_endOfYear = investLoanBalB;
+
+      // avg deductible balance for tax calc (negative gearing)
+      const avgInvestLoanBalanceForYear =
+        (yearStartInvestLoanBalB + investLoanBalB_endOfYear) / 2;
+
+      // 1. after-tax cash the portfolio produced this year
+      const { afterTaxCashToHomeLoan } = calcAfterTaxIncomeSweep({
+        portfolioStart: yearStartPortfolioBalB,
+        yieldPct: investYieldPct,
+        frankedPortionPct,
+        marginalTaxRatePct,
+        avgInvestLoanBalanceForYear,
+        investLoanRatePct,
+      });
+
+      const nextYearIncomeSweepMonthly =
+        afterTaxCashToHomeLoan / 12;
+
+      // 2. growth on the portfolio this year (no redraw yet)
+      let portfolioEndOfYearBeforeRedraw =
+        yearStartPortfolioBalB * (1 + investGrowthPct / 100);
+      for (const parcel of parcels) parcel.value *= 1 + investGrowthPct / 100;
+
+      // Property value now
+      const houseValYearEnd =
+        homeValueStart *
+        Math.pow(1 + homeValueGrowthPct / 100, thisYear);
+
+      // Strategy A net wealth
+      const homeLoanBalA = homeLoanAAfter(month + 1);
+      const netWealthA =
+        houseValYearEnd + offsetBalA - homeLoanBalA;
+
+      // Strategy B net wealth
+      const netWealthB =
+        houseValYearEnd +
+        portfolioEndOfYearBeforeRedraw +
+        offsetBalB -
+        homeLoanBalB_endOfYear -
+        investLoanBalB_endOfYear;
+
+      // Wipeout test: contributions from the last 12 months miss the discount
+      const afterTaxPortfolioNow = afterTaxLiquidationValue(
+        parcels.map((p) => ({ ...p, discountable: month + 1 - p.acquiredMonth > 12 })),
+        { fy, otherTaxableIncome }
+      );
+      const totalDebtNow =
+        homeLoanBalB_endOfYear + investLoanBalB_endOfYear;
+      const surplusIfLiquidated =
+        afterTaxPortfolioNow - totalDebtNow;
+
+      // push row for UI
+      const effectiveBaseThisYear = Math.max(
+        baseMonthlyRepayment,
+        frozenRequiredBaseB
+      );
+
+      yearsArr.push({
+        year: thisYear,
+
+        homeLoanA: homeLoanBalA,
+        netWealthA,
+
+        homeLoanB: homeLoanBalB_endOfYear,
+        investLoanB: investLoanBalB_endOfYear,
+        portfolioB: portfolioEndOfYearBeforeRedraw,
+        netWealthB,
+
+        afterTaxPortfolioNow,
+        totalDebtNow,
+        surplusIfLiquidated,
+
+        userBaseMonthlyRepayment: baseMonthlyRepayment,
+        effectiveBaseMonthlyRepaymentUsed: effectiveBaseThisYear,
+      });
+
+      // 3. redraw for NEXT year
+      let redrawAmount =
+        yearStartHomeLoanBalB - homeLoanBalB_endOfYear;
+      if (redrawAmount < 0) redrawAmount = 0;
+
+      if (redrawAmount > 0) {
+        // increase deductible investment loan
+        investLoanBalB += redrawAmount;
+
+        // add that redraw into next year's portfolio opening
+        portfolioEndOfYearBeforeRedraw += redrawAmount;
+
+        // new contributed capital is a new CGT parcel
+        parcels.push({ costBase: redrawAmount, value: redrawAmount, acquiredMonth: month + 1 });
+      }
+
+      // roll state forward
+      const portfolioOpeningNextYear = portfolioEndOfYearBeforeRedraw;
+      currentYearIncomeSweepMonthly = nextYearIncomeSweepMonthly;
+      yearStartHomeLoanBalB = homeLoanBalB;
+      yearStartPortfolioBalB = portfolioOpeningNextYear;
+      yearStartInvestLoanBalB = investLoanBalB;
+    }
+  }
+
+  return { yearsArr };
+}
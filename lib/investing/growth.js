@@ -0,0 +1,73 @@
+// lib/investing/growth.js
+/**
+ * Investment growth calculator: monthly compounding net of fees, with
+ * regular contributions spread evenly across each month.
+ */
+
+const CONTRIBUTIONS_PER_YEAR = { monthly: 12, fortnightly: 26, weekly: 52, annual: 1 };
+
+// Calculator inputs and defaults; `key` is the share-link param
+export const INVESTMENT_GROWTH_INPUTS = {
+  initial: { key: "i", type: "number", min: 0, default: 10000 },
+  contrib: { key: "c", type: "number", min: 0, default: 500 },
+  contribFreq: {
+    key: "cf",
+    type: "enum",
+    values: Object.keys(CONTRIBUTIONS_PER_YEAR),
+    default: "monthly",
+  },
+  years: { key: "y", type: "number", min: 0, max: 100, integer: true, default: 20 },
+  returnPct: { key: "r", type: "number", min: -100, max: 100, default: 7 }, // % p.a.
+  feePct: { key: "fee", type: "number", min: 0, max: 100, default: 0.5 }, // % p.a.
+
+  // Monte Carlo mode (lib/investing/monteCarlo.js); returnPct is the mean
+  mode: { key: "m", type: "enum", values: ["fixed", "monteCarlo"], default: "fixed" },
+  returnSource: { key: "src", type: "enum", values: ["normal", "historical"], default: "normal" },
+  volatilityPct: { key: "vol", type: "number", min: 0, max: 100, default: 15 }, // % p.a.
+  simulations: { key: "n", type: "number", min: 100, max: 10000, integer: true, default: 2000 },
+  target: { key: "tg", type: "number", min: 0, default: 250000 },
+};
+
+export function annualContribution(contrib, contribFreq = "monthly") {
+  return (Number(contrib) || 0) * (CONTRIBUTIONS_PER_YEAR[contribFreq] || 1);
+}
+
+export function projectInvestmentGrowth({
+  initial,
+  contrib,
+  contribFreq = "monthly",
+  years,
+  returnPct, // % p.a., before fees
+  feePct, // % p.a.
+}) {
+  const months = (Number(years) || 0) * 12;
+  const rYear = Math.max(0, (Number(returnPct) || 0) / 100);
+  const fYear = Math.max(0, (Number(feePct) || 0) / 100);
+  const rMonth = (rYear - fYear) / 12; // net of fees
+  let bal = Number(initial) || 0;
+  let totalContrib = bal;
+  const rows = [];
+  const contribPerMonth = annualContribution(contrib, contribFreq) / 12;
+
+  for (let m = 1; m <= months; m++) {
+    bal = bal * (1 + rMonth);   // growth
+    bal += contribPerMonth;     // contribution at month end
+    totalContrib += contribPerMonth;
+
+    if (m % 12 === 0 || m === months) {
+      rows.push({
+        year: m / 12,
+        balance: Math.round(bal),
+        contributed: Math.round(totalContrib),
+        earnings: Math.round(bal - totalContrib),
+      });
+    }
+  }
+
+  return {
+    finalBalance: Math.round(bal),
+    totalContrib: Math.round(totalContrib),
+    totalEarnings: Math.round(bal - totalContrib),
+    rows,
+  };
+}
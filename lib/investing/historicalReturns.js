@@ -0,0 +1,39 @@
+// lib/investing/historicalReturns.js
+/**
+ * Calendar-year total returns (dividends reinvested) of the S&P/ASX 200
+ * Accumulation Index, in %, rounded to 0.1. Used to bootstrap Monte Carlo
+ * paths from real market years, crashes included.
+ *
+ * Add each new year once the December figure is published.
+ */
+export const ASX200_ANNUAL_RETURNS = [
+  { year: 2005, returnPct: 21.1 },
+  { year: 2006, returnPct: 24.2 },
+  { year: 2007, returnPct: 16.1 },
+  { year: 2008, returnPct: -38.4 },
+  { year: 2009, returnPct: 37.0 },
+  { year: 2010, returnPct: 1.6 },
+  { year: 2011, returnPct: -10.5 },
+  { year: 2012, returnPct: 20.3 },
+  { year: 2013, returnPct: 20.2 },
+  { year: 2014, returnPct: 5.6 },
+  { year: 2015, returnPct: 2.6 },
+  { year: 2016, returnPct: 11.8 },
+  { year: 2017, returnPct: 11.8 },
+  { year: 2018, returnPct: -2.8 },
+  { year: 2019, returnPct: 23.4 },
+  { year: 2020, returnPct: 1.4 },
+  { year: 2021, returnPct: 17.2 },
+  { year: 2022, returnPct: -1.1 },
+  { year: 2023, returnPct: 12.4 },
+  { year: 2024, returnPct: 11.4 },
+];
+
+/** Mean and standard deviation (sample) of a list of % returns. */
+export function returnStats(returns) {
+  const n = returns.length;
+  if (n === 0) return { meanPct: 0, volatilityPct: 0 };
+  const mean = returns.reduce((s, r) => s + r, 0) / n;
+  const variance = n > 1 ? returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (n - 1) : 0;
+  return { meanPct: mean, volatilityPct: Math.sqrt(variance) };
+}
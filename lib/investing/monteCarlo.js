@@ -0,0 +1,135 @@
+// lib/investing/monteCarlo.js
+import { annualContribution } from "@/lib/investing/growth";
+import { ASX200_ANNUAL_RETURNS } from "@/lib/investing/historicalReturns";
+
+/**
+ * Monte Carlo mode for the investment growth calculator.
+ *
+ * Each path follows the same monthly steps as projectInvestmentGrowth
+ * (growth, less 1/12 of the annual fee, then the month's contribution), but
+ * the month's growth is random:
+ *  - "normal": lognormal monthly growth with the given annual volatility,
+ *    centred so the expected monthly growth matches the fixed-return mode
+ *    (with zero volatility every path is the fixed-return projection)
+ *  - "historical": each simulated year replays a year drawn at random, with
+ *    replacement, from ASX200_ANNUAL_RETURNS, spread evenly over its months
+ *
+ * Paths are seeded, so the same inputs always give the same bands.
+ */
+
+export const PERCENTILES = [10, 50, 90];
+export const MAX_SIMULATIONS = 10000;
+export const DEFAULT_SEED = 20250701;
+
+// Small fast PRNG (mulberry32); plenty for sampling, and reproducible
+export function createRandom(seed = DEFAULT_SEED) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal draw (Box–Muller) from a `createRandom` stream. */
+export function normal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/** Linear-interpolated percentile (0–100) of an ascending array. */
+export function percentile(sorted, p) {
+  const n = sorted.length;
+  if (n === 0) return 0;
+  const rank = (p / 100) * (n - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.min(n - 1, lo + 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+/** Share of paths (0–1) finishing at or above `target`, from ascending finals. */
+export function probabilityOfReaching(sortedFinals, target) {
+  const n = sortedFinals.length;
+  if (n === 0) return 0;
+  // First index with a final balance >= target
+  let lo = 0;
+  let hi = n;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sortedFinals[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return (n - lo) / n;
+}
+
+/**
+ * Runs the simulation. Returns
+ *   { bands: [{ year, p10, p50, p90 }], finals, simulations }
+ * where `bands` starts at year 0 and `finals` holds every path's final
+ * balance in ascending order (a Float64Array, so a worker can transfer it).
+ */
+export function runMonteCarlo({
+  initial,
+  contrib,
+  contribFreq = "monthly",
+  years,
+  returnPct, // mean, % p.a. before fees
+  volatilityPct, // % p.a.
+  feePct, // % p.a.
+  simulations = 1000,
+  returnSource = "normal", // normal | historical
+  seed = DEFAULT_SEED,
+}) {
+  const nYears = Math.max(0, Math.floor(Number(years) || 0));
+  const nSims = Math.min(MAX_SIMULATIONS, Math.max(1, Math.floor(Number(simulations) || 0)));
+  const start = Number(initial) || 0;
+  const contribPerMonth = annualContribution(contrib, contribFreq) / 12;
+  const feeMonth = Math.max(0, (Number(feePct) || 0) / 100) / 12;
+
+  // Normal mode: E[growth] = 1 + mean / 12, as in the fixed-return projection
+  const meanMonth = Math.max(0, (Number(returnPct) || 0) / 100) / 12;
+  const sigma = Math.max(0, (Number(volatilityPct) || 0) / 100) / Math.sqrt(12);
+  const drift = Math.log(1 + meanMonth) - (sigma * sigma) / 2;
+
+  // Historical mode: each year's monthly growth factor
+  const history = ASX200_ANNUAL_RETURNS.map((r) => Math.pow(1 + r.returnPct / 100, 1 / 12));
+  if (returnSource === "historical" && history.length === 0) {
+    throw new Error("No historical returns to sample");
+  }
+
+  const random = createRandom(seed);
+  // byYear[y * nSims + s] = balance of path s at the end of year y
+  const byYear = new Float64Array((nYears + 1) * nSims);
+
+  for (let s = 0; s < nSims; s++) {
+    let bal = start;
+    byYear[s] = bal;
+    for (let y = 1; y <= nYears; y++) {
+      const yearGrowth =
+        returnSource === "historical" ? history[Math.floor(random() * history.length)] : null;
+      for (let m = 0; m < 12; m++) {
+        const growth = yearGrowth ?? Math.exp(drift + sigma * normal(random));
+        bal = bal * (growth - feeMonth);
+        bal += contribPerMonth;
+      }
+      byYear[y * nSims + s] = bal;
+    }
+  }
+
+  const bands = [];
+  let finals = new Float64Array(0);
+  for (let y = 0; y <= nYears; y++) {
+    const column = byYear.slice(y * nSims, (y + 1) * nSims).sort();
+    const band = { year: y };
+    PERCENTILES.forEach((p) => {
+      band[`p${p}`] = Math.round(percentile(column, p));
+    });
+    bands.push(band);
+    if (y === nYears) finals = column;
+  }
+
+  return { bands, finals, simulations: nSims };
+}
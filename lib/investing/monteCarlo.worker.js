@@ -0,0 +1,13 @@
+// lib/investing/monteCarlo.worker.js
+import { runMonteCarlo } from "@/lib/investing/monteCarlo";
+
+// Runs simulations off the main thread for hooks/useMonteCarlo.js.
+// Each message is { id, params }; the reply echoes the id so stale runs can be dropped.
+self.onmessage = ({ data: { id, params } }) => {
+  try {
+    const result = runMonteCarlo(params);
+    self.postMessage({ id, result }, [result.finals.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
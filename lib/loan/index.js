@@ -0,0 +1,298 @@
+// lib/loan/index.js
+/**
+ * Loan amortisation engine shared by the mortgage, investment property and
+ * debt recycling calculators.
+ *
+ * Rates are nominal % p.a. and interest accrues per repayment period on the
+ * balance net of any offset. Amounts are never rounded here; pages round for
+ * display. The final repayment clears the balance exactly.
+ */
+
+export const FREQUENCIES = {
+  weekly: 52,
+  fortnightly: 26,
+  monthly: 12,
+};
+
+// Balances below half a cent are treated as repaid
+const CLOSE_OUT = 0.005;
+
+// --- helpers ---
+function toAmount(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+
+function parseIsoDate(iso) {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  const date = new Date(Date.UTC(y, (m || 1) - 1, d || 1));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid loan date: ${iso}`);
+  }
+  return date;
+}
+
+export function periodsPerYear(frequency = "monthly") {
+  const n = FREQUENCIES[frequency];
+  if (!n) {
+    throw new Error(`Unknown repayment frequency: ${frequency}`);
+  }
+  return n;
+}
+
+/** ISO start date of period `period` (1-based) for a loan drawn on `startDate`. */
+export function periodStartDate(startDate, period, frequency = "monthly") {
+  const d = parseIsoDate(startDate);
+  if (frequency === "monthly") {
+    d.setUTCMonth(d.getUTCMonth() + (period - 1));
+  } else {
+    const days = frequency === "weekly" ? 7 : 14;
+    d.setUTCDate(d.getUTCDate() + (period - 1) * days);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/** Period (1-based) in which `date` falls for a loan drawn on `startDate`. */
+export function periodForDate(startDate, date, frequency = "monthly") {
+  const start = parseIsoDate(startDate);
+  const at = parseIsoDate(date);
+  if (at <= start) return 1;
+
+  if (frequency === "monthly") {
+    let months =
+      (at.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      (at.getUTCMonth() - start.getUTCMonth());
+    if (at.getUTCDate() < start.getUTCDate()) months -= 1;
+    return months + 1;
+  }
+  const days = Math.round((at - start) / 86400000);
+  return Math.floor(days / (frequency === "weekly" ? 7 : 14)) + 1;
+}
+
+/**
+ * Level principal & interest repayment that clears `principal` over `periods`.
+ * At 0% the balance is simply spread evenly.
+ */
+export function levelRepayment(principal, annualRatePct, periods, perYear = 12) {
+  const p = toAmount(principal);
+  const n = Math.max(0, Math.round(Number(periods) || 0));
+  if (p === 0 || n === 0) return n === 0 ? p : 0;
+
+  const r = toAmount(annualRatePct) / 100 / perYear;
+  if (r === 0) return p / n;
+  return (p * r) / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * One repayment period on a single loan.
+ * Interest is charged on (balance − offset); any payment beyond what is owed
+ * is not taken. Unpaid interest capitalises.
+ */
+export function applyPeriod({
+  balance,
+  annualRatePct,
+  perYear = 12,
+  payment = 0,
+  offsetBalance = 0,
+}) {
+  const opening = toAmount(balance);
+  const rate = toAmount(annualRatePct) / 100 / perYear;
+  const interest = Math.max(0, opening - toAmount(offsetBalance)) * rate;
+  const owed = opening + interest;
+  const paid = Math.min(toAmount(payment), owed);
+
+  let closing = owed - paid;
+  if (closing < CLOSE_OUT) closing = 0;
+
+  return {
+    openingBalance: opening,
+    interest,
+    payment: paid,
+    principal: opening - closing,
+    balance: closing,
+  };
+}
+
+// Normalise events to { period, type, ... } sorted by period
+function resolveEvents(events, startDate, frequency) {
+  return (events || [])
+    .map((e) => {
+      let period = e.period;
+      if (period == null && e.date != null) {
+        if (!startDate) {
+          throw new Error("Loan events with a date need a startDate");
+        }
+        period = periodForDate(startDate, e.date, frequency);
+      }
+      period = Math.max(1, Math.round(Number(period) || 1));
+      return { ...e, period };
+    })
+    .sort((a, b) => a.period - b.period);
+}
+
+/**
+ * Full per-period schedule for a loan.
+ *
+ * events: [{ period | date, type, ... }]
+ *  - { type: "rate", annualRatePct }  new rate from that period; the minimum
+ *    repayment is recalculated over the remaining term unless `repayment` is fixed
+ *  - { type: "lumpSum", amount }      one-off extra repayment in that period
+ *  - { type: "redraw", amount }       withdraw prepaid funds (up to what is available)
+ *  - { type: "offset", amount }       deposit to (+) or withdraw from (−) the offset
+ *
+ * `repayment` fixes the minimum P&I repayment instead of deriving it from the
+ * term. During interest-only periods the minimum is the interest charged.
+ */
+export function amortise({
+  principal,
+  annualRatePct,
+  termYears,
+  frequency = "monthly",
+  interestOnlyYears = 0,
+  repayment = null,
+  extraRepayment = 0,
+  offsetBalance = 0,
+  events = [],
+  startDate = null,
+  maxPeriods = null,
+}) {
+  const perYear = periodsPerYear(frequency);
+  const termPeriods = Math.max(1, Math.round((Number(termYears) || 0) * perYear));
+  const ioPeriods = Math.min(
+    termPeriods,
+    Math.max(0, Math.round((Number(interestOnlyYears) || 0) * perYear))
+  );
+  const limit = maxPeriods != null ? Math.max(0, Math.round(maxPeriods)) : termPeriods * 2;
+  const fixedRepayment = repayment != null ? toAmount(repayment) : null;
+  const extra = toAmount(extraRepayment);
+  const schedule = resolveEvents(events, startDate, frequency);
+
+  let balance = toAmount(principal);
+  let rate = toAmount(annualRatePct);
+  let offset = toAmount(offsetBalance);
+  let redrawAvailable = 0;
+  let minRepayment =
+    fixedRepayment ?? levelRepayment(balance, rate, termPeriods - ioPeriods, perYear);
+  const initialRepayment = minRepayment;
+
+  const rows = [];
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let ok = true;
+  let eventIdx = 0;
+
+  for (let period = 1; period <= limit && balance > 0; period++) {
+    let rateChanged = false;
+    let lumpSum = 0;
+    let redrawRequested = 0;
+
+    while (eventIdx < schedule.length && schedule[eventIdx].period === period) {
+      const e = schedule[eventIdx++];
+      if (e.type === "rate") {
+        rate = toAmount(e.annualRatePct);
+        rateChanged = true;
+      } else if (e.type === "lumpSum") {
+        lumpSum += toAmount(e.amount);
+      } else if (e.type === "redraw") {
+        redrawRequested += toAmount(e.amount);
+      } else if (e.type === "offset") {
+        offset = Math.max(0, offset + (Number(e.amount) || 0));
+      }
+    }
+
+    const interestOnly = period <= ioPeriods;
+    if (fixedRepayment == null && !interestOnly && (rateChanged || period === ioPeriods + 1)) {
+      minRepayment = levelRepayment(balance, rate, Math.max(1, termPeriods - period + 1), perYear);
+    }
+
+    const opening = balance;
+    const interest = Math.max(0, opening - offset) * (rate / 100 / perYear);
+    const owed = opening + interest;
+
+    const scheduled = interestOnly ? interest : minRepayment;
+    const scheduledPaid = Math.min(scheduled, owed);
+    const extraPaid = Math.min(extra, owed - scheduledPaid);
+    const lumpSumPaid = Math.min(lumpSum, owed - scheduledPaid - extraPaid);
+    const paid = scheduledPaid + extraPaid + lumpSumPaid;
+
+    // Repayments that don't cover interest outside an IO period never clear the loan
+    if (!interestOnly && paid <= interest && lumpSumPaid === 0 && interest > 0) {
+      ok = false;
+      break;
+    }
+
+    balance = owed - paid;
+    redrawAvailable += extraPaid + lumpSumPaid;
+
+    let redraw = 0;
+    if (balance >= CLOSE_OUT && redrawRequested > 0) {
+      redraw = Math.min(redrawRequested, redrawAvailable);
+      balance += redraw;
+      redrawAvailable -= redraw;
+    }
+    if (balance < CLOSE_OUT) balance = 0;
+
+    totalInterest += interest;
+    totalPaid += paid;
+
+    rows.push({
+      period,
+      year: Math.ceil(period / perYear),
+      date: startDate ? periodStartDate(startDate, period, frequency) : null,
+      annualRatePct: rate,
+      interestOnly,
+      openingBalance: opening,
+      interest,
+      scheduledRepayment: scheduledPaid,
+      extraRepayment: extraPaid,
+      lumpSum: lumpSumPaid,
+      repayment: paid,
+      principal: paid - interest,
+      redraw,
+      redrawAvailable,
+      offsetBalance: offset,
+      balance,
+    });
+  }
+
+  return {
+    ok,
+    periodsPerYear: perYear,
+    initialRepayment,
+    periodsToZero: ok && balance === 0 ? rows.length : Infinity,
+    totalInterest: ok ? totalInterest : Infinity,
+    totalPaid: ok ? totalPaid : Infinity,
+    closingBalance: balance,
+    rows: ok ? rows : [],
+  };
+}
+
+/** Roll a per-period schedule up into years (1-based, by loan year). */
+export function annualSummary(rows, perYear = 12) {
+  const byYear = new Map();
+  for (const r of rows || []) {
+    const year = Math.ceil(r.period / perYear);
+    const agg = byYear.get(year) || {
+      year,
+      openingBalance: r.openingBalance,
+      scheduledRepayment: 0,
+      extraRepayment: 0,
+      lumpSum: 0,
+      repayment: 0,
+      interest: 0,
+      principal: 0,
+      redraw: 0,
+      balance: r.balance,
+    };
+    agg.scheduledRepayment += r.scheduledRepayment;
+    agg.extraRepayment += r.extraRepayment;
+    agg.lumpSum += r.lumpSum;
+    agg.repayment += r.repayment;
+    agg.interest += r.interest;
+    agg.principal += r.principal;
+    agg.redraw += r.redraw;
+    agg.balance = r.balance;
+    byYear.set(year, agg);
+  }
+  return Array.from(byYear.values()).sort((a, b) => a.year - b.year);
+}
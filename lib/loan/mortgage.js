@@ -0,0 +1,166 @@
+// lib/loan/mortgage.js
+import {
+  amortise,
+  annualSummary,
+  levelRepayment,
+  periodsPerYear,
+  FREQUENCIES,
+} from "./index";
+
+/**
+ * Mortgage calculator: minimum repayments vs minimum + a regular extra,
+ * with payoff time, interest saved and display-ready schedules.
+ */
+
+// Mortgage page inputs with their starting values; `key` is the share-link param
+export const MORTGAGE_INPUTS = {
+  loanAmount: { key: "la", type: "number", min: 0, default: 600000 },
+  interest: { key: "r", type: "number", min: 0, max: 100, default: 6.5 }, // % p.a.
+  termYears: { key: "t", type: "number", min: 1, max: 50, default: 30 },
+  frequency: { key: "f", type: "enum", values: Object.keys(FREQUENCIES), default: "monthly" },
+  extra: { key: "x", type: "number", min: 0, default: 0 }, // per repayment
+};
+
+// Schedule from the shared loan engine, rounded for display, plus yearly chart points
+function simulate({ principal, interest, termYears, frequency, periods }, extraPerPeriod) {
+  const sim = amortise({
+    principal,
+    annualRatePct: Number(interest) || 0,
+    termYears: Number(termYears) || 0,
+    frequency,
+    extraRepayment: Number(extraPerPeriod) || 0,
+  });
+
+  if (!sim.ok)
+    return {
+      ok: false,
+      never: true,
+      message:
+        "Repayment is less than interest each period — loan will not amortise.",
+      periodsToZero: Infinity,
+      totalInterest: Infinity,
+      totalPaid: Infinity,
+      schedule: [],
+      rows: [],
+      yearlyPoints: [],
+    };
+
+  let cumulativeInterest = 0;
+  const yearlyPoints = [];
+  const rows = sim.rows.map((r) => {
+    cumulativeInterest += r.interest;
+    if (r.period % periods === 0 || r.balance === 0) {
+      yearlyPoints.push({
+        year: r.year,
+        Balance: Math.round(r.balance),
+        "Cumulative Interest": Math.round(cumulativeInterest),
+      });
+    }
+    return {
+      period: r.period,
+      minPayment: Math.round(r.scheduledRepayment),
+      extraPayment: Math.round(r.extraRepayment),
+      repayment: Math.round(r.repayment),
+      interest: Math.round(r.interest),
+      principal: Math.round(r.principal),
+      balance: Math.round(r.balance),
+    };
+  });
+
+  return {
+    ok: true,
+    periodsToZero: sim.periodsToZero,
+    totalInterest: Math.round(sim.totalInterest),
+    totalPaid: Math.round(sim.totalPaid),
+    schedule: sim.rows,
+    rows,
+    yearlyPoints,
+  };
+}
+
+// Payoff duration in whole years and months
+function payoff(periodsToZero, periods) {
+  if (!isFinite(periodsToZero)) return null;
+  const yrs = periodsToZero / periods;
+  return {
+    years: Math.floor(yrs),
+    months: Math.round((yrs - Math.floor(yrs)) * 12),
+  };
+}
+
+export function calculateMortgage({
+  loanAmount,
+  interest, // % p.a.
+  termYears,
+  frequency = "monthly", // monthly, fortnightly, weekly
+  extra = 0, // extra repayment per chosen frequency
+}) {
+  const periods = periodsPerYear(frequency);
+  const principal = Number(loanAmount) || 0;
+  const loan = { principal, interest, termYears, frequency, periods };
+
+  // Base scheduled repayment
+  const baseRepayment = levelRepayment(
+    principal,
+    Number(interest) || 0,
+    (Number(termYears) || 0) * periods,
+    periods
+  );
+
+  // Baseline (no extra) vs With extra
+  const simBase = simulate(loan, 0);
+  const simExtra = simulate(loan, Number(extra) || 0);
+
+  // Savings
+  const interestSaved =
+    isFinite(simBase.totalInterest) && isFinite(simExtra.totalInterest)
+      ? Math.max(0, simBase.totalInterest - simExtra.totalInterest)
+      : null;
+  const periodsSaved =
+    isFinite(simBase.periodsToZero) && isFinite(simExtra.periodsToZero)
+      ? Math.max(0, simBase.periodsToZero - simExtra.periodsToZero)
+      : null;
+  const timeSaved =
+    periodsSaved != null
+      ? {
+          years: Math.floor(periodsSaved / periods),
+          months: Math.round(((periodsSaved / periods) % 1) * 12),
+        }
+      : null;
+
+  // Chart data merging both
+  const byYear = new Map();
+  simBase.yearlyPoints.forEach((p) =>
+    byYear.set(p.year, { year: p.year, BalanceBase: p.Balance })
+  );
+  simExtra.yearlyPoints.forEach((p) => {
+    const prev = byYear.get(p.year) || { year: p.year };
+    byYear.set(p.year, { ...prev, BalanceExtra: p.Balance });
+  });
+  const chartData = Array.from(byYear.values()).sort((a, b) => a.year - b.year);
+
+  // Annualised schedule (with extra)
+  const annualRows = annualSummary(simExtra.schedule, periods).map((y) => ({
+    year: y.year,
+    minPayment: Math.round(y.scheduledRepayment),
+    extraPayment: Math.round(y.extraRepayment),
+    repayment: Math.round(y.repayment),
+    interest: Math.round(y.interest),
+    principal: Math.round(y.principal),
+    balance: Math.round(y.balance),
+  }));
+
+  return {
+    periods,
+    baseRepayment,
+    simBase,
+    simExtra,
+    payoffBase: payoff(simBase.periodsToZero, periods),
+    payoffWithExtra: payoff(simExtra.periodsToZero, periods),
+    interestSaved,
+    periodsSaved,
+    timeSaved,
+    chartData,
+    annualRows,
+  };
+}
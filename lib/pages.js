@@ -4,10 +4,15 @@ export const calculators = [
   '/calculators/investment-growth',
   '/calculators/debt-recycling',
   '/calculators/tax-calculator',
+  '/calculators/study-loan-repayment',
+  '/calculators/capital-gains-tax',
   '/calculators/account-based-pension',
   '/calculators/age-pension',
   '/calculators/salary-sacrifice',
+  '/calculators/non-concessional-contributions',
   '/calculators/commonwealth-seniors-health-card',
   '/calculators/investment-property',
   '/calculators/jobseeker',
+  '/calculators/family-tax-benefit',
+  '/calculators/parenting-payment',
 ];
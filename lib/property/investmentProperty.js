@@ -0,0 +1,316 @@
+// lib/property/investmentProperty.js
+import { computeIncomeTax, FINANCIAL_YEARS, DEFAULT_FY } from "@/lib/tax";
+import { amortise, annualSummary } from "@/lib/loan";
+import { netCapitalGain, taxOnCapitalGain } from "@/lib/tax/cgt";
+
+const amount = (key, value) => ({ key, type: "number", min: 0, default: value });
+const pct = (key, value) => ({ key, type: "number", min: 0, max: 100, default: value });
+const growth = (key, value) => ({ key, type: "number", min: -100, max: 100, default: value });
+
+// Inputs as held by the page, with their initial values and share-link keys
+export const INVESTMENT_PROPERTY_INPUTS = {
+  // Property & purchase
+  purchasePrice: amount("pp", 800000),
+  purchaseCosts: amount("pc", 40000),
+  buildingValue: amount("bv", 400000),
+  weeklyRent: amount("wr", 700),
+  vacancyRate: pct("vr", 5),
+  rentGrowthRate: growth("rg", 2.5),
+  growthRate: growth("g", 3.0),
+  sellingCostRate: pct("sc", 2.5),
+  holdingYears: { key: "hy", type: "number", min: 1, max: 50, integer: true, default: 10 },
+
+  // Loan
+  loanAmount: amount("la", 640000),
+  interestRate: pct("r", 6.0),
+  loanTermYears: { key: "lt", type: "number", min: 1, max: 50, integer: true, default: 30 },
+  loanRepaymentType: { key: "rt", type: "enum", values: ["PI", "IO5"], default: "PI" },
+
+  // Ongoing expenses
+  pmFeeRate: pct("pm", 7.0),
+  annualRates: amount("ar", 3000),
+  annualInsurance: amount("ai", 1500),
+  annualStrata: amount("as", 0),
+  annualLandTax: amount("lx", 0),
+  annualOther: amount("ao", 1000),
+  expenseGrowthPct: growth("eg", 2.5),
+
+  // Tax base income
+  baseTaxableIncome: amount("ti", 120000), // salary + other taxable income
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+};
+
+// Safely coerce to number
+function toNumber(value, fallback = 0) {
+  const n = typeof value === "number" ? value : parseFloat(String(value));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Resident income tax for the selected year, including offsets and the
+ * Medicare levy. Used to estimate the *difference* in tax from rental
+ * income and CGT.
+ */
+function calcIncomeTax(taxableIncome, fy) {
+  return computeIncomeTax({ fy, taxableIncome }).totalTax;
+}
+
+/**
+ * Core calculation for the Investment Property calculator.
+ *
+ * Focused on:
+ * 1) Cash cost each year (before tax)
+ * 2) After-tax cost each year
+ * 3) Net gain when selling after N years (after tax & debt)
+ *
+ * Assumptions:
+ * - Straight-line building depreciation over 40 years.
+ * - Depreciation reduces CGT cost base.
+ * - 50% CGT discount if held > 12 months (see lib/tax/cgt.js).
+ * - Tax differences are calculated relative to an input taxable income (salary).
+ * - Loan can be:
+ *    - Principal & interest for full term, or
+ *    - Interest-only for 5 years, then P&I for the remaining term.
+ */
+export function calculateInvestmentProperty(inputs) {
+  const purchasePrice = toNumber(inputs.purchasePrice);
+  const purchaseCosts = toNumber(inputs.purchaseCosts);
+  const buildingValue = Math.min(
+    toNumber(inputs.buildingValue),
+    purchasePrice
+  );
+
+  const weeklyRent = toNumber(inputs.weeklyRent);
+  const vacancyRate = toNumber(inputs.vacancyRate) / 100;
+  const rentGrowthRate = toNumber(inputs.rentGrowthRate) / 100;
+  const growthRate = toNumber(inputs.growthRate) / 100;
+  const sellingCostRate = toNumber(inputs.sellingCostRate) / 100;
+
+  const holdingYears = Math.max(1, Math.round(toNumber(inputs.holdingYears)));
+
+  const loanAmount = toNumber(inputs.loanAmount);
+  const interestRate = toNumber(inputs.interestRate) / 100;
+  const loanTermYears = Math.max(1, Math.round(toNumber(inputs.loanTermYears)));
+  const loanRepaymentType = inputs.loanRepaymentType || "PI"; // "PI" | "IO5"
+
+  const pmFeeRate = toNumber(inputs.pmFeeRate) / 100;
+  const annualRates = toNumber(inputs.annualRates);
+  const annualInsurance = toNumber(inputs.annualInsurance);
+  const annualStrata = toNumber(inputs.annualStrata);
+  const annualLandTax = toNumber(inputs.annualLandTax);
+  const annualOther = toNumber(inputs.annualOther);
+
+  const baseTaxableIncome = Math.max(
+    0,
+    toNumber(inputs.baseTaxableIncome)
+  ); // salary / other income
+  const fy = inputs.fy || DEFAULT_FY; // tax year applied to every projection year
+
+ const expenseGrowthPct = toNumber(inputs.expenseGrowthPct) / 100;
+
+  // Initial cash outlay = deposit + purchase costs
+  const deposit = Math.max(0, purchasePrice - loanAmount);
+  const initialCashOutlay = deposit + purchaseCosts;
+
+  // Loan schedule (monthly) from the shared loan engine, rolled up by year
+  const loan = amortise({
+    principal: loanAmount,
+    annualRatePct: interestRate * 100,
+    termYears: loanTermYears,
+    frequency: "monthly",
+    interestOnlyYears: loanRepaymentType === "IO5" ? 5 : 0,
+    maxPeriods: holdingYears * 12,
+  });
+  const loanYears = annualSummary(loan.rows, 12);
+
+  // Building depreciation: straight-line over 40 years
+  const depYears = 40;
+  const annualBuildingDepreciation =
+    depYears > 0 ? buildingValue / depYears : 0;
+
+  // Loop through each year
+  let cumulativeAfterTaxCashflow = 0;
+  let totalDepreciationClaimedToDate = 0;
+
+  const cashflow = [];
+
+  for (let year = 1; year <= holdingYears; year++) {
+    const propertyValue = purchasePrice * Math.pow(1 + growthRate, year);
+
+    // Rent for this year
+    const rentThisYearBeforeVacancy =
+      weeklyRent * 52 * Math.pow(1 + rentGrowthRate, year - 1);
+    const grossRent = rentThisYearBeforeVacancy * (1 - vacancyRate);
+
+    // Loan amortisation for this year (nothing owing once repaid)
+    const loanYear = loanYears[year - 1];
+    const openingLoan =
+      year === 1 ? loanAmount : cashflow[year - 2]?.closingLoan ?? loanAmount;
+    const interestThisYear = loanYear ? loanYear.interest : 0;
+    const principalThisYear = loanYear ? loanYear.principal : 0;
+    const closingLoan = loanYear ? loanYear.balance : 0;
+
+    // Cash expenses (excluding loan)
+// Growth factor for expenses (Year 1 = base level)
+const expenseGrowthFactor = Math.pow(1 + expenseGrowthPct, year - 1);
+
+// PM fees scale with rent (so no separate growth needed)
+const pmFees = grossRent * pmFeeRate;
+
+// Fixed expenses (rates, insurance, strata, land tax, other) grow each year
+const fixedExpensesBase =
+  annualRates +
+  annualInsurance +
+  annualStrata +
+  annualLandTax +
+  annualOther;
+
+const fixedExpenses = fixedExpensesBase * expenseGrowthFactor;
+
+const cashExpenses = pmFees + fixedExpenses;
+const totalCashExpenses = cashExpenses + interestThisYear + principalThisYear;
+
+    // Depreciation this year, capped so we never exceed buildingValue
+    const remainingDepreciable =
+      buildingValue - totalDepreciationClaimedToDate;
+    const depreciation =
+      remainingDepreciable > 0
+        ? Math.min(annualBuildingDepreciation, remainingDepreciable)
+        : 0;
+    totalDepreciationClaimedToDate += depreciation;
+
+    // Cashflow before tax (includes principal as cash outflow)
+    const beforeTaxCashflow =
+      grossRent - cashExpenses - interestThisYear - principalThisYear;
+    const cashCost = beforeTaxCashflow < 0 ? -beforeTaxCashflow : 0;
+
+    // Taxable income from property
+    const taxableIncome =
+      grossRent - cashExpenses - interestThisYear - depreciation;
+
+    // Tax difference: base income vs base income + property taxable income
+    const taxWithoutProperty = calcIncomeTax(baseTaxableIncome, fy);
+    const taxWithProperty = calcIncomeTax(
+      baseTaxableIncome + taxableIncome,
+      fy
+    );
+    const taxChange = taxWithProperty - taxWithoutProperty;
+    // positive = extra tax payable, negative = refund
+
+    const afterTaxCashflow = beforeTaxCashflow - taxChange;
+    const afterTaxCost = afterTaxCashflow < 0 ? -afterTaxCashflow : 0;
+
+    cumulativeAfterTaxCashflow += afterTaxCashflow;
+
+    // Sale / CGT at end of this year
+    const salePrice = propertyValue;
+    const sellingCosts = salePrice * sellingCostRate;
+
+    // Cost base includes purchase costs and is reduced by depreciation
+    const costBase =
+      purchasePrice + purchaseCosts - totalDepreciationClaimedToDate;
+
+    let capitalGain = salePrice - sellingCosts - costBase;
+    if (!Number.isFinite(capitalGain)) capitalGain = 0;
+
+    // Bought at the start of year 1 and sold at the end of `year`: a sale on
+    // the first anniversary isn't held for more than 12 months, so the
+    // discount starts in year 2. A loss on sale carries forward.
+    const { netCapitalGain: taxableGain, lossesCarriedForward: capitalLoss } =
+      netCapitalGain({
+        gains: [{ gain: Math.max(0, capitalGain), discountable: year >= 2 }],
+        currentLosses: Math.max(0, -capitalGain),
+      });
+
+    // Tax difference: with vs without the net gain on top of this year's income
+    const cgtTax =
+      taxableGain > 0
+        ? taxOnCapitalGain({
+            fy,
+            otherTaxableIncome: baseTaxableIncome + taxableIncome,
+            gain: taxableGain,
+          }).tax
+        : 0;
+
+    const loanOutstandingAtSale = closingLoan;
+
+    const netSaleAfterDebtAndTax =
+      salePrice - sellingCosts - loanOutstandingAtSale - cgtTax;
+
+    const netIfSoldThisYear =
+      cumulativeAfterTaxCashflow +
+      netSaleAfterDebtAndTax -
+      initialCashOutlay;
+
+    cashflow.push({
+      year,
+      propertyValue,
+      openingLoan,
+      closingLoan,
+      grossRent,
+      pmFees,
+      fixedExpenses,
+      cashExpenses,
+      totalCashExpenses,
+      interest: interestThisYear,
+      principal: principalThisYear,
+      depreciation,
+      beforeTaxCashflow,
+      cashCost,
+      taxableIncome,
+      taxChange,
+      afterTaxCashflow,
+      afterTaxCost,
+      cumulativeAfterTaxCashflow,
+      salePrice,
+      sellingCosts,
+      costBase,
+      capitalGain,
+      taxableGain,
+      capitalLoss,
+      cgtTax,
+      netSaleAfterDebtAndTax,
+      netIfSoldThisYear,
+    });
+  }
+
+  const firstYear = cashflow[0];
+  const lastYear = cashflow[cashflow.length - 1];
+
+  let netGainAtSale = 0;
+  let netSaleAfterDebtAndTax = 0;
+  let annualisedReturn = 0;
+
+  if (lastYear) {
+    netGainAtSale = lastYear.netIfSoldThisYear;
+    netSaleAfterDebtAndTax = lastYear.netSaleAfterDebtAndTax;
+
+    const endingWealth = initialCashOutlay + netGainAtSale;
+    if (initialCashOutlay > 0 && endingWealth > 0) {
+      annualisedReturn =
+        Math.pow(endingWealth / initialCashOutlay, 1 / holdingYears) - 1;
+    }
+  }
+
+  return {
+    summary: {
+      firstYearCashCost: firstYear ? firstYear.cashCost : 0,
+      firstYearAfterTaxCost: firstYear ? firstYear.afterTaxCost : 0,
+      avgAnnualCashCost:
+        cashflow.length > 0
+          ? cashflow.reduce((sum, y) => sum + y.cashCost, 0) /
+            cashflow.length
+          : 0,
+      avgAnnualAfterTaxCost:
+        cashflow.length > 0
+          ? cashflow.reduce((sum, y) => sum + y.afterTaxCost, 0) /
+            cashflow.length
+          : 0,
+      netGainAtSale,
+      netSaleAfterDebtAndTax,
+      initialCashOutlay,
+      holdingYears,
+    },
+    cashflow,
+  };
+}
@@ -0,0 +1,89 @@
+// lib/report/charts.js
+/**
+ * Browser-side helpers that turn what's on screen into images for the PDF
+ * report (see lib/report/pdf.js).
+ *
+ * Pages mark each chart to include with `data-report-chart="<title>"` on the
+ * element wrapping the Recharts container; charts are captured in page order.
+ */
+
+// Render at twice the on-screen size so lines stay sharp in print
+const SCALE = 2;
+
+function parseColour(css) {
+  const m = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(css || "");
+  return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : null;
+}
+
+function imageToPng(img, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * SCALE);
+  canvas.height = Math.round(height * SCALE);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return { dataUrl: canvas.toDataURL("image/png"), width, height };
+}
+
+function loadImageElement(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Couldn't load image ${url}`));
+    img.src = url;
+  });
+}
+
+/** Rasterises an on-screen <svg> to a PNG data URL. */
+export async function svgToPng(svg) {
+  const { width, height } = svg.getBoundingClientRect();
+  if (!width || !height) return null;
+
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  // Text inherits the page font on screen; pin it so the image matches
+  clone.style.fontFamily = window.getComputedStyle(svg).fontFamily;
+
+  const markup = new XMLSerializer().serializeToString(clone);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+  try {
+    return imageToPng(await loadImageElement(url), width, height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Recharts draws its legend as HTML beside the SVG, so read the entries separately
+function readLegend(node) {
+  return Array.from(node.querySelectorAll(".recharts-legend-item")).map((item) => {
+    const text = item.querySelector(".recharts-legend-item-text");
+    return {
+      name: (text || item).textContent.trim(),
+      color: parseColour(text && window.getComputedStyle(text).color),
+    };
+  });
+}
+
+/** Charts marked with data-report-chart, as [{ title, image, legend }]. */
+export async function captureCharts(root = document) {
+  const charts = [];
+  for (const node of root.querySelectorAll("[data-report-chart]")) {
+    // The chart itself, not the legend icons (which are also svgs)
+    const svg = node.querySelector(".recharts-wrapper > svg");
+    if (!svg) continue;
+    const image = await svgToPng(svg);
+    if (image) {
+      charts.push({ title: node.dataset.reportChart, image, legend: readLegend(node) });
+    }
+  }
+  return charts;
+}
+
+/** Loads an image from the site (e.g. the logo) as a PNG data URL. */
+export async function loadImage(src) {
+  const img = await loadImageElement(src);
+  return imageToPng(img, img.naturalWidth, img.naturalHeight);
+}
@@ -0,0 +1,252 @@
+// lib/report/pdf.js
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { DISCLAIMER_SUMMARY, DISCLAIMER_PARAGRAPHS, disclaimerText } from "@/lib/disclaimer";
+import { SITE_URL } from "@/lib/site";
+import { exportFilename } from "@/lib/export";
+
+/**
+ * Calculator reports as branded A4 PDFs, built entirely in the browser.
+ *
+ * A report is plain data, put together by each calculator page:
+ *   {
+ *     title,            e.g. "Mortgage Repayment Calculator"
+ *     url,              link that reopens the calculator with these inputs
+ *     date,             when it was prepared (defaults to now)
+ *     inputs:  [{ label, value }],
+ *     results: [{ label, value }],     the headline figures
+ *     rules:   [{ label, value }],     rates used and when they took effect (optional)
+ *     tables:  [{ title, head: [...], body: [[...]] }],
+ *     charts:  [{ title, image: { dataUrl, width, height }, legend: [{ name, color }] }],
+ *     notes:   [string],               extra assumptions (optional)
+ *   }
+ * Values are display strings; the page formats them as it does on screen.
+ */
+
+const MARGIN = 15; // mm
+const BRAND = [29, 78, 216]; // blue-700, as in the site header
+const INK = [15, 23, 42]; // slate-900
+const MUTED = [100, 116, 139]; // slate-500
+const RULE = [226, 232, 240]; // slate-200
+const FOOTER_TEXT = "General information only. See the disclaimer at the end of this report.";
+
+// The built-in PDF fonts only cover Windows-1252, so swap the few other
+// characters our formatters and copy use
+const REPLACEMENTS = [
+  [/\u2212/g, "-"], // minus sign
+  [/[\u00a0\u2009\u202f]/g, " "], // non-breaking and thin spaces
+  [/\u2264/g, "<="],
+  [/\u2265/g, ">="],
+  [/\u2192/g, "->"],
+];
+
+export function pdfText(value) {
+  let s = value == null ? "" : String(value);
+  for (const [pattern, replacement] of REPLACEMENTS) s = s.replace(pattern, replacement);
+  return s;
+}
+
+/** e.g. "fintoolbox-mortgage-repayment-calculator-2025-07-01.pdf" */
+export function reportFilename(title, date = new Date()) {
+  return exportFilename(title, "pdf", date);
+}
+
+/**
+ * Lays out `report` and returns the jsPDF document (call `.save(filename)`
+ * in the browser, or `.output("arraybuffer")`).
+ * `logo` is an optional { dataUrl, width, height } shown beside the brand name.
+ */
+export function renderReportPdf(report, { logo } = {}) {
+  const doc = new jsPDF({ unit: "mm", format: "a4", compress: true });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  const bottom = pageHeight - MARGIN - 6; // leave room for the footer
+  const date = report.date || new Date();
+  let y = MARGIN;
+
+  function ensureSpace(height) {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  }
+
+  function heading(text) {
+    ensureSpace(14);
+    y += 4;
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(...BRAND);
+    doc.text(pdfText(text), MARGIN, y);
+    y += 2;
+    doc.setDrawColor(...RULE);
+    doc.setLineWidth(0.3);
+    doc.line(MARGIN, y, pageWidth - MARGIN, y);
+    y += 3;
+  }
+
+  function paragraph(text, { size = 9, color = INK, gap = 2 } = {}) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    const lines = doc.splitTextToSize(pdfText(text), contentWidth);
+    const lineHeight = size * 0.42;
+    lines.forEach((line) => {
+      ensureSpace(lineHeight);
+      y += lineHeight;
+      doc.text(line, MARGIN, y);
+    });
+    y += gap;
+  }
+
+  function table(options) {
+    autoTable(doc, {
+      startY: y,
+      margin: { left: MARGIN, right: MARGIN, top: MARGIN, bottom: MARGIN + 6 },
+      styles: { font: "helvetica", fontSize: 8, textColor: INK, cellPadding: 1.5 },
+      ...options,
+    });
+    y = doc.lastAutoTable.finalY + 4;
+  }
+
+  function labelValueTable(rows) {
+    table({
+      theme: "plain",
+      body: rows.map(({ label, value }) => [pdfText(label), pdfText(value)]),
+      styles: { font: "helvetica", fontSize: 9, textColor: INK, cellPadding: 1.5 },
+      columnStyles: {
+        0: { textColor: MUTED, cellWidth: contentWidth * 0.6 },
+        1: { halign: "right", fontStyle: "bold" },
+      },
+      didParseCell: ({ row, cell }) => {
+        if (row.index % 2 === 0) cell.styles.fillColor = [248, 250, 252];
+      },
+    });
+  }
+
+  // ——— Brand header ———
+  let brandX = MARGIN;
+  if (logo) {
+    doc.addImage(logo.dataUrl, "PNG", MARGIN, y, 9, (9 * logo.height) / logo.width);
+    brandX += 11;
+  }
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.setTextColor(...INK);
+  doc.text("FinToolbox", brandX, y + 6.5);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(...MUTED);
+  doc.text(SITE_URL.replace(/^https?:\/\//, ""), pageWidth - MARGIN, y + 6.5, { align: "right" });
+  y += 11;
+  doc.setDrawColor(...BRAND);
+  doc.setLineWidth(0.8);
+  doc.line(MARGIN, y, pageWidth - MARGIN, y);
+  y += 9;
+
+  // ——— Title ———
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.setTextColor(...INK);
+  doc.text(pdfText(report.title), MARGIN, y);
+  y += 6;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(...MUTED);
+  doc.text(
+    `Prepared ${date.toLocaleDateString("en-AU", { day: "numeric", month: "long", year: "numeric" })}`,
+    MARGIN,
+    y
+  );
+  if (report.url) {
+    y += 4.5;
+    doc.setTextColor(...BRAND);
+    doc.textWithLink("Open this calculation online", MARGIN, y, { url: report.url });
+  }
+  y += 4;
+
+  // ——— Body ———
+  if (report.inputs?.length) {
+    heading("Your inputs");
+    labelValueTable(report.inputs);
+  }
+
+  if (report.results?.length) {
+    heading("Results");
+    labelValueTable(report.results);
+  }
+
+  if (report.rules?.length) {
+    heading("Rules and rates used");
+    labelValueTable(report.rules);
+  }
+
+  (report.tables || []).forEach(({ title, head, body }) => {
+    if (!body?.length) return;
+    heading(title);
+    table({
+      theme: "striped",
+      head: [head.map(pdfText)],
+      body: body.map((row) => row.map(pdfText)),
+      headStyles: { fillColor: BRAND, textColor: 255, fontStyle: "bold" },
+      // First column is the year/period; the rest are figures
+      columnStyles: Object.fromEntries(head.slice(1).map((_, i) => [i + 1, { halign: "right" }])),
+      didParseCell: ({ section, column, cell }) => {
+        if (section === "head" && column.index > 0) cell.styles.halign = "right";
+      },
+    });
+  });
+
+  (report.charts || []).forEach(({ title, image, legend }) => {
+    const height = (contentWidth * image.height) / image.width;
+    ensureSpace(height + 22);
+    heading(title);
+    doc.addImage(image.dataUrl, "PNG", MARGIN, y, contentWidth, height);
+    y += height + 2;
+
+    if (legend?.length) {
+      let x = MARGIN;
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      legend.forEach(({ name, color }) => {
+        const label = pdfText(name);
+        const width = doc.getTextWidth(label) + 8;
+        if (x + width > pageWidth - MARGIN) {
+          x = MARGIN;
+          y += 4.5;
+        }
+        doc.setFillColor(...(color || MUTED));
+        doc.rect(x, y + 0.8, 2.5, 2.5, "F");
+        doc.setTextColor(...INK);
+        doc.text(label, x + 3.5, y + 3);
+        x += width;
+      });
+      y += 8;
+    }
+  });
+
+  if (report.notes?.length) {
+    heading("Assumptions");
+    report.notes.forEach((note) => paragraph(`•  ${note}`));
+  }
+
+  // ——— Disclaimer (same wording as /disclaimer) ———
+  heading("Disclaimer");
+  [DISCLAIMER_SUMMARY, ...DISCLAIMER_PARAGRAPHS].forEach((segments) =>
+    paragraph(disclaimerText(segments), { size: 8, color: MUTED })
+  );
+
+  // ——— Footer on every page ———
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7.5);
+    doc.setTextColor(...MUTED);
+    doc.text(FOOTER_TEXT, MARGIN, pageHeight - MARGIN + 4);
+    doc.text(`Page ${i} of ${pages}`, pageWidth - MARGIN, pageHeight - MARGIN + 4, { align: "right" });
+  }
+
+  return doc;
+}
@@ -0,0 +1,173 @@
+// lib/scenarios.js
+import { parseField, defaultValue } from "./inputSchema";
+
+/**
+ * Named input sets ("scenarios") saved per calculator in localStorage.
+ *
+ * Each calculator gets its own key, holding
+ *   { version: 1, scenarios: [{ id, name, inputs, savedAt }] }
+ * Inputs are checked against the calculator's schema when read back, so a
+ * scenario saved before a field changed still loads: unknown fields are
+ * dropped and invalid ones fall back to their defaults.
+ *
+ * The list helpers are pure; the page holds the list in state (see
+ * hooks/useScenarios.js) and writes it back after each change.
+ */
+
+const STORAGE_PREFIX = "fintoolbox:scenarios:";
+const STORE_VERSION = 1;
+
+export const MAX_SCENARIOS = 20;
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+export const MAX_NAME_LENGTH = 60;
+
+export function storageKey(calculatorId) {
+  return `${STORAGE_PREFIX}${calculatorId}`;
+}
+
+// localStorage when available (not during SSR, or when blocked by privacy settings)
+function browserStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+// Schema-checked copy of saved inputs: every schema field, nothing else
+export function sanitiseInputs(values, schema) {
+  const inputs = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = values ? parseField(values[name], spec) : undefined;
+    inputs[name] = value !== undefined ? value : defaultValue(spec);
+  }
+  return inputs;
+}
+
+export function cleanName(name) {
+  return String(name ?? "").trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/** Saved scenarios for a calculator, oldest first ([] if none or unreadable). */
+export function readScenarios(calculatorId, schema, storage = browserStorage()) {
+  if (!storage) return [];
+  let stored;
+  try {
+    stored = JSON.parse(storage.getItem(storageKey(calculatorId)));
+  } catch {
+    return [];
+  }
+  if (!stored || stored.version !== STORE_VERSION || !Array.isArray(stored.scenarios)) {
+    return [];
+  }
+  return stored.scenarios
+    .filter((s) => s && typeof s.id === "string" && cleanName(s.name))
+    .map((s) => ({
+      id: s.id,
+      name: cleanName(s.name),
+      inputs: sanitiseInputs(s.inputs, schema),
+      savedAt: typeof s.savedAt === "string" ? s.savedAt : null,
+    }));
+}
+
+/** Returns false if storage is unavailable or full. */
+export function writeScenarios(calculatorId, scenarios, storage = browserStorage()) {
+  if (!storage) return false;
+  try {
+    const key = storageKey(calculatorId);
+    if (scenarios.length === 0) {
+      storage.removeItem(key);
+    } else {
+      storage.setItem(key, JSON.stringify({ version: STORE_VERSION, scenarios }));
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// "Scenario 3" etc. — the first number not already taken
+export function nextScenarioName(scenarios) {
+  const taken = new Set(scenarios.map((s) => s.name));
+  let n = scenarios.length + 1;
+  while (taken.has(`Scenario ${n}`)) n += 1;
+  return `Scenario ${n}`;
+}
+
+/**
+ * Adds a scenario, or replaces the inputs of one with the same name.
+ * Throws if the list is already at MAX_SCENARIOS.
+ */
+export function addScenario(scenarios, name, inputs, now = new Date()) {
+  const label = cleanName(name) || nextScenarioName(scenarios);
+  const savedAt = now.toISOString();
+  const existing = scenarios.find((s) => s.name === label);
+  if (existing) {
+    return scenarios.map((s) => (s.id === existing.id ? { ...s, inputs: { ...inputs }, savedAt } : s));
+  }
+  if (scenarios.length >= MAX_SCENARIOS) {
+    throw new Error(`You can save up to ${MAX_SCENARIOS} scenarios. Delete one to save another.`);
+  }
+  return [...scenarios, { id: newId(), name: label, inputs: { ...inputs }, savedAt }];
+}
+
+/** Throws if the new name is blank or used by another scenario. */
+export function renameScenario(scenarios, id, name) {
+  const label = cleanName(name);
+  if (!label) throw new Error("Scenario name can't be blank.");
+  if (scenarios.some((s) => s.id !== id && s.name === label)) {
+    throw new Error(`There's already a scenario called "${label}".`);
+  }
+  return scenarios.map((s) => (s.id === id ? { ...s, name: label } : s));
+}
+
+export function removeScenario(scenarios, id) {
+  return scenarios.filter((s) => s.id !== id);
+}
+
+/**
+ * Rows for a side-by-side comparison. `metrics` are
+ * { label, value(result), better: "higher" | "lower" }; each cell carries the
+ * value and its difference from the first scenario (null for the first one).
+ */
+export function compareScenarios(results, metrics) {
+  return metrics.map((metric) => {
+    const values = results.map((result) => {
+      const v = metric.value(result);
+      return typeof v === "number" && Number.isFinite(v) ? v : null;
+    });
+    const base = values[0];
+    return {
+      label: metric.label,
+      cells: values.map((value, i) => {
+        const diff = i === 0 || value == null || base == null ? null : value - base;
+        let tone = "neutral";
+        if (diff && metric.better) {
+          tone = (diff > 0) === (metric.better === "higher") ? "good" : "bad";
+        }
+        return { value, diff, tone };
+      }),
+    };
+  });
+}
+
+/**
+ * Merges each scenario's chart points ([{ x, y }]) into one row per x, keyed
+ * by scenario id, for overlaying the lines on a single chart.
+ */
+export function overlaySeries(seriesList) {
+  const byX = new Map();
+  seriesList.forEach(({ id, points }) => {
+    points.forEach(({ x, y }) => {
+      const row = byX.get(x) || { x };
+      row[id] = y;
+      byX.set(x, row);
+    });
+  });
+  return Array.from(byX.values()).sort((a, b) => a.x - b.x);
+}
@@ -0,0 +1,418 @@
+// lib/super/accountBasedPension.js
+import {
+  createRandom,
+  normal,
+  percentile,
+  PERCENTILES,
+  DEFAULT_SEED,
+  MAX_SIMULATIONS,
+} from "@/lib/investing/monteCarlo";
+import { survivalCurve } from "@/lib/super/lifeTables";
+import { transferBalanceAccount, TRANSFER_BALANCE_YEARS } from "@/lib/super/rules";
+import { DEFAULT_FY } from "@/lib/tax";
+import { getCentrelinkRules } from "@/lib/centrelink";
+import {
+  AGE_PENSION_AGE,
+  calculateAgePension,
+  indexAgePensionRules,
+} from "@/lib/centrelink/agePension";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Account-Based Pension (ABP) projection (requested income CPI-indexed if enabled)
+ * If requested income < minimum in any year, the minimum is paid instead.
+ * Assumptions:
+ * - Minimum drawdown is on the opening balance each financial year.
+ * - Earnings & fees via average-balance approximation:
+ * earnings ≈ (opening − 0.5 × withdrawals) × return%
+ * fees ≈ opening × fee%
+ * - Payments are modeled as evenly spread through the year.
+ * - Age Pension (optional): from age 67 the 1 July balance is deemed and
+ *   asset-tested alongside other assets; rates and thresholds grow with CPI.
+ * - Transfer balance cap: the opening balance is credited to the transfer
+ *   balance account when the pension starts (pensionTransferBalance).
+ * ──────────────────────────────────────────────────────────────────── */
+
+// Legislated minimum drawdown rates (as at 1 July 2025)
+export const DRAW_RATES = [
+  { label: "Under 65", range: "<65", rate: 0.04 },
+  { label: "65–74", range: "65–74", rate: 0.05 },
+  { label: "75–79", range: "75–79", rate: 0.06 },
+  { label: "80–84", range: "80–84", rate: 0.07 },
+  { label: "85–89", range: "85–89", rate: 0.09 },
+  { label: "90–94", range: "90–94", rate: 0.11 },
+  { label: "95+", range: "95+", rate: 0.14 },
+];
+
+// ABP page inputs (percentages as entered) and their defaults
+export const ACCOUNT_BASED_PENSION_INPUTS = {
+  openingBalance: { key: "b", type: "number", min: 0, default: 500000 },
+  age: { key: "a", type: "number", min: 0, max: 120, integer: true, default: 67 },
+  returnPct: { key: "r", type: "number", min: -100, max: 100, default: 6.0 }, // p.a. gross investment return
+  feePct: { key: "fee", type: "number", min: 0, max: 100, default: 0.7 },
+  years: { key: "y", type: "number", min: 0, max: 60, integer: true, default: 25 },
+  requestedAnnual: { key: "req", type: "number", min: 0, default: 35000 },
+  indexByInflation: { key: "ix", type: "boolean", default: true },
+  inflationPct: { key: "cpi", type: "number", min: -100, max: 100, default: 2.5 },
+  // Stochastic mode (simulateAccountBasedPension); returnPct is the mean
+  mode: { key: "m", type: "enum", values: ["fixed", "monteCarlo"], default: "fixed" },
+  volatilityPct: { key: "vol", type: "number", min: 0, max: 100, default: 10 }, // % p.a.
+  simulations: { key: "n", type: "number", min: 100, max: 10000, integer: true, default: 2000 },
+  mortality: { key: "mort", type: "boolean", default: false },
+  sex: { key: "sex", type: "enum", values: ["male", "female"], default: "male" },
+  // Age Pension alongside the pension (lib/centrelink/agePension.js)
+  agePension: { key: "ap", type: "boolean", default: false },
+  status: { key: "s", type: "enum", values: ["single", "couple"], default: "single" },
+  homeowner: { key: "h", type: "boolean", default: true },
+  otherAssets: { key: "oa", type: "number", min: 0, default: 30000 }, // car, contents etc. (not deemed)
+  otherFinancialAssets: { key: "of", type: "number", min: 0, default: 0 }, // bank, shares etc. (deemed)
+  // Pensions already started: first year, total credited and commuted since
+  priorPension: { key: "tb", type: "boolean", default: false },
+  priorPensionFy: { key: "tbs", type: "enum", values: TRANSFER_BALANCE_YEARS, default: "2023-24" },
+  priorPensionCredits: { key: "tbc", type: "number", min: 0, default: 0 },
+  priorPensionDebits: { key: "tbd", type: "number", min: 0, default: 0 },
+};
+
+/**
+ * Transfer balance account once this pension starts in `fy`: any earlier
+ * pensions (credited in `priorPensionFy`, less commutations) plus the
+ * opening balance. Returns transferBalanceAccount's result, with
+ * `before` (the account just before this pension) and `excess` over the
+ * personal cap.
+ */
+export function pensionTransferBalance(
+  { openingBalance, priorPension = false, priorPensionFy, priorPensionCredits = 0, priorPensionDebits = 0 },
+  fy = DEFAULT_FY
+) {
+  const prior = priorPension
+    ? [
+        { fy: priorPensionFy, type: "credit", amount: priorPensionCredits },
+        { fy: priorPensionFy, type: "debit", amount: Math.min(priorPensionDebits, priorPensionCredits) },
+      ]
+    : [];
+  const before = transferBalanceAccount(prior, fy);
+  const after = transferBalanceAccount([...prior, { fy, type: "credit", amount: openingBalance }], fy);
+  return { ...after, before };
+}
+
+export function minDrawdownRate(age) {
+  if (age < 65) return 0.04;
+  if (age <= 74) return 0.05;
+  if (age <= 79) return 0.06;
+  if (age <= 84) return 0.07;
+  if (age <= 89) return 0.09;
+  if (age <= 94) return 0.11;
+  // Age 95 and above
+  return 0.14;
+}
+
+/**
+ * One financial year of the pension: the larger of the minimum and the
+ * requested amount is paid (or whatever is left), then earnings at rate `r`
+ * on the average balance and fees on the opening balance.
+ */
+function pensionYear(opening, age, requested, r, f) {
+  const minRate = minDrawdownRate(age);
+  const minDrawdown = opening * minRate;
+  const payment = Math.max(minDrawdown, requested);
+
+  // ✅ Depletion check (pragmatic simplification):
+  // If the required payment exceeds the balance, pay only the remainder,
+  // with no full-year earnings/fees.
+  if (payment >= opening) {
+    return { minRate, minDrawdown, payment: opening, earnings: 0, fees: 0, closing: 0 };
+  }
+  const earnings = (opening - 0.5 * payment) * r;
+  const fees = opening * f;
+  const closing = Math.max(0, opening + earnings - fees - payment);
+  return { minRate, minDrawdown, payment, earnings, fees, closing };
+}
+
+/**
+ * Year-by-year ABP projection. Inputs mirror the page fields (percentages as
+ * entered); display rows are rounded, totals are rounded at the end.
+ *
+ * With `agePension`, each row also carries that year's Age Pension (household
+ * total for couples) and total income. The pension doesn't change drawdowns;
+ * other assets are held at their current dollar value.
+ */
+export function projectAccountBasedPension({
+  openingBalance,
+  age,
+  returnPct,
+  feePct,
+  years,
+  requestedAnnual,
+  indexByInflation,
+  inflationPct,
+  agePension = false,
+  status = "single",
+  homeowner = true,
+  otherAssets = 0,
+  otherFinancialAssets = 0,
+  rulesDate, // Centrelink rules the projection starts from (defaults to today)
+}) {
+  // --- Data Sanitisation & Conversion ---
+  const startBal = Math.max(0, Number(openingBalance) || 0);
+  const startAge = Math.max(0, Math.floor(Number(age) || 0));
+  const r = (Number(returnPct) || 0) / 100; // annual return rate
+  const f = (Number(feePct) || 0) / 100; // annual fee rate
+  const horizon = Math.max(0, Math.floor(Number(years) || 0));
+  const req0 = Math.max(0, Number(requestedAnnual) || 0); // requested initial payment
+  const cpi = (Number(inflationPct) || 0) / 100; // inflation rate
+
+  // --- Age Pension for the year, on the 1 July balance ---
+  const apRules = agePension ? getCentrelinkRules(rulesDate) : null;
+  const agePensionFor = (balance, currentAge, y) => {
+    if (!apRules || currentAge < AGE_PENSION_AGE) return { annual: 0, rate: null };
+    const ap = calculateAgePension(
+      {
+        status,
+        homeowner,
+        nonDeemedAssets: otherAssets,
+        financialAssets: balance + Math.max(0, Number(otherFinancialAssets) || 0),
+      },
+      indexAgePensionRules(apRules, Math.pow(1 + cpi, y))
+    );
+    const rate = ap.pensionFt <= 0 ? "nil" : ap.pensionFt >= ap.maxRateFt - 0.005 ? "full" : "part";
+    return { annual: ap.annualCombined, rate };
+  };
+
+  // --- Simulation Variables ---
+  let currentBalance = startBal;
+  const rows = [];
+  const chartIncome = [];
+  const chartBalance = [];
+
+  let totalIncome = 0;
+  let totalEarnings = 0;
+  let totalFees = 0;
+  let totalAgePension = 0;
+
+  // --- Simulation Loop ---
+  for (let y = 0; y < horizon; y++) {
+    const currentAge = startAge + y;
+    const opening = currentBalance;
+
+    const ap = agePensionFor(Math.max(0, opening), currentAge, y);
+    totalAgePension += ap.annual;
+
+    if (opening <= 0) {
+      // If balance is depleted, record zeros for the rest of the projection
+      rows.push({
+        year: y + 1,
+        age: currentAge,
+        minRate: minDrawdownRate(currentAge),
+        opening: 0,
+        minDrawdown: 0,
+        requestedIndexed: indexByInflation
+          ? Math.round(req0 * Math.pow(1 + cpi, y))
+          : Math.round(req0),
+        payment: 0,
+        earnings: 0,
+        fees: 0,
+        closing: 0,
+        agePension: Math.round(ap.annual),
+        agePensionRate: ap.rate,
+        totalIncome: Math.round(ap.annual),
+      });
+
+      chartIncome.push({ age: currentAge, Income: 0, AgePension: Math.round(ap.annual) });
+      chartBalance.push({ age: currentAge, Balance: 0 });
+      continue;
+    }
+
+    // Requested amount, indexed if CPI is enabled
+    const requestedIndexed = indexByInflation
+      ? req0 * Math.pow(1 + cpi, y)
+      : req0;
+
+    // Payment is the MAX of the minimum or the requested amount;
+    // earnings never go negative in the fixed-return projection
+    const { minRate, minDrawdown, payment, earnings, fees, closing } =
+      pensionYear(opening, currentAge, requestedIndexed, Math.max(0, r), f);
+
+    totalIncome += payment;
+    totalEarnings += earnings;
+    totalFees += fees;
+
+    // --- Record Row Data ---
+    rows.push({
+      year: y + 1,
+      age: currentAge,
+      minRate,
+      opening: Math.round(opening),
+      minDrawdown: Math.round(minDrawdown),
+      requestedIndexed: Math.round(requestedIndexed),
+      payment: Math.round(payment),
+      earnings: Math.round(earnings),
+      fees: Math.round(fees),
+      closing: Math.round(closing),
+      agePension: Math.round(ap.annual),
+      agePensionRate: ap.rate,
+      totalIncome: Math.round(payment + ap.annual),
+    });
+
+    // --- Record Chart Data ---
+    chartIncome.push({ age: currentAge, Income: Math.round(payment), AgePension: Math.round(ap.annual) });
+    chartBalance.push({ age: currentAge, Balance: Math.round(closing) });
+
+    currentBalance = closing;
+  }
+
+  // --- Summary Calculations ---
+  const firstRate = minDrawdownRate(startAge);
+  const firstMin = startBal * firstRate;
+  const firstRequested = req0;
+  const firstPaid = Math.min(startBal, Math.max(firstMin, firstRequested));
+
+  // Find first year where the closing balance hits zero
+  let depletionAge = null;
+  for (const r of rows) {
+    if (r.closing === 0) {
+      depletionAge = r.age; // age in the year the balance first hits $0
+      break;
+    }
+  }
+
+  return {
+    rows,
+    chartIncome,
+    chartBalance,
+    totals: {
+      totalIncome: Math.round(totalIncome),
+      totalEarnings: Math.round(totalEarnings),
+      totalFees: Math.round(totalFees),
+      endingBalance: Math.round(currentBalance),
+      totalAgePension: Math.round(totalAgePension),
+      totalRetirementIncome: Math.round(totalIncome + totalAgePension),
+    },
+    // First age with any pension, and with the full rate, as the balance falls
+    agePension: {
+      startAge: rows.find((r) => r.agePension > 0)?.age ?? null,
+      fullRateAge: rows.find((r) => r.agePensionRate === "full")?.age ?? null,
+    },
+    firstYear: {
+      minRate: firstRate,
+      minAmount: Math.round(firstMin),
+      requested: Math.round(firstRequested),
+      paid: Math.round(firstPaid),
+    },
+    depletionAge,
+  };
+}
+
+/**
+ * Stochastic ABP: the same yearly steps as projectAccountBasedPension, but
+ * each year's return is drawn at random (lognormal, with mean `returnPct` and
+ * standard deviation `volatilityPct`), so bad years early on bite harder than
+ * the same years late in retirement. Losses are allowed here.
+ *
+ * With `mortality`, each path is weighted by the chance of still being alive
+ * (lib/super/lifeTables.js) instead of sampling a death age, which gives the
+ * same expectations with far less noise.
+ *
+ * Returns
+ *   bands:     [{ age, p10, p50, p90 }]  closing balance by age
+ *   byAge:     [{ age, lasts, alive }]   share of paths with money left at the
+ *              end of the year at `age`, and the chance of being alive after it
+ *   depletion: [{ age, share, shareAlive }] share of paths that run out in the
+ *              year at `age`, and the share that also live past it
+ *   summary:   { lastsHorizon, outliveMoney, medianDepletionAge, simulations }
+ * `alive`, `shareAlive` and `outliveMoney` are null without mortality.
+ */
+export function simulateAccountBasedPension({
+  openingBalance,
+  age,
+  returnPct,
+  volatilityPct,
+  feePct,
+  years,
+  requestedAnnual,
+  indexByInflation,
+  inflationPct,
+  simulations = 2000,
+  mortality = false,
+  sex = "male",
+  seed = DEFAULT_SEED,
+}) {
+  const startBal = Math.max(0, Number(openingBalance) || 0);
+  const startAge = Math.max(0, Math.floor(Number(age) || 0));
+  const horizon = Math.max(0, Math.floor(Number(years) || 0));
+  const nSims = Math.min(MAX_SIMULATIONS, Math.max(1, Math.floor(Number(simulations) || 0)));
+  const f = (Number(feePct) || 0) / 100;
+  const req0 = Math.max(0, Number(requestedAnnual) || 0);
+  const cpi = (Number(inflationPct) || 0) / 100;
+
+  // Lognormal growth factor with E = 1 + mean and SD = volatility
+  const mean = Math.max(-0.99, (Number(returnPct) || 0) / 100);
+  const vol = Math.max(0, (Number(volatilityPct) || 0) / 100);
+  const s2 = Math.log(1 + (vol * vol) / ((1 + mean) * (1 + mean)));
+  const mu = Math.log(1 + mean) - s2 / 2;
+  const sigma = Math.sqrt(s2);
+  const random = createRandom(seed);
+
+  // survival[k] = chance of reaching age startAge + k
+  const survival = mortality ? survivalCurve(startAge, sex, horizon + 1) : null;
+
+  const closingByYear = new Float64Array(horizon * nSims);
+  const depletedAt = new Int32Array(nSims).fill(-1); // year index, -1 = never
+
+  for (let s = 0; s < nSims; s++) {
+    let bal = startBal;
+    for (let y = 0; y < horizon; y++) {
+      if (bal > 0) {
+        const requested = indexByInflation ? req0 * Math.pow(1 + cpi, y) : req0;
+        const r = Math.exp(mu + sigma * normal(random)) - 1;
+        bal = pensionYear(bal, startAge + y, requested, r, f).closing;
+        if (bal <= 0 && depletedAt[s] < 0) depletedAt[s] = y;
+      }
+      closingByYear[y * nSims + s] = bal;
+    }
+  }
+
+  const bands = [];
+  const byAge = [];
+  for (let y = 0; y < horizon; y++) {
+    const column = closingByYear.slice(y * nSims, (y + 1) * nSims).sort();
+    const band = { age: startAge + y };
+    PERCENTILES.forEach((p) => {
+      band[`p${p}`] = Math.round(percentile(column, p));
+    });
+    bands.push(band);
+
+    let withMoney = 0;
+    for (let s = 0; s < nSims; s++) if (column[s] > 0) withMoney++;
+    byAge.push({
+      age: startAge + y,
+      lasts: withMoney / nSims,
+      alive: survival ? survival[y + 1] : null,
+    });
+  }
+
+  // Living past the year the money runs out means outliving it
+  const counts = new Array(horizon).fill(0);
+  depletedAt.forEach((y) => {
+    if (y >= 0) counts[y]++;
+  });
+  const depletion = counts.map((count, y) => ({
+    age: startAge + y,
+    share: count / nSims,
+    shareAlive: survival ? (count / nSims) * survival[y + 1] : null,
+  }));
+
+  const never = depletedAt.reduce((n, y) => n + (y < 0 ? 1 : 0), 0);
+  const ages = Array.from(depletedAt, (y) => (y < 0 ? Infinity : startAge + y)).sort((a, b) => a - b);
+  const medianAge = ages[Math.floor((nSims - 1) / 2)];
+
+  return {
+    bands,
+    byAge,
+    depletion,
+    summary: {
+      lastsHorizon: never / nSims,
+      outliveMoney: survival ? depletion.reduce((p, d) => p + d.shareAlive, 0) : null,
+      medianDepletionAge: Number.isFinite(medianAge) ? medianAge : null,
+      simulations: nSims,
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// lib/super/contributions.js
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Contributions caps: concessional carry-forward and non-concessional bring-forward
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Concessional contributions (employer SG, salary sacrifice and personal
+ * contributions claimed as a deduction) count towards a general cap for the
+ * financial year.
+ *
+ * Carry-forward: cap left unused in 2018–19 or later can be used in any of
+ * the next five years, oldest first, by anyone whose total super balance was
+ * under $500,000 at the previous 30 June. Unused amounts older than five
+ * years lapse.
+ *
+ * The ledger covers the five years before the one being planned; each entry
+ * is { fy, sg, salarySacrifice, personalDeductible } in dollars.
+ *
+ * Non-concessional (after-tax) contributions have a cap of four times the
+ * concessional cap, and none can be made once the total super balance at
+ * the previous 30 June reaches the general transfer balance cap. Under-75s
+ * can bring forward two or three years' caps, depending on how far the
+ * balance is below the transfer balance cap.
+ */
+
+// General concessional cap by financial year (indexed to AWOTE in $2,500 steps)
+export const CONCESSIONAL_CAPS = {
+  "2018-19": 25000,
+  "2019-20": 25000,
+  "2020-21": 25000,
+  "2021-22": 27500,
+  "2022-23": 27500,
+  "2023-24": 27500,
+  "2024-25": 30000,
+  "2025-26": 30000,
+  "2026-27": 32500,
+};
+
+// General transfer balance cap by financial year (indexed to CPI in $100,000 steps)
+export const GENERAL_TRANSFER_BALANCE_CAPS = {
+  "2017-18": 1600000,
+  "2018-19": 1600000,
+  "2019-20": 1600000,
+  "2020-21": 1600000,
+  "2021-22": 1700000,
+  "2022-23": 1700000,
+  "2023-24": 1900000,
+  "2024-25": 1900000,
+  "2025-26": 2000000,
+  "2026-27": 2000000,
+};
+
+export const CARRY_FORWARD_FIRST_FY = "2018-19"; // Unused cap accrues from this year
+export const CARRY_FORWARD_YEARS = 5;
+export const CARRY_FORWARD_BALANCE_LIMIT = 500000; // Total super balance at the previous 30 June
+export const NON_CONCESSIONAL_CAP_MULTIPLE = 4; // Times the concessional cap
+export const BRING_FORWARD_AGE_LIMIT = 75; // Must be under this on 1 July of the first year
+
+const fyStart = (fy) => parseInt(fy, 10);
+const fyFromStart = (start) => `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+
+// Value for `fy` from a table keyed by financial year; later years keep the latest known value
+function byFinancialYear(table, fy, what) {
+  if (table[fy] != null) return table[fy];
+  const known = Object.keys(table).filter((y) => fyStart(y) <= fyStart(fy));
+  if (known.length === 0) throw new Error(`No ${what} for ${fy}`);
+  return table[known[known.length - 1]];
+}
+
+/** General concessional cap for `fy` ("2025-26"); later years keep the latest known cap. */
+export function concessionalCap(fy) {
+  return byFinancialYear(CONCESSIONAL_CAPS, fy, "concessional cap");
+}
+
+/** Annual non-concessional cap for `fy`. */
+export function nonConcessionalCap(fy) {
+  return NON_CONCESSIONAL_CAP_MULTIPLE * concessionalCap(fy);
+}
+
+/** General transfer balance cap for `fy`. */
+export function generalTransferBalanceCap(fy) {
+  return byFinancialYear(GENERAL_TRANSFER_BALANCE_CAPS, fy, "transfer balance cap");
+}
+
+/** The `count` financial years before `fy`, most recent first. */
+export function priorFinancialYears(fy, count = CARRY_FORWARD_YEARS) {
+  return Array.from({ length: count }, (_, i) => fyFromStart(fyStart(fy) - 1 - i));
+}
+
+/** The financial year `offset` years after `fy` (negative for earlier years). */
+export function shiftFinancialYear(fy, offset) {
+  return fyFromStart(fyStart(fy) + offset);
+}
+
+/**
+ * Years of non-concessional cap available in `fy` (3, 2, 1 or 0) for a total
+ * super balance at the previous 30 June, with the balance limits that apply:
+ * [{ years, below }], each `years` available while the balance is below `below`.
+ */
+export function bringForwardYears({ fy, totalSuperBalance = 0 }) {
+  const cap = nonConcessionalCap(fy);
+  const tbc = generalTransferBalanceCap(fy);
+  const limits = [3, 2, 1].map((years) => ({ years, below: tbc - (years - 1) * cap }));
+  const balance = Math.max(0, Number(totalSuperBalance) || 0);
+  const match = limits.find((l) => balance < l.below);
+  return { years: match ? match.years : 0, limits };
+}
+
+// Ledger year i (1 = the year before the one being planned): SG, salary
+// sacrifice and personal deductible contributions
+const LEDGER_KEYS = { sg: "sg", salarySacrifice: "ss", personalDeductible: "pd" };
+export const ledgerField = (name, i) => `ledger${name[0].toUpperCase()}${name.slice(1)}${i}`;
+
+export const CONTRIBUTIONS_LEDGER_INPUTS = Object.fromEntries(
+  Array.from({ length: CARRY_FORWARD_YEARS }, (_, i) =>
+    Object.entries(LEDGER_KEYS).map(([name, key]) => [
+      ledgerField(name, i + 1),
+      { key: `l${i + 1}${key}`, type: "number", min: 0, default: 0 },
+    ])
+  ).flat()
+);
+
+/** The ledger entries held in calculator inputs, most recent year first. */
+export function ledgerFromInputs(inputs, fy = inputs.fy) {
+  return priorFinancialYears(fy).map((year, i) => ({
+    fy: year,
+    ...Object.fromEntries(
+      Object.keys(LEDGER_KEYS).map((name) => [name, Number(inputs[ledgerField(name, i + 1)]) || 0])
+    ),
+  }));
+}
+
+const entryTotal = (entry) =>
+  Math.max(0, Number(entry?.sg) || 0) +
+  Math.max(0, Number(entry?.salarySacrifice) || 0) +
+  Math.max(0, Number(entry?.personalDeductible) || 0);
+
+/**
+ * Concessional cap available in `fy`: the general cap plus unused cap carried
+ * forward from the five years in `ledger` (years missing from the ledger
+ * count as nothing contributed). Each year's contributions over its own cap
+ * use up the oldest earlier unused amounts first. Only the balance test for
+ * `fy` is applied; past years are assumed to have been eligible.
+ *
+ * Returns { fy, generalCap, eligible, carryForward, available, years }, where
+ * years (oldest first) are { fy, cap, contributions, unused, remaining }
+ * and `remaining` is what is still unused going into `fy`.
+ */
+export function availableConcessionalCap({ fy, ledger = [], totalSuperBalance = 0 }) {
+  const byYear = new Map(ledger.map((entry) => [entry.fy, entry]));
+  const years = priorFinancialYears(fy)
+    .reverse()
+    .map((year) => {
+      const accrues = fyStart(year) >= fyStart(CARRY_FORWARD_FIRST_FY);
+      const cap = accrues ? concessionalCap(year) : 0;
+      const contributions = entryTotal(byYear.get(year));
+      const unused = Math.max(0, cap - contributions);
+      return { fy: year, cap, contributions, unused, remaining: unused, excess: Math.max(0, contributions - cap) };
+    });
+
+  // Earlier unused amounts absorb later excess contributions, oldest first
+  years.forEach((year, i) => {
+    let excess = year.excess;
+    for (let j = 0; j < i && excess > 0; j++) {
+      const used = Math.min(years[j].remaining, excess);
+      years[j].remaining -= used;
+      excess -= used;
+    }
+  });
+
+  const generalCap = concessionalCap(fy);
+  const eligible = Math.max(0, Number(totalSuperBalance) || 0) < CARRY_FORWARD_BALANCE_LIMIT;
+  const unusedTotal = years.reduce((sum, y) => sum + y.remaining, 0);
+  const carryForward = eligible ? unusedTotal : 0;
+
+  return {
+    fy,
+    generalCap,
+    eligible,
+    carryForward,
+    available: generalCap + carryForward,
+    years: years.map(({ excess, ...year }) => year),
+  };
+}
@@ -0,0 +1,97 @@
+// lib/super/lifeTables.js
+/**
+ * Mortality from the Australian Life Tables 2020–22 (ABS / Australian
+ * Government Actuary), abridged to every fifth age from 50. qx is the
+ * probability that someone aged exactly x dies before turning x + 1;
+ * ages in between are interpolated log-linearly, and everyone is assumed
+ * to have died by 110.
+ *
+ * Abridged rates reproduce the published life expectancy at 65 (about 20
+ * years for men and 22.7 for women) to within a few weeks, which is ample
+ * for "how likely am I to still be alive" questions. They are period rates,
+ * so they make no allowance for future improvements in mortality.
+ */
+
+export const LIFE_TABLE_NAME = "Australian Life Tables 2020–22";
+
+export const SEXES = ["male", "female"];
+
+// [age, qx]
+export const LIFE_TABLE_QX = {
+  male: [
+    [50, 0.0028],
+    [55, 0.0041],
+    [60, 0.0062],
+    [65, 0.0097],
+    [70, 0.0155],
+    [75, 0.0262],
+    [80, 0.046],
+    [85, 0.083],
+    [90, 0.148],
+    [95, 0.245],
+    [100, 0.355],
+    [105, 0.47],
+    [110, 1],
+  ],
+  female: [
+    [50, 0.0018],
+    [55, 0.0026],
+    [60, 0.0039],
+    [65, 0.0061],
+    [70, 0.0098],
+    [75, 0.0168],
+    [80, 0.0305],
+    [85, 0.059],
+    [90, 0.113],
+    [95, 0.2],
+    [100, 0.31],
+    [105, 0.44],
+    [110, 1],
+  ],
+};
+
+/** Probability of dying within the year at `age` (whole years). */
+export function mortalityRate(age, sex = "male") {
+  const table = LIFE_TABLE_QX[sex];
+  if (!table) throw new Error(`Unknown sex: ${sex}`);
+  const a = Math.max(0, Number(age) || 0);
+  if (a <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [a1, q1] = table[i];
+    if (a === a1) return q1;
+    if (a < a1) {
+      const [a0, q0] = table[i - 1];
+      return Math.exp(Math.log(q0) + ((Math.log(q1) - Math.log(q0)) * (a - a0)) / (a1 - a0));
+    }
+  }
+  return 1;
+}
+
+/**
+ * Probability that someone aged `fromAge` today is still alive at each of
+ * the next `years` birthdays: element k is the chance of reaching fromAge + k
+ * (so element 0 is 1).
+ */
+export function survivalCurve(fromAge, sex = "male", years = 50) {
+  const start = Math.max(0, Math.floor(Number(fromAge) || 0));
+  const curve = [1];
+  let alive = 1;
+  for (let k = 0; k < years; k++) {
+    alive *= 1 - mortalityRate(start + k, sex);
+    curve.push(alive);
+  }
+  return curve;
+}
+
+/** Complete life expectancy (years) at `age`, assuming deaths mid-year. */
+export function lifeExpectancy(age, sex = "male") {
+  const start = Math.max(0, Math.floor(Number(age) || 0));
+  let alive = 1;
+  let years = 0;
+  for (let a = start; a < 110 && alive > 0; a++) {
+    const deaths = alive * mortalityRate(a, sex);
+    years += alive - deaths / 2;
+    alive -= deaths;
+  }
+  return years;
+}
@@ -0,0 +1,148 @@
+// lib/super/nonConcessional.js
+import { computeIncomeTax, FINANCIAL_YEARS, DEFAULT_FY } from "@/lib/tax";
+import {
+  bringForwardYears,
+  generalTransferBalanceCap,
+  nonConcessionalCap,
+  shiftFinancialYear,
+  BRING_FORWARD_AGE_LIMIT,
+} from "@/lib/super/contributions";
+
+/**
+ * Non-concessional (after-tax) contributions for one financial year: the cap
+ * that applies, whether this year's contributions start a bring-forward
+ * period (or how much is left of one already open), and what happens to
+ * anything over the cap.
+ *
+ * Excess contributions can be released (the excess plus 85% of its
+ * associated earnings, with the earnings taxed at marginal rates less a 15%
+ * offset) or left in super and taxed at the top rate plus Medicare.
+ */
+
+export const EXCESS_NCC_TAX_RATE = 0.47; // Tax on excess left in super
+export const ASSOCIATED_EARNINGS_RATE = 0.11; // About the general interest charge rate, p.a.
+export const RELEASED_EARNINGS_SHARE = 0.85; // Share of associated earnings paid out on release
+export const ASSOCIATED_EARNINGS_OFFSET = 0.15; // Non-refundable offset on the earnings
+
+// Inputs for the non-concessional contributions page and share links
+export const NON_CONCESSIONAL_INPUTS = {
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+  age: { key: "a", type: "number", min: 0, max: 120, integer: true, default: 60 },
+  totalSuperBalance: { key: "tsb", type: "number", min: 0, default: 300000 }, // at 30 June last year
+  plannedContribution: { key: "c", type: "number", min: 0, default: 100000 },
+  excessConcessional: { key: "ecc", type: "number", min: 0, default: 0 }, // not released, so counted here
+  taxableIncome: { key: "ti", type: "number", min: 0, default: 120000 },
+  // A bring-forward period started in an earlier year: how many years ago
+  // (0 = none), its length and what has gone in since it started
+  priorPeriodStartedYearsAgo: { key: "ps", type: "number", min: 0, max: 2, integer: true, default: 0 },
+  priorPeriodYears: { key: "py", type: "number", min: 2, max: 3, integer: true, default: 3 },
+  priorPeriodContributed: { key: "pc", type: "number", min: 0, default: 0 },
+};
+
+/**
+ * Non-concessional cap and excess for the year. Returns
+ *  { annualCap, transferBalanceCap, ageEligible, balanceEligible,
+ *    bringForward: { years, limits }, openPeriod, triggersBringForward,
+ *    newPeriod, capThisYear, contributions, remainingThisYear, excess,
+ *    consequences }
+ * openPeriod ({ startFy, endFy, years, cap, contributedBefore, remainingBefore,
+ * remainingAfter }) is a bring-forward period started in an earlier year and
+ * still running; newPeriod has the same shape for one this year's
+ * contributions start. consequences is null without an excess.
+ */
+export function calculateNonConcessional({
+  fy = DEFAULT_FY,
+  age,
+  totalSuperBalance,
+  plannedContribution,
+  excessConcessional = 0,
+  taxableIncome = 0,
+  priorPeriodStartedYearsAgo = 0,
+  priorPeriodYears = 3,
+  priorPeriodContributed = 0,
+}) {
+  const annualCap = nonConcessionalCap(fy);
+  const transferBalanceCap = generalTransferBalanceCap(fy);
+  const balance = Math.max(0, totalSuperBalance || 0);
+  const ageEligible = (age || 0) < BRING_FORWARD_AGE_LIMIT;
+  const balanceEligible = balance < transferBalanceCap;
+  const bringForward = bringForwardYears({ fy, totalSuperBalance: balance });
+
+  const contributions = Math.max(0, plannedContribution || 0) + Math.max(0, excessConcessional || 0);
+
+  // A period started in an earlier year keeps its own (unindexed) cap
+  const yearsAgo = Math.max(0, Math.floor(priorPeriodStartedYearsAgo || 0));
+  const periodYears = Math.min(3, Math.max(2, Math.floor(priorPeriodYears || 3)));
+  let openPeriod = null;
+  if (yearsAgo > 0 && yearsAgo < periodYears) {
+    const startFy = shiftFinancialYear(fy, -yearsAgo);
+    const cap = nonConcessionalCap(startFy) * periodYears;
+    const contributedBefore = Math.max(0, priorPeriodContributed || 0);
+    const remainingBefore = Math.max(0, cap - contributedBefore);
+    openPeriod = {
+      startFy,
+      endFy: shiftFinancialYear(startFy, periodYears - 1),
+      years: periodYears,
+      cap,
+      contributedBefore,
+      remainingBefore,
+      remainingAfter: Math.max(0, remainingBefore - contributions),
+    };
+  }
+
+  // Nothing can go in at or over the transfer balance cap, or from age 75
+  let capThisYear;
+  if (!ageEligible || !balanceEligible) capThisYear = 0;
+  else if (openPeriod) capThisYear = openPeriod.remainingBefore;
+  else capThisYear = annualCap * bringForward.years;
+
+  // Going over the annual cap outside a period starts one, for as many years as the balance allows
+  const triggersBringForward =
+    !openPeriod && capThisYear > 0 && bringForward.years > 1 && contributions > annualCap;
+  const newPeriod = triggersBringForward
+    ? {
+        startFy: fy,
+        endFy: shiftFinancialYear(fy, bringForward.years - 1),
+        years: bringForward.years,
+        cap: capThisYear,
+        contributedBefore: 0,
+        remainingBefore: capThisYear,
+        remainingAfter: Math.max(0, capThisYear - contributions),
+      }
+    : null;
+
+  const excess = Math.max(0, contributions - capThisYear);
+  let consequences = null;
+  if (excess > 0) {
+    const associatedEarnings = excess * ASSOCIATED_EARNINGS_RATE;
+    const income = Math.max(0, taxableIncome || 0);
+    const taxWithEarnings = computeIncomeTax({ fy, taxableIncome: income + associatedEarnings });
+    const taxWithout = computeIncomeTax({ fy, taxableIncome: income });
+    const extraTax =
+      taxWithEarnings.taxAfterOffsets + taxWithEarnings.medicareLevy -
+      (taxWithout.taxAfterOffsets + taxWithout.medicareLevy);
+    const taxOnEarnings = Math.max(0, extraTax - associatedEarnings * ASSOCIATED_EARNINGS_OFFSET);
+    consequences = {
+      associatedEarnings,
+      released: excess + associatedEarnings * RELEASED_EARNINGS_SHARE,
+      taxOnEarnings,
+      retainedTax: excess * EXCESS_NCC_TAX_RATE,
+    };
+  }
+
+  return {
+    annualCap,
+    transferBalanceCap,
+    ageEligible,
+    balanceEligible,
+    bringForward,
+    openPeriod,
+    triggersBringForward,
+    newPeriod,
+    capThisYear,
+    contributions,
+    remainingThisYear: Math.max(0, capThisYear - contributions),
+    excess,
+    consequences,
+  };
+}
@@ -0,0 +1,143 @@
+// lib/super/rules.js
+import { DEFAULT_FY } from "@/lib/tax";
+import {
+  generalTransferBalanceCap,
+  shiftFinancialYear,
+  GENERAL_TRANSFER_BALANCE_CAPS,
+} from "@/lib/super/contributions";
+
+/** ─────────────────────────────────────────────────────────────────────
+ * Division 293 tax and the transfer balance cap
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Division 293: an extra 15% on low-tax contributions (concessional
+ * contributions within the cap) for anyone whose Division 293 income is over
+ * the threshold. Division 293 income is taxable income plus reportable
+ * fringe benefits, net investment losses and the low-tax contributions
+ * themselves; the tax applies to the lesser of the contributions and the
+ * amount over the threshold.
+ *
+ * Transfer balance cap: the most a person can move into retirement-phase
+ * pensions. Their personal cap is the general cap in the year they first
+ * start one. Each time the general cap is indexed, the personal cap rises by
+ * the indexation times the unused cap percentage (1 − highest balance ever /
+ * personal cap, rounded down to a whole percent); a personal cap that has
+ * ever been fully used is not indexed.
+ */
+
+// Division 293 threshold, from the first year each applied
+export const DIV293_THRESHOLDS = {
+  "2012-13": 300000,
+  "2017-18": 250000,
+};
+export const DIV293_RATE = 0.15;
+
+// Years a transfer balance account can start in (the cap began 1 July 2017)
+export const TRANSFER_BALANCE_YEARS = Object.keys(GENERAL_TRANSFER_BALANCE_CAPS);
+
+/** Division 293 threshold for `fy`. */
+export function division293Threshold(fy = DEFAULT_FY) {
+  const start = parseInt(fy, 10);
+  const from = Object.keys(DIV293_THRESHOLDS).filter((y) => parseInt(y, 10) <= start);
+  if (from.length === 0) throw new Error(`No Division 293 threshold for ${fy}`);
+  return DIV293_THRESHOLDS[from[from.length - 1]];
+}
+
+/**
+ * Division 293 tax for a year. `taxableIncome` is after salary sacrifice and
+ * personal deductible contributions; `lowTaxContributions` are concessional
+ * contributions up to the cap (excess ones are taxed at marginal rates
+ * instead). Returns { income, threshold, excess, taxed, tax }.
+ */
+export function division293Tax({
+  fy = DEFAULT_FY,
+  taxableIncome = 0,
+  reportableFringeBenefits = 0,
+  netInvestmentLosses = 0,
+  lowTaxContributions = 0,
+}) {
+  const contributions = Math.max(0, Number(lowTaxContributions) || 0);
+  const income =
+    Math.max(0, Number(taxableIncome) || 0) +
+    Math.max(0, Number(reportableFringeBenefits) || 0) +
+    Math.max(0, Number(netInvestmentLosses) || 0) +
+    contributions;
+  const threshold = division293Threshold(fy);
+  const excess = Math.max(0, income - threshold);
+  const taxed = Math.min(contributions, excess);
+  return { income, threshold, excess, taxed, tax: taxed * DIV293_RATE };
+}
+
+/**
+ * Personal transfer balance account at the start of `asAtFy`, after that
+ * year's indexation and its events. `events` are
+ * { fy, type: "credit" | "debit", amount }: credits for pensions started
+ * (their value at the start), debits for commutations. Events later than
+ * `asAtFy` are ignored.
+ *
+ * Returns { started, startFy, personalCap, balance, highestBalance,
+ * available, excess, years }, with years as { fy, generalCap, indexation,
+ * unusedPct, personalCap, balance, highestBalance } from the first credit.
+ * Before any credit, personalCap is the general cap for `asAtFy`.
+ */
+export function transferBalanceAccount(events = [], asAtFy = DEFAULT_FY) {
+  const start = (fy) => parseInt(fy, 10);
+  const dated = events
+    .filter((e) => start(e.fy) <= start(asAtFy) && Number(e.amount) > 0)
+    .sort((a, b) => start(a.fy) - start(b.fy));
+  const firstCredit = dated.find((e) => e.type === "credit");
+
+  if (!firstCredit) {
+    const cap = generalTransferBalanceCap(asAtFy);
+    return {
+      started: false,
+      startFy: null,
+      personalCap: cap,
+      balance: 0,
+      highestBalance: 0,
+      available: cap,
+      excess: 0,
+      years: [],
+    };
+  }
+
+  const startFy = firstCredit.fy;
+  let personalCap = generalTransferBalanceCap(startFy);
+  let balance = 0;
+  let highestBalance = 0;
+  const years = [];
+
+  for (let fy = startFy; start(fy) <= start(asAtFy); fy = shiftFinancialYear(fy, 1)) {
+    const generalCap = generalTransferBalanceCap(fy);
+    let indexation = 0;
+    let unusedPct = null;
+
+    // Indexation on 1 July, before the year's events
+    if (fy !== startFy) {
+      const rise = generalCap - generalTransferBalanceCap(shiftFinancialYear(fy, -1));
+      if (rise > 0) {
+        unusedPct = highestBalance >= personalCap ? 0 : Math.floor((1 - highestBalance / personalCap) * 100);
+        indexation = Math.floor((rise * unusedPct) / 100);
+        personalCap += indexation;
+      }
+    }
+
+    for (const e of dated.filter((d) => d.fy === fy)) {
+      const amount = Number(e.amount);
+      balance = e.type === "debit" ? balance - amount : balance + amount;
+      highestBalance = Math.max(highestBalance, balance);
+    }
+    years.push({ fy, generalCap, indexation, unusedPct, personalCap, balance, highestBalance });
+  }
+
+  return {
+    started: true,
+    startFy,
+    personalCap,
+    balance,
+    highestBalance,
+    available: Math.max(0, personalCap - balance),
+    excess: Math.max(0, balance - personalCap),
+    years,
+  };
+}
@@ -0,0 +1,259 @@
+// lib/super/salarySacrifice.js
+import { computeIncomeTax, FINANCIAL_YEARS, DEFAULT_FY } from "@/lib/tax";
+import {
+  availableConcessionalCap,
+  concessionalCap,
+  ledgerFromInputs,
+  CONTRIBUTIONS_LEDGER_INPUTS,
+} from "@/lib/super/contributions";
+import { division293Tax } from "@/lib/super/rules";
+import { compulsoryRepayment, studyLoanRepaymentIncome } from "@/lib/tax/studyLoan";
+
+/**
+ * Salary sacrifice A/B comparison: no sacrifice vs sacrificing a fixed amount
+ * each pay, with a simple projection of both super balances to retirement.
+ * The cap is the year's general concessional cap, plus unused cap carried
+ * forward from the contributions ledger when that is switched on. Division 293
+ * tax comes from lib/super/rules.js, on each scenario's own income.
+ *
+ * With a study loan, both scenarios pay the compulsory repayment out of
+ * take-home pay. Sacrificed salary is added back to repayment income, so
+ * sacrificing doesn't reduce it.
+ */
+
+// NOTE: Update these if rules change.
+export const SUPER_CONTRIB_TAX_RATE = 0.15; // 15% contributions tax
+
+// Salary sacrifice page inputs and defaults, also read by /api/calc/salary-sacrifice
+export const SALARY_SACRIFICE_INPUTS = {
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+  taxableIncomeBeforeSacrifice: { key: "ti", type: "number", min: 0, default: 120000 },
+  payFrequency: {
+    key: "pf",
+    type: "enum",
+    values: ["weekly", "fortnightly", "monthly"],
+    default: "fortnightly",
+  },
+  salarySacrificePerPeriod: { key: "ss", type: "number", min: 0, default: 500 },
+  sgRatePct: { key: "sg", type: "number", min: 0, max: 100, default: 12 },
+  currentSuperBalance: { key: "sb", type: "number", min: 0, default: 200000 },
+  superReturnPct: { key: "r", type: "number", min: -100, max: 100, default: 6 },
+  yearsToRetirement: { key: "y", type: "number", min: 0, max: 60, integer: true, default: 20 },
+  // Other Division 293 income
+  reportableFringeBenefits: { key: "rfb", type: "number", min: 0, default: 0 },
+  netInvestmentLosses: { key: "nil", type: "number", min: 0, default: 0 },
+  // HELP or other study loan debt (0 = none)
+  studyLoanBalance: { key: "slb", type: "number", min: 0, default: 0 },
+  // Five-year contributions ledger for carry-forward (lib/super/contributions.js)
+  useCarryForward: { key: "cf", type: "boolean", default: false },
+  ...CONTRIBUTIONS_LEDGER_INPUTS,
+};
+
+// Income tax (after LITO) and Medicare levy for one year, from the shared engine
+function personalTax(taxable, fy) {
+  const { taxAfterOffsets, medicareLevy } = computeIncomeTax({
+    fy,
+    taxableIncome: taxable,
+  });
+  return { incomeTax: taxAfterOffsets, medicare: medicareLevy };
+}
+
+export function calculateSalarySacrifice({
+  fy = DEFAULT_FY,
+  taxableIncomeBeforeSacrifice,
+  payFrequency,
+  salarySacrificePerPeriod,
+  sgRatePct,
+  currentSuperBalance,
+  superReturnPct,
+  yearsToRetirement,
+  reportableFringeBenefits = 0,
+  netInvestmentLosses = 0,
+  studyLoanBalance = 0,
+  useCarryForward = false,
+  ...ledgerInputs
+}) {
+  const income = Math.max(0, taxableIncomeBeforeSacrifice || 0);
+  const sgRate = Math.max(0, sgRatePct || 0) / 100;
+
+  // Periods per year
+  const periodsPerYear =
+    payFrequency === "weekly"
+      ? 52
+      : payFrequency === "fortnightly"
+      ? 26
+      : 12;
+
+  const sacrificePerPeriod = Math.max(0, salarySacrificePerPeriod || 0);
+  let annualSalarySacrifice = sacrificePerPeriod * periodsPerYear;
+  annualSalarySacrifice = Math.min(annualSalarySacrifice, income);
+
+  // Cap for the year: the general cap, plus any carry-forward (the current
+  // balance stands in for the total super balance at the previous 30 June)
+  const generalConcessionalCap = concessionalCap(fy);
+  const carryForward = useCarryForward
+    ? availableConcessionalCap({
+        fy,
+        ledger: ledgerFromInputs(ledgerInputs, fy),
+        totalSuperBalance: currentSuperBalance,
+      })
+    : null;
+  const concessionalCapAvailable = carryForward?.available ?? generalConcessionalCap;
+
+  // Max theoretical salary sacrifice to hit the cap (based on SG only)
+  const sgOnly = income * sgRate;
+  const remainingCap = Math.max(
+    0,
+    concessionalCapAvailable - sgOnly
+  );
+  const suggestedSacrificeAnnual = remainingCap;
+  const suggestedSacrificePerPeriod =
+    periodsPerYear > 0 ? remainingCap / periodsPerYear : 0;
+
+  // Division 293 on a scenario's taxable income; contributions over the cap
+  // aren't low-tax contributions
+  const div293For = (taxableIncome, concessional) =>
+    division293Tax({
+      fy,
+      taxableIncome,
+      reportableFringeBenefits,
+      netInvestmentLosses,
+      lowTaxContributions: Math.min(concessional, concessionalCapAvailable),
+    }).tax;
+
+  // Compulsory study loan repayment on a scenario's repayment income, up to the debt
+  const debt = Math.max(0, studyLoanBalance || 0);
+  const studyLoanFor = (taxableIncome, sacrificed) => {
+    const repaymentIncome = studyLoanRepaymentIncome({
+      taxableIncome,
+      reportableFringeBenefits,
+      reportableSuperContributions: sacrificed,
+      netInvestmentLosses,
+    });
+    return { repaymentIncome, repayment: debt > 0 ? Math.min(debt, compulsoryRepayment(repaymentIncome, fy)) : 0 };
+  };
+
+  // ── Scenario A: No salary sacrifice ──
+  const concessionalA = sgOnly;
+  const contribTaxA = concessionalA * SUPER_CONTRIB_TAX_RATE;
+
+  const taxableA = income;
+  const { incomeTax: incomeTaxA, medicare: medicareA } = personalTax(
+    taxableA,
+    fy
+  );
+
+  const div293A = div293For(taxableA, concessionalA);
+  const studyLoanA = studyLoanFor(taxableA, 0);
+
+  const netConcessionalA = concessionalA - contribTaxA - div293A;
+  const totalTaxA =
+    incomeTaxA + medicareA + contribTaxA + div293A;
+  const takeHomeA = taxableA - incomeTaxA - medicareA - studyLoanA.repayment;
+
+  // ── Scenario B: With salary sacrifice ──
+  const concessionalB = sgOnly + annualSalarySacrifice;
+  const contribTaxB = concessionalB * SUPER_CONTRIB_TAX_RATE;
+
+  const taxableB = income - annualSalarySacrifice;
+  const { incomeTax: incomeTaxB, medicare: medicareB } = personalTax(
+    taxableB,
+    fy
+  );
+
+  const div293B = div293For(taxableB, concessionalB);
+  const studyLoanB = studyLoanFor(taxableB, annualSalarySacrifice);
+
+  const netConcessionalB = concessionalB - contribTaxB - div293B;
+  const totalTaxB =
+    incomeTaxB + medicareB + contribTaxB + div293B;
+  const takeHomeB = taxableB - incomeTaxB - medicareB - studyLoanB.repayment;
+
+  // Comparisons
+  const changeTakeHome = takeHomeB - takeHomeA; // usually negative
+  const extraNetToSuper = netConcessionalB - netConcessionalA;
+  const taxSavedTotal = totalTaxA - totalTaxB; // +ve = tax saving
+
+  const effectiveTaxRateOnSac =
+    annualSalarySacrifice > 0
+      ? 1 - extraNetToSuper / annualSalarySacrifice
+      : null;
+
+  const overConcessionalCap = concessionalB > concessionalCapAvailable;
+
+  // ── Projection to retirement ──
+  const years = Math.max(0, Math.floor(yearsToRetirement || 0));
+  const returnRate = (superReturnPct || 0) / 100;
+
+  let balanceA = Math.max(0, currentSuperBalance || 0);
+  let balanceB = Math.max(0, currentSuperBalance || 0);
+
+  const projectionRows = [];
+  for (let y = 1; y <= years; y++) {
+    balanceA = balanceA * (1 + returnRate) + netConcessionalA;
+    balanceB = balanceB * (1 + returnRate) + netConcessionalB;
+    const diff = balanceB - balanceA;
+    const cumulativeTaxSaved = taxSavedTotal * y;
+    projectionRows.push({
+      year: y,
+      superA: balanceA,
+      superB: balanceB,
+      diff,
+      taxSavedCumulative: cumulativeTaxSaved,
+    });
+  }
+
+  const finalSuperA =
+    projectionRows.length > 0
+      ? projectionRows[projectionRows.length - 1].superA
+      : balanceA;
+  const finalSuperB =
+    projectionRows.length > 0
+      ? projectionRows[projectionRows.length - 1].superB
+      : balanceB;
+  const finalDiff = finalSuperB - finalSuperA;
+
+  return {
+    scenarios: {
+      A: {
+        concessional: concessionalA,
+        netConcessional: netConcessionalA,
+        incomeTax: incomeTaxA,
+        medicare: medicareA,
+        contribTax: contribTaxA,
+        div293: div293A,
+        totalTax: totalTaxA,
+        repaymentIncome: studyLoanA.repaymentIncome,
+        studyLoanRepayment: studyLoanA.repayment,
+        takeHome: takeHomeA,
+      },
+      B: {
+        concessional: concessionalB,
+        netConcessional: netConcessionalB,
+        incomeTax: incomeTaxB,
+        medicare: medicareB,
+        contribTax: contribTaxB,
+        div293: div293B,
+        totalTax: totalTaxB,
+        repaymentIncome: studyLoanB.repaymentIncome,
+        studyLoanRepayment: studyLoanB.repayment,
+        takeHome: takeHomeB,
+      },
+    },
+    annualSalarySacrifice,
+    changeTakeHome,
+    extraNetToSuper,
+    taxSavedTotal,
+    effectiveTaxRateOnSac,
+    generalConcessionalCap,
+    concessionalCapAvailable,
+    carryForward,
+    overConcessionalCap,
+    projectionRows,
+    finalSuperA,
+    finalSuperB,
+    finalDiff,
+    suggestedSacrificeAnnual,
+    suggestedSacrificePerPeriod,
+  };
+}
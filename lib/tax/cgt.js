@@ -0,0 +1,234 @@
+// lib/tax/cgt.js
+import { FINANCIAL_YEARS, computeIncomeTax, getTaxYear } from "./index";
+
+/**
+ * Capital gains tax for individuals: the gain or loss on each parcel sold,
+ * the net capital gain for the year, and the extra tax it adds when it is
+ * stacked on top of other taxable income.
+ *
+ * The net capital gain follows the ATO method statement: capital losses for
+ * the year, then losses carried forward from earlier years, are applied to
+ * gains that can't be discounted first (the order that leaves the smallest
+ * net gain), then to discountable gains; the 50% discount then applies to
+ * what is left of the discountable gains. Unused losses carry forward.
+ *
+ * A parcel is discountable when it was acquired at least 12 months before
+ * it is sold, not counting the days of acquisition and sale — so it must be
+ * sold after the first anniversary of its purchase.
+ */
+
+export const CGT_DISCOUNT = 0.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Parcels on the calculator page (inputs are flat so they fit a share link)
+export const MAX_PARCELS = 3;
+
+const amount = (key, value) => ({ key, type: "number", min: 0, default: value });
+const date = (key, value) => ({ key, type: "date", default: value });
+
+// CGT page inputs; the default parcels are a worked example
+export const CGT_INPUTS = {
+  disposalDate: date("sd", "2026-03-31"),
+  parcel1Acquired: date("a1", "2019-08-15"),
+  parcel1CostBase: amount("c1", 40000),
+  parcel1Proceeds: amount("p1", 65000),
+  parcel2Acquired: date("a2", "2025-11-03"),
+  parcel2CostBase: amount("c2", 20000),
+  parcel2Proceeds: amount("p2", 24000),
+  parcel3Acquired: date("a3", "2024-02-01"),
+  parcel3CostBase: amount("c3", 0),
+  parcel3Proceeds: amount("p3", 0),
+  currentYearLosses: amount("cl", 0),
+  carriedForwardLosses: amount("fl", 5000),
+  otherTaxableIncome: amount("ti", 90000),
+};
+
+function toAmount(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+
+function parseDate(iso) {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  if (!y || !m || !d) throw new Error(`Invalid date: ${iso}`);
+  return { y, m, d, time: Date.UTC(y, m - 1, d) };
+}
+
+/** Financial year containing an ISO date: "2026-03-31" → "2025-26". */
+export function financialYearOfDate(iso) {
+  const { y, m } = parseDate(iso);
+  const start = m >= 7 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+/** True when a parcel acquired on `acquired` and sold on `disposed` gets the discount. */
+export function qualifiesForDiscount(acquired, disposed) {
+  const bought = parseDate(acquired);
+  // A 29 February purchase has its anniversary on 1 March
+  const anniversary = Date.UTC(bought.y + 1, bought.m - 1, bought.d);
+  return parseDate(disposed).time > anniversary;
+}
+
+/**
+ * Gain or loss on one parcel. `costBase` includes incidental costs of buying
+ * and selling, less anything already deducted (e.g. capital works).
+ * Returns { acquired, disposed, costBase, proceeds, heldDays, gain, loss,
+ * discountable }.
+ */
+export function parcelGain({ acquired, disposed, costBase, proceeds }) {
+  const heldDays = Math.round((parseDate(disposed).time - parseDate(acquired).time) / MS_PER_DAY);
+  if (heldDays < 0) {
+    throw new Error(`Parcel acquired ${acquired} can't be sold on ${disposed}`);
+  }
+  const base = toAmount(costBase);
+  const sold = toAmount(proceeds);
+  return {
+    acquired,
+    disposed,
+    costBase: base,
+    proceeds: sold,
+    heldDays,
+    gain: Math.max(0, sold - base),
+    loss: Math.max(0, base - sold),
+    discountable: qualifiesForDiscount(acquired, disposed),
+  };
+}
+
+/**
+ * Net capital gain for the year from `gains` ([{ gain, discountable }]),
+ * capital losses made this year and net capital losses from earlier years.
+ *
+ * Returns { discountableGains, otherGains, currentLossesApplied,
+ * carriedForwardApplied, discount, netCapitalGain, lossesCarriedForward }.
+ */
+export function netCapitalGain({
+  gains = [],
+  currentLosses = 0,
+  carriedForwardLosses = 0,
+  discount = CGT_DISCOUNT,
+}) {
+  const total = (discountable) =>
+    gains.filter((g) => Boolean(g.discountable) === discountable).reduce((sum, g) => sum + toAmount(g.gain), 0);
+  const discountableGains = total(true);
+  const otherGains = total(false);
+
+  // Losses come off non-discountable gains first, then discountable ones
+  let other = otherGains;
+  let discountable = discountableGains;
+  const apply = (losses) => {
+    let left = toAmount(losses);
+    const fromOther = Math.min(other, left);
+    other -= fromOther;
+    left -= fromOther;
+    const fromDiscountable = Math.min(discountable, left);
+    discountable -= fromDiscountable;
+    return { applied: fromOther + fromDiscountable, unused: left - fromDiscountable };
+  };
+
+  const current = apply(currentLosses);
+  const earlier = apply(carriedForwardLosses);
+  const discountAmount = discountable * discount;
+
+  return {
+    discountableGains,
+    otherGains,
+    currentLossesApplied: current.applied,
+    carriedForwardApplied: earlier.applied,
+    discount: discountAmount,
+    netCapitalGain: other + discountable - discountAmount,
+    lossesCarriedForward: current.unused + earlier.unused,
+  };
+}
+
+/**
+ * Extra tax from adding `gain` (a net capital gain) to `otherTaxableIncome`,
+ * using the year's brackets, offsets and Medicare levy. Any other
+ * `computeIncomeTax` options (household, private cover, SAPTO) pass through.
+ * Returns { taxWithout, taxWith, tax, averageRate, byBracket } where
+ * byBracket splits the gain over the bracket rates it is taxed at.
+ */
+export function taxOnCapitalGain({ fy, otherTaxableIncome = 0, gain = 0, ...taxOptions }) {
+  const base = toAmount(otherTaxableIncome);
+  const net = toAmount(gain);
+  const taxWithout = computeIncomeTax({ ...taxOptions, fy, taxableIncome: base }).totalTax;
+  const taxWith = computeIncomeTax({ ...taxOptions, fy, taxableIncome: base + net }).totalTax;
+  const tax = taxWith - taxWithout;
+
+  const { brackets } = getTaxYear(fy);
+  const byBracket = [];
+  brackets.forEach(([from, rate], i) => {
+    const to = i + 1 < brackets.length ? brackets[i + 1][0] : Infinity;
+    const amountIn = Math.max(0, Math.min(base + net, to) - Math.max(base, from));
+    if (amountIn > 0) byBracket.push({ from, to, rate, amount: amountIn });
+  });
+  // Any part of the gain below the first bracket is tax-free
+  const untaxed = Math.max(0, Math.min(base + net, brackets[0][0]) - base);
+  if (untaxed > 0) byBracket.unshift({ from: 0, to: brackets[0][0], rate: 0, amount: untaxed });
+
+  return { taxWithout, taxWith, tax, averageRate: net > 0 ? tax / net : 0, byBracket };
+}
+
+/** Parcels entered on the calculator page (blank ones left out). */
+export function cgtParcels(inputs) {
+  const parcels = [];
+  for (let n = 1; n <= MAX_PARCELS; n++) {
+    const costBase = toAmount(inputs[`parcel${n}CostBase`]);
+    const proceeds = toAmount(inputs[`parcel${n}Proceeds`]);
+    if (costBase === 0 && proceeds === 0) continue;
+    parcels.push({ n, acquired: inputs[`parcel${n}Acquired`], costBase, proceeds });
+  }
+  return parcels;
+}
+
+// Tax rates for `fy`, or the nearest year we have them for
+function ratesYear(fy) {
+  if (FINANCIAL_YEARS.includes(fy)) return fy;
+  return fy < FINANCIAL_YEARS[0] ? FINANCIAL_YEARS[0] : FINANCIAL_YEARS[FINANCIAL_YEARS.length - 1];
+}
+
+/**
+ * The CGT calculator: each parcel's gain, the net capital gain for the
+ * financial year of the sale and the tax on it. Parcels acquired after the
+ * sale date are returned with an `error` and left out of the totals.
+ *
+ * Returns { fy, ratesFy, parcels, totalProceeds, ...netCapitalGain,
+ * ...taxOnCapitalGain, afterTaxProceeds }.
+ */
+export function calculateCgt(inputs) {
+  const disposed = inputs.disposalDate;
+  const fy = financialYearOfDate(disposed);
+  const ratesFy = ratesYear(fy);
+
+  const parcels = cgtParcels(inputs).map(({ n, ...parcel }) => {
+    if (parseDate(parcel.acquired).time > parseDate(disposed).time) {
+      return { n, ...parcel, disposed, error: "Acquired after the sale date" };
+    }
+    return { n, ...parcelGain({ ...parcel, disposed }) };
+  });
+  const counted = parcels.filter((p) => !p.error);
+  const parcelLosses = counted.reduce((sum, p) => sum + p.loss, 0);
+  const totalProceeds = counted.reduce((sum, p) => sum + p.proceeds, 0);
+
+  const net = netCapitalGain({
+    gains: counted,
+    currentLosses: toAmount(inputs.currentYearLosses) + parcelLosses,
+    carriedForwardLosses: inputs.carriedForwardLosses,
+  });
+  const tax = taxOnCapitalGain({
+    fy: ratesFy,
+    otherTaxableIncome: inputs.otherTaxableIncome,
+    gain: net.netCapitalGain,
+  });
+
+  return {
+    fy,
+    ratesFy,
+    parcels,
+    parcelLosses,
+    totalProceeds,
+    ...net,
+    ...tax,
+    afterTaxProceeds: totalProceeds - tax.tax,
+  };
+}
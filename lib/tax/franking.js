@@ -0,0 +1,52 @@
+// lib/tax/franking.js
+
+/**
+ * Franked dividends: the franking credit attached to a cash dividend, the
+ * grossed-up amount that goes into assessable income, and the franking tax
+ * offset.
+ *
+ * The credit is the company tax already paid on the franked share of the
+ * dividend: cash × franking % × t / (1 − t), where t is the company's tax
+ * rate (30%, or 25% for base rate entities). The offset is refundable, so a
+ * credit larger than the tax payable — common for retirees and SAPTO
+ * recipients — comes back as a refund.
+ */
+
+// Company tax rates, keyed as they appear in share links
+export const COMPANY_TAX_RATES = { 30: 0.3, 25: 0.25 };
+export const DEFAULT_COMPANY_TAX_RATE = 0.3;
+
+function toAmount(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+
+/** Franking credit on a cash `dividend` franked to `frankingPct` at `companyTaxRate` (decimal). */
+export function frankingCredit(dividend, { frankingPct = 100, companyTaxRate = DEFAULT_COMPANY_TAX_RATE } = {}) {
+  const share = Math.min(100, toAmount(frankingPct)) / 100;
+  const rate = toAmount(companyTaxRate);
+  if (rate >= 1) throw new Error(`Invalid company tax rate: ${companyTaxRate}`);
+  return toAmount(dividend) * share * (rate / (1 - rate));
+}
+
+/** Returns { dividend, frankingCredit, grossedUp } for a cash dividend. */
+export function grossUpDividend(dividend, options) {
+  const cash = toAmount(dividend);
+  const credit = frankingCredit(cash, options);
+  return { dividend: cash, frankingCredit: credit, grossedUp: cash + credit };
+}
+
+/**
+ * Apply franking credits against `taxPayable` (after non-refundable offsets,
+ * including the Medicare levy). Returns { offsetUsed, refund, taxAfterOffset },
+ * where `refund` is the excess credit paid out.
+ */
+export function applyFrankingOffset(taxPayable, credit) {
+  const tax = toAmount(taxPayable);
+  const credits = toAmount(credit);
+  return {
+    offsetUsed: Math.min(tax, credits),
+    refund: Math.max(0, credits - tax),
+    taxAfterOffset: Math.max(0, tax - credits),
+  };
+}
@@ -0,0 +1,284 @@
+// lib/tax/index.js
+import { TAX_YEARS, FINANCIAL_YEARS, DEFAULT_FY } from "./rates";
+
+export { TAX_YEARS, FINANCIAL_YEARS, DEFAULT_FY };
+
+// Medicare levy shades in at 10c per $1 over the low-income threshold
+const MEDICARE_SHADE_IN_RATE = 0.1;
+
+// --- helpers ---
+function toAmount(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+
+function toCount(n) {
+  return Math.floor(toAmount(n));
+}
+
+/** "2025-26" → "2025–26" for display */
+export function fyLabel(fy) {
+  return String(fy).replace("-", "–");
+}
+
+/** "2025-26" → "1 July 2025 to 30 June 2026" */
+export function fyPeriod(fy) {
+  const start = parseInt(fy, 10);
+  return `1 July ${start} to 30 June ${start + 1}`;
+}
+
+export function getTaxYear(fy = DEFAULT_FY) {
+  const year = TAX_YEARS[fy];
+  if (!year) {
+    throw new Error(`Unknown financial year: ${fy}`);
+  }
+  return year;
+}
+
+/** Tax on taxable income from the resident brackets only (no offsets or levies). */
+export function bracketTax(taxableIncome, fy = DEFAULT_FY) {
+  const income = toAmount(taxableIncome);
+  const { brackets } = getTaxYear(fy);
+
+  let tax = 0;
+  for (let i = 0; i < brackets.length; i++) {
+    const [from, rate] = brackets[i];
+    const to = i + 1 < brackets.length ? brackets[i + 1][0] : Infinity;
+    if (income <= from) break;
+    tax += (Math.min(income, to) - from) * rate;
+  }
+  return tax;
+}
+
+/** Marginal bracket rate (decimal, excludes Medicare levy). */
+export function marginalRate(taxableIncome, fy = DEFAULT_FY) {
+  const income = toAmount(taxableIncome);
+  const { brackets } = getTaxYear(fy);
+
+  let rate = 0;
+  for (const [from, r] of brackets) {
+    if (income > from) rate = r;
+  }
+  return rate;
+}
+
+/** Low Income Tax Offset (non-refundable). */
+export function litoAmount(taxableIncome, fy = DEFAULT_FY) {
+  const income = toAmount(taxableIncome);
+  const { lito } = getTaxYear(fy);
+  if (!lito) return 0;
+
+  if (income <= lito.firstThreshold) return lito.max;
+  if (income <= lito.secondThreshold) {
+    return Math.max(0, lito.max - lito.firstTaper * (income - lito.firstThreshold));
+  }
+  const atSecond =
+    lito.max - lito.firstTaper * (lito.secondThreshold - lito.firstThreshold);
+  return Math.max(0, atSecond - lito.secondTaper * (income - lito.secondThreshold));
+}
+
+/** Low and Middle Income Tax Offset (2020–21 and 2021–22 only). */
+export function lmitoAmount(taxableIncome, fy = DEFAULT_FY) {
+  const income = toAmount(taxableIncome);
+  const { lmito } = getTaxYear(fy);
+  if (!lmito || income >= lmito.cutOut) return 0;
+
+  if (income <= lmito.phaseInFrom) return lmito.base;
+  if (income <= lmito.phaseOutFrom) {
+    return Math.min(
+      lmito.max,
+      lmito.base + lmito.phaseInRate * (income - lmito.phaseInFrom)
+    );
+  }
+  return Math.max(0, lmito.max - lmito.phaseOutRate * (income - lmito.phaseOutFrom));
+}
+
+/**
+ * Seniors and Pensioners Tax Offset (non-refundable).
+ * Uses taxable income as a proxy for rebate income. Couples are assessed per
+ * person against the "couple each" thresholds.
+ */
+export function saptoAmount({
+  fy = DEFAULT_FY,
+  maritalStatus = "single",
+  taxpayerIncome,
+  partnerIncome = 0,
+  taxpayerEligible = false,
+  partnerEligible = false,
+}) {
+  const { sapto } = getTaxYear(fy);
+
+  function perPerson(income, { max, shadeOut, cutOut }) {
+    const amt = toAmount(income);
+    if (amt >= cutOut) return 0;
+    if (amt <= shadeOut) return max;
+    return Math.max(0, max - sapto.taper * (amt - shadeOut));
+  }
+
+  if (maritalStatus !== "couple") {
+    return taxpayerEligible ? perPerson(taxpayerIncome, sapto.single) : 0;
+  }
+
+  const you = taxpayerEligible ? perPerson(taxpayerIncome, sapto.coupleEach) : 0;
+  const spouse = partnerEligible ? perPerson(partnerIncome, sapto.coupleEach) : 0;
+  return you + spouse;
+}
+
+/**
+ * Medicare levy with low-income thresholds.
+ *
+ * Individuals shade in at 10c per $1 over their threshold. Couples and single
+ * parents also get the family reduction, which is shared in proportion to each
+ * partner's taxable income. The levy is always charged on *your* income.
+ */
+export function medicareLevyAnnual({
+  fy = DEFAULT_FY,
+  taxableIncome,
+  maritalStatus = "single",
+  dependants = 0,
+  saptoEligible = false,
+  partnerTaxableIncome = 0,
+}) {
+  const { medicare } = getTaxYear(fy);
+  const income = toAmount(taxableIncome);
+  const kids = toCount(dependants);
+  const fullLevy = income * medicare.rate;
+
+  const singleLower = saptoEligible ? medicare.singleSenior : medicare.single;
+  if (income <= singleLower) return 0;
+  const individualLevy = Math.min(
+    fullLevy,
+    MEDICARE_SHADE_IN_RATE * (income - singleLower)
+  );
+
+  const isFamily = maritalStatus === "couple" || kids > 0;
+  if (!isFamily) return individualLevy;
+
+  const familyLower =
+    (saptoEligible ? medicare.familySenior : medicare.family) +
+    kids * medicare.perChild;
+  const familyIncome =
+    income + (maritalStatus === "couple" ? toAmount(partnerTaxableIncome) : 0);
+
+  if (familyIncome <= familyLower) return 0;
+
+  const reduction =
+    medicare.rate * familyLower -
+    (MEDICARE_SHADE_IN_RATE - medicare.rate) * (familyIncome - familyLower);
+  if (reduction <= 0) return individualLevy;
+
+  const yourShare = reduction * (income / familyIncome);
+  return Math.min(individualLevy, Math.max(0, fullLevy - yourShare));
+}
+
+/**
+ * Medicare Levy Surcharge rate (decimal) for someone without private hospital cover.
+ * Uses taxable income as "income for MLS purposes".
+ */
+export function mlsRate({
+  fy = DEFAULT_FY,
+  maritalStatus = "single",
+  taxableIncome,
+  partnerTaxableIncome = 0,
+  dependants = 0,
+}) {
+  const { mls } = getTaxYear(fy);
+  const kids = toCount(dependants);
+  const isFamily = maritalStatus === "couple" || kids > 0;
+
+  const income =
+    toAmount(taxableIncome) +
+    (maritalStatus === "couple" ? toAmount(partnerTaxableIncome) : 0);
+
+  const uplift = isFamily ? Math.max(0, kids - 1) * mls.perChildAfterFirst : 0;
+  const tiers = (isFamily ? mls.familyTiers : mls.singleTiers).map((t) => t + uplift);
+
+  if (income <= tiers[0]) return mls.rates[0];
+  if (income <= tiers[1]) return mls.rates[1];
+  if (income <= tiers[2]) return mls.rates[2];
+  return mls.rates[3];
+}
+
+/**
+ * Full resident income tax position for one financial year.
+ *
+ * Returns unrounded dollar amounts; pages round for display.
+ * MLS only applies when `privateHospitalCover` is false.
+ */
+export function computeIncomeTax({
+  fy = DEFAULT_FY,
+  taxableIncome,
+  maritalStatus = "single",
+  partnerTaxableIncome = 0,
+  dependants = 0,
+  includeLito = true,
+  includeMedicare = true,
+  privateHospitalCover = true,
+  saptoEligible = false,
+  partnerSaptoEligible = false,
+}) {
+  const income = toAmount(taxableIncome);
+  const partnerIncome =
+    maritalStatus === "couple" ? toAmount(partnerTaxableIncome) : 0;
+
+  const grossTax = bracketTax(income, fy);
+
+  const lito = includeLito ? litoAmount(income, fy) : 0;
+  const lmito = lmitoAmount(income, fy);
+  const sapto = saptoAmount({
+    fy,
+    maritalStatus,
+    taxpayerIncome: income,
+    partnerIncome,
+    taxpayerEligible: saptoEligible,
+    partnerEligible: partnerSaptoEligible,
+  });
+
+  // Offsets are non-refundable: they can only reduce bracket tax to $0
+  const taxAfterLito = Math.max(0, grossTax - lito - lmito);
+  const taxAfterOffsets = Math.max(0, taxAfterLito - sapto);
+
+  const medicareLevy = includeMedicare
+    ? medicareLevyAnnual({
+        fy,
+        taxableIncome: income,
+        maritalStatus,
+        dependants,
+        saptoEligible:
+          maritalStatus === "couple"
+            ? saptoEligible || partnerSaptoEligible
+            : saptoEligible,
+        partnerTaxableIncome: partnerIncome,
+      })
+    : 0;
+
+  const surchargeRate = privateHospitalCover
+    ? 0
+    : mlsRate({
+        fy,
+        maritalStatus,
+        taxableIncome: income,
+        partnerTaxableIncome: partnerIncome,
+        dependants,
+      });
+  const mls = surchargeRate * income;
+
+  const totalTax = taxAfterOffsets + medicareLevy + mls;
+
+  return {
+    fy,
+    taxableIncome: income,
+    grossTax,
+    lito,
+    lmito,
+    sapto,
+    taxAfterLito,
+    taxAfterOffsets,
+    medicareLevy,
+    mlsRate: surchargeRate,
+    mls,
+    totalTax,
+    marginalRate: marginalRate(income, fy),
+    averageRate: income > 0 ? totalTax / income : 0,
+  };
+}
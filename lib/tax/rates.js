@@ -0,0 +1,219 @@
+// lib/tax/rates.js
+/**
+ * Australian resident individual tax settings, keyed by financial year.
+ *
+ * Every calculator reads its brackets, offsets and levy thresholds from here,
+ * so a Budget change or a new year means editing this file only.
+ *
+ * Conventions:
+ * - brackets: [threshold, rate] pairs; `rate` applies to each dollar above `threshold`.
+ * - Medicare levy thresholds are the lower (no levy) thresholds; the phase-in
+ *   range ends at 1.25 × the lower threshold (10% shade-in up to the 2% rate).
+ * - MLS tiers are "income for MLS purposes" boundaries: base tier ends at
+ *   tiers[0], tier 1 at tiers[1], tier 2 at tiers[2], tier 3 above.
+ */
+
+// Stage 2 brackets (2020–21 to 2023–24)
+const BRACKETS_STAGE_2 = [
+  [18200, 0.19],
+  [45000, 0.325],
+  [120000, 0.37],
+  [180000, 0.45],
+];
+
+// Revised Stage 3 brackets (from 1 July 2024)
+const BRACKETS_STAGE_3 = [
+  [18200, 0.16],
+  [45000, 0.30],
+  [135000, 0.37],
+  [190000, 0.45],
+];
+
+// Low Income Tax Offset – unchanged since 2020–21
+const LITO = {
+  max: 700,
+  firstThreshold: 37500,
+  firstTaper: 0.05, // down to $325 at $45,000
+  secondThreshold: 45000,
+  secondTaper: 0.015, // down to $0 at $66,667
+};
+
+// SAPTO before the 2024–25 threshold lift
+const SAPTO_PRE_2024 = {
+  taper: 0.125,
+  single: { max: 2230, shadeOut: 32279, cutOut: 50119 },
+  coupleEach: { max: 1602, shadeOut: 28974, cutOut: 41790 },
+};
+
+// SAPTO from 1 July 2024 (thresholds lifted alongside Stage 3)
+const SAPTO_FROM_2024 = {
+  taper: 0.125,
+  single: { max: 2230, shadeOut: 34919, cutOut: 52759 },
+  coupleEach: { max: 1602, shadeOut: 30994, cutOut: 43810 },
+};
+
+const MEDICARE_2024_25 = {
+  rate: 0.02,
+  single: 27222,
+  singleSenior: 43020,
+  family: 45907,
+  familySenior: 59886,
+  perChild: 4216,
+};
+
+const MLS_2025_26 = {
+  singleTiers: [101000, 118000, 158000],
+  familyTiers: [202000, 236000, 316000],
+  perChildAfterFirst: 1500,
+  rates: [0, 0.01, 0.0125, 0.015],
+};
+
+export const TAX_YEARS = {
+  "2020-21": {
+    brackets: BRACKETS_STAGE_2,
+    lito: LITO,
+    // Low and Middle Income Tax Offset (ended 30 June 2022)
+    lmito: {
+      base: 255,
+      max: 1080,
+      phaseInFrom: 37000,
+      phaseInRate: 0.075,
+      phaseOutFrom: 90000,
+      phaseOutRate: 0.03,
+      cutOut: 126000,
+    },
+    sapto: SAPTO_PRE_2024,
+    medicare: {
+      rate: 0.02,
+      single: 23226,
+      singleSenior: 36705,
+      family: 39167,
+      familySenior: 51094,
+      perChild: 3597,
+    },
+    mls: {
+      singleTiers: [90000, 105000, 140000],
+      familyTiers: [180000, 210000, 280000],
+      perChildAfterFirst: 1500,
+      rates: [0, 0.01, 0.0125, 0.015],
+    },
+    wfhRatePerHour: 0.8,
+  },
+  "2021-22": {
+    brackets: BRACKETS_STAGE_2,
+    lito: LITO,
+    // Includes the one-off $420 cost-of-living boost
+    lmito: {
+      base: 675,
+      max: 1500,
+      phaseInFrom: 37000,
+      phaseInRate: 0.075,
+      phaseOutFrom: 90000,
+      phaseOutRate: 0.03,
+      cutOut: 126000,
+    },
+    sapto: SAPTO_PRE_2024,
+    medicare: {
+      rate: 0.02,
+      single: 23365,
+      singleSenior: 36925,
+      family: 39402,
+      familySenior: 51401,
+      perChild: 3619,
+    },
+    mls: {
+      singleTiers: [90000, 105000, 140000],
+      familyTiers: [180000, 210000, 280000],
+      perChildAfterFirst: 1500,
+      rates: [0, 0.01, 0.0125, 0.015],
+    },
+    wfhRatePerHour: 0.8,
+  },
+  "2022-23": {
+    brackets: BRACKETS_STAGE_2,
+    lito: LITO,
+    lmito: null,
+    sapto: SAPTO_PRE_2024,
+    medicare: {
+      rate: 0.02,
+      single: 24276,
+      singleSenior: 38365,
+      family: 40939,
+      familySenior: 53406,
+      perChild: 3760,
+    },
+    mls: {
+      singleTiers: [90000, 105000, 140000],
+      familyTiers: [180000, 210000, 280000],
+      perChildAfterFirst: 1500,
+      rates: [0, 0.01, 0.0125, 0.015],
+    },
+    wfhRatePerHour: 0.67,
+  },
+  "2023-24": {
+    brackets: BRACKETS_STAGE_2,
+    lito: LITO,
+    lmito: null,
+    sapto: SAPTO_PRE_2024,
+    medicare: {
+      rate: 0.02,
+      single: 26000,
+      singleSenior: 41089,
+      family: 43846,
+      familySenior: 57198,
+      perChild: 4027,
+    },
+    mls: {
+      singleTiers: [93000, 108000, 144000],
+      familyTiers: [186000, 216000, 288000],
+      perChildAfterFirst: 1500,
+      rates: [0, 0.01, 0.0125, 0.015],
+    },
+    wfhRatePerHour: 0.67,
+  },
+  "2024-25": {
+    brackets: BRACKETS_STAGE_3,
+    lito: LITO,
+    lmito: null,
+    sapto: SAPTO_FROM_2024,
+    medicare: MEDICARE_2024_25,
+    mls: {
+      singleTiers: [97000, 113000, 151000],
+      familyTiers: [194000, 226000, 302000],
+      perChildAfterFirst: 1500,
+      rates: [0, 0.01, 0.0125, 0.015],
+    },
+    wfhRatePerHour: 0.7,
+  },
+  "2025-26": {
+    brackets: BRACKETS_STAGE_3,
+    lito: LITO,
+    lmito: null,
+    sapto: SAPTO_FROM_2024,
+    // Low-income thresholds are set in the following Budget; 2024–25 carried forward.
+    medicare: MEDICARE_2024_25,
+    mls: MLS_2025_26,
+    wfhRatePerHour: 0.7,
+  },
+  "2026-27": {
+    // Legislated cut of the 16% rate to 15% from 1 July 2026
+    brackets: [
+      [18200, 0.15],
+      [45000, 0.30],
+      [135000, 0.37],
+      [190000, 0.45],
+    ],
+    lito: LITO,
+    lmito: null,
+    sapto: SAPTO_FROM_2024,
+    // Medicare and MLS thresholds not yet published; 2025–26 carried forward.
+    medicare: MEDICARE_2024_25,
+    mls: MLS_2025_26,
+    wfhRatePerHour: 0.7,
+  },
+};
+
+export const FINANCIAL_YEARS = Object.keys(TAX_YEARS);
+
+// Year the site copy and defaults are written for
+export const DEFAULT_FY = "2025-26";
@@ -0,0 +1,273 @@
+// lib/tax/studyLoan.js
+import { FINANCIAL_YEARS, DEFAULT_FY } from "./rates";
+
+/**
+ * Study and training support loans (HELP, VSL, SFSS, SSL, ABSTUDY SSL and
+ * AASL): compulsory repayments by financial year, indexation of the debt, and
+ * a projection of the balance until it is repaid.
+ *
+ * Until 2024–25 the repayment is a percentage of the whole repayment income,
+ * set by the band it falls in. From 2025–26 it is marginal: a rate on each
+ * dollar over the threshold, never more than 10% of repayment income.
+ *
+ * Repayment income is taxable income plus reportable fringe benefits,
+ * reportable super contributions (salary sacrifice included), net investment
+ * losses and exempt foreign employment income.
+ */
+
+// [threshold, rate of the whole repayment income]
+const BANDS_2020_21 = [
+  [46620, 0.01], [53827, 0.02], [57056, 0.025], [60480, 0.03], [64109, 0.035], [67955, 0.04],
+  [72032, 0.045], [76355, 0.05], [80936, 0.055], [85793, 0.06], [90940, 0.065], [96397, 0.07],
+  [102180, 0.075], [108310, 0.08], [114708, 0.085], [121699, 0.09], [129000, 0.095], [136740, 0.1],
+];
+const BANDS_2021_22 = [
+  [47014, 0.01], [54283, 0.02], [57539, 0.025], [60992, 0.03], [64652, 0.035], [68530, 0.04],
+  [72642, 0.045], [77001, 0.05], [81621, 0.055], [86518, 0.06], [91709, 0.065], [97212, 0.07],
+  [103045, 0.075], [109227, 0.08], [115781, 0.085], [122728, 0.09], [130092, 0.095], [137898, 0.1],
+];
+const BANDS_2022_23 = [
+  [48361, 0.01], [55837, 0.02], [59187, 0.025], [62739, 0.03], [66503, 0.035], [70493, 0.04],
+  [74723, 0.045], [79207, 0.05], [83959, 0.055], [88997, 0.06], [94337, 0.065], [99997, 0.07],
+  [105997, 0.075], [112356, 0.08], [119098, 0.085], [126244, 0.09], [133819, 0.095], [141848, 0.1],
+];
+const BANDS_2023_24 = [
+  [51550, 0.01], [59519, 0.02], [63090, 0.025], [66876, 0.03], [70889, 0.035], [75141, 0.04],
+  [79650, 0.045], [84430, 0.05], [89495, 0.055], [94866, 0.06], [100558, 0.065], [106591, 0.07],
+  [112986, 0.075], [119765, 0.08], [126951, 0.085], [134569, 0.09], [142643, 0.095], [151201, 0.1],
+];
+const BANDS_2024_25 = [
+  [54435, 0.01], [62851, 0.02], [66621, 0.025], [70619, 0.03], [74856, 0.035], [79347, 0.04],
+  [84108, 0.045], [89155, 0.05], [94504, 0.055], [100175, 0.06], [106186, 0.065], [112557, 0.07],
+  [119310, 0.075], [126468, 0.08], [134057, 0.085], [142101, 0.09], [150627, 0.095], [159664, 0.1],
+];
+
+// Marginal system from 1 July 2025: [threshold, rate on each dollar above it]
+const MARGINAL_2025_26 = {
+  brackets: [
+    [67000, 0.15],
+    [125000, 0.17],
+  ],
+  maxShare: 0.1, // of total repayment income
+};
+
+export const STUDY_LOAN_YEARS = {
+  "2020-21": { bands: BANDS_2020_21 },
+  "2021-22": { bands: BANDS_2021_22 },
+  "2022-23": { bands: BANDS_2022_23 },
+  "2023-24": { bands: BANDS_2023_24 },
+  "2024-25": { bands: BANDS_2024_25 },
+  "2025-26": { marginal: MARGINAL_2025_26 },
+  // 2026–27 thresholds are indexed in the following Budget; 2025–26 carried forward.
+  "2026-27": { marginal: MARGINAL_2025_26 },
+};
+
+// Indexation applied to debts on 1 June, by the financial year it falls in.
+// From 1 June 2023 it is the lower of CPI and WPI growth; the 2023 and 2024
+// rates were cut back to WPI after they were first applied.
+export const INDEXATION_RATES = {
+  "2019-20": 0.018,
+  "2020-21": 0.006,
+  "2021-22": 0.039,
+  "2022-23": 0.032,
+  "2023-24": 0.04,
+  "2024-25": 0.032,
+};
+
+// One-off cuts to debts on 1 June, before that day's indexation (the 20% cut of 2025)
+export const DEBT_REDUCTIONS = {
+  "2024-25": 0.2,
+};
+
+const MAX_PROJECTION_YEARS = 50;
+
+// Study loan page inputs (amounts per year) with their share-link keys
+export const STUDY_LOAN_INPUTS = {
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+  balance: { key: "b", type: "number", min: 0, default: 30000 }, // at 1 July
+  repaymentIncome: { key: "i", type: "number", min: 0, default: 85000 },
+  incomeGrowthPct: { key: "g", type: "number", min: -20, max: 20, default: 3 },
+  voluntaryRepayment: { key: "v", type: "number", min: 0, default: 0 }, // each year
+  cpiPct: { key: "cpi", type: "number", min: 0, max: 20, default: 3 },
+  wpiPct: { key: "wpi", type: "number", min: 0, max: 20, default: 3.3 },
+};
+
+const fyStart = (fy) => parseInt(fy, 10);
+const nextFy = (fy) => `${fyStart(fy) + 1}-${String((fyStart(fy) + 2) % 100).padStart(2, "0")}`;
+
+function toAmount(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+
+export function getStudyLoanYear(fy = DEFAULT_FY) {
+  const year = STUDY_LOAN_YEARS[fy];
+  if (!year) {
+    throw new Error(`No study loan repayment thresholds for ${fy}`);
+  }
+  return year;
+}
+
+/** Income at which compulsory repayments start in `fy`. */
+export function repaymentThreshold(fy = DEFAULT_FY) {
+  const { bands, marginal } = getStudyLoanYear(fy);
+  return bands ? bands[0][0] : marginal.brackets[0][0];
+}
+
+/**
+ * Band rate (decimal) for `repaymentIncome` in a year on the percentage
+ * system; null from 2025–26, when the marginal system applies instead.
+ */
+export function repaymentRate(repaymentIncome, fy = DEFAULT_FY) {
+  const { bands } = getStudyLoanYear(fy);
+  if (!bands) return null;
+  const income = toAmount(repaymentIncome);
+  let rate = 0;
+  for (const [from, r] of bands) {
+    if (income >= from) rate = r;
+  }
+  return rate;
+}
+
+/** Compulsory repayment for the year (unrounded; the debt itself is not a limit here). */
+export function compulsoryRepayment(repaymentIncome, fy = DEFAULT_FY) {
+  const income = toAmount(repaymentIncome);
+  const { bands, marginal } = getStudyLoanYear(fy);
+  if (bands) return income * repaymentRate(income, fy);
+
+  let repayment = 0;
+  marginal.brackets.forEach(([from, rate], i) => {
+    const to = i + 1 < marginal.brackets.length ? marginal.brackets[i + 1][0] : Infinity;
+    if (income > from) repayment += (Math.min(income, to) - from) * rate;
+  });
+  return Math.min(repayment, income * marginal.maxShare);
+}
+
+/**
+ * Repayment income: taxable income plus reportable fringe benefits,
+ * reportable super contributions (salary sacrifice and personal deductible
+ * contributions), net investment losses and exempt foreign employment income.
+ */
+export function studyLoanRepaymentIncome({
+  taxableIncome = 0,
+  reportableFringeBenefits = 0,
+  reportableSuperContributions = 0,
+  netInvestmentLosses = 0,
+  exemptForeignIncome = 0,
+}) {
+  return (
+    toAmount(taxableIncome) +
+    toAmount(reportableFringeBenefits) +
+    toAmount(reportableSuperContributions) +
+    toAmount(netInvestmentLosses) +
+    toAmount(exemptForeignIncome)
+  );
+}
+
+/**
+ * Indexation rate for the 1 June in `fy`: the published rate, or for later
+ * years the lower of the projected CPI and WPI growth (decimals).
+ */
+export function indexationRate(fy, { cpi = 0, wpi = 0 } = {}) {
+  if (INDEXATION_RATES[fy] != null) return INDEXATION_RATES[fy];
+  return Math.max(0, Math.min(cpi, wpi));
+}
+
+// Compulsory repayment in any year: past the last published thresholds, the
+// latest ones indexed by `cpi` a year (the same as scaling income down and the
+// repayment back up)
+function projectedRepayment(income, fy, cpi) {
+  if (STUDY_LOAN_YEARS[fy]) return compulsoryRepayment(income, fy);
+  const known = Object.keys(STUDY_LOAN_YEARS);
+  const lastFy = known[known.length - 1];
+  const factor = (1 + cpi) ** (fyStart(fy) - fyStart(lastFy));
+  return compulsoryRepayment(income / factor, lastFy) * factor;
+}
+
+/**
+ * Year-by-year projection of a debt from 1 July of `fy` until it is repaid
+ * (or 50 years). Each year: voluntary repayments go in during the year, any
+ * one-off reduction and the indexation apply on 1 June, and the compulsory
+ * repayment is credited when the year's return is assessed.
+ *
+ * Returns { years, paidOff, payoffFy, yearsToRepay, totalCompulsory,
+ * totalVoluntary, totalIndexation, totalReductions }, with years as
+ * { fy, opening, repaymentIncome, voluntary, reduction, indexationRate,
+ *   indexation, compulsory, closing }.
+ */
+export function projectStudyLoan({
+  fy = DEFAULT_FY,
+  balance,
+  repaymentIncome,
+  incomeGrowthPct = 0,
+  voluntaryRepayment = 0,
+  cpiPct = 0,
+  wpiPct = 0,
+}) {
+  const growth = (Number(incomeGrowthPct) || 0) / 100;
+  const cpi = Math.max(0, Number(cpiPct) || 0) / 100;
+  const wpi = Math.max(0, Number(wpiPct) || 0) / 100;
+  const extra = toAmount(voluntaryRepayment);
+
+  let opening = toAmount(balance);
+  let income = toAmount(repaymentIncome);
+  let year = fy;
+  const years = [];
+
+  while (opening > 0 && years.length < MAX_PROJECTION_YEARS) {
+    const voluntary = Math.min(extra, opening);
+    const beforeJune = opening - voluntary;
+    const reduction = beforeJune * (DEBT_REDUCTIONS[year] || 0);
+    const rate = indexationRate(year, { cpi, wpi });
+    const indexation = (beforeJune - reduction) * rate;
+    const owing = beforeJune - reduction + indexation;
+    const compulsory = Math.min(owing, projectedRepayment(income, year, cpi));
+    const closing = owing - compulsory;
+
+    years.push({
+      fy: year,
+      opening,
+      repaymentIncome: income,
+      voluntary,
+      reduction,
+      indexationRate: rate,
+      indexation,
+      compulsory,
+      closing,
+    });
+
+    opening = closing;
+    income *= 1 + growth;
+    year = nextFy(year);
+  }
+
+  const sum = (key) => years.reduce((total, y) => total + y[key], 0);
+  const paidOff = opening <= 0;
+  return {
+    years,
+    paidOff,
+    payoffFy: paidOff && years.length > 0 ? years[years.length - 1].fy : null,
+    yearsToRepay: paidOff ? years.length : null,
+    totalCompulsory: sum("compulsory"),
+    totalVoluntary: sum("voluntary"),
+    totalIndexation: sum("indexation"),
+    totalReductions: sum("reduction"),
+  };
+}
+
+/**
+ * The study loan calculator: this year's compulsory repayment and the payoff
+ * projection. Returns { threshold, compulsoryThisYear, effectiveRate,
+ * ...projectStudyLoan }.
+ */
+export function calculateStudyLoan(inputs) {
+  const fy = inputs.fy || DEFAULT_FY;
+  const income = toAmount(inputs.repaymentIncome);
+  const compulsoryThisYear = Math.min(compulsoryRepayment(income, fy), toAmount(inputs.balance));
+  return {
+    threshold: repaymentThreshold(fy),
+    compulsoryThisYear,
+    effectiveRate: income > 0 ? compulsoryThisYear / income : 0,
+    ...projectStudyLoan({ ...inputs, fy }),
+  };
+}
@@ -0,0 +1,203 @@
+// lib/tax/takeHome.js
+import { computeIncomeTax, getTaxYear, FINANCIAL_YEARS, DEFAULT_FY } from "./index";
+import { applyFrankingOffset, COMPANY_TAX_RATES, grossUpDividend } from "./franking";
+import { compulsoryRepayment, studyLoanRepaymentIncome } from "./studyLoan";
+import { paygWithholding, MEDICARE_VARIATIONS, PAY_PERIODS } from "./withholding";
+import { concessionalCap } from "@/lib/super/contributions";
+
+/**
+ * Income tax calculator: annualises pay, applies salary sacrifice, WFH and
+ * other deductions, then works out tax and take-home pay for the year. A
+ * study loan debt adds the compulsory repayment, which comes out of take-home
+ * pay like tax does.
+ *
+ * Dividends are added grossed up by their franking credits; the credits are a
+ * refundable offset against the tax and Medicare levy, with any excess
+ * refunded.
+ *
+ * Pay-slip mode also works out the PAYG withheld from each pay and reconciles
+ * a year of it against the tax assessed, as the refund (or bill) expected.
+ */
+
+const PAY_DIVIDERS = { annual: 1, monthly: 12, fortnightly: 26, weekly: 52 };
+
+// Share of the Medicare levy not payable under each exemption variation
+const MEDICARE_EXEMPT_SHARE = { none: 0, half: 0.5, full: 1 };
+
+// Inputs (and defaults) for the tax calculator page and /api/calc/tax
+export const TAKE_HOME_INPUTS = {
+  fy: { key: "fy", type: "enum", values: FINANCIAL_YEARS, default: DEFAULT_FY },
+  income: { key: "i", type: "number", min: 0, default: 90000 },
+  frequency: { key: "f", type: "enum", values: Object.keys(PAY_DIVIDERS), default: "annual" },
+  maritalStatus: { key: "m", type: "enum", values: ["single", "couple"], default: "single" },
+  partnerIncome: { key: "pi", type: "number", min: 0, default: 0 },
+  dependants: { key: "d", type: "number", min: 0, integer: true, default: 0 },
+  includeLITO: { key: "lito", type: "boolean", default: true },
+  includeMedicare: { key: "ml", type: "boolean", default: true },
+  privateHospitalCover: { key: "phi", type: "boolean", default: false },
+  saptoYou: { key: "sa", type: "boolean", default: false },
+  saptoPartner: { key: "sap", type: "boolean", default: false },
+  salarySacrifice: { key: "ss", type: "number", min: 0, default: 0 },
+  otherDeductions: { key: "od", type: "number", min: 0, default: 0 },
+  wfhHours: { key: "wfh", type: "number", min: 0, default: 0 },
+  studyLoan: { key: "sl", type: "boolean", default: false }, // HELP or other study loan debt
+  // Dividends for the year (cash received, before the franking gross-up)
+  dividends: { key: "dv", type: "number", min: 0, default: 0 },
+  frankingPct: { key: "fk", type: "number", min: 0, max: 100, default: 100 },
+  companyTaxRate: { key: "ctr", type: "enum", values: Object.keys(COMPANY_TAX_RATES), default: "30" },
+  // Pay-slip mode: what the employee has declared to their employer
+  paySlipMode: { key: "psm", type: "boolean", default: false },
+  claimsTaxFreeThreshold: { key: "tft", type: "boolean", default: true },
+  medicareVariation: { key: "mv", type: "enum", values: MEDICARE_VARIATIONS, default: "none" },
+};
+
+function clampNonNegative(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, x) : 0;
+}
+// ATO fixed rate per hour for the selected year
+function calcWfhDeduction(hours, fy) {
+  return clampNonNegative(hours) * getTaxYear(fy).wfhRatePerHour;
+}
+// Salary sacrifice, limited to the year's concessional cap
+function calcEffectiveSalarySacrifice(amount, fy) {
+  return Math.min(clampNonNegative(amount), concessionalCap(fy));
+}
+
+export function calculateTakeHome({
+  fy = DEFAULT_FY,
+  income,
+  frequency = "annual", // annual, monthly, fortnightly, weekly
+  maritalStatus = "single", // 'single' | 'couple'
+  partnerIncome = 0,
+  dependants = 0,
+  includeLITO = true,
+  includeMedicare = true,
+  privateHospitalCover = false,
+  saptoYou = false,
+  saptoPartner = false,
+  salarySacrifice = 0, // $/year (pre-tax)
+  otherDeductions = 0, // $/year
+  wfhHours = 0, // hours/year
+  studyLoan = false, // HELP or other study and training loan debt
+  dividends = 0, // $/year cash
+  frankingPct = 100,
+  companyTaxRate = "30", // '30' | '25'
+  paySlipMode = false,
+  claimsTaxFreeThreshold = true,
+  medicareVariation = "none", // 'none' | 'half' | 'full'
+}) {
+  // Annualise
+  const divider = PAY_DIVIDERS[frequency] || 1;
+  const annualIncome = (Number(income) || 0) * divider;
+  const partnerAnnualIncome =
+    maritalStatus === "couple" ? Number(partnerIncome) || 0 : 0;
+
+  // Deductions & taxable income
+  const effectiveSS = calcEffectiveSalarySacrifice(salarySacrifice, fy);
+  const wfhRate = getTaxYear(fy).wfhRatePerHour;
+  const wfhDeduction = calcWfhDeduction(wfhHours, fy);
+  const otherDeductionClamped = clampNonNegative(otherDeductions);
+  const totalNewDeductions = Math.round(effectiveSS + wfhDeduction + otherDeductionClamped);
+
+  // Dividends are assessable grossed up by their franking credits
+  const franking = grossUpDividend(dividends, {
+    frankingPct,
+    companyTaxRate: COMPANY_TAX_RATES[companyTaxRate] ?? COMPANY_TAX_RATES[30],
+  });
+  const taxableIncome = Math.max(0, Math.round(annualIncome + franking.grossedUp - totalNewDeductions));
+
+  // Tax, offsets and levies for the selected year (shared engine)
+  const tax = computeIncomeTax({
+    fy,
+    taxableIncome,
+    maritalStatus,
+    partnerTaxableIncome: partnerAnnualIncome, // assumes partner’s own deductions modelled similarly
+    dependants: Math.max(0, parseInt(dependants || 0, 10)),
+    includeLito: includeLITO,
+    includeMedicare,
+    privateHospitalCover,
+    saptoEligible: saptoYou,
+    partnerSaptoEligible: saptoPartner,
+  });
+
+  // A Medicare levy exemption declared on the pay slip comes off the levy
+  // itself, before franking credits are applied
+  const paySlip = paySlipMode && Boolean(PAY_PERIODS[frequency]);
+  const medicareExemption = paySlip
+    ? Math.round(tax.medicareLevy * (MEDICARE_EXEMPT_SHARE[medicareVariation] || 0))
+    : 0;
+
+  // Total tax, after franking credits (a refundable offset: any excess is paid out)
+  const frankingOffset = applyFrankingOffset(tax.totalTax - medicareExemption, franking.frankingCredit);
+  const totalTaxAnnual = Math.round(frankingOffset.taxAfterOffset);
+  const frankingRefund = Math.round(frankingOffset.refund);
+
+  // Contributions tax on the sacrificed amount (standard 15%; Div293 not modelled)
+  const contributionsTax = Math.round(effectiveSS * 0.15);
+  const netToSuperFromSacrifice = Math.max(0, effectiveSS - contributionsTax);
+
+  // Compulsory study loan repayment: sacrificed salary is a reportable super
+  // contribution, so it counts towards repayment income
+  const repaymentIncome = studyLoanRepaymentIncome({ taxableIncome, reportableSuperContributions: effectiveSS });
+  const studyLoanRepayment = studyLoan ? Math.round(compulsoryRepayment(repaymentIncome, fy)) : 0;
+
+  // Take-home cash (gross pay and dividends less tax and study loan repayment,
+  // plus any franking refund, then less sacrificed amount leaving payroll)
+  const takeHomeAnnual = Math.max(
+    0,
+    Math.round(
+      annualIncome + franking.dividend - totalTaxAnnual + frankingRefund - studyLoanRepayment - effectiveSS
+    )
+  );
+
+  // Pay slip: withholding from each pay (after sacrifice), then a year of it
+  // against the assessment. WFH and other deductions are claimed at tax time,
+  // and tax on dividends (or a franking refund) is settled then too.
+  let payslip = null;
+  if (paySlip) {
+    const earnings = Math.max(0, (Number(income) || 0) - effectiveSS / divider);
+    const withholding = paygWithholding({
+      fy,
+      earnings,
+      frequency,
+      claimsTaxFreeThreshold,
+      medicareVariation,
+      studyLoan,
+    });
+    const assessed = totalTaxAnnual - frankingRefund + studyLoanRepayment;
+    payslip = {
+      earnings,
+      ...withholding,
+      medicareExemption,
+      assessed,
+      refund: withholding.annual - assessed, // negative: a bill
+    };
+  }
+
+  return {
+    annualIncome,
+    partnerAnnualIncome,
+    effectiveSS,
+    wfhRate,
+    wfhDeduction,
+    otherDeductionClamped,
+    totalNewDeductions,
+    franking: { ...franking, offsetUsed: frankingOffset.offsetUsed },
+    taxableIncome,
+    tax,
+    totalTaxAnnual,
+    frankingRefund,
+    repaymentIncome,
+    studyLoanRepayment,
+    contributionsTax,
+    netToSuperFromSacrifice,
+    takeHomeAnnual,
+    takeHomeMonthly: Math.round(takeHomeAnnual / 12),
+    takeHomeFortnightly: Math.round(takeHomeAnnual / 26),
+    divider,
+    payslip,
+    // Marginal (based on TAXABLE income)
+    marginalRate: Math.round(tax.marginalRate * 1000) / 10,
+  };
+}
@@ -0,0 +1,214 @@
+// lib/tax/withholding.js
+import { DEFAULT_FY } from "./rates";
+import { compulsoryRepayment, repaymentRate } from "./studyLoan";
+
+/**
+ * PAYG withholding from a regular pay, as an employer works it out from the
+ * ATO tax tables.
+ *
+ * Schedule 1 (NAT 1004) gives each scale as weekly coefficients: with x the
+ * weekly earnings in whole dollars plus 99 cents, the amount withheld is
+ * y = a·x − b for the first row x is under, rounded to the nearest dollar.
+ * Fortnightly and monthly pays are converted to a weekly equivalent and back.
+ *
+ * Scales: 1 — tax-free threshold not claimed; 2 — claimed; 5 — claimed, full
+ * Medicare levy exemption; 6 — claimed, half exemption.
+ *
+ * Study and training loan debts add the Schedule 8 component, worked out from
+ * the repayment thresholds on the weekly earnings (shifted by the tax-free
+ * threshold when it isn't claimed).
+ */
+
+export const PAY_PERIODS = { weekly: 52, fortnightly: 26, monthly: 12 };
+export const MEDICARE_VARIATIONS = ["none", "half", "full"];
+
+// $18,200 a year as weekly earnings; study loan thresholds drop by this without the tax-free threshold
+const TAX_FREE_THRESHOLD_WEEKLY = 350;
+
+// Rows are [weekly earnings under, a, b]
+export const WITHHOLDING_SCHEDULES = {
+  // Stage 2 rates, in force from 13 October 2020
+  "2020-21": {
+    from: "13 October 2020",
+    scales: {
+      1: [
+        [88, 0.19, 0.19],
+        [371, 0.2348, 3.9639],
+        [515, 0.219, -1.9003],
+        [932, 0.3477, 64.4297],
+        [1957, 0.345, 61.9132],
+        [3111, 0.39, 150.0093],
+        [Infinity, 0.47, 398.9324],
+      ],
+      2: [
+        [359, 0, 0],
+        [438, 0.19, 68.3462],
+        [548, 0.29, 112.1942],
+        [721, 0.21, 68.3465],
+        [865, 0.219, 74.8369],
+        [1282, 0.3477, 186.2119],
+        [2307, 0.345, 182.7504],
+        [3461, 0.39, 286.5965],
+        [Infinity, 0.47, 563.5196],
+      ],
+      5: [
+        [359, 0, 0],
+        [721, 0.19, 68.3462],
+        [865, 0.199, 74.8365],
+        [1282, 0.3277, 186.2119],
+        [2307, 0.325, 182.7504],
+        [3461, 0.37, 286.5965],
+        [Infinity, 0.45, 563.5196],
+      ],
+      6: [
+        [359, 0, 0],
+        [438, 0.19, 68.3462],
+        [548, 0.24, 90.2702],
+        [721, 0.2, 68.3465],
+        [865, 0.209, 74.8369],
+        [1282, 0.3377, 186.2119],
+        [2307, 0.335, 182.7504],
+        [3461, 0.38, 286.5965],
+        [Infinity, 0.46, 563.5196],
+      ],
+    },
+  },
+  // Revised Stage 3 rates, from 1 July 2024
+  "2024-25": {
+    from: "1 July 2024",
+    scales: {
+      1: [
+        [150, 0.16, 0.16],
+        [371, 0.2117, 7.755],
+        [515, 0.189, -0.6702],
+        [932, 0.3227, 68.2367],
+        [2246, 0.32, 65.7202],
+        [3303, 0.39, 222.951],
+        [Infinity, 0.47, 487.2587],
+      ],
+      2: [
+        [361, 0, 0],
+        [500, 0.16, 57.8462],
+        [625, 0.26, 107.8462],
+        [721, 0.18, 57.8462],
+        [865, 0.189, 64.3365],
+        [1282, 0.3227, 180.0385],
+        [2596, 0.32, 176.5769],
+        [3653, 0.39, 358.3077],
+        [Infinity, 0.47, 650.6154],
+      ],
+      5: [
+        [361, 0, 0],
+        [721, 0.16, 57.8462],
+        [865, 0.169, 64.3365],
+        [1282, 0.3027, 180.0385],
+        [2596, 0.3, 176.5769],
+        [3653, 0.37, 358.3077],
+        [Infinity, 0.45, 650.6154],
+      ],
+      6: [
+        [361, 0, 0],
+        [500, 0.16, 57.8462],
+        [625, 0.21, 82.8462],
+        [721, 0.17, 57.8462],
+        [865, 0.179, 64.3365],
+        [1282, 0.3127, 180.0385],
+        [2596, 0.31, 176.5769],
+        [3653, 0.38, 358.3077],
+        [Infinity, 0.46, 650.6154],
+      ],
+    },
+  },
+};
+
+/** Schedule in force for `fy`: the latest one starting in or before it. */
+export function withholdingSchedule(fy = DEFAULT_FY) {
+  const start = parseInt(fy, 10);
+  const from = Object.keys(WITHHOLDING_SCHEDULES).filter((y) => parseInt(y, 10) <= start);
+  if (from.length === 0) throw new Error(`No withholding schedule for ${fy}`);
+  return WITHHOLDING_SCHEDULES[from[from.length - 1]];
+}
+
+/** Schedule 1 scale for the employee's declarations (variations need the tax-free threshold). */
+export function withholdingScale({ claimsTaxFreeThreshold = true, medicareVariation = "none" } = {}) {
+  if (!claimsTaxFreeThreshold) return 1;
+  if (medicareVariation === "full") return 5;
+  if (medicareVariation === "half") return 6;
+  return 2;
+}
+
+/** Whole-dollar weekly equivalent of a pay (monthly pays ending in 33 cents gain a cent first). */
+export function weeklyEquivalent(earnings, frequency) {
+  const amount = Math.max(0, Number(earnings) || 0);
+  if (frequency === "weekly") return Math.floor(amount);
+  if (frequency === "fortnightly") return Math.floor(amount / 2);
+  if (frequency === "monthly") {
+    const cents = Math.round(amount * 100);
+    const adjusted = cents % 100 === 33 ? (cents + 1) / 100 : cents / 100;
+    return Math.floor((adjusted * 3) / 13);
+  }
+  throw new Error(`Unsupported pay frequency: ${frequency}`);
+}
+
+// A weekly amount withheld, converted back to the pay frequency
+function fromWeekly(weekly, frequency) {
+  if (frequency === "fortnightly") return weekly * 2;
+  if (frequency === "monthly") return Math.round((weekly * 13) / 3);
+  return weekly;
+}
+
+/** Tax withheld from whole-dollar `weeklyEarnings` under `scale` of the `fy` schedule. */
+export function weeklyWithholding(weeklyEarnings, { fy = DEFAULT_FY, scale = 2 } = {}) {
+  const rows = withholdingSchedule(fy).scales[scale];
+  if (!rows) throw new Error(`Unknown withholding scale: ${scale}`);
+  const x = Math.floor(Math.max(0, weeklyEarnings)) + 0.99;
+  const [, a, b] = rows.find(([under]) => x < under);
+  return Math.max(0, Math.round(a * x - b));
+}
+
+/** Schedule 8 study and training loan component on whole-dollar `weeklyEarnings`. */
+export function weeklyStudyLoanComponent(weeklyEarnings, { fy = DEFAULT_FY, claimsTaxFreeThreshold = true } = {}) {
+  const x = Math.floor(Math.max(0, weeklyEarnings));
+  const annualised = (x + (claimsTaxFreeThreshold ? 0 : TAX_FREE_THRESHOLD_WEEKLY)) * 52;
+  const rate = repaymentRate(annualised, fy);
+  // Percentage system: the band rate on the actual earnings; marginal system: a weekly share
+  const component = rate === null ? compulsoryRepayment(annualised, fy) / 52 : x * rate;
+  return Math.round(component);
+}
+
+/**
+ * Amount withheld from one pay of `earnings` (gross, after salary sacrifice)
+ * paid `frequency` ("weekly", "fortnightly" or "monthly"). Returns
+ * { scale, scheduleFrom, weeklyEarnings, tax, studyLoan, total,
+ *   periodsPerYear, annual }, all per pay except `annual`.
+ */
+export function paygWithholding({
+  fy = DEFAULT_FY,
+  earnings,
+  frequency = "fortnightly",
+  claimsTaxFreeThreshold = true,
+  medicareVariation = "none",
+  studyLoan = false,
+}) {
+  const periodsPerYear = PAY_PERIODS[frequency];
+  if (!periodsPerYear) throw new Error(`Unsupported pay frequency: ${frequency}`);
+
+  const scale = withholdingScale({ claimsTaxFreeThreshold, medicareVariation });
+  const weeklyEarnings = weeklyEquivalent(earnings, frequency);
+  const tax = fromWeekly(weeklyWithholding(weeklyEarnings, { fy, scale }), frequency);
+  const loan = studyLoan
+    ? fromWeekly(weeklyStudyLoanComponent(weeklyEarnings, { fy, claimsTaxFreeThreshold }), frequency)
+    : 0;
+  const total = tax + loan;
+
+  return {
+    scale,
+    scheduleFrom: withholdingSchedule(fy).from,
+    weeklyEarnings,
+    tax,
+    studyLoan: loan,
+    total,
+    periodsPerYear,
+    annual: total * periodsPerYear,
+  };
+}
@@ -0,0 +1,115 @@
+// lib/urlState.js
+import { parseField, defaultValue } from "@/lib/inputSchema";
+
+/**
+ * Share-link encoding for calculator inputs.
+ *
+ * Inputs are written to the query string under each field's short `key`
+ * (falling back to its name), skipping anything still at its default, plus a
+ * `v` param holding the calculator's schema version. Fields whose default is
+ * a function (like a rules date that follows today's date) are always
+ * written, so the link still means the same thing once that default moves:
+ *
+ *   /calculators/mortgage?v=1&la=750000&x=200
+ *
+ * When a calculator's inputs change incompatibly, bump its version and add a
+ * migration from the old version's params to the new ones. Links from a
+ * version with no migration, or from a newer version, restore nothing.
+ */
+
+export const VERSION_PARAM = "v";
+
+function serialise(value, spec) {
+  if (spec.type === "boolean") return value ? "1" : "0";
+  if (spec.type === "number") return String(Number(value));
+  return String(value);
+}
+
+function deserialise(raw, spec) {
+  if (spec.type === "boolean") {
+    return raw === "1" ? true : raw === "0" ? false : undefined;
+  }
+  return raw;
+}
+
+// Query (object, string or URLSearchParams) → { key: string }
+function toParams(query) {
+  if (query == null) return {};
+  if (typeof query === "string" || query instanceof URLSearchParams) {
+    return Object.fromEntries(new URLSearchParams(query));
+  }
+  const params = {};
+  for (const [key, value] of Object.entries(query)) {
+    const v = Array.isArray(value) ? value[0] : value;
+    if (typeof v === "string") params[key] = v;
+  }
+  return params;
+}
+
+/** Query string (without "?") for `values`; "" when everything is at a fixed default. */
+export function encodeUrlState(values, schema, { version = 1 } = {}) {
+  const params = new URLSearchParams();
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = values?.[name];
+    if (value === undefined || value === null || value === "") continue;
+    if (spec.type === "number" && !Number.isFinite(Number(value))) continue;
+
+    const serialised = serialise(value, spec);
+    const def = typeof spec.default === "function" ? undefined : defaultValue(spec);
+    if (def !== undefined && serialised === serialise(def, spec)) continue;
+
+    params.set(spec.key || name, serialised);
+  }
+
+  if ([...params.keys()].length === 0) return "";
+  return `${VERSION_PARAM}=${version}&${params.toString()}`;
+}
+
+/**
+ * Inputs restored from a share link.
+ *
+ * Returns { values, invalid, status } where `values` holds only the fields
+ * that were present and valid, `invalid` names the ones that were dropped,
+ * and `status` is one of:
+ *  - "empty"        no calculator params in the link
+ *  - "ok"           every param restored
+ *  - "partial"      some params were invalid and left at their defaults
+ *  - "outdated"     the link's version can't be migrated; nothing restored
+ *  - "unsupported"  the link is from a newer version; nothing restored
+ */
+export function decodeUrlState(query, schema, { version = 1, migrations = {} } = {}) {
+  let params = toParams(query);
+  const fields = Object.entries(schema);
+  const known = new Set(fields.map(([name, spec]) => spec.key || name));
+  const none = (status) => ({ values: {}, invalid: [], status });
+
+  if (!Object.keys(params).some((k) => known.has(k) || k === VERSION_PARAM)) {
+    return none("empty");
+  }
+
+  // Links without a version predate versioning and are read as version 1
+  let linkVersion = params[VERSION_PARAM] == null ? 1 : Number(params[VERSION_PARAM]);
+  if (!Number.isInteger(linkVersion) || linkVersion < 1) return none("outdated");
+  if (linkVersion > version) return none("unsupported");
+  while (linkVersion < version) {
+    const migrate = migrations[linkVersion];
+    if (!migrate) return none("outdated");
+    params = migrate({ ...params });
+    linkVersion += 1;
+  }
+
+  const values = {};
+  const invalid = [];
+  for (const [name, spec] of fields) {
+    const raw = params[spec.key || name];
+    if (raw === undefined) continue;
+    const value = parseField(deserialise(raw, spec), spec);
+    if (value === undefined) {
+      invalid.push(name);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, invalid, status: invalid.length > 0 ? "partial" : "ok" };
+}
@@ -0,0 +1,6 @@
+// pages/api/calc/age-pension.js
+import { createCalcHandler } from "@/lib/api/calc";
+import { AGE_PENSION_INPUTS } from "@/lib/centrelink/agePension";
+import { calculateHouseholdForInputs } from "@/lib/centrelink/household";
+
+export default createCalcHandler(AGE_PENSION_INPUTS, calculateHouseholdForInputs);
@@ -0,0 +1,8 @@
+// pages/api/calc/investment-property.js
+import { createCalcHandler } from "@/lib/api/calc";
+import {
+  calculateInvestmentProperty,
+  INVESTMENT_PROPERTY_INPUTS,
+} from "@/lib/property/investmentProperty";
+
+export default createCalcHandler(INVESTMENT_PROPERTY_INPUTS, calculateInvestmentProperty);
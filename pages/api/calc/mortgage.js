@@ -0,0 +1,5 @@
+// pages/api/calc/mortgage.js
+import { createCalcHandler } from "@/lib/api/calc";
+import { calculateMortgage, MORTGAGE_INPUTS } from "@/lib/loan/mortgage";
+
+export default createCalcHandler(MORTGAGE_INPUTS, calculateMortgage);
@@ -0,0 +1,5 @@
+// pages/api/calc/salary-sacrifice.js
+import { createCalcHandler } from "@/lib/api/calc";
+import { calculateSalarySacrifice, SALARY_SACRIFICE_INPUTS } from "@/lib/super/salarySacrifice";
+
+export default createCalcHandler(SALARY_SACRIFICE_INPUTS, calculateSalarySacrifice);
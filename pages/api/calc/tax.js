@@ -0,0 +1,5 @@
+// pages/api/calc/tax.js
+import { createCalcHandler } from "@/lib/api/calc";
+import { calculateTakeHome, TAKE_HOME_INPUTS } from "@/lib/tax/takeHome";
+
+export default createCalcHandler(TAKE_HOME_INPUTS, calculateTakeHome);
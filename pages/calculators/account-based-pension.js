@@ -1,5 +1,5 @@
 // pages/calculators/account-based-pension.js
-import { useMemo, useState, useEffect } from "react";
+import { useMemo, useState, useEffect, useDeferredValue } from "react";
 import Head from "next/head";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
@@ -9,12 +9,32 @@ import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
 import ChartTooltip from "@/components/ChartTooltip";
-import { Printer } from "lucide-react";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  DRAW_RATES,
+  pensionTransferBalance,
+  projectAccountBasedPension,
+  simulateAccountBasedPension,
+  ACCOUNT_BASED_PENSION_INPUTS,
+} from "@/lib/super/accountBasedPension";
+import { LIFE_TABLE_NAME, lifeExpectancy } from "@/lib/super/lifeTables";
+import { TRANSFER_BALANCE_YEARS } from "@/lib/super/rules";
+import { DEFAULT_FY, fyLabel } from "@/lib/tax";
+import { schemaInputs } from "@/lib/export";
 
 import {
   ResponsiveContainer,
   AreaChart,
+  ComposedChart,
+  LineChart,
+  BarChart,
   Area,
+  Line,
+  Bar,
   CartesianGrid,
   XAxis,
   YAxis,
@@ -22,17 +42,6 @@ import {
   Legend,
 } from "recharts";
 
-/** ─────────────────────────────────────────────────────────────────────
- * Account-Based Pension (ABP) – income-only chart (CPI-indexed if enabled)
- * If requested income < minimum in any year, the minimum is paid instead.
- * Assumptions:
- * - Minimum drawdown is on the opening balance each financial year.
- * - Earnings & fees via average-balance approximation:
- * earnings ≈ (opening − 0.5 × withdrawals) × return%
- * fees ≈ opening × fee%
- * - Payments are modeled as evenly spread through the year.
- * ──────────────────────────────────────────────────────────────────── */
-
 // Currency formatter for display values
 const aud0 = (n) =>
   (isFinite(n) ? n : 0).toLocaleString("en-AU", {
@@ -50,195 +59,380 @@ const currencyTickFormatter = (v) =>
     maximumFractionDigits: 0,
   });
 
-// Legislated minimum drawdown rates (as at 1 July 2025)
-const DRAW_RATES = [
-  { label: "Under 65", range: "<65", rate: 0.04 },
-  { label: "65–74", range: "65–74", rate: 0.05 },
-  { label: "75–79", range: "75–79", rate: 0.06 },
-  { label: "80–84", range: "80–84", rate: 0.07 },
-  { label: "85–89", range: "85–89", rate: 0.09 },
-  { label: "90–94", range: "90–94", rate: 0.11 },
-  { label: "95+", range: "95+", rate: 0.14 },
+// Whole-percent formatter for probabilities (0–1)
+const pct0 = (p) => `${Math.round((Number(p) || 0) * 100)}%`;
+
+// Headline figures and balance by age for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Total income withdrawn", value: (r) => r.totals.totalIncome, format: aud0, better: "higher" },
+  { label: "Total earnings", value: (r) => r.totals.totalEarnings, format: aud0, better: "higher" },
+  { label: "Ending balance", value: (r) => r.totals.endingBalance, format: aud0, better: "higher" },
+  { label: "Total Age Pension", value: (r) => r.totals.totalAgePension, format: aud0, better: "higher" },
+  {
+    label: "Age balance runs out",
+    value: (r) => r.depletionAge,
+    format: String,
+    diffFormat: (n) => `${n} ${n === 1 ? "year" : "years"}`,
+    better: "higher",
+  },
 ];
+const SCENARIO_CHART = {
+  title: "Balance by age",
+  xLabel: "Age",
+  series: (r) => r.chartBalance.map((p) => ({ x: p.age, y: p.Balance })),
+  format: aud0,
+};
 
-function minDrawdownRate(age) {
-  if (age < 65) return 0.04;
-  if (age <= 74) return 0.05;
-  if (age <= 79) return 0.06;
-  if (age <= 84) return 0.07;
-  if (age <= 89) return 0.09;
-  if (age <= 94) return 0.11;
-  // Age 95 and above
-  return 0.14;
-}
+// Spreadsheet export: input labels and the year-by-year projection
+const EXPORT_FIELDS = {
+  openingBalance: { label: "Opening balance", format: "currency" },
+  age: "Your age",
+  returnPct: "Investment return (% p.a.)",
+  feePct: "Fees (% p.a.)",
+  years: "Projection length (years)",
+  requestedAnnual: { label: "Requested annual income", format: "currency" },
+  indexByInflation: "Index requested income by CPI",
+  inflationPct: "CPI (% p.a.)",
+  mode: "Return model",
+  volatilityPct: "Volatility (% p.a.)",
+  simulations: "Simulations",
+  mortality: "Allow for mortality",
+  sex: "Sex (life tables)",
+  agePension: "Include the Age Pension",
+  status: "Relationship status",
+  homeowner: "Homeowner",
+  otherAssets: { label: "Other assessable assets", format: "currency" },
+  otherFinancialAssets: { label: "Other financial assets", format: "currency" },
+  priorPension: "Already started a retirement-phase pension",
+  priorPensionFy: "Earlier pension started (financial year)",
+  priorPensionCredits: { label: "Earlier pensions' starting value", format: "currency" },
+  priorPensionDebits: { label: "Commuted from earlier pensions", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "Age", format: "integer", value: (r) => r.age },
+  { key: "Opening", format: "currency", value: (r) => r.opening },
+  { key: "MinDrawdownRate", format: "percent", value: (r) => r.minRate },
+  { key: "MinDrawdown", format: "currency", value: (r) => r.minDrawdown },
+  { key: "Requested", format: "currency", value: (r) => r.requestedIndexed },
+  { key: "Paid", format: "currency", value: (r) => r.payment },
+  { key: "Earnings", format: "currency", value: (r) => r.earnings },
+  { key: "Fees", format: "currency", value: (r) => r.fees },
+  { key: "Closing", format: "currency", value: (r) => r.closing },
+  { key: "AgePension", format: "currency", value: (r) => r.agePension },
+  { key: "TotalIncome", format: "currency", value: (r) => r.totalIncome },
+  // Monte Carlo columns; blank in fixed-return mode
+  { key: "P10Closing", format: "currency", value: (r) => r.p10 ?? null },
+  { key: "P50Closing", format: "currency", value: (r) => r.p50 ?? null },
+  { key: "P90Closing", format: "currency", value: (r) => r.p90 ?? null },
+  { key: "ChanceMoneyLasts", format: "percent", value: (r) => r.lasts ?? null },
+  { key: "ChanceAlive", format: "percent", value: (r) => r.alive ?? null },
+];
 
 export default function AccountBasedPensionCalculator() {
-  // — Inputs —
-  const [openingBalance, setOpeningBalance] = useState(500000);
-  const [age, setAge] = useState(67);
-  const [returnPct, setReturnPct] = useState(6.0); // p.a. gross investment return
-  const [feePct, setFeePct] = useState(0.7); // p.a. fees %
-  const [years, setYears] = useState(25);
-
-  // Requested annual pension (user’s target)
-  const [requestedAnnual, setRequestedAnnual] = useState(35000);
-
-  // CPI indexing for requested amount
-  const [indexByInflation, setIndexByInflation] = useState(true);
-  const [inflationPct, setInflationPct] = useState(2.5);
+  // — Inputs (mirrored to the query string so the scenario can be shared) —
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(ACCOUNT_BASED_PENSION_INPUTS);
+  const {
+    openingBalance,
+    age,
+    returnPct, // p.a. gross investment return
+    feePct, // p.a. fees %
+    years,
+    requestedAnnual, // requested annual pension (user’s target)
+    indexByInflation, // CPI indexing for requested amount
+    inflationPct,
+    mode,
+    volatilityPct,
+    simulations,
+    mortality, // weight outcomes by Australian Life Tables
+    sex,
+    agePension, // add the Age Pension each year from 67
+    status,
+    homeowner,
+    otherAssets,
+    otherFinancialAssets,
+    priorPension,
+    priorPensionFy,
+    priorPensionCredits,
+    priorPensionDebits,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setOpeningBalance = setter("openingBalance");
+  const setAge = setter("age");
+  const setReturnPct = setter("returnPct");
+  const setFeePct = setter("feePct");
+  const setYears = setter("years");
+  const setRequestedAnnual = setter("requestedAnnual");
+  const setIndexByInflation = setter("indexByInflation");
+  const setInflationPct = setter("inflationPct");
+  const setMode = setter("mode");
+  const setVolatilityPct = setter("volatilityPct");
+  const setSimulations = setter("simulations");
+  const setMortality = setter("mortality");
+  const setSex = setter("sex");
+  const setAgePension = setter("agePension");
+  const setStatus = setter("status");
+  const setHomeowner = setter("homeowner");
+  const setOtherAssets = setter("otherAssets");
+  const setOtherFinancialAssets = setter("otherFinancialAssets");
+  const setPriorPension = setter("priorPension");
+  const setPriorPensionFy = setter("priorPensionFy");
+  const setPriorPensionCredits = setter("priorPensionCredits");
+  const setPriorPensionDebits = setter("priorPensionDebits");
+  const monteCarlo = mode === "monteCarlo";
 
   // Mount guard to avoid zero-size charts on first SSR render / route transitions
   const [mounted, setMounted] = useState(false);
   useEffect(() => setMounted(true), []);
 
-  const sim = useMemo(() => {
-    // --- Data Sanitisation & Conversion ---
-    const startBal = Math.max(0, Number(openingBalance) || 0);
-    const startAge = Math.max(0, Math.floor(Number(age) || 0));
-    const r = (Number(returnPct) || 0) / 100; // annual return rate
-    const f = (Number(feePct) || 0) / 100; // annual fee rate
-    const horizon = Math.max(0, Math.floor(Number(years) || 0));
-    const req0 = Math.max(0, Number(requestedAnnual) || 0); // requested initial payment
-    const cpi = (Number(inflationPct) || 0) / 100; // inflation rate
-
-    // --- Simulation Functions ---
-    // Earnings approximation based on average balance
-    const earningsApprox = (opening, payment) =>
-      Math.max(0, (opening - 0.5 * payment) * r);
-    // Fees approximation based on opening balance
-    const feesApprox = (opening) => opening * f;
-
-    // --- Simulation Variables ---
-    let currentBalance = startBal;
-    const rows = [];
-    const chartIncome = [];
-    const chartBalance = [];
-
-    let totalIncome = 0;
-    let totalEarnings = 0;
-    let totalFees = 0;
-
-    // --- Simulation Loop ---
-    for (let y = 0; y < horizon; y++) {
-      const currentAge = startAge + y;
-      const opening = currentBalance;
-
-      if (opening <= 0) {
-        // If balance is depleted, record zeros for the rest of the projection
-        rows.push({
-          year: y + 1,
-          age: currentAge,
-          minRate: minDrawdownRate(currentAge),
-          opening: 0,
-          minDrawdown: 0,
-          requestedIndexed: indexByInflation
-            ? Math.round(req0 * Math.pow(1 + cpi, y))
-            : Math.round(req0),
-          payment: 0,
-          earnings: 0,
-          fees: 0,
-          closing: 0,
-        });
-
-        chartIncome.push({ age: currentAge, Income: 0 });
-        chartBalance.push({ age: currentAge, Balance: 0 });
-        continue;
-      }
-
-      const minRate = minDrawdownRate(currentAge);
-      const minDrawdown = opening * minRate;
-
-      // Requested amount, indexed if CPI is enabled
-      const requestedIndexed = indexByInflation
-        ? req0 * Math.pow(1 + cpi, y)
-        : req0;
-
-      // Payment is the MAX of the minimum or the requested amount
-      let payment = Math.max(minDrawdown, requestedIndexed);
-      let earnings = 0;
-      let fees = 0;
-      let closing = 0;
-
-      // ✅ Depletion check (pragmatic simplification): 
-      // If the required payment exceeds the balance, pay only the remainder.
-      if (payment >= opening) {
-        payment = opening;
-        closing = 0;
-        // If account is emptied, we assume no full-year earnings/fees apply
-        earnings = 0; 
-        fees = 0;
-      } else {
-        earnings = earningsApprox(opening, payment);
-        fees = feesApprox(opening);
-        closing = opening + earnings - fees - payment;
-        // Safety check, should be redundant if logic is perfect, but good practice
-        if (closing < 0) closing = 0; 
-      }
-
-      totalIncome += payment;
-      totalEarnings += earnings;
-      totalFees += fees;
-
-      // --- Record Row Data ---
-      rows.push({
-        year: y + 1,
-        age: currentAge,
-        minRate,
-        opening: Math.round(opening),
-        minDrawdown: Math.round(minDrawdown),
-        requestedIndexed: Math.round(requestedIndexed),
-        payment: Math.round(payment),
-        earnings: Math.round(earnings),
-        fees: Math.round(fees),
-        closing: Math.round(closing),
-      });
-
-      // --- Record Chart Data ---
-      chartIncome.push({ age: currentAge, Income: Math.round(payment) });
-      chartBalance.push({ age: currentAge, Balance: Math.round(closing) });
-
-      currentBalance = closing;
-    }
-
-    // --- Summary Calculations ---
-    const firstRate = minDrawdownRate(startAge);
-    const firstMin = startBal * firstRate;
-    const firstRequested = req0;
-    const firstPaid = Math.min(startBal, Math.max(firstMin, firstRequested));
-
-    // Find first year where the closing balance hits zero
-    let depletionAge = null;
-    for (const r of rows) {
-      if (r.closing === 0) {
-        depletionAge = r.age; // age in the year the balance first hits $0
-        break;
-      }
-    }
-
-    return {
-      rows,
-      chartIncome,
-      chartBalance,
-      totals: {
-        totalIncome: Math.round(totalIncome),
-        totalEarnings: Math.round(totalEarnings),
-        totalFees: Math.round(totalFees),
-        endingBalance: Math.round(currentBalance),
-      },
-      firstYear: {
-        minRate: firstRate,
-        minAmount: Math.round(firstMin),
-        requested: Math.round(firstRequested),
-        paid: Math.round(firstPaid),
-      },
-      depletionAge,
-    };
-  }, [openingBalance, age, returnPct, feePct, years, requestedAnnual, indexByInflation, inflationPct]);
+  const sim = useMemo(
+    () =>
+      projectAccountBasedPension({
+        openingBalance,
+        age,
+        returnPct,
+        feePct,
+        years,
+        requestedAnnual,
+        indexByInflation,
+        inflationPct,
+        agePension,
+        status,
+        homeowner,
+        otherAssets,
+        otherFinancialAssets,
+      }),
+    [
+      openingBalance,
+      age,
+      returnPct,
+      feePct,
+      years,
+      requestedAnnual,
+      indexByInflation,
+      inflationPct,
+      agePension,
+      status,
+      homeowner,
+      otherAssets,
+      otherFinancialAssets,
+    ]
+  );
+
+  // Transfer balance account once this pension starts this financial year
+  const tba = useMemo(
+    () =>
+      pensionTransferBalance(
+        { openingBalance, priorPension, priorPensionFy, priorPensionCredits, priorPensionDebits },
+        DEFAULT_FY
+      ),
+    [openingBalance, priorPension, priorPensionFy, priorPensionCredits, priorPensionDebits]
+  );
+  const tbaNote =
+    tba.excess > 0
+      ? `The opening balance is ${aud0(tba.excess)} over your ${aud0(tba.personalCap)} transfer balance cap. ` +
+        "The excess has to stay in accumulation phase or be taken out of super; " +
+        "if it goes into the pension, excess transfer balance tax applies until it is commuted."
+      : null;
+
+  // Stochastic run; deferred so typing stays responsive with many paths
+  const deferredInputs = useDeferredValue(inputs);
+  const stoch = useMemo(
+    () => (deferredInputs.mode === "monteCarlo" ? simulateAccountBasedPension(deferredInputs) : null),
+    [deferredInputs]
+  );
+  const stochOn = monteCarlo && stoch;
+
+  // Fixed-return rows and balance chart with the simulated percentiles merged in by age
+  const rows = useMemo(() => {
+    if (!stochOn) return sim.rows;
+    const bandByAge = new Map(stoch.bands.map((b) => [b.age, b]));
+    const riskByAge = new Map(stoch.byAge.map((b) => [b.age, b]));
+    return sim.rows.map((r) => {
+      const b = bandByAge.get(r.age);
+      const k = riskByAge.get(r.age);
+      return b ? { ...r, p10: b.p10, p50: b.p50, p90: b.p90, lasts: k.lasts, alive: k.alive } : r;
+    });
+  }, [sim.rows, stoch, stochOn]);
+  const balanceChart = useMemo(() => {
+    if (!stochOn) return sim.chartBalance;
+    const bandByAge = new Map(stoch.bands.map((b) => [b.age, b]));
+    return sim.chartBalance.map((p) => {
+      const b = bandByAge.get(p.age);
+      return b ? { ...p, range: [b.p10, b.p90], p10: b.p10, p50: b.p50, p90: b.p90 } : p;
+    });
+  }, [sim.chartBalance, stoch, stochOn]);
+  const riskChart = useMemo(
+    () =>
+      stochOn
+        ? stoch.byAge.map((b) => ({
+            age: b.age,
+            "Money lasts": b.lasts,
+            ...(b.alive != null ? { "Still alive": b.alive } : {}),
+          }))
+        : [],
+    [stoch, stochOn]
+  );
+  const depletionChart = useMemo(
+    () =>
+      stochOn
+        ? stoch.depletion.map((d) => ({
+            age: d.age,
+            "Runs out": d.share,
+            ...(d.shareAlive != null ? { "Runs out while alive": d.shareAlive } : {}),
+          }))
+        : [],
+    [stoch, stochOn]
+  );
+  const stochNote = !stochOn
+    ? null
+    : stoch.summary.medianDepletionAge
+      ? `Across ${stoch.summary.simulations.toLocaleString("en-AU")} simulations, half run out by age ${stoch.summary.medianDepletionAge}.`
+      : `More than half of ${stoch.summary.simulations.toLocaleString("en-AU")} simulations still have money at the end of the projection.`;
 
   // Depletion note message generator
   const depletionNote = sim.depletionAge
     ? `Your pension is projected to last until you reach age ${sim.depletionAge}.`
     : `Your pension is projected to last beyond the projection period.`;
+  const agePensionNote = !agePension
+    ? null
+    : sim.agePension.startAge === null
+      ? "No Age Pension is payable during the projection: assets or income stay above the limits, or you are under 67."
+      : sim.agePension.fullRateAge === sim.agePension.startAge
+        ? `The full Age Pension is payable from age ${sim.agePension.startAge}.`
+        : `A part Age Pension starts at age ${sim.agePension.startAge}` +
+          (sim.agePension.fullRateAge
+            ? ` and rises to the full rate by age ${sim.agePension.fullRateAge} as your balance falls.`
+            : " and rises as your balance falls.");
+
+  // PDF report, with the minimum drawdown rates the projection applies
+  const getReport = () => ({
+    title: "Account-Based Pension Calculator",
+    inputs: [
+      { label: "Opening balance", value: aud0(Number(openingBalance) || 0) },
+      { label: "Your age", value: `${age} years` },
+      { label: "Projection length", value: `${years} years` },
+      { label: "Investment return", value: `${returnPct}% p.a.` },
+      { label: "Fees", value: `${feePct}% p.a.` },
+      { label: "Requested annual income", value: aud0(Number(requestedAnnual) || 0) },
+      { label: "Index requested income by CPI", value: indexByInflation ? `Yes, at ${inflationPct}% p.a.` : "No" },
+      ...(priorPension
+        ? [
+            {
+              label: "Earlier pensions",
+              value: `From ${fyLabel(priorPensionFy)}: ${aud0(Number(priorPensionCredits) || 0)} credited, ${aud0(
+                Number(priorPensionDebits) || 0
+              )} commuted`,
+            },
+          ]
+        : []),
+      ...(stochOn
+        ? [
+            { label: "Return model", value: `Monte Carlo, ${volatilityPct}% p.a. volatility` },
+            { label: "Simulations", value: stoch.summary.simulations.toLocaleString("en-AU") },
+            { label: "Mortality", value: mortality ? `${LIFE_TABLE_NAME}, ${sex}` : "Not included" },
+          ]
+        : []),
+      ...(agePension
+        ? [
+            {
+              label: "Age Pension",
+              value: `${status === "couple" ? "Couple" : "Single"}, ${homeowner ? "homeowner" : "non-homeowner"}`,
+            },
+            { label: "Other assessable assets", value: aud0(Number(otherAssets) || 0) },
+            { label: "Other financial assets", value: aud0(Number(otherFinancialAssets) || 0) },
+          ]
+        : []),
+    ],
+    results: [
+      { label: "Total income withdrawn", value: aud0(sim.totals.totalIncome) },
+      { label: "Total earnings", value: aud0(sim.totals.totalEarnings) },
+      { label: "Ending balance", value: aud0(sim.totals.endingBalance) },
+      { label: "Projected to last", value: sim.depletionAge ? `Until age ${sim.depletionAge}` : "Beyond the projection" },
+      ...(agePension
+        ? [
+            { label: "Total Age Pension", value: aud0(sim.totals.totalAgePension) },
+            { label: "Total retirement income", value: aud0(sim.totals.totalRetirementIncome) },
+            { label: "Part Age Pension starts", value: sim.agePension.startAge ? `Age ${sim.agePension.startAge}` : "Not in the projection" },
+          ]
+        : []),
+      ...(stochOn
+        ? [
+            { label: "Chance money lasts the projection", value: pct0(stoch.summary.lastsHorizon) },
+            {
+              label: "Median age money runs out",
+              value: stoch.summary.medianDepletionAge ? String(stoch.summary.medianDepletionAge) : "Beyond the projection",
+            },
+            ...(mortality ? [{ label: "Chance of outliving the money", value: pct0(stoch.summary.outliveMoney) }] : []),
+          ]
+        : []),
+    ],
+    rules: [
+      ...DRAW_RATES.map((r) => ({
+        label: `Minimum drawdown, age ${r.label.toLowerCase()}`,
+        value: `${(r.rate * 100).toFixed(0)}% of the 1 July balance`,
+      })),
+      { label: `Personal transfer balance cap (${fyLabel(DEFAULT_FY)})`, value: aud0(tba.personalCap) },
+      { label: "Transfer balance account with this pension", value: aud0(tba.balance) },
+    ],
+    notes: [
+      ...(tbaNote ? [tbaNote] : []),
+      ...(agePension
+        ? [
+            "Age Pension is assessed each year from age 67 on the 1 July balance, which is deemed and counted under the assets test.",
+            "Age Pension rates and thresholds are assumed to rise with the inflation rate entered; other assets stay at today's value.",
+          ]
+        : []),
+      ...(stochOn
+        ? [
+            "Monte Carlo figures draw each year's return at random around the mean, so the order of good and bad years matters.",
+            "The year-by-year table shows the fixed-return projection.",
+            ...(mortality
+              ? ["Chances of being alive use the Australian Life Tables 2020–22 and make no allowance for future improvements."]
+              : []),
+          ]
+        : []),
+    ],
+    tables: [
+      {
+        title: "Year-by-year breakdown",
+        head: [
+          "Year",
+          "Age",
+          "Opening",
+          "Min %",
+          "Minimum pmt",
+          "Requested pmt",
+          "Paid",
+          "Earnings",
+          "Fees",
+          "Closing",
+          ...(agePension ? ["Age Pension", "Total income"] : []),
+        ],
+        body: sim.rows.map((r) => [
+          r.year,
+          r.age,
+          aud0(r.opening),
+          `${(r.minRate * 100).toFixed(1)}%`,
+          aud0(r.minDrawdown),
+          aud0(r.requestedIndexed),
+          aud0(r.payment),
+          aud0(r.earnings),
+          aud0(r.fees),
+          aud0(r.closing),
+          ...(agePension ? [aud0(r.agePension), aud0(r.totalIncome)] : []),
+        ]),
+      },
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Account-Based Pension Calculator",
+    inputs: schemaInputs(ACCOUNT_BASED_PENSION_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows,
+  });
 
   // ——— SEO constants ———
   const pageTitle = "Account-Based Pension (ABP) Calculator (Australia)";
@@ -311,11 +505,18 @@ export default function AccountBasedPensionCalculator() {
             </p>
             <p className="mt-2">
               If your chosen income is below the legislated minimum in any year,
-              the minimum is paid instead.
+              the minimum is paid instead. Include the Age Pension to see your total
+              retirement income as the balance is drawn down.
             </p>
           </div>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <div className="no-print">
           {/* Optional explainer link (edit or remove if you don’t have this post yet) */}
           <SubtleCtaLink className="mt-3" href="/blog/how-to-use-an-account-based-pension-calculator">
@@ -325,7 +526,31 @@ export default function AccountBasedPensionCalculator() {
 
         {/* INPUTS – single card, grouped, 3-col grid */}
         <div className="mt-6 no-print">
-          <SectionCard title="Your assumptions">
+          <SectionCard
+            title="Your assumptions"
+            aside={
+              <div className="inline-flex rounded-lg border bg-white p-0.5">
+                <button
+                  type="button"
+                  onClick={() => setMode("fixed")}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    !monteCarlo ? "bg-gray-800 text-white" : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  Fixed return
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMode("monteCarlo")}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    monteCarlo ? "bg-gray-800 text-white" : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  Monte Carlo
+                </button>
+              </div>
+            }
+          >
             <div className="space-y-6">
               {/* Opening + Age + Horizon */}
               <div>
@@ -370,6 +595,78 @@ export default function AccountBasedPensionCalculator() {
                 </div>
               </div>
 
+              {/* Transfer balance cap */}
+              <div>
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Transfer balance cap
+                  <Tooltip text="The most you can move into retirement-phase pensions. Your personal cap is set when you start your first one and only part-indexed after that." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={priorPension}
+                      onChange={(e) => setPriorPension(e.target.checked)}
+                    />
+                    I&apos;ve already started a retirement-phase pension
+                  </label>
+
+                  {priorPension && (
+                    <>
+                      <label className="flex flex-col">
+                        <span className="text-slate-600">First pension started in</span>
+                        <select
+                          value={priorPensionFy}
+                          onChange={(e) => setPriorPensionFy(e.target.value)}
+                          className="border rounded px-2 py-1"
+                        >
+                          {TRANSFER_BALANCE_YEARS.map((fy) => (
+                            <option key={fy} value={fy}>
+                              {fyLabel(fy)}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Value of earlier pensions when started ($)
+                          <Tooltip text="The total credited to your transfer balance account. Later earnings and payments don't change it." />
+                        </span>
+                        <CurrencyInput
+                          min="0"
+                          className="w-full"
+                          value={priorPensionCredits}
+                          onChange={setPriorPensionCredits}
+                        />
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Commuted since ($)
+                          <Tooltip text="Lump sums taken out of, or rolled back from, those pensions. Regular pension payments don't count." />
+                        </span>
+                        <CurrencyInput
+                          min="0"
+                          className="w-full"
+                          value={priorPensionDebits}
+                          onChange={setPriorPensionDebits}
+                        />
+                      </label>
+                    </>
+                  )}
+                </div>
+                <p className="mt-2 text-[11px] text-slate-600">
+                  Personal cap in {fyLabel(DEFAULT_FY)}: <strong>{aud0(tba.personalCap)}</strong>
+                  {tba.before.started ? `, with ${aud0(tba.before.available)} unused before this pension` : ""}.
+                </p>
+                {tbaNote && (
+                  <div className="mt-2 p-3 bg-red-50 border border-red-100 rounded-md text-sm text-red-800">
+                    {tbaNote}
+                  </div>
+                )}
+              </div>
+
               {/* Returns & Fees */}
               <div>
                 <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
@@ -378,7 +675,9 @@ export default function AccountBasedPensionCalculator() {
                 </h3>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
                   <label className="flex flex-col">
-                    <span className="text-slate-600">Investment return (% p.a.)</span>
+                    <span className="text-slate-600">
+                      {monteCarlo ? "Mean investment return (% p.a.)" : "Investment return (% p.a.)"}
+                    </span>
                     <input
                       type="number"
                       step="0.1"
@@ -402,9 +701,84 @@ export default function AccountBasedPensionCalculator() {
                       onChange={(e) => setFeePct(Number(e.target.value))}
                     />
                   </label>
+
+                  {monteCarlo && (
+                    <>
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Volatility (% p.a.)
+                          <Tooltip text="Standard deviation of yearly returns. Roughly 8–11% suits a balanced option, 13–16% a growth option." />
+                        </span>
+                        <input
+                          type="number"
+                          step="0.5"
+                          min="0"
+                          inputMode="decimal"
+                          className="border rounded px-2 py-1"
+                          value={volatilityPct}
+                          onChange={(e) => setVolatilityPct(Number(e.target.value))}
+                        />
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Simulations
+                          <Tooltip text="Number of simulated return sequences (100–10,000)." />
+                        </span>
+                        <input
+                          type="number"
+                          step="100"
+                          min="100"
+                          max="10000"
+                          inputMode="numeric"
+                          className="border rounded px-2 py-1"
+                          value={simulations}
+                          onChange={(e) => setSimulations(Number(e.target.value))}
+                        />
+                      </label>
+                    </>
+                  )}
                 </div>
               </div>
 
+              {/* Longevity (Monte Carlo only) */}
+              {monteCarlo && (
+                <div>
+                  <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                    Longevity
+                    <Tooltip text="Weights each outcome by the chance you are still alive, using the Australian Life Tables." />
+                  </h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={mortality}
+                        onChange={(e) => setMortality(e.target.checked)}
+                      />
+                      Allow for mortality
+                    </label>
+
+                    <label className="flex items-center gap-2">
+                      <span className="text-slate-600">Sex</span>
+                      <select
+                        value={sex}
+                        onChange={(e) => setSex(e.target.value)}
+                        className="border rounded px-2 py-1"
+                        disabled={!mortality}
+                      >
+                        <option value="male">Male</option>
+                        <option value="female">Female</option>
+                      </select>
+                    </label>
+                  </div>
+                  {mortality && (
+                    <p className="mt-2 text-[11px] text-slate-600">
+                      At age {age}, life expectancy is about {lifeExpectancy(age, sex).toFixed(1)} more years ({LIFE_TABLE_NAME}).
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Income settings */}
               <div>
                 <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
@@ -441,7 +815,7 @@ export default function AccountBasedPensionCalculator() {
                       className="border rounded px-2 py-1 w-24"
                       value={inflationPct}
                       onChange={(e) => setInflationPct(Number(e.target.value))}
-                      disabled={!indexByInflation}
+                      disabled={!indexByInflation && !agePension}
                     />
                   </label>
                 </div>
@@ -458,6 +832,81 @@ export default function AccountBasedPensionCalculator() {
                 </div>
               </div>
 
+              {/* Age Pension */}
+              <div>
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Age Pension
+                  <Tooltip text="From age 67, each year's opening balance is deemed and asset-tested with your other assets, and any Age Pension is added to your income." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={agePension}
+                      onChange={(e) => setAgePension(e.target.checked)}
+                    />
+                    Include the Age Pension
+                  </label>
+
+                  {agePension && (
+                    <>
+                      <label className="flex flex-col">
+                        <span className="text-slate-600">Relationship status</span>
+                        <select
+                          value={status}
+                          onChange={(e) => setStatus(e.target.value)}
+                          className="border rounded px-2 py-1"
+                        >
+                          <option value="single">Single</option>
+                          <option value="couple">Couple</option>
+                        </select>
+                      </label>
+
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={homeowner}
+                          onChange={(e) => setHomeowner(e.target.checked)}
+                        />
+                        Homeowner
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Other assessable assets ($)
+                          <Tooltip text="Assets that aren't deemed, such as cars, contents and caravans (not your home)." />
+                        </span>
+                        <CurrencyInput
+                          min="0"
+                          className="w-full"
+                          value={otherAssets}
+                          onChange={setOtherAssets}
+                        />
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600 flex items-center gap-2">
+                          Other financial assets ($)
+                          <Tooltip text="Bank accounts, shares and a partner's super or pension. These are deemed along with this pension." />
+                        </span>
+                        <CurrencyInput
+                          min="0"
+                          className="w-full"
+                          value={otherFinancialAssets}
+                          onChange={setOtherFinancialAssets}
+                        />
+                      </label>
+                    </>
+                  )}
+                </div>
+                {agePension && status === "couple" && (
+                  <p className="mt-2 text-[11px] text-slate-600">
+                    Couples are assessed on combined assets and the combined pension is shown; both partners are
+                    assumed to be the same age.
+                  </p>
+                )}
+              </div>
+
               {/* Legislated minimum rates table */}
               <div>
                 <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
@@ -482,9 +931,10 @@ export default function AccountBasedPensionCalculator() {
             <p className="text-[11px] text-slate-600 leading-snug mb-4 max-w-3xl">
               Annual pension paid (indexed by CPI if enabled). If requested income is below the minimum in a year,
               the minimum is paid.
+              {agePension && " Age Pension is stacked on top to show total retirement income."}
             </p>
 
-            <div className="w-full h-64">
+            <div data-report-chart="Income projection" className="w-full h-64">
               {mounted && (
                 <ResponsiveContainer>
                   <AreaChart data={sim.chartIncome}>
@@ -511,7 +961,20 @@ export default function AccountBasedPensionCalculator() {
                       fill="#bfdbfe"
                       fillOpacity={0.35}
                       strokeWidth={2}
+                      stackId="income"
                     />
+                    {agePension && (
+                      <Area
+                        type="monotone"
+                        dataKey="AgePension"
+                        name="Age Pension"
+                        stroke="#059669"
+                        fill="#a7f3d0"
+                        fillOpacity={0.45}
+                        strokeWidth={2}
+                        stackId="income"
+                      />
+                    )}
                   </AreaChart>
                 </ResponsiveContainer>
               )}
@@ -524,12 +987,13 @@ export default function AccountBasedPensionCalculator() {
           <SectionCard title="Account balance projection">
             <p className="text-[11px] text-slate-600 leading-snug mb-4 max-w-3xl">
               Estimated end-of-year balance after income, earnings and fees.
+              {stochOn && " The shaded band holds the middle 80% of simulated balances."}
             </p>
 
-            <div className="w-full h-64">
+            <div data-report-chart="Account balance projection" className="w-full h-64">
               {mounted && (
                 <ResponsiveContainer>
-                  <AreaChart data={sim.chartBalance}>
+                  <ComposedChart data={balanceChart}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="age" tick={{ fontSize: 10, fill: "#4b5563" }} />
                     <YAxis
@@ -545,22 +1009,132 @@ export default function AccountBasedPensionCalculator() {
                       }
                     />
                     <Legend wrapperStyle={{ fontSize: "11px", paddingTop: "4px" }} iconSize={8} />
+                    {stochOn && (
+                      <Area
+                        type="monotone"
+                        dataKey="range"
+                        stroke="none"
+                        fill="#c7d2fe"
+                        fillOpacity={0.5}
+                        legendType="none"
+                        tooltipType="none"
+                      />
+                    )}
                     <Area
                       type="monotone"
                       dataKey="Balance"
-                      name="Balance"
+                      name={stochOn ? "Balance (fixed return)" : "Balance"}
                       stroke="#60a5fa"
-                      fill="#dbeafe"
+                      fill={stochOn ? "none" : "#dbeafe"}
                       fillOpacity={0.5}
                       strokeWidth={2}
                     />
-                  </AreaChart>
+                    {stochOn && (
+                      <Line type="monotone" dataKey="p50" name="Median" stroke="#1e3a8a" strokeWidth={2} dot={false} />
+                    )}
+                    {stochOn && (
+                      <Line
+                        type="monotone"
+                        dataKey="p10"
+                        name="10th percentile"
+                        stroke="#6366f1"
+                        strokeDasharray="4 3"
+                        strokeWidth={1}
+                        dot={false}
+                      />
+                    )}
+                    {stochOn && (
+                      <Line
+                        type="monotone"
+                        dataKey="p90"
+                        name="90th percentile"
+                        stroke="#6366f1"
+                        strokeDasharray="4 3"
+                        strokeWidth={1}
+                        dot={false}
+                      />
+                    )}
+                  </ComposedChart>
                 </ResponsiveContainer>
               )}
             </div>
           </SectionCard>
         </div>
 
+        {/* RISK – Monte Carlo only */}
+        {stochOn && (
+          <div className="mt-8 printable-section">
+            <SectionCard title="Sequence-of-returns & longevity risk">
+              <SummaryGrid>
+                <SummaryCard label="Chance money lasts the projection" value={pct0(stoch.summary.lastsHorizon)} />
+                <SummaryCard
+                  label="Median age money runs out"
+                  value={stoch.summary.medianDepletionAge ? String(stoch.summary.medianDepletionAge) : "Beyond projection"}
+                />
+                {mortality && (
+                  <SummaryCard label="Chance of outliving the money" value={pct0(stoch.summary.outliveMoney)} />
+                )}
+              </SummaryGrid>
+
+              <h3 className="mt-6 font-medium text-slate-800 text-sm">Chance the money lasts to each age</h3>
+              <p className="text-[11px] text-slate-600 leading-snug mb-4 max-w-3xl">
+                Share of simulations with a balance left at the end of each year
+                {mortality && ", next to the chance of still being alive"}.
+              </p>
+              <div data-report-chart="Chance the money lasts to each age" className="w-full h-64">
+                {mounted && (
+                  <ResponsiveContainer>
+                    <LineChart data={riskChart}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="age" tick={{ fontSize: 10, fill: "#4b5563" }} />
+                      <YAxis domain={[0, 1]} tickFormatter={pct0} tick={{ fontSize: 10, fill: "#4b5563" }} />
+                      <RTooltip
+                        content={<ChartTooltip valueFormatter={pct0} labelFormatter={(l) => `Age ${l}`} />}
+                      />
+                      <Legend wrapperStyle={{ fontSize: "11px", paddingTop: "4px" }} iconSize={8} />
+                      <Line type="monotone" dataKey="Money lasts" stroke="#1e3a8a" strokeWidth={2} dot={false} />
+                      {mortality && (
+                        <Line
+                          type="monotone"
+                          dataKey="Still alive"
+                          stroke="#f59e0b"
+                          strokeWidth={2}
+                          strokeDasharray="5 3"
+                          dot={false}
+                        />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+
+              <h3 className="mt-6 font-medium text-slate-800 text-sm">Age the money runs out</h3>
+              <p className="text-[11px] text-slate-600 leading-snug mb-4 max-w-3xl">
+                Share of simulations that run out in each year of age
+                {mortality && ", and the share that run out while you are still alive"}.{" "}
+                {pct0(stoch.summary.lastsHorizon)} still have money at the end of the projection.
+              </p>
+              <div data-report-chart="Age the money runs out" className="w-full h-64">
+                {mounted && (
+                  <ResponsiveContainer>
+                    <BarChart data={depletionChart}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="age" tick={{ fontSize: 10, fill: "#4b5563" }} />
+                      <YAxis tickFormatter={pct0} tick={{ fontSize: 10, fill: "#4b5563" }} />
+                      <RTooltip
+                        content={<ChartTooltip valueFormatter={pct0} labelFormatter={(l) => `Age ${l}`} />}
+                      />
+                      <Legend wrapperStyle={{ fontSize: "11px", paddingTop: "4px" }} iconSize={8} />
+                      <Bar dataKey="Runs out" fill="#93c5fd" />
+                      {mortality && <Bar dataKey="Runs out while alive" fill="#1e3a8a" />}
+                    </BarChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+            </SectionCard>
+          </div>
+        )}
+
         {/* RESULTS – summary cards */}
         <div className="mt-8 printable-section">
           <SectionCard>
@@ -571,22 +1145,24 @@ export default function AccountBasedPensionCalculator() {
                 label="Ending balance"
                 value={aud0(sim.totals.endingBalance)}
               />
+              {agePension && (
+                <SummaryCard label="Total Age Pension" value={aud0(sim.totals.totalAgePension)} />
+              )}
+              {agePension && (
+                <SummaryCard label="Total retirement income" value={aud0(sim.totals.totalRetirementIncome)} />
+              )}
             </SummaryGrid>
             {/* Depletion message block */}
             <div className="mt-4 p-4 rounded-xl bg-gray-50 border border-gray-200">
               <p className="text-base font-medium text-center text-slate-700">
                 {depletionNote}
               </p>
+              {agePensionNote && <p className="mt-1 text-sm text-center text-slate-600">{agePensionNote}</p>}
+              {stochNote && <p className="mt-1 text-sm text-center text-slate-600">{stochNote}</p>}
             </div>
-            <div className="mt-6 flex justify-end no-print">
-              <button
-                type="button"
-                onClick={() => window.print()}
-                className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-              >
-                <Printer className="h-4 w-4" />
-                Download Calculation (PDF)
-              </button>
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
             </div>
           </SectionCard>
         </div>
@@ -608,10 +1184,12 @@ export default function AccountBasedPensionCalculator() {
                     <th className="py-2 pr-4 font-medium">Earnings</th>
                     <th className="py-2 pr-4 font-medium">Fees</th>
                     <th className="py-2 pr-4 font-medium">Closing</th>
+                    {agePension && <th className="py-2 pr-4 font-medium">Age Pension</th>}
+                    {agePension && <th className="py-2 pr-4 font-medium">Total income</th>}
                   </tr>
                 </thead>
                 <tbody className="text-slate-800">
-                  {sim.rows.map((r) => (
+                  {rows.map((r) => (
                     <tr key={r.year} className="border-b last:border-0 align-top">
                       <td className="py-2 pr-4 font-medium text-slate-900 whitespace-nowrap">{r.year}</td>
                       <td className="py-2 pr-4 whitespace-nowrap">{r.age}</td>
@@ -623,14 +1201,36 @@ export default function AccountBasedPensionCalculator() {
                       <td className="py-2 pr-4 whitespace-nowrap">{aud0(r.earnings)}</td>
                       <td className="py-2 pr-4 whitespace-nowrap">{aud0(r.fees)}</td>
                       <td className="py-2 pr-4 whitespace-nowrap">{aud0(r.closing)}</td>
+                      {agePension && (
+                        <td className="py-2 pr-4 whitespace-nowrap">
+                          {aud0(r.agePension)}
+                          {r.agePensionRate === "full" && <span className="ml-1 text-[10px] text-emerald-700">full</span>}
+                        </td>
+                      )}
+                      {agePension && <td className="py-2 pr-4 whitespace-nowrap">{aud0(r.totalIncome)}</td>}
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
+
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
           </SectionCard>
         </div>
 
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="account-based-pension"
+            schema={ACCOUNT_BASED_PENSION_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={projectAccountBasedPension}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
         {/* ASSUMPTIONS */}
         <div className="mt-8 printable-section">
           <SectionCard title="Assumptions & references">
@@ -638,7 +1238,11 @@ export default function AccountBasedPensionCalculator() {
               <li>If the requested amount is below the legislated minimum in any year, the minimum is paid instead.</li>
               <li>Minimum drawdown rates are based on the legislated rates effective 1 July 2025.</li>
               <li>Earnings & fees use an average-balance approximation.</li>
+              <li>The pension is assumed to start in {fyLabel(DEFAULT_FY)}, when the opening balance is credited to your transfer balance account. A personal cap rises with each indexation of the general cap by the share of it you haven&apos;t used, based on the highest your account has been.</li>
               <li>If the calculated payment in any year exceeds the opening balance, only the remaining balance is paid out and the closing balance is set to zero.</li>
+              <li>With the Age Pension included, each year&apos;s opening balance is deemed and counted under the assets test from age 67, using current Centrelink rates indexed by the inflation rate entered. Account-based pensions started before 1 January 2015 may be assessed more generously.</li>
+              <li>Monte Carlo mode draws each year&apos;s return from a lognormal distribution with the mean and volatility entered; negative years reduce the balance.</li>
+              <li>Mortality uses the {LIFE_TABLE_NAME} (ABS), with no allowance for future improvements in life expectancy.</li>
             </ul>
           </SectionCard>
         </div>
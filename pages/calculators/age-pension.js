@@ -8,202 +8,450 @@ import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import RulesDateSelect from "@/components/RulesDateSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import AssetItemiser from "@/components/AssetItemiser";
+import RentAssistanceField from "@/components/RentAssistanceField";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  getCentrelinkRules,
+  formatEffectiveDate,
+} from "@/lib/centrelink";
+import { projectWorkBonusFortnights, AGE_PENSION_INPUTS } from "@/lib/centrelink/agePension";
+import { calculateHousehold, calculateHouseholdForInputs, PROGRAM_LABELS } from "@/lib/centrelink/household";
+import { ASSET_TYPES, describeTreatment } from "@/lib/centrelink/assets";
+import { projectGift } from "@/lib/centrelink/gifting";
+import { schemaInputs } from "@/lib/export";
 
 /** ─────────────────────────────────────────────────────────────────────
  * Age Pension Calculator – site-wide layout
- * Updated settings effective 20 March 2026 (Services Australia)
- * ────────────────────────────────────────────────────────────────────
- *
- * Max payment (per fortnight, before tax):
- *  - Single: $1,178.70
- *  - Couple (each): $888.50 → combined $1,777.00
- *
- * Income test (standard rules):
- *  - Free area: $218 (single), $380 (couple combined)
- *  - Reduction: 50c per $1 over free area (single),
- *               50c combined per $1 over free area (couple)
- *
- * Assets test:
- *  - Full pension asset limits (homeowner / non-homeowner)
- *    Single: $321,500 / $579,500
- *    Couple combined: $481,500 / $739,500
- *  - Part-pension cut-offs
- *    Single: $722,000 / $980,000
- *    Couple combined: $1,085,000 / $1,343,000
- *  - Taper: $3 per $1,000 (per fortnight) over the relevant threshold
- *
- * Deeming (financial assets only):
- *  - Singles: 1.25% to $64,200; 3.25% above
- *  - Couples combined: 1.25% to $106,200; 3.25% above
- */
-
-// ——— Maximum rates (per fortnight) ———
-const MAX_SINGLE_FT = 1200.90;
-const MAX_COUPLE_EACH_FT = 905.20;
-const MAX_COUPLE_COMBINED_FT = MAX_COUPLE_EACH_FT * 2;
-
-// ——— Income test: free areas & taper ———
-const INCOME_FREE_AREA_SINGLE_FT = 218;
-const INCOME_FREE_AREA_COUPLE_COMBINED_FT = 380;
-const INCOME_TAPER_SINGLE_PER_$ = 0.50;
-const INCOME_TAPER_COUPLE_COMBINED_PER_$ = 0.50;
-
-// ——— Assets test: full-pension limits & cut-offs (homeowner / non-homeowner) ———
-const FULL_LIMIT_SINGLE_HOME = 321500;
-const FULL_LIMIT_SINGLE_NONHOME = 579500;
-const FULL_LIMIT_COUPLE_HOME_COMBINED = 481500;
-const FULL_LIMIT_COUPLE_NONHOME_COMBINED = 739500;
-
-const CUTOFF_SINGLE_HOME = 722000;
-const CUTOFF_SINGLE_NONHOME = 980000;
-const CUTOFF_COUPLE_HOME_COMBINED = 1085000;
-const CUTOFF_COUPLE_NONHOME_COMBINED = 1343000;
-
-// Taper: $3 per $1,000 per fortnight
-const ASSETS_TAPER_PER_1000_FT = 3;
-
-// ——— Deeming thresholds & rates (from 20 Sep 2025) ———
-const DEEMING_THRESHOLD_SINGLE = 64200;
-const DEEMING_THRESHOLD_COUPLE_COMBINED = 106200;
-const DEEMING_LOWER_RATE = 0.0125; // 1.25% p.a.
-const DEEMING_UPPER_RATE = 0.0325; // 3.25% p.a.
-
-// ——— Work Bonus (simplified) ———
-const WORK_BONUS_FT = 300;
+ * Income/assets tests live in lib/centrelink/agePension; rates come from the
+ * shared Centrelink rules store, selected by indexation date.
+ * ──────────────────────────────────────────────────────────────────── */
 
 // Helpers
-const clamp = (x, max) => Math.max(0, Math.min(x, max));
 const aud0 = (n) =>
   (isFinite(n) ? n : 0).toLocaleString("en-AU", {
     style: "currency",
     currency: "AUD",
     maximumFractionDigits: 0,
   });
+const aud2 = (n) =>
+  (isFinite(n) ? n : 0).toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+const pct2 = (r) => `${(r * 100).toFixed(2)}%`;
 
-// Deeming calculation (returns FORTNIGHTLY deemed income)
-function deemingFt({ status, financialAssets }) {
-  const amt = Math.max(0, Number(financialAssets) || 0);
-  if (amt === 0) return 0;
+// Payment components, in the order Services Australia letters list them
+const COMPONENTS = [
+  { key: "basicFt", label: "Basic rate" },
+  { key: "pensionSupplementFt", label: "Pension Supplement" },
+  { key: "rentAssistanceFt", label: "Rent Assistance" },
+  { key: "energySupplementFt", label: "Energy Supplement" },
+];
 
-  const threshold =
-    status === "single" ? DEEMING_THRESHOLD_SINGLE : DEEMING_THRESHOLD_COUPLE_COMBINED;
+const STATUS_LABELS = {
+  single: "Single",
+  couple: "Couple",
+  separated: "Couple, separated by illness",
+};
 
-  const lower = Math.min(amt, threshold);
-  const upper = Math.max(0, amt - threshold);
+const PARTNER_OPTIONS = {
+  agePension: "Age Pension age",
+  jobSeeker: "Under pension age, on JobSeeker",
+  none: "Under pension age, no payment",
+};
 
-  const annual = lower * DEEMING_LOWER_RATE + upper * DEEMING_UPPER_RATE;
-  return annual / 26; // convert annual to fortnightly
-}
+// Headline figures for comparing saved scenarios (each uses its own rules date)
+const SCENARIO_METRICS = [
+  { label: "Household payments (pf)", value: (r) => r.householdFt, format: aud0, better: "higher" },
+  { label: "Estimated pension (pf, combined for couples)", value: (r) => r.pensionFt, format: aud0, better: "higher" },
+  { label: "Annual payment", value: (r) => r.annualCombined, format: aud0, better: "higher" },
+  { label: "Income test result (pf)", value: (r) => r.incomeTestFt, format: aud0, better: "higher" },
+  { label: "Assets test result (pf)", value: (r) => r.assetsTestFt, format: aud0, better: "higher" },
+  { label: "Deemed income (pf)", value: (r) => r.deemedIncomeFt, format: aud0 },
+  { label: "Total assessable assets", value: (r) => r.totalAssets, format: aud0 },
+];
 
-export default function AgePensionCalculator() {
-  const [status, setStatus] = useState("single"); // 'single' | 'couple'
-  const [homeowner, setHomeowner] = useState(true);
-  const [workBonusYou, setWorkBonusYou] = useState(false);
-  const [workBonusPartner, setWorkBonusPartner] = useState(false); // used only if couple
-
-  // — Inputs (split across cards to match house style) —
-  // Assets (1) – non-deemed (home contents, vehicles, etc.)
-  const [nonDeemedAssets, setNonDeemedAssets] = useState(200000);
-  // Assets (2) – deemed financial assets (cash, shares, ABPs, etc.)
-  const [finAssets, setFinAssets] = useState(100000);
-
-  // Other assessable income (excluding deeming), per fortnight
-  const [incomeFt, setIncomeFt] = useState(300);
-  const [partnerIncomeFt, setPartnerIncomeFt] = useState(0); // if couple
-
-  // — Derived: total assessable assets for the assets test —
-  const totalAssets = useMemo(() => {
-    const a = Math.max(0, Number(nonDeemedAssets) || 0);
-    const b = Math.max(0, Number(finAssets) || 0);
-    return a + b;
-  }, [nonDeemedAssets, finAssets]);
-
-  // — Compute deemed income —
-  const deemedIncomeFt = useMemo(
-    () => deemingFt({ status, financialAssets: finAssets }),
-    [status, finAssets]
-  );
+// Spreadsheet export: input labels and the test results as one row
+const EXPORT_FIELDS = {
+  rulesDate: "Rates date",
+  status: "Relationship status",
+  partnerPayment: "Partner's situation",
+  homeowner: "Homeowner",
+  rentFt: { label: "Rent (pf)", format: "currency" },
+  partnerRentFt: { label: "Partner's rent when separated by illness (pf)", format: "currency" },
+  sharer: "Sharing accommodation",
+  workBonusYou: "Work Bonus (you)",
+  workBonusPartner: "Work Bonus (partner)",
+  workBonusBank: { label: "Work Bonus income bank (you)", format: "currency" },
+  workBonusBankPartner: { label: "Work Bonus income bank (partner)", format: "currency" },
+  transitional: "Transitional rate pensioner",
+  workedFortnights: "Fortnights worked (of the next 26)",
+  nonDeemedAssets: { label: "Non-deemed assets", format: "currency" },
+  finAssets: { label: "Financial assets subject to deeming", format: "currency" },
+  incomeFt: { label: "Other assessable income (pf)", format: "currency" },
+  partnerIncomeFt: { label: "Partner assessable income (pf)", format: "currency" },
+  nonWorkIncomeFt: { label: "Income not from work (pf)", format: "currency" },
+  giftAmount: { label: "Planned gift", format: "currency" },
+  giftYears: "Gift spread over (financial years)",
+};
+const EXPORT_COLUMNS = [
+  { key: "TotalAssets", format: "currency", value: (r) => r.totalAssets },
+  { key: "DeemedIncomeFt", format: "cents", value: (r) => r.deemedIncomeFt },
+  { key: "IncomeTestFt", format: "cents", value: (r) => r.incomeTestFt },
+  { key: "AssetsTestFt", format: "cents", value: (r) => r.assetsTestFt },
+  { key: "BindingTest", format: "text", value: (r) => r.bindingTest },
+  { key: "PensionFt", format: "cents", value: (r) => r.pensionFt },
+  { key: "PensionEachFt", format: "cents", value: (r) => r.pensionEachFt },
+  { key: "BasicFt", format: "cents", value: (r) => r.components.basicFt },
+  { key: "PensionSupplementFt", format: "cents", value: (r) => r.components.pensionSupplementFt },
+  { key: "RentAssistanceFt", format: "cents", value: (r) => r.components.rentAssistanceFt },
+  { key: "EnergySupplementFt", format: "cents", value: (r) => r.components.energySupplementFt },
+  { key: "RateBasis", format: "text", value: (r) => r.rateBasis },
+  { key: "AnnualCombined", format: "currency", value: (r) => r.annualCombined },
+  { key: "PartnerProgram", format: "text", value: (r) => r.partnerProgram },
+  { key: "PartnerPaymentFt", format: "cents", value: (r) => r.partnerPaymentFt },
+  { key: "HouseholdFt", format: "cents", value: (r) => r.householdFt },
+  { key: "RatesEffectiveFrom", format: "text", value: (r) => r.ratesEffectiveFrom },
+  { key: "DeemingEffectiveFrom", format: "text", value: (r) => r.deemingEffectiveFrom },
+];
 
-  // — Income test (standard rules only; transitional not implemented) —
-  const incomeTestFt = useMemo(() => {
-    // apply work bonus per person (simplified)
-    const adj = (v, eligible) => Math.max(0, (Number(v) || 0) - (eligible ? WORK_BONUS_FT : 0));
-
-    if (status === "single") {
-      const otherAdj = adj(incomeFt, workBonusYou);
-      const totalIncome = otherAdj + deemedIncomeFt;
-
-      const excess = Math.max(0, totalIncome - INCOME_FREE_AREA_SINGLE_FT);
-      const reduction = excess * INCOME_TAPER_SINGLE_PER_$;
-      const result = MAX_SINGLE_FT - reduction;
-      return clamp(result, MAX_SINGLE_FT);
-    }
-
-    // couple — apply work bonus to each person's other income separately, then combine
-    const youAdj = adj(incomeFt, workBonusYou);
-    const partnerAdj = adj(partnerIncomeFt, workBonusPartner);
-
-    const combinedOther = youAdj + partnerAdj;
-    const combinedIncome = combinedOther + deemedIncomeFt;
-
-    const excess = Math.max(0, combinedIncome - INCOME_FREE_AREA_COUPLE_COMBINED_FT);
-    const reductionCombined = excess * INCOME_TAPER_COUPLE_COMBINED_PER_$;
-    const combinedResult = MAX_COUPLE_COMBINED_FT - reductionCombined;
-    return clamp(combinedResult, MAX_COUPLE_COMBINED_FT);
-  }, [
-    status,
-    incomeFt,
-    partnerIncomeFt,
-    deemedIncomeFt,
+export default function AgePensionCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(AGE_PENSION_INPUTS);
+  const {
+    rulesDate,
+    status, // 'single' | 'couple' | 'separated' (by illness)
+    partnerPayment, // partner's program: 'agePension' | 'jobSeeker' | 'none'
+    homeowner,
+    rentFt, // renters, per fortnight (combined for couples, your own if separated)
+    partnerRentFt, // an illness-separated partner's own rent
+    sharer,
     workBonusYou,
-    workBonusPartner,
-  ]);
-
-  // — Assets test (uses totalAssets = nonDeemedAssets + finAssets) —
-  const assetsTestFt = useMemo(() => {
-    const a = Math.max(0, Number(totalAssets) || 0);
-
-    if (status === "single") {
-      const fullLimit = homeowner ? FULL_LIMIT_SINGLE_HOME : FULL_LIMIT_SINGLE_NONHOME;
-      const cutOff = homeowner ? CUTOFF_SINGLE_HOME : CUTOFF_SINGLE_NONHOME;
+    workBonusPartner, // used only if couple
+    nonDeemedAssets, // non-deemed (home contents, vehicles, etc.)
+    finAssets, // deemed financial assets (cash, shares, ABPs, etc.)
+    incomeFt, // other assessable income (excluding deeming), per fortnight
+    partnerIncomeFt, // if couple
+    nonWorkIncomeFt, // rent, annuities etc., household total
+    workBonusBank, // income bank balances now
+    workBonusBankPartner,
+    transitional, // pensioner since before 20 September 2009
+    workedFortnights,
+    giftAmount, // planned gift, in equal parts over giftYears
+    giftYears,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setRulesDate = setter("rulesDate");
+  const setStatus = setter("status");
+  const setPartnerPayment = setter("partnerPayment");
+  const setHomeowner = setter("homeowner");
+  const setRentFt = setter("rentFt");
+  const setPartnerRentFt = setter("partnerRentFt");
+  const setSharer = setter("sharer");
+  const setWorkBonusYou = setter("workBonusYou");
+  const setWorkBonusPartner = setter("workBonusPartner");
+  const setNonDeemedAssets = setter("nonDeemedAssets");
+  const setFinAssets = setter("finAssets");
+  const setIncomeFt = setter("incomeFt");
+  const setPartnerIncomeFt = setter("partnerIncomeFt");
+  const setNonWorkIncomeFt = setter("nonWorkIncomeFt");
+  const setWorkBonusBank = setter("workBonusBank");
+  const setWorkBonusBankPartner = setter("workBonusBankPartner");
+  const setTransitional = setter("transitional");
+  const setWorkedFortnights = setter("workedFortnights");
+  const setGiftAmount = setter("giftAmount");
+  const setGiftYears = setter("giftYears");
+  const isCouple = status !== "single";
+  const separated = status === "separated";
+  const partnerOnPension = isCouple && partnerPayment === "agePension";
+  const anyWorkBonus = workBonusYou || (partnerOnPension && workBonusPartner);
 
-      if (a >= cutOff) return 0;
+  // Itemised entry: open/closed, and the classification last copied into the inputs
+  const [itemising, setItemising] = useState(false);
+  const [itemised, setItemised] = useState(null);
+  const applyItemised = ({ assets, income }) => {
+    const cents = (n) => Math.round(n * 100) / 100;
+    setInputs((prev) => ({
+      ...prev,
+      finAssets: Math.round(assets.totals.financialAssets),
+      nonDeemedAssets: Math.round(assets.totals.nonDeemedAssets),
+      incomeFt: cents(income.employmentFt.you),
+      partnerIncomeFt: cents(income.employmentFt.partner),
+      nonWorkIncomeFt: cents(income.otherFt.you + income.otherFt.partner),
+    }));
+    setItemised(assets);
+  };
 
-      const excess = Math.max(0, a - fullLimit);
-      const reduction = (excess / 1000) * ASSETS_TAPER_PER_1000_FT;
-      const result = MAX_SINGLE_FT - reduction;
-      return clamp(result, MAX_SINGLE_FT);
-    }
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const ap = rules.agePension;
+  const { deeming } = rules;
+  const maxCoupleCombinedFt = ap.maxRateFt.coupleEach * 2;
+  const ratesFrom = formatEffectiveDate(ap.effectiveFrom);
 
-    // couple combined
-    const fullLimit = homeowner ? FULL_LIMIT_COUPLE_HOME_COMBINED : FULL_LIMIT_COUPLE_NONHOME_COMBINED;
-    const cutOff = homeowner ? CUTOFF_COUPLE_HOME_COMBINED : CUTOFF_COUPLE_NONHOME_COMBINED;
-
-    if (a >= cutOff) return 0;
+  // — Income and assets tests (lower result is paid) —
+  const testInputs = useMemo(
+    () => ({
+      status,
+      homeowner,
+      rentFt,
+      partnerRentFt: separated ? partnerRentFt : 0,
+      sharer,
+      nonDeemedAssets,
+      financialAssets: finAssets,
+      incomeFt,
+      partnerIncomeFt,
+      nonWorkIncomeFt,
+      workBonusYou,
+      workBonusPartner: partnerOnPension && workBonusPartner,
+      workBonusBank,
+      workBonusBankPartner,
+      transitional,
+    }),
+    [
+      status,
+      homeowner,
+      rentFt,
+      partnerRentFt,
+      separated,
+      sharer,
+      nonDeemedAssets,
+      finAssets,
+      incomeFt,
+      partnerIncomeFt,
+      nonWorkIncomeFt,
+      workBonusYou,
+      workBonusPartner,
+      workBonusBank,
+      workBonusBankPartner,
+      transitional,
+      partnerOnPension,
+    ]
+  );
+  const household = useMemo(
+    () => calculateHousehold({ ...testInputs, partnerPayment }, rules),
+    [testInputs, partnerPayment, rules]
+  );
+  const result = household.agePension;
+  // Rent Assistance only shows for renters
+  const shownComponents = COMPONENTS.filter((c) => c.key !== "rentAssistanceFt" || !homeowner);
+  const partnerMember = household.members[1] || null;
+  const {
+    totalAssets,
+    deemedIncomeFt,
+    incomeTestFt,
+    assetsTestFt,
+    pensionFt,
+    pensionEachFt,
+    annualCombined,
+    components,
+    rateBasis,
+    standardFt,
+  } = result;
 
-    const excess = Math.max(0, a - fullLimit);
-    const reduction = (excess / 1000) * ASSETS_TAPER_PER_1000_FT;
-    const result = MAX_COUPLE_COMBINED_FT - reduction;
-    return clamp(result, MAX_COUPLE_COMBINED_FT);
-  }, [status, homeowner, totalAssets]);
+  // — Work Bonus income bank over the next 26 fortnights: time off first, then work —
+  const bankRows = useMemo(() => {
+    if (!anyWorkBonus) return [];
+    const worked = Math.max(0, Math.min(26, Number(workedFortnights) || 0));
+    const fortnights = Array.from({ length: 26 }, (_, i) =>
+      i < 26 - worked ? { incomeFt: 0, partnerIncomeFt: 0 } : { incomeFt, partnerIncomeFt }
+    );
+    return projectWorkBonusFortnights(testInputs, fortnights, rules);
+  }, [anyWorkBonus, workedFortnights, incomeFt, partnerIncomeFt, testInputs, rules]);
 
-  // — Final payment (lower of the two tests) —
-  const pensionFt = useMemo(
-    () => Math.min(incomeTestFt, assetsTestFt),
-    [incomeTestFt, assetsTestFt]
+  // — Planned gift: year-by-year pension with and without it —
+  const giftRows = useMemo(
+    () => (giftAmount > 0 ? projectGift(testInputs, { amount: giftAmount, years: giftYears }, rules) : []),
+    [giftAmount, giftYears, testInputs, rules]
   );
+  const giftExcess = giftRows.reduce((s, r) => s + r.excessFy, 0);
+  const fyName = (fy) => `${fy}–${String(fy + 1).slice(2)}`;
+
+  // PDF report: inputs, the test results and the rates they used
+  const getReport = () => ({
+    title: "Age Pension Calculator",
+    inputs: [
+      { label: "Relationship status", value: STATUS_LABELS[status] },
+      ...(isCouple ? [{ label: "Partner's situation", value: PARTNER_OPTIONS[partnerPayment] }] : []),
+      { label: "Homeowner", value: homeowner ? "Yes" : "No" },
+      ...(homeowner
+        ? []
+        : separated
+          ? [
+              { label: "Your rent (pf)", value: aud2(rentFt) },
+              { label: "Partner's rent (pf)", value: aud2(partnerRentFt) },
+            ]
+          : [{ label: `Rent (pf${isCouple ? ", combined" : ""})`, value: aud2(rentFt) + (sharer && !isCouple ? ", shared" : "") }]),
+      { label: "Financial assets subject to deeming", value: aud0(finAssets) },
+      { label: "Non-deemed assets", value: aud0(nonDeemedAssets) },
+      { label: "Other assessable income (pf)", value: aud0(incomeFt) },
+      ...(isCouple ? [{ label: "Partner assessable income (pf)", value: aud0(partnerIncomeFt) }] : []),
+      { label: "Income not from work (pf)", value: aud0(nonWorkIncomeFt) },
+      { label: "Work Bonus (you)", value: workBonusYou ? "Yes" : "No" },
+      ...(partnerOnPension ? [{ label: "Work Bonus (partner)", value: workBonusPartner ? "Yes" : "No" }] : []),
+      ...(workBonusYou ? [{ label: "Work Bonus income bank (you)", value: aud0(workBonusBank) }] : []),
+      ...(partnerOnPension && workBonusPartner
+        ? [{ label: "Work Bonus income bank (partner)", value: aud0(workBonusBankPartner) }]
+        : []),
+      { label: "Transitional rate pensioner", value: transitional ? "Yes" : "No" },
+      ...(giftAmount > 0
+        ? [
+            {
+              label: "Planned gift",
+              value: `${aud0(giftAmount)}${giftYears > 1 ? ` over ${giftYears} financial years` : ""}`,
+            },
+          ]
+        : []),
+    ],
+    results: [
+      { label: "Income test result (pf)", value: aud0(Math.round(incomeTestFt)) },
+      { label: "Assets test result (pf)", value: aud0(Math.round(assetsTestFt)) },
+      {
+        label: isCouple ? "Estimated pension (combined/pf)" : "Estimated pension (pf)",
+        value: aud0(Math.round(pensionFt)),
+      },
+      ...(separated
+        ? [
+            { label: "Your pension (pf)", value: aud0(Math.round(pensionEachFt)) },
+            ...(partnerOnPension
+              ? [{ label: "Partner's pension (pf)", value: aud0(Math.round(partnerMember.paymentFt)) }]
+              : []),
+          ]
+        : isCouple
+          ? [{ label: "Each partner's share (pf)", value: aud0(Math.round(pensionEachFt)) }]
+          : []),
+      ...(isCouple && !partnerOnPension
+        ? [
+            { label: `Partner: ${PROGRAM_LABELS[partnerMember.program]} (pf)`, value: aud0(Math.round(partnerMember.paymentFt)) },
+            { label: "Household payments (pf)", value: aud0(Math.round(household.totalFt)) },
+          ]
+        : []),
+      {
+        label: isCouple ? "Combined annual payment" : "Annual payment",
+        value: aud0(Math.round(household.totalFt * 26)),
+      },
+      { label: "Deemed income (pf)", value: aud0(Math.round(deemedIncomeFt)) },
+      { label: "Total assessable assets", value: aud0(Math.round(totalAssets)) },
+      ...shownComponents.map((c) => ({
+        label: `${c.label} (pf${isCouple ? ", combined" : ""})`,
+        value: aud2(components[c.key]),
+      })),
+      ...(transitional
+        ? [
+            {
+              label: "Rate paid",
+              value: rateBasis === "transitional" ? `Transitional (standard would be ${aud2(standardFt)})` : "Standard",
+            },
+          ]
+        : []),
+    ],
+    rules: [
+      { label: "Age Pension rates effective from", value: ratesFrom },
+      { label: "Deeming rates effective from", value: formatEffectiveDate(deeming.effectiveFrom) },
+      ...(homeowner
+        ? []
+        : [{ label: "Rent Assistance rates effective from", value: formatEffectiveDate(rules.rentAssistance.effectiveFrom) }]),
+      { label: "Maximum rate, single (pf)", value: aud0(ap.maxRateFt.single) },
+      { label: "Maximum rate, couple each (pf)", value: aud0(ap.maxRateFt.coupleEach) },
+      { label: "Deeming rates", value: `${pct2(deeming.lowerRate)} / ${pct2(deeming.upperRate)}` },
+      { label: "Basic rate, single / couple each (pf)", value: `${aud2(ap.basicRateFt.single)} / ${aud2(ap.basicRateFt.coupleEach)}` },
+      {
+        label: "Pension Supplement, single / couple each (pf)",
+        value: `${aud2(ap.pensionSupplementFt.single)} / ${aud2(ap.pensionSupplementFt.coupleEach)}`,
+      },
+      {
+        label: "Energy Supplement, single / couple each (pf)",
+        value: `${aud2(ap.energySupplementFt.single)} / ${aud2(ap.energySupplementFt.coupleEach)}`,
+      },
+      { label: "Work Bonus (pf)", value: aud0(ap.workBonusFt) },
+      { label: "Work Bonus income bank limit", value: aud0(ap.workBonusBankMax) },
+    ],
+    notes: [
+      "The lower of the income test and assets test results is paid.",
+      "Means-test reductions come off the basic rate first, then the Pension Supplement, then Rent Assistance, then the Energy Supplement.",
+      "Unused Work Bonus builds an income bank that offsets later employment income.",
+      ...(transitional ? ["Transitional-rate pensioners are paid the higher of the transitional and standard rates."] : []),
+      ...(itemised ? ["Asset totals come from the itemised list below."] : []),
+      ...(status === "separated"
+        ? ["Couples separated by illness are assessed on combined income and assets, and each is paid up to the single rate plus Rent Assistance on their own rent."]
+        : []),
+      ...(isCouple && !partnerOnPension
+        ? [
+            "The Age Pension is worked out for the couple and only your half is paid, as your partner is under pension age.",
+          ]
+        : []),
+      ...(giftAmount > 0
+        ? [
+            `Gifts over ${aud0(rules.assets.gifting.perYear)} a financial year or ${aud0(
+              rules.assets.gifting.perFiveYears
+            )} over five years are still assessed, and deemed, for five years after the gift.`,
+          ]
+        : []),
+    ],
+    tables: [
+      ...(giftAmount > 0
+        ? [
+            {
+              title: "Planned gift, year by year",
+              head: ["Financial year", "Gifted", "Over the limits", "Deprived asset", "Pension (pf)", "Change (pf)"],
+              body: giftRows.map((r) => [
+                fyName(r.fy),
+                aud0(r.givenFy),
+                aud0(r.excessFy),
+                aud0(r.deprivedAssets),
+                aud2(r.pensionFt),
+                aud2(r.changeFt),
+              ]),
+            },
+          ]
+        : []),
+      ...(itemised
+        ? [
+          {
+            title: "Itemised assets",
+            head: ["Asset", ...(isCouple ? ["Owner"] : []), "Value", "Treatment"],
+            body: itemised.items.map((item) => [
+              ASSET_TYPES[item.type].label,
+              ...(isCouple ? [item.owner] : []),
+              aud0(item.value),
+              describeTreatment(item.parts, aud0),
+            ]),
+          },
+        ]
+      : []),
+    ],
+  });
 
-  // — Display helpers —
-  const pensionEachFt = status === "couple" ? pensionFt / 2 : pensionFt;
-  const annualCombined = pensionFt * 26;
-  const annualEach = pensionEachFt * 26;
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Age Pension Calculator",
+    inputs: schemaInputs(AGE_PENSION_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [
+      {
+        ...result,
+        partnerProgram: partnerMember?.program ?? null,
+        partnerPaymentFt: partnerMember?.paymentFt ?? null,
+        householdFt: household.totalFt,
+        ratesEffectiveFrom: ap.effectiveFrom,
+        deemingEffectiveFrom: deeming.effectiveFrom,
+      },
+    ],
+  });
 
   // ——— SEO constants ———
   const pageUrl = "https://fintoolbox.com.au/calculators/age-pension";
   const pageTitle = "Age Pension Calculator (Australia)";
   const pageDescription =
-    "Estimate your Australian Age Pension using the income and assets tests, with deeming applied to financial assets. Updated for 20 March 2026.";
+    "Estimate your Australian Age Pension using the income and assets tests, with deeming applied to financial assets. Pick current, past or upcoming indexation dates.";
 
   return (
     <main>
@@ -211,16 +459,12 @@ export default function AgePensionCalculator() {
       <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200 flex flex-col sm:flex-row justify-between items-start sm:items-end gap-4 site-header">
         <div>
           <h1 className="text-2xl font-bold text-slate-900 leading-tight">Age Pension Calculator (Australia)</h1>
-          <p className="text-sm text-slate-500 no-print mt-1">Estimate eligibility and payments based on March 2026 rates.</p>
+          <p className="text-sm text-slate-500 no-print mt-1">Estimate eligibility and payments based on {ratesFrom} rates.</p>
+        </div>
+        <div className="no-print flex items-center gap-3">
+          <CopyLinkButton queryString={queryString} />
+          <DownloadReportButton getReport={getReport} queryString={queryString} />
         </div>
-        <button
-          type="button"
-          onClick={() => window.print()}
-          className="no-print inline-flex items-center gap-2 rounded-md bg-blue-700 px-5 py-2.5 text-sm font-bold text-white shadow-lg hover:bg-blue-800 transition-all active:scale-95 shadow-blue-100"
-        >
-          <Printer className="h-4 w-4" />
-          Print Report (PDF)
-        </button>
       </header>
 
       {/* SEO head tag (kept from your version) */}
@@ -338,10 +582,17 @@ export default function AgePensionCalculator() {
                 Deeming is automatically applied to financial assets.
               </p>
               <p className="text-[12px] text-blue-900/80">
-                Settings reflect <strong>20 March 2026</strong> rates and thresholds.
+                Rates effective from <strong>{ratesFrom}</strong>. Deeming rates effective from{" "}
+                <strong>{formatEffectiveDate(deeming.effectiveFrom)}</strong>.
               </p>
             </div>
           </PageIntro>
+
+          {notice && (
+            <PageIntro tone="amber" className="mt-4 no-print">
+              <p>{notice}</p>
+            </PageIntro>
+          )}
         </div>
 
         <div className="no-print">
@@ -354,6 +605,8 @@ export default function AgePensionCalculator() {
         <div className="mt-6 no-print">
           <SectionCard title="Household & home">
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+              <RulesDateSelect value={rulesDate} onChange={setRulesDate} />
+
               <label className="flex flex-col">
                 <span className="text-slate-600">Status</span>
                 <select
@@ -361,11 +614,34 @@ export default function AgePensionCalculator() {
                   onChange={(e) => setStatus(e.target.value)}
                   className="border rounded px-2 py-1"
                 >
-                  <option value="single">Single</option>
-                  <option value="couple">Couple</option>
+                  {Object.entries(STATUS_LABELS).map(([k, label]) => (
+                    <option key={k} value={k}>
+                      {label}
+                    </option>
+                  ))}
                 </select>
               </label>
 
+              {isCouple && (
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-2">
+                    Your partner is
+                    <Tooltip text="A partner under Age Pension age may get JobSeeker Payment instead. The couple's pension is still worked out on combined income and assets, and you are paid your half." />
+                  </span>
+                  <select
+                    value={partnerPayment}
+                    onChange={(e) => setPartnerPayment(e.target.value)}
+                    className="border rounded px-2 py-1"
+                  >
+                    {Object.entries(PARTNER_OPTIONS).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
               <label className="flex flex-col">
                 <span className="text-slate-600 flex items-center gap-2">
                   Homeowner?
@@ -380,12 +656,65 @@ export default function AgePensionCalculator() {
                   <option value="no">No</option>
                 </select>
               </label>
+
+              {!homeowner && (
+                <RentAssistanceField
+                  rent={rentFt}
+                  onRentChange={setRentFt}
+                  sharer={sharer}
+                  onSharerChange={setSharer}
+                  status={status}
+                  rules={rules}
+                  label={
+                    separated ? "Your rent (per fortnight)" : isCouple ? "Rent (per fortnight, combined)" : "Rent (per fortnight)"
+                  }
+                />
+              )}
+
+              {!homeowner && separated && (
+                <RentAssistanceField
+                  rent={partnerRentFt}
+                  onRentChange={setPartnerRentFt}
+                  status={status}
+                  rules={rules}
+                  label="Partner's rent (per fortnight)"
+                />
+              )}
+
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={transitional}
+                  onChange={(e) => setTransitional(e.target.checked)}
+                />
+                <span className="flex items-center gap-2">
+                  On the transitional rate
+                  <Tooltip text="For people who have received a pension continuously since before 20 September 2009 and were kept on the old rules. You are paid whichever of the transitional and standard rates is higher." />
+                </span>
+              </label>
             </div>
           </SectionCard>
         </div>
 
         <div className="mt-6 no-print">
-          <SectionCard title="Your assets">
+          <SectionCard
+            title="Your assets"
+            aside={
+              <button
+                type="button"
+                onClick={() => setItemising((v) => !v)}
+                className="rounded-md border border-slate-300 bg-white px-2.5 py-1 text-xs font-semibold text-slate-800 hover:bg-slate-50"
+              >
+                {itemising ? "Hide itemised entry" : "Itemise assets & income"}
+              </button>
+            }
+          >
+            {itemising && (
+              <div className="mb-5 border-b border-slate-200 pb-5">
+                <AssetItemiser couple={isCouple} rulesDate={rulesDate} onApply={applyItemised} />
+              </div>
+            )}
+
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-slate-700">
               <label className="flex flex-col">
                 <span className="text-slate-600 flex items-center gap-2">
@@ -433,7 +762,7 @@ export default function AgePensionCalculator() {
               <label className="flex flex-col">
                 <span className="text-slate-600 flex items-center gap-2">
                   Other assessable income (per fortnight)
-                  <Tooltip text="Employment or other assessable income, excluding deeming." />
+                  <Tooltip text="Employment or other assessable income, excluding deeming. If you tick the Work Bonus, this is treated as employment income." />
                 </span>
                 <input
                   type="number"
@@ -444,7 +773,7 @@ export default function AgePensionCalculator() {
                 />
               </label>
 
-              {status === "couple" && (
+              {isCouple && (
                 <label className="flex flex-col">
                   <span className="text-slate-600">Partner’s other assessable income (per fortnight)</span>
                   <input
@@ -456,6 +785,20 @@ export default function AgePensionCalculator() {
                   />
                 </label>
               )}
+
+              <label className="flex flex-col">
+                <span className="text-slate-600 flex items-center gap-2">
+                  Income not from work (per fortnight{isCouple ? ", combined" : ""})
+                  <Tooltip text="Net rent, annuities, overseas pensions and other income the Work Bonus can’t offset. Leave out interest and dividends from financial assets — deeming covers those." />
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  className="border rounded px-2 py-1"
+                  value={nonWorkIncomeFt}
+                  onChange={(e) => setNonWorkIncomeFt(e.target.value)}
+                />
+              </label>
             </div>
 
             <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-slate-700">
@@ -468,7 +811,7 @@ export default function AgePensionCalculator() {
                 I’m eligible for the Work Bonus
               </label>
 
-              {status === "couple" && (
+              {partnerOnPension && (
                 <label className="flex items-center gap-2">
                   <input
                     type="checkbox"
@@ -480,9 +823,49 @@ export default function AgePensionCalculator() {
               )}
             </div>
 
+            {anyWorkBonus && (
+              <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm text-slate-700">
+                {workBonusYou && (
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Your income bank balance ($)
+                      <Tooltip text="Unused Work Bonus carried forward, as shown on your Centrelink statement." />
+                    </span>
+                    <CurrencyInput min="0" className="w-full" value={workBonusBank} onChange={setWorkBonusBank} />
+                  </label>
+                )}
+                {partnerOnPension && workBonusPartner && (
+                  <label className="flex flex-col">
+                    <span className="text-slate-600">Partner’s income bank balance ($)</span>
+                    <CurrencyInput
+                      min="0"
+                      className="w-full"
+                      value={workBonusBankPartner}
+                      onChange={setWorkBonusBankPartner}
+                    />
+                  </label>
+                )}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-2">
+                    Fortnights worked (of the next 26)
+                    <Tooltip text="For seasonal or casual work. Fortnights off come first, so the bank builds before you work." />
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="26"
+                    className="border rounded px-2 py-1"
+                    value={workedFortnights}
+                    onChange={(e) => setWorkedFortnights(e.target.value)}
+                  />
+                </label>
+              </div>
+            )}
+
             <div className="mt-3 rounded-lg bg-blue-50 p-3 text-[12px] text-blue-900">
-              If eligible, the first {aud0(WORK_BONUS_FT)} of each person’s employment income per fortnight
-              is disregarded under the income test (simplified; carry-forward balances not modelled).
+              If eligible, the first {aud0(ap.workBonusFt)} of each person’s employment income per fortnight
+              is disregarded under the income test. Any unused amount is saved in an income bank (up to{" "}
+              {aud0(ap.workBonusBankMax)}) that absorbs earnings above {aud0(ap.workBonusFt)} in later fortnights.
             </div>
           </SectionCard>
         </div>
@@ -493,12 +876,13 @@ export default function AgePensionCalculator() {
           <div className="hidden print-only mb-10">
             <h2 className="text-lg font-bold border-b-2 border-slate-900 mb-5 pb-1 uppercase tracking-wider text-slate-900">Report Parameters</h2>
             <div className="grid grid-cols-2 gap-x-12 gap-y-3 text-[13px]">
-              <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Relationship Status</span> <span className="font-semibold capitalize">{status}</span></div>
+              <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Rates Effective From</span> <span className="font-semibold">{ratesFrom}</span></div>
+              <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Relationship Status</span> <span className="font-semibold">{STATUS_LABELS[status]}</span></div>
               <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Homeowner Status</span> <span className="font-semibold">{homeowner ? "Homeowner" : "Non-homeowner"}</span></div>
               <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Financial Assets</span> <span className="font-semibold">{aud0(finAssets)}</span></div>
               <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Non-Deemed Assets</span> <span className="font-semibold">{aud0(nonDeemedAssets)}</span></div>
               <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Self Income (Fortnight)</span> <span className="font-semibold">{aud0(incomeFt)}</span></div>
-              {status === 'couple' && (
+              {isCouple && (
                 <>
                   <div className="flex justify-between border-b border-slate-100 pb-1"><span className="text-slate-500">Partner Income (Fortnight)</span> <span className="font-semibold">{aud0(partnerIncomeFt)}</span></div>
                 </>
@@ -511,37 +895,272 @@ export default function AgePensionCalculator() {
               <SummaryGrid>
                 <SummaryCard label="Income test result (pf)" value={aud0(Math.round(incomeTestFt))} />
                 <SummaryCard label="Assets test result (pf)" value={aud0(Math.round(assetsTestFt))} />
-                <SummaryCard
-                  label={status === "couple" ? "Estimated pension (combined/pf)" : "Estimated pension (pf)"}
-                  value={aud0(Math.round(pensionFt))}
-                />
-                {status === "single" ? (
+                {(!isCouple || partnerOnPension) && (
+                  <SummaryCard
+                    label={isCouple ? "Estimated pension (combined/pf)" : "Estimated pension (pf)"}
+                    value={aud0(Math.round(pensionFt))}
+                  />
+                )}
+                {!isCouple ? (
                   <SummaryCard label="Annual payment" value={aud0(Math.round(annualCombined))} />
                 ) : (
                   <>
                     <SummaryCard label="Your pension (pf)" value={aud0(Math.round(pensionEachFt))} />
-                    <SummaryCard label="Partner pension (pf)" value={aud0(Math.round(pensionEachFt))} />
-                    <SummaryCard label="Combined annual payment" value={aud0(Math.round(annualCombined))} />
+                    <SummaryCard
+                      label={`Partner: ${PROGRAM_LABELS[partnerMember.program]} (pf)`}
+                      value={aud0(Math.round(partnerMember.paymentFt))}
+                      badgeText={partnerMember.program === "jobSeeker" && household.jobSeeker.isAssetIneligible ? "Over assets limit" : null}
+                      badgeTone="neutral"
+                    />
+                    <SummaryCard label="Combined annual payment" value={aud0(Math.round(household.totalFt * 26))} />
                   </>
                 )}
                 <SummaryCard label="Deemed income (pf)" value={aud0(Math.round(deemedIncomeFt))} />
                 <SummaryCard label="Total assessable assets" value={aud0(Math.round(totalAssets))} />
               </SummaryGrid>
             </div>
+
+            {/* Payment components */}
+            <div className="mt-6">
+              <h3 className="font-medium text-slate-800 text-sm mb-2">
+                How the {isCouple && !partnerOnPension ? "couple's " : ""}pension is made up (per fortnight
+                {isCouple ? ", combined" : ""})
+              </h3>
+              <table className="w-full max-w-md text-sm">
+                <tbody className="text-slate-800">
+                  {shownComponents.map((c) => (
+                    <tr key={c.key} className="border-b">
+                      <td className="py-1.5 pr-4 text-slate-600">{c.label}</td>
+                      <td className="py-1.5 text-right tabular-nums">{aud2(components[c.key])}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-1.5 pr-4">Total</td>
+                    <td className="py-1.5 text-right tabular-nums">{aud2(pensionFt)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              {transitional && (
+                <p className="mt-2 text-[12px] text-slate-600">
+                  {rateBasis === "transitional"
+                    ? `Paid at the transitional rate, which is higher than the standard rate of ${aud2(standardFt)}.`
+                    : "The standard rate is now at least as high as the transitional rate, so the standard rate is paid."}
+                </p>
+              )}
+            </div>
+
+            {isCouple && !partnerOnPension && (
+              <p className="mt-3 text-[12px] text-slate-600">
+                Your partner is under Age Pension age, so only your {separated ? "share" : "half"} of the couple’s pension ({aud2(pensionEachFt)}) is
+                paid.
+                {partnerMember.program === "jobSeeker" &&
+                  ` Their JobSeeker Payment of ${aud2(partnerMember.paymentFt)} uses their own income plus half the household's deemed and other income, with your income under the partner income test.`}
+              </p>
+            )}
+
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
+          </SectionCard>
+        </div>
+
+        {/* GIFTING */}
+        <div className="mt-8 no-print">
+          <SectionCard title="Gifting to family" aside="Will giving money away increase the pension?">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-slate-700">
+              <label className="flex flex-col">
+                <span className="text-slate-600 flex items-center gap-2">
+                  Planned gift ($)
+                  <Tooltip text="Taken from your financial assets, starting this financial year." />
+                </span>
+                <CurrencyInput min="0" className="w-full" value={giftAmount} onChange={setGiftAmount} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-slate-600 flex items-center gap-2">
+                  Spread over
+                  <Tooltip text="Giving in equal parts over several financial years can keep more of the gift within the annual limit." />
+                </span>
+                <select
+                  className="border rounded px-2 py-1"
+                  value={giftYears}
+                  onChange={(e) => setGiftYears(Number(e.target.value))}
+                >
+                  {[1, 2, 3, 4, 5].map((n) => (
+                    <option key={n} value={n}>
+                      {n === 1 ? "One financial year" : `${n} financial years`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {giftAmount > 0 && (
+              <>
+                <div className="mt-4 rounded-lg bg-blue-50 p-3 text-sm text-blue-900">
+                  {giftExcess > 0 ? (
+                    <>
+                      {aud0(giftExcess)} is over the gifting limits. It still counts as a financial asset, and is deemed,
+                      for five years after each gift.
+                    </>
+                  ) : (
+                    <>The whole gift is within the gifting limits, so it stops counting straight away.</>
+                  )}{" "}
+                  The pension changes by {aud2(giftRows[0].changeFt)} per fortnight in {fyName(giftRows[0].fy)}
+                  {giftRows.length > 1 && (
+                    <>
+                      {" "}
+                      and by {aud2(giftRows[giftRows.length - 1].changeFt)} from{" "}
+                      {fyName(giftRows[giftRows.length - 1].fy)}
+                    </>
+                  )}
+                  .
+                </div>
+
+                <div className="mt-4 overflow-x-auto">
+                  <table className="min-w-[640px] text-xs text-left">
+                    <thead className="text-slate-600 border-b text-[11px]">
+                      <tr className="align-top">
+                        <th className="py-2 pr-4 font-medium">Financial year</th>
+                        <th className="py-2 pr-4 font-medium">Gifted</th>
+                        <th className="py-2 pr-4 font-medium">Over the limits</th>
+                        <th className="py-2 pr-4 font-medium">Deprived asset counted</th>
+                        <th className="py-2 pr-4 font-medium">Financial assets assessed</th>
+                        <th className="py-2 pr-4 font-medium">Deemed income (pf)</th>
+                        <th className="py-2 pr-4 font-medium">Pension (pf)</th>
+                        <th className="py-2 pr-4 font-medium">Change (pf)</th>
+                      </tr>
+                    </thead>
+                    <tbody className="text-slate-800">
+                      {giftRows.map((r) => (
+                        <tr key={r.fy} className="border-b last:border-0">
+                          <td className="py-2 pr-4">{fyName(r.fy)}</td>
+                          <td className="py-2 pr-4">{aud0(r.givenFy)}</td>
+                          <td className="py-2 pr-4">{aud0(r.excessFy)}</td>
+                          <td className="py-2 pr-4">{aud0(r.deprivedAssets)}</td>
+                          <td className="py-2 pr-4">{aud0(r.financialAssets)}</td>
+                          <td className="py-2 pr-4">{aud2(r.deemedIncomeFt)}</td>
+                          <td className="py-2 pr-4">
+                            {aud2(r.pensionFt)}
+                            <span className="ml-1 text-[10px] text-slate-500">({r.bindingTest} test)</span>
+                          </td>
+                          <td className={`py-2 pr-4 ${r.changeFt > 0 ? "text-green-700" : ""}`}>
+                            {r.changeFt > 0 ? "+" : ""}
+                            {aud2(r.changeFt)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="mt-2 text-[11px] text-slate-600">
+                  Compared with keeping the money, at today’s rates and with everything else unchanged. Each gift is assumed to
+                  be made at the start of its financial year; past gifts entered in the itemised list are already in your
+                  financial assets.
+                </p>
+              </>
+            )}
           </SectionCard>
         </div>
 
+        {/* WORK BONUS INCOME BANK */}
+        {anyWorkBonus && (
+          <div className="mt-8 no-print">
+            <SectionCard title="Work Bonus income bank (next 26 fortnights)">
+              <div className="overflow-x-auto max-h-96">
+                <table className="min-w-[640px] text-xs text-left">
+                  <thead className="text-slate-600 border-b text-[11px]">
+                    <tr className="border-b align-top">
+                      <th className="py-2 pr-4 font-medium">Fortnight</th>
+                      <th className="py-2 pr-4 font-medium">Employment income</th>
+                      <th className="py-2 pr-4 font-medium">Bank added</th>
+                      <th className="py-2 pr-4 font-medium">Bank used</th>
+                      <th className="py-2 pr-4 font-medium">Bank balance{isCouple ? " (you / partner)" : ""}</th>
+                      <th className="py-2 pr-4 font-medium">Assessable income</th>
+                      <th className="py-2 pr-4 font-medium">Pension</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-slate-800">
+                    {bankRows.map((r) => (
+                      <tr key={r.fortnight} className="border-b last:border-0 align-top">
+                        <td className="py-2 pr-4">{r.fortnight}</td>
+                        <td className="py-2 pr-4">{aud0(r.incomeFt + (isCouple ? r.partnerIncomeFt : 0))}</td>
+                        <td className="py-2 pr-4">{aud0(r.bankAccruedFt)}</td>
+                        <td className="py-2 pr-4">{aud0(r.bankUsedFt)}</td>
+                        <td className="py-2 pr-4">
+                          {isCouple ? `${aud0(r.bank)} / ${aud0(r.bankPartner)}` : aud0(r.bank)}
+                        </td>
+                        <td className="py-2 pr-4">{aud0(r.assessableIncomeFt)}</td>
+                        <td className="py-2 pr-4">{aud0(r.pensionFt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-2 text-[11px] text-slate-600">
+                Assumes {aud0(incomeFt)}
+                {isCouple ? ` (you) and ${aud0(partnerIncomeFt)} (partner)` : ""} of employment income in each fortnight
+                worked, with everything else unchanged.
+              </p>
+            </SectionCard>
+          </div>
+        )}
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="age-pension"
+            schema={AGE_PENSION_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateHouseholdForInputs}
+            metrics={SCENARIO_METRICS}
+          />
+        </div>
+
         {/* ASSUMPTIONS & REFERENCES */}
         <div className="mt-8 printable-section">
           <SectionCard title="Assumptions & references">
             <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
-              <li>Max rates (20 March 2026): single {aud0(MAX_SINGLE_FT)}, couple each {aud0(MAX_COUPLE_EACH_FT)} (combined {aud0(MAX_COUPLE_COMBINED_FT)}).</li>
-              <li>Income test free areas: {aud0(INCOME_FREE_AREA_SINGLE_FT)} (single), {aud0(INCOME_FREE_AREA_COUPLE_COMBINED_FT)} (couple combined). Taper: 50c per $1 over free area (combined for couples).</li>
-              <li>Assets test limits & cut-offs as listed above; taper ${ASSETS_TAPER_PER_1000_FT} per $1,000 per fortnight over the full-pension limit.</li>
-              <li>Deeming (20 March 2026): {`${(DEEMING_LOWER_RATE * 100).toFixed(2)}%`} to ${DEEMING_THRESHOLD_SINGLE.toLocaleString()} (single) / ${DEEMING_THRESHOLD_COUPLE_COMBINED.toLocaleString()} (couple combined), then {`${(DEEMING_UPPER_RATE * 100).toFixed(2)}%`}.</li>
+              <li>Max rates ({ratesFrom}): single {aud0(ap.maxRateFt.single)}, couple each {aud0(ap.maxRateFt.coupleEach)} (combined {aud0(maxCoupleCombinedFt)}).</li>
+              <li>Income test free areas: {aud0(ap.incomeFreeAreaFt.single)} (single), {aud0(ap.incomeFreeAreaFt.coupleCombined)} (couple combined). Taper: 50c per $1 over free area (combined for couples).</li>
+              <li>
+                Assets test full-pension limits: {aud0(ap.assetsFullLimit.single.homeowner)} / {aud0(ap.assetsFullLimit.single.nonHomeowner)} (single),{" "}
+                {aud0(ap.assetsFullLimit.coupleCombined.homeowner)} / {aud0(ap.assetsFullLimit.coupleCombined.nonHomeowner)} (couple combined), homeowner / non-homeowner.
+                Cut-offs: {aud0(ap.assetsCutOff.single.homeowner)} / {aud0(ap.assetsCutOff.single.nonHomeowner)} (single),{" "}
+                {aud0(ap.assetsCutOff.coupleCombined.homeowner)} / {aud0(ap.assetsCutOff.coupleCombined.nonHomeowner)} (couple combined); renters
+                getting Rent Assistance keep a part pension past these.
+                Taper ${ap.assetsTaperPer1000Ft} per $1,000 per fortnight over the full-pension limit.
+              </li>
+              <li>Deeming ({formatEffectiveDate(deeming.effectiveFrom)}): {pct2(deeming.lowerRate)} to ${deeming.threshold.single.toLocaleString()} (single) / ${deeming.threshold.coupleCombined.toLocaleString()} (couple combined), then {pct2(deeming.upperRate)}.</li>
+              <li>
+                Work Bonus: if ticked, we disregard the first {aud0(ap.workBonusFt)} of each eligible person’s employment income per fortnight.
+                Unused amounts go into that person’s income bank (maximum {aud0(ap.workBonusBankMax)}), which is drawn down against earnings above {aud0(ap.workBonusFt)}.
+              </li>
+              <li>
+                The maximum rate is the basic rate plus the Pension Supplement and Energy Supplement, and Rent Assistance for renters. Income and assets test
+                reductions come off the basic rate first, then the Pension Supplement, then Rent Assistance, then the Energy Supplement.
+              </li>
+              <li>
+                Rent Assistance ({formatEffectiveDate(rules.rentAssistance.effectiveFrom)}): {Math.round(rules.rentAssistance.taper * 100)}c per $1 of rent over{" "}
+                {aud2(rules.rentAssistance.rates.single.thresholdFt)} (single) or {aud2(rules.rentAssistance.rates.couple.thresholdFt)} (couple combined), up to{" "}
+                {aud2(rules.rentAssistance.rates.single.maxRateFt)} / {aud2(rules.rentAssistance.rates.couple.maxRateFt)}. A couple with one partner on JobSeeker
+                gets half with each payment.
+              </li>
+              <li>
+                Transitional rate: {aud2(ap.transitional.basicRateFt.single)} basic + {aud2(ap.transitional.pensionSupplementFt.single)} supplement (single),
+                with a 40c per $1 income taper (20c each for couples). The higher of the transitional and standard rates is paid.
+              </li>
+              <li>
+                Couples are assessed on combined income and assets. If your partner is under Age Pension age you are paid half the couple
+                rate, and their JobSeeker Payment uses the JobSeeker rates, income tests and assets limit. Couples separated by illness are
+                each paid up to the single rate, with assets cut-offs of {aud0(ap.assetsCutOff.illnessSeparated.homeowner)} /{" "}
+                {aud0(ap.assetsCutOff.illnessSeparated.nonHomeowner)} (homeowner / non-homeowner). Each gets Rent Assistance on their own rent.
+              </li>
               <li>
-                Work Bonus (simplified): if ticked, we disregard the first {aud0(WORK_BONUS_FT)} of each eligible person’s employment income per fortnight before applying the income test.
-                Carry-forward “Work Bonus balance” is not modelled.
+                Itemised entry: financial assets and account-based pensions are deemed; accumulation super is exempt until its owner reaches
+                Age Pension age; cars, contents and investment property (less its loan) are assessed but not deemed; the home and granny flat
+                rights are exempt. Funeral bonds are exempt while each person’s total is no more than {aud0(rules.assets.funeralBondLimit)};
+                over that they are deemed in full. Gifts over{" "}
+                {aud0(rules.assets.gifting.perYear)} in a financial year or {aud0(rules.assets.gifting.perFiveYears)} over five count as
+                deemed assets for five years.
               </li>
             </ul>
           </SectionCard>
@@ -0,0 +1,559 @@
+// pages/calculators/capital-gains-tax.js
+import { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import SectionCard from "@/components/SectionCard";
+import PageIntro from "@/components/PageIntro";
+import SubtleCtaLink from "@/components/SubtleCtaLink";
+import SummaryGrid from "@/components/SummaryGrid";
+import SummaryCard from "@/components/SummaryCard";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { fyLabel } from "@/lib/tax";
+import { TAKE_HOME_INPUTS } from "@/lib/tax/takeHome";
+import { encodeUrlState } from "@/lib/urlState";
+import { calculateCgt, CGT_DISCOUNT, CGT_INPUTS, MAX_PARCELS } from "@/lib/tax/cgt";
+import { schemaInputs } from "@/lib/export";
+
+// Currency formatting
+function aud0(n) {
+  if (!isFinite(n)) return "$0";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+const pct = (n, dp = 1) => `${(n * 100).toFixed(dp)}%`;
+
+// "2026-03-31" → "31 Mar 2026"
+function dateLabel(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString("en-AU", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+}
+
+const PARCEL_NUMBERS = Array.from({ length: MAX_PARCELS }, (_, i) => i + 1);
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Net capital gain", value: (r) => r.netCapitalGain, format: aud0, better: "lower" },
+  { label: "Tax on the gain", value: (r) => r.tax, format: aud0, better: "lower" },
+  { label: "Proceeds after tax", value: (r) => r.afterTaxProceeds, format: aud0 },
+  { label: "Losses carried forward", value: (r) => r.lossesCarriedForward, format: aud0 },
+];
+
+// Spreadsheet export: input labels and one row per parcel
+const EXPORT_FIELDS = {
+  disposalDate: "Sale date",
+  ...Object.fromEntries(
+    PARCEL_NUMBERS.flatMap((n) => [
+      [`parcel${n}Acquired`, `Parcel ${n} acquired`],
+      [`parcel${n}CostBase`, { label: `Parcel ${n} cost base`, format: "currency" }],
+      [`parcel${n}Proceeds`, { label: `Parcel ${n} sale proceeds`, format: "currency" }],
+    ])
+  ),
+  currentYearLosses: { label: "Other capital losses this year", format: "currency" },
+  carriedForwardLosses: { label: "Net capital losses from earlier years", format: "currency" },
+  otherTaxableIncome: { label: "Other taxable income", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "Parcel", format: "integer", value: (p) => p.n },
+  { key: "Acquired", format: "text", value: (p) => p.acquired },
+  { key: "Sold", format: "text", value: (p) => p.disposed },
+  { key: "CostBase", format: "currency", value: (p) => p.costBase },
+  { key: "Proceeds", format: "currency", value: (p) => p.proceeds },
+  { key: "Gain", format: "currency", value: (p) => p.gain ?? null },
+  { key: "Loss", format: "currency", value: (p) => p.loss ?? null },
+  { key: "Discountable", format: "boolean", value: (p) => p.discountable ?? null },
+];
+
+export default function CapitalGainsTaxCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(CGT_INPUTS);
+  const { disposalDate, currentYearLosses, carriedForwardLosses, otherTaxableIncome } = inputs;
+  const amountSetter = (name) => (v) => setInput(name, Number(v));
+  // Date fields report "" until a whole date is entered: keep the last one
+  const dateSetter = (name) => (e) => {
+    if (e.target.value) setInput(name, e.target.value);
+  };
+
+  const results = useMemo(() => calculateCgt(inputs), [inputs]);
+  const {
+    fy,
+    ratesFy,
+    parcels,
+    parcelLosses,
+    totalProceeds,
+    discountableGains,
+    otherGains,
+    currentLossesApplied,
+    carriedForwardApplied,
+    discount,
+    netCapitalGain,
+    lossesCarriedForward,
+    taxWithout,
+    taxWith,
+    tax,
+    averageRate,
+    byBracket,
+    afterTaxProceeds,
+  } = results;
+  const totalGains = discountableGains + otherGains;
+  const parcelFor = (n) => parcels.find((p) => p.n === n);
+
+  // The tax calculator with the net gain added to this year's income
+  const taxCalculatorHref = `/calculators/tax-calculator?${encodeUrlState(
+    {
+      fy: ratesFy,
+      income: (Number(otherTaxableIncome) || 0) + netCapitalGain,
+      frequency: "annual",
+    },
+    TAKE_HOME_INPUTS
+  )}`;
+
+  const parcelStatus = (p) => {
+    if (p.error) return p.error;
+    if (p.loss > 0) return "Capital loss";
+    return p.discountable ? "Discount applies" : "Held 12 months or less";
+  };
+
+  const breakdownRows = [
+    ["Gains eligible for the discount", aud0(discountableGains)],
+    ["Other gains", aud0(otherGains)],
+    ["Capital losses this year applied", aud0(-currentLossesApplied)],
+    ["Earlier years' losses applied", aud0(-carriedForwardApplied)],
+    [`CGT discount (${pct(CGT_DISCOUNT, 0)})`, aud0(-discount)],
+    ["Net capital gain", aud0(netCapitalGain)],
+  ];
+
+  // PDF report: inputs, headline figures, parcels and the working
+  const getReport = () => ({
+    title: "Capital Gains Tax Calculator",
+    inputs: [
+      { label: "Sale date", value: dateLabel(disposalDate) },
+      { label: "Other taxable income", value: aud0(Number(otherTaxableIncome) || 0) },
+      { label: "Other capital losses this year", value: aud0(Number(currentYearLosses) || 0) },
+      { label: "Net capital losses from earlier years", value: aud0(Number(carriedForwardLosses) || 0) },
+    ],
+    results: [
+      { label: "Total capital gains", value: aud0(totalGains) },
+      { label: "Net capital gain", value: aud0(netCapitalGain) },
+      { label: `Extra tax in ${fyLabel(fy)}`, value: aud0(tax) },
+      { label: "Average rate on the net gain", value: pct(averageRate) },
+      { label: "Sale proceeds after tax", value: aud0(afterTaxProceeds) },
+      { label: "Losses carried forward", value: aud0(lossesCarriedForward) },
+    ],
+    rules: [
+      { label: "CGT discount", value: `${pct(CGT_DISCOUNT, 0)} for assets held more than 12 months` },
+      { label: "Tax rates used", value: fyLabel(ratesFy) },
+      { label: "Tax without the gain", value: aud0(taxWithout) },
+      { label: "Tax with the gain", value: aud0(taxWith) },
+    ],
+    tables: [
+      {
+        title: "Parcels",
+        head: ["Parcel", "Acquired", "Cost base", "Proceeds", "Gain or loss", "Treatment"],
+        body: parcels.map((p) => [
+          String(p.n),
+          dateLabel(p.acquired),
+          aud0(p.costBase),
+          aud0(p.proceeds),
+          p.error ? "—" : aud0(p.gain - p.loss),
+          parcelStatus(p),
+        ]),
+      },
+      { title: "Net capital gain", head: ["Step", "Amount"], body: breakdownRows },
+      {
+        title: "Where the gain is taxed",
+        head: ["Bracket rate", "Amount of gain"],
+        body: byBracket.map((b) => [pct(b.rate, 0), aud0(b.amount)]),
+      },
+    ],
+    notes: [
+      "Capital losses are applied to gains that don't get the discount first, then to discountable gains, before the discount.",
+      "The extra tax is the difference in income tax, offsets and Medicare levy with and without the net gain.",
+      ...(ratesFy !== fy ? [`${fyLabel(fy)} tax rates aren't available yet; ${fyLabel(ratesFy)} rates are used.`] : []),
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Capital Gains Tax Calculator",
+    inputs: schemaInputs(CGT_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Parcels",
+    columns: EXPORT_COLUMNS,
+    rows: parcels,
+  });
+
+  return (
+    <>
+      <Head>
+        <title>Capital Gains Tax Calculator | FinToolbox</title>
+        <meta
+          name="description"
+          content="Work out the capital gains tax on shares or other assets you sell: the 12-month CGT discount, current and carried-forward capital losses, and the tax at your marginal rates."
+        />
+        <link rel="canonical" href="https://fintoolbox.com.au/calculators/capital-gains-tax" />
+        <style>{`
+          @media print {
+            @page {
+              margin: 1.5cm;
+              size: A4;
+            }
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+              background: white !important;
+              font-size: 11pt;
+            }
+            .no-print {
+              display: none !important;
+            }
+            .printable-section {
+              display: block !important;
+              page-break-inside: avoid;
+              width: 100% !important;
+              margin-bottom: 1.5rem !important;
+            }
+            header {
+              border-bottom: 2px solid #000 !important;
+              padding-bottom: 1rem !important;
+              margin-bottom: 2rem !important;
+            }
+            .grid {
+              display: block !important;
+            }
+            .grid > div {
+              border: 1px solid #e2e8f0 !important;
+              margin-bottom: 0.5rem !important;
+              page-break-inside: avoid;
+            }
+          }
+        `}</style>
+      </Head>
+
+      <div className="hidden print:flex justify-between items-center mb-6 text-slate-500 text-[10px] border-b pb-2 px-4 max-w-5xl mx-auto">
+        <span>fintoolbox.com.au</span>
+        <span>Calculation Date: {new Date().toLocaleDateString('en-AU')}</span>
+      </div>
+
+      {/* Header */}
+      <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200">
+        <h1 className="text-2xl font-bold text-slate-900">Capital Gains Tax Calculator</h1>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 mt-4">
+        {/* Intro */}
+        <PageIntro tone="blue" className="no-print">
+          <div className="space-y-2">
+            <p>
+              <span className="font-semibold">Capital gains are taxed as income</span>{" "}
+              in the year you sell. Assets held for more than 12 months have
+              their gain halved by the CGT discount, and capital losses &mdash;
+              this year&apos;s and any carried forward &mdash; come off first.
+            </p>
+            <p>
+              Enter each parcel you sold with the date you bought it, its cost
+              base and what you sold it for. The calculator works out your net
+              capital gain and the extra tax when it is added to your other
+              income.
+            </p>
+          </div>
+        </PageIntro>
+
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
+        <div className="no-print">
+          <SubtleCtaLink className="mt-3" href={taxCalculatorHref}>
+            See your full tax bill with this gain included →
+          </SubtleCtaLink>
+        </div>
+
+        {/* INPUT CARD */}
+        <div className="mt-6 no-print">
+          <SectionCard title="Your sale">
+            <div className="space-y-6 text-sm text-slate-700">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Sale date
+                    <Tooltip text="The contract date, not settlement. It sets the financial year the gain is taxed in." />
+                  </span>
+                  <input
+                    type="date"
+                    className="border rounded px-2 py-1"
+                    value={disposalDate}
+                    onChange={dateSetter("disposalDate")}
+                  />
+                  <span className="text-xs text-slate-500 mt-1">Taxed in {fyLabel(fy)}</span>
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Other taxable income ($)
+                    <Tooltip text="Your taxable income for the year without this sale: salary, interest, dividends and rent, less deductions." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={otherTaxableIncome}
+                    onChange={amountSetter("otherTaxableIncome")}
+                  />
+                </label>
+              </div>
+
+              <div className="border-t border-slate-100 pt-4">
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Parcels sold
+                  <Tooltip text="A parcel is a lot bought on one date. Leave the cost base and proceeds at $0 for parcels you don't need." />
+                </h3>
+                <div className="space-y-3">
+                  {PARCEL_NUMBERS.map((n) => {
+                    const p = parcelFor(n);
+                    return (
+                      <div key={n} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+                        <label className="flex flex-col">
+                          <span className="text-slate-600">Parcel {n} acquired</span>
+                          <input
+                            type="date"
+                            className="border rounded px-2 py-1"
+                            value={inputs[`parcel${n}Acquired`]}
+                            onChange={dateSetter(`parcel${n}Acquired`)}
+                          />
+                        </label>
+                        <label className="flex flex-col">
+                          <span className="text-slate-600 flex items-center gap-1">
+                            Cost base ($)
+                            <Tooltip text="Purchase price plus brokerage, stamp duty and other costs of buying and selling, less any capital works deductions claimed." />
+                          </span>
+                          <CurrencyInput
+                            className="w-full"
+                            value={inputs[`parcel${n}CostBase`]}
+                            onChange={amountSetter(`parcel${n}CostBase`)}
+                          />
+                        </label>
+                        <label className="flex flex-col">
+                          <span className="text-slate-600">Sale proceeds ($)</span>
+                          <CurrencyInput
+                            className="w-full"
+                            value={inputs[`parcel${n}Proceeds`]}
+                            onChange={amountSetter(`parcel${n}Proceeds`)}
+                          />
+                        </label>
+                        <div className={`pb-1 text-xs ${p?.error ? "text-red-600" : "text-slate-500"}`}>
+                          {p ? `${p.error ? "" : `${aud0(p.gain - p.loss)} · `}${parcelStatus(p)}` : "Not used"}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="border-t border-slate-100 pt-4">
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Capital losses
+                  <Tooltip text="Losses on the parcels above are included automatically. Capital losses can only be used against capital gains." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  <label className="flex flex-col">
+                    <span className="text-slate-600">Other capital losses this year ($)</span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={currentYearLosses}
+                      onChange={amountSetter("currentYearLosses")}
+                    />
+                  </label>
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-1">
+                      Net capital losses from earlier years ($)
+                      <Tooltip text="Unused losses carried forward, shown on last year's notice of assessment." />
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={carriedForwardLosses}
+                      onChange={amountSetter("carriedForwardLosses")}
+                    />
+                  </label>
+                </div>
+              </div>
+            </div>
+          </SectionCard>
+        </div>
+
+        {ratesFy !== fy && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>
+              Tax rates for {fyLabel(fy)} aren&apos;t available yet, so{" "}
+              {fyLabel(ratesFy)} rates are used.
+            </p>
+          </PageIntro>
+        )}
+
+        {/* RESULTS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="Results">
+            <SummaryGrid>
+              <SummaryCard
+                label="Net capital gain"
+                value={aud0(netCapitalGain)}
+                note={`From ${aud0(totalGains)} of gains`}
+              />
+              <SummaryCard
+                label={`Extra tax in ${fyLabel(fy)}`}
+                value={aud0(tax)}
+                note={netCapitalGain > 0 ? `${pct(averageRate)} of the net gain` : null}
+              />
+              <SummaryCard
+                label="Sale proceeds after tax"
+                value={aud0(afterTaxProceeds)}
+                note={`From ${aud0(totalProceeds)} of proceeds`}
+              />
+              <SummaryCard
+                label="Losses carried forward"
+                value={aud0(lossesCarriedForward)}
+                badgeText={lossesCarriedForward > 0 ? "Available next year" : null}
+                badgeTone="neutral"
+              />
+            </SummaryGrid>
+
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
+            </div>
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
+          </SectionCard>
+        </div>
+
+        {/* WORKING */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="How the gain is worked out">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm text-slate-700">
+              <table className="min-w-full">
+                <tbody>
+                  {breakdownRows.map(([label, value], i) => (
+                    <tr
+                      key={label}
+                      className={`border-t border-slate-100 ${i === breakdownRows.length - 1 ? "font-semibold" : ""}`}
+                    >
+                      <td className="py-1 pr-3">{label}</td>
+                      <td className="py-1 text-right">{value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div>
+                <p className="text-slate-600 mb-2">
+                  Added to {aud0(Number(otherTaxableIncome) || 0)} of other income,
+                  the net gain is taxed at:
+                </p>
+                {byBracket.length > 0 ? (
+                  <table className="min-w-full">
+                    <tbody>
+                      {byBracket.map((b) => (
+                        <tr key={b.from} className="border-t border-slate-100">
+                          <td className="py-1 pr-3">{pct(b.rate, 0)} bracket</td>
+                          <td className="py-1 text-right">{aud0(b.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="text-slate-500">No net gain to tax.</p>
+                )}
+                <p className="text-xs text-slate-500 mt-2">
+                  Plus the Medicare levy, less any offsets the extra income
+                  phases out. Tax goes from {aud0(taxWithout)} to {aud0(taxWith)}.
+                </p>
+                {parcelLosses > 0 && (
+                  <p className="text-xs text-slate-500 mt-2">
+                    Includes {aud0(parcelLosses)} of capital losses on the parcels sold.
+                  </p>
+                )}
+              </div>
+            </div>
+          </SectionCard>
+        </div>
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="capital-gains-tax"
+            schema={CGT_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateCgt}
+            metrics={SCENARIO_METRICS}
+          />
+        </div>
+
+        {/* ASSUMPTIONS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="How this calculator works">
+            <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
+              <li>
+                <span className="text-slate-800 font-medium">CGT discount:</span>{" "}
+                Individuals get a {pct(CGT_DISCOUNT, 0)} discount on gains from
+                assets bought at least 12 months before the sale, not counting the
+                days of purchase and sale. An asset bought on 1 March must be sold
+                on or after 2 March the next year.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Capital losses:</span>{" "}
+                This year&apos;s losses, then losses carried forward, are applied
+                to gains before the discount &mdash; to gains that don&apos;t get
+                the discount first, which gives the lowest net gain. Losses left
+                over carry forward to later years.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Tax on the gain:</span>{" "}
+                The net capital gain is added to your other taxable income and
+                taxed at the resident rates for the year of the sale, including
+                the Medicare levy and the low income tax offset. The figure shown
+                is the extra tax compared with your income without the gain.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Elsewhere on the site:</span>{" "}
+                The{" "}
+                <Link href="/calculators/investment-property" className="text-blue-700 underline">
+                  investment property calculator
+                </Link>{" "}
+                uses the same rules for a sale in each year, and the{" "}
+                <Link href="/calculators/debt-recycling" className="text-blue-700 underline">
+                  debt recycling calculator
+                </Link>{" "}
+                for its after-tax portfolio value.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Not included:</span>{" "}
+                Main residence and small business concessions, the indexation
+                method for assets bought before 21 September 1999, non-resident
+                rules, and the Medicare levy surcharge.
+              </li>
+            </ul>
+          </SectionCard>
+        </div>
+      </div>
+
+      {/* Disclaimer */}
+      <div className="max-w-5xl mx-auto px-4 mt-12 mb-12 text-[11px] text-slate-500 leading-snug no-print">
+        <p>
+          This calculator is general information only. It does not consider your
+          personal objectives, financial situation, or needs, and it uses
+          simplified tax rules and assumptions.
+        </p>
+      </div>
+    </>
+  );
+}
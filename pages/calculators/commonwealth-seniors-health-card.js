@@ -1,13 +1,24 @@
 // pages/calculators/commonwealth-seniors-health-card.js
 
-import { useState, useMemo } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
 import SectionCard from "@/components/SectionCard";
 import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
-import { Printer } from "lucide-react";
+import RulesDateSelect from "@/components/RulesDateSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  getCentrelinkRules,
+  formatEffectiveDate,
+} from "@/lib/centrelink";
+import { calculateCSHC, CSHC_INPUTS } from "@/lib/centrelink/cshc";
+import { schemaInputs } from "@/lib/export";
 
 // ---------------
 // Helpers
@@ -23,113 +34,58 @@ function aud0(n) {
   });
 }
 
-function toNumber(value, fallback = 0) {
-  const n = typeof value === "number" ? value : parseFloat(String(value));
-  return Number.isFinite(n) ? n : fallback;
-}
-
-/**
- * Calculate Deemed Income on Account-Based Pensions (2026 Rates).
- *
- * Deeming rates (effective March 2026):
- * - Lower rate: 1.25%
- * - Upper rate: 3.25%
- *
- * Thresholds:
- * - Single: $64,200
- * - Couple (combined): $106,200
- */
-function calculateDeeming(balance, status) {
-  const lowerRate = 0.0125;
-  const upperRate = 0.0325;
-  
-  let threshold = 64200;
-  if (status === "couple" || status === "separated") {
-    threshold = 106200;
-  }
-
-  if (balance <= threshold) {
-    return balance * lowerRate;
-  }
-
-  const lowerPart = threshold * lowerRate;
-  const upperPart = (balance - threshold) * upperRate;
-  return lowerPart + upperPart;
-}
-
-/**
- * Core calculation for CSHC Eligibility.
- * Based on March 2026 thresholds.
- */
-function calculateCSHC(inputs) {
-  const status = inputs.relationshipStatus || "single";
-  const numChildren = toNumber(inputs.numChildren);
-  
-  // 1. Calculate Adjusted Taxable Income (ATI)
-  const taxableIncome = toNumber(inputs.taxableIncome);
-  const foreignIncome = toNumber(inputs.foreignIncome);
-  const investmentLosses = toNumber(inputs.investmentLosses);
-  const employerBenefits = toNumber(inputs.employerBenefits);
-  const reportableSuper = toNumber(inputs.reportableSuper);
-
-  const ati =
-    taxableIncome +
-    foreignIncome +
-    investmentLosses +
-    employerBenefits +
-    reportableSuper;
-
-  // 2. Calculate Deemed Income from Account-Based Pensions
-  const pensionBalance = toNumber(inputs.accountBasedPensionBalance);
-  const deemedIncome = calculateDeeming(pensionBalance, status);
-
-  // 3. Total Assessable Income
-  const totalAssessableIncome = ati + deemedIncome;
-
-  // 4. Determine Threshold (2025-26 rates)
-  // Single: $101,105
-  // Couple: $161,768
-  // Separated (illness/respite): $202,210
-  // Child add-on: $639.60 per child
-  let baseThreshold = 101105;
-  if (status === "couple") baseThreshold = 161768;
-  if (status === "separated") baseThreshold = 202210;
-
-  const childAddOn = numChildren * 639.60;
-  const totalThreshold = baseThreshold + childAddOn;
-
-  const isEligible = totalAssessableIncome < totalThreshold;
-  const gap = totalThreshold - totalAssessableIncome;
-
-  return {
-    ati,
-    deemedIncome,
-    totalAssessableIncome,
-    totalThreshold,
-    isEligible,
-    gap,
-  };
-}
-
 // ---------------
 // Page component
 // ---------------
 
+// Each saved scenario is checked under its own rules date
+const calculateCSHCForInputs = (inputs) =>
+  calculateCSHC(inputs, getCentrelinkRules(inputs.rulesDate));
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Adjusted taxable income", value: (r) => r.ati, format: aud0 },
+  { label: "Deemed income", value: (r) => r.deemedIncome, format: aud0 },
+  { label: "Total assessable income", value: (r) => r.totalAssessableIncome, format: aud0, better: "lower" },
+  { label: "Income threshold", value: (r) => r.totalThreshold, format: aud0 },
+  { label: "Room under the threshold", value: (r) => r.gap, format: aud0, better: "higher" },
+];
+
+// Spreadsheet export: input labels and the income test as one row
+const EXPORT_FIELDS = {
+  rulesDate: "Rates date",
+  relationshipStatus: "Relationship status",
+  numChildren: "Dependent children",
+  taxableIncome: { label: "Taxable income", format: "currency" },
+  foreignIncome: { label: "Target foreign income", format: "currency" },
+  investmentLosses: { label: "Total net investment losses", format: "currency" },
+  employerBenefits: { label: "Employer provided benefits", format: "currency" },
+  reportableSuper: { label: "Reportable super contributions", format: "currency" },
+  accountBasedPensionBalance: { label: "Account-based pension balance", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "AdjustedTaxableIncome", format: "currency", value: (r) => r.ati },
+  { key: "DeemedIncome", format: "currency", value: (r) => r.deemedIncome },
+  { key: "TotalAssessableIncome", format: "currency", value: (r) => r.totalAssessableIncome },
+  { key: "IncomeThreshold", format: "currency", value: (r) => r.totalThreshold },
+  { key: "RoomUnderThreshold", format: "currency", value: (r) => r.gap },
+  { key: "Eligible", format: "boolean", value: (r) => r.isEligible },
+  { key: "RatesEffectiveFrom", format: "text", value: (r) => r.ratesEffectiveFrom },
+  { key: "DeemingEffectiveFrom", format: "text", value: (r) => r.deemingEffectiveFrom },
+];
+
+// Relationship status as worded in the report
+const STATUS_LABELS = {
+  single: "Single",
+  couple: "Couple (living together)",
+  separated: "Couple (separated by illness)",
+};
+
 export default function CommonwealthSeniorsHealthCardCalculator() {
-  const [inputs, setInputs] = useState({
-    relationshipStatus: "single", // "single" | "couple" | "separated"
-    numChildren: 0,
-    
-    // Income components (Annual)
-    taxableIncome: 0,
-    foreignIncome: 0,
-    investmentLosses: 0,
-    employerBenefits: 0,
-    reportableSuper: 0,
-
-    // Assets subject to deeming
-    accountBasedPensionBalance: 0,
-  });
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(CSHC_INPUTS);
+  const { rulesDate } = inputs;
+  const setRulesDate = (v) => setInput("rulesDate", v);
 
   const handleChange = (field) => (e) => {
     const value = e.target.value;
@@ -146,6 +102,13 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
     }));
   };
 
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const { deeming } = rules;
+  const ratesFrom = formatEffectiveDate(rules.cshc.effectiveFrom);
+  const deemingFrom = formatEffectiveDate(deeming.effectiveFrom);
+  const deemingRates = `${(deeming.lowerRate * 100).toFixed(2)}% / ${(deeming.upperRate * 100).toFixed(2)}%`;
+
+  const result = useMemo(() => calculateCSHC(inputs, rules), [inputs, rules]);
   const {
     ati,
     deemedIncome,
@@ -153,10 +116,54 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
     totalThreshold,
     isEligible,
     gap,
-  } = useMemo(() => calculateCSHC(inputs), [inputs]);
+  } = result;
 
   const isCouple = inputs.relationshipStatus !== "single";
 
+  // PDF report: inputs, the income test and the thresholds it used
+  const getReport = () => ({
+    title: "Commonwealth Seniors Health Card Calculator",
+    inputs: [
+      { label: "Relationship status", value: STATUS_LABELS[inputs.relationshipStatus] },
+      { label: "Dependent children", value: String(inputs.numChildren || 0) },
+      { label: "Taxable income", value: aud0(Number(inputs.taxableIncome) || 0) },
+      { label: "Target foreign income", value: aud0(Number(inputs.foreignIncome) || 0) },
+      { label: "Total net investment losses", value: aud0(Number(inputs.investmentLosses) || 0) },
+      { label: "Employer provided benefits", value: aud0(Number(inputs.employerBenefits) || 0) },
+      { label: "Reportable super contributions", value: aud0(Number(inputs.reportableSuper) || 0) },
+      { label: "Account-based pension balance", value: aud0(Number(inputs.accountBasedPensionBalance) || 0) },
+    ],
+    results: [
+      { label: "Eligible", value: isEligible ? "Yes" : "No" },
+      { label: "Adjusted taxable income", value: aud0(ati) },
+      { label: "Deemed income", value: aud0(deemedIncome) },
+      { label: "Total assessable income", value: aud0(totalAssessableIncome) },
+      { label: `Income limit (${isCouple ? "couple" : "single"})`, value: aud0(totalThreshold) },
+      { label: isEligible ? "Below the limit by" : "Over the limit by", value: aud0(Math.abs(gap)) },
+    ],
+    rules: [
+      { label: "Income thresholds effective from", value: ratesFrom },
+      { label: "Deeming rates effective from", value: deemingFrom },
+      { label: "Deeming rates", value: deemingRates },
+    ],
+    notes: ["Only account-based pensions are deemed for the card's income test."],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Commonwealth Seniors Health Card Calculator",
+    inputs: schemaInputs(CSHC_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [
+      {
+        ...result,
+        ratesEffectiveFrom: rules.cshc.effectiveFrom,
+        deemingEffectiveFrom: deeming.effectiveFrom,
+      },
+    ],
+  });
+
   return (
     <>
       <Head>
@@ -165,7 +172,7 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
         </title>
         <meta
           name="description"
-          content="Check your eligibility for the Commonwealth Seniors Health Card (CSHC) based on the latest March 2026 income thresholds and deeming rates."
+          content="Check your eligibility for the Commonwealth Seniors Health Card (CSHC) using current, past or upcoming income thresholds and deeming rates."
         />
         <link
           rel="canonical"
@@ -232,10 +239,17 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
                 Use this calculator to test your eligibility against the <strong>income test</strong>. There is no assets test for this card.
               </p>
               <p className="text-[12px] text-blue-900/80">
-                Settings reflect <strong>March 2026</strong> rates and thresholds.
+                Income thresholds effective from <strong>{ratesFrom}</strong>; deeming rates effective from{" "}
+                <strong>{deemingFrom}</strong>.
               </p>
             </div>
           </PageIntro>
+
+          {notice && (
+            <PageIntro tone="amber" className="mt-4 no-print">
+              <p>{notice}</p>
+            </PageIntro>
+          )}
         </div>
 
         <div className="no-print">
@@ -253,6 +267,8 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
           <div className="lg:col-span-7 space-y-6 no-print">
             <SectionCard title="Your details">
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-slate-700">
+                <RulesDateSelect value={rulesDate} onChange={setRulesDate} />
+
                 <label className="flex flex-col">
                   <span className="text-slate-600">Relationship status</span>
                   <select
@@ -414,7 +430,7 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
                 <div className="flex justify-between items-center pb-2 border-b border-slate-100">
                   <span className="text-slate-600 flex items-center gap-1">
                     Deemed Income
-                    <Tooltip text="Income assumed to be earned from your account-based pensions using current deeming rates (1.25% / 3.25%)." />
+                    <Tooltip text={`Income assumed to be earned from your account-based pensions using deeming rates of ${deemingRates}.`} />
                   </span>
                   <span className="font-medium text-slate-900">{aud0(deemedIncome)}</span>
                 </div>
@@ -430,16 +446,11 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
                 </div>
               </div>
 
-              <div className="mt-6 flex justify-end no-print">
-                <button
-                  type="button"
-                  onClick={() => window.print()}
-                  className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-                >
-                  <Printer className="h-4 w-4" />
-                  Download Calculation (PDF)
-                </button>
+              <div className="mt-6 flex justify-end gap-3 no-print">
+                <CopyLinkButton queryString={queryString} />
+                <DownloadReportButton getReport={getReport} queryString={queryString} />
               </div>
+              <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
             </SectionCard>
 
             <SectionCard title="Assumptions & references" className="printable-section">
@@ -451,7 +462,7 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
                   <strong>Income Test:</strong> The test assesses your Adjusted Taxable Income (ATI) plus deemed income from account-based pensions.
                 </li>
                 <li>
-                  <strong>Deeming:</strong> Account-based pensions are subject to deeming for the CSHC. The current rates (March 2026) are 1.25% on the lower threshold and 3.25% on the excess.
+                  <strong>Deeming:</strong> Account-based pensions are subject to deeming for the CSHC. The rates from {deemingFrom} are {(deeming.lowerRate * 100).toFixed(2)}% up to {aud0(isCouple ? deeming.threshold.coupleCombined : deeming.threshold.single)} and {(deeming.upperRate * 100).toFixed(2)}% on the excess.
                 </li>
                 <li>
                   <strong>No Assets Test:</strong> Unlike the Age Pension, the CSHC does not have an assets test.
@@ -461,11 +472,23 @@ export default function CommonwealthSeniorsHealthCardCalculator() {
           </div>
 
         </div>
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="commonwealth-seniors-health-card"
+            schema={CSHC_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateCSHCForInputs}
+            metrics={SCENARIO_METRICS}
+          />
+        </div>
       </div>
 
       <div className="max-w-5xl mx-auto px-4 mt-12 mb-12 text-[11px] text-slate-500 leading-snug no-print">
         <p>
-          This calculator is provided for general information only and is based on rates applicable as of March 2026. It does not constitute financial or legal advice. Eligibility is determined by Services Australia at the time of application.
+          This calculator is provided for general information only and is based on rates applicable from {ratesFrom}. It does not constitute financial or legal advice. Eligibility is determined by Services Australia at the time of application.
         </p>
       </div>
     </>
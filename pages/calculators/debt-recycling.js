@@ -1,17 +1,26 @@
 // pages/calculators/debt-recycling.js
 
-import { useState, useMemo } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
+import Link from "next/link";
 // import Layout from "../../components/Layout"; // not needed here
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
-import { Printer } from "lucide-react";
 import ChartTooltip from "@/components/ChartTooltip";
 import SectionCard from "@/components/SectionCard";
 import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { simulate, DEBT_RECYCLING_INPUTS } from "@/lib/investing/debtRecycling";
+import { schemaInputs } from "@/lib/export";
+import { fyLabel } from "@/lib/tax";
 
 
 
@@ -33,46 +42,6 @@ import {
 // Helper functions
 // -----------------
 
-// Add this helper near the component top-level
-function yearsToCsv(years) {
-  if (!years?.length) return "";
-  const headers = [
-    "Year",
-    "HomeLoanA",
-    "NetWealthA",
-    "HomeLoanB",
-    "InvestLoanB",
-    "PortfolioB",
-    "NetWealthB",
-    "DebtFreePositionB"
-  ];
-  const rows = years.map(r => [
-    r.year,
-    r.homeLoanA,
-    r.netWealthA,
-    r.homeLoanB,
-    r.investLoanB,
-    r.portfolioB,
-    r.netWealthB,
-    r.surplusIfLiquidated
-  ]);
-  const escape = (v) => (typeof v === "string" && v.includes(",") ? `"${v}"` : v);
-  return [headers, ...rows].map(row => row.map(escape).join(",")).join("\n");
-}
-
-function downloadCsv(filename, csv) {
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.setAttribute("href", url);
-  link.setAttribute("download", filename);
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-}
-
-
 function aud0(n) {
   if (!isFinite(n)) return "$0";
   return n.toLocaleString("en-AU", {
@@ -83,419 +52,107 @@ function aud0(n) {
   });
 }
 
-// Standard P&I repayment formula (monthly payment)
-function pmtPAndI(principal, annualRatePct, remainingYears) {
-  if (principal <= 0) return 0;
-  const r = (annualRatePct / 100) / 12; // monthly rate
-  const n = remainingYears * 12; // total months
-  if (r === 0) {
-    return n === 0 ? 0 : principal / n;
-  }
-  const num = principal * r * Math.pow(1 + r, n);
-  const den = Math.pow(1 + r, n) - 1;
-  return den === 0 ? 0 : num / den;
-}
-
-// After-tax liquidation value of the portfolio if sold now
-function afterTaxLiquidationValue(currentPortfolioValue, costBase, marginalTaxRatePct) {
-  const gain = currentPortfolioValue - costBase;
-  if (gain <= 0) {
-    return currentPortfolioValue;
-  }
-  const discountGain = gain * 0.5; // 50% CGT discount assumed
-  const taxRate = marginalTaxRatePct / 100;
-  const cgt = discountGain * taxRate;
-  return currentPortfolioValue - cgt;
-}
-
-// After-tax income sweep calc
-function calcAfterTaxIncomeSweep({
-  portfolioStart,
-  yieldPct,
-  frankedPortionPct,
-  marginalTaxRatePct,
-  avgInvestLoanBalanceForYear,
-  investLoanRatePct,
-}) {
-  // 1. Cash distributions actually received
-  const cashIncome = portfolioStart * (yieldPct / 100);
-
-  // Split cash income into franked vs unfranked
-  const frankedPortion = cashIncome * (frankedPortionPct / 100);
-  const unfrankedPortion = cashIncome - frankedPortion;
-
-  // Assume 30% company tax for franking
-  const frankingRate = 0.30;
-
-  // Gross up franked dividends to get assessable income
-  const grossedUpFrankedIncome =
-    frankedPortion / ((1 - frankingRate) || 1);
-
-  const frankingCredit = grossedUpFrankedIncome - frankedPortion;
-
-  // Assessable income before interest deduction
-  const assessableInvestmentIncome =
-    unfrankedPortion + grossedUpFrankedIncome;
-
-  // Deductible interest (negative gearing)
-  const deductibleInterest =
-    avgInvestLoanBalanceForYear * (investLoanRatePct / 100);
-
-  // Net taxable result
-  const taxableAfterInterest =
-    assessableInvestmentIncome - deductibleInterest;
-
-  // Tax (or refund) at marginal tax rate (incl Medicare levy)
-  const taxRate = marginalTaxRatePct / 100;
-  const taxPayableOnNetIncome = taxableAfterInterest * taxRate;
-
-  // Apply franking credits as refundable offset
-  const netTaxAfterFranking = taxPayableOnNetIncome - frankingCredit;
-
-  // Household cash outcome from portfolio for this year
-  const afterTaxCashToHomeLoan = cashIncome - netTaxAfterFranking;
-
-  return {
-    afterTaxCashToHomeLoan,
-  };
-}
-
-// Core simulation engine
-function simulate({
-  homeValueStart,
-  homeValueGrowthPct,
-  homeLoanStart,
-  offsetBalanceStart,
-  kickstartFromOffset,
-  remainingTermYearsStart,
-  homeRatePct,
-  investLoanRatePct,
-  baseMonthlyRepayment,
-  projectionYears,
-  investGrowthPct,
-  investYieldPct,
-  frankedPortionPct,
-  marginalTaxRatePct,
-}) {
-  const totalMonths = projectionYears * 12;
-
-  // --- Strategy B state ---
-  let homeLoanBalB = homeLoanStart;
-  let offsetBalB = offsetBalanceStart;
-  let investLoanBalB = 0; // starting from zero now
-  let portfolioBalB = 0; // starting from zero now
-  let portfolioCostBase = 0; // cost base starts at 0
-
-  // Kickstart: pull from offset, pay down home, redraw as invest debt, invest it
-  {
-    const usableKick = Math.min(kickstartFromOffset, offsetBalB, homeLoanBalB);
-    if (usableKick > 0) {
-      homeLoanBalB -= usableKick;
-      offsetBalB -= usableKick;
-      investLoanBalB += usableKick;
-      portfolioBalB += usableKick;
-      portfolioCostBase += usableKick; // contributed capital
-    }
-  }
-
-  // --- Strategy A state ---
-  let homeLoanBalA = homeLoanStart;
-  let offsetBalA = offsetBalanceStart;
-
-  let remainingTermMonths = remainingTermYearsStart * 12;
-
-  // Track year start values for next-year redraw & sweep logic
-  let yearStartHomeLoanBalB = homeLoanBalB;
-  let yearStartPortfolioBalB = portfolioBalB;
-  let yearStartInvestLoanBalB = investLoanBalB;
-
-  // Monthly sweep from last year's investment income (after tax)
-  let currentYearIncomeSweepMonthly = 0;
-
-  // -------------------------
-  // FROZEN REQUIRED BASE REPAYMENTS
-  // -------------------------
-  const totalDebtStartB = homeLoanBalB + investLoanBalB;
-  const weightedRateStartPctB =
-    totalDebtStartB > 0
-      ? (homeLoanBalB * homeRatePct +
-          investLoanBalB * investLoanRatePct) /
-        totalDebtStartB
-      : 0;
-
-  const frozenRequiredBaseB =
-    totalDebtStartB > 0
-      ? pmtPAndI(
-          totalDebtStartB,
-          weightedRateStartPctB,
-          remainingTermYearsStart
-        )
-      : 0;
-
-  const frozenRequiredBaseA =
-    homeLoanStart > 0
-      ? pmtPAndI(
-          homeLoanStart,
-          homeRatePct,
-          remainingTermYearsStart
-        )
-      : 0;
-
-  const yearsArr = [];
-
-  // We'll show these in the UI under the input
-  let thisYearUserBase = baseMonthlyRepayment;
-  let thisYearEffectiveBase = Math.max(
-    baseMonthlyRepayment,
-    frozenRequiredBaseB
-  );
-
-  for (let month = 0; month < totalMonths; month++) {
-    const currentYearIdx = Math.floor(month / 12); // 0 = Year 1
-    const monthInYear = month % 12;
-
-    const remainingTermYearsNow = Math.max(
-      remainingTermMonths / 12,
-      0.0001
-    );
-
-    // --- STRATEGY B repayments this month ---
-    const effectiveBaseCashB = Math.max(
-      baseMonthlyRepayment,
-      frozenRequiredBaseB
-    );
-    thisYearUserBase = baseMonthlyRepayment;
-    thisYearEffectiveBase = effectiveBaseCashB;
-
-    const investOnlyPmtThisMonth =
-      investLoanBalB > 0
-        ? pmtPAndI(
-            investLoanBalB,
-            investLoanRatePct,
-            remainingTermYearsNow
-          )
-        : 0;
-
-    // pay investment split first
-    const payToInvestSplit = Math.min(
-      effectiveBaseCashB,
-      investOnlyPmtThisMonth
-    );
-
-    // leftover goes to home split
-    let payToHomeSplit = effectiveBaseCashB - payToInvestSplit;
-
-    const homeOnlyPmtThisMonth =
-      homeLoanBalB > 0
-        ? pmtPAndI(
-            homeLoanBalB,
-            homeRatePct,
-            remainingTermYearsNow
-          )
-        : 0;
-
-    const sumOfSplitWants =
-      investOnlyPmtThisMonth + homeOnlyPmtThisMonth;
-
-    // If we're paying more than both splits strictly "need",
-    // dump the surplus on the home split (non-deductible)
-    if (effectiveBaseCashB > sumOfSplitWants) {
-      payToHomeSplit += effectiveBaseCashB - sumOfSplitWants;
-    }
-
-    // plus sweep from prior-year investment income
-    const totalHomeThisMonthB =
-      payToHomeSplit + currentYearIncomeSweepMonthly;
-
-    const totalInvestThisMonthB = payToInvestSplit;
-
-    // Interest calc
-    const homeMonthlyRate = (homeRatePct / 100) / 12;
-    const investMonthlyRate = (investLoanRatePct / 100) / 12;
-
-    // home interest applies to (homeLoanBalB - offsetBalB), floored at 0
-    const effectiveHomeBalForInterestB = Math.max(
-      0,
-      homeLoanBalB - offsetBalB
-    );
-    const homeInterestB =
-      effectiveHomeBalForInterestB * homeMonthlyRate;
-
-    const investInterestB =
-      investLoanBalB * investMonthlyRate;
-
-    // principal reduction on home split
-    let principalReductionHome = totalHomeThisMonthB - homeInterestB;
-    if (principalReductionHome < 0) principalReductionHome = 0;
-    homeLoanBalB -= principalReductionHome;
-    if (homeLoanBalB < 0) homeLoanBalB = 0;
-
-    // principal reduction on investment split
-    let principalReductionInvest = totalInvestThisMonthB - investInterestB;
-    if (principalReductionInvest < 0) principalReductionInvest = 0;
-    investLoanBalB -= principalReductionInvest;
-    if (investLoanBalB < 0) investLoanBalB = 0;
-
-    // --- STRATEGY A repayments this month ---
-    const effectiveBaseCashA = Math.max(
-      baseMonthlyRepayment,
-      frozenRequiredBaseA
-    );
-    const cashToHomeA = effectiveBaseCashA;
-
-    const effectiveHomeBalForInterestA = Math.max(
-      0,
-      homeLoanBalA - offsetBalA
-    );
-    const homeInterestA =
-      effectiveHomeBalForInterestA * homeMonthlyRate;
-
-    let principalReductionA = cashToHomeA - homeInterestA;
-    if (principalReductionA < 0) principalReductionA = 0;
-    homeLoanBalA -= principalReductionA;
-    if (homeLoanBalA < 0) homeLoanBalA = 0;
-
-    // countdown term
-    if (remainingTermMonths > 0) remainingTermMonths -= 1;
-
-    // --- YEAR-END ROLLOVER (December) ---
-    if (monthInYear === 11) {
-      const thisYear = currentYearIdx + 1;
-
-      // snapshot balances BEFORE next year's redraw
-      const homeLoanBalB_endOfYear = homeLoanBalB;
-      const investLoanBalB_endOfYear = investLoanBalB;
-
-      // avg deductible balance for tax calc (negative gearing)
-      const avgInvestLoanBalanceForYear =
-        (yearStartInvestLoanBalB + investLoanBalB_endOfYear) / 2;
-
-      // 1. after-tax cash the portfolio produced this year
-      const { afterTaxCashToHomeLoan } = calcAfterTaxIncomeSweep({
-        portfolioStart: yearStartPortfolioBalB,
-        yieldPct: investYieldPct,
-        frankedPortionPct,
-        marginalTaxRatePct,
-        avgInvestLoanBalanceForYear,
-        investLoanRatePct,
-      });
-
-      const nextYearIncomeSweepMonthly =
-        afterTaxCashToHomeLoan / 12;
-
-      // 2. growth on the portfolio this year (no redraw yet)
-      let portfolioEndOfYearBeforeRedraw =
-        yearStartPortfolioBalB * (1 + investGrowthPct / 100);
-
-      // Property value now
-      const houseValYearEnd =
-        homeValueStart *
-        Math.pow(1 + homeValueGrowthPct / 100, thisYear);
-
-      // Strategy A net wealth
-      const netWealthA =
-        houseValYearEnd + offsetBalA - homeLoanBalA;
-
-      // Strategy B net wealth
-      const netWealthB =
-        houseValYearEnd +
-        portfolioEndOfYearBeforeRedraw +
-        offsetBalB -
-        homeLoanBalB_endOfYear -
-        investLoanBalB_endOfYear;
-
-      // Wipeout test
-      const afterTaxPortfolioNow = afterTaxLiquidationValue(
-        portfolioEndOfYearBeforeRedraw,
-        portfolioCostBase,
-        marginalTaxRatePct
-      );
-      const totalDebtNow =
-        homeLoanBalB_endOfYear + investLoanBalB_endOfYear;
-      const surplusIfLiquidated =
-        afterTaxPortfolioNow - totalDebtNow;
-
-      // push row for UI
-      const effectiveBaseThisYear = Math.max(
-        baseMonthlyRepayment,
-        frozenRequiredBaseB
-      );
-
-      yearsArr.push({
-        year: thisYear,
-
-        homeLoanA: homeLoanBalA,
-        netWealthA,
-
-        homeLoanB: homeLoanBalB_endOfYear,
-        investLoanB: investLoanBalB_endOfYear,
-        portfolioB: portfolioEndOfYearBeforeRedraw,
-        netWealthB,
-
-        afterTaxPortfolioNow,
-        totalDebtNow,
-        surplusIfLiquidated,
-
-        userBaseMonthlyRepayment: baseMonthlyRepayment,
-        effectiveBaseMonthlyRepaymentUsed: effectiveBaseThisYear,
-      });
-
-      // 3. redraw for NEXT year
-      let redrawAmount =
-        yearStartHomeLoanBalB - homeLoanBalB_endOfYear;
-      if (redrawAmount < 0) redrawAmount = 0;
-
-      if (redrawAmount > 0) {
-        // increase deductible investment loan
-        investLoanBalB += redrawAmount;
-
-        // add that redraw into next year's portfolio opening
-        portfolioEndOfYearBeforeRedraw += redrawAmount;
-
-        // bump CGT cost base (new contributed capital)
-        portfolioCostBase += redrawAmount;
-      }
-
-      // roll state forward
-      const portfolioOpeningNextYear = portfolioEndOfYearBeforeRedraw;
-      currentYearIncomeSweepMonthly = nextYearIncomeSweepMonthly;
-      yearStartHomeLoanBalB = homeLoanBalB;
-      yearStartPortfolioBalB = portfolioOpeningNextYear;
-      yearStartInvestLoanBalB = investLoanBalB;
-    }
-  }
-
-  return { yearsArr };
-}
-
 // -----------------
 // Page component
 // -----------------
 
+// Final-year figures and Strategy B net wealth for comparing saved scenarios
+const lastYear = (r) => r.yearsArr[r.yearsArr.length - 1];
+const SCENARIO_METRICS = [
+  { label: "Final net wealth (Strategy A)", value: (r) => lastYear(r)?.netWealthA, format: aud0, better: "higher" },
+  { label: "Final net wealth (Strategy B)", value: (r) => lastYear(r)?.netWealthB, format: aud0, better: "higher" },
+  {
+    label: "Strategy B advantage",
+    value: (r) => lastYear(r) && lastYear(r).netWealthB - lastYear(r).netWealthA,
+    format: aud0,
+    better: "higher",
+  },
+  {
+    label: "Year you could clear all debt",
+    value: (r) => r.yearsArr.find((y) => y.surplusIfLiquidated >= 0)?.year,
+    format: (n) => `Year ${n}`,
+    diffFormat: (n) => `${n} ${n === 1 ? "year" : "years"}`,
+    better: "lower",
+  },
+];
+const SCENARIO_CHART = {
+  title: "Net wealth (Strategy B)",
+  series: (r) => r.yearsArr.map((y) => ({ x: y.year, y: y.netWealthB })),
+  format: aud0,
+};
+
+// Spreadsheet export: input labels and the year-by-year comparison
+const EXPORT_FIELDS = {
+  homeValueStart: { label: "Home value", format: "currency" },
+  homeValueGrowthPct: "Home value growth (% p.a.)",
+  homeLoanStart: { label: "Home loan balance", format: "currency" },
+  offsetBalanceStart: { label: "Offset account balance", format: "currency" },
+  kickstartFromOffset: { label: "Initial deposit from offset", format: "currency" },
+  remainingTermYearsStart: "Years remaining on home loan",
+  homeRatePct: "Home loan rate (% p.a.)",
+  investLoanRatePct: "Investment loan rate (% p.a.)",
+  baseMonthlyRepayment: { label: "Monthly repayment", format: "currency" },
+  investGrowthPct: "Capital growth (% p.a.)",
+  investYieldPct: "Cash yield (% p.a.)",
+  frankedPortionPct: "Yield franked (%)",
+  marginalTaxRatePct: "Marginal tax rate incl. Medicare (%)",
+  otherTaxableIncome: { label: "Other taxable income", format: "currency" },
+  fy: "Tax rates for a sale",
+  projectionYears: "Projection length (years)",
+};
+const EXPORT_COLUMNS = [
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "HomeLoanA", format: "currency", value: (r) => r.homeLoanA },
+  { key: "NetWealthA", format: "currency", value: (r) => r.netWealthA },
+  { key: "HomeLoanB", format: "currency", value: (r) => r.homeLoanB },
+  { key: "InvestLoanB", format: "currency", value: (r) => r.investLoanB },
+  { key: "PortfolioB", format: "currency", value: (r) => r.portfolioB },
+  { key: "NetWealthB", format: "currency", value: (r) => r.netWealthB },
+  { key: "DebtFreePositionB", format: "currency", value: (r) => r.surplusIfLiquidated },
+];
+
 export default function DebtRecyclingCalculator() {
-  // INPUT STATE
-
-  // Home & loans
-  const [homeValueStart, setHomeValueStart] = useState(900000);
-  const [homeValueGrowthPct, setHomeValueGrowthPct] = useState(3);
-  const [homeLoanStart, setHomeLoanStart] = useState(600000);
-  const [offsetBalanceStart, setOffsetBalanceStart] = useState(50000);
-  const [kickstartFromOffset, setKickstartFromOffset] = useState(30000);
-  const [remainingTermYearsStart, setRemainingTermYearsStart] = useState(25);
-  const [homeRatePct, setHomeRatePct] = useState(5.99);
-  const [investLoanRatePct, setInvestLoanRatePct] = useState(5.99);
-
-  // Cashflow (single repayment input now)
-  const [baseMonthlyRepayment, setBaseMonthlyRepayment] = useState(4000);
-
-  // Investment return assumptions
-  const [investGrowthPct, setInvestGrowthPct] = useState(5);
-  const [investYieldPct, setInvestYieldPct] = useState(3);
-  const [frankedPortionPct, setFrankedPortionPct] = useState(30);
-
-  // Tax + projection
-  const [marginalTaxRatePct, setMarginalTaxRatePct] = useState(39); // incl Medicare levy
-  const [projectionYears, setProjectionYears] = useState(20);
+  // INPUT STATE (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(DEBT_RECYCLING_INPUTS);
+  const {
+    // Home & loans
+    homeValueStart,
+    homeValueGrowthPct,
+    homeLoanStart,
+    offsetBalanceStart,
+    kickstartFromOffset,
+    remainingTermYearsStart,
+    homeRatePct,
+    investLoanRatePct,
+    // Cashflow (single repayment input now)
+    baseMonthlyRepayment,
+    // Investment return assumptions
+    investGrowthPct,
+    investYieldPct,
+    frankedPortionPct,
+    // Tax + projection
+    marginalTaxRatePct, // incl Medicare levy
+    otherTaxableIncome,
+    fy,
+    projectionYears,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setHomeValueStart = setter("homeValueStart");
+  const setHomeValueGrowthPct = setter("homeValueGrowthPct");
+  const setHomeLoanStart = setter("homeLoanStart");
+  const setOffsetBalanceStart = setter("offsetBalanceStart");
+  const setKickstartFromOffset = setter("kickstartFromOffset");
+  const setRemainingTermYearsStart = setter("remainingTermYearsStart");
+  const setHomeRatePct = setter("homeRatePct");
+  const setInvestLoanRatePct = setter("investLoanRatePct");
+  const setBaseMonthlyRepayment = setter("baseMonthlyRepayment");
+  const setInvestGrowthPct = setter("investGrowthPct");
+  const setInvestYieldPct = setter("investYieldPct");
+  const setFrankedPortionPct = setter("frankedPortionPct");
+  const setMarginalTaxRatePct = setter("marginalTaxRatePct");
+  const setOtherTaxableIncome = setter("otherTaxableIncome");
+  const setFy = setter("fy");
+  const setProjectionYears = setter("projectionYears");
 
   // RUN SIM
   const results = useMemo(
@@ -515,6 +172,8 @@ export default function DebtRecyclingCalculator() {
         investYieldPct,
         frankedPortionPct,
         marginalTaxRatePct,
+        otherTaxableIncome,
+        fy,
       }),
     [
       homeValueStart,
@@ -531,6 +190,8 @@ export default function DebtRecyclingCalculator() {
       investYieldPct,
       frankedPortionPct,
       marginalTaxRatePct,
+      otherTaxableIncome,
+      fy,
     ]
   );
 
@@ -552,6 +213,77 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
   const wipeoutYear =
     results.yearsArr?.find((r) => r.surplusIfLiquidated >= 0)?.year ?? null;
 
+  // PDF report: inputs, the headline figures and the year-by-year comparison
+  const pct = (v) => `${v}% p.a.`;
+  const finalYear = results.yearsArr?.[results.yearsArr.length - 1];
+  const getReport = () => ({
+    title: "Debt Recycling Calculator",
+    inputs: [
+      { label: "Home value", value: aud0(Number(homeValueStart)) },
+      { label: "Home value growth", value: pct(homeValueGrowthPct) },
+      { label: "Home loan balance", value: aud0(Number(homeLoanStart)) },
+      { label: "Offset account balance", value: aud0(Number(offsetBalanceStart)) },
+      { label: "Initial deposit from offset", value: aud0(Number(kickstartFromOffset)) },
+      { label: "Years remaining on home loan", value: `${remainingTermYearsStart} years` },
+      { label: "Home loan rate", value: pct(homeRatePct) },
+      { label: "Investment loan rate", value: pct(investLoanRatePct) },
+      { label: "Monthly repayment", value: aud0(Number(baseMonthlyRepayment)) },
+      { label: "Capital growth", value: pct(investGrowthPct) },
+      { label: "Cash yield", value: pct(investYieldPct) },
+      { label: "Yield franked", value: `${frankedPortionPct}%` },
+      { label: "Marginal tax rate (incl. Medicare)", value: `${marginalTaxRatePct}%` },
+      { label: "Other taxable income", value: aud0(Number(otherTaxableIncome)) },
+      { label: "Tax rates for a sale", value: fyLabel(fy) },
+      { label: "Projection length", value: `${projectionYears} years` },
+    ],
+    results: [
+      { label: "Final net wealth (Strategy A)", value: finalYear ? aud0(finalYear.netWealthA) : "—" },
+      { label: "Final net wealth (Strategy B)", value: finalYear ? aud0(finalYear.netWealthB) : "—" },
+      {
+        label: "Strategy B advantage",
+        value: finalYear ? aud0(finalYear.netWealthB - finalYear.netWealthA) : "—",
+      },
+      { label: "Year you could clear all debt", value: wipeoutYear ? `Year ${wipeoutYear}` : "Not within projection" },
+    ],
+    tables: [
+      {
+        title: "Year-by-year comparison",
+        head: [
+          "Year",
+          "Home loan (A)",
+          "Net wealth (A)",
+          "Home loan (B)",
+          "Investment loan (B)",
+          "Portfolio (B)",
+          "Net wealth (B)",
+          "Debt free position (B)",
+        ],
+        body: (results.yearsArr || []).map((r) => [
+          r.year,
+          aud0(r.homeLoanA),
+          aud0(r.netWealthA),
+          aud0(r.homeLoanB),
+          aud0(r.investLoanB),
+          aud0(r.portfolioB),
+          aud0(r.netWealthB),
+          aud0(r.surplusIfLiquidated),
+        ]),
+      },
+    ],
+    notes: [
+      "Strategy A pays down the home loan only; Strategy B redraws repaid principal as a deductible investment loan.",
+      `The debt free position assumes the portfolio is sold that year, with the gain taxed on top of other taxable income at ${fyLabel(fy)} rates. Money added in the last 12 months gets no CGT discount.`,
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Debt Recycling Calculator",
+    inputs: schemaInputs(DEBT_RECYCLING_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows: results.yearsArr || [],
+  });
+
   return (
     <>
       <Head>
@@ -642,6 +374,12 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
       </div>
 </PageIntro>
 
+{notice && (
+  <PageIntro tone="amber" className="mt-4 no-print">
+    <p>{notice}</p>
+  </PageIntro>
+)}
+
 <div className="prose prose-sm mt-6 text-slate-700">
   
 </div>
@@ -851,12 +589,12 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
         <div>
           <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
             Tax &amp; Projection Settings
-            <Tooltip text="Enter your marginal tax rate (including Medicare levy) between 0% and 47%" />
+            <Tooltip text="The marginal rate (including Medicare levy, 0% to 47%) taxes the yearly income and interest. A sale's capital gain is taxed on top of your other taxable income." />
           </h3>
 
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
             <label className="flex flex-col">
-              <span className="text-slate-600">Marginal tax rate %</span>
+              <span className="text-slate-600">Marginal tax rate on income %</span>
               <input
                 type="number"
                 className="border rounded px-2 py-1"
@@ -867,6 +605,17 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
               />
             </label>
 
+            <label className="flex flex-col">
+              <span className="text-slate-600">Other taxable income ($)</span>
+              <CurrencyInput
+                className="w-full"
+                value={otherTaxableIncome}
+                onChange={(v) => setOtherTaxableIncome(Number(v))}
+              />
+            </label>
+
+            <FinancialYearSelect value={fy} onChange={setFy} />
+
             <label className="flex flex-col">
               <span className="text-slate-600">Projection length (years)</span>
               <input
@@ -959,7 +708,7 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
             {/* CHART CARD */}
       <div className="mt-8 printable-section">
         <SectionCard title="Net Wealth Over Time">
-          <div className="w-full h-64">
+          <div data-report-chart="Net wealth over time" className="w-full h-64">
             <ResponsiveContainer>
               <LineChart data={chartData}>
                 <CartesianGrid strokeDasharray="3 3" />
@@ -1024,7 +773,7 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
             When the dark bar turns positive, you’re debt free.
           </p>
 
-          <div className="w-full h-64">
+          <div data-report-chart="When will I be debt free?" className="w-full h-64">
             <ResponsiveContainer>
               <BarChart data={wipeoutChartData}>
                 <CartesianGrid strokeDasharray="3 3" />
@@ -1077,18 +826,13 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
 
           <p className="text-[11px] text-slate-500 leading-snug max-w-3xl mt-4">
             *“<b>Debt Free Position</b>” - if you sold your investment portfolio in that
-            year and paid CGT (including 50% CGT discount), would you have enough cash to
-            pay off both your home loan and your investment loan?
+            year and paid CGT on top of your other taxable income (with the 50% discount on
+            money invested more than 12 months earlier), would you have enough cash to pay
+            off both your home loan and your investment loan?
           </p>
-          <div className="mt-8 flex justify-end no-print">
-      <button
-        type="button"
-        onClick={() => window.print()}
-        className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700 focus-visible:outline focus-visible:outline-offset-2 focus-visible:outline-gray-800"
-      >
-        <Printer className="h-4 w-4" />
-        Download Calculation (PDF)
-      </button>
+          <div className="mt-8 flex justify-end gap-3 no-print">
+      <CopyLinkButton queryString={queryString} />
+      <DownloadReportButton getReport={getReport} queryString={queryString} />
     </div>
         </SectionCard>
       </div>
@@ -1205,24 +949,24 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
             </table>
             
           </div>
-          <div className="flex justify-end mt-4">
-  <button
-    type="button"
-    onClick={() =>
-      downloadCsv(
-        "debt-recycling-results.csv",
-        yearsToCsv(results.yearsArr)
-      )
-    }
-    className="rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
-  >
-    Export CSV
-  </button>
-</div>
+          <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
         </SectionCard>
       </div>
 
 
+      {/* SAVED SCENARIOS */}
+      <div className="mt-8 no-print">
+        <ScenarioManager
+          calculatorId="debt-recycling"
+          schema={DEBT_RECYCLING_INPUTS}
+          inputs={inputs}
+          onLoad={setInputs}
+          compute={simulate}
+          metrics={SCENARIO_METRICS}
+          chart={SCENARIO_CHART}
+        />
+      </div>
+
             {/* ASSUMPTIONS & REFERENCES */}
       <div className="mt-8 printable-section">
         <SectionCard title="Assumptions & references">
@@ -1319,9 +1063,15 @@ const wipeoutChartData = results.yearsArr?.map((row) => ({
                 “When will I be debt free?”:
               </span>{" "}
               For each year we calculate if you sold your entire investment portfolio at that
-              year-end value, paid CGT (with a 50% discount) at your marginal tax
-              rate (incl Medicare levy), would you have enough cash to repay your home loan and investment loan? 
-              We maintain a running cost base that increases every time new money is added to the portfolio.
+              year-end value and paid CGT, would you have enough cash to repay your home loan and investment loan?
+              Each amount added to the portfolio is tracked as its own parcel with its own cost base; only
+              parcels held for more than 12 months get the 50% discount, and the net gain is taxed on top of
+              your other taxable income at {fyLabel(fy)} rates (incl Medicare levy).
+              To see the tax on a sale with your actual income and any capital losses, use the{" "}
+              <Link href="/calculators/capital-gains-tax" className="text-blue-700 underline">
+                capital gains tax calculator
+              </Link>
+              .
             </li>
 
             <li>
@@ -0,0 +1,507 @@
+// pages/calculators/family-tax-benefit.js
+import { useMemo } from "react";
+import Head from "next/head";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import SectionCard from "@/components/SectionCard";
+import PageIntro from "@/components/PageIntro";
+import SummaryGrid from "@/components/SummaryGrid";
+import SummaryCard from "@/components/SummaryCard";
+import RulesDateSelect from "@/components/RulesDateSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  getCentrelinkRules,
+  formatEffectiveDate,
+} from "@/lib/centrelink";
+import {
+  FTB_INPUTS,
+  MAX_CHILDREN,
+  calculateFamilyTaxBenefit,
+  calculateFamilyTaxBenefitForInputs,
+  childrenFromInputs,
+  parentAtis,
+  partnerField,
+} from "@/lib/centrelink/familyTaxBenefit";
+import { schemaInputs } from "@/lib/export";
+
+// ---------------
+// Helpers
+// ---------------
+
+function aud0(n) {
+  if (!isFinite(n)) return "$0";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+function aud(n) {
+  if (!isFinite(n)) return "$0.00";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+const pct = (n) => `${Math.round(n * 100) / 100}%`;
+
+// The parts of adjusted taxable income, in the order they're entered
+const ATI_FIELDS = [
+  { name: "taxableIncome", label: "Taxable income", hint: "Gross income minus allowable deductions" },
+  { name: "reportableSuper", label: "Reportable super contributions", hint: "Salary sacrifice and personal deductible contributions" },
+  { name: "employerBenefits", label: "Reportable fringe benefits", hint: "As shown on your income statement" },
+  { name: "investmentLosses", label: "Net investment losses", hint: "Negative gearing losses (financial & property) added back" },
+  { name: "foreignIncome", label: "Target foreign income", hint: "Income from overseas not taxed in Australia" },
+];
+
+const STATUS_LABELS = {
+  single: "Single parent",
+  couple: "Couple",
+};
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Family ATI", value: (r) => r.familyAti, format: aud0 },
+  { label: "Part A (per year)", value: (r) => r.partA.annual, format: aud0, better: "higher" },
+  { label: "Part B (per year)", value: (r) => r.partB.annual, format: aud0, better: "higher" },
+  { label: "Supplements", value: (r) => r.partA.supplement + r.partB.supplement, format: aud0, better: "higher" },
+  { label: "Total FTB (per year)", value: (r) => r.totalAnnual, format: aud0, better: "higher" },
+];
+
+// Spreadsheet export: input labels and the estimate as one row
+const EXPORT_FIELDS = {
+  rulesDate: "Rates date",
+  status: "Family type",
+  children: "Children",
+  ...Object.fromEntries(
+    Array.from({ length: MAX_CHILDREN }, (_, i) => [
+      [`childAge${i + 1}`, `Child ${i + 1} age`],
+      [`childCare${i + 1}`, `Child ${i + 1} care (%)`],
+    ]).flat()
+  ),
+  ...Object.fromEntries(
+    ATI_FIELDS.flatMap(({ name, label }) => [
+      [name, { label: `Your ${label.toLowerCase()}`, format: "currency" }],
+      [partnerField(name), { label: `Partner's ${label.toLowerCase()}`, format: "currency" }],
+    ])
+  ),
+};
+const EXPORT_COLUMNS = [
+  { key: "FamilyATI", format: "currency", value: (r) => r.familyAti },
+  { key: "PartAMethod", format: "text", value: (r) => r.partA.method },
+  { key: "PartAYear", format: "currency", value: (r) => r.partA.annual },
+  { key: "PartASupplement", format: "currency", value: (r) => r.partA.supplement },
+  { key: "PartBYear", format: "currency", value: (r) => r.partB.annual },
+  { key: "PartBSupplement", format: "currency", value: (r) => r.partB.supplement },
+  { key: "TotalYear", format: "currency", value: (r) => r.totalAnnual },
+  { key: "TotalFt", format: "cents", value: (r) => r.totalFortnight },
+  { key: "RatesEffectiveFrom", format: "text", value: (r) => r.ratesEffectiveFrom },
+];
+
+export default function FamilyTaxBenefitCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(FTB_INPUTS);
+  const { rulesDate, status } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setRulesDate = setter("rulesDate");
+  const numberSetter = (name) => (e) => setInput(name, e.target.value === "" ? "" : Number(e.target.value));
+
+  // Rates & thresholds (shared Centrelink rules store)
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const { partA: a, partB: b } = rules.familyTaxBenefit;
+  const ratesFrom = formatEffectiveDate(rules.familyTaxBenefit.effectiveFrom);
+  const isCouple = status === "couple";
+
+  const atis = useMemo(() => parentAtis(inputs), [inputs]);
+  const result = useMemo(
+    () => calculateFamilyTaxBenefit({ status, ...atis, children: childrenFromInputs(inputs) }, rules),
+    [inputs, status, atis, rules]
+  );
+  const { familyAti, partA, partB } = result;
+  const supplements = partA.supplement + partB.supplement;
+
+  // PDF report: inputs, both parts and the thresholds they used
+  const getReport = () => ({
+    title: "Family Tax Benefit Calculator",
+    inputs: [
+      { label: "Family type", value: STATUS_LABELS[status] },
+      { label: "Children", value: String(result.children.length) },
+      { label: "Your adjusted taxable income", value: aud0(atis.youAti) },
+      ...(isCouple ? [{ label: "Partner's adjusted taxable income", value: aud0(atis.partnerAti) }] : []),
+    ],
+    results: [
+      { label: "Family adjusted taxable income", value: aud0(familyAti) },
+      { label: `Part A (${partA.method} rate method)`, value: `${aud0(partA.annual)} a year (${aud(partA.fortnight)} pf)` },
+      { label: "Part A supplement", value: aud0(partA.supplement) },
+      { label: "Part B", value: `${aud0(partB.annual)} a year (${aud(partB.fortnight)} pf)` },
+      { label: "Part B supplement", value: aud0(partB.supplement) },
+      { label: "Total Family Tax Benefit", value: `${aud0(result.totalAnnual)} a year` },
+    ],
+    rules: [
+      { label: "Rates effective from", value: ratesFrom },
+      { label: "Part A lower income free area", value: aud0(a.lowerIncomeFreeArea) },
+      { label: "Part A higher income free area", value: aud0(a.higherIncomeFreeArea) },
+      { label: "Part A supplement income limit", value: aud0(a.supplementIncomeLimit) },
+      { label: "Part B primary earner limit", value: aud0(b.primaryEarnerLimit) },
+      { label: "Part B secondary earner free area", value: aud0(b.secondaryIncomeFreeArea) },
+    ],
+    notes: [
+      ...(partB.reason ? [`No Part B: ${partB.reason}`] : []),
+      "Supplements are paid after the end of the financial year, once your income is reconciled.",
+      "Rent Assistance, the Newborn Supplement and Upfront Payment, and the Part A maintenance income test are not included.",
+    ],
+    tables: [
+      {
+        title: "Children",
+        head: ["Child", "Age", "Your care", "FTB %", "Part A max (pf)", "Part A base (pf)"],
+        body: result.children.map((c, i) => [
+          String(i + 1),
+          String(c.age),
+          pct(c.carePct),
+          pct(c.sharePct),
+          aud(c.maxRateFt),
+          aud(c.baseRateFt),
+        ]),
+      },
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Family Tax Benefit Calculator",
+    inputs: schemaInputs(FTB_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [{ ...result, ratesEffectiveFrom: rules.familyTaxBenefit.effectiveFrom }],
+  });
+
+  const atiColumn = (who) => (
+    <div className="space-y-3">
+      <div className="font-medium text-slate-800">{who === "you" ? "You" : "Your partner"}</div>
+      {ATI_FIELDS.map(({ name, label, hint }) => {
+        const field = who === "you" ? name : partnerField(name);
+        return (
+          <label key={field} className="flex flex-col">
+            <span className="text-slate-600">
+              {label}
+              <span className="block text-[10px] text-slate-400 font-normal">{hint}</span>
+            </span>
+            <CurrencyInput
+              className="w-full"
+              value={inputs[field]}
+              onChange={(v) => setInput(field, v === "" ? "" : Number(v))}
+            />
+          </label>
+        );
+      })}
+      <div className="flex justify-between border-t border-slate-100 pt-2">
+        <span className="text-slate-600">Adjusted taxable income</span>
+        <span className="font-medium text-slate-900">{aud0(who === "you" ? atis.youAti : atis.partnerAti)}</span>
+      </div>
+    </div>
+  );
+
+  return (
+    <>
+      <Head>
+        <title>Family Tax Benefit Calculator | FinToolbox</title>
+        <meta
+          name="description"
+          content="Estimate Family Tax Benefit Part A and Part B, including supplements and shared care, using current, past or upcoming rates."
+        />
+        <link
+          rel="canonical"
+          href="https://fintoolbox.com.au/calculators/family-tax-benefit"
+        />
+        <style>{`
+          @media print {
+            @page {
+              margin: 1.5cm;
+              size: A4;
+            }
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+              background: white !important;
+              font-size: 11pt;
+            }
+            .no-print {
+              display: none !important;
+            }
+            .printable-section {
+              display: block !important;
+              page-break-inside: avoid;
+              width: 100% !important;
+              margin-bottom: 1.5rem !important;
+            }
+            header {
+              border-bottom: 2px solid #000 !important;
+              padding-bottom: 1rem !important;
+              margin-bottom: 2rem !important;
+            }
+            .grid {
+              display: block !important;
+            }
+            .grid > div {
+              border: 1px solid #e2e8f0 !important;
+              margin-bottom: 0.5rem !important;
+              page-break-inside: avoid;
+            }
+          }
+        `}</style>
+      </Head>
+
+      <div className="hidden print:flex justify-between items-center mb-6 text-slate-500 text-[10px] border-b pb-2 px-4 max-w-5xl mx-auto">
+        <span>fintoolbox.com.au</span>
+        <span>Calculation Date: {new Date().toLocaleDateString('en-AU')}</span>
+      </div>
+
+      <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200">
+        <h1 className="text-2xl font-bold text-slate-900">
+          Family Tax Benefit Calculator
+        </h1>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 mt-4">
+        <div className="no-print">
+          <PageIntro tone="blue">
+            <p>
+              <strong>Family Tax Benefit</strong> helps with the cost of raising
+              children. <strong>Part A</strong> is paid for each child;{" "}
+              <strong>Part B</strong> is an extra payment for single parents, and
+              for couples with one main income and a child under 13.
+            </p>
+            <p className="mt-2">
+              Enter each child&apos;s age and your share of their care, and each
+              parent&apos;s adjusted taxable income, to estimate both parts and
+              the end-of-year supplements.
+            </p>
+            <p className="mt-2 text-[12px] text-blue-900/80">
+              Rates effective from <strong>{ratesFrom}</strong>.
+            </p>
+          </PageIntro>
+
+          {notice && (
+            <PageIntro tone="amber" className="mt-4 no-print">
+              <p>{notice}</p>
+            </PageIntro>
+          )}
+
+          {/* INPUTS */}
+          <div className="mt-6 space-y-6">
+            <SectionCard title="Your family">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 text-sm text-slate-700">
+                <RulesDateSelect value={rulesDate} onChange={setRulesDate} />
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">Family type</span>
+                  <select
+                    className="border rounded px-3 py-2 bg-white"
+                    value={status}
+                    onChange={(e) => setInput("status", e.target.value)}
+                  >
+                    {Object.entries(STATUS_LABELS).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">Children</span>
+                  <select
+                    className="border rounded px-3 py-2 bg-white"
+                    value={inputs.children}
+                    onChange={numberSetter("children")}
+                  >
+                    {Array.from({ length: MAX_CHILDREN }, (_, i) => (
+                      <option key={i} value={i + 1}>
+                        {i + 1}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="mt-6 overflow-x-auto">
+                <table className="min-w-full text-sm text-slate-700">
+                  <thead className="text-left text-slate-600">
+                    <tr>
+                      <th className="py-1 pr-3 font-medium">Child</th>
+                      <th className="py-1 pr-3 font-medium">Age</th>
+                      <th className="py-1 pr-3 font-medium">
+                        <span className="inline-flex items-center gap-1">
+                          Your share of care (%)
+                          <Tooltip text="Below 35% care no FTB is paid for the child. Between 35% and 65%, FTB is shared with the other parent." />
+                        </span>
+                      </th>
+                      <th className="py-1 pr-3 font-medium">FTB %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.children.map((c, i) => (
+                      <tr key={i} className="border-t border-slate-100">
+                        <td className="py-2 pr-3">Child {i + 1}</td>
+                        <td className="py-2 pr-3">
+                          <input
+                            type="number"
+                            min="0"
+                            max="19"
+                            className="border rounded px-2 py-1 w-20"
+                            value={inputs[`childAge${i + 1}`]}
+                            onChange={numberSetter(`childAge${i + 1}`)}
+                          />
+                        </td>
+                        <td className="py-2 pr-3">
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            className="border rounded px-2 py-1 w-20"
+                            value={inputs[`childCare${i + 1}`]}
+                            onChange={numberSetter(`childCare${i + 1}`)}
+                          />
+                        </td>
+                        <td className="py-2 pr-3">{pct(c.sharePct)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </SectionCard>
+
+            <SectionCard title="Adjusted taxable income">
+              <p className="text-xs text-slate-500 mb-4">
+                Enter yearly amounts for the financial year. FTB uses the same
+                adjusted taxable income as the Commonwealth Seniors Health Card.
+              </p>
+              <div className={`grid grid-cols-1 ${isCouple ? "sm:grid-cols-2" : ""} gap-8 text-sm text-slate-700`}>
+                {atiColumn("you")}
+                {isCouple && atiColumn("partner")}
+              </div>
+            </SectionCard>
+          </div>
+
+          {/* RESULTS */}
+          <div className="mt-8 printable-section">
+            <SectionCard title="Estimated Family Tax Benefit">
+              <SummaryGrid>
+                <SummaryCard
+                  label="Part A (per year)"
+                  value={aud0(partA.annual)}
+                  note={`${aud(partA.fortnight)} per fortnight`}
+                  badgeText={partA.annual > 0 ? `${partA.method === "maximum" ? "Maximum" : "Base"} rate method` : "Not payable"}
+                  badgeTone={partA.annual > 0 ? "positive" : "neutral"}
+                />
+                <SummaryCard
+                  label="Part B (per year)"
+                  value={aud0(partB.annual)}
+                  note={`${aud(partB.fortnight)} per fortnight`}
+                  badgeText={partB.eligible ? "Eligible" : "Not payable"}
+                  badgeTone={partB.eligible ? "positive" : "neutral"}
+                />
+                <SummaryCard
+                  label="Supplements (after tax time)"
+                  value={aud0(supplements)}
+                  note={`Part A ${aud0(partA.supplement)}, Part B ${aud0(partB.supplement)}`}
+                />
+                <SummaryCard
+                  label="Total Family Tax Benefit"
+                  value={aud0(result.totalAnnual)}
+                  note={`Family ATI ${aud0(familyAti)}`}
+                />
+              </SummaryGrid>
+
+              {partB.reason && (
+                <div className="mt-4 p-4 bg-orange-50 border border-orange-100 rounded-md text-sm text-orange-800">
+                  <strong>No Part B:</strong> {partB.reason}
+                </div>
+              )}
+
+              {partA.annual > 0 && partA.supplement === 0 && (
+                <div className="mt-4 p-4 bg-slate-50 border border-slate-200 rounded-md text-sm text-slate-700">
+                  The Part A supplement isn&apos;t paid because family ATI is over {aud0(a.supplementIncomeLimit)}.
+                </div>
+              )}
+
+              <div className="mt-6 flex justify-end gap-3 no-print">
+                <CopyLinkButton queryString={queryString} />
+                <DownloadReportButton getReport={getReport} queryString={queryString} />
+              </div>
+              <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
+            </SectionCard>
+          </div>
+
+          {/* SAVED SCENARIOS */}
+          <div className="mt-8 no-print">
+            <ScenarioManager
+              calculatorId="family-tax-benefit"
+              schema={FTB_INPUTS}
+              inputs={inputs}
+              onLoad={setInputs}
+              compute={calculateFamilyTaxBenefitForInputs}
+              metrics={SCENARIO_METRICS}
+            />
+          </div>
+
+          {/* ASSUMPTIONS */}
+          <div className="mt-8 printable-section">
+            <SectionCard title="Assumptions & references">
+              <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
+                <li>
+                  <span className="text-slate-800 font-medium">Part A:</span> Worked out two ways and the
+                  higher is paid. The maximum rate ({aud(a.maxRateFt.under13)} pf under 13,{" "}
+                  {aud(a.maxRateFt.age13to19)} pf for 13–19) falls by {Math.round(a.lowerTaper * 100)}c per dollar of
+                  family ATI over {aud0(a.lowerIncomeFreeArea)}; the base rate ({aud(a.baseRateFt)} pf) falls by{" "}
+                  {Math.round(a.higherTaper * 100)}c per dollar over {aud0(a.higherIncomeFreeArea)}, which also applies
+                  to the maximum rate.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">Part B:</span> Not paid if the higher earner&apos;s
+                  (or single parent&apos;s) ATI is over {aud0(b.primaryEarnerLimit)}. Couples get it only while the
+                  youngest child is under {b.youngestUnder.couple}, less {Math.round(b.secondaryTaper * 100)}c per
+                  dollar of the lower earner&apos;s ATI over {aud0(b.secondaryIncomeFreeArea)}; single parents until
+                  the youngest turns {b.youngestUnder.single}.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">Supplements:</span> Up to {aud(a.supplementYear)} per
+                  child for Part A (family ATI up to {aud0(a.supplementIncomeLimit)}) and {aud(b.supplementYear)} per
+                  family for Part B, paid after the financial year ends.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">Shared care:</span> Each child&apos;s rates and
+                  supplement are paid at your FTB percentage for that child. Part B follows the youngest child in at
+                  least 35% of your care.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">Exclusions:</span> Rent Assistance, the Newborn
+                  Supplement and Upfront Payment, the Part A maintenance income test, and the immunisation and health
+                  check requirements are not modelled. Children aged 16–19 must be in full-time secondary study.
+                </li>
+              </ul>
+            </SectionCard>
+          </div>
+
+          {/* DISCLAIMER */}
+          <div className="mt-8 mb-12 text-[11px] text-slate-500 leading-snug no-print">
+            <p>
+              This calculator provides an estimate only, based on Family Tax Benefit rates and thresholds effective
+              from {ratesFrom}. It does not constitute financial advice. Actual payments are worked out by Services
+              Australia and balanced against your actual income after the end of the financial year.
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,6 +1,6 @@
 import Head from "next/head";
 import SEO from "@/components/SEO";
-import { Calculator, Home as HomeIcon, Repeat, HandCoins, PiggyBank, ChartColumn, ClipboardCheck, ChartNoAxesColumnIncreasing, HousePlus, Briefcase } from "lucide-react";
+import { Calculator, Home as HomeIcon, Repeat, HandCoins, PiggyBank, ChartColumn, ClipboardCheck, ChartNoAxesColumnIncreasing, HousePlus, Briefcase, Baby, HeartHandshake, Wallet, GraduationCap, Receipt } from "lucide-react";
 import CardSection from "@/components/ui/CardSection";
 import CardLink from "@/components/ui/CardLink";
 <ChartNoAxesColumnIncreasing />
@@ -48,6 +48,14 @@ export default function CalculatorsIndex() {
     Understand the benefits of salary sacrificing
   </CardLink>
 
+  <CardLink
+    href="/calculators/non-concessional-contributions"
+    title="After-Tax Super Contributions"
+    icon={Wallet}
+  >
+    Non-concessional caps and bring-forward
+  </CardLink>
+
   <CardLink
     href="/calculators/tax-calculator"
     title="Income Tax"
@@ -56,6 +64,22 @@ export default function CalculatorsIndex() {
     Calculate your take home pay
   </CardLink>
 
+  <CardLink
+    href="/calculators/study-loan-repayment"
+    title="HELP Repayments"
+    icon={GraduationCap}
+  >
+    When your study loan will be repaid
+  </CardLink>
+
+  <CardLink
+    href="/calculators/capital-gains-tax"
+    title="Capital Gains Tax"
+    icon={Receipt}
+  >
+    Tax on shares and assets you sell
+  </CardLink>
+
   </CardSection>
 
 {/* Investment Calculators */}
@@ -136,6 +160,22 @@ export default function CalculatorsIndex() {
   >
     Estimate your fortnightly payment
   </CardLink>
+
+  <CardLink
+    href="/calculators/family-tax-benefit"
+    title="Family Tax Benefit"
+    icon={Baby}
+  >
+    Estimate Parts A and B for your family
+  </CardLink>
+
+  <CardLink
+    href="/calculators/parenting-payment"
+    title="Parenting Payment"
+    icon={HeartHandshake}
+  >
+    Estimate your payment as a parent, with Rent Assistance
+  </CardLink>
   
 </CardSection>
 
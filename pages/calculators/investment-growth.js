@@ -1,5 +1,5 @@
 // pages/calculators/investment-growth.js
-import { useMemo, useState } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
@@ -8,12 +8,27 @@ import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import useMonteCarlo from "@/hooks/useMonteCarlo";
+import {
+  INVESTMENT_GROWTH_INPUTS,
+  projectInvestmentGrowth,
+} from "@/lib/investing/growth";
+import { probabilityOfReaching } from "@/lib/investing/monteCarlo";
+import { ASX200_ANNUAL_RETURNS, returnStats } from "@/lib/investing/historicalReturns";
+import { schemaInputs } from "@/lib/export";
+import { aud0 } from "@/utils/format";
 
 import {
   ResponsiveContainer,
   AreaChart,
+  ComposedChart,
   Area,
+  Line,
   CartesianGrid,
   XAxis,
   YAxis,
@@ -21,14 +36,77 @@ import {
   Legend,
 } from "recharts";
 
+// Headline figures and balance line for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Final balance", value: (r) => r.finalBalance, format: aud0, better: "higher" },
+  { label: "Total contributions", value: (r) => r.totalContrib, format: aud0 },
+  { label: "Total earnings", value: (r) => r.totalEarnings, format: aud0, better: "higher" },
+];
+const SCENARIO_CHART = {
+  title: "Balance",
+  series: (r) => r.rows.map((row) => ({ x: row.year, y: row.balance })),
+  format: aud0,
+};
+
+// Spread of the bootstrap sample, shown when replaying history
+const HISTORY = returnStats(ASX200_ANNUAL_RETURNS.map((r) => r.returnPct));
+const HISTORY_SPAN = `${ASX200_ANNUAL_RETURNS[0].year}–${ASX200_ANNUAL_RETURNS.at(-1).year}`;
+
+// Spreadsheet export: input labels and the yearly projection
+const EXPORT_FIELDS = {
+  initial: { label: "Initial amount", format: "currency" },
+  contrib: { label: "Regular contribution", format: "currency" },
+  contribFreq: "Contribution frequency",
+  years: "Years",
+  returnPct: "Return (% p.a.)",
+  feePct: "Fees (% p.a.)",
+  mode: "Return model",
+  returnSource: "Return source",
+  volatilityPct: "Volatility (% p.a.)",
+  simulations: "Simulations",
+  target: { label: "Target balance", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "Balance", format: "currency", value: (r) => r.balance },
+  { key: "Contributed", format: "currency", value: (r) => r.contributed },
+  { key: "Earnings", format: "currency", value: (r) => r.earnings },
+  // Monte Carlo percentiles; blank in fixed-return mode
+  { key: "P10Balance", format: "currency", value: (r) => r.p10 ?? null },
+  { key: "P50Balance", format: "currency", value: (r) => r.p50 ?? null },
+  { key: "P90Balance", format: "currency", value: (r) => r.p90 ?? null },
+];
+
 export default function InvestmentGrowth() {
-  // ——— Inputs ———
-  const [initial, setInitial] = useState(10000);
-  const [contrib, setContrib] = useState(500);
-  const [contribFreq, setContribFreq] = useState("monthly"); // monthly, fortnightly, weekly, annual
-  const [years, setYears] = useState(20);
-  const [returnPct, setReturnPct] = useState(7);   // % p.a.
-  const [feePct, setFeePct] = useState(0.5);       // % p.a.
+  // ——— Inputs (mirrored to the query string so the scenario can be shared) ———
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(INVESTMENT_GROWTH_INPUTS);
+  const {
+    initial,
+    contrib,
+    contribFreq,
+    years,
+    returnPct,
+    feePct,
+    mode,
+    returnSource,
+    volatilityPct,
+    simulations,
+    target,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setInitial = setter("initial");
+  const setContrib = setter("contrib");
+  const setContribFreq = setter("contribFreq");
+  const setYears = setter("years");
+  const setReturnPct = setter("returnPct");
+  const setFeePct = setter("feePct");
+  const setMode = setter("mode");
+  const setReturnSource = setter("returnSource");
+  const setVolatilityPct = setter("volatilityPct");
+  const setSimulations = setter("simulations");
+  const setTarget = setter("target");
+  const monteCarlo = mode === "monteCarlo";
+  const historical = returnSource === "historical";
 
   // ——— Helpers ———
   const fmt = (n) =>
@@ -38,46 +116,44 @@ export default function InvestmentGrowth() {
       maximumFractionDigits: 0,
     });
 
-  const annualContrib = useMemo(() => {
-    const v = Number(contrib) || 0;
-    if (contribFreq === "weekly") return v * 52;
-    if (contribFreq === "fortnightly") return v * 26;
-    if (contribFreq === "monthly") return v * 12;
-    return v; // annual
-  }, [contrib, contribFreq]);
-
   // ——— Simulation (monthly compounding, contributions spread monthly) ———
-  const sim = useMemo(() => {
-    const months = (Number(years) || 0) * 12;
-    const rYear = Math.max(0, (Number(returnPct) || 0) / 100);
-    const fYear = Math.max(0, (Number(feePct) || 0) / 100);
-    const rMonth = (rYear - fYear) / 12; // net of fees
-    let bal = Number(initial) || 0;
-    let totalContrib = bal;
-    const rows = [];
-    const contribPerMonth = annualContrib / 12;
-
-    for (let m = 1; m <= months; m++) {
-      bal = bal * (1 + rMonth);   // growth
-      bal += contribPerMonth;     // contribution at month end
-      totalContrib += contribPerMonth;
-
-      if (m % 12 === 0 || m === months) {
-        rows.push({
-          year: m / 12,
-          balance: Math.round(bal),
-          contributed: Math.round(totalContrib),
-          earnings: Math.round(bal - totalContrib),
-        });
-      }
-    }
-    return {
-      finalBalance: Math.round(bal),
-      totalContrib: Math.round(totalContrib),
-      totalEarnings: Math.round(bal - totalContrib),
-      rows,
-    };
-  }, [initial, annualContrib, years, returnPct, feePct]);
+  const sim = useMemo(
+    () => projectInvestmentGrowth({ initial, contrib, contribFreq, years, returnPct, feePct }),
+    [initial, contrib, contribFreq, years, returnPct, feePct]
+  );
+
+  // ——— Monte Carlo (runs in a worker; the target only reads the result) ———
+  const mc = useMonteCarlo(
+    { initial, contrib, contribFreq, years, returnPct, volatilityPct, feePct, simulations, returnSource },
+    monteCarlo
+  );
+  const mcResult = monteCarlo ? mc.result : null;
+  const mcFinal = mcResult?.bands.at(-1);
+  const pReach = mcResult ? probabilityOfReaching(mcResult.finals, Number(target) || 0) : null;
+  const pct0 = (p) => `${Math.round(p * 100)}%`;
+
+  // Fixed-return rows with the matching percentiles merged in (for table + export)
+  const rows = useMemo(() => {
+    if (!mcResult) return sim.rows;
+    const byYear = new Map(mcResult.bands.map((b) => [b.year, b]));
+    return sim.rows.map((r) => {
+      const b = byYear.get(r.year);
+      return b ? { ...r, p10: b.p10, p50: b.p50, p90: b.p90 } : r;
+    });
+  }, [sim.rows, mcResult]);
+
+  const fanData = useMemo(
+    () =>
+      (mcResult?.bands || []).map((b) => ({
+        year: b.year,
+        range: [b.p10, b.p90],
+        p10: b.p10,
+        p50: b.p50,
+        p90: b.p90,
+        fixed: b.year === 0 ? Number(initial) || 0 : sim.rows[b.year - 1]?.balance,
+      })),
+    [mcResult, sim.rows, initial]
+  );
 
   // ——— Chart data ———
   const chartData = useMemo(
@@ -106,6 +182,92 @@ export default function InvestmentGrowth() {
     );
   };
 
+  const FanTooltip = ({ active, payload, label }) => {
+    if (!active || !payload?.length) return null;
+    const d = payload[0].payload;
+    return (
+      <div className="rounded-lg border bg-white p-3 text-xs shadow-md">
+        <div className="mb-1 font-semibold">Year {label}</div>
+        <div className="space-y-0.5">
+          <div>90th percentile: <span className="font-semibold">{fmt(d.p90)}</span></div>
+          <div>Median: <span className="font-semibold">{fmt(d.p50)}</span></div>
+          <div>10th percentile: <span className="font-semibold">{fmt(d.p10)}</span></div>
+          <div>Fixed return: <span className="font-semibold">{fmt(d.fixed)}</span></div>
+        </div>
+      </div>
+    );
+  };
+
+  // ——— PDF report ———
+  const getReport = () => ({
+    title: "Investment Growth Calculator",
+    inputs: [
+      { label: "Initial amount", value: fmt(Number(initial) || 0) },
+      { label: "Regular contribution", value: fmt(Number(contrib) || 0) },
+      { label: "Contribution frequency", value: contribFreq.charAt(0).toUpperCase() + contribFreq.slice(1) },
+      { label: "Years", value: String(years) },
+      { label: "Return", value: `${returnPct}% p.a.` },
+      { label: "Fees", value: `${feePct}% p.a.` },
+      ...(monteCarlo
+        ? [
+            {
+              label: "Monte Carlo returns",
+              value: historical
+                ? `ASX 200 calendar years ${HISTORY_SPAN}, resampled`
+                : `Mean ${returnPct}% p.a., volatility ${volatilityPct}% p.a.`,
+            },
+            { label: "Simulations", value: Number(simulations).toLocaleString("en-AU") },
+            { label: "Target balance", value: fmt(Number(target) || 0) },
+          ]
+        : []),
+    ],
+    results: [
+      { label: "Final balance", value: fmt(sim.finalBalance) },
+      { label: "Total contributions", value: fmt(sim.totalContrib) },
+      { label: "Total earnings", value: fmt(sim.totalEarnings) },
+      ...(mcResult
+        ? [
+            { label: "Chance of reaching target", value: pct0(pReach) },
+            { label: "Median final balance", value: fmt(mcFinal.p50) },
+            { label: "10th percentile final balance", value: fmt(mcFinal.p10) },
+            { label: "90th percentile final balance", value: fmt(mcFinal.p90) },
+          ]
+        : []),
+    ],
+    tables: [
+      {
+        title: "Yearly projection",
+        head: ["Year", "Balance", "Contributed", "Earnings", ...(mcResult ? ["10th pct", "Median", "90th pct"] : [])],
+        body: rows.map((r) => [
+          r.year,
+          fmt(r.balance),
+          fmt(r.contributed),
+          fmt(r.earnings),
+          ...(mcResult ? [fmt(r.p10), fmt(r.p50), fmt(r.p90)] : []),
+        ]),
+      },
+    ],
+    notes: [
+      "Returns compound monthly and are shown net of fees.",
+      "Contributions are spread evenly and added at the end of each month.",
+      "Results are in today's dollars only if you enter an after-inflation return.",
+      ...(mcResult
+        ? [
+            `Monte Carlo figures come from ${mcResult.simulations.toLocaleString("en-AU")} simulated paths; Balance is the fixed-return projection.`,
+            "Past returns are not a reliable indicator of future returns.",
+          ]
+        : []),
+    ],
+  });
+
+  // ——— Spreadsheet export ———
+  const getExport = () => ({
+    title: "Investment Growth Calculator",
+    inputs: schemaInputs(INVESTMENT_GROWTH_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows,
+  });
+
   // ——— SEO constants ———
   const pageUrl = "https://fintoolbox.com.au/calculators/investment-growth";
   const pageTitle = "Investment Growth Calculator (Compound Interest, Australia)";
@@ -130,6 +292,10 @@ export default function InvestmentGrowth() {
       q: "Are fees and taxes included?",
       a: "You can specify annual fees in percentage terms, and the calculator deducts them from returns automatically. It does not include personal tax, which varies by individual circumstances."
     },
+    {
+      q: "What does Monte Carlo mode show?",
+      a: "Instead of one fixed return, it simulates thousands of possible return sequences, either from a mean and volatility you choose or by replaying real ASX 200 years at random. The shaded band covers the middle 80% of outcomes (10th to 90th percentile), and the chance of reaching your target is the share of simulations that finish at or above it."
+    },
     {
       q: "Can I use this calculator for Australian superannuation?",
       a: "Yes. The calculator works for superannuation or any investment that compounds over time. Just enter your super balance, expected return, and regular contributions to see projections."
@@ -267,6 +433,12 @@ export default function InvestmentGrowth() {
           </p>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <div className="no-print">
           <SubtleCtaLink className="mt-3" href="/blog/compound-interest-explained">
             New to compounding? Read the explainer →
@@ -275,7 +447,31 @@ export default function InvestmentGrowth() {
 
         {/* INPUTS */}
         <div className="mt-6 no-print">
-          <SectionCard title="Your assumptions">
+          <SectionCard
+            title="Your assumptions"
+            aside={
+              <div className="inline-flex rounded-lg border bg-white p-0.5">
+                <button
+                  type="button"
+                  onClick={() => setMode("fixed")}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    !monteCarlo ? "bg-gray-800 text-white" : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  Fixed return
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMode("monteCarlo")}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    monteCarlo ? "bg-gray-800 text-white" : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  Monte Carlo
+                </button>
+              </div>
+            }
+          >
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
               <label className="flex flex-col">
                 <span className="text-slate-600">Initial amount ($)</span>
@@ -328,8 +524,14 @@ export default function InvestmentGrowth() {
 
               <label className="flex flex-col">
                 <span className="text-slate-600 flex items-center gap-2">
-                  Return (% p.a.)
-                  <Tooltip text="Nominal annual return assumption before fees." />
+                  {monteCarlo ? "Mean return (% p.a.)" : "Return (% p.a.)"}
+                  <Tooltip
+                    text={
+                      monteCarlo
+                        ? "Average nominal annual return before fees. Also drives the fixed-return line."
+                        : "Nominal annual return assumption before fees."
+                    }
+                  />
                 </span>
                 <input
                   type="number"
@@ -357,7 +559,76 @@ export default function InvestmentGrowth() {
                   inputMode="decimal"
                 />
               </label>
+
+              {monteCarlo && (
+                <>
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Return source
+                      <Tooltip text="Draw returns from a normal distribution, or replay real ASX 200 calendar years in random order." />
+                    </span>
+                    <select
+                      value={returnSource}
+                      onChange={(e) => setReturnSource(e.target.value)}
+                      className="border rounded px-2 py-1"
+                    >
+                      <option value="normal">Mean and volatility</option>
+                      <option value="historical">{`Historical ASX 200 (${HISTORY_SPAN})`}</option>
+                    </select>
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Volatility (% p.a.)
+                      <Tooltip text="Standard deviation of annual returns. Around 15% is typical for Australian shares." />
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      className="border rounded px-2 py-1 disabled:bg-slate-50 disabled:text-slate-400"
+                      value={volatilityPct}
+                      onChange={(e) => setVolatilityPct(e.target.value)}
+                      disabled={historical}
+                      inputMode="decimal"
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Simulations
+                      <Tooltip text="Number of simulated paths (100–10,000). More paths give steadier percentiles." />
+                    </span>
+                    <input
+                      type="number"
+                      min="100"
+                      max="10000"
+                      step="100"
+                      className="border rounded px-2 py-1"
+                      value={simulations}
+                      onChange={(e) => setSimulations(e.target.value)}
+                      inputMode="numeric"
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Target balance ($)
+                      <Tooltip text="Shows the share of simulations that finish at or above this amount." />
+                    </span>
+                    <CurrencyInput min="0" className="w-full" value={target} onChange={setTarget} />
+                  </label>
+                </>
+              )}
             </div>
+
+            {monteCarlo && historical && (
+              <p className="mt-3 text-[11px] text-slate-600">
+                Replaying {ASX200_ANNUAL_RETURNS.length} years of ASX 200 total returns ({HISTORY_SPAN}): average{" "}
+                {HISTORY.meanPct.toFixed(1)}% p.a., volatility {HISTORY.volatilityPct.toFixed(1)}% p.a. Mean return
+                and volatility above only apply to the fixed-return line.
+              </p>
+            )}
           </SectionCard>
         </div>
 
@@ -369,19 +640,92 @@ export default function InvestmentGrowth() {
               <SummaryCard label="Total contributions" value={fmt(sim.totalContrib)} />
               <SummaryCard label="Total earnings" value={fmt(sim.totalEarnings)} />
             </SummaryGrid>
-            <div className="mt-6 flex justify-end no-print">
-              <button
-                type="button"
-                onClick={() => window.print()}
-                className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-              >
-                <Printer className="h-4 w-4" />
-                Download Calculation (PDF)
-              </button>
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
             </div>
           </SectionCard>
         </div>
 
+        {/* MONTE CARLO */}
+        {monteCarlo && (
+          <div className="mt-8 printable-section">
+            <SectionCard
+              title="Range of outcomes"
+              aside={
+                mc.running ? (
+                  <span className="text-[11px] text-slate-500 no-print">
+                    Running {Number(simulations).toLocaleString("en-AU")} simulations…
+                  </span>
+                ) : null
+              }
+            >
+              {mc.error && <p className="mb-3 text-sm text-red-600">{mc.error}</p>}
+
+              {mcResult ? (
+                <>
+                  <SummaryGrid>
+                    <SummaryCard
+                      label={`Chance of reaching ${fmt(Number(target) || 0)}`}
+                      value={pct0(pReach)}
+                    />
+                    <SummaryCard label="Median final balance" value={fmt(mcFinal.p50)} />
+                    <SummaryCard label="Poor outcome (10th percentile)" value={fmt(mcFinal.p10)} />
+                    <SummaryCard label="Good outcome (90th percentile)" value={fmt(mcFinal.p90)} />
+                  </SummaryGrid>
+
+                  <p className="mt-6 text-[11px] text-slate-600 leading-snug mb-4 max-w-3xl no-print">
+                    The shaded band holds the middle 80% of {mcResult.simulations.toLocaleString("en-AU")} simulated
+                    paths; the dashed line is the fixed-return projection.
+                  </p>
+
+                  <div data-report-chart="Range of outcomes" className="w-full h-72">
+                    <ResponsiveContainer>
+                      <ComposedChart data={fanData} margin={{ top: 10, right: 20, bottom: 0, left: -10 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="year" tick={{ fontSize: 10, fill: "#4b5563" }} />
+                        <YAxis
+                          tickFormatter={(v) =>
+                            (isFinite(v) ? v : 0).toLocaleString("en-AU", {
+                              style: "currency",
+                              currency: "AUD",
+                              maximumFractionDigits: 0,
+                            })
+                          }
+                          tick={{ fontSize: 10, fill: "#4b5563" }}
+                        />
+                        <RTooltip content={<FanTooltip />} />
+                        <Legend wrapperStyle={{ fontSize: "11px", paddingTop: "4px" }} iconSize={8} />
+
+                        <Area
+                          name="10th–90th percentile"
+                          type="monotone"
+                          dataKey="range"
+                          stroke="none"
+                          fill="#93c5fd"
+                          fillOpacity={0.45}
+                        />
+                        <Line name="Median" type="monotone" dataKey="p50" stroke="#1e3a8a" strokeWidth={2} dot={false} />
+                        <Line
+                          name="Fixed return"
+                          type="monotone"
+                          dataKey="fixed"
+                          stroke="#64748b"
+                          strokeWidth={1.5}
+                          strokeDasharray="5 3"
+                          dot={false}
+                        />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                </>
+              ) : (
+                !mc.error && <p className="text-sm text-slate-600">Running simulations…</p>
+              )}
+            </SectionCard>
+          </div>
+        )}
+
         {/* CHART */}
         <div className="mt-8 printable-section">
           <SectionCard title="Projection">
@@ -389,7 +733,7 @@ export default function InvestmentGrowth() {
               Yearly snapshot of total balance, amount contributed, and earnings.
             </p>
 
-            <div className="w-full h-72">
+            <div data-report-chart="Projection" className="w-full h-72">
               <ResponsiveContainer>
                 <AreaChart data={chartData} margin={{ top: 10, right: 20, bottom: 0, left: -10 }}>
                   <defs>
@@ -465,15 +809,29 @@ export default function InvestmentGrowth() {
                     <th className="py-2 pr-4 font-medium">Balance</th>
                     <th className="py-2 pr-4 font-medium">Contributed</th>
                     <th className="py-2 pr-4 font-medium">Earnings</th>
+                    {mcResult && (
+                      <>
+                        <th className="py-2 pr-4 font-medium">10th pct</th>
+                        <th className="py-2 pr-4 font-medium">Median</th>
+                        <th className="py-2 pr-4 font-medium">90th pct</th>
+                      </>
+                    )}
                   </tr>
                 </thead>
                 <tbody className="text-slate-800">
-                  {sim.rows.map((r) => (
+                  {rows.map((r) => (
                     <tr key={r.year} className="border-b last:border-0 align-top">
                       <td className="py-2 pr-4">{r.year}</td>
                       <td className="py-2 pr-4">{fmt(r.balance)}</td>
                       <td className="py-2 pr-4">{fmt(r.contributed)}</td>
                       <td className="py-2 pr-4">{fmt(r.earnings)}</td>
+                      {mcResult && (
+                        <>
+                          <td className="py-2 pr-4">{fmt(r.p10)}</td>
+                          <td className="py-2 pr-4">{fmt(r.p50)}</td>
+                          <td className="py-2 pr-4">{fmt(r.p90)}</td>
+                        </>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -481,10 +839,26 @@ export default function InvestmentGrowth() {
             </div>
             <p className="mt-2 text-[11px] text-slate-600">
               Assumes even contributions monthly and a constant net return (return − fees) compounded monthly.
+              {mcResult && " Percentile columns are the Monte Carlo balances at the end of each year."}
             </p>
+
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
           </SectionCard>
         </div>
 
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="investment-growth"
+            schema={INVESTMENT_GROWTH_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={projectInvestmentGrowth}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
         {/* FAQ */}
         <div className="mt-8 no-print">
           <SectionCard title="FAQs">
@@ -1,7 +1,8 @@
 // pages/calculators/investment-property.js
 
-import { useState, useMemo } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
+import Link from "next/link";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
 import ChartTooltip from "@/components/ChartTooltip";
@@ -10,7 +11,18 @@ import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { fyLabel, fyPeriod } from "@/lib/tax";
+import {
+  calculateInvestmentProperty,
+  INVESTMENT_PROPERTY_INPUTS,
+} from "@/lib/property/investmentProperty";
+import { schemaInputs } from "@/lib/export";
 
 import {
   LineChart,
@@ -29,85 +41,6 @@ import {
 // Helpers
 // ---------------
 
-function downloadCsv(filename, csv) {
-  if (!csv) return;
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.setAttribute("href", url);
-  link.setAttribute("download", filename);
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-}
-
-// Cashflow table CSV
-function cashflowToCsv(rows) {
-  if (!rows?.length) return "";
-
-  const headers = [
-    "Year",
-    "GrossRent",
-    "PMFees",
-    "FixedExpenses",
-    "Interest",
-    "Principal",
-    "TotalCashExpenses",
-    "CashCost",
-    "Depreciation",
-    "TaxableIncome",
-    "TaxChange",
-    "AfterTaxCashflow",
-    "CumulativeAfterTaxCashflow",
-  ];
-
-  const lines = rows.map((r) => [
-    r.year,
-    r.grossRent,
-    r.pmFees,
-    r.fixedExpenses,
-    r.interest,
-    r.principal,
-    r.totalCashExpenses,
-    r.cashCost,
-    r.depreciation,
-    r.taxableIncome,
-    r.taxChange,
-    r.afterTaxCashflow,
-    r.cumulativeAfterTaxCashflow,
-  ]);
-
-  return [headers, ...lines].map((row) => row.join(",")).join("\n");
-}
-
-// Property & loan table CSV
-function propertyLoanToCsv(rows) {
-  if (!rows?.length) return "";
-
-  const headers = [
-    "Year",
-    "PropertyValue",
-    "OpeningLoan",
-    "ClosingLoan",
-    "Equity",
-  ];
-
-  const lines = rows.map((r) => {
-    const equity = r.propertyValue - r.closingLoan;
-    return [
-      r.year,
-      r.propertyValue,
-      -r.openingLoan,
-      -r.closingLoan,
-      equity,
-    ];
-  });
-
-  return [headers, ...lines].map((row) => row.join(",")).join("\n");
-}
-
-
 function aud0(n) {
   if (!isFinite(n)) return "$0";
   return n.toLocaleString("en-AU", {
@@ -123,390 +56,74 @@ function pct1(n) {
   return `${(n * 100).toFixed(1)}%`;
 }
 
-// Safely coerce to number
-function toNumber(value, fallback = 0) {
-  const n = typeof value === "number" ? value : parseFloat(String(value));
-  return Number.isFinite(n) ? n : fallback;
-}
-
-/**
- * Approximate Australian resident income tax (2024–25 rates),
- * including a simple 2% Medicare levy on taxable income.
- *
- * No offsets, no low-income thresholds. Used to estimate the
- * *difference* in tax from rental income and CGT.
- */
-function calcIncomeTax2024_25(taxableIncome) {
-  const ti = Math.max(0, taxableIncome);
-  let tax = 0;
-
-  if (ti <= 18200) {
-    tax = 0;
-  } else if (ti <= 45000) {
-    tax = (ti - 18200) * 0.16;
-  } else if (ti <= 135000) {
-    tax =
-      (45000 - 18200) * 0.16 +
-      (ti - 45000) * 0.30;
-  } else if (ti <= 190000) {
-    tax =
-      (45000 - 18200) * 0.16 +
-      (135000 - 45000) * 0.30 +
-      (ti - 135000) * 0.37;
-  } else {
-    tax =
-      (45000 - 18200) * 0.16 +
-      (135000 - 45000) * 0.30 +
-      (190000 - 135000) * 0.37 +
-      (ti - 190000) * 0.45;
-  }
-
-  // Add Medicare levy at a flat 2% of taxable income
-  const medicareLevy = ti * 0.02;
-
-  return tax + medicareLevy;
-}
-
-
-/**
- * Core calculation for the Investment Property calculator.
- *
- * Focused on:
- * 1) Cash cost each year (before tax)
- * 2) After-tax cost each year
- * 3) Net gain when selling after N years (after tax & debt)
- *
- * Assumptions:
- * - Straight-line building depreciation over 40 years.
- * - Depreciation reduces CGT cost base.
- * - 50% CGT discount if held > 12 months.
- * - Tax differences are calculated relative to an input taxable income (salary).
- * - Loan can be:
- *    - Principal & interest for full term, or
- *    - Interest-only for 5 years, then P&I for the remaining term.
- */
-function calculateInvestmentProperty(inputs) {
-  const purchasePrice = toNumber(inputs.purchasePrice);
-  const purchaseCosts = toNumber(inputs.purchaseCosts);
-  const buildingValue = Math.min(
-    toNumber(inputs.buildingValue),
-    purchasePrice
-  );
-
-  const weeklyRent = toNumber(inputs.weeklyRent);
-  const vacancyRate = toNumber(inputs.vacancyRate) / 100;
-  const rentGrowthRate = toNumber(inputs.rentGrowthRate) / 100;
-  const growthRate = toNumber(inputs.growthRate) / 100;
-  const sellingCostRate = toNumber(inputs.sellingCostRate) / 100;
-
-  const holdingYears = Math.max(1, Math.round(toNumber(inputs.holdingYears)));
-
-  const loanAmount = toNumber(inputs.loanAmount);
-  const interestRate = toNumber(inputs.interestRate) / 100;
-  const loanTermYears = Math.max(1, Math.round(toNumber(inputs.loanTermYears)));
-  const loanRepaymentType = inputs.loanRepaymentType || "PI"; // "PI" | "IO5"
-
-  const pmFeeRate = toNumber(inputs.pmFeeRate) / 100;
-  const annualRates = toNumber(inputs.annualRates);
-  const annualInsurance = toNumber(inputs.annualInsurance);
-  const annualStrata = toNumber(inputs.annualStrata);
-  const annualLandTax = toNumber(inputs.annualLandTax);
-  const annualOther = toNumber(inputs.annualOther);
-
-  const baseTaxableIncome = Math.max(
-    0,
-    toNumber(inputs.baseTaxableIncome)
-  ); // salary / other income
-
- const expenseGrowthPct = toNumber(inputs.expenseGrowthPct) / 100;
-
-
-  // Initial cash outlay = deposit + purchase costs
-  const deposit = Math.max(0, purchasePrice - loanAmount);
-  const initialCashOutlay = deposit + purchaseCosts;
-
-  // Loan details
-  const monthsTotal = loanTermYears * 12;
-  const monthlyRate = interestRate / 12;
-  const ioYears = 5;
-  const ioMonths = ioYears * 12;
-
-  // Building depreciation: straight-line over 40 years
-  const depYears = 40;
-  const annualBuildingDepreciation =
-    depYears > 0 ? buildingValue / depYears : 0;
-
-  // Loop through each year
-  let balance = loanAmount;
-  let monthsElapsed = 0;
-
-  let cumulativeAfterTaxCashflow = 0;
-  let totalDepreciationClaimedToDate = 0;
-
-  const cashflow = [];
-
-  for (let year = 1; year <= holdingYears; year++) {
-    const propertyValue = purchasePrice * Math.pow(1 + growthRate, year);
-
-    // Rent for this year
-    const rentThisYearBeforeVacancy =
-      weeklyRent * 52 * Math.pow(1 + rentGrowthRate, year - 1);
-    const grossRent = rentThisYearBeforeVacancy * (1 - vacancyRate);
-
-    // Loan amortisation for 12 months
-    const openingLoan =
-      year === 1 ? loanAmount : cashflow[year - 2]?.closingLoan ?? loanAmount;
-
-    let interestThisYear = 0;
-    let principalThisYear = 0;
-
-    for (let m = 0; m < 12; m++) {
-      if (balance <= 0) break;
-
-      const isIOPeriod =
-        loanRepaymentType === "IO5" &&
-        monthsElapsed < ioMonths;
-
-      let repaymentMonth = 0;
-      let interestMonth = 0;
-      let principalMonth = 0;
-
-      if (monthlyRate === 0) {
-        // Edge case: 0% interest – just amortise over remaining term
-        const remainingMonths = Math.max(monthsTotal - monthsElapsed, 1);
-        repaymentMonth = balance / remainingMonths;
-        interestMonth = 0;
-        principalMonth = Math.min(repaymentMonth, balance);
-      } else if (isIOPeriod) {
-        // Interest-only period: pay interest only, principal unchanged
-        interestMonth = balance * monthlyRate;
-        repaymentMonth = interestMonth;
-        principalMonth = 0;
-      } else {
-        // Principal & interest: amortise over remaining term
-        const remainingMonths = Math.max(monthsTotal - monthsElapsed, 1);
-        const pmt =
-          (balance * monthlyRate) /
-          (1 - Math.pow(1 + monthlyRate, -remainingMonths));
-        repaymentMonth = pmt;
-        interestMonth = balance * monthlyRate;
-        principalMonth = Math.min(
-          repaymentMonth - interestMonth,
-          balance + interestMonth
-        );
-      }
-
-      interestThisYear += interestMonth;
-      principalThisYear += principalMonth;
-
-      balance = balance + interestMonth - repaymentMonth;
-      if (balance < 0.01) {
-        principalThisYear += balance;
-        balance = 0;
-        monthsElapsed += 1;
-        break;
-      }
-
-      monthsElapsed += 1;
-    }
-
-    const closingLoan = balance;
-
-    // Cash expenses (excluding loan)
-// Growth factor for expenses (Year 1 = base level)
-const expenseGrowthFactor = Math.pow(1 + expenseGrowthPct, year - 1);
-
-// PM fees scale with rent (so no separate growth needed)
-const pmFees = grossRent * pmFeeRate;
-
-// Fixed expenses (rates, insurance, strata, land tax, other) grow each year
-const fixedExpensesBase =
-  annualRates +
-  annualInsurance +
-  annualStrata +
-  annualLandTax +
-  annualOther;
-
-const fixedExpenses = fixedExpensesBase * expenseGrowthFactor;
-
-const cashExpenses = pmFees + fixedExpenses;
-const totalCashExpenses = cashExpenses + interestThisYear + principalThisYear;
-
-
-
-    // Depreciation this year, capped so we never exceed buildingValue
-    const remainingDepreciable =
-      buildingValue - totalDepreciationClaimedToDate;
-    const depreciation =
-      remainingDepreciable > 0
-        ? Math.min(annualBuildingDepreciation, remainingDepreciable)
-        : 0;
-    totalDepreciationClaimedToDate += depreciation;
-
-    // Cashflow before tax (includes principal as cash outflow)
-    const beforeTaxCashflow =
-      grossRent - cashExpenses - interestThisYear - principalThisYear;
-    const cashCost = beforeTaxCashflow < 0 ? -beforeTaxCashflow : 0;
-
-    // Taxable income from property
-    const taxableIncome =
-      grossRent - cashExpenses - interestThisYear - depreciation;
-
-    // Tax difference: base income vs base income + property taxable income
-    const taxWithoutProperty = calcIncomeTax2024_25(baseTaxableIncome);
-    const taxWithProperty = calcIncomeTax2024_25(
-      baseTaxableIncome + taxableIncome
-    );
-    const taxChange = taxWithProperty - taxWithoutProperty;
-    // positive = extra tax payable, negative = refund
-
-    const afterTaxCashflow = beforeTaxCashflow - taxChange;
-    const afterTaxCost = afterTaxCashflow < 0 ? -afterTaxCashflow : 0;
-
-    cumulativeAfterTaxCashflow += afterTaxCashflow;
-
-    // Sale / CGT at end of this year
-    const salePrice = propertyValue;
-    const sellingCosts = salePrice * sellingCostRate;
-
-    // Cost base includes purchase costs and is reduced by depreciation
-    const costBase =
-      purchasePrice + purchaseCosts - totalDepreciationClaimedToDate;
-
-    let capitalGain = salePrice - sellingCosts - costBase;
-    if (!Number.isFinite(capitalGain)) capitalGain = 0;
-
-    let cgtTax = 0;
-    if (capitalGain > 0) {
-      // 50% discount if held at least 2 full years
-      const discountedGain = year >= 2 ? capitalGain * 0.5 : capitalGain;
-
-      // Tax difference: with vs without the discounted gain in this year
-      const taxBeforeCGT = calcIncomeTax2024_25(
-        baseTaxableIncome + taxableIncome
-      );
-      const taxAfterCGT = calcIncomeTax2024_25(
-        baseTaxableIncome + taxableIncome + discountedGain
-      );
-      cgtTax = taxAfterCGT - taxBeforeCGT;
-    }
-
-    const loanOutstandingAtSale = closingLoan;
-
-    const netSaleAfterDebtAndTax =
-      salePrice - sellingCosts - loanOutstandingAtSale - cgtTax;
-
-    const netIfSoldThisYear =
-      cumulativeAfterTaxCashflow +
-      netSaleAfterDebtAndTax -
-      initialCashOutlay;
-
-    cashflow.push({
-      year,
-      propertyValue,
-      openingLoan,
-      closingLoan,
-      grossRent,
-      pmFees,
-      fixedExpenses,
-      cashExpenses,
-      totalCashExpenses,
-      interest: interestThisYear,
-      principal: principalThisYear,
-      depreciation,
-      beforeTaxCashflow,
-      cashCost,
-      taxableIncome,
-      taxChange,
-      afterTaxCashflow,
-      afterTaxCost,
-      cumulativeAfterTaxCashflow,
-      salePrice,
-      sellingCosts,
-      costBase,
-      capitalGain,
-      cgtTax,
-      netSaleAfterDebtAndTax,
-      netIfSoldThisYear,
-    });
-  }
-
-  const firstYear = cashflow[0];
-  const lastYear = cashflow[cashflow.length - 1];
-
-  let netGainAtSale = 0;
-  let netSaleAfterDebtAndTax = 0;
-  let annualisedReturn = 0;
-
-  if (lastYear) {
-    netGainAtSale = lastYear.netIfSoldThisYear;
-    netSaleAfterDebtAndTax = lastYear.netSaleAfterDebtAndTax;
-
-    const endingWealth = initialCashOutlay + netGainAtSale;
-    if (initialCashOutlay > 0 && endingWealth > 0) {
-      annualisedReturn =
-        Math.pow(endingWealth / initialCashOutlay, 1 / holdingYears) - 1;
-    }
-  }
-
-  return {
-    summary: {
-      firstYearCashCost: firstYear ? firstYear.cashCost : 0,
-      firstYearAfterTaxCost: firstYear ? firstYear.afterTaxCost : 0,
-      avgAnnualCashCost:
-        cashflow.length > 0
-          ? cashflow.reduce((sum, y) => sum + y.cashCost, 0) /
-            cashflow.length
-          : 0,
-      avgAnnualAfterTaxCost:
-        cashflow.length > 0
-          ? cashflow.reduce((sum, y) => sum + y.afterTaxCost, 0) /
-            cashflow.length
-          : 0,
-      netGainAtSale,
-      netSaleAfterDebtAndTax,
-      initialCashOutlay,
-      holdingYears,
-    },
-    cashflow,
-  };
-}
-
 // ---------------
 // Page component
 // ---------------
 
+// Sale summary figures and the net-if-sold line for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "First-year after-tax cost", value: (r) => r.summary.firstYearAfterTaxCost, format: aud0, better: "lower" },
+  { label: "Average after-tax cost (per year)", value: (r) => r.summary.avgAnnualAfterTaxCost, format: aud0, better: "lower" },
+  { label: "Initial cash outlay", value: (r) => r.summary.initialCashOutlay, format: aud0, better: "lower" },
+  { label: "Net sale after loan & tax", value: (r) => r.summary.netSaleAfterDebtAndTax, format: aud0, better: "higher" },
+  { label: "Overall net gain", value: (r) => r.summary.netGainAtSale, format: aud0, better: "higher" },
+];
+const SCENARIO_CHART = {
+  title: "Overall net gain if sold in each year",
+  series: (r) => r.cashflow.map((y) => ({ x: y.year, y: y.netIfSoldThisYear })),
+  format: aud0,
+};
+
+// Spreadsheet export: input labels, and the cashflow, property value and
+// loan by year in one schedule
+const EXPORT_FIELDS = {
+  purchasePrice: { label: "Purchase price", format: "currency" },
+  purchaseCosts: { label: "Purchase costs", format: "currency" },
+  buildingValue: { label: "Building value", format: "currency" },
+  weeklyRent: { label: "Weekly rent", format: "currency" },
+  vacancyRate: "Vacancy rate (%)",
+  rentGrowthRate: "Rent growth (% p.a.)",
+  growthRate: "Property growth (% p.a.)",
+  sellingCostRate: "Selling costs (% of sale)",
+  holdingYears: "Holding period (years)",
+  loanAmount: { label: "Loan amount", format: "currency" },
+  interestRate: "Interest rate (% p.a.)",
+  loanTermYears: "Loan term (years)",
+  loanRepaymentType: "Loan repayment type (PI or IO5)",
+  pmFeeRate: "Property management fee (% of rent)",
+  annualRates: { label: "Council and water rates (per year)", format: "currency" },
+  annualInsurance: { label: "Insurance (per year)", format: "currency" },
+  annualStrata: { label: "Strata / body corporate (per year)", format: "currency" },
+  annualLandTax: { label: "Land tax (per year)", format: "currency" },
+  annualOther: { label: "Other expenses (per year)", format: "currency" },
+  expenseGrowthPct: "Growth in property expenses (% p.a.)",
+  baseTaxableIncome: { label: "Current annual taxable income", format: "currency" },
+  fy: "Tax rates (financial year)",
+};
+const EXPORT_COLUMNS = [
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "GrossRent", format: "currency", value: (r) => r.grossRent },
+  { key: "PMFees", format: "currency", value: (r) => r.pmFees },
+  { key: "FixedExpenses", format: "currency", value: (r) => r.fixedExpenses },
+  { key: "Interest", format: "currency", value: (r) => r.interest },
+  { key: "Principal", format: "currency", value: (r) => r.principal },
+  { key: "TotalCashExpenses", format: "currency", value: (r) => r.totalCashExpenses },
+  { key: "CashCost", format: "currency", value: (r) => r.cashCost },
+  { key: "Depreciation", format: "currency", value: (r) => r.depreciation },
+  { key: "TaxableIncome", format: "currency", value: (r) => r.taxableIncome },
+  { key: "TaxChange", format: "currency", value: (r) => r.taxChange },
+  { key: "AfterTaxCashflow", format: "currency", value: (r) => r.afterTaxCashflow },
+  { key: "CumulativeAfterTaxCashflow", format: "currency", value: (r) => r.cumulativeAfterTaxCashflow },
+  { key: "PropertyValue", format: "currency", value: (r) => r.propertyValue },
+  { key: "OpeningLoan", format: "currency", value: (r) => r.openingLoan },
+  { key: "ClosingLoan", format: "currency", value: (r) => r.closingLoan },
+  { key: "Equity", format: "currency", value: (r) => r.propertyValue - r.closingLoan },
+  { key: "NetGainIfSold", format: "currency", value: (r) => r.netIfSoldThisYear },
+];
+
 export default function InvestmentPropertyCalculator() {
-  const [inputs, setInputs] = useState({
-    // Property & purchase
-    purchasePrice: 800000,
-    purchaseCosts: 40000,
-    buildingValue: 400000,
-    weeklyRent: 700,
-    vacancyRate: 5,
-    rentGrowthRate: 2.5,
-    growthRate: 3.0,
-    sellingCostRate: 2.5,
-    holdingYears: 10,
-
-    // Loan
-    loanAmount: 640000,
-    interestRate: 6.0,
-    loanTermYears: 30,
-    loanRepaymentType: "PI", // "PI" | "IO5"
-
-    // Ongoing expenses
-    pmFeeRate: 7.0,
-    annualRates: 3000,
-    annualInsurance: 1500,
-    annualStrata: 0,
-    annualLandTax: 0,
-    annualOther: 1000,
-    expenseGrowthPct: 2.5,
-
-    // Tax base income
-    baseTaxableIncome: 120000, // salary + other taxable income
-  });
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, queryString, notice } = useUrlState(INVESTMENT_PROPERTY_INPUTS);
 
   const handleChange = (field) => (e) => {
     const value = e.target.value;
@@ -656,6 +273,87 @@ export default function InvestmentPropertyCalculator() {
 
 ];
 
+  // PDF report: inputs, the sale summary and the cashflow by year
+  const pctInput = (v) => `${v}%`;
+  const getReport = () => ({
+    title: "Investment Property Calculator",
+    inputs: [
+      { label: "Purchase price", value: aud0(Number(inputs.purchasePrice)) },
+      { label: "Purchase costs", value: aud0(Number(inputs.purchaseCosts)) },
+      { label: "Building value", value: aud0(Number(inputs.buildingValue)) },
+      { label: "Holding period", value: `${inputs.holdingYears} years` },
+      { label: "Selling costs (of sale price)", value: pctInput(inputs.sellingCostRate) },
+      { label: "Property growth", value: `${inputs.growthRate}% p.a.` },
+      { label: "Weekly rent", value: aud0(Number(inputs.weeklyRent)) },
+      { label: "Vacancy rate", value: pctInput(inputs.vacancyRate) },
+      { label: "Rent growth", value: `${inputs.rentGrowthRate}% p.a.` },
+      { label: "Loan amount", value: aud0(Number(inputs.loanAmount)) },
+      { label: "Interest rate", value: `${inputs.interestRate}% p.a.` },
+      { label: "Loan term", value: `${inputs.loanTermYears} years` },
+      {
+        label: "Loan repayment type",
+        value: inputs.loanRepaymentType === "IO5" ? "Interest-only for 5 years, then P&I" : "Principal & interest",
+      },
+      { label: "Property management fee (of rent)", value: pctInput(inputs.pmFeeRate) },
+      { label: "Council and water rates (per year)", value: aud0(Number(inputs.annualRates)) },
+      { label: "Insurance (per year)", value: aud0(Number(inputs.annualInsurance)) },
+      { label: "Strata / body corporate (per year)", value: aud0(Number(inputs.annualStrata)) },
+      { label: "Land tax (per year)", value: aud0(Number(inputs.annualLandTax)) },
+      { label: "Other expenses (per year)", value: aud0(Number(inputs.annualOther)) },
+      { label: "Growth in property expenses", value: `${inputs.expenseGrowthPct}% p.a.` },
+      { label: "Current annual taxable income", value: aud0(Number(inputs.baseTaxableIncome)) },
+    ],
+    results: lastYear
+      ? [
+          { label: "First-year after-tax cost", value: aud0(summary.firstYearAfterTaxCost) },
+          { label: "Average after-tax cost (per year)", value: aud0(summary.avgAnnualAfterTaxCost) },
+          { label: "Sale price", value: aud0(lastYear.salePrice) },
+          { label: "Selling costs", value: aud0(-lastYear.sellingCosts) },
+          { label: "Loan payout at sale", value: aud0(-lastYear.closingLoan) },
+          { label: "Capital gain", value: aud0(lastYear.capitalGain) },
+          { label: "Capital gains tax payable", value: aud0(-lastYear.cgtTax) },
+          { label: "Net sale after loan & tax", value: aud0(lastYear.netSaleAfterDebtAndTax) },
+          { label: "Cumulative after-tax cashflow", value: aud0(lastYear.cumulativeAfterTaxCashflow) },
+          { label: "Initial cash outlay", value: aud0(summary.initialCashOutlay) },
+          { label: "Overall net gain", value: aud0(summary.netGainAtSale) },
+        ]
+      : [],
+    rules: [
+      { label: "Income tax rates (resident, with LITO and Medicare levy)", value: fyLabel(inputs.fy) },
+      { label: "Rates in effect", value: fyPeriod(inputs.fy) },
+    ],
+    tables: [
+      {
+        title: "Cashflow by year",
+        head: ["Year", "Rent", "Cash expenses", "Net cash cost", "Depreciation", "Taxable gain or loss", "Tax refund / payable", "After-tax cashflow", "Property value", "Loan balance"],
+        body: cashflow.map((r) => [
+          r.year,
+          aud0(cashflowDisplayValue("grossRent", r)),
+          aud0(cashflowDisplayValue("totalCashExpenses", r)),
+          aud0(cashflowDisplayValue("cashCost", r)),
+          aud0(cashflowDisplayValue("depreciation", r)),
+          aud0(cashflowDisplayValue("taxableIncome", r)),
+          aud0(cashflowDisplayValue("taxChange", r)),
+          aud0(cashflowDisplayValue("afterTaxCashflow", r)),
+          aud0(r.propertyValue),
+          aud0(r.closingLoan),
+        ]),
+      },
+    ],
+    notes: [
+      `Tax rates are held at ${fyLabel(inputs.fy)} levels for every year of the projection.`,
+      "Capital gains tax on sale assumes the 50% discount, with the gain added to your other income in the sale year.",
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Investment Property Calculator",
+    inputs: schemaInputs(INVESTMENT_PROPERTY_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows: cashflow,
+  });
+
   return (
     <>
       <Head>
@@ -730,6 +428,12 @@ export default function InvestmentPropertyCalculator() {
           </div>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <SubtleCtaLink
           className="mt-3"
           href="/blog/buying-investment-property-australia"
@@ -1046,14 +750,24 @@ export default function InvestmentPropertyCalculator() {
                       onChange={handleCurrencyChange("baseTaxableIncome")}
                     />
                    </label>
+
+                  <FinancialYearSelect
+                    value={inputs.fy}
+                    onChange={(fy) => setInputs((prev) => ({ ...prev, fy }))}
+                  />
                    
                 </div>
                 <p className="text-[11px] text-slate-500 mt-1">
-                Tax estimates include a flat 2% Medicare levy.
+                Tax estimates use {fyLabel(inputs.fy)} resident rates, LITO and
+                the Medicare levy, held constant for every year of the projection.
                 </p>
 
               </div>
             </div>
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
+            </div>
           </SectionCard>
         </div>
 
@@ -1141,20 +855,7 @@ export default function InvestmentPropertyCalculator() {
               </p>
               
             )}
-            <div className="flex justify-end mt-4">
-  <button
-    type="button"
-    onClick={() =>
-      downloadCsv(
-        "investment-property-cashflow.csv",
-        cashflowToCsv(cashflow)
-      )
-    }
-    className="rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
-  >
-    Export CSV
-  </button>
-</div>
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
           </SectionCard>
         </div>
 
@@ -1267,7 +968,7 @@ export default function InvestmentPropertyCalculator() {
 
     {/* RIGHT: NET POSITION CHART (IF SOLD EACH YEAR) */}
     <SectionCard title="Overall net gain over time">
-      <div className="w-full h-64">
+      <div data-report-chart="Overall net gain over time" className="w-full h-64">
         <ResponsiveContainer>
           {/* 🔁 Paste your existing "net position" chart here.
               Example (if you're using a LineChart / BarChart over netIfSoldThisYear): */}
@@ -1372,20 +1073,7 @@ export default function InvestmentPropertyCalculator() {
           </tbody>
         </table>
 
-        <div className="flex justify-end mt-4">
-          <button
-            type="button"
-            onClick={() =>
-              downloadCsv(
-                "investment-property-values-and-loan.csv",
-                propertyLoanToCsv(cashflow)
-              )
-            }
-            className="rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
-          >
-            Export CSV
-          </button>
-        </div>
+        <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
       </div>
     </div>
   </SectionCard>
@@ -1394,7 +1082,7 @@ export default function InvestmentPropertyCalculator() {
        {/* AFTER-TAX CASHFLOW CHART – FULL WIDTH ONLY */}
 <div className="mt-8 no-print">
   <SectionCard title="After-tax cashflow per year">
-    <div className="w-full h-64">
+    <div data-report-chart="After-tax cashflow per year" className="w-full h-64">
       <ResponsiveContainer>
         <AreaChart data={chartCashflow}>
           <CartesianGrid strokeDasharray="3 3" />
@@ -1448,6 +1136,19 @@ export default function InvestmentPropertyCalculator() {
 </div>
 
 
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="investment-property"
+            schema={INVESTMENT_PROPERTY_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateInvestmentProperty}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
         {/* How it works */}
         <div className="mt-8 printable-section">
           <SectionCard title="Assumptions & references">
@@ -1477,9 +1178,18 @@ export default function InvestmentPropertyCalculator() {
                 <span className="font-medium text-slate-800">
                   Capital gains tax on sale:
                 </span>{" "}
-                Includes 50% CGT discount for holding periods greater than 1 year. The CGT estimate
-                is based on the extra tax payable when the discounted
-                gain is added to your other income in the sale year.
+                Includes the 50% CGT discount for a sale in year 2 or
+                later (a sale on the first anniversary isn&apos;t held for
+                more than 12 months). The CGT estimate is the extra tax
+                payable when the net gain is added to your other income
+                and the year&apos;s rental result, at the resident rates.
+                A loss on sale is carried forward rather than reducing
+                tax. The{" "}
+                <Link href="/calculators/capital-gains-tax" className="text-blue-700 underline">
+                  capital gains tax calculator
+                </Link>{" "}
+                uses the same rules and can also apply capital losses
+                you already have.
               </li>
               <li>
                 <span className="font-medium text-slate-800">
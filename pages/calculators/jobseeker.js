@@ -1,4 +1,4 @@
-import { useState, useMemo } from "react";
+import { useMemo, useState } from "react";
 import Head from "next/head";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
@@ -6,7 +6,21 @@ import SectionCard from "@/components/SectionCard";
 import PageIntro from "@/components/PageIntro";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import RulesDateSelect from "@/components/RulesDateSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import AssetItemiser from "@/components/AssetItemiser";
+import RentAssistanceField from "@/components/RentAssistanceField";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  getCentrelinkRules,
+  formatEffectiveDate,
+} from "@/lib/centrelink";
+import { calculateJobSeeker, JOBSEEKER_INPUTS } from "@/lib/centrelink/jobSeeker";
+import { ASSET_TYPES, describeTreatment, deemedIncomeByOwnerFt } from "@/lib/centrelink/assets";
+import { schemaInputs } from "@/lib/export";
 
 // Helper for currency formatting
 function aud(n) {
@@ -19,111 +33,178 @@ function aud(n) {
   });
 }
 
-// --- CONSTANTS (Effective 20 March 2026 – 19 Sep 2026) ---
-// Moved outside component to avoid recreation on every render (fixes exhaustive-deps)
-const RATES = {
-  singleNoKids: 817.50, // Includes Energy Supplement
-  singleWithKids: 875.50, // Includes Energy Supplement and Pharmaceutical Allowance
-  partnered: 748.20, // Each, includes Energy Supplement
-  energySupplement: {
-    single: 14.10, // Included in max rates
-    partnered: 10.60, // Included in max rates
-  },
+const STATUS_LABELS = {
+  single: "Single",
+  partnered: "Partnered",
+  separated: "Partnered, separated by illness",
 };
 
-const ASSET_LIMITS = {
-  single: { homeowner: 321500, nonHomeowner: 579500 }, //
-  partnered: { homeowner: 481500, nonHomeowner: 739500 }, // Combined assets
+// Each saved scenario is worked out under its own rules date
+const calculateJobSeekerForInputs = ({ rulesDate, ...inputs }) =>
+  calculateJobSeeker(inputs, getCentrelinkRules(rulesDate));
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Estimated fortnightly payment", value: (r) => r.payment, format: aud, better: "higher" },
+  { label: "Maximum rate incl. Rent Assistance", value: (r) => r.maxPaymentTotal, format: aud },
+  { label: "Rent Assistance", value: (r) => r.rentAssistance, format: aud },
+  { label: "Income reduction", value: (r) => r.incomeReduction, format: aud, better: "lower" },
+];
+
+// Spreadsheet export: input labels and the estimate as one row
+const EXPORT_FIELDS = {
+  rulesDate: "Rates date",
+  relationshipStatus: "Relationship status",
+  hasChildren: "Dependent children",
+  isHomeowner: "Homeowner",
+  rentFortnight: { label: "Rent (pf)", format: "cents" },
+  sharer: "Sharing accommodation",
+  incomeFortnight: { label: "Your gross income (pf)", format: "cents" },
+  partnerIncomeFortnight: { label: "Partner's gross income (pf)", format: "cents" },
+  assets: { label: "Total assessable assets", format: "currency" },
 };
+const EXPORT_COLUMNS = [
+  { key: "PaymentFt", format: "cents", value: (r) => r.payment },
+  { key: "MaxPaymentFt", format: "cents", value: (r) => r.maxPaymentTotal },
+  { key: "RentAssistanceFt", format: "cents", value: (r) => r.rentAssistance },
+  { key: "IncomeReductionFt", format: "cents", value: (r) => r.incomeReduction },
+  { key: "AssetLimit", format: "currency", value: (r) => r.assetLimit },
+  { key: "AssetIneligible", format: "boolean", value: (r) => r.isAssetIneligible },
+  { key: "RatesEffectiveFrom", format: "text", value: (r) => r.ratesEffectiveFrom },
+];
 
 export default function JobSeekerCalculator() {
   // --- STATE (Initial values for demonstration) ---
-  const [relationshipStatus, setRelationshipStatus] = useState("single"); // 'single' | 'partnered'
-  const [hasChildren, setHasChildren] = useState(false);
-  const [isHomeowner, setIsHomeowner] = useState(false);
-  const [incomeFortnight, setIncomeFortnight] = useState(0);
-  const [partnerIncomeFortnight, setPartnerIncomeFortnight] = useState(0);
-  const [assets, setAssets] = useState(5000);
-
-  // --- CALCULATION ---
-  const results = useMemo(() => {
-    let maxBaseRate = 0;
-    let energySupp = 0;
-    let assetLimit = 0; //
-
-    // 1. Determine Max Rate & Asset Limit based on status
-    if (relationshipStatus === "single") {
-      maxBaseRate = hasChildren ? RATES.singleWithKids : RATES.singleNoKids;
-      assetLimit = isHomeowner
-        ? ASSET_LIMITS.single.homeowner
-        : ASSET_LIMITS.single.nonHomeowner;
-    } else {
-      maxBaseRate = RATES.partnered;
-      assetLimit = isHomeowner
-        ? ASSET_LIMITS.partnered.homeowner
-        : ASSET_LIMITS.partnered.nonHomeowner;
-    }
-
-    const maxPaymentTotal = maxBaseRate + energySupp;
-
-    // 2. Asset Test (JobSeeker is generally "sudden death" - if over, you get 0)
-    if (assets > assetLimit) {
-      return {
-        payment: 0,
-        maxPaymentTotal,
-        incomeReduction: 0,
-        isAssetIneligible: true,
-        assetLimit,
-      };
-    }
-
-    // 3. Personal Income Test
-    // Rules:
-    // - First $150: $0 reduction
-    // - $150 to $256: 50c reduction per dollar
-    // - Over $256: 60c reduction per dollar
-    let incomeReduction = 0;
-    const incomeFreeArea = 150; //
-    const lowerTaperLimit = 256; //
-
-    if (incomeFortnight > incomeFreeArea) {
-      if (incomeFortnight <= lowerTaperLimit) {
-        incomeReduction += (incomeFortnight - incomeFreeArea) * 0.5; //
-      } else {
-        // Calculate reduction for the band between 150 and 256
-        incomeReduction += (lowerTaperLimit - incomeFreeArea) * 0.5;
-        // Calculate reduction for amount above 256
-        incomeReduction += (incomeFortnight - lowerTaperLimit) * 0.6;
-      }
-    }
-
-    // 4. Partner Income Test (if applicable)
-    // Partner income reduces your payment by 60c for every dollar over the partner income threshold.
-    if (relationshipStatus === "partnered") {
-      const partnerIncomeFreeArea = 1415; //
-      if (partnerIncomeFortnight > partnerIncomeFreeArea) {
-        incomeReduction += (partnerIncomeFortnight - partnerIncomeFreeArea) * 0.6;
-      }
-    }
-
-    let payment = maxPaymentTotal - incomeReduction;
-    if (payment < 0) payment = 0;
-
-    return {
-      payment,
-      maxPaymentTotal,
-      incomeReduction,
-      isAssetIneligible: false,
-      assetLimit,
-    };
-  }, [
-    relationshipStatus,
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(JOBSEEKER_INPUTS);
+  const {
+    rulesDate,
+    relationshipStatus, // 'single' | 'partnered' | 'separated'
     hasChildren,
     isHomeowner,
+    rentFortnight,
+    sharer,
     incomeFortnight,
     partnerIncomeFortnight,
     assets,
-  ]);
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setRulesDate = setter("rulesDate");
+  const setRelationshipStatus = setter("relationshipStatus");
+  const setHasChildren = setter("hasChildren");
+  const setIsHomeowner = setter("isHomeowner");
+  const setRentFortnight = setter("rentFortnight");
+  const setSharer = setter("sharer");
+  const setIncomeFortnight = setter("incomeFortnight");
+  const setPartnerIncomeFortnight = setter("partnerIncomeFortnight");
+  const setAssets = setter("assets");
+
+  // Rates & thresholds (shared Centrelink rules store)
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const js = rules.jobSeeker;
+  const ratesFrom = formatEffectiveDate(js.effectiveFrom);
+  const isPartnered = relationshipStatus === "partnered";
+  const hasPartner = relationshipStatus !== "single"; // joint assets, couple deeming
+
+  // Itemised entry: income here includes each person's share of deemed income
+  const [itemising, setItemising] = useState(false);
+  const [itemised, setItemised] = useState(null);
+  const applyItemised = ({ assets: classified, income }) => {
+    const deemed = deemedIncomeByOwnerFt(classified.financialByOwner, { couple: hasPartner, deeming: rules.deeming });
+    const cents = (n) => Math.round(n * 100) / 100;
+    setInputs((prev) => ({
+      ...prev,
+      assets: Math.round(classified.totals.totalAssessable),
+      incomeFortnight: cents(income.employmentFt.you + income.otherFt.you + deemed.you),
+      partnerIncomeFortnight: cents(income.employmentFt.partner + income.otherFt.partner + deemed.partner),
+    }));
+    setItemised({ ...classified, deemed });
+  };
+
+  // --- CALCULATION ---
+  const results = useMemo(
+    () =>
+      calculateJobSeeker(
+        {
+          relationshipStatus,
+          hasChildren,
+          isHomeowner,
+          rentFortnight,
+          sharer,
+          incomeFortnight,
+          partnerIncomeFortnight,
+          assets,
+        },
+        rules
+      ),
+    [rules, relationshipStatus, hasChildren, isHomeowner, rentFortnight, sharer, incomeFortnight, partnerIncomeFortnight, assets]
+  );
+
+  // PDF report: inputs, the estimate and the rates it used
+  const getReport = () => ({
+    title: "JobSeeker Payment Calculator",
+    inputs: [
+      { label: "Relationship status", value: STATUS_LABELS[relationshipStatus] },
+      { label: "Dependent children", value: hasChildren ? "Yes" : "No" },
+      { label: "Homeowner", value: isHomeowner ? "Yes" : "No" },
+      ...(isHomeowner ? [] : [{ label: "Rent (per fortnight)", value: aud(Number(rentFortnight) || 0) }]),
+      { label: "Your gross income (per fortnight)", value: aud(Number(incomeFortnight) || 0) },
+      ...(isPartnered
+        ? [{ label: "Partner's gross income (per fortnight)", value: aud(Number(partnerIncomeFortnight) || 0) }]
+        : []),
+      { label: "Total assessable assets", value: aud(Number(assets) || 0) },
+    ],
+    results: [
+      { label: "Estimated fortnightly payment", value: aud(results.payment) },
+      { label: "Maximum rate (incl. Rent Assistance)", value: aud(results.maxPaymentTotal) },
+      { label: "Rent Assistance", value: aud(results.rentAssistance) },
+      { label: "Income reduction", value: `-${aud(results.incomeReduction)}` },
+      { label: "Assets limit for your situation", value: aud(results.assetLimit) },
+    ],
+    rules: [
+      { label: "Rates effective from", value: ratesFrom },
+      { label: "Rent Assistance rates effective from", value: formatEffectiveDate(rules.rentAssistance.effectiveFrom) },
+      { label: "Income free area (pf)", value: aud(js.incomeFreeAreaFt) },
+      { label: "Partner income free area (pf)", value: aud(js.partnerIncomeFreeAreaFt) },
+    ],
+    notes: [
+      results.isAssetIneligible
+        ? "Your assessable assets exceed the limit, so no payment is made."
+        : "Your principal home is exempt from the assets test.",
+      "Rent Assistance is part of the maximum rate, so the income test reduces it along with the basic rate.",
+      "Pharmaceutical Allowance and Remote Area Allowance are not included.",
+      ...(itemised
+        ? [
+            `Assets and income come from the itemised list below; income includes ${aud(
+              itemised.deemed.you + itemised.deemed.partner
+            )} per fortnight of deemed income on financial assets.`,
+          ]
+        : []),
+    ],
+    tables: itemised
+      ? [
+          {
+            title: "Itemised assets",
+            head: ["Asset", ...(hasPartner ? ["Owner"] : []), "Value", "Treatment"],
+            body: itemised.items.map((item) => [
+              ASSET_TYPES[item.type].label,
+              ...(hasPartner ? [item.owner] : []),
+              aud(item.value),
+              describeTreatment(item.parts, aud),
+            ]),
+          },
+        ]
+      : [],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "JobSeeker Payment Calculator",
+    inputs: schemaInputs(JOBSEEKER_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [{ ...results, ratesEffectiveFrom: js.effectiveFrom }],
+  });
 
   return (
     <>
@@ -195,13 +276,36 @@ export default function JobSeekerCalculator() {
               Use this calculator to estimate your fortnightly payment based on
               the income and assets tests.
             </p>
+            <p className="mt-2 text-[12px] text-blue-900/80">
+              Rates effective from <strong>{ratesFrom}</strong>.
+            </p>
           </PageIntro>
 
+          {notice && (
+            <PageIntro tone="amber" className="mt-4 no-print">
+              <p>{notice}</p>
+            </PageIntro>
+          )}
+
           {/* INPUTS */}
           <div className="mt-6">
-            <SectionCard title="Your Details">
+            <SectionCard
+              title="Your Details"
+              aside={
+                <button
+                  type="button"
+                  onClick={() => setItemising((v) => !v)}
+                  className="rounded-md border border-slate-300 bg-white px-2.5 py-1 text-xs font-semibold text-slate-800 hover:bg-slate-50"
+                >
+                  {itemising ? "Hide itemised entry" : "Itemise assets & income"}
+                </button>
+              }
+            >
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 text-sm text-slate-700">
                 
+                {/* Rules date */}
+                <RulesDateSelect value={rulesDate} onChange={setRulesDate} />
+
                 {/* Relationship Status */}
                 <label className="flex flex-col">
                   <span className="text-slate-600 font-medium mb-1">Relationship Status</span>
@@ -212,6 +316,7 @@ export default function JobSeekerCalculator() {
                   >
                     <option value="single">Single</option>
                     <option value="partnered">Partnered</option>
+                    <option value="separated">{STATUS_LABELS.separated}</option>
                   </select>
                 </label>
 
@@ -241,6 +346,20 @@ export default function JobSeekerCalculator() {
                   </select>
                 </label>
 
+                {/* Rent */}
+                {!isHomeowner && (
+                  <RentAssistanceField
+                    rent={rentFortnight}
+                    onRentChange={setRentFortnight}
+                    sharer={sharer}
+                    onSharerChange={setSharer}
+                    status={isPartnered ? "couple" : relationshipStatus}
+                    childCount={hasChildren ? 1 : 0}
+                    rules={rules}
+                    label={isPartnered ? "Rent (per fortnight, combined)" : "Rent (per fortnight)"}
+                  />
+                )}
+
                 {/* Income */}
                 <label className="flex flex-col">
                   <span className="text-slate-600 font-medium mb-1">
@@ -255,7 +374,7 @@ export default function JobSeekerCalculator() {
                 </label>
 
                 {/* Partner Income */}
-                {relationshipStatus === "partnered" && (
+                {isPartnered && (
                   <label className="flex flex-col">
                     <span className="text-slate-600 font-medium mb-1">
                       Partner&apos;s gross income (per fortnight)
@@ -281,6 +400,21 @@ export default function JobSeekerCalculator() {
                   />
                 </label>
               </div>
+
+              {itemising && (
+                <div className="mt-6 border-t border-slate-200 pt-5">
+                  <AssetItemiser
+                    couple={hasPartner}
+                    rulesDate={rulesDate}
+                    defaultPensionAge={{ you: false, partner: false }}
+                    onApply={applyItemised}
+                  />
+                  <p className="mt-2 text-[11px] text-slate-500">
+                    Using the totals sets your assessable assets, and adds deemed income on financial assets to each
+                    person’s income.
+                  </p>
+                </div>
+              )}
             </SectionCard>
           </div>
 
@@ -295,8 +429,9 @@ export default function JobSeekerCalculator() {
                   badgeTone={results.payment > 0 ? "positive" : "neutral"}
                 />
                 <SummaryCard
-                  label="Maximum Basic Rate + Energy Supp."
+                  label="Maximum Rate"
                   value={aud(results.maxPaymentTotal)}
+                  note={results.rentAssistance > 0 ? `Includes ${aud(results.rentAssistance)} Rent Assistance` : null}
                 />
                 <SummaryCard
                   label="Income Reduction"
@@ -322,19 +457,26 @@ export default function JobSeekerCalculator() {
                 </div>
               )}
 
-              <div className="mt-6 flex justify-end no-print">
-                <button
-                  type="button"
-                  onClick={() => window.print()}
-                  className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-                >
-                  <Printer className="h-4 w-4" />
-                  Download Calculation (PDF)
-                </button>
+              <div className="mt-6 flex justify-end gap-3 no-print">
+                <CopyLinkButton queryString={queryString} />
+                <DownloadReportButton getReport={getReport} queryString={queryString} />
               </div>
+              <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
             </SectionCard>
           </div>
 
+          {/* SAVED SCENARIOS */}
+          <div className="mt-8 no-print">
+            <ScenarioManager
+              calculatorId="jobseeker"
+              schema={JOBSEEKER_INPUTS}
+              inputs={inputs}
+              onLoad={setInputs}
+              compute={calculateJobSeekerForInputs}
+              metrics={SCENARIO_METRICS}
+            />
+          </div>
+
           {/* ASSUMPTIONS */}
           <div className="mt-8 printable-section">
             <SectionCard title="Assumptions & references">
@@ -342,7 +484,7 @@ export default function JobSeekerCalculator() {
                 <li>
                   <span className="text-slate-800 font-medium">
                     Rates & Thresholds:
-                  </span> The calculator uses rates and thresholds effective from 20 March 2026 to 19 September 2026. These values are subject to change and are for estimation purposes only.
+                  </span> The calculator uses rates and thresholds effective from {ratesFrom}. These values are subject to change and are for estimation purposes only.
                 </li>
                 <li>
                   <span className="text-slate-800 font-medium">
@@ -352,20 +494,25 @@ export default function JobSeekerCalculator() {
                 <li>
                   <span className="text-slate-800 font-medium">
                     Personal Income Test Tapers:
-                  </span> Your payment is reduced based on your fortnightly income. The calculator applies a reduction of 50 cents for each dollar between $150 and $256, and 60 cents for each dollar over $256.
+                  </span> Your payment is reduced based on your fortnightly income. The calculator applies a reduction of {Math.round(js.lowerTaper * 100)} cents for each dollar between {aud(js.incomeFreeAreaFt)} and {aud(js.lowerTaperLimitFt)}, and {Math.round(js.upperTaper * 100)} cents for each dollar over {aud(js.lowerTaperLimitFt)}.
                 </li>
                 <li>
                   <span className="text-slate-800 font-medium">
                     Partner Income Test:
-                  </span> If you are partnered, your payment is reduced by 60 cents for every dollar your partner earns over $1,415 per fortnight.
+                  </span> If you are partnered, your payment is reduced by {Math.round(js.partnerTaper * 100)} cents for every dollar your partner earns over {aud(js.partnerIncomeFreeAreaFt)} per fortnight. If you and your partner live apart because of illness, you are paid the single rate without the partner income test, but your combined assets are tested against the couple limit.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Rent Assistance:
+                  </span> Renters get {Math.round(rules.rentAssistance.taper * 100)}c for each dollar of rent over the threshold for their household, up to a maximum rate. It is added to the maximum rate before the income test. Parents are given the rates for one or two children; families getting Family Tax Benefit Part A are usually paid Rent Assistance with that instead.
                 </li>
                 <li>
                   <span className="text-slate-800 font-medium">
                     Exclusions:
                   </span>{" "}
                   This calculator does not include any other potential payments
-                  you may be eligible for, such as Rent Assistance,
-                  Pharmaceutical Allowance, or other supplements.
+                  you may be eligible for, such as Pharmaceutical Allowance or
+                  other supplements.
                 </li>
               </ul>
             </SectionCard>
@@ -374,10 +521,9 @@ export default function JobSeekerCalculator() {
           {/* DISCLAIMER */}
           <div className="mt-8 mb-12 text-[11px] text-slate-500 leading-snug no-print">
             <p>
-              This calculator provides an estimate only based on general JobSeeker Payment rates and thresholds (effective 20 March 2026 – 19 September 2026).
+              This calculator provides an estimate only based on general JobSeeker Payment rates and thresholds (effective from {ratesFrom}).
               It does not
-              account for Rent Assistance, Pharmaceutical Allowance, or Remote Area
-              Allowance. Actual payments are determined by Centrelink.
+              account for Pharmaceutical Allowance or Remote Area Allowance. Actual payments are determined by Centrelink.
             </p>
           </div>
         </div>
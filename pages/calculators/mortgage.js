@@ -1,5 +1,5 @@
 // pages/calculators/mortgage.js
-import { useMemo, useState, useCallback } from "react";
+import { useMemo, useState } from "react";
 import Head from "next/head";
 import SEO from "@/components/SEO";
 import CurrencyInput from "@/components/CurrencyInput";
@@ -10,7 +10,11 @@ import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
 import ChartTooltip from "@/components/ChartTooltip";
-import { Printer } from "lucide-react";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
 
 import {
   ResponsiveContainer,
@@ -23,206 +27,84 @@ import {
   Legend,
 } from "recharts";
 
-// Fixed-rate level payment per period
-function pmt(principal, annualRatePct, years, periodsPerYear) {
-  const r = (annualRatePct / 100) / periodsPerYear;
-  const n = years * periodsPerYear;
-  if (r === 0) return principal / n;
-  return (principal * r) / (1 - Math.pow(1 + r, -n));
-}
+import { calculateMortgage, MORTGAGE_INPUTS } from "@/lib/loan/mortgage";
+import { schemaInputs } from "@/lib/export";
+import { aud0 } from "@/utils/format";
+
+// Payoff time in years as "12y 4m"
+const fmtYears = (y) => `${Math.floor(y)}y ${Math.round((y % 1) * 12)}m`;
+
+// Headline figures and balance line for comparing saved scenarios
+const SCENARIO_METRICS = [
+  {
+    label: "Minimum repayments (per year)",
+    value: (r) => r.baseRepayment * r.periods,
+    format: aud0,
+    better: "lower",
+  },
+  {
+    label: "Payoff time (with extra)",
+    value: (r) => r.simExtra.periodsToZero / r.periods,
+    format: fmtYears,
+    better: "lower",
+  },
+  { label: "Total interest (with extra)", value: (r) => r.simExtra.totalInterest, format: aud0, better: "lower" },
+  { label: "Interest saved with extra", value: (r) => r.interestSaved, format: aud0, better: "higher" },
+];
+const SCENARIO_CHART = {
+  title: "Loan balance (with extra)",
+  series: (r) => r.simExtra.yearlyPoints.map((p) => ({ x: p.year, y: p.Balance })),
+  format: aud0,
+};
+
+// Spreadsheet export: input labels and the per-repayment schedule (with extra)
+const EXPORT_FIELDS = {
+  loanAmount: { label: "Loan amount", format: "currency" },
+  interest: "Interest rate (% p.a.)",
+  termYears: "Term (years)",
+  frequency: "Repayment frequency",
+  extra: { label: "Extra repayment (per repayment)", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "Period", format: "integer", value: (r) => r.period },
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "MinRepayment", format: "currency", value: (r) => r.minPayment },
+  { key: "ExtraRepayment", format: "currency", value: (r) => r.extraPayment },
+  { key: "TotalRepayment", format: "currency", value: (r) => r.repayment },
+  { key: "Interest", format: "currency", value: (r) => r.interest },
+  { key: "Principal", format: "currency", value: (r) => r.principal },
+  { key: "Balance", format: "currency", value: (r) => r.balance },
+];
 
 export default function MortgageCalculator() {
-  // Inputs
-  const [loanAmount, setLoanAmount] = useState(600000);
-  const [interest, setInterest] = useState(6.5); // % p.a.
-  const [termYears, setTermYears] = useState(30);
-  const [frequency, setFrequency] = useState("monthly"); // monthly, fortnightly, weekly
-  const [extra, setExtra] = useState(0); // extra repayment per chosen frequency
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(MORTGAGE_INPUTS);
+  const { loanAmount, interest, termYears, frequency, extra } = inputs;
+  const setLoanAmount = (v) => setInput("loanAmount", v);
+  const setInterest = (v) => setInput("interest", v); // % p.a.
+  const setTermYears = (v) => setInput("termYears", v);
+  const setFrequency = (v) => setInput("frequency", v); // monthly, fortnightly, weekly
+  const setExtra = (v) => setInput("extra", v); // extra repayment per chosen frequency
 
   // Table view toggle
   const [scheduleMode, setScheduleMode] = useState("annual"); // 'period' | 'annual'
 
-  const periods =
-    frequency === "weekly" ? 52 : frequency === "fortnightly" ? 26 : 12;
-  const principal = Number(loanAmount) || 0;
-
-  // Base scheduled repayment
-  const baseRepayment = useMemo(
-    () =>
-      Math.round(
-        pmt(
-          principal,
-          Number(interest) || 0,
-          Number(termYears) || 0,
-          periods
-        )
-      ),
-    [principal, interest, termYears, periods]
-  );
-
-  // Core simulation (returns totals, schedule rows, yearly chart points)
-  const simulate = useCallback((extraPerPeriod) => {
-    const r = (Number(interest) || 0) / 100 / periods;
-    let bal = principal;
-    const base = baseRepayment;
-    const payScheduled = Math.max(0, base + (Number(extraPerPeriod) || 0));
-
-    if (bal <= 0)
-      return {
-        ok: true,
-        periodsToZero: 0,
-        totalInterest: 0,
-        totalPaid: 0,
-        rows: [],
-        yearlyPoints: [],
-      };
-
-    if (payScheduled <= bal * r)
-      return {
-        ok: false,
-        never: true,
-        message:
-          "Repayment is less than interest each period — loan will not amortise.",
-        periodsToZero: Infinity,
-        totalInterest: Infinity,
-        totalPaid: Infinity,
-        rows: [],
-        yearlyPoints: [],
-      };
-
-    let totalInterest = 0;
-    let totalPaid = 0;
-    const rows = [];
-    const yearlyPoints = [];
-    let cumulativeInterest = 0;
-    let k = 0;
-    const maxSteps = termYears * periods * 2;
-
-    while (bal > 0 && k < maxSteps) {
-      const interestPortion = bal * r;
-      const principalPortion = Math.min(payScheduled - interestPortion, bal);
-      const payActual = Math.max(0, interestPortion + principalPortion);
-
-      const minPaid = Math.min(base, payActual);
-      const extraPaid = Math.max(0, payActual - minPaid);
-
-      const endBal = Math.max(0, bal - principalPortion);
-
-      totalInterest += interestPortion;
-      totalPaid += payActual;
-      cumulativeInterest += interestPortion;
-
-      rows.push({
-        period: k + 1,
-        minPayment: Math.round(minPaid),
-        extraPayment: Math.round(extraPaid),
-        repayment: Math.round(payActual),
-        interest: Math.round(interestPortion),
-        principal: Math.round(principalPortion),
-        balance: Math.round(endBal),
-      });
-
-      if ((k + 1) % periods === 0 || endBal === 0) {
-        const year = Math.ceil((k + 1) / periods);
-        yearlyPoints.push({
-          year,
-          Balance: Math.round(endBal),
-          "Cumulative Interest": Math.round(cumulativeInterest),
-        });
-      }
-
-      bal = endBal;
-      k++;
-    }
-
-    return {
-      ok: true,
-      periodsToZero: k,
-      totalInterest: Math.round(totalInterest),
-      totalPaid: Math.round(totalPaid),
-      rows,
-      yearlyPoints,
-    };
-  }, [principal, interest, periods, termYears, baseRepayment]);
-
-  // Baseline (no extra) vs With extra
-  const simBase = useMemo(
-    () => simulate(0),
-    [simulate]
+  // Minimum vs minimum + extra, from the shared mortgage calculation
+  const result = useMemo(
+    () => calculateMortgage({ loanAmount, interest, termYears, frequency, extra }),
+    [loanAmount, interest, termYears, frequency, extra]
   );
-  const simExtra = useMemo(
-    () => simulate(Number(extra) || 0),
-    [simulate, extra]
-  );
-
-  // Payoff durations
-  const payoff = (periodsToZero) => {
-    if (!isFinite(periodsToZero)) return null;
-    const yrs = periodsToZero / periods;
-    return {
-      years: Math.floor(yrs),
-      months: Math.round((yrs - Math.floor(yrs)) * 12),
-    };
-  };
-  const payoffBase = payoff(simBase.periodsToZero);
-  const payoffWithExtra = payoff(simExtra.periodsToZero);
-
-  // Savings
-  const interestSaved =
-    isFinite(simBase.totalInterest) && isFinite(simExtra.totalInterest)
-      ? Math.max(0, simBase.totalInterest - simExtra.totalInterest)
-      : null;
-  const monthsSaved =
-    isFinite(simBase.periodsToZero) && isFinite(simExtra.periodsToZero)
-      ? Math.max(0, simBase.periodsToZero - simExtra.periodsToZero)
-      : null;
-  const timeSaved =
-    monthsSaved != null
-      ? {
-          years: Math.floor(monthsSaved / periods),
-          months: Math.round(((monthsSaved / periods) % 1) * 12),
-        }
-      : null;
-
-  // Chart data merging both
-  const chartData = useMemo(() => {
-    const byYear = new Map();
-    simBase.yearlyPoints.forEach((p) =>
-      byYear.set(p.year, { year: p.year, BalanceBase: p.Balance })
-    );
-    simExtra.yearlyPoints.forEach((p) => {
-      const prev = byYear.get(p.year) || { year: p.year };
-      byYear.set(p.year, { ...prev, BalanceExtra: p.Balance });
-    });
-    return Array.from(byYear.values()).sort((a, b) => a.year - b.year);
-  }, [simBase.yearlyPoints, simExtra.yearlyPoints]);
-
-  // Annualised schedule (with extra)
-  const annualRows = useMemo(() => {
-    const rows = simExtra.rows;
-    if (!rows?.length) return [];
-    const byYear = new Map();
-    for (const r of rows) {
-      const y = Math.ceil(r.period / periods);
-      const agg = byYear.get(y) || {
-        year: y,
-        minPayment: 0,
-        extraPayment: 0,
-        repayment: 0,
-        interest: 0,
-        principal: 0,
-        balance: r.balance,
-      };
-      agg.minPayment += r.minPayment;
-      agg.extraPayment += r.extraPayment;
-      agg.repayment += r.repayment;
-      agg.interest += r.interest;
-      agg.principal += r.principal;
-      agg.balance = r.balance;
-      byYear.set(y, agg);
-    }
-    return Array.from(byYear.values()).sort((a, b) => a.year - b.year);
-  }, [simExtra.rows, periods]);
+  const {
+    baseRepayment,
+    simBase,
+    simExtra,
+    payoffBase,
+    payoffWithExtra,
+    interestSaved,
+    timeSaved,
+    chartData,
+    annualRows,
+  } = result;
 
   // Formatters
   const fmt = (n) =>
@@ -234,6 +116,61 @@ export default function MortgageCalculator() {
         })
       : "N/A";
 
+  // PDF report: inputs, the headline figures and the schedule by year
+  const getReport = () => ({
+    title: "Mortgage Repayment Calculator",
+    inputs: [
+      { label: "Loan amount", value: fmt(Number(loanAmount) || 0) },
+      { label: "Interest rate", value: `${interest}% p.a.` },
+      { label: "Term", value: `${termYears} years` },
+      { label: "Repayment frequency", value: frequency.charAt(0).toUpperCase() + frequency.slice(1) },
+      { label: `Extra repayment (${frequency})`, value: fmt(Number(extra) || 0) },
+    ],
+    results: [
+      { label: `Minimum repayment (${frequency})`, value: fmt(baseRepayment) },
+      { label: `With extra (${frequency})`, value: fmt(baseRepayment + (Number(extra) || 0)) },
+      {
+        label: "Payoff time (min only)",
+        value: payoffBase ? `${payoffBase.years}y ${payoffBase.months}m` : "N/A",
+      },
+      {
+        label: "Payoff time (with extra)",
+        value: payoffWithExtra ? `${payoffWithExtra.years}y ${payoffWithExtra.months}m` : "N/A",
+      },
+      { label: "Total interest (min only)", value: fmt(simBase.totalInterest) },
+      { label: "Total interest (with extra)", value: fmt(simExtra.totalInterest) },
+      { label: "Interest saved with extra", value: interestSaved != null ? fmt(interestSaved) : "—" },
+      { label: "Time saved with extra", value: timeSaved ? `${timeSaved.years}y ${timeSaved.months}m` : "—" },
+    ],
+    tables: [
+      {
+        title: "Amortisation schedule (with extra, by year)",
+        head: ["Year", "Min repayments", "Extra repayments", "Total repaid", "Interest", "Principal", "Balance"],
+        body: annualRows.map((r) => [
+          r.year,
+          fmt(r.minPayment),
+          fmt(r.extraPayment),
+          fmt(r.repayment),
+          fmt(r.interest),
+          fmt(r.principal),
+          fmt(r.balance),
+        ]),
+      },
+    ],
+    notes: [
+      "Assumes a constant interest rate and repayment frequency for the life of the loan.",
+      "The final repayment may be lower than the usual amount.",
+    ],
+  });
+
+  // Spreadsheet export: every repayment, tagged with its loan year
+  const getExport = () => ({
+    title: "Mortgage Repayment Calculator",
+    inputs: schemaInputs(MORTGAGE_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows: simExtra.rows.map((r) => ({ ...r, year: Math.ceil(r.period / result.periods) })),
+  });
+
   // SEO constants for this page
   const pageUrl = "https://fintoolbox.com.au/calculators/mortgage";
   const pageTitle = "Mortgage Repayment Calculator (Australia)";
@@ -337,6 +274,12 @@ export default function MortgageCalculator() {
           </p>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <div className="no-print">
           <SubtleCtaLink className="mt-3" href="/blog/mortgage-repayment-calculator-australia">
             Need help with calculating mortgage payments? Read the explainer →
@@ -463,15 +406,9 @@ export default function MortgageCalculator() {
                 }
               />
             </SummaryGrid>
-            <div className="mt-6 flex justify-end no-print">
-              <button
-                type="button"
-                onClick={() => window.print()}
-                className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-              >
-                <Printer className="h-4 w-4" />
-                Download Calculation (PDF)
-              </button>
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
             </div>
           </SectionCard>
         </div>
@@ -483,7 +420,7 @@ export default function MortgageCalculator() {
               Remaining balance at the end of each year under minimum repayments vs. with your extra amount.
             </p>
 
-            <div className="w-full h-72">
+            <div data-report-chart="Balance projection" className="w-full h-72">
               <ResponsiveContainer>
                 <AreaChart data={chartData} margin={{ top: 10, right: 20, bottom: 0, left: -10 }}>
                   <defs>
@@ -643,9 +580,24 @@ export default function MortgageCalculator() {
               Minimum = scheduled payment without extra; Extra = the additional amount you chose.
               Final period may be lower than the usual payment. Assumes constant rate/frequency.
             </p>
+
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
           </SectionCard>
         </div>
 
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="mortgage"
+            schema={MORTGAGE_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateMortgage}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
         {/* Footer disclaimer (house style) */}
         <div className="max-w-5xl mx-auto mt-12 mb-12 text-[11px] text-slate-500 leading-snug no-print">
           <p>
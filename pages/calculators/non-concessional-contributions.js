@@ -0,0 +1,586 @@
+// pages/calculators/non-concessional-contributions.js
+import { useMemo } from "react";
+import Head from "next/head";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import SectionCard from "@/components/SectionCard";
+import PageIntro from "@/components/PageIntro";
+import SubtleCtaLink from "@/components/SubtleCtaLink";
+import SummaryGrid from "@/components/SummaryGrid";
+import SummaryCard from "@/components/SummaryCard";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { fyLabel } from "@/lib/tax";
+import { encodeUrlState } from "@/lib/urlState";
+import {
+  calculateNonConcessional,
+  ASSOCIATED_EARNINGS_RATE,
+  EXCESS_NCC_TAX_RATE,
+  NON_CONCESSIONAL_INPUTS,
+  RELEASED_EARNINGS_SHARE,
+} from "@/lib/super/nonConcessional";
+import { BRING_FORWARD_AGE_LIMIT, NON_CONCESSIONAL_CAP_MULTIPLE } from "@/lib/super/contributions";
+import { SALARY_SACRIFICE_INPUTS } from "@/lib/super/salarySacrifice";
+import { schemaInputs } from "@/lib/export";
+
+// Currency formatting
+function aud0(n) {
+  if (!isFinite(n)) return "$0";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+const PRIOR_PERIOD_LABELS = {
+  0: "No",
+  1: "Yes, last financial year",
+  2: "Yes, two financial years ago",
+};
+
+// The bring-forward period these contributions fall in, if any
+const periodOf = (r) => r.openPeriod || r.newPeriod;
+
+function periodSummary(r) {
+  const period = periodOf(r);
+  if (!period) return "Not triggered";
+  return `${period.years}-year period, ${fyLabel(period.startFy)} to ${fyLabel(period.endFy)}`;
+}
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Non-concessional cap this year", value: (r) => r.capThisYear, format: aud0, better: "higher" },
+  { label: "Contributions counted", value: (r) => r.contributions, format: aud0 },
+  { label: "Room left this year", value: (r) => r.remainingThisYear, format: aud0, better: "higher" },
+  { label: "Excess contributions", value: (r) => r.excess, format: aud0, better: "lower" },
+];
+
+// Spreadsheet export: input labels and the result as one row
+const EXPORT_FIELDS = {
+  fy: "Financial year",
+  age: "Age at 1 July",
+  totalSuperBalance: { label: "Total super balance at 30 June last year", format: "currency" },
+  plannedContribution: { label: "Planned non-concessional contributions", format: "currency" },
+  excessConcessional: { label: "Excess concessional contributions", format: "currency" },
+  taxableIncome: { label: "Taxable income", format: "currency" },
+  priorPeriodStartedYearsAgo: "Bring-forward period started (years ago, 0 = none)",
+  priorPeriodYears: "Earlier bring-forward period length (years)",
+  priorPeriodContributed: { label: "Contributed earlier in the period", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "AnnualCap", format: "currency", value: (r) => r.annualCap },
+  { key: "TransferBalanceCap", format: "currency", value: (r) => r.transferBalanceCap },
+  { key: "BringForwardYears", format: "integer", value: (r) => r.bringForward.years },
+  { key: "CapThisYear", format: "currency", value: (r) => r.capThisYear },
+  { key: "Contributions", format: "currency", value: (r) => r.contributions },
+  { key: "RemainingThisYear", format: "currency", value: (r) => r.remainingThisYear },
+  { key: "BringForwardPeriod", format: "text", value: periodSummary },
+  { key: "PeriodRemainingAfter", format: "currency", value: (r) => periodOf(r)?.remainingAfter ?? null },
+  { key: "Excess", format: "currency", value: (r) => r.excess },
+  { key: "ReleasedAmount", format: "currency", value: (r) => r.consequences?.released ?? 0 },
+  { key: "TaxOnAssociatedEarnings", format: "currency", value: (r) => r.consequences?.taxOnEarnings ?? 0 },
+  { key: "TaxIfRetained", format: "currency", value: (r) => r.consequences?.retainedTax ?? 0 },
+];
+
+export default function NonConcessionalContributionsCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(NON_CONCESSIONAL_INPUTS);
+  const {
+    fy,
+    age,
+    totalSuperBalance,
+    plannedContribution,
+    excessConcessional,
+    taxableIncome,
+    priorPeriodStartedYearsAgo,
+    priorPeriodYears,
+    priorPeriodContributed,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setFy = setter("fy");
+  const setTotalSuperBalance = setter("totalSuperBalance");
+  const setPlannedContribution = setter("plannedContribution");
+  const setExcessConcessional = setter("excessConcessional");
+  const setTaxableIncome = setter("taxableIncome");
+  const setPriorPeriodContributed = setter("priorPeriodContributed");
+  const numberSetter = (name) => (e) => setInput(name, e.target.value === "" ? "" : Number(e.target.value));
+
+  const results = useMemo(() => calculateNonConcessional(inputs), [inputs]);
+  const {
+    annualCap,
+    transferBalanceCap,
+    ageEligible,
+    balanceEligible,
+    bringForward,
+    openPeriod,
+    newPeriod,
+    capThisYear,
+    contributions,
+    remainingThisYear,
+    excess,
+    consequences,
+  } = results;
+  const period = periodOf(results);
+  const hasPriorPeriod = Number(priorPeriodStartedYearsAgo) > 0;
+
+  // The salary sacrifice page with this year, balance and income carried over
+  const salarySacrificeHref = `/calculators/salary-sacrifice?${encodeUrlState(
+    { fy, taxableIncomeBeforeSacrifice: taxableIncome, currentSuperBalance: totalSuperBalance },
+    SALARY_SACRIFICE_INPUTS
+  )}`;
+
+  const capNote = !ageEligible
+    ? `Not available from age ${BRING_FORWARD_AGE_LIMIT}`
+    : !balanceEligible
+      ? `Balance at or over the ${aud0(transferBalanceCap)} transfer balance cap`
+      : openPeriod
+        ? `Left in the period started ${fyLabel(openPeriod.startFy)}`
+        : bringForward.years > 1
+          ? `${aud0(annualCap)} a year, ${bringForward.years} years brought forward`
+          : `${aud0(annualCap)} annual cap, no bring-forward`;
+
+  // PDF report: inputs, the cap position and any excess
+  const getReport = () => ({
+    title: "Non-Concessional Contributions Calculator",
+    inputs: [
+      { label: "Financial year", value: fyLabel(fy) },
+      { label: "Age at 1 July", value: String(age) },
+      { label: "Total super balance at 30 June last year", value: aud0(Number(totalSuperBalance) || 0) },
+      { label: "Planned non-concessional contributions", value: aud0(Number(plannedContribution) || 0) },
+      { label: "Excess concessional contributions", value: aud0(Number(excessConcessional) || 0) },
+      { label: "Taxable income", value: aud0(Number(taxableIncome) || 0) },
+      { label: "Bring-forward period already started", value: PRIOR_PERIOD_LABELS[priorPeriodStartedYearsAgo] },
+      ...(hasPriorPeriod
+        ? [
+            { label: "Earlier period length", value: `${priorPeriodYears} years` },
+            { label: "Contributed earlier in the period", value: aud0(Number(priorPeriodContributed) || 0) },
+          ]
+        : []),
+    ],
+    results: [
+      { label: "Non-concessional cap this year", value: aud0(capThisYear) },
+      { label: "Contributions counted", value: aud0(contributions) },
+      { label: "Room left this year", value: aud0(remainingThisYear) },
+      { label: "Bring-forward period", value: periodSummary(results) },
+      ...(period ? [{ label: "Left in the period after this year", value: aud0(period.remainingAfter) }] : []),
+      { label: "Excess contributions", value: aud0(excess) },
+      ...(consequences
+        ? [
+            { label: "Released if you elect to withdraw", value: aud0(consequences.released) },
+            { label: "Tax on associated earnings", value: aud0(consequences.taxOnEarnings) },
+            { label: "Tax if left in super", value: aud0(consequences.retainedTax) },
+          ]
+        : []),
+    ],
+    rules: [
+      { label: `Annual non-concessional cap (${fyLabel(fy)})`, value: aud0(annualCap) },
+      { label: "General transfer balance cap", value: aud0(transferBalanceCap) },
+      ...bringForward.limits.map((l) => ({
+        label: `${l.years}-year cap (${aud0(annualCap * l.years)})`,
+        value: `Balance under ${aud0(l.below)}`,
+      })),
+    ],
+    notes: [
+      `Bring-forward is only available to people under ${BRING_FORWARD_AGE_LIMIT} on 1 July of the first year.`,
+      `Associated earnings are estimated at ${ASSOCIATED_EARNINGS_RATE * 100}% a year on the excess for a full year.`,
+      "Downsizer contributions and the CGT small business cap are not included.",
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Non-Concessional Contributions Calculator",
+    inputs: schemaInputs(NON_CONCESSIONAL_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [results],
+  });
+
+  return (
+    <>
+      <Head>
+        <title>Non-Concessional Contributions Calculator | FinToolbox</title>
+        <meta
+          name="description"
+          content="Work out your non-concessional (after-tax) super contributions cap, whether you can bring forward two or three years, and what happens if you go over."
+        />
+        <link
+          rel="canonical"
+          href="https://fintoolbox.com.au/calculators/non-concessional-contributions"
+        />
+        <style>{`
+          @media print {
+            @page {
+              margin: 1.5cm;
+              size: A4;
+            }
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+              background: white !important;
+              font-size: 11pt;
+            }
+            .no-print {
+              display: none !important;
+            }
+            .printable-section {
+              display: block !important;
+              page-break-inside: avoid;
+              width: 100% !important;
+              margin-bottom: 1.5rem !important;
+            }
+            header {
+              border-bottom: 2px solid #000 !important;
+              padding-bottom: 1rem !important;
+              margin-bottom: 2rem !important;
+            }
+            .grid {
+              display: block !important;
+            }
+            .grid > div {
+              border: 1px solid #e2e8f0 !important;
+              margin-bottom: 0.5rem !important;
+              page-break-inside: avoid;
+            }
+          }
+        `}</style>
+      </Head>
+
+      <div className="hidden print:flex justify-between items-center mb-6 text-slate-500 text-[10px] border-b pb-2 px-4 max-w-5xl mx-auto">
+        <span>fintoolbox.com.au</span>
+        <span>Calculation Date: {new Date().toLocaleDateString('en-AU')}</span>
+      </div>
+
+      {/* Header */}
+      <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200">
+        <h1 className="text-2xl font-bold text-slate-900">
+          Non-Concessional Contributions Calculator
+        </h1>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 mt-4">
+        {/* Intro */}
+        <PageIntro tone="blue" className="no-print">
+          <div className="space-y-2">
+            <p>
+              <span className="font-semibold">Non-concessional contributions</span>{" "}
+              are after-tax amounts you put into super, such as personal
+              contributions you don&apos;t claim a deduction for. They are capped
+              at {aud0(annualCap)} a year in {fyLabel(fy)}, and if you&apos;re
+              under {BRING_FORWARD_AGE_LIMIT} you may be able to bring forward up
+              to two more years&apos; caps.
+            </p>
+            <p>
+              Use this calculator to see your cap this year, whether a
+              contribution starts a bring-forward period, how much is left in a
+              period you&apos;ve already started, and what happens if you go over.
+            </p>
+          </div>
+        </PageIntro>
+
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
+        <div className="no-print">
+          <SubtleCtaLink className="mt-3" href={salarySacrificeHref}>
+            Planning before-tax contributions too? Open the salary sacrifice calculator →
+          </SubtleCtaLink>
+        </div>
+
+        {/* INPUT CARD */}
+        <div className="mt-6 no-print">
+          <SectionCard title="Your details">
+            <div className="space-y-6 text-sm text-slate-700">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <FinancialYearSelect value={fy} onChange={setFy} />
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Age at 1 July
+                    <Tooltip text={`Bring-forward is available if you're under ${BRING_FORWARD_AGE_LIMIT} on 1 July of the year you trigger it.`} />
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    className="border rounded px-2 py-1"
+                    value={age}
+                    onChange={numberSetter("age")}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Total super balance at 30 June last year ($)
+                    <Tooltip text="All your super accounts, including any in pension phase. Your fund or myGov shows this figure." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={totalSuperBalance}
+                    onChange={(v) => setTotalSuperBalance(Number(v))}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Planned non-concessional contributions ($)
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={plannedContribution}
+                    onChange={(v) => setPlannedContribution(Number(v))}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Excess concessional contributions ($)
+                    <Tooltip text="Concessional contributions over your cap that you don't have released count towards this cap as well." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={excessConcessional}
+                    onChange={(v) => setExcessConcessional(Number(v))}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Taxable income ($)
+                    <Tooltip text="Used to work out tax on the associated earnings if excess contributions are released." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={taxableIncome}
+                    onChange={(v) => setTaxableIncome(Number(v))}
+                  />
+                </label>
+              </div>
+
+              {/* Earlier bring-forward period */}
+              <div className="border-t border-slate-100 pt-4">
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Earlier bring-forward period
+                  <Tooltip text="Once triggered, a bring-forward period runs for two or three years and its cap isn't indexed." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  <label className="flex flex-col">
+                    <span className="text-slate-600">Already started one?</span>
+                    <select
+                      className="border rounded px-2 py-1 bg-white"
+                      value={priorPeriodStartedYearsAgo}
+                      onChange={numberSetter("priorPeriodStartedYearsAgo")}
+                    >
+                      {Object.entries(PRIOR_PERIOD_LABELS).map(([k, label]) => (
+                        <option key={k} value={k}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  {hasPriorPeriod && (
+                    <>
+                      <label className="flex flex-col">
+                        <span className="text-slate-600">Period length</span>
+                        <select
+                          className="border rounded px-2 py-1 bg-white"
+                          value={priorPeriodYears}
+                          onChange={numberSetter("priorPeriodYears")}
+                        >
+                          <option value={2}>2 years</option>
+                          <option value={3}>3 years</option>
+                        </select>
+                      </label>
+
+                      <label className="flex flex-col">
+                        <span className="text-slate-600">Contributed in the period so far ($)</span>
+                        <CurrencyInput
+                          className="w-full"
+                          value={priorPeriodContributed}
+                          onChange={(v) => setPriorPeriodContributed(Number(v))}
+                        />
+                      </label>
+                    </>
+                  )}
+                </div>
+                {hasPriorPeriod && !openPeriod && (
+                  <p className="mt-2 text-[11px] text-slate-500">
+                    That period has finished, so this year starts afresh.
+                  </p>
+                )}
+              </div>
+            </div>
+          </SectionCard>
+        </div>
+
+        {/* RESULTS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="Results">
+            <SummaryGrid>
+              <SummaryCard label="Non-concessional cap this year" value={aud0(capThisYear)} note={capNote} />
+              <SummaryCard
+                label="Contributions counted"
+                value={aud0(contributions)}
+                note={Number(excessConcessional) > 0 ? `Includes ${aud0(Number(excessConcessional))} excess concessional` : null}
+              />
+              <SummaryCard
+                label="Room left this year"
+                value={aud0(remainingThisYear)}
+                note={!period && bringForward.years > 1 && remainingThisYear > 0 ? "Including bring-forward" : null}
+              />
+              <SummaryCard
+                label="Bring-forward period"
+                value={period ? `${period.years} years` : "None"}
+                note={
+                  period
+                    ? `${fyLabel(period.startFy)} to ${fyLabel(period.endFy)}, ${aud0(period.remainingAfter)} left after this year`
+                    : bringForward.years > 1 && capThisYear > 0
+                      ? `Over ${aud0(annualCap)} would start a ${bringForward.years}-year period`
+                      : null
+                }
+                badgeText={newPeriod ? "Triggered this year" : openPeriod ? "Open" : null}
+                badgeTone="neutral"
+              />
+              <SummaryCard
+                label="Excess contributions"
+                value={aud0(excess)}
+                badgeText={excess > 0 ? "Over the cap" : "Within the cap"}
+                badgeTone={excess > 0 ? "negative" : "positive"}
+              />
+            </SummaryGrid>
+
+            {consequences && (
+              <div className="mt-4 p-4 bg-red-50 border border-red-100 rounded-md text-sm text-red-800 space-y-2">
+                <p>
+                  <strong>Over the cap by {aud0(excess)}.</strong> The ATO will
+                  give you a choice:
+                </p>
+                <ul className="list-disc pl-5 space-y-1">
+                  <li>
+                    <strong>Release the excess:</strong> {aud0(consequences.released)} is
+                    paid out of super (the excess plus {RELEASED_EARNINGS_SHARE * 100}% of
+                    about {aud0(consequences.associatedEarnings)} of associated earnings).
+                    The earnings are taxed at your marginal rate less a 15% offset: about{" "}
+                    {aud0(consequences.taxOnEarnings)}.
+                  </li>
+                  <li>
+                    <strong>Leave it in super:</strong> the excess is taxed at{" "}
+                    {EXCESS_NCC_TAX_RATE * 100}%, which is {aud0(consequences.retainedTax)}.
+                  </li>
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
+            </div>
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
+          </SectionCard>
+        </div>
+
+        {/* BRING-FORWARD LIMITS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title={`Bring-forward limits for ${fyLabel(fy)}`}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm text-slate-700">
+                <thead className="text-left text-slate-600">
+                  <tr>
+                    <th className="py-1 pr-3 font-medium">Total super balance at 30 June last year</th>
+                    <th className="py-1 pr-3 font-medium">Years available</th>
+                    <th className="py-1 font-medium text-right">Cap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bringForward.limits.map((l, i) => {
+                    const from = bringForward.limits[i - 1]?.below ?? 0;
+                    const current = balanceEligible && bringForward.years === l.years;
+                    return (
+                      <tr key={l.years} className={`border-t border-slate-100 ${current ? "bg-blue-50 font-medium" : ""}`}>
+                        <td className="py-2 pr-3">
+                          {from > 0 ? `${aud0(from)} to under ${aud0(l.below)}` : `Under ${aud0(l.below)}`}
+                        </td>
+                        <td className="py-2 pr-3">{l.years === 1 ? "1 (no bring-forward)" : l.years}</td>
+                        <td className="py-2 text-right">{aud0(annualCap * l.years)}</td>
+                      </tr>
+                    );
+                  })}
+                  <tr className={`border-t border-slate-100 ${!balanceEligible ? "bg-blue-50 font-medium" : ""}`}>
+                    <td className="py-2 pr-3">{aud0(transferBalanceCap)} or more</td>
+                    <td className="py-2 pr-3">0</td>
+                    <td className="py-2 text-right">{aud0(0)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </SectionCard>
+        </div>
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="non-concessional-contributions"
+            schema={NON_CONCESSIONAL_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateNonConcessional}
+            metrics={SCENARIO_METRICS}
+          />
+        </div>
+
+        {/* ASSUMPTIONS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="How this calculator works">
+            <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
+              <li>
+                <span className="text-slate-800 font-medium">Caps:</span> The
+                annual non-concessional cap is {NON_CONCESSIONAL_CAP_MULTIPLE} times
+                the concessional cap. No non-concessional contributions can be made
+                once your total super balance at the previous 30 June reaches the
+                general transfer balance cap ({aud0(transferBalanceCap)} in {fyLabel(fy)}).
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Bring-forward:</span>{" "}
+                Contributing more than the annual cap in a year starts a two- or
+                three-year period, depending on your balance, if you&apos;re under{" "}
+                {BRING_FORWARD_AGE_LIMIT} on 1 July. The period&apos;s cap is set
+                in its first year and isn&apos;t indexed; in later years of the
+                period the transfer balance cap test still applies.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Excess contributions:</span>{" "}
+                Associated earnings are estimated at {ASSOCIATED_EARNINGS_RATE * 100}% a
+                year (about the general interest charge rate) for a full year. The
+                ATO works them out from 1 July of the year of the contribution to
+                the date of its determination.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Not included:</span>{" "}
+                Downsizer contributions, the CGT small business cap and spouse
+                contribution rules.
+              </li>
+            </ul>
+          </SectionCard>
+        </div>
+      </div>
+
+      {/* Disclaimer */}
+      <div className="max-w-5xl mx-auto px-4 mt-12 mb-12 text-[11px] text-slate-500 leading-snug no-print">
+        <p>
+          This calculator is general information only. It does not consider your
+          personal objectives, financial situation, or needs, and it uses
+          simplified super rules and assumptions.
+        </p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,489 @@
+// pages/calculators/parenting-payment.js
+import { useMemo } from "react";
+import Head from "next/head";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import SectionCard from "@/components/SectionCard";
+import PageIntro from "@/components/PageIntro";
+import SummaryGrid from "@/components/SummaryGrid";
+import SummaryCard from "@/components/SummaryCard";
+import RulesDateSelect from "@/components/RulesDateSelect";
+import RentAssistanceField from "@/components/RentAssistanceField";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import {
+  getCentrelinkRules,
+  formatEffectiveDate,
+} from "@/lib/centrelink";
+import {
+  calculateParentingPayment,
+  calculateParentingPaymentForInputs,
+  PARENTING_PAYMENT_INPUTS,
+} from "@/lib/centrelink/parentingPayment";
+import { schemaInputs } from "@/lib/export";
+
+// Helper for currency formatting
+function aud(n) {
+  if (!isFinite(n)) return "$0.00";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+const STATUS_LABELS = {
+  single: "Single (Parenting Payment Single)",
+  partnered: "Partnered (Parenting Payment Partnered)",
+};
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Estimated fortnightly payment", value: (r) => r.payment, format: aud, better: "higher" },
+  { label: "Maximum rate incl. Rent Assistance", value: (r) => r.maxPaymentTotal, format: aud },
+  { label: "Rent Assistance", value: (r) => r.rentAssistance, format: aud },
+  { label: "Income reduction", value: (r) => r.incomeReduction, format: aud, better: "lower" },
+];
+
+// Spreadsheet export: input labels and the estimate as one row
+const EXPORT_FIELDS = {
+  rulesDate: "Rates date",
+  relationshipStatus: "Relationship status",
+  children: "Children",
+  youngestAge: "Youngest child's age",
+  isHomeowner: "Homeowner",
+  rentFortnight: { label: "Rent (pf)", format: "cents" },
+  incomeFortnight: { label: "Your gross income (pf)", format: "cents" },
+  partnerIncomeFortnight: { label: "Partner's gross income (pf)", format: "cents" },
+  assets: { label: "Total assessable assets", format: "currency" },
+};
+const EXPORT_COLUMNS = [
+  { key: "PaymentFt", format: "cents", value: (r) => r.payment },
+  { key: "MaxPaymentFt", format: "cents", value: (r) => r.maxPaymentTotal },
+  { key: "RentAssistanceFt", format: "cents", value: (r) => r.rentAssistance },
+  { key: "IncomeFreeAreaFt", format: "cents", value: (r) => r.incomeFreeArea },
+  { key: "IncomeReductionFt", format: "cents", value: (r) => r.incomeReduction },
+  { key: "AssetLimit", format: "currency", value: (r) => r.assetLimit },
+  { key: "AssetIneligible", format: "boolean", value: (r) => r.isAssetIneligible },
+  { key: "YoungestTooOld", format: "boolean", value: (r) => r.isAgeIneligible },
+  { key: "RatesEffectiveFrom", format: "text", value: (r) => r.ratesEffectiveFrom },
+];
+
+export default function ParentingPaymentCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(PARENTING_PAYMENT_INPUTS);
+  const {
+    rulesDate,
+    relationshipStatus, // 'single' | 'partnered'
+    children,
+    youngestAge,
+    isHomeowner,
+    rentFortnight,
+    incomeFortnight,
+    partnerIncomeFortnight,
+    assets,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setRulesDate = setter("rulesDate");
+  const setRentFortnight = setter("rentFortnight");
+  const setIncomeFortnight = setter("incomeFortnight");
+  const setPartnerIncomeFortnight = setter("partnerIncomeFortnight");
+  const setAssets = setter("assets");
+  const numberSetter = (name) => (e) => setInput(name, e.target.value === "" ? "" : Number(e.target.value));
+
+  // Rates & thresholds (shared Centrelink rules store)
+  const rules = useMemo(() => getCentrelinkRules(rulesDate), [rulesDate]);
+  const pp = rules.parentingPayment;
+  const ratesFrom = formatEffectiveDate(pp.effectiveFrom);
+  const isPartnered = relationshipStatus === "partnered";
+
+  // --- CALCULATION ---
+  const results = useMemo(
+    () =>
+      calculateParentingPayment(
+        {
+          relationshipStatus,
+          children,
+          youngestAge,
+          isHomeowner,
+          rentFortnight,
+          incomeFortnight,
+          partnerIncomeFortnight,
+          assets,
+        },
+        rules
+      ),
+    [rules, relationshipStatus, children, youngestAge, isHomeowner, rentFortnight, incomeFortnight, partnerIncomeFortnight, assets]
+  );
+
+  // PDF report: inputs, the estimate and the rates it used
+  const getReport = () => ({
+    title: "Parenting Payment Calculator",
+    inputs: [
+      { label: "Relationship status", value: STATUS_LABELS[relationshipStatus] },
+      { label: "Children", value: String(children) },
+      { label: "Youngest child's age", value: String(youngestAge) },
+      { label: "Homeowner", value: isHomeowner ? "Yes" : "No" },
+      ...(isHomeowner ? [] : [{ label: "Rent (per fortnight)", value: aud(Number(rentFortnight) || 0) }]),
+      { label: "Your gross income (per fortnight)", value: aud(Number(incomeFortnight) || 0) },
+      ...(isPartnered
+        ? [{ label: "Partner's gross income (per fortnight)", value: aud(Number(partnerIncomeFortnight) || 0) }]
+        : []),
+      { label: "Total assessable assets", value: aud(Number(assets) || 0) },
+    ],
+    results: [
+      { label: "Estimated fortnightly payment", value: aud(results.payment) },
+      { label: "Maximum rate (incl. Rent Assistance)", value: aud(results.maxPaymentTotal) },
+      { label: "Rent Assistance", value: aud(results.rentAssistance) },
+      { label: "Income free area", value: aud(results.incomeFreeArea) },
+      { label: "Income reduction", value: `-${aud(results.incomeReduction)}` },
+      { label: "Assets limit for your situation", value: aud(results.assetLimit) },
+    ],
+    rules: [
+      { label: "Rates effective from", value: ratesFrom },
+      { label: "Rent Assistance rates effective from", value: formatEffectiveDate(rules.rentAssistance.effectiveFrom) },
+      { label: "Maximum rate, single / partnered (pf)", value: `${aud(pp.single.maxRateFt)} / ${aud(pp.partnered.maxRateFt)}` },
+      { label: "Partner income free area (pf)", value: aud(pp.partnered.partnerIncomeFreeAreaFt) },
+    ],
+    notes: [
+      results.isAgeIneligible
+        ? `Your youngest child is ${results.youngestLimit} or older, so Parenting Payment isn't paid.`
+        : results.isAssetIneligible
+          ? "Your assessable assets exceed the limit, so no payment is made."
+          : "Your principal home is exempt from the assets test.",
+      "Rent Assistance is worked out at the rates for families with children; families getting Family Tax Benefit Part A are usually paid it with that instead.",
+      "Pharmaceutical Allowance and Remote Area Allowance are not included.",
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Parenting Payment Calculator",
+    inputs: schemaInputs(PARENTING_PAYMENT_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [{ ...results, ratesEffectiveFrom: pp.effectiveFrom }],
+  });
+
+  return (
+    <>
+      <Head>
+        <title>Parenting Payment Calculator | FinToolbox</title>
+        <meta
+          name="description"
+          content="Estimate your fortnightly Parenting Payment (Single or Partnered), including Rent Assistance, from your income, assets and children."
+        />
+        <link
+          rel="canonical"
+          href="https://fintoolbox.com.au/calculators/parenting-payment"
+        />
+        <style>{`
+          @media print {
+            @page {
+              margin: 1.5cm;
+              size: A4;
+            }
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+              background: white !important;
+              font-size: 11pt;
+            }
+            .no-print {
+              display: none !important;
+            }
+            .printable-section {
+              display: block !important;
+              page-break-inside: avoid;
+              width: 100% !important;
+              margin-bottom: 1.5rem !important;
+            }
+            header {
+              border-bottom: 2px solid #000 !important;
+              padding-bottom: 1rem !important;
+              margin-bottom: 2rem !important;
+            }
+            .grid {
+              display: block !important;
+            }
+            .grid > div {
+              border: 1px solid #e2e8f0 !important;
+              margin-bottom: 0.5rem !important;
+              page-break-inside: avoid;
+            }
+          }
+        `}</style>
+      </Head>
+
+      <div className="hidden print:flex justify-between items-center mb-6 text-slate-500 text-[10px] border-b pb-2 px-4 max-w-5xl mx-auto">
+        <span>fintoolbox.com.au</span>
+        <span>Calculation Date: {new Date().toLocaleDateString('en-AU')}</span>
+      </div>
+
+      <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200">
+        <h1 className="text-2xl font-bold text-slate-900">
+          Parenting Payment Calculator
+        </h1>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 mt-4">
+        <div className="no-print">
+          <PageIntro tone="blue">
+            <p>
+              <strong>Parenting Payment</strong> helps the main carer of a young
+              child. Single parents can get it until their youngest child turns{" "}
+              {pp.youngestUnder.single}; partnered parents until their youngest
+              turns {pp.youngestUnder.partnered}.
+            </p>
+            <p className="mt-2">
+              Use this calculator to estimate your fortnightly payment, including
+              Rent Assistance if you rent, after the income and assets tests.
+            </p>
+            <p className="mt-2 text-[12px] text-blue-900/80">
+              Rates effective from <strong>{ratesFrom}</strong>.
+            </p>
+          </PageIntro>
+
+          {notice && (
+            <PageIntro tone="amber" className="mt-4 no-print">
+              <p>{notice}</p>
+            </PageIntro>
+          )}
+
+          {/* INPUTS */}
+          <div className="mt-6">
+            <SectionCard title="Your Details">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 text-sm text-slate-700">
+                {/* Rules date */}
+                <RulesDateSelect value={rulesDate} onChange={setRulesDate} />
+
+                {/* Relationship Status */}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">Relationship Status</span>
+                  <select
+                    className="border rounded px-3 py-2 bg-white"
+                    value={relationshipStatus}
+                    onChange={(e) => setInput("relationshipStatus", e.target.value)}
+                  >
+                    {Object.entries(STATUS_LABELS).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                {/* Children */}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">
+                    Number of children
+                    <Tooltip text="Dependent children in your care. For single parents, the income free area rises with each child after the first." />
+                  </span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    className="border rounded px-3 py-2"
+                    value={children}
+                    onChange={numberSetter("children")}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">Youngest child&apos;s age</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="17"
+                    className="border rounded px-3 py-2"
+                    value={youngestAge}
+                    onChange={numberSetter("youngestAge")}
+                  />
+                </label>
+
+                {/* Homeowner */}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">Do you own your home?</span>
+                  <select
+                    className="border rounded px-3 py-2 bg-white"
+                    value={isHomeowner ? "yes" : "no"}
+                    onChange={(e) => setInput("isHomeowner", e.target.value === "yes")}
+                  >
+                    <option value="no">No</option>
+                    <option value="yes">Yes</option>
+                  </select>
+                </label>
+
+                {/* Rent */}
+                {!isHomeowner && (
+                  <RentAssistanceField
+                    rent={rentFortnight}
+                    onRentChange={setRentFortnight}
+                    status={isPartnered ? "couple" : "single"}
+                    childCount={children}
+                    rules={rules}
+                    label={isPartnered ? "Rent (per fortnight, combined)" : "Rent (per fortnight)"}
+                  />
+                )}
+
+                {/* Income */}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">
+                    Your gross income (per fortnight)
+                    <Tooltip text="Income from employment, investments, or other sources before tax. Child support isn't counted here." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={incomeFortnight}
+                    onChange={(v) => setIncomeFortnight(Number(v))}
+                  />
+                </label>
+
+                {/* Partner Income */}
+                {isPartnered && (
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 font-medium mb-1">
+                      Partner&apos;s gross income (per fortnight)
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={partnerIncomeFortnight}
+                      onChange={(v) => setPartnerIncomeFortnight(Number(v))}
+                    />
+                  </label>
+                )}
+
+                {/* Assets */}
+                <label className="flex flex-col">
+                  <span className="text-slate-600 font-medium mb-1">
+                    Total assessable assets
+                    <Tooltip text="Market value of assets (excluding your principal home). Includes savings, shares, cars, household contents, etc." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={assets}
+                    onChange={(v) => setAssets(Number(v))}
+                  />
+                </label>
+              </div>
+            </SectionCard>
+          </div>
+
+          {/* RESULTS */}
+          <div className="mt-8 printable-section">
+            <SectionCard title="Estimated Payment">
+              <SummaryGrid>
+                <SummaryCard
+                  label="Estimated Fortnightly Payment"
+                  value={aud(results.payment)}
+                  badgeText={results.payment === 0 ? "Not Eligible" : "Eligible"}
+                  badgeTone={results.payment > 0 ? "positive" : "neutral"}
+                />
+                <SummaryCard
+                  label="Maximum Rate"
+                  value={aud(results.maxPaymentTotal)}
+                  note={results.rentAssistance > 0 ? `Includes ${aud(results.rentAssistance)} Rent Assistance` : null}
+                />
+                <SummaryCard
+                  label="Income Reduction"
+                  value={`-${aud(results.incomeReduction)}`}
+                  note={`Income free area ${aud(results.incomeFreeArea)}`}
+                  badgeText={results.incomeReduction > 0 ? "Applied" : null}
+                  badgeTone="neutral"
+                />
+              </SummaryGrid>
+
+              {results.isAgeIneligible && (
+                <div className="mt-4 p-4 bg-red-50 border border-red-100 rounded-md text-sm text-red-800">
+                  <strong>Youngest Child Too Old:</strong> {isPartnered ? "Partnered" : "Single"} parents can get
+                  Parenting Payment only while their youngest child is under {results.youngestLimit}. You may be able
+                  to get JobSeeker Payment instead.
+                </div>
+              )}
+
+              {results.isAssetIneligible && (
+                <div className="mt-4 p-4 bg-red-50 border border-red-100 rounded-md text-sm text-red-800">
+                  <strong>Assets Exceeded:</strong> Your assessable assets of{" "}
+                  {aud(assets)} exceed the limit of {aud(results.assetLimit)} for
+                  your situation. Parenting Payment cuts out completely if assets
+                  exceed this limit.
+                </div>
+              )}
+
+              {!results.isAgeIneligible && !results.isAssetIneligible && results.payment === 0 && results.incomeReduction > 0 && (
+                <div className="mt-4 p-4 bg-orange-50 border border-orange-100 rounded-md text-sm text-orange-800">
+                  <strong>Income Too High:</strong> Your income (or your partner&apos;s
+                  income) has reduced your payment to $0.
+                </div>
+              )}
+
+              <div className="mt-6 flex justify-end gap-3 no-print">
+                <CopyLinkButton queryString={queryString} />
+                <DownloadReportButton getReport={getReport} queryString={queryString} />
+              </div>
+              <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
+            </SectionCard>
+          </div>
+
+          {/* SAVED SCENARIOS */}
+          <div className="mt-8 no-print">
+            <ScenarioManager
+              calculatorId="parenting-payment"
+              schema={PARENTING_PAYMENT_INPUTS}
+              inputs={inputs}
+              onLoad={setInputs}
+              compute={calculateParentingPaymentForInputs}
+              metrics={SCENARIO_METRICS}
+            />
+          </div>
+
+          {/* ASSUMPTIONS */}
+          <div className="mt-8 printable-section">
+            <SectionCard title="Assumptions & references">
+              <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Rates & Thresholds:
+                  </span> The calculator uses rates and thresholds effective from {ratesFrom}. The maximum rates are {aud(pp.single.maxRateFt)} (single, including the Pension and Energy Supplements) and {aud(pp.partnered.maxRateFt)} (partnered) per fortnight.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Single Income Test:
+                  </span> Your payment is reduced by {Math.round(pp.single.lowerTaper * 100)} cents for each dollar of income over {aud(pp.single.incomeFreeAreaFt)} per fortnight, plus {aud(pp.single.incomeFreeAreaPerChildFt)} for each child after the first.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Partnered Income Tests:
+                  </span> As for JobSeeker Payment: {Math.round(pp.partnered.lowerTaper * 100)} cents for each dollar between {aud(pp.partnered.incomeFreeAreaFt)} and {aud(pp.partnered.lowerTaperLimitFt)}, {Math.round(pp.partnered.upperTaper * 100)} cents above that, and {Math.round(pp.partnered.partnerTaper * 100)} cents for every dollar your partner earns over {aud(pp.partnered.partnerIncomeFreeAreaFt)}.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Asset Test:
+                  </span> Assets over the limit for your situation stop the payment. Your principal home is exempt from the assets test.
+                </li>
+                <li>
+                  <span className="text-slate-800 font-medium">
+                    Rent Assistance:
+                  </span> Renters get {Math.round(rules.rentAssistance.taper * 100)}c for each dollar of rent over the threshold for a family of their size, up to a maximum rate, as part of the maximum rate. Families getting Family Tax Benefit Part A above the base rate are usually paid Rent Assistance with that instead.
+                </li>
+              </ul>
+            </SectionCard>
+          </div>
+
+          {/* DISCLAIMER */}
+          <div className="mt-8 mb-12 text-[11px] text-slate-500 leading-snug no-print">
+            <p>
+              This calculator provides an estimate only based on general Parenting Payment rates and thresholds (effective from {ratesFrom}).
+              It does not account for Pharmaceutical Allowance, Remote Area Allowance or child support. Actual payments are
+              determined by Centrelink.
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
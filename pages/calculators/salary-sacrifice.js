@@ -1,7 +1,8 @@
 // pages/calculators/salary-sacrifice.js
 
-import { useState, useMemo } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
+import Link from "next/link";
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
 import ChartTooltip from "@/components/ChartTooltip";
@@ -10,7 +11,27 @@ import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { fyLabel, fyPeriod } from "@/lib/tax";
+import { encodeUrlState } from "@/lib/urlState";
+import {
+  calculateSalarySacrifice,
+  SUPER_CONTRIB_TAX_RATE,
+  SALARY_SACRIFICE_INPUTS,
+} from "@/lib/super/salarySacrifice";
+import {
+  ledgerField,
+  CARRY_FORWARD_BALANCE_LIMIT,
+  CARRY_FORWARD_YEARS,
+} from "@/lib/super/contributions";
+import { NON_CONCESSIONAL_INPUTS } from "@/lib/super/nonConcessional";
+import { division293Threshold } from "@/lib/super/rules";
+import { schemaInputs } from "@/lib/export";
 
 import {
   ResponsiveContainer,
@@ -27,11 +48,6 @@ import {
 // Helper constants & functions
 // ─────────────────────────────────────────────────────────────
 
-// NOTE: Update these if rules change.
-const CONCESSIONAL_CAP_GENERAL = 30000; // General concessional cap (approx for 2025–26)
-const DIV293_THRESHOLD = 250000; // Div 293 income threshold (approx)
-const SUPER_CONTRIB_TAX_RATE = 0.15; // 15% contributions tax
-
 // Currency formatting
 function aud0(n) {
   if (!isFinite(n)) return "$0";
@@ -53,293 +69,94 @@ function aud2(n) {
   });
 }
 
-// 2025–26 income tax (approx Stage 3 schedule, no offsets, no HELP)
-function incomeTax2025_26(taxable) {
-  const t = Math.max(0, taxable || 0);
-
-  if (t <= 18200) return 0;
-
-  if (t <= 45000) {
-    return (t - 18200) * 0.16;
-  }
-
-  if (t <= 135000) {
-    const base = (45000 - 18200) * 0.16;
-    return base + (t - 45000) * 0.30;
-  }
-
-  if (t <= 190000) {
-    const base =
-      (45000 - 18200) * 0.16 +
-      (135000 - 45000) * 0.30;
-    return base + (t - 135000) * 0.37;
-  }
-
-  const base =
-    (45000 - 18200) * 0.16 +
-    (135000 - 45000) * 0.30 +
-    (190000 - 135000) * 0.37;
-  return base + (t - 190000) * 0.45;
-}
-
-// Flat 2% Medicare levy (simplified – ignores low-income thresholds)
-function medicareLevy(taxable) {
-  const t = Math.max(0, taxable || 0);
-  return t * 0.02;
-}
-
-// Simplified Div 293 calculation
-function div293ExtraTax({
-  taxableIncome,
-  salarySacrificeAnnual,
-  totalConcessional,
-}) {
-  const t = Math.max(0, taxableIncome || 0);
-  const sac = Math.max(0, salarySacrificeAnnual || 0);
-  const concessional = Math.max(0, totalConcessional || 0);
-
-  const incomeForDiv293 = t + sac;
-  if (incomeForDiv293 <= DIV293_THRESHOLD || concessional <= 0) {
-    return 0;
-  }
-
-  const excess = incomeForDiv293 - DIV293_THRESHOLD;
-  const taxableConcessional = Math.min(concessional, excess);
-  return taxableConcessional * 0.15;
-}
-
-// Projection CSV helper
-function projectionToCsv(rows) {
-  if (!rows?.length) return "";
-  const headers = [
-    "Year",
-    "SuperWithoutSacrifice",
-    "SuperWithSacrifice",
-    "Difference",
-    "CumulativeTaxSavings",
-  ];
-  const lines = rows.map((r) => [
-    r.year,
-    r.superA,
-    r.superB,
-    r.diff,
-    r.taxSavedCumulative,
-  ]);
-  const escape = (v) =>
-    typeof v === "string" && v.includes(",") ? `"${v}"` : v;
-  return [headers, ...lines]
-    .map((row) => row.map(escape).join(","))
-    .join("\n");
-}
-
-function downloadCsv(filename, csv) {
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-}
-
-// ─────────────────────────────────────────────────────────────
-// Core calculator logic
-// ─────────────────────────────────────────────────────────────
-
-function calculateSalarySacrifice({
-  taxableIncomeBeforeSacrifice,
-  payFrequency,
-  salarySacrificePerPeriod,
-  sgRatePct,
-  currentSuperBalance,
-  superReturnPct,
-  yearsToRetirement,
-}) {
-  const income = Math.max(0, taxableIncomeBeforeSacrifice || 0);
-  const sgRate = Math.max(0, sgRatePct || 0) / 100;
-
-  // Periods per year
-  const periodsPerYear =
-    payFrequency === "weekly"
-      ? 52
-      : payFrequency === "fortnightly"
-      ? 26
-      : 12;
-
-  const sacrificePerPeriod = Math.max(0, salarySacrificePerPeriod || 0);
-  let annualSalarySacrifice = sacrificePerPeriod * periodsPerYear;
-  annualSalarySacrifice = Math.min(annualSalarySacrifice, income);
-
-  // Max theoretical salary sacrifice to hit the cap (based on SG only)
-  const sgOnly = income * sgRate;
-  const remainingCap = Math.max(
-    0,
-    CONCESSIONAL_CAP_GENERAL - sgOnly
-  );
-  const suggestedSacrificeAnnual = remainingCap;
-  const suggestedSacrificePerPeriod =
-    periodsPerYear > 0 ? remainingCap / periodsPerYear : 0;
-
-  // ── Scenario A: No salary sacrifice ──
-  const concessionalA = sgOnly;
-  const contribTaxA = concessionalA * SUPER_CONTRIB_TAX_RATE;
-
-  const taxableA = income;
-  const incomeTaxA = incomeTax2025_26(taxableA);
-  const medicareA = medicareLevy(taxableA);
-
-  const div293A = div293ExtraTax({
-    taxableIncome: taxableA,
-    salarySacrificeAnnual: 0,
-    totalConcessional: concessionalA,
-  });
-
-  const netConcessionalA = concessionalA - contribTaxA - div293A;
-  const totalTaxA =
-    incomeTaxA + medicareA + contribTaxA + div293A;
-  const takeHomeA = taxableA - incomeTaxA - medicareA;
-
-  // ── Scenario B: With salary sacrifice ──
-  const concessionalB = sgOnly + annualSalarySacrifice;
-  const contribTaxB = concessionalB * SUPER_CONTRIB_TAX_RATE;
-
-  const taxableB = income - annualSalarySacrifice;
-  const incomeTaxB = incomeTax2025_26(taxableB);
-  const medicareB = medicareLevy(taxableB);
-
-  const div293B = div293ExtraTax({
-    taxableIncome: taxableB,
-    salarySacrificeAnnual: annualSalarySacrifice,
-    totalConcessional: concessionalB,
-  });
-
-  const netConcessionalB = concessionalB - contribTaxB - div293B;
-  const totalTaxB =
-    incomeTaxB + medicareB + contribTaxB + div293B;
-  const takeHomeB = taxableB - incomeTaxB - medicareB;
-
-  // Comparisons
-  const changeTakeHome = takeHomeB - takeHomeA; // usually negative
-  const extraNetToSuper = netConcessionalB - netConcessionalA;
-  const taxSavedTotal = totalTaxA - totalTaxB; // +ve = tax saving
-
-  const effectiveTaxRateOnSac =
-    annualSalarySacrifice > 0
-      ? 1 - extraNetToSuper / annualSalarySacrifice
-      : null;
-
-  const overConcessionalCap = concessionalB > CONCESSIONAL_CAP_GENERAL;
-
-  // ── Projection to retirement ──
-  const years = Math.max(0, Math.floor(yearsToRetirement || 0));
-  const returnRate = (superReturnPct || 0) / 100;
-
-  let balanceA = Math.max(0, currentSuperBalance || 0);
-  let balanceB = Math.max(0, currentSuperBalance || 0);
-
-  const projectionRows = [];
-  for (let y = 1; y <= years; y++) {
-    balanceA = balanceA * (1 + returnRate) + netConcessionalA;
-    balanceB = balanceB * (1 + returnRate) + netConcessionalB;
-    const diff = balanceB - balanceA;
-    const cumulativeTaxSaved = taxSavedTotal * y;
-    projectionRows.push({
-      year: y,
-      superA: balanceA,
-      superB: balanceB,
-      diff,
-      taxSavedCumulative: cumulativeTaxSaved,
-    });
-  }
-
-  const finalSuperA =
-    projectionRows.length > 0
-      ? projectionRows[projectionRows.length - 1].superA
-      : balanceA;
-  const finalSuperB =
-    projectionRows.length > 0
-      ? projectionRows[projectionRows.length - 1].superB
-      : balanceB;
-  const finalDiff = finalSuperB - finalSuperA;
-
-  return {
-    scenarios: {
-      A: {
-        concessional: concessionalA,
-        netConcessional: netConcessionalA,
-        incomeTax: incomeTaxA,
-        medicare: medicareA,
-        contribTax: contribTaxA,
-        div293: div293A,
-        totalTax: totalTaxA,
-        takeHome: takeHomeA,
-      },
-      B: {
-        concessional: concessionalB,
-        netConcessional: netConcessionalB,
-        incomeTax: incomeTaxB,
-        medicare: medicareB,
-        contribTax: contribTaxB,
-        div293: div293B,
-        totalTax: totalTaxB,
-        takeHome: takeHomeB,
-      },
-    },
-    annualSalarySacrifice,
-    changeTakeHome,
-    extraNetToSuper,
-    taxSavedTotal,
-    effectiveTaxRateOnSac,
-    overConcessionalCap,
-    projectionRows,
-    finalSuperA,
-    finalSuperB,
-    finalDiff,
-    suggestedSacrificeAnnual,
-    suggestedSacrificePerPeriod,
-  };
-}
+// Headline figures (per year, so different pay frequencies compare) and
+// the with-sacrifice super line, for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Take-home pay (per year)", value: (r) => r.scenarios.B.takeHome, format: aud0, better: "higher" },
+  { label: "Extra going into super (per year)", value: (r) => r.extraNetToSuper, format: aud0, better: "higher" },
+  { label: "Estimated tax saved (this year)", value: (r) => r.taxSavedTotal, format: aud0, better: "higher" },
+  { label: "Projected super at retirement", value: (r) => r.finalSuperB, format: aud0, better: "higher" },
+];
+const SCENARIO_CHART = {
+  title: "Projected super balance (with salary sacrifice)",
+  series: (r) => r.projectionRows.map((row) => ({ x: row.year, y: row.superB })),
+  format: aud0,
+};
 
 // ─────────────────────────────────────────────────────────────
 // Page component
 // ─────────────────────────────────────────────────────────────
 
+// Contributions ledger columns (lib/super/contributions.js entry fields)
+const LEDGER_COLUMNS = [
+  { name: "sg", label: "Employer SG" },
+  { name: "salarySacrifice", label: "Salary sacrifice" },
+  { name: "personalDeductible", label: "Personal deductible" },
+];
+
+// Spreadsheet export: input labels and the projection to retirement
+const EXPORT_FIELDS = {
+  fy: "Financial year",
+  taxableIncomeBeforeSacrifice: { label: "Taxable income before salary sacrifice", format: "currency" },
+  payFrequency: "Pay frequency",
+  salarySacrificePerPeriod: { label: "Salary sacrifice per pay", format: "cents" },
+  sgRatePct: "Employer super (SG) rate (%)",
+  currentSuperBalance: { label: "Current super balance", format: "currency" },
+  superReturnPct: "Super return (% p.a.)",
+  yearsToRetirement: "Years to retirement",
+  reportableFringeBenefits: { label: "Reportable fringe benefits", format: "currency" },
+  netInvestmentLosses: { label: "Net investment losses", format: "currency" },
+  studyLoanBalance: { label: "Study loan balance", format: "currency" },
+  useCarryForward: "Use carry-forward contributions",
+  ...Object.fromEntries(
+    Array.from({ length: CARRY_FORWARD_YEARS }, (_, i) =>
+      LEDGER_COLUMNS.map(({ name, label }) => [
+        ledgerField(name, i + 1),
+        { label: `${label} ${i + 1} year${i ? "s" : ""} earlier`, format: "currency" },
+      ])
+    ).flat()
+  ),
+};
+const EXPORT_COLUMNS = [
+  { key: "Year", format: "integer", value: (r) => r.year },
+  { key: "SuperWithoutSacrifice", format: "currency", value: (r) => r.superA },
+  { key: "SuperWithSacrifice", format: "currency", value: (r) => r.superB },
+  { key: "Difference", format: "currency", value: (r) => r.diff },
+  { key: "CumulativeTaxSavings", format: "currency", value: (r) => r.taxSavedCumulative },
+];
+
 export default function SalarySacrificeCalculator() {
-  const [taxableIncomeBeforeSacrifice, setTaxableIncomeBeforeSacrifice] =
-    useState(120000);
-  const [payFrequency, setPayFrequency] = useState("fortnightly"); // weekly, fortnightly, monthly
-  const [salarySacrificePerPeriod, setSalarySacrificePerPeriod] =
-    useState(500);
-
-  const [sgRatePct, setSgRatePct] = useState(12);
-  const [currentSuperBalance, setCurrentSuperBalance] =
-    useState(200000);
-  const [superReturnPct, setSuperReturnPct] = useState(6);
-  const [yearsToRetirement, setYearsToRetirement] = useState(20);
-
-  const results = useMemo(
-    () =>
-      calculateSalarySacrifice({
-        taxableIncomeBeforeSacrifice,
-        payFrequency,
-        salarySacrificePerPeriod,
-        sgRatePct,
-        currentSuperBalance,
-        superReturnPct,
-        yearsToRetirement,
-      }),
-    [
-      taxableIncomeBeforeSacrifice,
-      payFrequency,
-      salarySacrificePerPeriod,
-      sgRatePct,
-      currentSuperBalance,
-      superReturnPct,
-      yearsToRetirement,
-    ]
-  );
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(SALARY_SACRIFICE_INPUTS);
+  const {
+    fy,
+    taxableIncomeBeforeSacrifice,
+    payFrequency, // weekly, fortnightly, monthly
+    salarySacrificePerPeriod,
+    sgRatePct,
+    currentSuperBalance,
+    superReturnPct,
+    yearsToRetirement,
+    reportableFringeBenefits,
+    netInvestmentLosses,
+    studyLoanBalance,
+    useCarryForward,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setFy = setter("fy");
+  const setTaxableIncomeBeforeSacrifice = setter("taxableIncomeBeforeSacrifice");
+  const setPayFrequency = setter("payFrequency");
+  const setSalarySacrificePerPeriod = setter("salarySacrificePerPeriod");
+  const setSgRatePct = setter("sgRatePct");
+  const setCurrentSuperBalance = setter("currentSuperBalance");
+  const setSuperReturnPct = setter("superReturnPct");
+  const setYearsToRetirement = setter("yearsToRetirement");
+  const setReportableFringeBenefits = setter("reportableFringeBenefits");
+  const setNetInvestmentLosses = setter("netInvestmentLosses");
+  const setStudyLoanBalance = setter("studyLoanBalance");
+  const setUseCarryForward = setter("useCarryForward");
+
+  const results = useMemo(() => calculateSalarySacrifice(inputs), [inputs]);
 
   const {
     scenarios,
@@ -348,6 +165,9 @@ export default function SalarySacrificeCalculator() {
     extraNetToSuper,
     taxSavedTotal,
     effectiveTaxRateOnSac,
+    generalConcessionalCap,
+    concessionalCapAvailable,
+    carryForward,
     overConcessionalCap,
     projectionRows,
     finalSuperA,
@@ -357,8 +177,17 @@ export default function SalarySacrificeCalculator() {
     suggestedSacrificePerPeriod,
   } = results;
 
+  // Sacrificing the suggested maximum (to the cent, so it stays under the
+  // cap): the A/B comparison at that amount gives this year's tax saving
+  const maxSacrificePerPeriod = Math.floor(suggestedSacrificePerPeriod * 100) / 100;
+  const atMaximum = useMemo(
+    () => calculateSalarySacrifice({ ...inputs, salarySacrificePerPeriod: maxSacrificePerPeriod }),
+    [inputs, maxSacrificePerPeriod]
+  );
+
   const scenarioA = scenarios.A;
   const scenarioB = scenarios.B;
+  const hasStudyLoan = Number(studyLoanBalance) > 0;
 
   const periodsPerYear =
     payFrequency === "weekly"
@@ -388,6 +217,120 @@ export default function SalarySacrificeCalculator() {
     "Super with salary sacrifice": row.superB,
   }));
 
+  // The non-concessional page for the same year, with the balance, income
+  // after sacrifice and any concessional excess (which counts there too)
+  const nonConcessionalHref = `/calculators/non-concessional-contributions?${encodeUrlState(
+    {
+      fy,
+      totalSuperBalance: currentSuperBalance,
+      taxableIncome: Math.max(0, (Number(taxableIncomeBeforeSacrifice) || 0) - annualSalarySacrifice),
+      excessConcessional: Math.max(0, scenarioB.concessional - concessionalCapAvailable),
+    },
+    NON_CONCESSIONAL_INPUTS
+  )}`;
+
+  // PDF report: inputs, the results cards, rates used and the projection
+  const getReport = () => ({
+    title: "Salary Sacrifice to Super Calculator",
+    inputs: [
+      { label: "Financial year", value: fyLabel(fy) },
+      { label: "Taxable income before salary sacrifice", value: aud0(Number(taxableIncomeBeforeSacrifice) || 0) },
+      { label: "Employer super (SG) rate", value: `${sgRatePct}%` },
+      { label: "Current super balance", value: aud0(Number(currentSuperBalance) || 0) },
+      { label: "Years to retirement", value: String(yearsToRetirement) },
+      { label: "Super return", value: `${superReturnPct}% p.a.` },
+      { label: "Pay frequency", value: payFrequency.charAt(0).toUpperCase() + payFrequency.slice(1) },
+      { label: `Salary sacrifice per ${payLabel}`, value: aud2(Number(salarySacrificePerPeriod) || 0) },
+      { label: "Reportable fringe benefits", value: aud0(Number(reportableFringeBenefits) || 0) },
+      { label: "Net investment losses", value: aud0(Number(netInvestmentLosses) || 0) },
+      { label: "Study loan balance", value: aud0(Number(studyLoanBalance) || 0) },
+      { label: "Carry-forward contributions", value: useCarryForward ? "Included" : "Not included" },
+    ],
+    results: [
+      {
+        label: `Net take-home pay per ${payLabel} (no salary sacrifice)`,
+        value: aud0(scenarioA.takeHome / periodsPerYear),
+      },
+      {
+        label: `Net take-home pay per ${payLabel} (with salary sacrifice)`,
+        value: aud0(scenarioB.takeHome / periodsPerYear),
+      },
+      { label: `Extra going into super per ${payLabel}`, value: aud2(extraNetToSuperPerPeriod) },
+      {
+        label: taxSavedTotal >= 0 ? "Estimated tax saved (this year)" : "Extra tax payable (this year)",
+        value: aud0(Math.abs(taxSavedTotal)),
+      },
+      { label: "Projected super at retirement (no salary sacrifice)", value: aud0(finalSuperA) },
+      { label: "Projected super at retirement (with salary sacrifice)", value: aud0(finalSuperB) },
+    ],
+    rules: [
+      { label: `Income tax rates (${fyLabel(fy)})`, value: fyPeriod(fy) },
+      { label: `General concessional cap (${fyLabel(fy)})`, value: aud0(generalConcessionalCap) },
+      ...(carryForward
+        ? [
+            { label: "Unused cap carried forward", value: aud0(carryForward.carryForward) },
+            { label: "Concessional cap available", value: aud0(concessionalCapAvailable) },
+          ]
+        : []),
+      { label: "Contributions tax", value: `${SUPER_CONTRIB_TAX_RATE * 100}%` },
+      { label: "Division 293 threshold", value: aud0(division293Threshold(fy)) },
+      {
+        label: "Division 293 tax (without / with salary sacrifice)",
+        value: `${aud0(scenarioA.div293)} / ${aud0(scenarioB.div293)}`,
+      },
+      ...(hasStudyLoan
+        ? [
+            {
+              label: "Study loan repayment (without / with salary sacrifice)",
+              value: `${aud0(scenarioA.studyLoanRepayment)} / ${aud0(scenarioB.studyLoanRepayment)}`,
+            },
+          ]
+        : []),
+    ],
+    tables: [
+      ...(carryForward
+        ? [
+            {
+              title: "Concessional contributions ledger",
+              head: ["Financial year", "Cap", "Contributions", "Unused", `Available in ${fyLabel(fy)}`],
+              body: carryForward.years.map((y) => [
+                fyLabel(y.fy),
+                aud0(y.cap),
+                aud0(y.contributions),
+                aud0(y.unused),
+                aud0(y.remaining),
+              ]),
+            },
+          ]
+        : []),
+      {
+        title: "Projection details",
+        head: [
+          "Year",
+          "Super without salary sacrifice",
+          "Super with salary sacrifice",
+          "Difference",
+          "Cumulative tax savings",
+        ],
+        body: projectionRows.map((row) => [
+          row.year,
+          aud0(row.superA),
+          aud0(row.superB),
+          aud0(row.diff),
+          aud0(row.taxSavedCumulative),
+        ]),
+      },
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "Salary Sacrifice to Super Calculator",
+    inputs: schemaInputs(SALARY_SACRIFICE_INPUTS, inputs, EXPORT_FIELDS),
+    columns: EXPORT_COLUMNS,
+    rows: projectionRows,
+  });
+
   return (
     <>
       <Head>
@@ -479,6 +422,12 @@ export default function SalarySacrificeCalculator() {
           </div>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <div className="no-print">
           <SubtleCtaLink className="mt-3" href="/blog">
             Want to learn more about salary sacrifice? Read the blog →
@@ -497,6 +446,8 @@ export default function SalarySacrificeCalculator() {
                 </h3>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  <FinancialYearSelect value={fy} onChange={setFy} />
+
                   <label className="flex flex-col">
                     <span className="text-slate-600 flex items-center gap-1">
                       Annual income ($)
@@ -568,6 +519,46 @@ export default function SalarySacrificeCalculator() {
                       }
                     />
                   </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-1">
+                      Reportable fringe benefits ($)
+                      <Tooltip text="The grossed-up amount on your income statement. Counts towards Division 293 income." />
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={reportableFringeBenefits}
+                      onChange={(v) =>
+                        setReportableFringeBenefits(Number(v))
+                      }
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-1">
+                      Net investment losses ($)
+                      <Tooltip text="Net financial investment and rental property losses. Added back for Division 293 income." />
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={netInvestmentLosses}
+                      onChange={(v) =>
+                        setNetInvestmentLosses(Number(v))
+                      }
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-1">
+                      HELP / study loan balance ($)
+                      <Tooltip text="Leave at 0 if you have no study loan. The compulsory repayment comes out of take-home pay in both scenarios." />
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={studyLoanBalance}
+                      onChange={(v) => setStudyLoanBalance(Number(v))}
+                    />
+                  </label>
                 </div>
               </div>
 
@@ -617,10 +608,16 @@ export default function SalarySacrificeCalculator() {
                 {/* Cap guidance */}
                 <div className="mt-3 text-[11px] text-slate-600 leading-snug">
                   <div>
-                    To reach the general concessional cap of{" "}
+                    To reach {carryForward ? "your available" : "the general"} concessional cap of{" "}
                     <span className="font-medium text-slate-800">
-                      {aud0(CONCESSIONAL_CAP_GENERAL)}
+                      {aud0(concessionalCapAvailable)}
                     </span>{" "}
+                    {carryForward && carryForward.carryForward > 0 && (
+                      <>
+                        (including {aud0(carryForward.carryForward)} carried
+                        forward){" "}
+                      </>
+                    )}
                     based on your current employer contributions, you could
                     salary sacrifice approximately:
                   </div>
@@ -632,7 +629,21 @@ export default function SalarySacrificeCalculator() {
                     <span className="font-medium text-slate-800">
                       {aud0(suggestedSacrificePerPeriod)}
                     </span>{" "}
-                    per {payLabel}).
+                    per {payLabel}), saving an estimated{" "}
+                    <span className="font-medium text-slate-800">
+                      {aud0(atMaximum.taxSavedTotal)}
+                    </span>{" "}
+                    in tax this year.
+                    {maxSacrificePerPeriod > 0 &&
+                      Number(salarySacrificePerPeriod) !== maxSacrificePerPeriod && (
+                        <button
+                          type="button"
+                          onClick={() => setSalarySacrificePerPeriod(maxSacrificePerPeriod)}
+                          className="ml-2 rounded-md border border-slate-300 bg-white px-2 py-0.5 text-[11px] font-semibold text-slate-800 hover:bg-slate-50"
+                        >
+                          Use this amount
+                        </button>
+                      )}
                   </div>
                 </div>
               </div>
@@ -654,23 +665,128 @@ export default function SalarySacrificeCalculator() {
                   per year.
                 </div>
                 <div>
-                  General concessional cap:{" "}
+                  General concessional cap for {fyLabel(fy)}:{" "}
                   <span className="font-medium text-slate-800">
-                    {aud0(CONCESSIONAL_CAP_GENERAL)}
+                    {aud0(generalConcessionalCap)}
                   </span>{" "}
                   per year.
                 </div>
+                {carryForward && (
+                  <div>
+                    Concessional cap available with carry-forward:{" "}
+                    <span className="font-medium text-slate-800">
+                      {aud0(concessionalCapAvailable)}
+                    </span>{" "}
+                    this year.
+                  </div>
+                )}
                 {overConcessionalCap && (
                   <div className="mt-1 text-red-600">
-                    Warning: based on these inputs you may exceed the general
+                    Warning: based on these inputs you may exceed your
                     concessional contributions cap.
                   </div>
                 )}
+                <div className="mt-2">
+                  <Link href={nonConcessionalHref} className="text-indigo-700 font-medium underline hover:no-underline">
+                    Plan after-tax (non-concessional) contributions for {fyLabel(fy)} →
+                  </Link>
+                </div>
               </div>
             </div>
           </SectionCard>
         </div>
 
+        {/* CARRY-FORWARD LEDGER */}
+        <div className="mt-6 no-print">
+          <SectionCard
+            title="Carry-forward contributions"
+            aside={
+              <label className="flex items-center gap-2 text-xs font-semibold text-slate-800">
+                <input
+                  type="checkbox"
+                  checked={useCarryForward}
+                  onChange={(e) => setUseCarryForward(e.target.checked)}
+                />
+                Include unused cap
+              </label>
+            }
+          >
+            <p className="text-sm text-slate-600">
+              If your total super balance was under{" "}
+              {aud0(CARRY_FORWARD_BALANCE_LIMIT)} on 30 June last year, you can
+              add concessional cap you didn&apos;t use in the previous{" "}
+              {CARRY_FORWARD_YEARS} years to this year&apos;s cap. Enter what
+              went in each year (your fund or myGov shows it) to see how much
+              you can contribute this year.
+            </p>
+
+            {carryForward && (
+              <>
+                <div className="mt-4 overflow-x-auto">
+                  <table className="min-w-full text-sm text-slate-700">
+                    <thead className="text-left text-slate-600">
+                      <tr>
+                        <th className="py-1 pr-3 font-medium">Financial year</th>
+                        <th className="py-1 pr-3 font-medium text-right">Cap</th>
+                        {LEDGER_COLUMNS.map(({ name, label }) => (
+                          <th key={name} className="py-1 pr-3 font-medium">
+                            {label}
+                          </th>
+                        ))}
+                        <th className="py-1 pr-3 font-medium text-right">Unused</th>
+                        <th className="py-1 font-medium text-right">
+                          <span className="inline-flex items-center gap-1">
+                            Available now
+                            <Tooltip text="Unused cap left after later years' contributions over their cap used it up, oldest first." />
+                          </span>
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {carryForward.years.map((y, row) => {
+                        // Rows run oldest first; ledger year 1 is the year before this one
+                        const i = CARRY_FORWARD_YEARS - row;
+                        return (
+                          <tr key={y.fy} className="border-t border-slate-100">
+                            <td className="py-2 pr-3">{fyLabel(y.fy)}</td>
+                            <td className="py-2 pr-3 text-right">{y.cap > 0 ? aud0(y.cap) : "—"}</td>
+                            {LEDGER_COLUMNS.map(({ name }) => (
+                              <td key={name} className="py-2 pr-3">
+                                <CurrencyInput
+                                  className="w-28"
+                                  value={inputs[ledgerField(name, i)]}
+                                  onChange={(v) => setInput(ledgerField(name, i), Number(v))}
+                                />
+                              </td>
+                            ))}
+                            <td className="py-2 pr-3 text-right">{aud0(y.unused)}</td>
+                            <td className="py-2 text-right">{aud0(y.remaining)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="mt-3 rounded-lg bg-blue-50 p-3 text-sm text-blue-900">
+                  <div>
+                    <span className="font-medium">Cap available in {fyLabel(fy)}:&nbsp;</span>
+                    {aud0(generalConcessionalCap)} general cap +{" "}
+                    {aud0(carryForward.carryForward)} carried forward ={" "}
+                    {aud0(concessionalCapAvailable)}
+                  </div>
+                  {!carryForward.eligible && (
+                    <div className="text-[11px] text-red-700 mt-1">
+                      Your super balance is {aud0(CARRY_FORWARD_BALANCE_LIMIT)} or
+                      more, so unused cap can&apos;t be carried forward this year.
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </SectionCard>
+        </div>
+
         {/* SUMMARY CARD */}
         <div className="mt-8 printable-section">
           <SectionCard title="Results">
@@ -796,15 +912,18 @@ export default function SalarySacrificeCalculator() {
                 );
               })()}
             </SummaryGrid>
-            <div className="mt-6 flex justify-end no-print">
-              <button
-                type="button"
-                onClick={() => window.print()}
-                className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-              >
-                <Printer className="h-4 w-4" />
-                Download Calculation (PDF)
-              </button>
+
+            {hasStudyLoan && (
+              <p className="mt-4 text-sm text-slate-700">
+                Compulsory study loan repayment: {aud0(scenarioA.studyLoanRepayment)} a year without salary
+                sacrifice, {aud0(scenarioB.studyLoanRepayment)} with it. Sacrificed salary is added back to your
+                repayment income ({aud0(scenarioB.repaymentIncome)}), so salary sacrifice doesn&apos;t reduce the
+                repayment; both take-home figures are after it.
+              </p>
+            )}
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
             </div>
             
           </SectionCard>
@@ -813,7 +932,7 @@ export default function SalarySacrificeCalculator() {
         {/* CHART – Projection only */}
         <div className="mt-8 printable-section">
           <SectionCard title="Projected super balance">
-            <div className="w-full h-64">
+            <div data-report-chart="Projected super balance" className="w-full h-64">
               <ResponsiveContainer>
                 <LineChart data={chartProjectionData}>
                   <CartesianGrid strokeDasharray="3 3" />
@@ -926,24 +1045,24 @@ export default function SalarySacrificeCalculator() {
       </table>
     </div>
 
-    <div className="flex justify-end mt-4">
-      <button
-        type="button"
-        onClick={() =>
-          downloadCsv(
-            "salary-sacrifice-projection.csv",
-            projectionToCsv(projectionRows)
-          )
-        }
-        className="rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
-      >
-        Export CSV
-      </button>
-    </div>
+    <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-4" />
   </SectionCard>
 </div>
 
 
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="salary-sacrifice"
+            schema={SALARY_SACRIFICE_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateSalarySacrifice}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
         {/* ASSUMPTIONS */}
         <div className="mt-8 printable-section">
           <SectionCard title="How this calculator works">
@@ -952,18 +1071,23 @@ export default function SalarySacrificeCalculator() {
                 <span className="text-slate-800 font-medium">
                   Tax year and tax logic:
                 </span>{" "}
-                This calculator uses 2025&ndash;26 tax rates including Medicare Levy. It does
-                not include any tax offsets (such as LITO) or HECS/HELP
-                repayments.
+                This calculator uses {fyLabel(fy)} resident tax rates, the low
+                income tax offset (LITO) and the Medicare levy with its
+                low-income thresholds. With a study loan balance, the compulsory
+                repayment on repayment income (which includes sacrificed
+                salary) comes out of take-home pay, up to the balance.
               </li>
              
               <li>
                 <span className="text-slate-800 font-medium">
                   Contributions tax and Div 293:
                 </span>{" "}
-                All concessional contributions are taxed at 15% inside super. We then
-                approximate any additional 15% Division 293 tax if your
-                income and contributions exceed the $250,000 threshold. 
+                All concessional contributions are taxed at 15% inside super.
+                Division 293 adds another 15% on contributions within the cap
+                when your taxable income, reportable fringe benefits, net
+                investment losses and those contributions together exceed{" "}
+                {aud0(division293Threshold(fy))}; it applies to the lesser of the
+                contributions and the amount over.
               </li>
             
               <li>
@@ -988,8 +1112,13 @@ export default function SalarySacrificeCalculator() {
                   Contribution caps:
                 </span>{" "}
                 We compare your total concessional contributions to the general
-                concessional cap. The calculator allows you to exceed the cap
-                and shows a warning, but any excess contributions tax or penalties are excluded.
+                concessional cap for {fyLabel(fy)}, plus any unused cap from
+                the previous {CARRY_FORWARD_YEARS} years when carry-forward is
+                included. Unused cap counts from 2018–19 and is used oldest
+                first; your current super balance stands in for your total
+                super balance at 30 June last year. The calculator allows you
+                to exceed the cap and shows a warning, but any excess
+                contributions tax or penalties are excluded.
               </li>
             </ul>
           </SectionCard>
@@ -0,0 +1,495 @@
+// pages/calculators/study-loan-repayment.js
+import { useMemo } from "react";
+import Head from "next/head";
+import CurrencyInput from "@/components/CurrencyInput";
+import Tooltip from "@/components/Tooltip";
+import SectionCard from "@/components/SectionCard";
+import PageIntro from "@/components/PageIntro";
+import SubtleCtaLink from "@/components/SubtleCtaLink";
+import SummaryGrid from "@/components/SummaryGrid";
+import SummaryCard from "@/components/SummaryCard";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import ChartTooltip from "@/components/ChartTooltip";
+import useUrlState from "@/hooks/useUrlState";
+import { fyLabel } from "@/lib/tax";
+import { TAKE_HOME_INPUTS } from "@/lib/tax/takeHome";
+import { encodeUrlState } from "@/lib/urlState";
+import {
+  calculateStudyLoan,
+  getStudyLoanYear,
+  INDEXATION_RATES,
+  STUDY_LOAN_INPUTS,
+} from "@/lib/tax/studyLoan";
+import { schemaInputs } from "@/lib/export";
+
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as RTooltip,
+} from "recharts";
+
+// Currency formatting
+function aud0(n) {
+  if (!isFinite(n)) return "$0";
+  return n.toLocaleString("en-AU", {
+    style: "currency",
+    currency: "AUD",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+const pct = (n, dp = 1) => `${(n * 100).toFixed(dp)}%`;
+
+// Headline figures for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Compulsory repayment this year", value: (r) => r.compulsoryThisYear, format: aud0 },
+  { label: "Years to repay", value: (r) => r.yearsToRepay ?? Infinity, format: (n) => (isFinite(n) ? String(n) : "50+"), better: "lower" },
+  { label: "Total indexation", value: (r) => r.totalIndexation, format: aud0, better: "lower" },
+  { label: "Total repaid", value: (r) => r.totalCompulsory + r.totalVoluntary, format: aud0, better: "lower" },
+];
+const SCENARIO_CHART = {
+  title: "Debt remaining",
+  xLabel: "Year to 30 June",
+  series: (r) => r.years.map((y) => ({ x: parseInt(y.fy, 10) + 1, y: y.closing })),
+  format: aud0,
+};
+
+// Spreadsheet export: input labels and the year-by-year projection
+const EXPORT_FIELDS = {
+  fy: "Starting financial year",
+  balance: { label: "Debt at 1 July", format: "currency" },
+  repaymentIncome: { label: "Repayment income", format: "currency" },
+  incomeGrowthPct: "Income growth (% a year)",
+  voluntaryRepayment: { label: "Voluntary repayments (a year)", format: "currency" },
+  cpiPct: "Projected CPI (% a year)",
+  wpiPct: "Projected WPI (% a year)",
+};
+const EXPORT_COLUMNS = [
+  { key: "FinancialYear", format: "text", value: (y) => fyLabel(y.fy) },
+  { key: "Opening", format: "currency", value: (y) => y.opening },
+  { key: "RepaymentIncome", format: "currency", value: (y) => y.repaymentIncome },
+  { key: "Voluntary", format: "currency", value: (y) => y.voluntary },
+  { key: "Reduction", format: "currency", value: (y) => y.reduction },
+  { key: "IndexationRate", format: "percent", value: (y) => y.indexationRate },
+  { key: "Indexation", format: "currency", value: (y) => y.indexation },
+  { key: "Compulsory", format: "currency", value: (y) => y.compulsory },
+  { key: "Closing", format: "currency", value: (y) => y.closing },
+];
+
+export default function StudyLoanRepaymentCalculator() {
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(STUDY_LOAN_INPUTS);
+  const { fy, balance, repaymentIncome, incomeGrowthPct, voluntaryRepayment, cpiPct, wpiPct } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setFy = setter("fy");
+  const setBalance = setter("balance");
+  const setRepaymentIncome = setter("repaymentIncome");
+  const setVoluntaryRepayment = setter("voluntaryRepayment");
+  const numberSetter = (name) => (e) => setInput(name, e.target.value === "" ? "" : Number(e.target.value));
+
+  const results = useMemo(() => calculateStudyLoan(inputs), [inputs]);
+  const {
+    threshold,
+    compulsoryThisYear,
+    effectiveRate,
+    years,
+    paidOff,
+    payoffFy,
+    yearsToRepay,
+    totalCompulsory,
+    totalVoluntary,
+    totalIndexation,
+    totalReductions,
+  } = results;
+  const marginal = Boolean(getStudyLoanYear(fy).marginal);
+  const chartData = years.map((y) => ({ year: fyLabel(y.fy), "Debt remaining": y.closing }));
+
+  // The tax calculator with this income and a study loan switched on
+  const taxCalculatorHref = `/calculators/tax-calculator?${encodeUrlState(
+    { fy, income: repaymentIncome, frequency: "annual", studyLoan: true },
+    TAKE_HOME_INPUTS
+  )}`;
+
+  const yearRow = (y) => [
+    fyLabel(y.fy),
+    aud0(y.opening),
+    aud0(y.repaymentIncome),
+    aud0(y.voluntary + y.reduction),
+    `${aud0(y.indexation)} (${pct(y.indexationRate)})`,
+    aud0(y.compulsory),
+    aud0(y.closing),
+  ];
+
+  // PDF report: inputs, headline figures and the projection table
+  const getReport = () => ({
+    title: "HELP Repayment Calculator",
+    inputs: [
+      { label: "Starting financial year", value: fyLabel(fy) },
+      { label: "Debt at 1 July", value: aud0(Number(balance) || 0) },
+      { label: "Repayment income", value: aud0(Number(repaymentIncome) || 0) },
+      { label: "Income growth", value: `${Number(incomeGrowthPct) || 0}% a year` },
+      { label: "Voluntary repayments", value: `${aud0(Number(voluntaryRepayment) || 0)} a year` },
+      { label: "Projected CPI / WPI", value: `${Number(cpiPct) || 0}% / ${Number(wpiPct) || 0}%` },
+    ],
+    results: [
+      { label: `Compulsory repayment ${fyLabel(fy)}`, value: aud0(compulsoryThisYear) },
+      { label: "Repaid by", value: paidOff ? fyLabel(payoffFy) : "Not within 50 years" },
+      { label: "Total compulsory repayments", value: aud0(totalCompulsory) },
+      { label: "Total voluntary repayments", value: aud0(totalVoluntary) },
+      { label: "Total indexation", value: aud0(totalIndexation) },
+    ],
+    rules: [
+      { label: `Repayment threshold (${fyLabel(fy)})`, value: aud0(threshold) },
+      { label: "Repayment system", value: marginal ? "Marginal rates over the threshold" : "Percentage of repayment income" },
+      ...Object.entries(INDEXATION_RATES).map(([year, rate]) => ({
+        label: `Indexation 1 June ${parseInt(year, 10) + 1}`,
+        value: pct(rate),
+      })),
+    ],
+    tables: [
+      {
+        title: "Projection",
+        head: ["Year", "Opening", "Repayment income", "Voluntary and cuts", "Indexation", "Compulsory", "Closing"],
+        body: years.map(yearRow),
+      },
+    ],
+    notes: [
+      "Indexation after the published rates is the lower of the projected CPI and WPI.",
+      "Thresholds after the latest published year are indexed by the projected CPI.",
+      "Compulsory repayments are credited when the year's return is assessed, after that year's indexation.",
+    ],
+  });
+
+  // Spreadsheet export
+  const getExport = () => ({
+    title: "HELP Repayment Calculator",
+    inputs: schemaInputs(STUDY_LOAN_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Projection",
+    columns: EXPORT_COLUMNS,
+    rows: years,
+  });
+
+  return (
+    <>
+      <Head>
+        <title>HELP Repayment Calculator | FinToolbox</title>
+        <meta
+          name="description"
+          content="Work out your compulsory HELP (HECS) repayment and project when your study loan will be repaid, with CPI or WPI indexation and voluntary repayments."
+        />
+        <link rel="canonical" href="https://fintoolbox.com.au/calculators/study-loan-repayment" />
+        <style>{`
+          @media print {
+            @page {
+              margin: 1.5cm;
+              size: A4;
+            }
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+              background: white !important;
+              font-size: 11pt;
+            }
+            .no-print {
+              display: none !important;
+            }
+            .printable-section {
+              display: block !important;
+              page-break-inside: avoid;
+              width: 100% !important;
+              margin-bottom: 1.5rem !important;
+            }
+            header {
+              border-bottom: 2px solid #000 !important;
+              padding-bottom: 1rem !important;
+              margin-bottom: 2rem !important;
+            }
+            .grid {
+              display: block !important;
+            }
+            .grid > div {
+              border: 1px solid #e2e8f0 !important;
+              margin-bottom: 0.5rem !important;
+              page-break-inside: avoid;
+            }
+          }
+        `}</style>
+      </Head>
+
+      <div className="hidden print:flex justify-between items-center mb-6 text-slate-500 text-[10px] border-b pb-2 px-4 max-w-5xl mx-auto">
+        <span>fintoolbox.com.au</span>
+        <span>Calculation Date: {new Date().toLocaleDateString('en-AU')}</span>
+      </div>
+
+      {/* Header */}
+      <header className="max-w-5xl mx-auto px-4 pb-6 border-b border-slate-200">
+        <h1 className="text-2xl font-bold text-slate-900">HELP Repayment Calculator</h1>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 mt-4">
+        {/* Intro */}
+        <PageIntro tone="blue" className="no-print">
+          <div className="space-y-2">
+            <p>
+              <span className="font-semibold">HELP (HECS) and other study loans</span>{" "}
+              are repaid through the tax system once your repayment income is over{" "}
+              {aud0(threshold)} in {fyLabel(fy)}. The debt is indexed every 1 June, so
+              what you owe can grow even while you repay it.
+            </p>
+            <p>
+              Use this calculator to see this year&apos;s compulsory repayment and
+              project when your debt will be repaid, with or without extra
+              voluntary repayments.
+            </p>
+          </div>
+        </PageIntro>
+
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
+        <div className="no-print">
+          <SubtleCtaLink className="mt-3" href={taxCalculatorHref}>
+            See the repayment alongside your tax and take-home pay →
+          </SubtleCtaLink>
+        </div>
+
+        {/* INPUT CARD */}
+        <div className="mt-6 no-print">
+          <SectionCard title="Your details">
+            <div className="space-y-6 text-sm text-slate-700">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <FinancialYearSelect value={fy} onChange={setFy} />
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Debt at 1 July ($)
+                    <Tooltip text="All your study and training loans together. myGov shows your balance under the ATO's loan account." />
+                  </span>
+                  <CurrencyInput className="w-full" value={balance} onChange={(v) => setBalance(Number(v))} />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Repayment income ($ a year)
+                    <Tooltip text="Taxable income plus reportable fringe benefits, reportable super contributions (including salary sacrifice), net investment losses and exempt foreign employment income." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={repaymentIncome}
+                    onChange={(v) => setRepaymentIncome(Number(v))}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600">Income growth (% a year)</span>
+                  <input
+                    type="number"
+                    step="0.1"
+                    className="border rounded px-2 py-1"
+                    value={incomeGrowthPct}
+                    onChange={numberSetter("incomeGrowthPct")}
+                  />
+                </label>
+
+                <label className="flex flex-col">
+                  <span className="text-slate-600 flex items-center gap-1">
+                    Voluntary repayments ($ a year)
+                    <Tooltip text="Extra payments to the ATO. Paying before 1 June means that amount isn't indexed." />
+                  </span>
+                  <CurrencyInput
+                    className="w-full"
+                    value={voluntaryRepayment}
+                    onChange={(v) => setVoluntaryRepayment(Number(v))}
+                  />
+                </label>
+              </div>
+
+              <div className="border-t border-slate-100 pt-4">
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Future indexation
+                  <Tooltip text="Debts are indexed each 1 June by the lower of CPI and WPI growth. Published rates are used where known." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  <label className="flex flex-col">
+                    <span className="text-slate-600">Projected CPI (% a year)</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      className="border rounded px-2 py-1"
+                      value={cpiPct}
+                      onChange={numberSetter("cpiPct")}
+                    />
+                  </label>
+                  <label className="flex flex-col">
+                    <span className="text-slate-600">Projected WPI (% a year)</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      className="border rounded px-2 py-1"
+                      value={wpiPct}
+                      onChange={numberSetter("wpiPct")}
+                    />
+                  </label>
+                </div>
+              </div>
+            </div>
+          </SectionCard>
+        </div>
+
+        {/* RESULTS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="Results">
+            <SummaryGrid>
+              <SummaryCard
+                label={`Compulsory repayment ${fyLabel(fy)}`}
+                value={aud0(compulsoryThisYear)}
+                note={compulsoryThisYear > 0 ? `${pct(effectiveRate)} of repayment income` : `Under the ${aud0(threshold)} threshold`}
+              />
+              <SummaryCard
+                label="Repaid by"
+                value={paidOff ? fyLabel(payoffFy) : "Not within 50 years"}
+                note={paidOff ? `${yearsToRepay} ${yearsToRepay === 1 ? "year" : "years"}` : null}
+                badgeText={paidOff ? null : "Growing faster than repayments"}
+                badgeTone="negative"
+              />
+              <SummaryCard label="Total repaid" value={aud0(totalCompulsory + totalVoluntary)} note={totalVoluntary > 0 ? `Including ${aud0(totalVoluntary)} voluntary` : null} />
+              <SummaryCard label="Total indexation" value={aud0(totalIndexation)} />
+              {totalReductions > 0 && (
+                <SummaryCard label="Debt cut" value={aud0(totalReductions)} note="20% cut on 1 June 2025" />
+              )}
+            </SummaryGrid>
+
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
+            </div>
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
+          </SectionCard>
+        </div>
+
+        {/* CHART */}
+        {chartData.length > 0 && (
+          <div className="mt-8 printable-section">
+            <SectionCard title="Debt remaining">
+              <div data-report-chart="Debt remaining" className="w-full h-64">
+                <ResponsiveContainer>
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tick={{ fontSize: 10, fill: "#4b5563" }} />
+                    <YAxis tickFormatter={aud0} tick={{ fontSize: 10, fill: "#4b5563" }} />
+                    <RTooltip content={<ChartTooltip valueFormatter={aud0} />} />
+                    <Line type="monotone" dataKey="Debt remaining" stroke="#1e3a8a" strokeWidth={2} dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </SectionCard>
+          </div>
+        )}
+
+        {/* PROJECTION TABLE */}
+        {years.length > 0 && (
+          <div className="mt-8 no-print">
+            <SectionCard title="Year by year">
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-xs text-slate-700">
+                  <thead className="text-left text-slate-600">
+                    <tr>
+                      <th className="py-1 pr-3 font-medium">Year</th>
+                      <th className="py-1 pr-3 font-medium text-right">Opening</th>
+                      <th className="py-1 pr-3 font-medium text-right">Repayment income</th>
+                      <th className="py-1 pr-3 font-medium text-right">Voluntary and cuts</th>
+                      <th className="py-1 pr-3 font-medium text-right">Indexation</th>
+                      <th className="py-1 pr-3 font-medium text-right">Compulsory</th>
+                      <th className="py-1 font-medium text-right">Closing</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {years.map((y) => (
+                      <tr key={y.fy} className="border-t border-slate-100">
+                        {yearRow(y).map((cell, i) => (
+                          <td key={i} className={`py-1 ${i < 6 ? "pr-3" : ""} ${i > 0 ? "text-right" : ""}`}>
+                            {cell}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </SectionCard>
+          </div>
+        )}
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="study-loan-repayment"
+            schema={STUDY_LOAN_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateStudyLoan}
+            metrics={SCENARIO_METRICS}
+            chart={SCENARIO_CHART}
+          />
+        </div>
+
+        {/* ASSUMPTIONS */}
+        <div className="mt-8 printable-section">
+          <SectionCard title="How this calculator works">
+            <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
+              <li>
+                <span className="text-slate-800 font-medium">Repayments:</span>{" "}
+                Up to 2024–25 the compulsory repayment is a percentage of your whole
+                repayment income, set by the band it falls in. From 2025–26 it is
+                15% of income over $67,000 and 17% over $125,000, never
+                more than 10% of repayment income. Thresholds after the latest
+                published year are indexed by your projected CPI.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Indexation:</span> The
+                debt is indexed on 1 June by the published rate for that year, and
+                after that by the lower of your projected CPI and WPI. Voluntary
+                repayments are assumed to be made before 1 June, and compulsory
+                repayments to be credited when your return is assessed, after that
+                year&apos;s indexation.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">20% cut:</span> Debts
+                on 1 June 2025 were reduced by 20% before that year&apos;s
+                indexation; projections starting in 2024–25 or earlier include it.
+              </li>
+              <li>
+                <span className="text-slate-800 font-medium">Not included:</span>{" "}
+                Overseas repayment obligations, repayments deferred for low family
+                income, and new borrowing.
+              </li>
+            </ul>
+          </SectionCard>
+        </div>
+      </div>
+
+      {/* Disclaimer */}
+      <div className="max-w-5xl mx-auto px-4 mt-12 mb-12 text-[11px] text-slate-500 leading-snug no-print">
+        <p>
+          This calculator is general information only. It does not consider your
+          personal objectives, financial situation, or needs, and it uses
+          simplified repayment rules and assumptions.
+        </p>
+      </div>
+    </>
+  );
+}
@@ -1,6 +1,7 @@
 // pages/calculators/tax-calculator.js
-import { useMemo, useState } from "react";
+import { useMemo } from "react";
 import Head from "next/head";
+import Link from "next/link";
 
 import CurrencyInput from "@/components/CurrencyInput";
 import Tooltip from "@/components/Tooltip";
@@ -9,7 +10,16 @@ import PageIntro from "@/components/PageIntro";
 import SubtleCtaLink from "@/components/SubtleCtaLink";
 import SummaryGrid from "@/components/SummaryGrid";
 import SummaryCard from "@/components/SummaryCard";
-import { Printer } from "lucide-react";
+import FinancialYearSelect from "@/components/FinancialYearSelect";
+import CopyLinkButton from "@/components/CopyLinkButton";
+import DownloadReportButton from "@/components/DownloadReportButton";
+import ExportButtons from "@/components/ExportButtons";
+import ScenarioManager from "@/components/ScenarioManager";
+import useUrlState from "@/hooks/useUrlState";
+import { getTaxYear, fyLabel, fyPeriod } from "@/lib/tax";
+import { calculateTakeHome, TAKE_HOME_INPUTS } from "@/lib/tax/takeHome";
+import { concessionalCap } from "@/lib/super/contributions";
+import { schemaInputs } from "@/lib/export";
 
 // Currency formatter (house style)
 function aud0(n) {
@@ -25,292 +35,348 @@ function aud0(n) {
 // For offsets shown as negative benefits (e.g., LITO/SAPTO)
 const fmtOffsetAud = (n) => (n > 0 ? `-${aud0(n)}` : "$0");
 
-// ───────────────────────────────────────────────────────────
-// New constants & helpers (deductions)
-// ───────────────────────────────────────────────────────────
-const WFH_RATE = 0.70;        // ATO fixed rate per hour
-const CONCESSIONAL_CAP = 30000; // From 1 Jul 2024
-
-function clampNonNegative(n) {
-  const x = Number(n);
-  return Number.isFinite(x) ? Math.max(0, x) : 0;
-}
-function calcWfhDeduction(hours) {
-  return clampNonNegative(hours) * WFH_RATE;
-}
-function calcEffectiveSalarySacrifice(amount) {
-  return Math.min(clampNonNegative(amount), CONCESSIONAL_CAP);
-}
-
-/** ---------- Resident bracket tax (from 1 July 2024) ----------
- *  0–18,200: 0%
- *  18,201–45,000: 16%
- *  45,001–135,000: 30%
- *  135,001–190,000: 37%
- *  190,001+: 45%
- *  Excludes Medicare & offsets here (we add below).
- */
-function bracketTax2025Plus(income) {
-  if (income <= 18200) return 0;
-  if (income <= 45000) return (income - 18200) * 0.16;
-  if (income <= 135000) return 4288 + (income - 45000) * 0.30;
-  if (income <= 190000) return 31288 + (income - 135000) * 0.37;
-  return 51638 + (income - 190000) * 0.45;
-}
-
-/** ---------- LITO (Low Income Tax Offset) 2024–25 ----------
- *  ≤ $37,500: $700
- *  $37,501–$45,000: $700 − 5% × (excess over 37,500)
- *  $45,001–$66,667: $325 − 1.5% × (excess over 45,000)
- *  ≥ $66,668: $0
- *  Non-refundable: cannot reduce bracket tax below 0.
- */
-function litoAmount(income) {
-  if (income <= 37500) return 700;
-  if (income <= 45000) return Math.max(0, 700 - 0.05 * (income - 37500));
-  if (income <= 66667) return Math.max(0, 325 - 0.015 * (income - 45000));
-  return 0;
-}
-
-/** ---------- Medicare levy (2%) with low-income thresholds (2024–25) ---------- */
-function medicareLevyAnnual({
-  taxableIncome,
-  maritalStatus,        // 'single' | 'couple'
-  dependants,           // integer
-  saptoEligible,        // boolean → uses seniors thresholds
-  partnerTaxableIncome, // number (0 if single)
-}) {
-  const income = Math.max(0, taxableIncome);
-  const partner = Math.max(0, partnerTaxableIncome || 0);
-  const combined = maritalStatus === "couple" ? income + partner : income;
-
-  // base thresholds 2024–25
-  const singleLower = saptoEligible ? 43020 : 27222;
-  // simple pivot for where full 2% kicks in for singles
-  const singleUpper = saptoEligible ? singleLower + (0.02 * singleLower) / 0.10 : 34027;
-
-  const familyLowerBase = saptoEligible ? 59886 : 45907;
-  const perChildUplift = 4216; // each dependent child after the first
-  const familyLower = familyLowerBase + Math.max(0, dependants - 1) * perChildUplift;
-  // simple pivot for families
-  const familyUpper = familyLower + (0.02 * familyLower) / 0.10;
-
-  // helper to compute levy for a given income using a lower/upper pivot
-  const phasedLevy = (amt, lower, upper) => {
-    if (amt <= lower) return 0;
-    if (amt <= upper) return 0.10 * (amt - lower); // phased
-    return 0.02 * amt; // full rate
-  };
-
-  if (maritalStatus === "single") {
-    // Singles: thresholds assessed on your income; levy charged on your income.
-    return Math.round(phasedLevy(income, singleLower, singleUpper));
-  }
-
-  // Couple:
-  // Use combined income to determine which regime applies,
-  // but ALWAYS charge the levy on *your* income only.
-  if (combined <= familyLower) {
-    // No levy for either spouse when family income is under the lower threshold.
-    return 0;
-  }
-  if (combined <= familyUpper) {
-    // Phase-in zone: apply the phase-in formula to YOUR income against family thresholds.
-    return Math.round(Math.max(0, 0.10 * (income - familyLower)));
-  }
-  // Above the pivot: full levy rate on YOUR income only.
-  return Math.round(0.02 * income);
-}
-
-/** ---------- Medicare Levy Surcharge (MLS) 2024–25 ----------
- * MVP simplification: uses taxable income as "income for MLS purposes".
- */
-function mlsRate({
-  maritalStatus,
-  taxableIncome,
-  partnerTaxableIncome,
-  dependants,
-}) {
-  const singleTiers = [97000, 113000, 151000]; // base end, tier1 end, tier2 end (tier3 above)
-  const familyBase = 194000 + Math.max(0, dependants - 1) * 1500;
-
-  const combined =
-    maritalStatus === "couple"
-      ? Math.max(0, taxableIncome) + Math.max(0, partnerTaxableIncome || 0)
-      : Math.max(0, taxableIncome);
-
-  let tierRate = 0;
-  if (maritalStatus === "single") {
-    if (combined <= singleTiers[0]) tierRate = 0;
-    else if (combined <= singleTiers[1]) tierRate = 0.01;
-    else if (combined <= singleTiers[2]) tierRate = 0.0125;
-    else tierRate = 0.015;
-  } else {
-    if (combined <= familyBase) tierRate = 0;
-    else if (combined <= familyBase + 32000) tierRate = 0.01;    // 194k→226k
-    else if (combined <= familyBase + 108000) tierRate = 0.0125; // 226k→302k
-    else tierRate = 0.015;
-  }
-  return tierRate;
-}
-
-/** ---------- SAPTO (simple estimate) 2024–25 ---------- */
-function saptoAmount({ maritalStatus, taxpayerIncome, partnerIncome, taxpayerEligible, partnerEligible }) {
-  const singleMax = 2230, singleShade = 34919, singleCut = 52759;
-  const coupleMaxEach = 1602, coupleShadeEach = 30994, coupleCutCombined = 87620;
-
-  function perPerson(income, max, shade, cut) {
-    if (!max) return 0;
-    if (income <= shade) return max;
-    const excess = Math.max(0, income - shade);
-    const tapered = Math.max(0, max - 0.125 * excess);
-    if (income >= cut) return 0;
-    return tapered;
-  }
-
-  if (maritalStatus === "single") {
-    if (!taxpayerEligible) return 0;
-    return Math.round(perPerson(taxpayerIncome, singleMax, singleShade, singleCut));
-  }
-
-  const combined = (taxpayerIncome || 0) + (partnerIncome || 0);
-  if (combined >= coupleCutCombined) return 0;
-
-  const you = taxpayerEligible ? perPerson(taxpayerIncome, coupleMaxEach, coupleShadeEach, Infinity) : 0;
-  const spouse = partnerEligible ? perPerson(partnerIncome, coupleMaxEach, coupleShadeEach, Infinity) : 0;
-
-  return Math.round(you + spouse);
-}
+// Headline figures (per year) for comparing saved scenarios
+const SCENARIO_METRICS = [
+  { label: "Taxable income (after deductions)", value: (r) => r.taxableIncome, format: aud0 },
+  { label: "Tax payable", value: (r) => r.tax.grossTax, format: aud0, better: "lower" },
+  { label: "Tax including Medicare + offsets", value: (r) => r.totalTaxAnnual, format: aud0, better: "lower" },
+  { label: "Study loan repayment", value: (r) => r.studyLoanRepayment, format: aud0, better: "lower" },
+  { label: "Franking credit refund", value: (r) => r.frankingRefund, format: aud0, better: "higher" },
+  { label: "Take-home pay (per annum)", value: (r) => r.takeHomeAnnual, format: aud0, better: "higher" },
+  { label: "Marginal tax rate", value: (r) => r.marginalRate, format: (n) => `${n.toFixed(1)}%` },
+];
+
+// Spreadsheet export: input labels and the annual tax position as one row
+const EXPORT_FIELDS = {
+  fy: "Financial year",
+  income: { label: "Income (per pay frequency)", format: "currency" },
+  frequency: "Pay frequency",
+  maritalStatus: "Status",
+  partnerIncome: { label: "Partner income (annual)", format: "currency" },
+  dependants: "Dependent children",
+  includeLITO: "Apply LITO",
+  includeMedicare: "Include Medicare levy",
+  privateHospitalCover: "Private hospital cover",
+  saptoYou: "Eligible for SAPTO",
+  saptoPartner: "Partner eligible for SAPTO",
+  salarySacrifice: { label: "Salary sacrifice (annual)", format: "currency" },
+  otherDeductions: { label: "Other deductions (annual)", format: "currency" },
+  wfhHours: "Work-from-home hours",
+  studyLoan: "Study or training loan debt",
+  dividends: { label: "Dividends received (annual)", format: "currency" },
+  frankingPct: "Franking (%)",
+  companyTaxRate: "Company tax rate (%)",
+  paySlipMode: "Pay-slip mode",
+  claimsTaxFreeThreshold: "Tax-free threshold claimed",
+  medicareVariation: "Medicare levy variation",
+};
+const EXPORT_COLUMNS = [
+  { key: "SalarySacrifice", format: "currency", value: (r) => r.effectiveSS },
+  { key: "WfhDeduction", format: "currency", value: (r) => r.wfhDeduction },
+  { key: "OtherDeductions", format: "currency", value: (r) => r.otherDeductionClamped },
+  { key: "Dividends", format: "currency", value: (r) => r.franking.dividend },
+  { key: "FrankingCredits", format: "currency", value: (r) => r.franking.frankingCredit },
+  { key: "TaxableIncome", format: "currency", value: (r) => r.taxableIncome },
+  { key: "GrossTax", format: "currency", value: (r) => r.tax.grossTax },
+  { key: "Lito", format: "currency", value: (r) => r.tax.lito },
+  { key: "Lmito", format: "currency", value: (r) => r.tax.lmito },
+  { key: "Sapto", format: "currency", value: (r) => r.tax.sapto },
+  { key: "MedicareLevy", format: "currency", value: (r) => r.tax.medicareLevy },
+  { key: "MedicareLevySurcharge", format: "currency", value: (r) => r.tax.mls },
+  { key: "FrankingOffset", format: "currency", value: (r) => r.franking.offsetUsed },
+  { key: "TotalTax", format: "currency", value: (r) => r.totalTaxAnnual },
+  { key: "FrankingRefund", format: "currency", value: (r) => r.frankingRefund },
+  { key: "StudyLoanRepayment", format: "currency", value: (r) => r.studyLoanRepayment },
+  { key: "MarginalRate", format: "percent", value: (r) => r.tax.marginalRate },
+  { key: "TakeHomeAnnual", format: "currency", value: (r) => r.takeHomeAnnual },
+  { key: "TakeHomeMonthly", format: "currency", value: (r) => r.takeHomeMonthly },
+  { key: "TakeHomeFortnightly", format: "currency", value: (r) => r.takeHomeFortnightly },
+  { key: "ContributionsTax", format: "currency", value: (r) => r.contributionsTax },
+  { key: "NetToSuperFromSacrifice", format: "currency", value: (r) => r.netToSuperFromSacrifice },
+  { key: "WithheldPerPay", format: "currency", value: (r) => r.payslip?.total ?? null },
+  { key: "WithheldAnnual", format: "currency", value: (r) => r.payslip?.annual ?? null },
+  { key: "AssessedAtYearEnd", format: "currency", value: (r) => r.payslip?.assessed ?? null },
+  { key: "ExpectedRefund", format: "currency", value: (r) => r.payslip?.refund ?? null },
+];
+
+const PAY_PERIOD_NAMES = { weekly: "week", fortnightly: "fortnight", monthly: "month" };
+const COMPANY_TAX_RATE_OPTIONS = [
+  ["30", "30% (large companies)"],
+  ["25", "25% (base rate entities)"],
+];
+const MEDICARE_VARIATION_LABELS = {
+  none: "None",
+  half: "Half exemption",
+  full: "Full exemption",
+};
 
 export default function TaxCalculator() {
-  // Inputs
-  const [income, setIncome] = useState(90000);
-  const [frequency, setFrequency] = useState("annual"); // annual, monthly, fortnightly, weekly
-  const [maritalStatus, setMaritalStatus] = useState("single"); // 'single' | 'couple'
-  const [partnerIncome, setPartnerIncome] = useState(0);
-  const [dependants, setDependants] = useState(0);
-
-  const [includeLITO, setIncludeLITO] = useState(true);
-  const [includeMedicare, setIncludeMedicare] = useState(true);
-  const [privateHospitalCover, setPrivateHospitalCover] = useState(false);
-  const [saptoYou, setSaptoYou] = useState(false);
-  const [saptoPartner, setSaptoPartner] = useState(false);
-
-  // NEW: Deductions inputs
-  const [salarySacrifice, setSalarySacrifice] = useState(0);  // $/year (pre-tax)
-  const [otherDeductions, setOtherDeductions] = useState(0); // $/year
-  const [wfhHours, setWfhHours] = useState(0);                // hours/year
-
-  // Annualise
-  const annualIncome = useMemo(() => {
-    const v = Number(income) || 0;
-    switch (frequency) {
-      case "monthly": return v * 12;
-      case "fortnightly": return v * 26;
-      case "weekly": return v * 52;
-      default: return v;
-    }
-  }, [income, frequency]);
-
-  const partnerAnnualIncome = useMemo(() => {
-    const v = Number(partnerIncome) || 0;
-    return maritalStatus === "couple" ? v : 0;
-  }, [partnerIncome, maritalStatus]);
-
-  // NEW: compute deductions & taxable income
-  const effectiveSS = useMemo(() => calcEffectiveSalarySacrifice(salarySacrifice), [salarySacrifice]);
-  const wfhDeduction = useMemo(() => calcWfhDeduction(wfhHours), [wfhHours]);
-  const otherDeductionClamped = useMemo(() => clampNonNegative(otherDeductions), [otherDeductions]);
-  const totalNewDeductions = useMemo(
-    () => Math.round(effectiveSS + wfhDeduction + otherDeductionClamped),
-    [effectiveSS, wfhDeduction, otherDeductionClamped]
-  );
-
-  const taxableIncome = useMemo(
-    () => Math.max(0, Math.round(annualIncome - totalNewDeductions)),
-    [annualIncome, totalNewDeductions]
-  );
-
-  // Bracket tax (use TAXABLE income)
-  const bracketTax = useMemo(() => Math.max(0, bracketTax2025Plus(taxableIncome)), [taxableIncome]);
-
-  // LITO (non-refundable)
-  const lito = useMemo(() => (includeLITO ? litoAmount(taxableIncome) : 0), [taxableIncome, includeLITO]);
-  const taxAfterLITO = Math.max(0, bracketTax - lito);
-
-  // SAPTO (simple)
-  const sapto = useMemo(
+  // Inputs (mirrored to the query string so the scenario can be shared)
+  const { inputs, setInputs, setInput, queryString, notice } = useUrlState(TAKE_HOME_INPUTS);
+  const {
+    fy,
+    income,
+    frequency, // annual, monthly, fortnightly, weekly
+    maritalStatus, // 'single' | 'couple'
+    partnerIncome,
+    dependants,
+    includeLITO,
+    includeMedicare,
+    privateHospitalCover,
+    saptoYou,
+    saptoPartner,
+    salarySacrifice, // $/year (pre-tax)
+    otherDeductions, // $/year
+    wfhHours, // hours/year
+    dividends, // $/year cash
+    frankingPct,
+    companyTaxRate, // '30' | '25'
+    paySlipMode,
+    claimsTaxFreeThreshold,
+    medicareVariation, // 'none' | 'half' | 'full'
+    studyLoan,
+  } = inputs;
+  const setter = (name) => (v) => setInput(name, v);
+  const setFy = setter("fy");
+  const setIncome = setter("income");
+  const setFrequency = setter("frequency");
+  const setMaritalStatus = setter("maritalStatus");
+  const setPartnerIncome = setter("partnerIncome");
+  const setDependants = setter("dependants");
+  const setIncludeLITO = setter("includeLITO");
+  const setIncludeMedicare = setter("includeMedicare");
+  const setPrivateHospitalCover = setter("privateHospitalCover");
+  const setSaptoYou = setter("saptoYou");
+  const setSaptoPartner = setter("saptoPartner");
+  const setSalarySacrifice = setter("salarySacrifice");
+  const setOtherDeductions = setter("otherDeductions");
+  const setWfhHours = setter("wfhHours");
+  const setDividends = setter("dividends");
+  const setFrankingPct = setter("frankingPct");
+  const setCompanyTaxRate = setter("companyTaxRate");
+  const setClaimsTaxFreeThreshold = setter("claimsTaxFreeThreshold");
+  const setMedicareVariation = setter("medicareVariation");
+  const setStudyLoan = setter("studyLoan");
+
+  // A pay slip is weekly, fortnightly or monthly; switch off annual when turning the mode on
+  const setPaySlipMode = (on) =>
+    setInputs((prev) => ({
+      ...prev,
+      paySlipMode: on,
+      frequency: on && prev.frequency === "annual" ? "fortnightly" : prev.frequency,
+    }));
+
+  // Deductions, tax and take-home for the selected year (shared calculation)
+  const result = useMemo(
     () =>
-      saptoAmount({
+      calculateTakeHome({
+        fy,
+        income,
+        frequency,
         maritalStatus,
-        taxpayerIncome: taxableIncome,
-        partnerIncome: partnerAnnualIncome,
-        taxpayerEligible: saptoYou,
-        partnerEligible: saptoPartner,
+        partnerIncome,
+        dependants,
+        includeLITO,
+        includeMedicare,
+        privateHospitalCover,
+        saptoYou,
+        saptoPartner,
+        salarySacrifice,
+        otherDeductions,
+        wfhHours,
+        dividends,
+        frankingPct,
+        companyTaxRate,
+        paySlipMode,
+        claimsTaxFreeThreshold,
+        medicareVariation,
+        studyLoan,
       }),
-    [maritalStatus, taxableIncome, partnerAnnualIncome, saptoYou, saptoPartner]
+    [
+      fy,
+      income,
+      frequency,
+      maritalStatus,
+      partnerIncome,
+      dependants,
+      includeLITO,
+      includeMedicare,
+      privateHospitalCover,
+      saptoYou,
+      saptoPartner,
+      salarySacrifice,
+      otherDeductions,
+      wfhHours,
+      dividends,
+      frankingPct,
+      companyTaxRate,
+      paySlipMode,
+      claimsTaxFreeThreshold,
+      medicareVariation,
+      studyLoan,
+    ]
   );
-  const taxAfterOffsets = Math.max(0, taxAfterLITO - sapto);
-
-  // Medicare levy (based on TAXABLE income)
-  const medicare = useMemo(
-    () =>
-      includeMedicare
-        ? medicareLevyAnnual({
-            taxableIncome,
-            maritalStatus,
-            dependants: Math.max(0, parseInt(dependants || 0, 10)),
-            saptoEligible: maritalStatus === "single" ? saptoYou : saptoYou || saptoPartner,
-            partnerTaxableIncome: partnerAnnualIncome, // assumes partner’s own deductions modelled similarly
-          })
-        : 0,
-    [taxableIncome, maritalStatus, dependants, saptoYou, saptoPartner, partnerAnnualIncome, includeMedicare]
-  );
-
-  // MLS (uses TAXABLE income in MVP)
-  const mlsPct = useMemo(
-    () =>
-      privateHospitalCover
-        ? 0
-        : mlsRate({
-            maritalStatus,
-            taxableIncome,
-            partnerTaxableIncome: partnerAnnualIncome,
-            dependants: Math.max(0, parseInt(dependants || 0, 10)),
-          }),
-    [privateHospitalCover, maritalStatus, taxableIncome, partnerAnnualIncome, dependants]
-  );
-  const mls = Math.round(mlsPct * taxableIncome);
-
-  // Total tax
-  const totalTaxAnnual = Math.round(taxAfterOffsets + medicare + mls);
-
-  // Contributions tax on the sacrificed amount (standard 15%; Div293 not modelled)
-  const contributionsTax = Math.round(effectiveSS * 0.15);
-  const netToSuperFromSacrifice = Math.max(0, effectiveSS - contributionsTax);
-
-  // Take-home cash (gross less tax, then less sacrificed amount leaving payroll)
-  const takeHomeAnnual = Math.max(0, Math.round(annualIncome - totalTaxAnnual - effectiveSS));
-  const takeHomeMonthly = Math.round(takeHomeAnnual / 12);
-  const takeHomeFortnightly = Math.round(takeHomeAnnual / 26);
-  const divider = frequency === "monthly" ? 12 : frequency === "fortnightly" ? 26 : frequency === "weekly" ? 52 : 1;
+  const {
+    effectiveSS,
+    wfhRate,
+    wfhDeduction,
+    otherDeductionClamped,
+    totalNewDeductions,
+    franking,
+    taxableIncome,
+    tax,
+    totalTaxAnnual,
+    frankingRefund,
+    repaymentIncome,
+    studyLoanRepayment,
+    contributionsTax,
+    netToSuperFromSacrifice,
+    takeHomeAnnual,
+    takeHomeMonthly,
+    takeHomeFortnightly,
+    divider,
+    marginalRate,
+    payslip,
+  } = result;
+  const bracketTax = tax.grossTax;
+  const hasDividends = franking.dividend > 0;
   const per = (n) => Math.round(n / divider);
 
-  // Marginal (based on TAXABLE income)
-  const marginalRate = useMemo(() => {
-    const y = taxableIncome;
-    if (y <= 18200) return 0;
-    if (y <= 45000) return 16;
-    if (y <= 135000) return 30;
-    if (y <= 190000) return 37;
-    return 45;
-  }, [taxableIncome]);
+  // ——— PDF report ———
+  const yesNo = (b) => (b ? "Yes" : "No");
+  const getReport = () => ({
+    title: "Income Tax Calculator",
+    inputs: [
+      { label: "Financial year", value: fyLabel(fy) },
+      { label: `Income (${frequency})`, value: aud0(Number(income) || 0) },
+      { label: "Status", value: maritalStatus === "couple" ? "Couple" : "Single" },
+      ...(maritalStatus === "couple"
+        ? [{ label: "Partner income (annual)", value: aud0(Number(partnerIncome) || 0) }]
+        : []),
+      { label: "Dependent children", value: String(dependants) },
+      { label: "Include Medicare levy", value: yesNo(includeMedicare) },
+      { label: "Apply LITO", value: yesNo(includeLITO) },
+      { label: "Private hospital cover", value: yesNo(privateHospitalCover) },
+      { label: "Eligible for SAPTO", value: yesNo(saptoYou) },
+      ...(maritalStatus === "couple" ? [{ label: "Partner eligible for SAPTO", value: yesNo(saptoPartner) }] : []),
+      { label: "Salary sacrifice (annual)", value: aud0(Number(salarySacrifice) || 0) },
+      { label: "Other deductions (annual)", value: aud0(Number(otherDeductions) || 0) },
+      { label: "Work-from-home hours", value: String(wfhHours) },
+      { label: "Study or training loan debt", value: yesNo(studyLoan) },
+      ...(hasDividends
+        ? [
+            { label: "Dividends received (annual)", value: aud0(franking.dividend) },
+            { label: "Franking", value: `${Number(frankingPct) || 0}% at ${companyTaxRate}% company tax` },
+          ]
+        : []),
+      ...(payslip
+        ? [
+            { label: "Tax-free threshold claimed", value: yesNo(claimsTaxFreeThreshold) },
+            { label: "Medicare levy variation", value: MEDICARE_VARIATION_LABELS[medicareVariation] },
+          ]
+        : []),
+    ],
+    results: [
+      { label: "Taxable income (after deductions)", value: aud0(taxableIncome) },
+      { label: "Tax payable", value: aud0(bracketTax) },
+      { label: "Tax including Medicare + offsets", value: aud0(per(totalTaxAnnual)) },
+      ...(studyLoan ? [{ label: "Compulsory study loan repayment", value: aud0(studyLoanRepayment) }] : []),
+      ...(hasDividends ? [{ label: "Franking credits", value: aud0(franking.frankingCredit) }] : []),
+      ...(frankingRefund > 0 ? [{ label: "Excess franking credits refunded", value: aud0(frankingRefund) }] : []),
+      { label: "Take-home pay per annum", value: aud0(takeHomeAnnual) },
+      { label: "Take-home pay per month", value: aud0(takeHomeMonthly) },
+      { label: "Take-home pay per fortnight", value: aud0(takeHomeFortnightly) },
+      { label: "Marginal rate (bracket)", value: `${marginalRate}%` },
+      ...(payslip
+        ? [
+            { label: `Withheld per ${PAY_PERIOD_NAMES[frequency]} pay`, value: aud0(payslip.total) },
+            { label: payslip.refund >= 0 ? "Expected refund" : "Expected tax bill", value: aud0(Math.abs(payslip.refund)) },
+          ]
+        : []),
+    ],
+    rules: [
+      { label: `Resident tax rates, offsets and levies (${fyLabel(fy)})`, value: fyPeriod(fy) },
+      { label: "Work-from-home fixed rate", value: `$${wfhRate.toFixed(2)} per hour` },
+      ...(payslip
+        ? [{ label: "PAYG withholding", value: `Schedule 1 scale ${payslip.scale}, from ${payslip.scheduleFrom}` }]
+        : []),
+    ],
+    tables: [
+      {
+        title: "Tax breakdown (annual)",
+        head: ["Item", "Amount"],
+        body: [
+          ["Salary sacrifice (deduction)", aud0(effectiveSS)],
+          ["Work-from-home deduction", aud0(wfhDeduction)],
+          ["Other deductions", aud0(otherDeductionClamped)],
+          ...(hasDividends
+            ? [
+                ["Dividends received", aud0(franking.dividend)],
+                ["Franking credits (gross-up)", aud0(franking.frankingCredit)],
+              ]
+            : []),
+          ["Taxable income", aud0(taxableIncome)],
+          ["Tax on taxable income", aud0(tax.grossTax)],
+          ["Low income tax offset", fmtOffsetAud(tax.lito)],
+          ["Seniors and pensioners tax offset", fmtOffsetAud(tax.sapto)],
+          ["Medicare levy", aud0(tax.medicareLevy)],
+          ["Medicare levy surcharge", aud0(tax.mls)],
+          ...(hasDividends ? [["Franking tax offset", fmtOffsetAud(franking.offsetUsed)]] : []),
+          ["Total tax", aud0(totalTaxAnnual)],
+          ...(frankingRefund > 0 ? [["Excess franking credits refunded", aud0(frankingRefund)]] : []),
+          ...(studyLoan
+            ? [
+                [`Repayment income (taxable income + salary sacrifice)`, aud0(repaymentIncome)],
+                ["Compulsory study loan repayment", aud0(studyLoanRepayment)],
+              ]
+            : []),
+          ["Contributions tax on salary sacrifice (15%)", aud0(contributionsTax)],
+          ["Net to super from salary sacrifice", aud0(netToSuperFromSacrifice)],
+        ],
+      },
+      ...(payslip
+        ? [
+            {
+              title: "Pay slip reconciliation (annual)",
+              head: ["Item", "Amount"],
+              body: [
+                [`Tax withheld (${payslip.periodsPerYear} pays)`, aud0(payslip.tax * payslip.periodsPerYear)],
+                ["Study loan component withheld", aud0(payslip.studyLoan * payslip.periodsPerYear)],
+                ["Total withheld", aud0(payslip.annual)],
+                ["Medicare levy exemption (taken off total tax)", fmtOffsetAud(payslip.medicareExemption)],
+                ["Total tax", aud0(totalTaxAnnual)],
+                ["Franking credit refund", fmtOffsetAud(frankingRefund)],
+                ["Compulsory study loan repayment", aud0(studyLoanRepayment)],
+                ["Assessed at year end", aud0(payslip.assessed)],
+                [payslip.refund >= 0 ? "Expected refund" : "Expected tax bill", aud0(Math.abs(payslip.refund))],
+              ],
+            },
+          ]
+        : []),
+    ],
+    notes: [
+      "MLS uses taxable income for simplicity. Real MLS uses income for MLS purposes (adds fringe benefits etc).",
+      "Division 293 (additional 15% contributions tax for high incomes) is not modelled.",
+      ...(payslip
+        ? ["The reconciliation assumes the same pay every pay period for the whole year; tax on dividends is settled at year end."]
+        : []),
+    ],
+  });
+
+  // ——— Spreadsheet export ———
+  const getExport = () => ({
+    title: "Income Tax Calculator",
+    inputs: schemaInputs(TAKE_HOME_INPUTS, inputs, EXPORT_FIELDS),
+    sheet: "Results",
+    columns: EXPORT_COLUMNS,
+    rows: [result],
+  });
 
   // ——— SEO constants ———
   const pageUrl = "https://fintoolbox.com.au/calculators/tax-calculator";
   const pageTitle = "Income Tax Calculator (Australia)";
   const pageDescription =
-    "Estimate Australian income tax with 2025–26 resident tax brackets. Toggle Medicare levy, LITO, SAPTO and MLS. Shows take-home pay by pay frequency.";
+    "Estimate Australian income tax with resident tax brackets from 2020–21 to 2026–27. Toggle Medicare levy, LITO, SAPTO and MLS, and add franked dividends. Shows take-home pay by pay frequency.";
 
   return (
     <main>
@@ -371,7 +437,7 @@ export default function TaxCalculator() {
         <PageIntro tone="blue" className="no-print">
           <div className="space-y-2">
             <p>
-              Estimate your Australian resident income tax for the 2025-2026 financial year, including Medicare levy,
+              Estimate your Australian resident income tax for the {fyLabel(fy)} financial year, including Medicare levy,
               SAPTO and the Medicare Levy Surcharge (MLS). Choose weekly, fortnightly, monthly or annual payment periods.
             </p>
             <p className="mt-2">
@@ -380,9 +446,19 @@ export default function TaxCalculator() {
             <p className="mt-2">
               Enter your income, tax deductions and family status below, to calculate tax payable and take home pay.
             </p>
+            <p className="mt-2">
+              Checking a pay slip? Turn on the pay slip check to see the PAYG tax your employer should withhold each pay,
+              and whether you are heading for a refund or a bill at tax time.
+            </p>
           </div>
         </PageIntro>
 
+        {notice && (
+          <PageIntro tone="amber" className="mt-4 no-print">
+            <p>{notice}</p>
+          </PageIntro>
+        )}
+
         <div className="no-print">
           {/* Optional guide link */}
           <SubtleCtaLink className="mt-3" href="/blog/how-to-pay-less-tax-in-australia">
@@ -401,6 +477,8 @@ export default function TaxCalculator() {
                   <Tooltip text="Enter your gross pay and frequency. We annualise it for tax calculations." />
                 </h3>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                  <FinancialYearSelect value={fy} onChange={setFy} />
+
                   <label className="flex flex-col">
                     <span className="text-slate-600">Income</span>
                     <CurrencyInput
@@ -418,7 +496,7 @@ export default function TaxCalculator() {
                       value={frequency}
                       onChange={(e) => setFrequency(e.target.value)}
                     >
-                      <option value="annual">Annual</option>
+                      {!paySlipMode && <option value="annual">Annual</option>}
                       <option value="monthly">Monthly</option>
                       <option value="fortnightly">Fortnightly</option>
                       <option value="weekly">Weekly</option>
@@ -516,6 +594,16 @@ export default function TaxCalculator() {
                     I had private hospital cover all year (disables MLS)
                     <Tooltip text="Without cover and above the MLS threshold, a 1.0–1.5% surcharge applies." />
                   </label>
+
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={studyLoan}
+                      onChange={(e) => setStudyLoan(e.target.checked)}
+                    />
+                    I have a HELP or other study loan debt
+                    <Tooltip text="HELP, VSL, SFSS, SSL, ABSTUDY SSL or AASL. Adds the compulsory repayment, worked out on your income plus salary sacrifice." />
+                  </label>
                 </div>
 
                 {/* SAPTO panel */}
@@ -555,7 +643,7 @@ export default function TaxCalculator() {
     <label className="flex flex-col">
       <span className="text-slate-600 flex items-center gap-2">
         Salary sacrifice to super ($/year)
-        <Tooltip text="Pre-tax super contributions. Reduces taxable income but is taxed at 15% in super. Subject to the concessional cap (includes employer SG) of $30,000 in 2025-2026." />
+        <Tooltip text={`Pre-tax super contributions. Reduces taxable income but is taxed at 15% in super. Subject to the concessional cap (includes employer SG) of ${aud0(concessionalCap(fy))} in ${fyLabel(fy)}.`} />
       </span>
       <CurrencyInput
         className="w-full"
@@ -583,7 +671,7 @@ export default function TaxCalculator() {
     <label className="flex flex-col">
       <span className="text-slate-600 flex items-center gap-2">
         Work-from-home hours (per year)
-        <Tooltip text="Uses ATO fixed rate of $0.70/hour. Covers electricity, internet/phone, stationery & consumables." />
+        <Tooltip text={`Uses the ATO fixed rate of $${wfhRate.toFixed(2)}/hour for ${fyLabel(fy)}. Covers electricity, internet/phone, stationery & consumables.`} />
       </span>
       <input
         type="number"
@@ -599,6 +687,109 @@ export default function TaxCalculator() {
   
 </div>
 
+              {/* Dividends & franking */}
+              <div>
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Dividends &amp; franking
+                  <Tooltip text="Dividends are taxed grossed up by their franking credits. The credits then come off your tax, and any excess is refunded." />
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Dividends received ($/year)
+                      <Tooltip text="Cash dividends for the year, including any reinvested under a dividend reinvestment plan." />
+                    </span>
+                    <CurrencyInput
+                      className="w-full"
+                      value={dividends}
+                      onChange={(v) => setDividends(Number(v || 0))}
+                      placeholder="e.g. 5,000"
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Franking (%)
+                      <Tooltip text="How much of the dividend is franked, from your dividend statements. Most large Australian companies pay fully franked (100%) dividends." />
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="border rounded px-2 py-1"
+                      value={frankingPct}
+                      onChange={(e) => setFrankingPct(e.target.value === "" ? "" : Number(e.target.value))}
+                    />
+                  </label>
+
+                  <label className="flex flex-col">
+                    <span className="text-slate-600 flex items-center gap-2">
+                      Company tax rate
+                      <Tooltip text="The rate the company franks at. Base rate entities (smaller companies) frank at 25%." />
+                    </span>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={companyTaxRate}
+                      onChange={(e) => setCompanyTaxRate(e.target.value)}
+                    >
+                      {COMPANY_TAX_RATE_OPTIONS.map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+
+              {/* Pay slip (PAYG withholding) */}
+              <div>
+                <h3 className="font-medium text-slate-800 flex items-center gap-2 text-sm mb-2">
+                  Pay slip check
+                  <Tooltip text="Works out the tax your employer should withhold from each pay using the ATO tax tables, and compares a year of it with the tax above." />
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={paySlipMode}
+                    onChange={(e) => setPaySlipMode(e.target.checked)}
+                  />
+                  Check my pay slip (income above is gross pay per pay period)
+                </label>
+
+                {paySlipMode && (
+                  <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 text-sm text-slate-700">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={claimsTaxFreeThreshold}
+                        onChange={(e) => setClaimsTaxFreeThreshold(e.target.checked)}
+                      />
+                      I claim the tax-free threshold from this employer
+                      <Tooltip text="Claim it from one employer only. Without it, tax is withheld from the first dollar (scale 1)." />
+                    </label>
+
+                    <label className="flex flex-col">
+                      <span className="text-slate-600 flex items-center gap-2">
+                        Medicare levy variation
+                        <Tooltip text="Lodged with your employer on a Medicare levy variation declaration. Only applies when you claim the tax-free threshold." />
+                      </span>
+                      <select
+                        className="border rounded px-2 py-1"
+                        value={medicareVariation}
+                        onChange={(e) => setMedicareVariation(e.target.value)}
+                      >
+                        {Object.entries(MEDICARE_VARIATION_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+              </div>
+
             </div>
           </SectionCard>
         </div>
@@ -612,12 +803,35 @@ export default function TaxCalculator() {
 
               <SummaryCard label="Tax payable" value={aud0(bracketTax)} />
               <SummaryCard label={`Tax including Medicare + offsets`} value={aud0(per(totalTaxAnnual))} />
+              {studyLoan && (
+                <SummaryCard
+                  label="Study loan repayment"
+                  value={aud0(studyLoanRepayment)}
+                  suffix="per annum"
+                  note={`On repayment income of ${aud0(repaymentIncome)}`}
+                />
+              )}
+              {hasDividends && (
+                <SummaryCard
+                  label="Franking credits"
+                  value={aud0(franking.frankingCredit)}
+                  suffix="per annum"
+                  note={
+                    frankingRefund > 0
+                      ? `${aud0(frankingRefund)} more than your tax, refunded`
+                      : `On ${aud0(franking.dividend)} of dividends`
+                  }
+                  badgeText={frankingRefund > 0 ? "Refund" : null}
+                  badgeTone="positive"
+                />
+              )}
 
               {/* Take-home results (highlighted, after sacrifice) */}
               <SummaryCard
                 label="Take-home pay"
                 value={aud0(takeHomeAnnual)}
                 suffix="per annum"
+                note={hasDividends ? "Including dividends and any franking refund" : null}
                 className="bg-blue-50 border-blue-100"
               />
               <SummaryCard
@@ -657,18 +871,26 @@ export default function TaxCalculator() {
                   Assumes 15% contributions tax. Division 293 (additional 15% for high incomes) not modelled.
                 </p>
               </div>
+
+              {hasDividends && (
+                <div className="rounded-lg border p-3">
+                  <div className="font-medium mb-2">Dividends &amp; franking</div>
+                  <ul className="space-y-1">
+                    <li className="flex justify-between"><span>Dividends received</span><span>{aud0(franking.dividend)}</span></li>
+                    <li className="flex justify-between"><span>Franking credits (gross-up)</span><span>{aud0(franking.frankingCredit)}</span></li>
+                    <li className="flex justify-between"><span>Included in taxable income</span><span>{aud0(franking.grossedUp)}</span></li>
+                    <li className="flex justify-between border-t pt-2 mt-2"><span>Franking tax offset used</span><span>{fmtOffsetAud(franking.offsetUsed)}</span></li>
+                    <li className="flex justify-between font-medium"><span>Excess credits refunded</span><span>{aud0(frankingRefund)}</span></li>
+                  </ul>
+                </div>
+              )}
             </div>
 
-            <div className="mt-6 flex justify-end no-print">
-              <button
-                type="button"
-                onClick={() => window.print()}
-                className="inline-flex items-center gap-2 rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-gray-700"
-              >
-                <Printer className="h-4 w-4" />
-                Download Calculation (PDF)
-              </button>
+            <div className="mt-6 flex justify-end gap-3 no-print">
+              <CopyLinkButton queryString={queryString} />
+              <DownloadReportButton getReport={getReport} queryString={queryString} />
             </div>
+            <ExportButtons getExport={getExport} queryString={queryString} className="justify-end mt-3" />
 
             <div className="mt-3 text-[11px] text-slate-500 leading-snug no-print">
               MLS uses taxable income for simplicity. Real MLS uses “income for MLS purposes” (adds fringe benefits etc).
@@ -676,15 +898,112 @@ export default function TaxCalculator() {
           </SectionCard>
         </div>
 
+        {/* PAY SLIP CHECK */}
+        {payslip && (
+          <div className="mt-8 printable-section">
+            <SectionCard
+              title="Pay slip check"
+              aside={<span className="text-xs text-slate-500">ATO Schedule 1, scale {payslip.scale}</span>}
+            >
+              <SummaryGrid>
+                <SummaryCard
+                  label={`Tax withheld per ${PAY_PERIOD_NAMES[frequency]}`}
+                  value={aud0(payslip.tax)}
+                  note={`On ${aud0(payslip.earnings)} gross after salary sacrifice`}
+                />
+                {studyLoan && (
+                  <SummaryCard
+                    label={`Study loan component per ${PAY_PERIOD_NAMES[frequency]}`}
+                    value={aud0(payslip.studyLoan)}
+                  />
+                )}
+                <SummaryCard
+                  label={payslip.refund >= 0 ? "Expected refund" : "Expected tax bill"}
+                  value={aud0(Math.abs(payslip.refund))}
+                  note="Withheld over the year less the tax assessed"
+                  badgeText={payslip.refund >= 0 ? "Refund" : "Bill"}
+                  badgeTone={payslip.refund >= 0 ? "positive" : "negative"}
+                  className="bg-blue-50 border-blue-100"
+                />
+              </SummaryGrid>
+
+              <div className="mt-4 rounded-lg border p-3 text-sm text-slate-700">
+                <div className="font-medium mb-2">Year-end reconciliation</div>
+                <ul className="space-y-1">
+                  <li className="flex justify-between">
+                    <span>Withheld ({payslip.periodsPerYear} pays)</span>
+                    <span>{aud0(payslip.annual)}</span>
+                  </li>
+                  {payslip.medicareExemption > 0 && (
+                    <li className="flex justify-between">
+                      <span>Medicare levy exemption (taken off total tax)</span>
+                      <span>{fmtOffsetAud(payslip.medicareExemption)}</span>
+                    </li>
+                  )}
+                  <li className="flex justify-between"><span>Total tax</span><span>{aud0(totalTaxAnnual)}</span></li>
+                  {frankingRefund > 0 && (
+                    <li className="flex justify-between">
+                      <span>Franking credit refund</span>
+                      <span>{fmtOffsetAud(frankingRefund)}</span>
+                    </li>
+                  )}
+                  {studyLoan && (
+                    <li className="flex justify-between">
+                      <span>Compulsory study loan repayment</span>
+                      <span>{aud0(studyLoanRepayment)}</span>
+                    </li>
+                  )}
+                  <li className="flex justify-between font-medium border-t pt-2 mt-2">
+                    <span>Assessed at year end</span>
+                    <span>{aud0(payslip.assessed)}</span>
+                  </li>
+                </ul>
+                <p className="mt-2 text-[11px] text-slate-500 leading-snug">
+                  Assumes the same pay every {PAY_PERIOD_NAMES[frequency]} for the whole year and no other income
+                  apart from any dividends, which have nothing withheld and are settled when you lodge.
+                  Work-from-home and other deductions aren&apos;t taken out of your pay; you get them back when you lodge.
+                  Uses the withholding schedule in force from {payslip.scheduleFrom}.
+                </p>
+              </div>
+            </SectionCard>
+          </div>
+        )}
+
+        {/* SAVED SCENARIOS */}
+        <div className="mt-8 no-print">
+          <ScenarioManager
+            calculatorId="tax-calculator"
+            schema={TAKE_HOME_INPUTS}
+            inputs={inputs}
+            onLoad={setInputs}
+            compute={calculateTakeHome}
+            metrics={SCENARIO_METRICS}
+          />
+        </div>
+
         {/* ASSUMPTIONS */}
         <div className="mt-8 printable-section">
           <SectionCard title="Assumptions & references">
             <ul className="list-disc pl-5 space-y-3 text-sm text-slate-600">
-              <li>Resident brackets for 2025-2026 (excludes Medicare/offsets until applied below).</li>
-              <li>Medicare levy 2% with low-income thresholds (2024–25), higher seniors thresholds when SAPTO is ticked.</li>
-              <li>MLS tiers 2025-2026 (no cover): singles &gt; $97k; families &gt; $194k (+$1,500 per child after first): 1.0% / 1.25% / 1.5%.</li>
+              <li>Resident brackets, offsets and levy thresholds for {fyLabel(fy)}. LMITO is included automatically for 2020–21 and 2021–22.</li>
+              <li>Medicare levy 2% with low-income thresholds, higher seniors thresholds when SAPTO is ticked. Couples and single parents use the family thresholds.</li>
+              <li>MLS tiers (no cover): singles &gt; {aud0(getTaxYear(fy).mls.singleTiers[0])}; families &gt; {aud0(getTaxYear(fy).mls.familyTiers[0])} (+$1,500 per child after first): 1.0% / 1.25% / 1.5%.</li>
               <li>SAPTO is a non-refundable offset; estimate only. Actual rules use “rebate income” and Age Pension eligibility.</li>
-              <li>Work-from-home deduction uses ATO fixed-rate method at $0.70/hour. Salary sacrifice capped at $30,000; assumes 15% contributions tax.</li>
+              <li>
+                Dividends are included in taxable income grossed up by their franking credits (franked amount × company
+                rate ÷ (1 − company rate)). The franking tax offset is refundable: it comes off tax and the Medicare levy
+                after LITO and SAPTO, and any excess is refunded. The 45-day holding period rule is assumed to be met.
+              </li>
+              <li>Work-from-home deduction uses ATO fixed-rate method at ${wfhRate.toFixed(2)}/hour. Salary sacrifice capped at the {fyLabel(fy)} concessional cap of {aud0(concessionalCap(fy))}; assumes 15% contributions tax.</li>
+              <li>
+                Study loan repayments use the {fyLabel(fy)} thresholds on repayment income (taxable income plus salary
+                sacrifice), assuming your debt is at least the repayment.{" "}
+                <Link href="/calculators/study-loan-repayment" className="text-blue-700 underline">
+                  See when your debt will be repaid
+                </Link>
+                .
+              </li>
+              <li>Pay slip check: PAYG withholding from the ATO weekly tax table formulas (Schedule 1, scales 1, 2, 5 and 6), with fortnightly and monthly pays converted through their weekly equivalent. Study loan amounts use the Schedule 8 repayment thresholds. The Medicare levy variation for low-income families is not modelled.</li>
               <li>General information only; not tax advice.</li>
             </ul>
           </SectionCard>
@@ -0,0 +1,16 @@
+// vitest.config.mjs
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const root = fileURLToPath(new URL(".", import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    // Mirror the "@/*" path alias from jsconfig.json
+    alias: [{ find: /^@\//, replacement: root }],
+  },
+  test: {
+    include: ["__tests__/**/*.test.js"],
+    environment: "node",
+  },
+});